@@ -19,6 +19,7 @@ const RiskAssessment = lazy(() => import('./pages/risk/RiskAssessment'));
 const IncidentManagement = lazy(() => import('./pages/incidents/IncidentManagement'));
 const AuditLogs = lazy(() => import('./pages/audit/AuditLogs'));
 const AdvancedReports = lazy(() => import('./pages/reports/AdvancedReports'));
+const AccessReviews = lazy(() => import('./pages/access-reviews/AccessReviews'));
 
 // Create theme
 const theme = createTheme({
@@ -76,6 +77,7 @@ function App() {
                 <Route path="incidents" element={<IncidentManagement />} />
                 <Route path="audit" element={<AuditLogs />} />
                 <Route path="reports" element={<AdvancedReports />} />
+                <Route path="access-reviews" element={<AccessReviews />} />
               </Route>
               <Route path="*" element={<Navigate to="/" replace />} />
             </Routes>
@@ -1,49 +1,146 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { Button, Input, Form, Alert, Card, Checkbox } from '../ui';
 
 /**
  * MFA Setup Component
- * Handles setting up MFA for a user including QR code display and backup codes
+ * Handles setting up MFA with an authenticator app (QR code) or a security key/passkey,
+ * managing registered security keys, and displaying backup codes
  */
 const MfaSetup = ({ onComplete }) => {
-  const [step, setStep] = useState('setup'); // setup, verify, backupCodes
+  const [step, setStep] = useState('choose'); // choose, setup, verify, securityKey, backupCodes
   const [qrCode, setQrCode] = useState('');
   const [secret, setSecret] = useState('');
   const [token, setToken] = useState('');
   const [backupCodes, setBackupCodes] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
   const [backupCodesSaved, setBackupCodesSaved] = useState(false);
+  const [keyName, setKeyName] = useState('');
+  const [securityKeys, setSecurityKeys] = useState([]);
+  const [editingKeyId, setEditingKeyId] = useState(null);
+  const [editingName, setEditingName] = useState('');
   
-  const { enableMfa, confirmMfa } = useAuth();
+  const {
+    user,
+    enableMfa,
+    confirmMfa,
+    registerWebAuthn,
+    getWebAuthnCredentials,
+    renameWebAuthnCredential,
+    deleteWebAuthnCredential
+  } = useAuth();
+  
+  // Load registered security keys
+  const loadSecurityKeys = useCallback(async () => {
+    const response = await getWebAuthnCredentials();
+    if (response.success) {
+      setSecurityKeys(response.data);
+    }
+  }, [getWebAuthnCredentials]);
   
-  // Initialize MFA setup and get QR code
   useEffect(() => {
-    const initMfaSetup = async () => {
-      setLoading(true);
-      setError(null);
+    if (step === 'choose') {
+      loadSecurityKeys();
+    }
+  }, [loadSecurityKeys, step]);
+  
+  // Initialize authenticator app setup and get QR code
+  const handleChooseAuthenticatorApp = async () => {
+    setLoading(true);
+    setError(null);
+    setMessage(null);
+    
+    try {
+      const response = await enableMfa();
+      
+      if (response.success) {
+        setQrCode(response.data.qrCode);
+        setSecret(response.data.secret);
+        setStep('setup');
+      } else {
+        setError(response.message || response.error || 'Failed to initialize MFA setup');
+      }
+    } catch (err) {
+      setError(err.message || 'An error occurred during MFA setup');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Register a security key or passkey
+  const handleRegisterSecurityKey = async (e) => {
+    e.preventDefault();
+    
+    if (!keyName.trim()) {
+      setError('Please enter a name for this security key');
+      return;
+    }
+    
+    setError(null);
+    setLoading(true);
+    
+    try {
+      const response = await registerWebAuthn(keyName.trim());
       
-      try {
-        const response = await enableMfa();
+      if (response.success) {
+        setKeyName('');
         
-        if (response.success) {
-          setQrCode(response.data.qrCode);
-          setSecret(response.data.secret);
+        // The first factor enables MFA and comes with backup codes
+        if (response.data.backupCodes) {
+          setBackupCodes(response.data.backupCodes);
+          setStep('backupCodes');
         } else {
-          setError(response.message || 'Failed to initialize MFA setup');
+          setMessage(`Security key "${response.data.credential.name}" registered`);
+          setStep('choose');
         }
-      } catch (err) {
-        setError(err.message || 'An error occurred during MFA setup');
-      } finally {
-        setLoading(false);
+      } else {
+        setError(response.message || response.error || 'Failed to register security key');
       }
-    };
+    } catch (err) {
+      setError(err.message || 'Failed to register security key');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Save a new name for a security key
+  const handleRenameSecurityKey = async (id) => {
+    if (!editingName.trim()) {
+      setError('Please enter a name for this security key');
+      return;
+    }
+    
+    const response = await renameWebAuthnCredential(id, editingName.trim());
     
-    if (step === 'setup') {
-      initMfaSetup();
+    if (response.success) {
+      setEditingKeyId(null);
+      setError(null);
+      loadSecurityKeys();
+    } else {
+      setError(response.message || response.error || 'Failed to rename security key');
     }
-  }, [enableMfa, step]);
+  };
+  
+  // Remove a security key; the browser asks for another key to confirm
+  const handleRemoveSecurityKey = async (key) => {
+    if (!window.confirm(`Remove security key "${key.name}"? You will be asked to confirm with a security key.`)) {
+      return;
+    }
+    
+    setError(null);
+    setMessage(null);
+    
+    const response = await deleteWebAuthnCredential(key.id);
+    
+    if (response.success) {
+      setMessage(response.message);
+      loadSecurityKeys();
+    } else {
+      setError(response.message || response.error || 'Failed to remove security key');
+    }
+  };
   
   // Format token input to ensure it's only digits
   const handleTokenChange = (e) => {
@@ -131,7 +228,7 @@ const MfaSetup = ({ onComplete }) => {
     printWindow.print();
   };
   
-  if (loading && !qrCode) {
+  if (loading && step === 'choose') {
     return (
       <div className="text-center p-6">
         <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary mx-auto"></div>
@@ -148,6 +245,147 @@ const MfaSetup = ({ onComplete }) => {
         </Alert>
       )}
       
+      {message && (
+        <Alert className="mb-4">
+          {message}
+        </Alert>
+      )}
+      
+      {step === 'choose' && (
+        <div className="space-y-6">
+          <h2 className="text-2xl font-semibold mb-2 text-center">Two-Factor Authentication</h2>
+          
+          <p className="text-sm">
+            Two-factor authentication adds an extra layer of security to your account.
+            Choose how you want to verify your identity when you sign in. You can set up both.
+          </p>
+          
+          <div className="space-y-3">
+            <Button
+              className="w-full"
+              onClick={() => { setError(null); setMessage(null); setStep('securityKey'); }}
+              disabled={loading}
+            >
+              Add a Security Key or Passkey
+            </Button>
+            <p className="text-xs text-muted-foreground">
+              Use a hardware key (such as a YubiKey) or your device's fingerprint, face or PIN unlock.
+            </p>
+            
+            {!(user?.mfaEnabled && securityKeys.length === 0) && (
+              <>
+                <Button
+                  className="w-full"
+                  variant="outline"
+                  onClick={handleChooseAuthenticatorApp}
+                  disabled={loading}
+                >
+                  Use an Authenticator App
+                </Button>
+                <p className="text-xs text-muted-foreground">
+                  Enter a 6-digit code from Google Authenticator, Microsoft Authenticator or Authy.
+                </p>
+              </>
+            )}
+          </div>
+          
+          {securityKeys.length > 0 && (
+            <Card className="p-4">
+              <h3 className="text-sm font-medium mb-2">Your Security Keys</h3>
+              <ul className="space-y-2">
+                {securityKeys.map(key => (
+                  <li key={key.id} className="flex items-center justify-between gap-2">
+                    {editingKeyId === key.id ? (
+                      <>
+                        <Input
+                          value={editingName}
+                          maxLength={100}
+                          onChange={(e) => setEditingName(e.target.value)}
+                          aria-label="Security key name"
+                        />
+                        <Button size="sm" onClick={() => handleRenameSecurityKey(key.id)}>Save</Button>
+                        <Button size="sm" variant="outline" onClick={() => setEditingKeyId(null)}>Cancel</Button>
+                      </>
+                    ) : (
+                      <>
+                        <div>
+                          <p className="text-sm font-medium">{key.name}</p>
+                          <p className="text-xs text-muted-foreground">
+                            {key.deviceType === 'multiDevice' ? 'Passkey' : 'Security key'}
+                            {' · '}
+                            {key.lastUsedAt
+                              ? `Last used ${new Date(key.lastUsedAt).toLocaleDateString()}`
+                              : 'Never used'}
+                          </p>
+                        </div>
+                        <div className="flex gap-2">
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => { setEditingKeyId(key.id); setEditingName(key.name); }}
+                          >
+                            Rename
+                          </Button>
+                          <Button size="sm" variant="destructive" onClick={() => handleRemoveSecurityKey(key)}>
+                            Remove
+                          </Button>
+                        </div>
+                      </>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </Card>
+          )}
+          
+          {user?.mfaEnabled && onComplete && (
+            <Button className="w-full" variant="outline" onClick={onComplete}>
+              Done
+            </Button>
+          )}
+        </div>
+      )}
+      
+      {step === 'securityKey' && (
+        <div className="space-y-6">
+          <h2 className="text-2xl font-semibold mb-2 text-center">Add a Security Key</h2>
+          
+          <Form onSubmit={handleRegisterSecurityKey}>
+            <div className="space-y-6">
+              <p className="text-sm">
+                Give this key a name so you can tell your keys apart, then follow your
+                browser's prompt to insert and touch the key or unlock your device.
+              </p>
+              
+              <div>
+                <Form.Label htmlFor="security-key-name">
+                  Security Key Name
+                </Form.Label>
+                <Input
+                  id="security-key-name"
+                  type="text"
+                  maxLength={100}
+                  value={keyName}
+                  onChange={(e) => setKeyName(e.target.value)}
+                  required
+                  placeholder="e.g. YubiKey 5C or Work laptop"
+                />
+              </div>
+              
+              <div className="flex flex-col space-y-2">
+                <Button type="submit" disabled={loading}>
+                  {loading ? 'Waiting for security key...' : 'Register Security Key'}
+                </Button>
+                
+                <Button type="button" variant="outline" onClick={() => setStep('choose')}>
+                  Back
+                </Button>
+              </div>
+            </div>
+          </Form>
+        </div>
+      )}
+      
       {step === 'setup' && (
         <div className="space-y-6">
           <h2 className="text-2xl font-semibold mb-2 text-center">Set Up Two-Factor Authentication</h2>
@@ -192,6 +430,14 @@ const MfaSetup = ({ onComplete }) => {
                 >
                   Continue to Verification
                 </Button>
+                
+                <Button
+                  className="w-full mt-2"
+                  variant="outline"
+                  onClick={() => setStep('choose')}
+                >
+                  Back
+                </Button>
               </div>
             </div>
           </div>
@@ -5,17 +5,20 @@ import { Button, Input, Form, Alert, Tabs } from '../ui';
 
 /**
  * MFA Verification Component
- * Handles verification of MFA tokens and backup codes during login
+ * Handles verification of security keys/passkeys, MFA tokens and backup codes during login
  */
 const MfaVerification = ({ sessionId, onVerificationSuccess, onCancel }) => {
+  const { verifyMfa, verifyBackupCode, verifyWebAuthn, mfaMethods } = useAuth();
+  const navigate = useNavigate();
+  
+  const hasSecurityKey = mfaMethods.includes('webauthn');
+  const hasAuthenticatorApp = mfaMethods.includes('totp') || !hasSecurityKey;
+  
   const [token, setToken] = useState('');
   const [backupCode, setBackupCode] = useState('');
   const [verifying, setVerifying] = useState(false);
   const [error, setError] = useState(null);
-  const [activeTab, setActiveTab] = useState('token');
-  
-  const { verifyMfa, verifyBackupCode } = useAuth();
-  const navigate = useNavigate();
+  const [activeTab, setActiveTab] = useState(hasSecurityKey ? 'securityKey' : 'token');
   
   // Auto-focus on the first input field
   useEffect(() => {
@@ -45,6 +48,34 @@ const MfaVerification = ({ sessionId, onVerificationSuccess, onCancel }) => {
     setBackupCode(value);
   };
   
+  // Complete verification after any factor succeeds
+  const handleVerified = (response) => {
+    if (onVerificationSuccess) {
+      onVerificationSuccess(response.data.user);
+    } else {
+      navigate('/dashboard');
+    }
+  };
+  
+  const handleVerifySecurityKey = async () => {
+    setError(null);
+    setVerifying(true);
+    
+    try {
+      const response = await verifyWebAuthn(sessionId);
+      
+      if (response.success) {
+        handleVerified(response);
+      } else {
+        setError(response.message || response.error || 'Security key verification failed');
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to verify security key');
+    } finally {
+      setVerifying(false);
+    }
+  };
+  
   const handleVerifyToken = async (e) => {
     e.preventDefault();
     
@@ -60,11 +91,7 @@ const MfaVerification = ({ sessionId, onVerificationSuccess, onCancel }) => {
       const response = await verifyMfa(token, sessionId);
       
       if (response.success) {
-        if (onVerificationSuccess) {
-          onVerificationSuccess(response.data.user);
-        } else {
-          navigate('/dashboard');
-        }
+        handleVerified(response);
       } else {
         setError(response.message || 'Invalid verification code');
       }
@@ -91,11 +118,7 @@ const MfaVerification = ({ sessionId, onVerificationSuccess, onCancel }) => {
       const response = await verifyBackupCode(cleanCode, sessionId);
       
       if (response.success) {
-        if (onVerificationSuccess) {
-          onVerificationSuccess(response.data.user);
-        } else {
-          navigate('/dashboard');
-        }
+        handleVerified(response);
       } else {
         setError(response.message || 'Invalid backup code');
       }
@@ -121,40 +144,23 @@ const MfaVerification = ({ sessionId, onVerificationSuccess, onCancel }) => {
         onValueChange={setActiveTab}
         className="w-full"
       >
-        <Tabs.List className="grid grid-cols-2">
-          <Tabs.Trigger value="token">Authenticator Code</Tabs.Trigger>
+        <Tabs.List className={`grid ${hasSecurityKey && hasAuthenticatorApp ? 'grid-cols-3' : 'grid-cols-2'}`}>
+          {hasSecurityKey && <Tabs.Trigger value="securityKey">Security Key</Tabs.Trigger>}
+          {hasAuthenticatorApp && <Tabs.Trigger value="token">Authenticator Code</Tabs.Trigger>}
           <Tabs.Trigger value="backup">Backup Code</Tabs.Trigger>
         </Tabs.List>
         
-        <Tabs.Content value="token" className="pt-4">
-          <Form onSubmit={handleVerifyToken}>
+        {hasSecurityKey && (
+          <Tabs.Content value="securityKey" className="pt-4">
             <div className="space-y-4">
-              <div>
-                <Form.Label htmlFor="mfa-token-input">
-                  Enter the 6-digit code from your authenticator app
-                </Form.Label>
-                <Input
-                  id="mfa-token-input"
-                  type="text"
-                  inputMode="numeric"
-                  pattern="[0-9]*"
-                  autoComplete="one-time-code"
-                  maxLength={6}
-                  value={token}
-                  onChange={handleTokenChange}
-                  required
-                  className="text-center text-xl tracking-widest"
-                  placeholder="000000"
-                  aria-describedby="token-hint"
-                />
-                <p id="token-hint" className="text-sm text-muted-foreground mt-1">
-                  The code expires after 30 seconds
-                </p>
-              </div>
+              <p className="text-sm">
+                Insert and touch your security key, or unlock your device with your
+                fingerprint, face or PIN when your browser asks.
+              </p>
               
               <div className="flex flex-col space-y-2">
-                <Button type="submit" disabled={verifying}>
-                  {verifying ? 'Verifying...' : 'Verify Code'}
+                <Button type="button" onClick={handleVerifySecurityKey} disabled={verifying}>
+                  {verifying ? 'Waiting for security key...' : 'Use Security Key'}
                 </Button>
                 
                 {onCancel && (
@@ -164,8 +170,51 @@ const MfaVerification = ({ sessionId, onVerificationSuccess, onCancel }) => {
                 )}
               </div>
             </div>
-          </Form>
-        </Tabs.Content>
+          </Tabs.Content>
+        )}
+        
+        {hasAuthenticatorApp && (
+          <Tabs.Content value="token" className="pt-4">
+            <Form onSubmit={handleVerifyToken}>
+              <div className="space-y-4">
+                <div>
+                  <Form.Label htmlFor="mfa-token-input">
+                    Enter the 6-digit code from your authenticator app
+                  </Form.Label>
+                  <Input
+                    id="mfa-token-input"
+                    type="text"
+                    inputMode="numeric"
+                    pattern="[0-9]*"
+                    autoComplete="one-time-code"
+                    maxLength={6}
+                    value={token}
+                    onChange={handleTokenChange}
+                    required
+                    className="text-center text-xl tracking-widest"
+                    placeholder="000000"
+                    aria-describedby="token-hint"
+                  />
+                  <p id="token-hint" className="text-sm text-muted-foreground mt-1">
+                    The code expires after 30 seconds
+                  </p>
+                </div>
+              
+                <div className="flex flex-col space-y-2">
+                  <Button type="submit" disabled={verifying}>
+                    {verifying ? 'Verifying...' : 'Verify Code'}
+                  </Button>
+                
+                  {onCancel && (
+                    <Button type="button" variant="outline" onClick={onCancel}>
+                      Cancel
+                    </Button>
+                  )}
+                </div>
+              </div>
+            </Form>
+          </Tabs.Content>
+        )}
         
         <Tabs.Content value="backup" className="pt-4">
           <Form onSubmit={handleVerifyBackupCode}>
@@ -0,0 +1,46 @@
+import React from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions, Button, LinearProgress } from '@mui/material';
+
+// Format a number of seconds as m:ss
+const formatRemaining = (seconds) => {
+  const safe = Math.max(0, seconds);
+  const minutes = Math.floor(safe / 60);
+  return `${minutes}:${String(safe % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Session Timeout Dialog
+ * Counts down to automatic logoff and lets the user stay signed in. When the session is about
+ * to reach its maximum length it cannot be extended, so only signing out is offered.
+ */
+const SessionTimeoutDialog = ({ open, secondsRemaining, warningSeconds, canExtend, extending, onStaySignedIn, onSignOut }) => {
+  const progress = warningSeconds > 0 ? (Math.max(0, secondsRemaining) / warningSeconds) * 100 : 0;
+
+  return (
+    <Dialog open={open} maxWidth="xs" fullWidth disableEscapeKeyDown aria-labelledby="session-timeout-title">
+      <DialogTitle id="session-timeout-title">
+        {canExtend ? 'Are you still there?' : 'Your session is ending'}
+      </DialogTitle>
+      <DialogContent>
+        <DialogContentText>
+          {canExtend
+            ? `For your security you will be signed out in ${formatRemaining(secondsRemaining)} because of inactivity.`
+            : `Your session has reached its maximum length and will end in ${formatRemaining(secondsRemaining)}. Sign in again to continue.`}
+        </DialogContentText>
+        <LinearProgress variant="determinate" value={Math.min(100, progress)} sx={{ mt: 2 }} />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onSignOut} color="inherit">
+          Sign out
+        </Button>
+        {canExtend && (
+          <Button onClick={onStaySignedIn} variant="contained" disabled={extending} autoFocus>
+            Stay signed in
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SessionTimeoutDialog;
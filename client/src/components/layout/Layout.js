@@ -15,6 +15,7 @@ import AssessmentIcon from '@mui/icons-material/Assessment';
 import SecurityIcon from '@mui/icons-material/Security';
 import ListAltIcon from '@mui/icons-material/ListAlt';
 import BarChartIcon from '@mui/icons-material/BarChart';
+import VerifiedUserIcon from '@mui/icons-material/VerifiedUser';
 import AccountCircleIcon from '@mui/icons-material/AccountCircle';
 import LogoutIcon from '@mui/icons-material/Logout';
 
@@ -153,6 +154,12 @@ const Layout = () => {
       icon: <BarChartIcon />,
       path: '/reports',
       roles: ['admin', 'compliance_officer', 'manager']
+    },
+    {
+      text: 'Access Reviews',
+      icon: <VerifiedUserIcon />,
+      path: '/access-reviews',
+      roles: [] // Reviewers are notified of their assignments
     }
   ];
 
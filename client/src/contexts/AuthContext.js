@@ -1,6 +1,8 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
 import jwt_decode from 'jwt-decode';
+import { startAuthentication, startRegistration } from '@simplewebauthn/browser';
+import SessionTimeoutDialog from '../components/auth/SessionTimeoutDialog';
 
 // Create auth context
 const AuthContext = createContext();
@@ -11,6 +13,37 @@ export const useAuth = () => useContext(AuthContext);
 // API URL - should be configured based on where your backend is deployed
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:8080/api';
 
+// Errors returned when the API has ended the session (idle timeout, maximum length or revoked)
+const SESSION_ENDED_CODES = ['AUTH_SESSION_IDLE_TIMEOUT', 'AUTH_SESSION_EXPIRED', 'AUTH_SESSION_INVALID'];
+
+// Name of the channel that keeps sign-in state in step across tabs
+const AUTH_CHANNEL_NAME = 'hipaa-auth';
+
+// Open a channel to the other tabs, using localStorage events where BroadcastChannel is unavailable
+const openAuthChannel = (onMessage) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(AUTH_CHANNEL_NAME);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close()
+    };
+  }
+
+  const handleStorage = (event) => {
+    if (event.key === AUTH_CHANNEL_NAME && event.newValue) {
+      onMessage(JSON.parse(event.newValue));
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    // Include a timestamp so repeated messages still change the stored value
+    post: (message) => localStorage.setItem(AUTH_CHANNEL_NAME, JSON.stringify({ ...message, sentAt: Date.now() })),
+    close: () => window.removeEventListener('storage', handleStorage)
+  };
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
@@ -18,7 +51,135 @@ export const AuthProvider = ({ children }) => {
   const [error, setError] = useState(null);
   const [requireMfa, setRequireMfa] = useState(false);
   const [sessionId, setSessionId] = useState(null);
+  const [mfaMethods, setMfaMethods] = useState([]);
   const [requirePasswordChange, setRequirePasswordChange] = useState(false);
+  const [sessionTiming, setSessionTiming] = useState(null);
+  const [secondsRemaining, setSecondsRemaining] = useState(null);
+  const [extendingSession, setExtendingSession] = useState(false);
+  const authChannel = useRef(null);
+  const idleTimeoutMs = useRef(null);
+  const logoutRef = useRef(null);
+
+  // Forget the signed-in user without calling the API
+  const clearAuthState = useCallback(() => {
+    setUser(null);
+    setIsAuthenticated(false);
+    setRequireMfa(false);
+    setSessionId(null);
+    setRequirePasswordChange(false);
+    setSessionTiming(null);
+    idleTimeoutMs.current = null;
+  }, []);
+
+  // Store the session timeouts reported by the API, converted to this browser's clock
+  const applySessionStatus = useCallback((status) => {
+    const offset = Date.now() - new Date(status.serverTime).getTime();
+    idleTimeoutMs.current = status.idleTimeoutSeconds * 1000;
+    setSessionTiming({
+      idleTimeoutMs: status.idleTimeoutSeconds * 1000,
+      warningMs: status.warningSeconds * 1000,
+      idleExpiresAt: new Date(status.idleExpiresAt).getTime() + offset,
+      absoluteExpiresAt: new Date(status.absoluteExpiresAt).getTime() + offset
+    });
+  }, []);
+
+  // Keep every tab in step: a logout in one tab signs out all of them, and activity in one tab
+  // restarts the idle countdown in the others
+  useEffect(() => {
+    authChannel.current = openAuthChannel((message) => {
+      if (message.type === 'logout') {
+        clearAuthState();
+      } else if (message.type === 'activity') {
+        setSessionTiming(prev => prev && {
+          ...prev,
+          idleExpiresAt: Math.max(prev.idleExpiresAt, message.idleExpiresAt)
+        });
+      }
+    });
+
+    return () => authChannel.current.close();
+  }, [clearAuthState]);
+
+  // Every authenticated request restarts the server's idle timeout, so restart the countdown
+  // too; requests rejected because the session ended sign the user out in every tab
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => {
+        const { method, url = '' } = response.config || {};
+        const isStatusCheck = method === 'get' && url === `${API_URL}/auth/session`;
+
+        if (idleTimeoutMs.current && url.startsWith(API_URL) && !isStatusCheck) {
+          const idleExpiresAt = Date.now() + idleTimeoutMs.current;
+          setSessionTiming(prev => prev && { ...prev, idleExpiresAt });
+          authChannel.current.post({ type: 'activity', idleExpiresAt });
+        }
+
+        return response;
+      },
+      (error) => {
+        if (error.response?.status === 401 &&
+            SESSION_ENDED_CODES.includes(error.response?.data?.errorCode)) {
+          clearAuthState();
+          authChannel.current.post({ type: 'logout' });
+        }
+
+        return Promise.reject(error);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [clearAuthState]);
+
+  // Load the session timeouts once signed in
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setSessionTiming(null);
+      return;
+    }
+
+    axios.get(`${API_URL}/auth/session`)
+      .then(response => applySessionStatus(response.data.data))
+      .catch(() => setSessionTiming(null));
+  }, [isAuthenticated, applySessionStatus]);
+
+  // Count down to automatic logoff
+  useEffect(() => {
+    if (!sessionTiming) {
+      setSecondsRemaining(null);
+      return undefined;
+    }
+
+    let timer = null;
+    const tick = () => {
+      const deadline = Math.min(sessionTiming.idleExpiresAt, sessionTiming.absoluteExpiresAt);
+      const remaining = Math.ceil((deadline - Date.now()) / 1000);
+      setSecondsRemaining(remaining);
+
+      if (remaining <= 0) {
+        clearInterval(timer);
+        logoutRef.current();
+      }
+    };
+
+    timer = setInterval(tick, 1000);
+    tick();
+    return () => clearInterval(timer);
+  }, [sessionTiming]);
+
+  // Restart the idle timeout from the warning dialog
+  const staySignedIn = async () => {
+    setExtendingSession(true);
+
+    try {
+      const response = await axios.post(`${API_URL}/auth/session/keep-alive`);
+      applySessionStatus(response.data.data);
+    } catch (error) {
+      // A session that has already ended is handled by the response interceptor
+      console.error('Failed to extend session:', error);
+    } finally {
+      setExtendingSession(false);
+    }
+  };
 
   // Configure axios defaults
   useEffect(() => {
@@ -86,14 +247,15 @@ export const AuthProvider = ({ children }) => {
         password
       });
       
-      const { requireMfa, sessionId, requirePasswordChange, user: userData } = response.data;
+      const { requireMfa, mfaMethods, sessionId, requirePasswordChange, user: userData } = response.data;
       
       if (requireMfa) {
         // MFA required - set state for MFA verification
         setRequireMfa(true);
         setSessionId(sessionId);
+        setMfaMethods(mfaMethods || ['totp']);
         setIsLoading(false);
-        return { success: true, requireMfa: true, sessionId };
+        return { success: true, requireMfa: true, mfaMethods, sessionId };
       }
       
       // Set requirePasswordChange if returned from API
@@ -115,6 +277,57 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Check whether single sign-on is available and how to label it
+  const getSsoConfig = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/auth/sso/config`);
+      return response.data.data;
+    } catch (error) {
+      return { enabled: false };
+    }
+  };
+
+  // Sign in through the identity provider; the API redirects back to returnTo afterwards
+  const loginWithSso = (returnTo = '/', loginHint) => {
+    const params = new URLSearchParams({ returnTo });
+    if (loginHint) {
+      params.set('loginHint', loginHint);
+    }
+    window.location.assign(`${API_URL}/auth/sso/login?${params.toString()}`);
+  };
+
+  // Describe why single sign-on failed, from the ssoError query parameter set by the API
+  const ssoErrorMessage = (errorCode) => {
+    switch (errorCode) {
+      case 'SSO_ACCOUNT_CONFLICT':
+        return 'An account with your email address already exists. Please contact an administrator to link it.';
+      case 'ACCOUNT_INACTIVE':
+        return 'Your account is not active. Please contact an administrator.';
+      case 'SSO_STATE_EXPIRED':
+      case 'SSO_STATE_MISMATCH':
+        return 'The sign-in request expired. Please try again.';
+      default:
+        return 'Single sign-on failed. Please try again or contact an administrator.';
+    }
+  };
+
+  // Ask the browser to sign a WebAuthn challenge with one of the user's security keys
+  const getWebAuthnAssertion = async () => {
+    const options = await axios.post(`${API_URL}/auth/webauthn/authenticate/options`);
+    return startAuthentication({ optionsJSON: options.data.data });
+  };
+
+  // Describe a WebAuthn failure, including the browser's own errors
+  const webAuthnErrorMessage = (error, fallback) => {
+    if (error.name === 'NotAllowedError') {
+      return 'The security key request was cancelled or timed out.';
+    }
+    if (error.name === 'InvalidStateError') {
+      return 'This security key is already registered.';
+    }
+    return error.response?.data?.message || fallback;
+  };
+
   // Verify MFA token
   const verifyMfa = async (token, sessionId) => {
     setError(null);
@@ -193,10 +406,12 @@ export const AuthProvider = ({ children }) => {
     setIsLoading(true);
     
     try {
-      const response = await axios.post(`${API_URL}/auth/enable-mfa`);
+      // Users who already have a security key must use it to add an authenticator app
+      const body = user?.mfaEnabled ? { webauthnResponse: await getWebAuthnAssertion() } : {};
+      const response = await axios.post(`${API_URL}/auth/enable-mfa`, body);
       return response.data;
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Failed to initialize MFA setup. Please try again.';
+      const errorMessage = webAuthnErrorMessage(error, 'Failed to initialize MFA setup. Please try again.');
       setError(errorMessage);
       return { success: false, error: errorMessage };
     } finally {
@@ -239,10 +454,10 @@ export const AuthProvider = ({ children }) => {
       const response = await axios.post(`${API_URL}/auth/disable-mfa`, { token });
       
       if (response.data.success) {
-        // Update user MFA status
+        // Update user MFA status; security keys keep MFA enabled
         setUser(prev => ({
           ...prev,
-          mfaEnabled: false
+          mfaEnabled: response.data.data ? response.data.data.mfaEnabled : false
         }));
       }
       
@@ -256,6 +471,115 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Verify MFA with a security key or passkey
+  const verifyWebAuthn = async (sessionId) => {
+    setError(null);
+    setIsLoading(true);
+    
+    try {
+      const assertion = await getWebAuthnAssertion();
+      const response = await axios.post(`${API_URL}/auth/webauthn/authenticate/verify`, {
+        response: assertion,
+        sessionId
+      });
+      
+      if (response.data.success) {
+        // Update user and auth state
+        setUser(response.data.data.user);
+        setIsAuthenticated(true);
+        setRequireMfa(false);
+        setSessionId(null);
+        setMfaMethods([]);
+        
+        return response.data;
+      }
+      
+      return { success: false, message: 'Failed to verify security key' };
+    } catch (error) {
+      const errorMessage = webAuthnErrorMessage(error, 'Security key verification failed. Please try again.');
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Register a new security key or passkey
+  const registerWebAuthn = async (name) => {
+    setError(null);
+    setIsLoading(true);
+    
+    try {
+      const options = await axios.post(`${API_URL}/auth/webauthn/register/options`);
+      const attestation = await startRegistration({ optionsJSON: options.data.data });
+      const response = await axios.post(`${API_URL}/auth/webauthn/register/verify`, {
+        name,
+        response: attestation
+      });
+      
+      if (response.data.success) {
+        // Registering the first factor enables MFA
+        setUser(prev => ({
+          ...prev,
+          mfaEnabled: true
+        }));
+      }
+      
+      return response.data;
+    } catch (error) {
+      const errorMessage = webAuthnErrorMessage(error, 'Failed to register security key. Please try again.');
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Get registered security keys and passkeys
+  const getWebAuthnCredentials = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/auth/webauthn/credentials`);
+      return response.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to load security keys.';
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Rename a security key or passkey
+  const renameWebAuthnCredential = async (id, name) => {
+    try {
+      const response = await axios.put(`${API_URL}/auth/webauthn/credentials/${id}`, { name });
+      return response.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to rename security key.';
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Remove a security key or passkey, confirmed with a TOTP token or another security key
+  const deleteWebAuthnCredential = async (id, token) => {
+    setError(null);
+    
+    try {
+      const body = token ? { token } : { webauthnResponse: await getWebAuthnAssertion() };
+      const response = await axios.delete(`${API_URL}/auth/webauthn/credentials/${id}`, { data: body });
+      
+      if (response.data.success) {
+        setUser(prev => ({
+          ...prev,
+          mfaEnabled: response.data.data.mfaEnabled
+        }));
+      }
+      
+      return response.data;
+    } catch (error) {
+      const errorMessage = webAuthnErrorMessage(error, 'Failed to remove security key.');
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Change password
   const changePassword = async (currentPassword, newPassword) => {
     setError(null);
@@ -318,12 +642,9 @@ export const AuthProvider = ({ children }) => {
       const response = await axios.post(`${API_URL}/auth/logout-all`);
       
       if (response.data.success) {
-        // Update auth state
-        setUser(null);
-        setIsAuthenticated(false);
-        setRequireMfa(false);
-        setSessionId(null);
-        setRequirePasswordChange(false);
+        // Update auth state here and in the other tabs
+        clearAuthState();
+        authChannel.current.post({ type: 'logout' });
       }
       
       return response.data;
@@ -341,14 +662,12 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Error during logout:', error);
     } finally {
-      // Always clear user data even if API call fails
-      setUser(null);
-      setIsAuthenticated(false);
-      setRequireMfa(false);
-      setSessionId(null);
-      setRequirePasswordChange(false);
+      // Always clear user data even if API call fails, and sign out the other tabs
+      clearAuthState();
+      authChannel.current.post({ type: 'logout' });
     }
   };
+  logoutRef.current = logout;
 
   // Setup security questions
   const setupSecurityQuestions = async (questions) => {
@@ -435,10 +754,15 @@ export const AuthProvider = ({ children }) => {
     return user.role.name === role;
   };
 
-  // Check if user has permission
+  // Check if user has permission. The profile lists the catalog permissions the user holds,
+  // including those inherited from included roles; until it loads, fall back to the role's own
   const hasPermission = (permission) => {
-    if (!user || !user.role || !user.role.permissions) return false;
-    return !!user.role.permissions[permission];
+    if (!user) return false;
+    if (Array.isArray(user.effectivePermissions)) {
+      return user.effectivePermissions.includes(permission);
+    }
+    if (!user.role || !user.role.permissions) return false;
+    return !!(user.role.permissions.isAdmin || user.role.permissions[permission]);
   };
 
   // Check if user has any of the specified roles
@@ -455,15 +779,25 @@ export const AuthProvider = ({ children }) => {
     error,
     requireMfa,
     sessionId,
+    mfaMethods,
     requirePasswordChange,
     login,
+    getSsoConfig,
+    loginWithSso,
+    ssoErrorMessage,
     logout,
     logoutAll,
+    staySignedIn,
     verifyMfa,
     verifyBackupCode,
     enableMfa,
     confirmMfa,
     disableMfa,
+    verifyWebAuthn,
+    registerWebAuthn,
+    getWebAuthnCredentials,
+    renameWebAuthnCredential,
+    deleteWebAuthnCredential,
     changePassword,
     getSessions,
     revokeSession,
@@ -479,6 +813,16 @@ export const AuthProvider = ({ children }) => {
   return (
     <AuthContext.Provider value={value}>
       {children}
+      <SessionTimeoutDialog
+        open={Boolean(sessionTiming) && secondsRemaining !== null &&
+          secondsRemaining > 0 && secondsRemaining * 1000 <= sessionTiming.warningMs}
+        secondsRemaining={secondsRemaining || 0}
+        warningSeconds={sessionTiming ? sessionTiming.warningMs / 1000 : 0}
+        canExtend={Boolean(sessionTiming) && sessionTiming.absoluteExpiresAt > sessionTiming.idleExpiresAt}
+        extending={extendingSession}
+        onStaySignedIn={staySignedIn}
+        onSignOut={logout}
+      />
     </AuthContext.Provider>
   );
 };
\ No newline at end of file
@@ -0,0 +1,487 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Grid,
+  Chip,
+  CircularProgress,
+  Snackbar,
+  Alert,
+  Tabs,
+  Tab
+} from '@mui/material';
+import { styled } from '@mui/material/styles';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Icons
+import AddIcon from '@mui/icons-material/Add';
+import DownloadIcon from '@mui/icons-material/Download';
+
+// API URL
+const API_URL = 'http://localhost:8080/api';
+
+// Styled components
+const AccessReviewsContainer = styled(Box)(({ theme }) => ({
+  padding: theme.spacing(2),
+}));
+
+const STATUS_COLORS = {
+  active: 'primary',
+  completed: 'success',
+  cancelled: 'default'
+};
+
+const DECISION_COLORS = {
+  keep: 'success',
+  modify: 'warning',
+  revoke: 'error'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'Never');
+
+const AccessReviews = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('access-reviews:manage');
+  const [tabValue, setTabValue] = useState(0);
+  const [myItems, setMyItems] = useState([]);
+  const [campaigns, setCampaigns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [decisionDialog, setDecisionDialog] = useState({ open: false, item: null, decision: '', notes: '' });
+  const [campaignDialog, setCampaignDialog] = useState({ open: false, name: '', description: '', dueDate: '' });
+  const [itemsDialog, setItemsDialog] = useState({ open: false, campaign: null, items: [] });
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: '',
+    severity: 'success'
+  });
+
+  // Show snackbar message
+  const showSnackbar = (message, severity = 'success') => {
+    setSnackbar({
+      open: true,
+      message,
+      severity
+    });
+  };
+
+  // Handle snackbar close
+  const handleCloseSnackbar = () => {
+    setSnackbar({
+      ...snackbar,
+      open: false
+    });
+  };
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [itemsResponse, campaignsResponse] = await Promise.all([
+        axios.get(`${API_URL}/access-reviews/my-items`, { params: { decision: 'pending' } }),
+        canManage ? axios.get(`${API_URL}/access-reviews`) : Promise.resolve({ data: { data: [] } })
+      ]);
+
+      setMyItems(itemsResponse.data.data);
+      setCampaigns(campaignsResponse.data.data);
+    } catch (error) {
+      console.error('Error fetching access reviews:', error);
+      showSnackbar('Error loading access reviews', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [canManage]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  // Record a decision; keep is recorded straight away, modify and revoke ask for notes
+  const handleDecision = (item, decision) => {
+    if (decision === 'keep') {
+      submitDecision(item, decision, '');
+      return;
+    }
+
+    setDecisionDialog({ open: true, item, decision, notes: '' });
+  };
+
+  const submitDecision = async (item, decision, notes) => {
+    try {
+      const response = await axios.post(`${API_URL}/access-reviews/items/${item.id}/decision`, { decision, notes });
+      const applied = response.data.data.decision !== 'revoke' || response.data.data.appliedAt;
+
+      setMyItems(myItems.filter(myItem => myItem.id !== item.id));
+      setDecisionDialog({ open: false, item: null, decision: '', notes: '' });
+      showSnackbar(response.data.message, applied ? 'success' : 'warning');
+    } catch (error) {
+      console.error('Error recording decision:', error);
+      showSnackbar(error.response?.data?.message || 'Error recording decision', 'error');
+    }
+  };
+
+  const handleCreateCampaign = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/access-reviews`, {
+        name: campaignDialog.name,
+        description: campaignDialog.description || undefined,
+        dueDate: campaignDialog.dueDate || undefined
+      });
+
+      setCampaignDialog({ open: false, name: '', description: '', dueDate: '' });
+      showSnackbar(response.data.message, 'success');
+      fetchData();
+    } catch (error) {
+      console.error('Error starting access review:', error);
+      showSnackbar(error.response?.data?.message || 'Error starting access review', 'error');
+    }
+  };
+
+  const handleViewItems = async (campaign) => {
+    try {
+      const response = await axios.get(`${API_URL}/access-reviews/${campaign.id}/items`);
+      setItemsDialog({ open: true, campaign, items: response.data.data });
+    } catch (error) {
+      console.error('Error loading access review items:', error);
+      showSnackbar(error.response?.data?.message || 'Error loading access review items', 'error');
+    }
+  };
+
+  const handleRetryRevocation = async (item) => {
+    try {
+      const response = await axios.post(`${API_URL}/access-reviews/items/${item.id}/apply`);
+      setItemsDialog({
+        ...itemsDialog,
+        items: itemsDialog.items.map(current => (current.id === item.id ? { ...current, ...response.data.data } : current))
+      });
+      showSnackbar(response.data.message, response.data.success ? 'success' : 'warning');
+    } catch (error) {
+      console.error('Error revoking access:', error);
+      showSnackbar(error.response?.data?.message || 'Error revoking access', 'error');
+    }
+  };
+
+  const handleCloseCampaign = async (campaign, action) => {
+    try {
+      const response = await axios.post(`${API_URL}/access-reviews/${campaign.id}/${action}`);
+      showSnackbar(response.data.message, 'success');
+      fetchData();
+    } catch (error) {
+      console.error(`Error trying to ${action} access review:`, error);
+      showSnackbar(error.response?.data?.message || `Error trying to ${action} access review`, 'error');
+    }
+  };
+
+  // Download the campaign report
+  const handleDownloadReport = async (campaign, format) => {
+    try {
+      const response = await axios.get(`${API_URL}/access-reviews/${campaign.id}/report`, {
+        params: { format },
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: response.headers['content-type'] }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `access-review-${campaign.id}.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      showSnackbar(`Report downloaded (SHA-256 ${response.headers['x-content-sha256']})`, 'success');
+    } catch (error) {
+      console.error('Error downloading report:', error);
+      showSnackbar('Error downloading report', 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <AccessReviewsContainer>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">Access Reviews</Typography>
+        {tabValue === 1 && canManage && (
+          <Button
+            variant="contained"
+            color="primary"
+            startIcon={<AddIcon />}
+            onClick={() => setCampaignDialog({ ...campaignDialog, open: true })}
+          >
+            Start Review
+          </Button>
+        )}
+      </Box>
+
+      {canManage && (
+        <Tabs value={tabValue} onChange={(event, newValue) => setTabValue(newValue)} sx={{ mb: 2 }}>
+          <Tab label="My Reviews" />
+          <Tab label="Campaigns" />
+        </Tabs>
+      )}
+
+      {tabValue === 0 && (
+        <Paper elevation={3}>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>User</TableCell>
+                  <TableCell>Role</TableCell>
+                  <TableCell>Department</TableCell>
+                  <TableCell>MFA</TableCell>
+                  <TableCell>IP Allowlist</TableCell>
+                  <TableCell>Last Login</TableCell>
+                  <TableCell>Campaign</TableCell>
+                  <TableCell align="right">Decision</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {myItems.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={8} align="center">No access is waiting for your review</TableCell>
+                  </TableRow>
+                ) : (
+                  myItems.map(item => (
+                    <TableRow key={item.id}>
+                      <TableCell>
+                        {item.snapshot.name}
+                        <Typography variant="body2" color="textSecondary">{item.snapshot.username}</Typography>
+                      </TableCell>
+                      <TableCell>{item.snapshot.role?.name || 'None'}</TableCell>
+                      <TableCell>{item.snapshot.department?.name || 'None'}</TableCell>
+                      <TableCell>
+                        <Chip size="small" label={item.snapshot.mfaEnabled ? 'Enabled' : 'Disabled'} color={item.snapshot.mfaEnabled ? 'success' : 'warning'} />
+                      </TableCell>
+                      <TableCell>{(item.snapshot.ipAllowlist || []).join(', ') || 'Any'}</TableCell>
+                      <TableCell>{formatDate(item.snapshot.lastLogin)}</TableCell>
+                      <TableCell>
+                        {item.campaign.name}
+                        <Typography variant="body2" color="textSecondary">Due {formatDate(item.campaign.dueDate)}</Typography>
+                      </TableCell>
+                      <TableCell align="right">
+                        <Button size="small" color="success" onClick={() => handleDecision(item, 'keep')}>Keep</Button>
+                        <Button size="small" color="warning" onClick={() => handleDecision(item, 'modify')}>Modify</Button>
+                        <Button size="small" color="error" onClick={() => handleDecision(item, 'revoke')}>Revoke</Button>
+                      </TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+
+      {tabValue === 1 && canManage && (
+        <Paper elevation={3}>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Due</TableCell>
+                  <TableCell>Progress</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {campaigns.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={5} align="center">No access reviews yet</TableCell>
+                  </TableRow>
+                ) : (
+                  campaigns.map(campaign => (
+                    <TableRow key={campaign.id}>
+                      <TableCell>{campaign.name}</TableCell>
+                      <TableCell>
+                        <Chip size="small" label={campaign.status} color={STATUS_COLORS[campaign.status]} />
+                        {campaign.overdue && <Chip size="small" label="overdue" color="error" sx={{ ml: 1 }} />}
+                      </TableCell>
+                      <TableCell>{formatDate(campaign.dueDate)}</TableCell>
+                      <TableCell>
+                        {campaign.summary.total - campaign.summary.pending} of {campaign.summary.total} decided
+                        <Typography variant="body2" color="textSecondary">
+                          {campaign.summary.keep} keep, {campaign.summary.modify} modify, {campaign.summary.revoke} revoke
+                        </Typography>
+                      </TableCell>
+                      <TableCell align="right">
+                        <Button size="small" onClick={() => handleViewItems(campaign)}>Details</Button>
+                        {campaign.status === 'active' && (
+                          <>
+                            <Button size="small" color="success" onClick={() => handleCloseCampaign(campaign, 'complete')}>Complete</Button>
+                            <Button size="small" color="error" onClick={() => handleCloseCampaign(campaign, 'cancel')}>Cancel</Button>
+                          </>
+                        )}
+                        <Button size="small" startIcon={<DownloadIcon />} onClick={() => handleDownloadReport(campaign, 'csv')}>CSV</Button>
+                        <Button size="small" startIcon={<DownloadIcon />} onClick={() => handleDownloadReport(campaign, 'json')}>JSON</Button>
+                      </TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+
+      {/* Decision notes dialog */}
+      <Dialog open={decisionDialog.open} onClose={() => setDecisionDialog({ ...decisionDialog, open: false })} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {decisionDialog.decision === 'revoke' ? 'Revoke access' : 'Modify access'}
+          {decisionDialog.item && ` of ${decisionDialog.item.snapshot.name}`}
+        </DialogTitle>
+        <DialogContent>
+          {decisionDialog.decision === 'revoke' && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              The account will be deactivated and signed out as soon as you confirm.
+            </Alert>
+          )}
+          <TextField
+            autoFocus
+            fullWidth
+            multiline
+            rows={3}
+            margin="dense"
+            label={decisionDialog.decision === 'revoke' ? 'Reason' : 'What should change'}
+            value={decisionDialog.notes}
+            onChange={(e) => setDecisionDialog({ ...decisionDialog, notes: e.target.value })}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDecisionDialog({ ...decisionDialog, open: false })}>Cancel</Button>
+          <Button
+            variant="contained"
+            color={DECISION_COLORS[decisionDialog.decision] || 'primary'}
+            disabled={!decisionDialog.notes.trim()}
+            onClick={() => submitDecision(decisionDialog.item, decisionDialog.decision, decisionDialog.notes)}
+          >
+            Confirm
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Start campaign dialog */}
+      <Dialog open={campaignDialog.open} onClose={() => setCampaignDialog({ ...campaignDialog, open: false })} maxWidth="sm" fullWidth>
+        <DialogTitle>Start Access Review</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                required
+                label="Name"
+                value={campaignDialog.name}
+                onChange={(e) => setCampaignDialog({ ...campaignDialog, name: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                multiline
+                rows={2}
+                label="Description"
+                value={campaignDialog.description}
+                onChange={(e) => setCampaignDialog({ ...campaignDialog, description: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                type="date"
+                label="Due Date"
+                InputLabelProps={{ shrink: true }}
+                helperText="Defaults to two weeks from today"
+                value={campaignDialog.dueDate}
+                onChange={(e) => setCampaignDialog({ ...campaignDialog, dueDate: e.target.value })}
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCampaignDialog({ ...campaignDialog, open: false })}>Cancel</Button>
+          <Button variant="contained" color="primary" disabled={!campaignDialog.name.trim()} onClick={handleCreateCampaign}>
+            Start
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Campaign items dialog */}
+      <Dialog open={itemsDialog.open} onClose={() => setItemsDialog({ open: false, campaign: null, items: [] })} maxWidth="lg" fullWidth>
+        <DialogTitle>{itemsDialog.campaign?.name}</DialogTitle>
+        <DialogContent>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>User</TableCell>
+                  <TableCell>Role</TableCell>
+                  <TableCell>Reviewer</TableCell>
+                  <TableCell>Decision</TableCell>
+                  <TableCell>Notes</TableCell>
+                  <TableCell align="right">Revocation</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {itemsDialog.items.map(item => (
+                  <TableRow key={item.id}>
+                    <TableCell>{item.snapshot.name} ({item.snapshot.username})</TableCell>
+                    <TableCell>{item.snapshot.role?.name || 'None'}</TableCell>
+                    <TableCell>{item.reviewer ? `${item.reviewer.firstName} ${item.reviewer.lastName}` : 'Unassigned'}</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={item.decision || 'pending'} color={DECISION_COLORS[item.decision] || 'default'} />
+                    </TableCell>
+                    <TableCell>{item.decisionNotes}</TableCell>
+                    <TableCell align="right">
+                      {item.decision === 'revoke' && (item.appliedAt ? `Applied ${formatDate(item.appliedAt)}` : (
+                        <Button size="small" color="error" title={item.applyError || ''} onClick={() => handleRetryRevocation(item)}>
+                          Retry
+                        </Button>
+                      ))}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setItemsDialog({ open: false, campaign: null, items: [] })}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Snackbar for notifications */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity} sx={{ width: '100%' }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </AccessReviewsContainer>
+  );
+};
+
+export default AccessReviews;
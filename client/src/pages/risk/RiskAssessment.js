@@ -46,6 +46,24 @@ import AssessmentIcon from '@mui/icons-material/Assessment';
 // API URL
 const API_URL = 'http://localhost:8080/api';
 
+// Ratings used until the organization's risk matrix has loaded
+const DEFAULT_LEVELS = [
+  { key: 'low', label: 'Low' },
+  { key: 'medium', label: 'Medium' },
+  { key: 'high', label: 'High' }
+];
+
+// Score likelihood and impact with the risk matrix (mirrors the server's scoring)
+const scoreWithMatrix = (matrix, likelihood, impact) => {
+  if (!matrix) return null;
+  const likelihoodLevel = matrix.likelihoodLevels.find(level => level.key === likelihood);
+  const impactLevel = matrix.impactLevels.find(level => level.key === impact);
+  if (!likelihoodLevel || !impactLevel) return null;
+
+  const score = likelihoodLevel.value * impactLevel.value;
+  return matrix.bands.reduce((match, band) => (score >= band.minScore ? band : match), matrix.bands[0]);
+};
+
 // Styled components
 const RiskContainer = styled(Box)(({ theme }) => ({
   padding: theme.spacing(2),
@@ -57,12 +75,13 @@ const ActionButton = styled(IconButton)(({ theme }) => ({
 
 const SeverityChip = styled(Chip)(({ theme, severity }) => ({
   backgroundColor: 
+    severity === 'critical' ? theme.palette.error.dark :
     severity === 'high' ? theme.palette.error.light :
     severity === 'medium' ? theme.palette.warning.light :
     severity === 'low' ? theme.palette.success.light :
     theme.palette.grey[500],
   color: 
-    severity === 'high' ? theme.palette.error.contrastText :
+    severity === 'critical' || severity === 'high' ? theme.palette.error.contrastText :
     severity === 'medium' ? theme.palette.warning.contrastText :
     severity === 'low' ? theme.palette.success.contrastText :
     theme.palette.grey[500],
@@ -73,6 +92,7 @@ const RiskCard = styled(Card)(({ theme, severity }) => ({
   display: 'flex',
   flexDirection: 'column',
   borderLeft: `4px solid ${
+    severity === 'critical' ? theme.palette.error.dark :
     severity === 'high' ? theme.palette.error.main :
     severity === 'medium' ? theme.palette.warning.main :
     severity === 'low' ? theme.palette.success.main :
@@ -115,6 +135,7 @@ const RiskAssessment = () => {
     status: 'open'
   });
   const [formErrors, setFormErrors] = useState({});
+  const [riskMatrix, setRiskMatrix] = useState(null);
   const [snackbar, setSnackbar] = useState({
     open: false,
     message: '',
@@ -258,6 +279,20 @@ const RiskAssessment = () => {
     fetchData();
   }, []);
 
+  // Fetch the risk matrix used to score likelihood and impact
+  useEffect(() => {
+    const fetchRiskMatrix = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/risk/matrix`);
+        setRiskMatrix(response.data.data);
+      } catch (error) {
+        console.error('Error fetching risk matrix:', error);
+      }
+    };
+
+    fetchRiskMatrix();
+  }, []);
+
   // Handle page change
   const handleChangePage = (event, newPage) => {
     setPage(newPage);
@@ -392,26 +427,16 @@ const RiskAssessment = () => {
       });
     }
 
-    // Auto-calculate severity based on likelihood and impact
+    // Auto-calculate severity with the organization's risk matrix
     if (name === 'likelihood' || name === 'impact') {
       const likelihood = name === 'likelihood' ? value : riskFormData.likelihood;
       const impact = name === 'impact' ? value : riskFormData.impact;
-      
-      let severity = 'medium';
-      if (likelihood === 'high' && impact === 'high') {
-        severity = 'high';
-      } else if (likelihood === 'low' && impact === 'low') {
-        severity = 'low';
-      } else if (likelihood === 'high' || impact === 'high') {
-        severity = 'high';
-      } else if (likelihood === 'low' && impact === 'medium') {
-        severity = 'low';
-      }
+      const band = scoreWithMatrix(riskMatrix, likelihood, impact);
       
       setRiskFormData({
         ...riskFormData,
         [name]: value,
-        severity: severity
+        severity: band ? band.level : riskFormData.severity
       });
     }
   };
@@ -614,6 +639,7 @@ const RiskAssessment = () => {
   // Get severity icon
   const getSeverityIcon = (severity) => {
     switch (severity) {
+      case 'critical':
       case 'high':
         return <WarningIcon fontSize="small" />;
       case 'medium':
@@ -1076,9 +1102,9 @@ const RiskAssessment = () => {
                   onChange={handleRiskInputChange}
                   label="Likelihood"
                 >
-                  <MenuItem value="low">Low</MenuItem>
-                  <MenuItem value="medium">Medium</MenuItem>
-                  <MenuItem value="high">High</MenuItem>
+                  {(riskMatrix ? riskMatrix.likelihoodLevels : DEFAULT_LEVELS).map(level => (
+                    <MenuItem key={level.key} value={level.key}>{level.label}</MenuItem>
+                  ))}
                 </Select>
                 {formErrors.likelihood && (
                   <Typography variant="caption" color="error">
@@ -1096,9 +1122,9 @@ const RiskAssessment = () => {
                   onChange={handleRiskInputChange}
                   label="Impact"
                 >
-                  <MenuItem value="low">Low</MenuItem>
-                  <MenuItem value="medium">Medium</MenuItem>
-                  <MenuItem value="high">High</MenuItem>
+                  {(riskMatrix ? riskMatrix.impactLevels : DEFAULT_LEVELS).map(level => (
+                    <MenuItem key={level.key} value={level.key}>{level.label}</MenuItem>
+                  ))}
                 </Select>
                 {formErrors.impact && (
                   <Typography variant="caption" color="error">
@@ -1119,6 +1145,7 @@ const RiskAssessment = () => {
                   <MenuItem value="low">Low</MenuItem>
                   <MenuItem value="medium">Medium</MenuItem>
                   <MenuItem value="high">High</MenuItem>
+                  <MenuItem value="critical">Critical</MenuItem>
                 </Select>
               </FormControl>
             </Grid>
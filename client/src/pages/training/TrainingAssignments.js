@@ -244,15 +244,16 @@ const TrainingAssignments = () => {
   // Download certificate
   const handleDownloadCertificate = async (assignmentId) => {
     try {
-      // In a real app, we would generate and download a certificate
-      // const response = await axios.get(`${API_URL}/training/assignments/${assignmentId}/certificate`, { responseType: 'blob' });
-      // const url = window.URL.createObjectURL(new Blob([response.data]));
-      // const link = document.createElement('a');
-      // link.href = url;
-      // link.setAttribute('download', 'certificate.pdf');
-      // document.body.appendChild(link);
-      // link.click();
-      
+      const response = await axios.get(`${API_URL}/training/assignments/${assignmentId}/certificate`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `certificate-${assignmentId}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
       showSnackbar('Certificate downloaded successfully', 'success');
     } catch (error) {
       console.error('Error downloading certificate:', error);
@@ -0,0 +1,344 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Checkbox,
+  Chip,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import axios from 'axios';
+
+// API URL
+const API_URL = 'http://localhost:8080/api';
+
+const WORK_LABELS = {
+  incidents: 'Open incidents',
+  riskItems: 'Risk items',
+  riskTreatmentTasks: 'Mitigation tasks',
+  documents: 'Draft and active documents',
+  departments: 'Departments managed',
+  accessReviewItems: 'Pending access review decisions'
+};
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : 'None');
+
+/**
+ * Confirms the offboarding of a user: shows the open work they own and asks for the successor
+ * who takes it over
+ */
+export const OffboardUserDialog = ({ user, users, onClose, onOffboarded, showSnackbar }) => {
+  const [openWork, setOpenWork] = useState(null);
+  const [successorId, setSuccessorId] = useState('');
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+
+    setOpenWork(null);
+    setSuccessorId('');
+    setReason('');
+    axios.get(`${API_URL}/users/${user.id}/open-work`)
+      .then(response => setOpenWork(response.data.data))
+      .catch((error) => {
+        console.error('Error loading open work:', error);
+        showSnackbar(error.response?.data?.message || 'Error loading open work', 'error');
+        onClose();
+      });
+  }, [user, onClose, showSnackbar]);
+
+  const workCount = openWork
+    ? Object.values(openWork).reduce((total, records) => total + records.length, 0)
+    : 0;
+
+  const handleSubmit = async () => {
+    try {
+      setSaving(true);
+      const response = await axios.post(`${API_URL}/users/${user.id}/offboard`, {
+        successorId: successorId || undefined,
+        reason: reason || undefined
+      });
+      showSnackbar(response.data.message, 'success');
+      onOffboarded(response.data.data);
+    } catch (error) {
+      console.error('Error offboarding user:', error);
+      showSnackbar(error.response?.data?.message || 'Error offboarding user', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(user)} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Offboard {user && fullName(user)}</DialogTitle>
+      <DialogContent>
+        {!openWork ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <>
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              The account will be deactivated, signed out everywhere and its MFA and security keys removed.
+            </Alert>
+            {workCount === 0 ? (
+              <Typography sx={{ mb: 2 }}>This user owns no open work.</Typography>
+            ) : (
+              <List dense>
+                {Object.entries(openWork)
+                  .filter(([, records]) => records.length > 0)
+                  .map(([type, records]) => (
+                    <ListItem key={type}>
+                      <ListItemText primary={`${WORK_LABELS[type] || type}: ${records.length}`} />
+                    </ListItem>
+                  ))}
+              </List>
+            )}
+            <FormControl fullWidth margin="normal" required={workCount > 0}>
+              <InputLabel>Successor</InputLabel>
+              <Select
+                value={successorId}
+                label="Successor"
+                onChange={(e) => setSuccessorId(e.target.value)}
+              >
+                <MenuItem value="">None</MenuItem>
+                {users
+                  .filter(candidate => candidate.id !== user.id && candidate.accountStatus === 'active')
+                  .map(candidate => (
+                    <MenuItem key={candidate.id} value={candidate.id}>
+                      {fullName(candidate)} ({candidate.username})
+                    </MenuItem>
+                  ))}
+              </Select>
+            </FormControl>
+            <TextField
+              fullWidth
+              margin="normal"
+              label="Reason"
+              placeholder="e.g. Resigned, contract ended"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+            />
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          color="error"
+          disabled={!openWork || saving || (workCount > 0 && !successorId)}
+          onClick={handleSubmit}
+        >
+          Offboard
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+/**
+ * Lists offboardings and lets administrators complete and sign off their termination checklists
+ */
+const Offboarding = ({ refreshKey, showSnackbar }) => {
+  const [offboardings, setOffboardings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [signOffNotes, setSignOffNotes] = useState('');
+
+  const loadOffboardings = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/users/offboardings`);
+      setOffboardings(response.data.data);
+    } catch (error) {
+      console.error('Error loading offboardings:', error);
+      showSnackbar('Error loading offboardings', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showSnackbar]);
+
+  // Reload when the parent offboards another user
+  useEffect(() => {
+    loadOffboardings();
+  }, [loadOffboardings, refreshKey]);
+
+  const handleOpen = async (offboarding) => {
+    try {
+      const response = await axios.get(`${API_URL}/users/offboardings/${offboarding.id}`);
+      setSelected(response.data.data);
+      setSignOffNotes('');
+    } catch (error) {
+      console.error('Error loading offboarding:', error);
+      showSnackbar(error.response?.data?.message || 'Error loading offboarding', 'error');
+    }
+  };
+
+  const handleToggleStep = async (step) => {
+    const notes = !step.completed ? window.prompt(`Notes for "${step.label}" (optional)`, step.notes || '') : step.notes;
+    if (notes === null) return;
+
+    try {
+      const response = await axios.put(`${API_URL}/users/offboardings/${selected.id}/checklist/${step.key}`, {
+        completed: !step.completed,
+        notes
+      });
+      setSelected({ ...selected, checklist: response.data.data.checklist });
+    } catch (error) {
+      console.error('Error updating checklist:', error);
+      showSnackbar(error.response?.data?.message || 'Error updating checklist', 'error');
+    }
+  };
+
+  const handleSignOff = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/users/offboardings/${selected.id}/sign-off`, { notes: signOffNotes });
+      showSnackbar(response.data.message, 'success');
+      setSelected(null);
+      loadOffboardings();
+    } catch (error) {
+      console.error('Error signing off offboarding:', error);
+      showSnackbar(error.response?.data?.message || 'Error signing off offboarding', 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <>
+      <TableContainer>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>User</TableCell>
+              <TableCell>Successor</TableCell>
+              <TableCell>Reason</TableCell>
+              <TableCell>Started</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Checklist</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {offboardings.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6} align="center">No users have been offboarded</TableCell>
+              </TableRow>
+            ) : (
+              offboardings.map(offboarding => (
+                <TableRow key={offboarding.id}>
+                  <TableCell>{fullName(offboarding.user)}</TableCell>
+                  <TableCell>{fullName(offboarding.successor)}</TableCell>
+                  <TableCell>{offboarding.reason}</TableCell>
+                  <TableCell>{new Date(offboarding.createdAt).toLocaleDateString()}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={offboarding.status === 'completed' ? 'Signed off' : 'In progress'}
+                      color={offboarding.status === 'completed' ? 'success' : 'warning'}
+                    />
+                  </TableCell>
+                  <TableCell align="right">
+                    <Button size="small" onClick={() => handleOpen(offboarding)}>
+                      {offboarding.checklist.filter(step => step.completed).length} of {offboarding.checklist.length} done
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog open={Boolean(selected)} onClose={() => setSelected(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Termination checklist: {selected && fullName(selected.user)}</DialogTitle>
+        <DialogContent>
+          {selected && (
+            <>
+              <List dense>
+                {selected.checklist.map(step => (
+                  <ListItem key={step.key}>
+                    <ListItemIcon>
+                      <Checkbox
+                        edge="start"
+                        checked={step.completed}
+                        disabled={selected.status === 'completed' || (step.automatic && step.completed)}
+                        onChange={() => handleToggleStep(step)}
+                      />
+                    </ListItemIcon>
+                    <ListItemText
+                      primary={step.label}
+                      secondary={[
+                        step.completedAt && `Done ${new Date(step.completedAt).toLocaleString()}`,
+                        step.notes
+                      ].filter(Boolean).join(' - ')}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+              {selected.status === 'completed' ? (
+                <Alert severity="success">
+                  Signed off by {fullName(selected.signer)} on {new Date(selected.signedOffAt).toLocaleString()}
+                  {selected.signOffNotes && `: ${selected.signOffNotes}`}
+                </Alert>
+              ) : (
+                <TextField
+                  fullWidth
+                  multiline
+                  rows={2}
+                  margin="normal"
+                  label="Sign-off notes"
+                  value={signOffNotes}
+                  onChange={(e) => setSignOffNotes(e.target.value)}
+                />
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSelected(null)}>Close</Button>
+          {selected && selected.status !== 'completed' && (
+            <Button
+              variant="contained"
+              color="primary"
+              disabled={selected.checklist.some(step => !step.completed)}
+              onClick={handleSignOff}
+            >
+              Sign Off
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default Offboarding;
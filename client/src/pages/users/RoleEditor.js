@@ -0,0 +1,312 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  FormControl,
+  FormControlLabel,
+  FormGroup,
+  InputLabel,
+  Select,
+  MenuItem,
+  Checkbox,
+  Chip,
+  Grid,
+  IconButton,
+  CircularProgress,
+  Tooltip
+} from '@mui/material';
+import axios from 'axios';
+
+// Icons
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+// API URL
+const API_URL = 'http://localhost:8080/api';
+
+const EMPTY_ROLE = {
+  name: '',
+  description: '',
+  permissions: [],
+  includedRoleIds: []
+};
+
+/**
+ * Group catalog permissions for display
+ * @param {Array} catalog - Permissions, as { key, group, description }
+ * @returns {Array} [group, permissions] pairs in catalog order
+ */
+const groupCatalog = (catalog) => {
+  const groups = new Map();
+  catalog.forEach((permission) => {
+    groups.set(permission.group, [...(groups.get(permission.group) || []), permission]);
+  });
+  return [...groups.entries()];
+};
+
+/**
+ * Lists roles with their effective permissions and lets users with roles:manage compose
+ * roles from catalog permissions and other roles
+ */
+const RoleEditor = ({ canManage, onRolesChanged, showSnackbar }) => {
+  const [roles, setRoles] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [openDialog, setOpenDialog] = useState(false);
+  const [editingRole, setEditingRole] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_ROLE);
+  const [saving, setSaving] = useState(false);
+
+  const loadRoles = useCallback(async () => {
+    const response = await axios.get(`${API_URL}/users/roles`);
+    setRoles(response.data.data);
+    if (onRolesChanged) {
+      onRolesChanged(response.data.data);
+    }
+  }, [onRolesChanged]);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        setLoading(true);
+        const catalogResponse = await axios.get(`${API_URL}/users/permissions`);
+        setCatalog(catalogResponse.data.data);
+        await loadRoles();
+      } catch (error) {
+        console.error('Error loading roles:', error);
+        showSnackbar(error.response?.data?.message || 'Error loading roles', 'error');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [loadRoles, showSnackbar]);
+
+  const roleName = (id) => {
+    const role = roles.find(candidate => candidate.id === id);
+    return role ? role.name : `Role ${id}`;
+  };
+
+  // Permissions the edited role would inherit from the roles it includes
+  const inheritedPermissions = () => {
+    const inherited = new Set();
+    formData.includedRoleIds.forEach((id) => {
+      const role = roles.find(candidate => candidate.id === id);
+      (role ? role.effectivePermissions : []).forEach(key => inherited.add(key));
+    });
+    return inherited;
+  };
+
+  const handleAddRole = () => {
+    setEditingRole(null);
+    setFormData(EMPTY_ROLE);
+    setOpenDialog(true);
+  };
+
+  const handleEditRole = (role) => {
+    setEditingRole(role);
+    setFormData({
+      name: role.name,
+      description: role.description || '',
+      permissions: role.permissions,
+      includedRoleIds: role.includedRoleIds
+    });
+    setOpenDialog(true);
+  };
+
+  const handleTogglePermission = (key) => {
+    setFormData({
+      ...formData,
+      permissions: formData.permissions.includes(key)
+        ? formData.permissions.filter(permission => permission !== key)
+        : [...formData.permissions, key]
+    });
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      if (editingRole) {
+        await axios.put(`${API_URL}/users/roles/${editingRole.id}`, formData);
+        showSnackbar('Role updated successfully', 'success');
+      } else {
+        await axios.post(`${API_URL}/users/roles`, formData);
+        showSnackbar('Role created successfully', 'success');
+      }
+      await loadRoles();
+      setOpenDialog(false);
+    } catch (error) {
+      console.error('Error saving role:', error);
+      showSnackbar(error.response?.data?.message || 'Error saving role', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteRole = async (role) => {
+    if (!window.confirm(`Delete the role "${role.name}"?`)) return;
+
+    try {
+      await axios.delete(`${API_URL}/users/roles/${role.id}`);
+      showSnackbar('Role deleted successfully', 'success');
+      await loadRoles();
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      showSnackbar(error.response?.data?.message || 'Error deleting role', 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const inherited = inheritedPermissions();
+
+  return (
+    <Box>
+      {canManage && (
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+          <Button variant="contained" color="primary" startIcon={<AddIcon />} onClick={handleAddRole}>
+            Add Role
+          </Button>
+        </Box>
+      )}
+
+      <TableContainer>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Role</TableCell>
+              <TableCell>Includes</TableCell>
+              <TableCell>Effective Permissions</TableCell>
+              {canManage && <TableCell>Actions</TableCell>}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {roles.map((role) => (
+              <TableRow key={role.id}>
+                <TableCell>
+                  <Typography variant="subtitle2">{role.name}</Typography>
+                  <Typography variant="body2" color="text.secondary">{role.description}</Typography>
+                </TableCell>
+                <TableCell>{role.includedRoleIds.map(roleName).join(', ') || '—'}</TableCell>
+                <TableCell>
+                  {role.isAdmin ? (
+                    <Chip label="All permissions" color="primary" size="small" />
+                  ) : (
+                    role.effectivePermissions.map(key => (
+                      <Chip key={key} label={key} size="small" variant="outlined" sx={{ mr: 0.5, mb: 0.5 }} />
+                    ))
+                  )}
+                </TableCell>
+                {canManage && (
+                  <TableCell>
+                    <IconButton color="primary" size="small" onClick={() => handleEditRole(role)}>
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton color="error" size="small" onClick={() => handleDeleteRole(role)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                )}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Add/Edit Role Dialog */}
+      <Dialog open={openDialog} onClose={() => setOpenDialog(false)} maxWidth="md" fullWidth>
+        <DialogTitle>{editingRole ? `Edit Role: ${editingRole.name}` : 'Add Role'}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 1 }}>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="Name"
+                fullWidth
+                value={formData.name}
+                onChange={e => setFormData({ ...formData, name: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <FormControl fullWidth>
+                <InputLabel>Includes Roles</InputLabel>
+                <Select
+                  multiple
+                  value={formData.includedRoleIds}
+                  onChange={e => setFormData({ ...formData, includedRoleIds: e.target.value })}
+                  label="Includes Roles"
+                  renderValue={selected => selected.map(roleName).join(', ')}
+                >
+                  {roles
+                    .filter(role => !editingRole || role.id !== editingRole.id)
+                    .map(role => (
+                      <MenuItem key={role.id} value={role.id}>{role.name}</MenuItem>
+                    ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                label="Description"
+                fullWidth
+                multiline
+                rows={2}
+                value={formData.description}
+                onChange={e => setFormData({ ...formData, description: e.target.value })}
+              />
+            </Grid>
+            {groupCatalog(catalog).map(([group, permissions]) => (
+              <Grid item xs={12} sm={6} key={group}>
+                <Typography variant="subtitle2" sx={{ mt: 1 }}>{group}</Typography>
+                <FormGroup>
+                  {permissions.map(permission => (
+                    <Tooltip key={permission.key} title={permission.description} placement="right">
+                      <FormControlLabel
+                        control={
+                          <Checkbox
+                            size="small"
+                            checked={formData.permissions.includes(permission.key) || inherited.has(permission.key)}
+                            disabled={inherited.has(permission.key)}
+                            onChange={() => handleTogglePermission(permission.key)}
+                          />
+                        }
+                        label={inherited.has(permission.key) ? `${permission.key} (inherited)` : permission.key}
+                      />
+                    </Tooltip>
+                  ))}
+                </FormGroup>
+              </Grid>
+            ))}
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenDialog(false)}>Cancel</Button>
+          <Button onClick={handleSave} variant="contained" color="primary" disabled={saving || !formData.name}>
+            {editingRole ? 'Save Changes' : 'Add Role'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default RoleEditor;
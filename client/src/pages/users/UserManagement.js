@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   Box, 
   Typography, 
@@ -24,17 +24,26 @@ import {
   IconButton,
   CircularProgress,
   Snackbar,
-  Alert
+  Alert,
+  Tabs,
+  Tab,
+  List,
+  ListItem,
+  ListItemText
 } from '@mui/material';
 import { styled } from '@mui/material/styles';
 import axios from 'axios';
 import { useAuth } from '../../contexts/AuthContext';
+import RoleEditor from './RoleEditor';
+import Offboarding, { OffboardUserDialog } from './Offboarding';
 
 // Icons
 import AddIcon from '@mui/icons-material/Add';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
 import PersonAddIcon from '@mui/icons-material/PersonAdd';
+import VpnKeyIcon from '@mui/icons-material/VpnKey';
+import ExitToAppIcon from '@mui/icons-material/ExitToApp';
 
 // API URL
 const API_URL = 'http://localhost:8080/api';
@@ -49,7 +58,8 @@ const ActionButton = styled(IconButton)(({ theme }) => ({
 }));
 
 const UserManagement = () => {
-  const { hasRole } = useAuth();
+  const { hasPermission } = useAuth();
+  const [tabValue, setTabValue] = useState(0);
   const [users, setUsers] = useState([]);
   const [roles, setRoles] = useState([]);
   const [departments, setDepartments] = useState([]);
@@ -69,6 +79,13 @@ const UserManagement = () => {
     roles: []
   });
   const [formErrors, setFormErrors] = useState({});
+  const [permissionsDialog, setPermissionsDialog] = useState({
+    open: false,
+    loading: false,
+    data: null
+  });
+  const [offboardUser, setOffboardUser] = useState(null);
+  const [offboardingsRefreshKey, setOffboardingsRefreshKey] = useState(0);
   const [snackbar, setSnackbar] = useState({
     open: false,
     message: '',
@@ -281,14 +298,39 @@ const UserManagement = () => {
     }
   };
 
-  // Show snackbar message
-  const showSnackbar = (message, severity = 'success') => {
+  // Close the offboarding dialog (stable, as the dialog loads open work in an effect that uses it)
+  const handleCloseOffboard = useCallback(() => setOffboardUser(null), []);
+
+  // The user has been offboarded: show them as inactive and open their checklist
+  const handleOffboarded = (offboarding) => {
+    setUsers(users.map(user => (user.id === offboarding.userId ? { ...user, accountStatus: 'inactive' } : user)));
+    setOffboardUser(null);
+    setOffboardingsRefreshKey(offboardingsRefreshKey + 1);
+    setTabValue(2);
+  };
+
+  // Show a user's effective permissions and the roles that grant them
+  const handleViewPermissions = async (user) => {
+    setPermissionsDialog({ open: true, loading: true, data: null });
+
+    try {
+      const response = await axios.get(`${API_URL}/users/${user.id}/permissions`);
+      setPermissionsDialog({ open: true, loading: false, data: response.data.data });
+    } catch (error) {
+      console.error('Error loading permissions:', error);
+      showSnackbar(error.response?.data?.message || 'Error loading permissions', 'error');
+      setPermissionsDialog({ open: false, loading: false, data: null });
+    }
+  };
+
+  // Show snackbar message (stable, as child components load data in effects that use it)
+  const showSnackbar = useCallback((message, severity = 'success') => {
     setSnackbar({
       open: true,
       message,
       severity
     });
-  };
+  }, []);
 
   // Handle snackbar close
   const handleCloseSnackbar = () => {
@@ -316,7 +358,7 @@ const UserManagement = () => {
     <UserManagementContainer>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
         <Typography variant="h4">User Management</Typography>
-        {hasRole('admin') && (
+        {tabValue === 0 && hasPermission('users:create') && (
           <Button
             variant="contained"
             color="primary"
@@ -328,34 +370,67 @@ const UserManagement = () => {
         )}
       </Box>
       
-      <Paper elevation={3}>
-        <TableContainer>
-          <Table>
-            <TableHead>
-              <TableRow>
-                <TableCell>Username</TableCell>
-                <TableCell>Name</TableCell>
-                <TableCell>Email</TableCell>
-                <TableCell>Department</TableCell>
-                <TableCell>Roles</TableCell>
-                <TableCell>Status</TableCell>
-                <TableCell>Actions</TableCell>
-              </TableRow>
-            </TableHead>
-            <TableBody>
-              {users
-                .slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage)
-                .map((user) => (
-                  <TableRow key={user.id}>
-                    <TableCell>{user.username}</TableCell>
-                    <TableCell>{`${user.firstName} ${user.lastName}`}</TableCell>
-                    <TableCell>{user.email}</TableCell>
-                    <TableCell>{getDepartmentName(user.departmentId)}</TableCell>
-                    <TableCell>{user.roles.join(', ')}</TableCell>
-                    <TableCell>{user.accountStatus}</TableCell>
-                    <TableCell>
-                      {hasRole('admin') && (
-                        <>
+      {(hasPermission('roles:read') || hasPermission('users:offboard')) && (
+        <Tabs value={tabValue} onChange={(event, newValue) => setTabValue(newValue)} sx={{ mb: 2 }}>
+          <Tab label="Users" value={0} />
+          {hasPermission('roles:read') && <Tab label="Roles" value={1} />}
+          {hasPermission('users:offboard') && <Tab label="Offboarding" value={2} />}
+        </Tabs>
+      )}
+
+      {tabValue === 2 && (
+        <Paper elevation={3} sx={{ p: 2 }}>
+          <Offboarding refreshKey={offboardingsRefreshKey} showSnackbar={showSnackbar} />
+        </Paper>
+      )}
+
+      {tabValue === 1 && (
+        <Paper elevation={3} sx={{ p: 2 }}>
+          <RoleEditor
+            canManage={hasPermission('roles:manage')}
+            onRolesChanged={setRoles}
+            showSnackbar={showSnackbar}
+          />
+        </Paper>
+      )}
+
+      {tabValue === 0 && (
+        <Paper elevation={3}>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Username</TableCell>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Email</TableCell>
+                  <TableCell>Department</TableCell>
+                  <TableCell>Roles</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {users
+                  .slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage)
+                  .map((user) => (
+                    <TableRow key={user.id}>
+                      <TableCell>{user.username}</TableCell>
+                      <TableCell>{`${user.firstName} ${user.lastName}`}</TableCell>
+                      <TableCell>{user.email}</TableCell>
+                      <TableCell>{getDepartmentName(user.departmentId)}</TableCell>
+                      <TableCell>{user.roles.join(', ')}</TableCell>
+                      <TableCell>{user.accountStatus}</TableCell>
+                      <TableCell>
+                        {hasPermission('roles:read') && (
+                          <ActionButton
+                            size="small"
+                            title="Effective permissions"
+                            onClick={() => handleViewPermissions(user)}
+                          >
+                            <VpnKeyIcon fontSize="small" />
+                          </ActionButton>
+                        )}
+                        {hasPermission('users:update') && (
                           <ActionButton
                             color="primary"
                             size="small"
@@ -363,6 +438,18 @@ const UserManagement = () => {
                           >
                             <EditIcon fontSize="small" />
                           </ActionButton>
+                        )}
+                        {hasPermission('users:offboard') && user.accountStatus === 'active' && (
+                          <ActionButton
+                            color="warning"
+                            size="small"
+                            title="Offboard"
+                            onClick={() => setOffboardUser(user)}
+                          >
+                            <ExitToAppIcon fontSize="small" />
+                          </ActionButton>
+                        )}
+                        {hasPermission('users:delete') && (
                           <ActionButton
                             color="error"
                             size="small"
@@ -370,24 +457,24 @@ const UserManagement = () => {
                           >
                             <DeleteIcon fontSize="small" />
                           </ActionButton>
-                        </>
-                      )}
-                    </TableCell>
-                  </TableRow>
-                ))}
-            </TableBody>
-          </Table>
-        </TableContainer>
-        <TablePagination
-          rowsPerPageOptions={[5, 10, 25]}
-          component="div"
-          count={users.length}
-          rowsPerPage={rowsPerPage}
-          page={page}
-          onPageChange={handleChangePage}
-          onRowsPerPageChange={handleChangeRowsPerPage}
-        />
-      </Paper>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            rowsPerPageOptions={[5, 10, 25]}
+            component="div"
+            count={users.length}
+            rowsPerPage={rowsPerPage}
+            page={page}
+            onPageChange={handleChangePage}
+            onRowsPerPageChange={handleChangeRowsPerPage}
+          />
+        </Paper>
+      )}
       
       {/* Add/Edit User Dialog */}
       <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="md" fullWidth>
@@ -509,6 +596,59 @@ const UserManagement = () => {
         </DialogActions>
       </Dialog>
       
+      {/* Effective Permissions Dialog */}
+      <Dialog
+        open={permissionsDialog.open}
+        onClose={() => setPermissionsDialog({ open: false, loading: false, data: null })}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>
+          Effective Permissions
+          {permissionsDialog.data && ` - ${permissionsDialog.data.user.firstName} ${permissionsDialog.data.user.lastName}`}
+        </DialogTitle>
+        <DialogContent>
+          {permissionsDialog.loading && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+              <CircularProgress />
+            </Box>
+          )}
+          {permissionsDialog.data && (
+            <>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                Role: {permissionsDialog.data.role ? permissionsDialog.data.role.name : 'None'}
+                {permissionsDialog.data.isAdmin && ' (grants all permissions)'}
+              </Typography>
+              {permissionsDialog.data.permissions.length === 0 ? (
+                <Typography variant="body2">This user has no permissions beyond basic access.</Typography>
+              ) : (
+                <List dense>
+                  {permissionsDialog.data.permissions.map(permission => (
+                    <ListItem key={permission.key} disableGutters>
+                      <ListItemText
+                        primary={`${permission.key} - ${permission.description}`}
+                        secondary={`Granted by: ${permission.grantedBy.join(', ')}`}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPermissionsDialog({ open: false, loading: false, data: null })}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      <OffboardUserDialog
+        user={offboardUser}
+        users={users}
+        onClose={handleCloseOffboard}
+        onOffboarded={handleOffboarded}
+        showSnackbar={showSnackbar}
+      />
+
       {/* Snackbar for notifications */}
       <Snackbar
         open={snackbar.open}
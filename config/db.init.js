@@ -10,6 +10,11 @@ const initializeDatabase = async () => {
     
     // Import models
     const { Role, Department, User, TrainingCourse, ComplianceRequirement } = require('../models');
+    const { SECURITY_RULE_REQUIREMENTS, RESPONSIBLE_ROLE_BY_CATEGORY } = require('./security-rule.seed');
+    const { DEFAULT_ROLE_PERMISSIONS } = require('./permissions');
+
+    // Map catalog permission keys to the stored { key: true } form
+    const grant = (keys) => keys.reduce((granted, key) => ({ ...granted, [key]: true }), {});
     
     // Create default roles
     const roles = [
@@ -38,7 +43,8 @@ const initializeDatabase = async () => {
           canManageTraining: true,
           canManageDocuments: true,
           canManageCompliance: true,
-          canViewReports: true
+          canViewReports: true,
+          ...grant(DEFAULT_ROLE_PERMISSIONS['Compliance Officer'])
         })
       },
       { 
@@ -52,7 +58,8 @@ const initializeDatabase = async () => {
           canManageTraining: false,
           canManageDocuments: false,
           canManageCompliance: false,
-          canViewReports: true
+          canViewReports: true,
+          ...grant(DEFAULT_ROLE_PERMISSIONS['Department Manager'])
         })
       },
       { 
@@ -66,7 +73,8 @@ const initializeDatabase = async () => {
           canManageTraining: false,
           canManageDocuments: false,
           canManageCompliance: false,
-          canViewReports: false
+          canViewReports: false,
+          ...grant(DEFAULT_ROLE_PERMISSIONS.Employee)
         })
       }
     ];
@@ -148,40 +156,17 @@ const initializeDatabase = async () => {
     }
     console.log('Sample training courses created successfully');
     
-    // Create sample compliance requirements
+    // Create compliance requirements: the full Security Rule plus privacy and breach notification samples
+    const roleIdsByName = (await Role.findAll()).reduce((ids, role) => {
+      ids[role.name] = role.id;
+      return ids;
+    }, {});
+
     const complianceRequirements = [
-      {
-        title: 'Risk Analysis',
-        description: 'Conduct and document a risk analysis to identify potential risks and vulnerabilities to PHI',
-        category: 'security',
-        citation: '45 CFR § 164.308(a)(1)(ii)(A)',
-        frequency: 'annually',
-        responsibleRoleId: 2 // Compliance Officer
-      },
-      {
-        title: 'Risk Management',
-        description: 'Implement security measures to reduce risks and vulnerabilities to PHI',
-        category: 'security',
-        citation: '45 CFR § 164.308(a)(1)(ii)(B)',
-        frequency: 'quarterly',
-        responsibleRoleId: 2 // Compliance Officer
-      },
-      {
-        title: 'Sanction Policy',
-        description: 'Apply appropriate sanctions against workforce members who fail to comply with security policies',
-        category: 'security',
-        citation: '45 CFR § 164.308(a)(1)(ii)(C)',
-        frequency: 'annually',
-        responsibleRoleId: 2 // Compliance Officer
-      },
-      {
-        title: 'Information System Activity Review',
-        description: 'Regularly review records of information system activity, such as audit logs, access reports, and security incident tracking',
-        category: 'security',
-        citation: '45 CFR § 164.308(a)(1)(ii)(D)',
-        frequency: 'monthly',
-        responsibleRoleId: 2 // Compliance Officer
-      },
+      ...SECURITY_RULE_REQUIREMENTS.map(requirement => ({
+        ...requirement,
+        responsibleRoleId: roleIdsByName[RESPONSIBLE_ROLE_BY_CATEGORY[requirement.category]]
+      })),
       {
         title: 'Notice of Privacy Practices',
         description: 'Maintain and distribute a notice of privacy practices',
@@ -0,0 +1,100 @@
+/**
+ * Permission Catalog
+ * @module config/permissions
+ * @description The permissions that routes are guarded by and that roles grant. Keys are
+ * '<resource>:<action>'. Roles store the keys they grant in their permissions object
+ * (e.g. { "incidents:update": true }) and may include other roles to inherit theirs.
+ */
+
+/**
+ * Every permission, grouped for display in the role editor
+ * @type {Array<Object>}
+ */
+const PERMISSIONS = [
+  // Users and access
+  { key: 'users:create', group: 'Users and access', description: 'Create user accounts' },
+  { key: 'users:update', group: 'Users and access', description: 'Edit user accounts, roles and departments' },
+  { key: 'users:delete', group: 'Users and access', description: 'Deactivate user accounts' },
+  { key: 'users:offboard', group: 'Users and access', description: 'Offboard departing users, transfer their open work and sign off termination checklists' },
+  { key: 'records:view-all', group: 'Users and access', description: 'See the users, training, acknowledgments and incidents of every department' },
+  { key: 'roles:read', group: 'Users and access', description: "View roles and each user's effective permissions" },
+  { key: 'roles:manage', group: 'Users and access', description: 'Create, edit and delete roles' },
+  { key: 'departments:manage', group: 'Users and access', description: 'Create departments' },
+  { key: 'lockouts:manage', group: 'Users and access', description: 'View and clear sign-in lockouts' },
+  { key: 'sso:manage', group: 'Users and access', description: 'Configure single sign-on and group mappings' },
+  { key: 'scim:manage', group: 'Users and access', description: 'Create and revoke SCIM provisioning tokens' },
+  { key: 'service-accounts:manage', group: 'Users and access', description: 'Manage service accounts and their API keys' },
+  { key: 'emergency-access:designate', group: 'Users and access', description: 'Designate who may activate break-glass emergency access' },
+  { key: 'emergency-access:review', group: 'Users and access', description: 'View and review break-glass activations' },
+  { key: 'access-reviews:manage', group: 'Users and access', description: 'Run access review campaigns and export their reports' },
+
+  // Training
+  { key: 'training:manage', group: 'Training', description: 'Create and edit courses and quiz questions' },
+  { key: 'training:assign', group: 'Training', description: 'Assign training to users' },
+  { key: 'training:view-all', group: 'Training', description: "View every user's training records and quiz answers" },
+  { key: 'training-rules:manage', group: 'Training', description: 'Manage automatic assignment rules and the scheduler' },
+
+  // Documents
+  { key: 'documents:create', group: 'Documents', description: 'Upload policies and documents' },
+  { key: 'documents:update', group: 'Documents', description: 'Edit documents and restore earlier versions' },
+  { key: 'documents:delete', group: 'Documents', description: 'Delete documents' },
+  { key: 'document-categories:manage', group: 'Documents', description: 'Create document categories' },
+
+  // Compliance
+  { key: 'compliance-requirements:manage', group: 'Compliance', description: 'Create, edit and delete compliance requirements' },
+  { key: 'compliance-assessments:manage', group: 'Compliance', description: 'Record compliance assessments' },
+
+  // Risk
+  { key: 'risk:manage', group: 'Risk', description: 'Manage risk assessments, risk items and their treatment' },
+  { key: 'risk:approve', group: 'Risk', description: 'Approve risk assessments and risk acceptance' },
+  { key: 'risk-matrix:manage', group: 'Risk', description: 'Change the risk matrix and rescore risks' },
+
+  // Incidents and breaches
+  { key: 'incidents:update', group: 'Incidents', description: 'Update incidents' },
+  { key: 'incidents:delete', group: 'Incidents', description: 'Delete incidents' },
+  { key: 'breaches:read', group: 'Incidents', description: 'View breach assessments, notifications and deadlines' },
+  { key: 'breaches:manage', group: 'Incidents', description: 'Make breach determinations and record notifications' },
+
+  // Audit and reporting
+  { key: 'audit:read', group: 'Audit and reporting', description: 'Search and view the audit log' },
+  { key: 'audit:export', group: 'Audit and reporting', description: 'Export the audit log' },
+  { key: 'audit:verify', group: 'Audit and reporting', description: 'Verify the integrity of the audit log' },
+  { key: 'reports:advanced', group: 'Audit and reporting', description: 'Generate comprehensive, executive and custom reports' }
+];
+
+/**
+ * Permissions of the built-in roles other than Admin, which is granted every permission
+ */
+const DEFAULT_ROLE_PERMISSIONS = {
+  'Compliance Officer': [
+    'records:view-all',
+    'roles:read',
+    'emergency-access:review',
+    'access-reviews:manage',
+    'training:view-all',
+    'documents:create',
+    'documents:update',
+    'documents:delete',
+    'document-categories:manage',
+    'compliance-requirements:manage',
+    'compliance-assessments:manage',
+    'risk:manage',
+    'risk:approve',
+    'risk-matrix:manage',
+    'incidents:update',
+    'incidents:delete',
+    'breaches:read',
+    'breaches:manage',
+    'audit:read',
+    'audit:export',
+    'audit:verify',
+    'reports:advanced'
+  ],
+  'Department Manager': [],
+  Employee: []
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS
+};
@@ -0,0 +1,472 @@
+/**
+ * HIPAA Security Rule Requirements
+ * @module config/security-rule-seed
+ * @description Seed data for the administrative, physical and technical safeguards and the
+ * organizational and documentation requirements of 45 CFR §§ 164.308–164.316.
+ * Standards with implementation specifications are represented by their specifications;
+ * standards without specifications are represented by the standard itself.
+ */
+
+/**
+ * Role responsible for each safeguard category by default
+ */
+const RESPONSIBLE_ROLE_BY_CATEGORY = {
+  administrative: 'Compliance Officer',
+  physical: 'Compliance Officer',
+  technical: 'Admin',
+  organizational: 'Compliance Officer',
+  policies_documentation: 'Compliance Officer'
+};
+
+/**
+ * Security Rule requirements
+ * @type {Array<Object>}
+ */
+const SECURITY_RULE_REQUIREMENTS = [
+  // 45 CFR § 164.308 - Administrative safeguards
+  {
+    title: 'Risk Analysis',
+    description: 'Conduct an accurate and thorough assessment of the potential risks and vulnerabilities to the confidentiality, integrity, and availability of ePHI',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(1)(ii)(A)',
+    standard: 'Security Management Process',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Risk Management',
+    description: 'Implement security measures sufficient to reduce risks and vulnerabilities to a reasonable and appropriate level',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(1)(ii)(B)',
+    standard: 'Security Management Process',
+    implementationType: 'required',
+    frequency: 'quarterly'
+  },
+  {
+    title: 'Sanction Policy',
+    description: 'Apply appropriate sanctions against workforce members who fail to comply with security policies and procedures',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(1)(ii)(C)',
+    standard: 'Security Management Process',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Information System Activity Review',
+    description: 'Regularly review records of information system activity, such as audit logs, access reports, and security incident tracking reports',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(1)(ii)(D)',
+    standard: 'Security Management Process',
+    implementationType: 'required',
+    frequency: 'monthly'
+  },
+  {
+    title: 'Assigned Security Responsibility',
+    description: 'Identify the security official responsible for developing and implementing security policies and procedures',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(2)',
+    standard: 'Assigned Security Responsibility',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Authorization and/or Supervision',
+    description: 'Authorize and/or supervise workforce members who work with ePHI or in locations where it might be accessed',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(3)(ii)(A)',
+    standard: 'Workforce Security',
+    implementationType: 'addressable',
+    frequency: 'annually'
+  },
+  {
+    title: 'Workforce Clearance Procedure',
+    description: 'Determine that the access of a workforce member to ePHI is appropriate',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(3)(ii)(B)',
+    standard: 'Workforce Security',
+    implementationType: 'addressable',
+    frequency: 'annually'
+  },
+  {
+    title: 'Termination Procedures',
+    description: 'Terminate access to ePHI when employment of, or other arrangement with, a workforce member ends',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(3)(ii)(C)',
+    standard: 'Workforce Security',
+    implementationType: 'addressable',
+    frequency: 'quarterly'
+  },
+  {
+    title: 'Isolating Health Care Clearinghouse Functions',
+    description: 'Protect the ePHI of a health care clearinghouse that is part of a larger organization from unauthorized access by the larger organization',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(4)(ii)(A)',
+    standard: 'Information Access Management',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Access Authorization',
+    description: 'Implement policies and procedures for granting access to ePHI, for example through access to a workstation, transaction, program, or process',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(4)(ii)(B)',
+    standard: 'Information Access Management',
+    implementationType: 'addressable',
+    frequency: 'annually'
+  },
+  {
+    title: 'Access Establishment and Modification',
+    description: 'Establish, document, review, and modify a user\'s right of access to a workstation, transaction, program, or process',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(4)(ii)(C)',
+    standard: 'Information Access Management',
+    implementationType: 'addressable',
+    frequency: 'quarterly'
+  },
+  {
+    title: 'Security Reminders',
+    description: 'Provide periodic security updates to the workforce',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(5)(ii)(A)',
+    standard: 'Security Awareness and Training',
+    implementationType: 'addressable',
+    frequency: 'quarterly'
+  },
+  {
+    title: 'Protection from Malicious Software',
+    description: 'Implement procedures for guarding against, detecting, and reporting malicious software',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(5)(ii)(B)',
+    standard: 'Security Awareness and Training',
+    implementationType: 'addressable',
+    frequency: 'quarterly'
+  },
+  {
+    title: 'Log-in Monitoring',
+    description: 'Implement procedures for monitoring log-in attempts and reporting discrepancies',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(5)(ii)(C)',
+    standard: 'Security Awareness and Training',
+    implementationType: 'addressable',
+    frequency: 'monthly'
+  },
+  {
+    title: 'Password Management',
+    description: 'Implement procedures for creating, changing, and safeguarding passwords',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(5)(ii)(D)',
+    standard: 'Security Awareness and Training',
+    implementationType: 'addressable',
+    frequency: 'annually'
+  },
+  {
+    title: 'Security Incident Response and Reporting',
+    description: 'Identify and respond to suspected or known security incidents, mitigate their harmful effects, and document incidents and their outcomes',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(6)(ii)',
+    standard: 'Security Incident Procedures',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Data Backup Plan',
+    description: 'Establish and implement procedures to create and maintain retrievable exact copies of ePHI',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(7)(ii)(A)',
+    standard: 'Contingency Plan',
+    implementationType: 'required',
+    frequency: 'quarterly'
+  },
+  {
+    title: 'Disaster Recovery Plan',
+    description: 'Establish and implement procedures to restore any loss of data',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(7)(ii)(B)',
+    standard: 'Contingency Plan',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Emergency Mode Operation Plan',
+    description: 'Establish procedures to enable continuation of critical business processes for protection of ePHI while operating in emergency mode',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(7)(ii)(C)',
+    standard: 'Contingency Plan',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Testing and Revision Procedures',
+    description: 'Implement procedures for periodic testing and revision of contingency plans',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(7)(ii)(D)',
+    standard: 'Contingency Plan',
+    implementationType: 'addressable',
+    frequency: 'annually'
+  },
+  {
+    title: 'Applications and Data Criticality Analysis',
+    description: 'Assess the relative criticality of specific applications and data in support of other contingency plan components',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(7)(ii)(E)',
+    standard: 'Contingency Plan',
+    implementationType: 'addressable',
+    frequency: 'annually'
+  },
+  {
+    title: 'Evaluation',
+    description: 'Perform a periodic technical and nontechnical evaluation of how well security policies and procedures meet the Security Rule',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(a)(8)',
+    standard: 'Evaluation',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Written Contract or Other Arrangement',
+    description: 'Document the satisfactory assurances required of business associates through a written contract or other arrangement',
+    category: 'administrative',
+    citation: '45 CFR § 164.308(b)(3)',
+    standard: 'Business Associate Contracts and Other Arrangements',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+
+  // 45 CFR § 164.310 - Physical safeguards
+  {
+    title: 'Contingency Operations',
+    description: 'Establish procedures that allow facility access in support of restoration of lost data under the disaster recovery and emergency mode operations plans',
+    category: 'physical',
+    citation: '45 CFR § 164.310(a)(2)(i)',
+    standard: 'Facility Access Controls',
+    implementationType: 'addressable',
+    frequency: 'annually'
+  },
+  {
+    title: 'Facility Security Plan',
+    description: 'Safeguard the facility and the equipment therein from unauthorized physical access, tampering, and theft',
+    category: 'physical',
+    citation: '45 CFR § 164.310(a)(2)(ii)',
+    standard: 'Facility Access Controls',
+    implementationType: 'addressable',
+    frequency: 'annually'
+  },
+  {
+    title: 'Access Control and Validation Procedures',
+    description: 'Control and validate a person\'s access to facilities based on their role or function, including visitor control',
+    category: 'physical',
+    citation: '45 CFR § 164.310(a)(2)(iii)',
+    standard: 'Facility Access Controls',
+    implementationType: 'addressable',
+    frequency: 'quarterly'
+  },
+  {
+    title: 'Maintenance Records',
+    description: 'Document repairs and modifications to the physical components of a facility related to security',
+    category: 'physical',
+    citation: '45 CFR § 164.310(a)(2)(iv)',
+    standard: 'Facility Access Controls',
+    implementationType: 'addressable',
+    frequency: 'annually'
+  },
+  {
+    title: 'Workstation Use',
+    description: 'Specify the proper functions, manner of performance, and physical surroundings of workstations that can access ePHI',
+    category: 'physical',
+    citation: '45 CFR § 164.310(b)',
+    standard: 'Workstation Use',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Workstation Security',
+    description: 'Implement physical safeguards for all workstations that access ePHI to restrict access to authorized users',
+    category: 'physical',
+    citation: '45 CFR § 164.310(c)',
+    standard: 'Workstation Security',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Disposal',
+    description: 'Address the final disposition of ePHI and the hardware or electronic media on which it is stored',
+    category: 'physical',
+    citation: '45 CFR § 164.310(d)(2)(i)',
+    standard: 'Device and Media Controls',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Media Re-use',
+    description: 'Remove ePHI from electronic media before the media are made available for re-use',
+    category: 'physical',
+    citation: '45 CFR § 164.310(d)(2)(ii)',
+    standard: 'Device and Media Controls',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Accountability',
+    description: 'Maintain a record of the movements of hardware and electronic media and any person responsible therefore',
+    category: 'physical',
+    citation: '45 CFR § 164.310(d)(2)(iii)',
+    standard: 'Device and Media Controls',
+    implementationType: 'addressable',
+    frequency: 'quarterly'
+  },
+  {
+    title: 'Data Backup and Storage',
+    description: 'Create a retrievable, exact copy of ePHI, when needed, before movement of equipment',
+    category: 'physical',
+    citation: '45 CFR § 164.310(d)(2)(iv)',
+    standard: 'Device and Media Controls',
+    implementationType: 'addressable',
+    frequency: 'annually'
+  },
+
+  // 45 CFR § 164.312 - Technical safeguards
+  {
+    title: 'Unique User Identification',
+    description: 'Assign a unique name and/or number for identifying and tracking user identity',
+    category: 'technical',
+    citation: '45 CFR § 164.312(a)(2)(i)',
+    standard: 'Access Control',
+    implementationType: 'required',
+    frequency: 'quarterly'
+  },
+  {
+    title: 'Emergency Access Procedure',
+    description: 'Establish procedures for obtaining necessary ePHI during an emergency',
+    category: 'technical',
+    citation: '45 CFR § 164.312(a)(2)(ii)',
+    standard: 'Access Control',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Automatic Logoff',
+    description: 'Implement electronic procedures that terminate an electronic session after a predetermined time of inactivity',
+    category: 'technical',
+    citation: '45 CFR § 164.312(a)(2)(iii)',
+    standard: 'Access Control',
+    implementationType: 'addressable',
+    frequency: 'annually'
+  },
+  {
+    title: 'Encryption and Decryption',
+    description: 'Implement a mechanism to encrypt and decrypt ePHI',
+    category: 'technical',
+    citation: '45 CFR § 164.312(a)(2)(iv)',
+    standard: 'Access Control',
+    implementationType: 'addressable',
+    frequency: 'annually'
+  },
+  {
+    title: 'Audit Controls',
+    description: 'Implement hardware, software, and/or procedural mechanisms that record and examine activity in information systems that contain or use ePHI',
+    category: 'technical',
+    citation: '45 CFR § 164.312(b)',
+    standard: 'Audit Controls',
+    implementationType: 'required',
+    frequency: 'quarterly'
+  },
+  {
+    title: 'Mechanism to Authenticate ePHI',
+    description: 'Implement electronic mechanisms to corroborate that ePHI has not been altered or destroyed in an unauthorized manner',
+    category: 'technical',
+    citation: '45 CFR § 164.312(c)(2)',
+    standard: 'Integrity',
+    implementationType: 'addressable',
+    frequency: 'annually'
+  },
+  {
+    title: 'Person or Entity Authentication',
+    description: 'Verify that a person or entity seeking access to ePHI is the one claimed',
+    category: 'technical',
+    citation: '45 CFR § 164.312(d)',
+    standard: 'Person or Entity Authentication',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Transmission Integrity Controls',
+    description: 'Implement security measures to ensure that electronically transmitted ePHI is not improperly modified without detection until disposed of',
+    category: 'technical',
+    citation: '45 CFR § 164.312(e)(2)(i)',
+    standard: 'Transmission Security',
+    implementationType: 'addressable',
+    frequency: 'annually'
+  },
+  {
+    title: 'Transmission Encryption',
+    description: 'Implement a mechanism to encrypt ePHI whenever deemed appropriate',
+    category: 'technical',
+    citation: '45 CFR § 164.312(e)(2)(ii)',
+    standard: 'Transmission Security',
+    implementationType: 'addressable',
+    frequency: 'annually'
+  },
+
+  // 45 CFR § 164.314 - Organizational requirements
+  {
+    title: 'Business Associate Contracts',
+    description: 'Ensure business associate contracts require business associates to comply with the Security Rule and report security incidents, including breaches',
+    category: 'organizational',
+    citation: '45 CFR § 164.314(a)',
+    standard: 'Business Associate Contracts or Other Arrangements',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Requirements for Group Health Plans',
+    description: 'Ensure plan documents require the plan sponsor to reasonably and appropriately safeguard ePHI created, received, maintained, or transmitted on behalf of the group health plan',
+    category: 'organizational',
+    citation: '45 CFR § 164.314(b)',
+    standard: 'Requirements for Group Health Plans',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+
+  // 45 CFR § 164.316 - Policies and procedures and documentation requirements
+  {
+    title: 'Policies and Procedures',
+    description: 'Implement reasonable and appropriate policies and procedures to comply with the standards and implementation specifications of the Security Rule',
+    category: 'policies_documentation',
+    citation: '45 CFR § 164.316(a)',
+    standard: 'Policies and Procedures',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Documentation Time Limit',
+    description: 'Retain required documentation for 6 years from the date of its creation or the date when it last was in effect, whichever is later',
+    category: 'policies_documentation',
+    citation: '45 CFR § 164.316(b)(2)(i)',
+    standard: 'Documentation',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Documentation Availability',
+    description: 'Make documentation available to those persons responsible for implementing the procedures to which the documentation pertains',
+    category: 'policies_documentation',
+    citation: '45 CFR § 164.316(b)(2)(ii)',
+    standard: 'Documentation',
+    implementationType: 'required',
+    frequency: 'annually'
+  },
+  {
+    title: 'Documentation Updates',
+    description: 'Review documentation periodically, and update as needed, in response to environmental or operational changes affecting the security of ePHI',
+    category: 'policies_documentation',
+    citation: '45 CFR § 164.316(b)(2)(iii)',
+    standard: 'Documentation',
+    implementationType: 'required',
+    frequency: 'annually'
+  }
+];
+
+module.exports = {
+  RESPONSIBLE_ROLE_BY_CATEGORY,
+  SECURITY_RULE_REQUIREMENTS
+};
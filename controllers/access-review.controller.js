@@ -0,0 +1,307 @@
+/**
+ * Access Review Controller
+ *
+ * @module controllers/access-review
+ * @description Handles access review campaigns, reviewers' decisions and the campaign report
+ */
+
+const { asyncHandler } = require('../utils/error-handler');
+const accessReviewService = require('../services/access-review.service');
+
+/**
+ * Start an access review campaign
+ * @async
+ * @function createCampaign
+ *
+ * @route POST /api/access-reviews
+ * @access Private (access-reviews:manage)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Campaign name
+ * @param {string} [req.body.description] - What the campaign covers
+ * @param {string} [req.body.dueDate] - When decisions are due (default in 14 days)
+ * @param {Array<number>} [req.body.departmentIds] - Departments to review (default everyone)
+ * @param {number} [req.body.fallbackReviewerId] - Reviewer of users without another manager
+ * (default the requester)
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the campaign and its summary
+ * @throws {AppError} If the data is invalid or no user is in scope
+ */
+exports.createCampaign = asyncHandler(async (req, res) => {
+  const campaign = await accessReviewService.createCampaign({
+    name: req.body.name,
+    description: req.body.description,
+    dueDate: req.body.dueDate,
+    departmentIds: req.body.departmentIds,
+    fallbackReviewerId: req.body.fallbackReviewerId
+  }, req.user);
+
+  return res.status(201).json({
+    success: true,
+    message: 'Access review started. Reviewers have been notified.',
+    data: campaign
+  });
+});
+
+/**
+ * List access review campaigns
+ * @async
+ * @function getCampaigns
+ *
+ * @route GET /api/access-reviews
+ * @access Private (access-reviews:manage)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status] - active, completed or cancelled
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the campaigns and their progress
+ */
+exports.getCampaigns = asyncHandler(async (req, res) => {
+  const campaigns = await accessReviewService.listCampaigns({ status: req.query.status });
+
+  return res.status(200).json({
+    success: true,
+    data: campaigns
+  });
+});
+
+/**
+ * Get an access review campaign
+ * @async
+ * @function getCampaign
+ *
+ * @route GET /api/access-reviews/:id
+ * @access Private (access-reviews:manage)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the campaign and its progress
+ * @throws {AppError} If the campaign is not found
+ */
+exports.getCampaign = asyncHandler(async (req, res) => {
+  const campaign = await accessReviewService.getCampaign(req.params.id);
+
+  return res.status(200).json({
+    success: true,
+    data: campaign
+  });
+});
+
+/**
+ * List the users under review in a campaign
+ * @async
+ * @function getItems
+ *
+ * @route GET /api/access-reviews/:id/items
+ * @access Private (access-reviews:manage)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.decision] - pending, keep, modify or revoke
+ * @param {number} [req.query.reviewerId] - Assigned reviewer
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the items
+ * @throws {AppError} If the campaign is not found
+ */
+exports.getItems = asyncHandler(async (req, res) => {
+  const items = await accessReviewService.listItems(req.params.id, {
+    decision: req.query.decision,
+    reviewerId: req.query.reviewerId
+  });
+
+  return res.status(200).json({
+    success: true,
+    data: items
+  });
+});
+
+/**
+ * List the access the requester has been asked to review
+ * @async
+ * @function getMyItems
+ *
+ * @route GET /api/access-reviews/my-items
+ * @access Private
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.decision] - pending, keep, modify or revoke
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the items of active campaigns routed to the requester
+ */
+exports.getMyItems = asyncHandler(async (req, res) => {
+  const items = await accessReviewService.listReviewerItems(req.user.id, { decision: req.query.decision });
+
+  return res.status(200).json({
+    success: true,
+    data: items
+  });
+});
+
+/**
+ * Record a keep, modify or revoke decision
+ * @async
+ * @function recordDecision
+ *
+ * @route POST /api/access-reviews/items/:itemId/decision
+ * @access Private (the assigned reviewer)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.decision - keep, modify or revoke
+ * @param {string} [req.body.notes] - Reasons, required to modify or revoke
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the decided item
+ * @throws {AppError} If the decision is invalid, the campaign is closed or the requester is not
+ * the assigned reviewer
+ */
+exports.recordDecision = asyncHandler(async (req, res) => {
+  const item = await accessReviewService.recordDecision(req.params.itemId, req.body, {
+    id: req.user.id,
+    emergencyAccess: req.emergencyAccess
+  });
+
+  let message = 'Decision recorded';
+  if (item.decision === 'revoke') {
+    message = item.appliedAt
+      ? 'Decision recorded. The user has been deactivated and signed out.'
+      : 'Decision recorded, but the access could not be revoked. An administrator has to retry it.';
+  }
+
+  return res.status(200).json({
+    success: true,
+    message,
+    data: item
+  });
+});
+
+/**
+ * Retry a revocation that could not be carried out
+ * @async
+ * @function retryRevocation
+ *
+ * @route POST /api/access-reviews/items/:itemId/apply
+ * @access Private (access-reviews:manage)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the item
+ * @throws {AppError} If the item has no pending revocation
+ */
+exports.retryRevocation = asyncHandler(async (req, res) => {
+  const item = await accessReviewService.retryRevocation(req.params.itemId, req.user);
+
+  return res.status(200).json({
+    success: Boolean(item.appliedAt),
+    message: item.appliedAt ? 'Access revoked' : 'The access could not be revoked',
+    data: item
+  });
+});
+
+/**
+ * Route an undecided item to another reviewer
+ * @async
+ * @function reassignItem
+ *
+ * @route PUT /api/access-reviews/items/:itemId/reviewer
+ * @access Private (access-reviews:manage)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.reviewerId - New reviewer
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the item
+ * @throws {AppError} If the item was decided or the reviewer is the user under review
+ */
+exports.reassignItem = asyncHandler(async (req, res) => {
+  const item = await accessReviewService.reassignItem(req.params.itemId, req.body.reviewerId, req.user);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Reviewer changed',
+    data: item
+  });
+});
+
+/**
+ * Complete a campaign once every user has a decision
+ * @async
+ * @function completeCampaign
+ *
+ * @route POST /api/access-reviews/:id/complete
+ * @access Private (access-reviews:manage)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the completed campaign
+ * @throws {AppError} If the campaign is closed or decisions are missing
+ */
+exports.completeCampaign = asyncHandler(async (req, res) => {
+  const campaign = await accessReviewService.completeCampaign(req.params.id, req.user);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Access review completed',
+    data: campaign
+  });
+});
+
+/**
+ * Cancel an active campaign
+ * @async
+ * @function cancelCampaign
+ *
+ * @route POST /api/access-reviews/:id/cancel
+ * @access Private (access-reviews:manage)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the cancelled campaign
+ * @throws {AppError} If the campaign is closed
+ */
+exports.cancelCampaign = asyncHandler(async (req, res) => {
+  const campaign = await accessReviewService.cancelCampaign(req.params.id, req.user);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Access review cancelled',
+    data: campaign
+  });
+});
+
+/**
+ * Download the campaign report as audit evidence
+ * @async
+ * @function exportReport
+ *
+ * @route GET /api/access-reviews/:id/report
+ * @access Private (access-reviews:manage)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.format] - csv (default) or json
+ * @param {Object} res - Express response object
+ *
+ * @returns {string} The report as an attachment, with its SHA-256 digest in X-Content-SHA256
+ * @throws {AppError} If the format is unknown or the campaign is not found
+ */
+exports.exportReport = asyncHandler(async (req, res) => {
+  const report = await accessReviewService.exportReport(req.params.id, req.query.format, req.user);
+
+  res.setHeader('Content-Type', report.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${report.filename}`);
+  res.setHeader('X-Content-SHA256', report.digest);
+  return res.status(200).send(report.content);
+});
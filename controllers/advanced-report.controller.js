@@ -1,6 +1,7 @@
 const { User, Role, Department, TrainingCourse, TrainingAssignment, Document, DocumentAcknowledgment, 
   ComplianceRequirement, ComplianceAssessment, RiskAssessment, RiskItem, Incident, AuditLog } = require('../models');
 const { Op, Sequelize } = require('sequelize');
+const documentAcknowledgmentService = require('../services/document-acknowledgment.service');
 
 // Advanced reporting controller with comprehensive reporting capabilities
 
@@ -140,7 +141,7 @@ exports.generateComprehensiveReport = async (req, res) => {
           {
             model: Document,
             as: 'document',
-            attributes: ['id', 'title', 'documentType', 'hipaaCategory']
+            attributes: ['id', 'title', 'version', 'documentType', 'hipaaCategory']
           }
         ],
         order: [['acknowledgmentDate', 'DESC']]
@@ -166,18 +167,9 @@ exports.generateComprehensiveReport = async (req, res) => {
       const totalUsers = await User.count({ where: { accountStatus: 'active' } });
       
       for (const document of documents) {
-        const acknowledgedCount = await DocumentAcknowledgment.count({
-          where: { documentId: document.id }
-        });
-        
-        documentAcknowledgmentStatus.push({
-          documentId: document.id,
-          title: document.title,
-          totalUsers,
-          acknowledged: acknowledgedCount,
-          notAcknowledged: totalUsers - acknowledgedCount,
-          acknowledgmentRate: totalUsers > 0 ? Math.round((acknowledgedCount / totalUsers) * 100) : 0
-        });
+        documentAcknowledgmentStatus.push(
+          await documentAcknowledgmentService.getAcknowledgmentStatus(document, totalUsers)
+        );
       }
       
       report.summary.documents = {
@@ -1345,7 +1337,7 @@ async function getDocumentDetails(startDate, endDate, filters) {
       {
         model: Document,
         as: 'document',
-        attributes: ['id', 'title', 'documentType', 'hipaaCategory']
+        attributes: ['id', 'title', 'version', 'documentType', 'hipaaCategory']
       }
     ],
     order: [['acknowledgmentDate', 'DESC']]
@@ -1,5 +1,7 @@
 const { AuditLog, User } = require('../models');
 const { Op } = require('sequelize');
+const auditService = require('../services/audit.service');
+const { handleError } = require('../utils/error-handler');
 
 // Enhanced audit logging controller with advanced filtering and reporting capabilities
 
@@ -14,6 +16,7 @@ exports.getAuditLogs = async (req, res) => {
       startDate,
       endDate,
       ipAddress,
+      apiKeyId,
       limit,
       offset,
       sortBy,
@@ -42,6 +45,11 @@ exports.getAuditLogs = async (req, res) => {
     if (ipAddress) {
       whereConditions.ipAddress = ipAddress;
     }
+
+    // Requests a service account made with a given API key
+    if (apiKeyId) {
+      whereConditions.apiKeyId = apiKeyId;
+    }
     
     // Date range filtering
     if (startDate || endDate) {
@@ -412,3 +420,20 @@ exports.getAuditLogFilters = async (req, res) => {
     });
   }
 };
+
+// Verify the audit log hash chain over an ID or date range
+exports.verifyAuditLogIntegrity = async (req, res) => {
+  try {
+    const { startId, endId, startDate, endDate } = req.query;
+
+    const report = await auditService.verifyChain({ startId, endId, startDate, endDate });
+
+    return res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error verifying audit log integrity:', error);
+    return handleError(error, res);
+  }
+};
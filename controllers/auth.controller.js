@@ -13,12 +13,29 @@ const { trackLoginAttempt } = require('../middleware/account-protection');
 const { blacklistToken } = require('../utils/token-manager');
 const { validatePassword, verifyNewPassword } = require('../utils/password-validator');
 const { AppError, handleError, asyncHandler } = require('../utils/error-handler');
-const { createSession, invalidateSession, getUserSessions, invalidateUserSessions } = require('../utils/session-manager');
+const { createSession, setSessionCookies, invalidateSession, getUserSessions, invalidateUserSessions, getSessionPolicy } = require('../utils/session-manager');
 const securityService = require('../services/security.service');
-const { encrypt, decrypt } = require('../utils/encryption');
+const trainingRuleService = require('../services/training-rule.service');
+const webauthnService = require('../services/webauthn.service');
+const ssoService = require('../services/sso.service');
+const roleService = require('../services/role.service');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
 
+/**
+ * Reject a second-factor check aimed at a session other than the caller's. MFA is recorded
+ * against the session of the verified token; a session ID sent in the body must be that one.
+ * @param {Object} req - Express request object
+ * @throws {AppError} If the body names another session
+ */
+const assertOwnSession = (req) => {
+  const { sessionId } = req.body;
+
+  if (sessionId && sessionId !== req.sessionId) {
+    throw new AppError('Session does not belong to the authenticated user', 403, 'SESSION_MISMATCH');
+  }
+};
+
 /**
  * Register a new user
  * @async
@@ -118,6 +135,9 @@ exports.register = asyncHandler(async (req, res) => {
     allowedIPs: null
   });
 
+  // Assign the training required for the user's role and department
+  await trainingRuleService.applyRulesToUser(newUser, { assignedBy: req.user.id });
+
   // Remove sensitive data from response
   const userResponse = { ...newUser.toJSON() };
   delete userResponse.password;
@@ -184,7 +204,7 @@ exports.login = asyncHandler(async (req, res) => {
 
   if (!user) {
     // Track failed login attempt for non-existent user
-    await trackLoginAttempt(username, false);
+    await trackLoginAttempt(username, false, ipAddress);
 
     return res.status(401).json({
       success: false,
@@ -221,6 +241,9 @@ exports.login = asyncHandler(async (req, res) => {
     });
   }
 
+  // Single sign-on users may be required to sign in through the identity provider
+  await ssoService.assertLocalPasswordAllowed(user);
+
   // Verify password
   const isPasswordValid = await bcrypt.compare(password, user.password);
 
@@ -291,22 +314,8 @@ exports.login = asyncHandler(async (req, res) => {
   const passwordExpired = await securityService.isPasswordExpired(user);
   const requirePasswordChange = user.requirePasswordChange || passwordExpired;
 
-  // Set access token in HTTP-only cookie
-  res.cookie('token', session.accessToken, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict',
-    maxAge: session.expiresIn
-  });
-
-  // Set refresh token in HTTP-only cookie
-  res.cookie('refreshToken', session.refreshToken, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict',
-    maxAge: session.refreshExpiresIn,
-    path: '/api/auth/refresh' // Restrict to refresh endpoint
-  });
+  // Set access and refresh tokens in HTTP-only cookies
+  setSessionCookies(res, session);
 
   // Set CSRF token cookie for CSRF protection
   if (req.csrfToken) {
@@ -331,6 +340,7 @@ exports.login = asyncHandler(async (req, res) => {
       success: true,
       message: 'MFA verification required',
       requireMfa: true,
+      mfaMethods: await webauthnService.getMfaMethods(user),
       sessionId: session.sessionId,
       user: {
         id: userResponse.id,
@@ -419,7 +429,7 @@ exports.refreshToken = asyncHandler(async (req, res) => {
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body
  * @param {string} req.body.token - 6-digit TOTP token from authenticator app
- * @param {string} req.body.sessionId - Session ID from login response
+ * @param {string} [req.body.sessionId] - Session ID from login response; must be the caller's session
  * @param {Object} req.user - User object from JWT verification middleware
  * 
  * @param {Object} res - Express response object
@@ -428,9 +438,12 @@ exports.refreshToken = asyncHandler(async (req, res) => {
  * @throws {AppError} If MFA verification fails
  */
 exports.verifyMfa = asyncHandler(async (req, res) => {
-  const { token, sessionId } = req.body;
+  const { token } = req.body;
+  const sessionId = req.sessionId;
   const userId = req.user.id;
 
+  assertOwnSession(req);
+
   if (!token) {
     return res.status(400).json({
       success: false,
@@ -457,8 +470,8 @@ exports.verifyMfa = asyncHandler(async (req, res) => {
     });
   }
 
-  // Mark MFA as verified for this session
-  await securityService.markMfaVerified(sessionId);
+  // Mark MFA as verified for the caller's session
+  await securityService.markMfaVerified(sessionId, userId);
 
   // Get full user data for response
   const userWithRole = await User.findByPk(userId, {
@@ -494,7 +507,7 @@ exports.verifyMfa = asyncHandler(async (req, res) => {
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body
  * @param {string} req.body.code - Backup code for MFA verification
- * @param {string} req.body.sessionId - Session ID from login response
+ * @param {string} [req.body.sessionId] - Session ID from login response; must be the caller's session
  * @param {Object} req.user - User object from JWT verification middleware
  * 
  * @param {Object} res - Express response object
@@ -503,9 +516,12 @@ exports.verifyMfa = asyncHandler(async (req, res) => {
  * @throws {AppError} If backup code verification fails
  */
 exports.verifyBackupCode = asyncHandler(async (req, res) => {
-  const { code, sessionId } = req.body;
+  const { code } = req.body;
+  const sessionId = req.sessionId;
   const userId = req.user.id;
 
+  assertOwnSession(req);
+
   if (!code) {
     return res.status(400).json({
       success: false,
@@ -532,8 +548,8 @@ exports.verifyBackupCode = asyncHandler(async (req, res) => {
     });
   }
 
-  // Mark MFA as verified for this session
-  await securityService.markMfaVerified(sessionId);
+  // Mark MFA as verified for the caller's session
+  await securityService.markMfaVerified(sessionId, userId);
 
   // Get full user data for response
   const userWithRole = await User.findByPk(userId, {
@@ -567,6 +583,7 @@ exports.verifyBackupCode = asyncHandler(async (req, res) => {
  * @access Private
  * 
  * @param {Object} req - Express request object
+ * @param {Object} [req.body.webauthnResponse] - Security key assertion, required when MFA is already enabled with a security key
  * @param {Object} req.user - User object from JWT verification middleware
  * @param {Object} res - Express response object
  * 
@@ -581,21 +598,37 @@ exports.enableMfa = asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404, 'USER_NOT_FOUND');
   }
 
-  // Check if MFA is already enabled
-  if (user.mfaEnabled) {
+  // Check if an authenticator app is already set up
+  if (user.mfaEnabled && user.mfaSecret) {
     return res.status(400).json({
       success: false,
       message: 'MFA is already enabled for this user'
     });
   }
 
+  // Users who already sign in with a security key must use it to add an authenticator app
+  if (user.mfaEnabled) {
+    const { webauthnResponse } = req.body || {};
+    const verified = webauthnResponse
+      ? await webauthnService.verifyAuthentication(user, webauthnResponse)
+      : false;
+
+    if (!verified) {
+      await securityService.handleFailedMfa(user);
+      return res.status(401).json({
+        success: false,
+        message: 'Security key verification is required to add an authenticator app'
+      });
+    }
+  }
+
   // Generate secret
   const secret = speakeasy.generateSecret({
     name: `HIPAA App:${user.username}`
   });
 
-  // Save encrypted secret to user
-  user.mfaSecret = encrypt(secret.base32);
+  // Save secret to user (encrypted by the User model)
+  user.mfaSecret = secret.base32;
   await user.save();
 
   // Generate QR code
@@ -733,20 +766,275 @@ exports.disableMfa = asyncHandler(async (req, res) => {
     });
   }
 
-  // Disable MFA
-  user.mfaEnabled = false;
+  // Remove the authenticator app; MFA stays on while security keys remain registered
+  const remainingKeys = await webauthnService.countCredentials(userId);
+  user.mfaEnabled = remainingKeys > 0;
   user.mfaSecret = null;
-  user.backupCodes = null;
+  if (!user.mfaEnabled) {
+    user.backupCodes = null;
+    user.recoveryBackupCodes = [];
+  }
   await user.save();
 
   // Log MFA disablement in audit log
   if (req.auditLog) {
-    await req.auditLog('MFA_DISABLED', 'user', userId, {});
+    await req.auditLog(user.mfaEnabled ? 'MFA_TOTP_REMOVED' : 'MFA_DISABLED', 'user', userId, {
+      remainingSecurityKeys: remainingKeys
+    });
   }
 
   return res.status(200).json({
     success: true,
-    message: 'MFA disabled successfully'
+    message: user.mfaEnabled
+      ? 'Authenticator app removed. Your security keys remain active.'
+      : 'MFA disabled successfully',
+    data: {
+      mfaEnabled: user.mfaEnabled
+    }
+  });
+});
+
+/**
+ * Start registering a security key or passkey
+ * @async
+ * @function getWebAuthnRegistrationOptions
+ * 
+ * @route POST /api/auth/webauthn/register/options
+ * @access Private
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from JWT verification middleware
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} JSON response with credential creation options for the browser
+ * @throws {AppError} If the user already has the maximum number of security keys
+ */
+exports.getWebAuthnRegistrationOptions = asyncHandler(async (req, res) => {
+  const user = await User.findByPk(req.user.id);
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  const options = await webauthnService.generateRegistration(user);
+
+  return res.status(200).json({
+    success: true,
+    data: options
+  });
+});
+
+/**
+ * Finish registering a security key or passkey
+ * @async
+ * @function verifyWebAuthnRegistration
+ * 
+ * @route POST /api/auth/webauthn/register/verify
+ * @access Private
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Name for the security key
+ * @param {Object} req.body.response - Registration response from the browser
+ * @param {Object} req.user - User object from JWT verification middleware
+ * 
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} JSON response with the new security key, and backup codes when this enabled MFA
+ * @throws {AppError} If the registration cannot be verified
+ */
+exports.verifyWebAuthnRegistration = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  const result = await webauthnService.verifyRegistration(user, req.body);
+
+  return res.status(201).json({
+    success: true,
+    message: result.backupCodes
+      ? 'Security key registered and MFA enabled'
+      : 'Security key registered successfully',
+    data: result
+  });
+});
+
+/**
+ * Start signing in with a security key or passkey
+ * @async
+ * @function getWebAuthnAuthenticationOptions
+ * 
+ * @route POST /api/auth/webauthn/authenticate/options
+ * @access Private (with session)
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from JWT verification middleware
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} JSON response with credential request options for the browser
+ * @throws {AppError} If the user has no security keys
+ */
+exports.getWebAuthnAuthenticationOptions = asyncHandler(async (req, res) => {
+  const user = await User.findByPk(req.user.id);
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  const options = await webauthnService.generateAuthentication(user);
+
+  return res.status(200).json({
+    success: true,
+    data: options
+  });
+});
+
+/**
+ * Verify MFA with a security key or passkey
+ * @async
+ * @function verifyWebAuthnAuthentication
+ * 
+ * @route POST /api/auth/webauthn/authenticate/verify
+ * @access Private (with session)
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {Object} req.body.response - Authentication response from the browser
+ * @param {string} [req.body.sessionId] - Session ID from login response; must be the caller's session
+ * @param {Object} req.user - User object from JWT verification middleware
+ * 
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} JSON response with user data or error message
+ * @throws {AppError} If MFA verification fails
+ */
+exports.verifyWebAuthnAuthentication = asyncHandler(async (req, res) => {
+  const { response } = req.body;
+  const sessionId = req.sessionId;
+  const userId = req.user.id;
+
+  assertOwnSession(req);
+
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  if (!user.mfaEnabled) {
+    throw new AppError('MFA is not enabled for this user', 400, 'MFA_NOT_ENABLED');
+  }
+
+  // Verify the signed challenge
+  const verified = await webauthnService.verifyAuthentication(user, response);
+  if (!verified) {
+    await securityService.handleFailedMfa(user);
+    return res.status(401).json({
+      success: false,
+      message: 'Security key verification failed'
+    });
+  }
+
+  // Mark MFA as verified for the caller's session
+  await securityService.markMfaVerified(sessionId, userId);
+
+  // Get full user data for response
+  const userWithRole = await User.findByPk(userId, {
+    include: ['role', 'department'],
+    attributes: { exclude: ['password', 'mfaSecret', 'backupCodes', 'passwordHistory', 'securityQuestions'] }
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'MFA verification successful',
+    data: {
+      user: userWithRole
+    }
+  });
+});
+
+/**
+ * List the user's security keys and passkeys
+ * @async
+ * @function getWebAuthnCredentials
+ * 
+ * @route GET /api/auth/webauthn/credentials
+ * @access Private
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from JWT verification middleware
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} JSON response with the user's security keys
+ */
+exports.getWebAuthnCredentials = asyncHandler(async (req, res) => {
+  const credentials = await webauthnService.listCredentials(req.user.id);
+
+  return res.status(200).json({
+    success: true,
+    data: credentials
+  });
+});
+
+/**
+ * Rename a security key or passkey
+ * @async
+ * @function renameWebAuthnCredential
+ * 
+ * @route PUT /api/auth/webauthn/credentials/:id
+ * @access Private
+ * 
+ * @param {Object} req - Express request object
+ * @param {number} req.params.id - Security key ID
+ * @param {string} req.body.name - New name
+ * @param {Object} req.user - User object from JWT verification middleware
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} JSON response with the renamed security key
+ * @throws {AppError} If the security key does not belong to the user
+ */
+exports.renameWebAuthnCredential = asyncHandler(async (req, res) => {
+  const credential = await webauthnService.renameCredential(req.user.id, req.params.id, req.body.name);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Security key renamed successfully',
+    data: credential
+  });
+});
+
+/**
+ * Remove a security key or passkey
+ * @async
+ * @function deleteWebAuthnCredential
+ * 
+ * @route DELETE /api/auth/webauthn/credentials/:id
+ * @access Private (second factor required)
+ * 
+ * @param {Object} req - Express request object
+ * @param {number} req.params.id - Security key ID
+ * @param {Object} req.user - User object from JWT verification middleware
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} JSON response with the remaining MFA status
+ * @throws {AppError} If the security key does not belong to the user
+ */
+exports.deleteWebAuthnCredential = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  const result = await webauthnService.deleteCredential(user, req.params.id);
+
+  return res.status(200).json({
+    success: true,
+    message: result.mfaEnabled
+      ? 'Security key removed successfully'
+      : 'Security key removed. MFA is now disabled for your account.',
+    data: result
   });
 });
 
@@ -762,7 +1050,8 @@ exports.disableMfa = asyncHandler(async (req, res) => {
  * @param {Object} req.user - User object from JWT verification middleware
  * @param {Object} res - Express response object
  * 
- * @returns {Object} JSON response with user profile data or error message
+ * @returns {Object} JSON response with user profile data, including the catalog permissions
+ * the user currently holds as effectivePermissions, or error message
  * @throws {AppError} If user not found
  */
 exports.getProfile = asyncHandler(async (req, res) => {
@@ -779,7 +1068,11 @@ exports.getProfile = asyncHandler(async (req, res) => {
 
   return res.status(200).json({
     success: true,
-    data: user
+    data: {
+      ...user.toJSON(),
+      // From the request's user, whose role already includes inherited and emergency permissions
+      effectivePermissions: roleService.getPermissionKeys(req.user)
+    }
   });
 });
 
@@ -823,6 +1116,8 @@ exports.changePassword = asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404, 'USER_NOT_FOUND');
   }
 
+  await ssoService.assertLocalPasswordAllowed(user);
+
   // Verify current password
   const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
 
@@ -894,6 +1189,46 @@ exports.getSessions = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get the timeouts of the current session
+ * @async
+ * @function getSessionStatus
+ * 
+ * @route GET /api/auth/session
+ * @route POST /api/auth/session/keep-alive
+ * @access Private
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.sessionStatus - Session checked by the JWT verification middleware
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} JSON response with the idle timeout, warning period and session deadlines.
+ *   Reading the status does not count as activity; the keep-alive route does, so it restarts
+ *   the idle timeout.
+ */
+exports.getSessionStatus = asyncHandler(async (req, res) => {
+  if (!req.sessionStatus) {
+    throw new AppError('Token is not bound to a session', 400, 'SESSION_REQUIRED');
+  }
+
+  const { idleTimeoutMs, warningMs } = getSessionPolicy();
+  const { lastActivity, idleExpiresAt, absoluteExpiresAt } = req.sessionStatus;
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      sessionId: req.sessionId,
+      idleTimeoutSeconds: Math.floor(idleTimeoutMs / 1000),
+      warningSeconds: Math.floor(warningMs / 1000),
+      lastActivity: new Date(lastActivity),
+      idleExpiresAt: new Date(idleExpiresAt),
+      absoluteExpiresAt: new Date(absoluteExpiresAt),
+      // Lets the client correct for clock differences when it counts down
+      serverTime: new Date()
+    }
+  });
+});
+
 /**
  * Revoke a specific session
  * @async
@@ -1004,8 +1339,8 @@ exports.logoutAll = asyncHandler(async (req, res) => {
  * @returns {Object} JSON response with success message
  */
 exports.logout = asyncHandler(async (req, res) => {
-  // Get session ID
-  const sessionId = req.user ? req.user.sessionId : null;
+  // Get session ID from the verified token
+  const sessionId = req.sessionId || null;
   
   // Get tokens from cookies or headers
   const accessToken = req.cookies.token || (
@@ -1225,6 +1560,8 @@ exports.resetPassword = asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404, 'USER_NOT_FOUND');
   }
 
+  await ssoService.assertLocalPasswordAllowed(user);
+
   // Validate new password
   const passwordValidation = validatePassword(newPassword);
   if (!passwordValidation.isValid) {
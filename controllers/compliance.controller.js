@@ -1,4 +1,4 @@
-const { ComplianceRequirement, ComplianceAssessment, User } = require('../models');
+const { ComplianceRequirement, ComplianceAssessment, Role, User, sequelize } = require('../models');
 const { Op } = require('sequelize');
 
 // Get all compliance requirements
@@ -7,7 +7,7 @@ exports.getAllRequirements = async (req, res) => {
     const requirements = await ComplianceRequirement.findAll({
       include: [
         {
-          model: User,
+          model: Role,
           as: 'responsibleRole',
           attributes: ['id', 'name']
         }
@@ -37,7 +37,7 @@ exports.getRequirementById = async (req, res) => {
     const requirement = await ComplianceRequirement.findByPk(id, {
       include: [
         {
-          model: User,
+          model: Role,
           as: 'responsibleRole',
           attributes: ['id', 'name']
         }
@@ -73,6 +73,8 @@ exports.createRequirement = async (req, res) => {
       description, 
       category, 
       citation, 
+      standard,
+      implementationType,
       frequency, 
       responsibleRoleId 
     } = req.body;
@@ -90,6 +92,8 @@ exports.createRequirement = async (req, res) => {
       description,
       category,
       citation,
+      standard,
+      implementationType: implementationType || 'required',
       frequency: frequency || 'annually',
       responsibleRoleId
     });
@@ -118,6 +122,8 @@ exports.updateRequirement = async (req, res) => {
       description, 
       category, 
       citation, 
+      standard,
+      implementationType,
       frequency, 
       responsibleRoleId 
     } = req.body;
@@ -137,6 +143,8 @@ exports.updateRequirement = async (req, res) => {
       description: description !== undefined ? description : requirement.description,
       category: category || requirement.category,
       citation: citation !== undefined ? citation : requirement.citation,
+      standard: standard !== undefined ? standard : requirement.standard,
+      implementationType: implementationType || requirement.implementationType,
       frequency: frequency || requirement.frequency,
       responsibleRoleId: responsibleRoleId || requirement.responsibleRoleId
     });
@@ -406,7 +414,9 @@ exports.getComplianceStatistics = async (req, res) => {
       include: [
         {
           model: ComplianceRequirement,
-          as: 'requirement'
+          as: 'requirement',
+          // Skip assessments of requirements that have since been retired
+          required: true
         }
       ]
     });
@@ -4,8 +4,11 @@
  */
 const { Document, DocumentCategory, DocumentAcknowledgment, User, sequelize } = require('../models');
 const { Op } = require('sequelize');
-const fs = require('fs');
-const path = require('path');
+const documentVersionService = require('../services/document-version.service');
+const documentAcknowledgmentService = require('../services/document-acknowledgment.service');
+const dataScopeService = require('../services/data-scope.service');
+const notificationService = require('../services/notification.service');
+const { handleError } = require('../utils/error-handler');
 
 /**
  * Get all active documents
@@ -143,6 +146,8 @@ exports.getDocumentById = async (req, res) => {
  * @param {string} [req.body.documentType] - Type of document (policy, procedure, etc.)
  * @param {string} [req.body.hipaaCategory] - HIPAA category of the document
  * @param {string} [req.body.reviewDate] - Date when document should be reviewed
+ * @param {string} [req.body.changeSummary] - Summary recorded on the initial version
+ * @param {string} [req.body.effectiveDate] - Date the initial version takes effect
  * @param {Object} req.file - Uploaded file information (if provided)
  * @param {Object} req.user - Authenticated user information
  * @param {number} req.user.id - ID of the authenticated user (creator)
@@ -160,7 +165,9 @@ exports.createDocument = async (req, res) => {
       version,
       documentType,
       hipaaCategory,
-      reviewDate
+      reviewDate,
+      changeSummary,
+      effectiveDate
     } = req.body;
 
     // Validate required fields
@@ -216,19 +223,35 @@ exports.createDocument = async (req, res) => {
     // Get the current user from auth middleware
     const createdBy = req.user.id;
 
-    const newDocument = await Document.create({
-      title,
-      description,
-      categoryId,
-      filePath,
-      version: version || '1.0',
-      status: 'active',
-      reviewDate: reviewDate ? new Date(reviewDate) : null,
-      documentType: documentType || 'policy',
-      hipaaCategory: hipaaCategory || 'general',
-      createdBy
+    // Create the document and start its version history together, so reading the
+    // history never has to fill it in
+    const newDocument = await sequelize.transaction(async (transaction) => {
+      const document = await Document.create({
+        title,
+        description,
+        categoryId,
+        filePath,
+        version: version || '1.0',
+        status: 'active',
+        reviewDate: reviewDate ? new Date(reviewDate) : null,
+        documentType: documentType || 'policy',
+        hipaaCategory: hipaaCategory || 'general',
+        createdBy
+      }, { transaction });
+
+      await documentVersionService.ensureInitialVersion(document, {
+        fileName: req.file ? req.file.originalname : null,
+        changeSummary,
+        effectiveDate,
+        transaction
+      });
+
+      return document;
     });
 
+    // Ask everyone to read and acknowledge the new document (sent in the background)
+    notificationService.notifyDocumentPublished(newDocument, { excludeUserId: createdBy });
+
     return res.status(201).json({
       success: true,
       message: 'Document created successfully',
@@ -246,6 +269,10 @@ exports.createDocument = async (req, res) => {
 
 /**
  * Update a document
+ *
+ * Uploading a new file or changing the version number publishes a new revision;
+ * earlier revisions and their files are kept in the version history.
+ *
  * @async
  * @function updateDocument
  *
@@ -259,12 +286,15 @@ exports.createDocument = async (req, res) => {
  * @param {string} [req.body.title] - Updated title of the document
  * @param {string} [req.body.description] - Updated description of the document
  * @param {number} [req.body.categoryId] - Updated category ID
- * @param {string} [req.body.version] - Updated version number
+ * @param {string} [req.body.version] - New version number (defaults to the next minor version when a file is uploaded)
+ * @param {string} [req.body.changeSummary] - Summary of changes in the new revision
+ * @param {string} [req.body.effectiveDate] - Date the new revision takes effect
  * @param {string} [req.body.status] - Updated status (draft, active, archived)
  * @param {string} [req.body.documentType] - Updated document type
  * @param {string} [req.body.hipaaCategory] - Updated HIPAA category
  * @param {string} [req.body.reviewDate] - Updated review date
  * @param {Object} [req.file] - Updated file information (if provided)
+ * @param {Object} req.user - Authenticated user information
  * @param {Object} res - Express response object
  *
  * @returns {Object} JSON response with updated document data
@@ -278,6 +308,8 @@ exports.updateDocument = async (req, res) => {
       description, 
       categoryId, 
       version, 
+      changeSummary,
+      effectiveDate,
       status,
       documentType, 
       hipaaCategory,
@@ -293,31 +325,38 @@ exports.updateDocument = async (req, res) => {
       });
     }
     
-    // Handle file upload if present
-    let filePath = document.filePath;
-    if (req.file) {
-      // Delete old file if exists
-      if (document.filePath) {
-        const oldFilePath = path.join(__dirname, '..', document.filePath);
-        if (fs.existsSync(oldFilePath)) {
-          fs.unlinkSync(oldFilePath);
-        }
-      }
-      filePath = `/uploads/documents/${req.file.filename}`;
-    }
-    
-    // Update document
-    await document.update({
+    const updates = {
       title: title || document.title,
       description: description !== undefined ? description : document.description,
       categoryId: categoryId || document.categoryId,
-      filePath,
-      version: version || document.version,
       status: status || document.status,
       reviewDate: reviewDate ? new Date(reviewDate) : document.reviewDate,
       documentType: documentType || document.documentType,
       hipaaCategory: hipaaCategory || document.hipaaCategory
-    });
+    };
+    
+    const wasActive = document.status === 'active';
+    const previousVersion = document.version;
+    
+    // A new file or version number is a new revision; otherwise only metadata changes
+    if (req.file || (version && version !== document.version)) {
+      await documentVersionService.createRevision(document, {
+        versionNumber: version,
+        filePath: req.file ? `/uploads/documents/${req.file.filename}` : undefined,
+        fileName: req.file ? req.file.originalname : undefined,
+        changeSummary,
+        effectiveDate,
+        authorId: req.user.id
+      }, updates);
+    } else {
+      await document.update(updates);
+    }
+    
+    // Publishing a draft or a new major version requires everyone to (re-)acknowledge it
+    if (document.status === 'active' &&
+        (!wasActive || !documentAcknowledgmentService.isCurrentAcknowledgment(previousVersion, document.version))) {
+      notificationService.notifyDocumentPublished(document, { excludeUserId: req.user.id });
+    }
     
     return res.status(200).json({
       success: true,
@@ -326,11 +365,114 @@ exports.updateDocument = async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating document:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to update document',
-      error: error.message
+    return handleError(error, res);
+  }
+};
+
+/**
+ * Get the version history of a document
+ * @async
+ * @function getDocumentVersions
+ *
+ * @route GET /api/documents/:id/versions
+ * @access Private
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - Document ID
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the document's versions, newest first
+ * @throws {Error} If document not found or retrieval fails
+ */
+exports.getDocumentVersions = async (req, res) => {
+  try {
+    const versions = await documentVersionService.getVersions(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Error getting document versions:', error);
+    return handleError(error, res);
+  }
+};
+
+/**
+ * Download the file of a specific document version
+ * @async
+ * @function downloadDocumentVersion
+ *
+ * @route GET /api/documents/:id/versions/:versionId/download
+ * @access Private
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - Document ID
+ * @param {string} req.params.versionId - Version ID
+ * @param {Object} res - Express response object
+ *
+ * @returns {File} The version's file as an attachment
+ * @throws {Error} If the version or its file is not found
+ */
+exports.downloadDocumentVersion = async (req, res) => {
+  try {
+    const { id, versionId } = req.params;
+
+    const version = await documentVersionService.getVersion(id, versionId);
+    const filePath = documentVersionService.resolveVersionFile(version);
+
+    return res.download(filePath, version.fileName || undefined);
+  } catch (error) {
+    console.error('Error downloading document version:', error);
+    return handleError(error, res);
+  }
+};
+
+/**
+ * Restore an earlier version of a document
+ *
+ * The restored content is published as a new revision so that no history is lost.
+ *
+ * @async
+ * @function restoreDocumentVersion
+ *
+ * @route POST /api/documents/:id/versions/:versionId/restore
+ * @access Private/ComplianceOfficer
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - Document ID
+ * @param {string} req.params.versionId - Version ID to restore
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.version] - Version number for the restored revision (defaults to the next minor version)
+ * @param {string} [req.body.changeSummary] - Summary recorded on the restored revision
+ * @param {Object} req.user - Authenticated user information
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the new version
+ * @throws {Error} If the document or version is not found or the restore fails
+ */
+exports.restoreDocumentVersion = async (req, res) => {
+  try {
+    const { id, versionId } = req.params;
+    const { version, changeSummary } = req.body;
+
+    const restored = await documentVersionService.restoreVersion(id, versionId, {
+      versionNumber: version,
+      changeSummary,
+      authorId: req.user.id
     });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Document version restored successfully',
+      data: restored
+    });
+  } catch (error) {
+    console.error('Error restoring document version:', error);
+    return handleError(error, res);
   }
 };
 
@@ -485,6 +627,10 @@ exports.createCategory = async (req, res) => {
 
 /**
  * Acknowledge a document by user
+ *
+ * Records the version being acknowledged. A previous acknowledgment only counts
+ * while the document stays on the same major version.
+ *
  * @async
  * @function acknowledgeDocument
  *
@@ -507,37 +653,8 @@ exports.acknowledgeDocument = async (req, res) => {
   try {
     const { documentId } = req.params;
     const { notes } = req.body;
-    const userId = req.user.id;
     
-    // Check if document exists
-    const document = await Document.findByPk(documentId);
-    if (!document) {
-      return res.status(404).json({
-        success: false,
-        message: 'Document not found'
-      });
-    }
-    
-    // Check if already acknowledged
-    const existingAcknowledgment = await DocumentAcknowledgment.findOne({
-      where: {
-        documentId,
-        userId
-      }
-    });
-    
-    if (existingAcknowledgment) {
-      return res.status(400).json({
-        success: false,
-        message: 'Document already acknowledged'
-      });
-    }
-    
-    // Create acknowledgment
-    const acknowledgment = await DocumentAcknowledgment.create({
-      documentId,
-      userId,
-      acknowledgmentDate: new Date(),
+    const acknowledgment = await documentAcknowledgmentService.acknowledge(documentId, req.user.id, {
       ipAddress: req.ip,
       notes
     });
@@ -558,21 +675,17 @@ exports.acknowledgeDocument = async (req, res) => {
       });
     }
 
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to acknowledge document',
-      error: error.message
-    });
+    return handleError(error, res);
   }
 };
 
 /**
- * Get all acknowledgments for a specific document
+ * Get the acknowledgments of a document by users in the requester's data scope
  * @async
  * @function getDocumentAcknowledgments
  *
  * @route GET /api/documents/:documentId/acknowledgments
- * @access Private
+ * @access Private (scoped by department)
  *
  * @param {Object} req - Express request object
  * @param {Object} req.params - Request parameters
@@ -597,9 +710,10 @@ exports.getDocumentAcknowledgments = async (req, res) => {
 
     // Get pagination parameters from middleware
     const { limit, offset, page } = req.pagination || { limit: 20, offset: 0, page: 1 };
+    const scope = await dataScopeService.getScope(req.user);
 
     const { count, rows: acknowledgments } = await DocumentAcknowledgment.findAndCountAll({
-      where: { documentId },
+      where: { documentId, ...dataScopeService.ownerWhere(scope) },
       include: [
         {
           model: User,
@@ -617,7 +731,10 @@ exports.getDocumentAcknowledgments = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      data: acknowledgments,
+      data: acknowledgments.map(ack => ({
+        ...ack.toJSON(),
+        isOutdated: !documentAcknowledgmentService.isCurrentAcknowledgment(ack.versionNumber, document.version)
+      })),
       pagination: {
         page,
         limit,
@@ -674,7 +791,12 @@ exports.getUserAcknowledgments = async (req, res) => {
     
     return res.status(200).json({
       success: true,
-      data: acknowledgments
+      data: acknowledgments.map(ack => ({
+        ...ack.toJSON(),
+        isOutdated: ack.document
+          ? !documentAcknowledgmentService.isCurrentAcknowledgment(ack.versionNumber, ack.document.version)
+          : false
+      }))
     });
   } catch (error) {
     console.error('Error getting user document acknowledgments:', error);
@@ -711,18 +833,24 @@ exports.getDocumentsRequiringAcknowledgment = async (req, res) => {
     const userId = req.user.id;
     const { Op, literal, fn, col } = require('sequelize');
 
+    // Documents the user has acknowledged at their current major version; a major
+    // version bump makes older acknowledgments fall out of this set
+    const currentlyAcknowledged = literal(`(
+      SELECT da."documentId"
+      FROM "document_acknowledgments" AS da
+      INNER JOIN "documents" AS d ON d."id" = da."documentId"
+      WHERE da."userId" = ${parseInt(userId, 10)}
+        AND split_part(da."versionNumber", '.', 1) = split_part(d."version", '.', 1)
+    )`);
+
     // Get documents requiring acknowledgment - optimized query to avoid N+1 problem
-    // This uses a LEFT JOIN with subquery to check for acknowledgments in a single query
+    // This uses a subquery to check for acknowledgments in a single query
     const documentsRequiringAcknowledgment = await Document.findAll({
       where: {
         status: 'active',
-        // Use a correlated subquery to check if this document has been acknowledged
+        // Exclude documents already acknowledged at their current major version
         id: {
-          [Op.notIn]: literal(`(
-            SELECT "documentId"
-            FROM "document_acknowledgments"
-            WHERE "userId" = ${userId}
-          )`)
+          [Op.notIn]: currentlyAcknowledged
         }
       },
       include: [
@@ -743,11 +871,7 @@ exports.getDocumentsRequiringAcknowledgment = async (req, res) => {
       where: {
         status: 'active',
         id: {
-          [Op.notIn]: literal(`(
-            SELECT "documentId"
-            FROM "document_acknowledgments"
-            WHERE "userId" = ${userId}
-          )`)
+          [Op.notIn]: currentlyAcknowledged
         }
       }
     });
@@ -773,12 +897,12 @@ exports.getDocumentsRequiringAcknowledgment = async (req, res) => {
 };
 
 /**
- * Get document statistics
+ * Get document statistics; acknowledgment counts cover the requester's data scope
  * @async
  * @function getDocumentStatistics
  *
  * @route GET /api/documents/statistics
- * @access Private/Admin
+ * @access Private (acknowledgments scoped by department)
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -826,8 +950,11 @@ exports.getDocumentStatistics = async (req, res) => {
       }
     });
 
-    // Total acknowledgments
-    const totalAcknowledgments = await DocumentAcknowledgment.count();
+    // Total acknowledgments by users in the requester's data scope
+    const scope = await dataScopeService.getScope(req.user);
+    const totalAcknowledgments = await DocumentAcknowledgment.count({
+      where: dataScopeService.ownerWhere(scope)
+    });
 
     return res.status(200).json({
       success: true,
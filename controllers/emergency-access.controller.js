@@ -0,0 +1,234 @@
+/**
+ * Emergency Access Controller
+ *
+ * @module controllers/emergency-access
+ * @description Handles break-glass activation and the after-the-fact review of emergency access
+ */
+
+const { asyncHandler } = require('../utils/error-handler');
+const emergencyAccessService = require('../services/emergency-access.service');
+const roleService = require('../services/role.service');
+
+// Whether a user reviews emergency access, without counting permissions that come from
+// emergency access itself
+const canReview = (req) => !req.emergencyAccess && roleService.userHasPermission(req.user, 'emergency-access:review');
+
+/**
+ * Activate break-glass emergency access
+ * @async
+ * @function activate
+ *
+ * @route POST /api/emergency-access/activate
+ * @access Private (break-glass eligible users)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.justification - Why emergency access is needed
+ * @param {number} [req.body.durationMinutes] - Length of the window (default 60)
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the grant
+ * @throws {AppError} If the user is not eligible, the justification is missing or access is already active
+ */
+exports.activate = asyncHandler(async (req, res) => {
+  const grant = await emergencyAccessService.activate(req.user, req.body, {
+    ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+    userAgent: req.headers['user-agent'] || 'unknown'
+  });
+
+  return res.status(201).json({
+    success: true,
+    message: 'Emergency access activated. Compliance officers have been notified and all actions are being recorded.',
+    data: grant
+  });
+});
+
+/**
+ * Get the current user's active emergency access
+ * @async
+ * @function getActive
+ *
+ * @route GET /api/emergency-access/active
+ * @access Private
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with eligibility and the active grant, if any
+ */
+exports.getActive = asyncHandler(async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: {
+      eligible: Boolean(req.user.breakGlassEligible),
+      grant: req.emergencyAccess
+        ? { id: req.emergencyAccess.id, expiresAt: req.emergencyAccess.expiresAt }
+        : null
+    }
+  });
+});
+
+/**
+ * End emergency access before its window closes
+ * @async
+ * @function end
+ *
+ * @route POST /api/emergency-access/:id/end
+ * @access Private (the user who activated it, or a compliance officer)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Grant ID
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the ended grant
+ * @throws {AppError} If the grant is not active or the user may not end it
+ */
+exports.end = asyncHandler(async (req, res) => {
+  const grant = await emergencyAccessService.endGrant(req.params.id, {
+    id: req.user.id,
+    canReview: canReview(req)
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Emergency access ended',
+    data: grant
+  });
+});
+
+/**
+ * List emergency access grants
+ * @async
+ * @function getGrants
+ *
+ * @route GET /api/emergency-access
+ * @access Private (Compliance Officer/Admin)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status] - active, ended or expired
+ * @param {string} [req.query.reviewStatus] - pending, approved or rejected
+ * @param {number} [req.query.userId] - User who activated emergency access
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the grants
+ */
+exports.getGrants = asyncHandler(async (req, res) => {
+  const grants = await emergencyAccessService.listGrants(req.query);
+
+  return res.status(200).json({
+    success: true,
+    data: grants
+  });
+});
+
+/**
+ * List grants whose review is overdue
+ * @async
+ * @function getOverdueReviews
+ *
+ * @route GET /api/emergency-access/reviews/overdue
+ * @access Private (Compliance Officer/Admin)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the overdue grants
+ */
+exports.getOverdueReviews = asyncHandler(async (req, res) => {
+  const grants = await emergencyAccessService.getOverdueReviews();
+
+  return res.status(200).json({
+    success: true,
+    data: grants
+  });
+});
+
+/**
+ * Get a grant with every action taken under it
+ * @async
+ * @function getGrant
+ *
+ * @route GET /api/emergency-access/:id
+ * @access Private (Compliance Officer/Admin)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Grant ID
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the grant and its tagged audit entries
+ * @throws {AppError} If the grant is not found
+ */
+exports.getGrant = asyncHandler(async (req, res) => {
+  const result = await emergencyAccessService.getGrant(req.params.id);
+
+  return res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Sign off the review of an emergency access grant
+ * @async
+ * @function review
+ *
+ * @route POST /api/emergency-access/:id/review
+ * @access Private (Compliance Officer/Admin, not the user who activated it)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Grant ID
+ * @param {Object} req.body - Request body
+ * @param {boolean} req.body.approved - Whether the use of emergency access was appropriate
+ * @param {string} req.body.notes - Reviewer's findings
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the reviewed grant
+ * @throws {AppError} If the window is still open, the grant was reviewed or the reviewer used it
+ */
+exports.review = asyncHandler(async (req, res) => {
+  const grant = await emergencyAccessService.reviewGrant(req.params.id, req.body, {
+    id: req.user.id,
+    emergencyAccess: req.emergencyAccess
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Emergency access review signed off',
+    data: grant
+  });
+});
+
+/**
+ * Designate whether a user may activate emergency access
+ * @async
+ * @function setEligibility
+ *
+ * @route PUT /api/emergency-access/eligibility/:userId
+ * @access Private/Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.userId - User ID
+ * @param {Object} req.body - Request body
+ * @param {boolean} req.body.eligible - Whether the user is designated for break-glass access
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the user
+ * @throws {AppError} If the user is not found or the request uses emergency access
+ */
+exports.setEligibility = asyncHandler(async (req, res) => {
+  const user = await emergencyAccessService.setEligibility(req.params.userId, req.body.eligible, {
+    id: req.user.id,
+    emergencyAccess: req.emergencyAccess
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Break-glass designation updated',
+    data: user
+  });
+});
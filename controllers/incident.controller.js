@@ -1,13 +1,19 @@
-const { Incident, IncidentUpdate, User, sequelize } = require('../models');
+const { Incident, IncidentUpdate, BreachNotification, User, sequelize } = require('../models');
 const { Op, QueryTypes } = require('sequelize');
+const notificationService = require('../services/notification.service');
+const breachNotificationService = require('../services/breach-notification.service');
+const dataScopeService = require('../services/data-scope.service');
+const { handleError } = require('../utils/error-handler');
 
-// Get all incidents
+// Get all incidents reported by or assigned to users in the requester's data scope
 exports.getAllIncidents = async (req, res) => {
   try {
     // Get pagination parameters from middleware
     const { limit, offset, page } = req.pagination || { limit: 20, offset: 0, page: 1 };
+    const scope = await dataScopeService.getScope(req.user);
 
     const { count, rows: incidents } = await Incident.findAndCountAll({
+      where: dataScopeService.incidentWhere(scope),
       include: [
         {
           model: User,
@@ -90,7 +96,8 @@ exports.getIncidentById = async (req, res) => {
       ]
     });
     
-    if (!incident) {
+    // Incidents outside the data scope are reported as missing
+    if (!incident || !dataScopeService.canSeeIncident(await dataScopeService.getScope(req.user), incident)) {
       return res.status(404).json({
         success: false,
         message: 'Incident not found'
@@ -300,11 +307,17 @@ exports.updateIncident = async (req, res) => {
       if (previousAssignee === null && newAssignee !== null) {
         const assignee = await User.findByPk(newAssignee);
         description = `Incident assigned to ${assignee ? assignee.firstName + ' ' + assignee.lastName : 'Unknown'}`;
+        if (assignee && assignee.id !== updatedBy) {
+          notificationService.notifyIncidentAssigned(incident, assignee);
+        }
       } else if (previousAssignee !== null && newAssignee === null) {
         description = 'Incident unassigned';
       } else {
         const assignee = await User.findByPk(newAssignee);
         description = `Incident reassigned to ${assignee ? assignee.firstName + ' ' + assignee.lastName : 'Unknown'}`;
+        if (assignee && assignee.id !== updatedBy) {
+          notificationService.notifyIncidentAssigned(incident, assignee);
+        }
       }
       
       await IncidentUpdate.create({
@@ -363,6 +376,14 @@ exports.makeBreachDetermination = async (req, res) => {
       breachDeterminationBy
     });
     
+    // Notifications derived from an earlier assessment are no longer required
+    if (!isBreachable) {
+      await BreachNotification.update(
+        { status: 'cancelled' },
+        { where: { incidentId: id, status: 'pending' } }
+      );
+    }
+    
     // Create update record
     await IncidentUpdate.create({
       incidentId: id,
@@ -425,6 +446,16 @@ exports.recordBreachNotification = async (req, res) => {
       breachNotificationDate: new Date(breachNotificationDate)
     });
     
+    // Close the pending notice to individuals, if a risk assessment created one
+    await BreachNotification.update({
+      status: 'sent',
+      sentDate: new Date(breachNotificationDate),
+      completedBy: updatedBy,
+      notes: notificationDetails || null
+    }, {
+      where: { incidentId: id, recipientType: 'individuals', status: 'pending' }
+    });
+    
     // Create update record
     await IncidentUpdate.create({
       incidentId: id,
@@ -449,6 +480,99 @@ exports.recordBreachNotification = async (req, res) => {
   }
 };
 
+// Record a four-factor breach risk assessment and derive the required notifications
+exports.createBreachAssessment = async (req, res) => {
+  try {
+    const status = await breachNotificationService.recordAssessment(req.params.id, req.body, req.user.id);
+
+    return res.status(201).json({
+      success: true,
+      message: status.isBreachable
+        ? 'Breach risk assessment recorded; notifications are required'
+        : 'Breach risk assessment recorded; incident is not a breach',
+      data: status
+    });
+  } catch (error) {
+    console.error('Error recording breach risk assessment:', error);
+    return handleError(error, res);
+  }
+};
+
+// Get the current breach risk assessment, its history and the notifications
+exports.getBreachAssessment = async (req, res) => {
+  try {
+    const status = await breachNotificationService.getBreachStatus(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error fetching breach risk assessment:', error);
+    return handleError(error, res);
+  }
+};
+
+// Get the breach notifications of an incident with their deadlines
+exports.getBreachNotifications = async (req, res) => {
+  try {
+    const { notifications } = await breachNotificationService.getBreachStatus(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      data: notifications
+    });
+  } catch (error) {
+    console.error('Error fetching breach notifications:', error);
+    return handleError(error, res);
+  }
+};
+
+// Update a breach notification (e.g. mark it sent with evidence)
+exports.updateBreachNotification = async (req, res) => {
+  try {
+    const notification = await breachNotificationService.updateNotification(
+      req.params.id,
+      req.params.notificationId,
+      req.body,
+      req.user.id
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'Breach notification updated successfully',
+      data: notification
+    });
+  } catch (error) {
+    console.error('Error updating breach notification:', error);
+    return handleError(error, res);
+  }
+};
+
+// Get overdue and upcoming breach notification deadlines
+exports.getBreachDeadlineDashboard = async (req, res) => {
+  try {
+    const windowDays = req.query.windowDays !== undefined ? parseInt(req.query.windowDays, 10) : undefined;
+
+    if (windowDays !== undefined && (isNaN(windowDays) || windowDays < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'windowDays must be a non-negative number'
+      });
+    }
+
+    const dashboard = await breachNotificationService.getDeadlineDashboard({ windowDays });
+
+    return res.status(200).json({
+      success: true,
+      data: dashboard
+    });
+  } catch (error) {
+    console.error('Error fetching breach deadline dashboard:', error);
+    return handleError(error, res);
+  }
+};
+
 // Add update to incident
 exports.addIncidentUpdate = async (req, res) => {
   try {
@@ -471,9 +595,10 @@ exports.addIncidentUpdate = async (req, res) => {
       });
     }
 
+    // Incidents outside the data scope are reported as missing
     const incident = await Incident.findByPk(id);
 
-    if (!incident) {
+    if (!incident || !dataScopeService.canSeeIncident(await dataScopeService.getScope(req.user), incident)) {
       return res.status(404).json({
         success: false,
         message: 'Incident not found'
@@ -520,10 +645,10 @@ exports.getIncidentUpdates = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Check if incident exists
+    // Check if incident exists and is in the data scope
     const incident = await Incident.findByPk(id);
 
-    if (!incident) {
+    if (!incident || !dataScopeService.canSeeIncident(await dataScopeService.getScope(req.user), incident)) {
       return res.status(404).json({
         success: false,
         message: 'Incident not found'
@@ -613,11 +738,15 @@ exports.deleteIncident = async (req, res) => {
   }
 };
 
-// Get incident statistics
+// Get statistics of the incidents in the requester's data scope
 exports.getIncidentStatistics = async (req, res) => {
   try {
+    const scope = await dataScopeService.getScope(req.user);
+    const scopeWhere = dataScopeService.incidentWhere(scope);
+    const { sql: scopeSql, replacements: scopeReplacements } = dataScopeService.incidentSql(scope);
+
     // Use async/await with Promise.all to run multiple queries in parallel
-    const baseExcludeFilter = { status: { [Op.ne]: 'archived' } };
+    const baseExcludeFilter = { status: { [Op.ne]: 'archived' }, ...scopeWhere };
     const thirtyDaysAgo = new Date(new Date().setDate(new Date().getDate() - 30));
 
     const [
@@ -643,7 +772,7 @@ exports.getIncidentStatistics = async (req, res) => {
         SELECT
           'status' as group_type, status::text as group_value, COUNT(*) as count
         FROM incidents
-        WHERE status != 'archived'
+        WHERE status != 'archived' ${scopeSql}
         GROUP BY status
 
         UNION ALL
@@ -651,7 +780,7 @@ exports.getIncidentStatistics = async (req, res) => {
         SELECT
           'severity' as group_type, severity::text as group_value, COUNT(*) as count
         FROM incidents
-        WHERE status != 'archived'
+        WHERE status != 'archived' ${scopeSql}
         GROUP BY severity
 
         UNION ALL
@@ -659,9 +788,10 @@ exports.getIncidentStatistics = async (req, res) => {
         SELECT
           'category' as group_type, category::text as group_value, COUNT(*) as count
         FROM incidents
-        WHERE status != 'archived'
+        WHERE status != 'archived' ${scopeSql}
         GROUP BY category
       `, {
+        replacements: scopeReplacements,
         type: QueryTypes.SELECT
       }),
 
@@ -672,8 +802,9 @@ exports.getIncidentStatistics = async (req, res) => {
           COUNT(CASE WHEN "isBreachable" = true AND status != 'archived' THEN 1 END) as potential_breaches,
           COUNT(CASE WHEN "incidentDate" > :thirtyDaysAgo AND status != 'archived' THEN 1 END) as recent_incidents
         FROM incidents
+        WHERE true ${scopeSql}
       `, {
-        replacements: { thirtyDaysAgo },
+        replacements: { thirtyDaysAgo, ...scopeReplacements },
         type: QueryTypes.SELECT
       }),
 
@@ -682,7 +813,8 @@ exports.getIncidentStatistics = async (req, res) => {
         where: {
           status: 'closed',
           closedDate: { [Op.ne]: null },
-          incidentDate: { [Op.ne]: null }
+          incidentDate: { [Op.ne]: null },
+          ...scopeWhere
         },
         attributes: [
           'incidentDate',
@@ -0,0 +1,64 @@
+/**
+ * Lockout Controller
+ *
+ * @module controllers/lockout
+ * @description Lets administrators see and clear sign-in lockouts of usernames and IP addresses
+ */
+
+const { asyncHandler } = require('../utils/error-handler');
+const lockoutService = require('../services/lockout.service');
+
+/**
+ * List sign-in lockouts
+ * @async
+ * @function getLockouts
+ *
+ * @route GET /api/users/lockouts
+ * @access Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.scope] - 'username' or 'ip'
+ * @param {string} [req.query.status] - 'active' (default) for current lockouts, 'all' to include failure counters
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the lockout records
+ * @throws {AppError} If the scope is invalid
+ */
+exports.getLockouts = asyncHandler(async (req, res) => {
+  const lockouts = await lockoutService.listLocks({
+    scope: req.query.scope,
+    status: req.query.status
+  });
+
+  return res.status(200).json({
+    success: true,
+    data: lockouts
+  });
+});
+
+/**
+ * Clear a sign-in lockout
+ * @async
+ * @function clearLockout
+ *
+ * @route DELETE /api/users/lockouts/:id
+ * @access Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - Lockout record ID
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the cleared record
+ * @throws {AppError} If the lockout record is not found
+ */
+exports.clearLockout = asyncHandler(async (req, res) => {
+  const lockout = await lockoutService.clearLock(req.params.id, req.user.id);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Lockout cleared',
+    data: lockout
+  });
+});
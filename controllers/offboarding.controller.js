@@ -0,0 +1,166 @@
+/**
+ * Offboarding Controller
+ *
+ * @module controllers/offboarding
+ * @description Handles offboarding of departing users and their termination checklist
+ */
+
+const { asyncHandler } = require('../utils/error-handler');
+const offboardingService = require('../services/offboarding.service');
+
+/**
+ * List the open work a user owns, to choose a successor before offboarding them
+ * @async
+ * @function getOpenWork
+ *
+ * @route GET /api/users/:id/open-work
+ * @access Private (users:offboard)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the open incidents, risk items, mitigation tasks,
+ * documents, managed departments and access review decisions of the user
+ */
+exports.getOpenWork = asyncHandler(async (req, res) => {
+  const work = await offboardingService.getOpenWork(req.params.id);
+
+  return res.status(200).json({
+    success: true,
+    data: work
+  });
+});
+
+/**
+ * Offboard a user
+ * @async
+ * @function offboardUser
+ *
+ * @route POST /api/users/:id/offboard
+ * @access Private (users:offboard)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {number} [req.body.successorId] - User taking over the open work (required if there is any)
+ * @param {string} [req.body.reason] - Why the user is leaving
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the offboarding and its checklist
+ * @throws {AppError} If the user cannot be offboarded or the successor is invalid
+ */
+exports.offboardUser = asyncHandler(async (req, res) => {
+  const offboarding = await offboardingService.startOffboarding(req.params.id, {
+    successorId: req.body.successorId,
+    reason: req.body.reason
+  }, req.user);
+
+  return res.status(201).json({
+    success: true,
+    message: 'User offboarded. Complete the remaining checklist steps and sign it off.',
+    data: offboarding
+  });
+});
+
+/**
+ * List offboardings
+ * @async
+ * @function getOffboardings
+ *
+ * @route GET /api/users/offboardings
+ * @access Private (users:offboard)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status] - in_progress or completed
+ * @param {number} [req.query.userId] - User who left
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the offboardings
+ */
+exports.getOffboardings = asyncHandler(async (req, res) => {
+  const offboardings = await offboardingService.listOffboardings({
+    status: req.query.status,
+    userId: req.query.userId
+  });
+
+  return res.status(200).json({
+    success: true,
+    data: offboardings
+  });
+});
+
+/**
+ * Get an offboarding
+ * @async
+ * @function getOffboarding
+ *
+ * @route GET /api/users/offboardings/:id
+ * @access Private (users:offboard)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the offboarding, its transfers and checklist
+ * @throws {AppError} If the offboarding is not found
+ */
+exports.getOffboarding = asyncHandler(async (req, res) => {
+  const offboarding = await offboardingService.getOffboarding(req.params.id);
+
+  return res.status(200).json({
+    success: true,
+    data: offboarding
+  });
+});
+
+/**
+ * Tick or untick a checklist step
+ * @async
+ * @function updateChecklistItem
+ *
+ * @route PUT /api/users/offboardings/:id/checklist/:key
+ * @access Private (users:offboard)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {boolean} req.body.completed - Whether the step is done
+ * @param {string} [req.body.notes] - Notes, e.g. the asset tags of returned devices
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the offboarding
+ * @throws {AppError} If the offboarding was signed off or the step is unknown
+ */
+exports.updateChecklistItem = asyncHandler(async (req, res) => {
+  const offboarding = await offboardingService.updateChecklistItem(req.params.id, req.params.key, req.body, req.user);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Checklist updated',
+    data: offboarding
+  });
+});
+
+/**
+ * Sign off the termination checklist
+ * @async
+ * @function signOff
+ *
+ * @route POST /api/users/offboardings/:id/sign-off
+ * @access Private (users:offboard)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.notes] - Notes recorded with the sign-off
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the completed offboarding
+ * @throws {AppError} If steps are outstanding or the checklist was already signed off
+ */
+exports.signOff = asyncHandler(async (req, res) => {
+  const offboarding = await offboardingService.signOff(req.params.id, req.body, req.user);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Offboarding signed off',
+    data: offboarding
+  });
+});
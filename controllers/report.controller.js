@@ -1,17 +1,23 @@
 const { User, Role, Department, TrainingCourse, TrainingAssignment, Document, DocumentAcknowledgment, ComplianceRequirement, ComplianceAssessment } = require('../models');
 const { Op, Sequelize } = require('sequelize');
+const documentAcknowledgmentService = require('../services/document-acknowledgment.service');
+const dataScopeService = require('../services/data-scope.service');
 
-// Get dashboard metrics
+// Get dashboard metrics; user and training figures cover the requester's data scope
 exports.getDashboardMetrics = async (req, res) => {
   try {
+    const scope = await dataScopeService.getScope(req.user);
+    const userScope = dataScopeService.userWhere(scope);
+    const assignmentScope = dataScopeService.ownerWhere(scope);
+
     // User metrics
-    const totalUsers = await User.count();
-    const activeUsers = await User.count({ where: { accountStatus: 'active' } });
+    const totalUsers = await User.count({ where: userScope });
+    const activeUsers = await User.count({ where: { accountStatus: 'active', ...userScope } });
     
     // Training metrics
     const totalCourses = await TrainingCourse.count({ where: { status: 'active' } });
-    const totalAssignments = await TrainingAssignment.count();
-    const completedAssignments = await TrainingAssignment.count({ where: { status: 'completed' } });
+    const totalAssignments = await TrainingAssignment.count({ where: assignmentScope });
+    const completedAssignments = await TrainingAssignment.count({ where: { status: 'completed', ...assignmentScope } });
     const overdueAssignments = await TrainingAssignment.count({
       where: {
         status: {
@@ -19,7 +25,8 @@ exports.getDashboardMetrics = async (req, res) => {
         },
         dueDate: {
           [Op.lt]: new Date()
-        }
+        },
+        ...assignmentScope
       }
     });
     
@@ -123,10 +130,13 @@ exports.getDashboardMetrics = async (req, res) => {
   }
 };
 
-// Get training status by department
+// Get training status of the departments in the requester's data scope
 exports.getTrainingStatusByDepartment = async (req, res) => {
   try {
-    const departments = await Department.findAll();
+    const scope = await dataScopeService.getScope(req.user);
+    const departments = await Department.findAll({
+      where: dataScopeService.departmentWhere(scope)
+    });
     
     const departmentStats = [];
     
@@ -284,39 +294,26 @@ exports.getComplianceStatusByCategory = async (req, res) => {
   }
 };
 
-// Get document acknowledgment status
+// Get document acknowledgment status of the users in the requester's data scope
 exports.getDocumentAcknowledgmentStatus = async (req, res) => {
   try {
+    const scope = await dataScopeService.getScope(req.user);
+    const userScope = dataScopeService.userWhere(scope);
+
     const documents = await Document.findAll({
       where: { status: 'active' }
     });
     
+    // Get total users
+    const totalUsers = await User.count({
+      where: { accountStatus: 'active', ...userScope }
+    });
+    
+    // Acknowledgment status per document, including users on an outdated version
     const documentStats = [];
     
     for (const document of documents) {
-      // Get total users
-      const totalUsers = await User.count({
-        where: { accountStatus: 'active' }
-      });
-      
-      // Get acknowledgments for this document
-      const acknowledgments = await DocumentAcknowledgment.count({
-        where: { documentId: document.id }
-      });
-      
-      // Calculate acknowledgment rate
-      const acknowledgmentRate = totalUsers > 0 
-        ? Math.round((acknowledgments / totalUsers) * 100) 
-        : 0;
-      
-      documentStats.push({
-        documentId: document.id,
-        title: document.title,
-        totalUsers,
-        acknowledged: acknowledgments,
-        notAcknowledged: totalUsers - acknowledgments,
-        acknowledgmentRate
-      });
+      documentStats.push(await documentAcknowledgmentService.getAcknowledgmentStatus(document, totalUsers, userScope));
     }
     
     return res.status(200).json({
@@ -333,10 +330,11 @@ exports.getDocumentAcknowledgmentStatus = async (req, res) => {
   }
 };
 
-// Get upcoming due dates
+// Get upcoming due dates; training covers the requester's data scope
 exports.getUpcomingDueDates = async (req, res) => {
   try {
     const nextThirtyDays = new Date(new Date().setDate(new Date().getDate() + 30));
+    const scope = await dataScopeService.getScope(req.user);
     
     // Upcoming training assignments
     const upcomingTraining = await TrainingAssignment.findAll({
@@ -347,7 +345,8 @@ exports.getUpcomingDueDates = async (req, res) => {
         dueDate: {
           [Op.gt]: new Date(),
           [Op.lt]: nextThirtyDays
-        }
+        },
+        ...dataScopeService.ownerWhere(scope)
       },
       include: [
         {
@@ -414,10 +413,11 @@ exports.getUpcomingDueDates = async (req, res) => {
   }
 };
 
-// Generate compliance report
+// Generate compliance report; training and acknowledgments cover the requester's data scope
 exports.generateComplianceReport = async (req, res) => {
   try {
     const { startDate, endDate, includeTraining, includeDocuments, includeCompliance } = req.body;
+    const ownerScope = dataScopeService.ownerWhere(await dataScopeService.getScope(req.user));
     
     // Parse dates
     const parsedStartDate = startDate ? new Date(startDate) : new Date(new Date().setMonth(new Date().getMonth() - 1));
@@ -441,7 +441,8 @@ exports.generateComplianceReport = async (req, res) => {
           status: 'completed',
           completionDate: {
             [Op.between]: [parsedStartDate, parsedEndDate]
-          }
+          },
+          ...ownerScope
         },
         include: [
           {
@@ -459,8 +460,8 @@ exports.generateComplianceReport = async (req, res) => {
       });
       
       // Training statistics
-      const totalAssignments = await TrainingAssignment.count();
-      const completedAssignments = await TrainingAssignment.count({ where: { status: 'completed' } });
+      const totalAssignments = await TrainingAssignment.count({ where: ownerScope });
+      const completedAssignments = await TrainingAssignment.count({ where: { status: 'completed', ...ownerScope } });
       const overdueAssignments = await TrainingAssignment.count({
         where: {
           status: {
@@ -468,7 +469,8 @@ exports.generateComplianceReport = async (req, res) => {
           },
           dueDate: {
             [Op.lt]: new Date()
-          }
+          },
+          ...ownerScope
         }
       });
       
@@ -490,7 +492,8 @@ exports.generateComplianceReport = async (req, res) => {
         where: {
           acknowledgmentDate: {
             [Op.between]: [parsedStartDate, parsedEndDate]
-          }
+          },
+          ...ownerScope
         },
         include: [
           {
@@ -501,7 +504,7 @@ exports.generateComplianceReport = async (req, res) => {
           {
             model: Document,
             as: 'document',
-            attributes: ['id', 'title', 'documentType', 'hipaaCategory']
+            attributes: ['id', 'title', 'version', 'documentType', 'hipaaCategory']
           }
         ],
         order: [['acknowledgmentDate', 'DESC']]
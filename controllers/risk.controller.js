@@ -1,5 +1,12 @@
-const { RiskAssessment, RiskItem, User, sequelize } = require('../models');
+const { RiskAssessment, RiskItem, RiskTreatmentTask, User, sequelize } = require('../models');
 const { Op } = require('sequelize');
+const riskMatrixService = require('../services/risk-matrix.service');
+const riskTreatmentService = require('../services/risk-treatment.service');
+const roleService = require('../services/role.service');
+const { handleError } = require('../utils/error-handler');
+
+// Whether a user manages risk treatment
+const canManageRisk = (user) => roleService.userHasPermission(user, 'risk:manage');
 
 // Get all risk assessments
 exports.getAllRiskAssessments = async (req, res) => {
@@ -387,17 +394,9 @@ exports.createRiskItem = async (req, res) => {
       });
     }
     
-    // Calculate risk level based on likelihood and impact
-    let riskLevel;
-    if (likelihood === 'high' && impact === 'high') {
-      riskLevel = 'critical';
-    } else if (likelihood === 'high' || impact === 'high') {
-      riskLevel = 'high';
-    } else if (likelihood === 'medium' || impact === 'medium') {
-      riskLevel = 'medium';
-    } else {
-      riskLevel = 'low';
-    }
+    // Score likelihood and impact with the organization's risk matrix
+    const matrix = await riskMatrixService.getActiveMatrix();
+    const { riskScore, riskLevel } = riskMatrixService.scoreRisk(matrix, likelihood, impact);
     
     const newRiskItem = await RiskItem.create({
       assessmentId,
@@ -410,7 +409,9 @@ exports.createRiskItem = async (req, res) => {
       existingControls,
       likelihood,
       impact,
+      riskScore,
       riskLevel,
+      riskMatrixId: matrix.id,
       recommendedControls,
       mitigationPlan,
       mitigationStatus: 'not_started',
@@ -425,11 +426,7 @@ exports.createRiskItem = async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating risk item:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to create risk item',
-      error: error.message
-    });
+    return handleError(error, res);
   }
 };
 
@@ -464,21 +461,48 @@ exports.updateRiskItem = async (req, res) => {
       });
     }
     
-    // Calculate new risk level if likelihood or impact changed
-    let riskLevel = riskItem.riskLevel;
+    // Accepting a risk goes through the treatment decision and its approval
+    if (mitigationStatus === 'accepted' && riskItem.mitigationStatus !== 'accepted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Risks are accepted through an approved treatment decision',
+        errorCode: 'ACCEPTANCE_APPROVAL_REQUIRED'
+      });
+    }
+    
+    // Once a treatment plan has tasks, the mitigation status follows them
+    const statusChanged = Boolean(mitigationStatus) && mitigationStatus !== riskItem.mitigationStatus;
+    if (statusChanged && await RiskTreatmentTask.count({ where: { riskItemId: riskItem.id } }) > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The mitigation status of this risk is derived from its treatment tasks',
+        errorCode: 'MITIGATION_STATUS_DERIVED'
+      });
+    }
+    
+    // Re-score with the active risk matrix if likelihood or impact changed
+    let score = {
+      riskScore: riskItem.riskScore,
+      riskLevel: riskItem.riskLevel,
+      riskMatrixId: riskItem.riskMatrixId
+    };
     if (likelihood || impact) {
-      const newLikelihood = likelihood || riskItem.likelihood;
-      const newImpact = impact || riskItem.impact;
-      
-      if (newLikelihood === 'high' && newImpact === 'high') {
-        riskLevel = 'critical';
-      } else if (newLikelihood === 'high' || newImpact === 'high') {
-        riskLevel = 'high';
-      } else if (newLikelihood === 'medium' || newImpact === 'medium') {
-        riskLevel = 'medium';
+      const matrix = await riskMatrixService.getActiveMatrix();
+      const inherentRating = {
+        likelihood: likelihood || riskItem.likelihood,
+        impact: impact || riskItem.impact
+      };
+      let inherent;
+      if (riskItem.residualLikelihood && riskItem.residualImpact) {
+        // The residual risk must stay within the new inherent risk
+        ({ inherent } = riskTreatmentService.scoreWithinInherent(matrix, inherentRating, {
+          likelihood: riskItem.residualLikelihood,
+          impact: riskItem.residualImpact
+        }));
       } else {
-        riskLevel = 'low';
+        inherent = riskMatrixService.scoreRisk(matrix, inherentRating.likelihood, inherentRating.impact);
       }
+      score = { riskScore: inherent.riskScore, riskLevel: inherent.riskLevel, riskMatrixId: matrix.id };
     }
     
     // Update risk item
@@ -492,11 +516,11 @@ exports.updateRiskItem = async (req, res) => {
       existingControls: existingControls !== undefined ? existingControls : riskItem.existingControls,
       likelihood: likelihood || riskItem.likelihood,
       impact: impact || riskItem.impact,
-      riskLevel,
+      ...score,
       recommendedControls: recommendedControls !== undefined ? recommendedControls : riskItem.recommendedControls,
       mitigationPlan: mitigationPlan !== undefined ? mitigationPlan : riskItem.mitigationPlan,
       mitigationStatus: mitigationStatus || riskItem.mitigationStatus,
-      mitigationDate: mitigationStatus === 'completed' ? new Date() : (mitigationDate ? new Date(mitigationDate) : riskItem.mitigationDate),
+      mitigationDate: statusChanged && mitigationStatus === 'completed' ? new Date() : (mitigationDate ? new Date(mitigationDate) : riskItem.mitigationDate),
       assignedTo: assignedTo !== undefined ? assignedTo : riskItem.assignedTo,
       reviewDate: reviewDate ? new Date(reviewDate) : riskItem.reviewDate
     });
@@ -508,11 +532,7 @@ exports.updateRiskItem = async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating risk item:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to update risk item',
-      error: error.message
-    });
+    return handleError(error, res);
   }
 };
 
@@ -547,6 +567,255 @@ exports.deleteRiskItem = async (req, res) => {
   }
 };
 
+// Get the treatment plan of a risk item
+exports.getTreatmentPlan = async (req, res) => {
+  try {
+    const plan = await riskTreatmentService.getTreatmentPlan(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    console.error('Error getting risk treatment plan:', error);
+    return handleError(error, res);
+  }
+};
+
+// Record the treatment decision for a risk item
+exports.decideTreatment = async (req, res) => {
+  try {
+    const plan = await riskTreatmentService.decideTreatment(req.params.id, req.body, req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      message: plan.acceptanceStatus === 'pending'
+        ? 'Treatment decision recorded; the risk acceptance needs approval'
+        : 'Treatment decision recorded successfully',
+      data: plan
+    });
+  } catch (error) {
+    console.error('Error recording risk treatment decision:', error);
+    return handleError(error, res);
+  }
+};
+
+// Approve or reject a decision to accept a risk
+exports.reviewAcceptance = async (req, res) => {
+  try {
+    const plan = await riskTreatmentService.reviewAcceptance(req.params.id, req.body, req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      message: plan.acceptanceStatus === 'approved' ? 'Risk acceptance approved' : 'Risk acceptance rejected',
+      data: plan
+    });
+  } catch (error) {
+    console.error('Error reviewing risk acceptance:', error);
+    return handleError(error, res);
+  }
+};
+
+// Score the residual risk of a risk item
+exports.setResidualRisk = async (req, res) => {
+  try {
+    const riskItem = await riskTreatmentService.setResidualRisk(req.params.id, req.body);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Residual risk updated successfully',
+      data: riskItem
+    });
+  } catch (error) {
+    console.error('Error updating residual risk:', error);
+    return handleError(error, res);
+  }
+};
+
+// Add a mitigation task to a risk item
+exports.createTreatmentTask = async (req, res) => {
+  try {
+    const task = await riskTreatmentService.createTask(req.params.id, req.body, req.user.id);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Treatment task created successfully',
+      data: task
+    });
+  } catch (error) {
+    console.error('Error creating treatment task:', error);
+    return handleError(error, res);
+  }
+};
+
+// Get the current user's treatment tasks
+exports.getMyTreatmentTasks = async (req, res) => {
+  try {
+    const tasks = await riskTreatmentService.getTasksForOwner(req.user.id, {
+      openOnly: req.query.openOnly === 'true'
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: tasks
+    });
+  } catch (error) {
+    console.error('Error getting treatment tasks:', error);
+    return handleError(error, res);
+  }
+};
+
+// Update a treatment task (owners may only change its status)
+exports.updateTreatmentTask = async (req, res) => {
+  try {
+    const task = await riskTreatmentService.updateTask(req.params.taskId, req.body, {
+      id: req.user.id,
+      canManage: canManageRisk(req.user)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Treatment task updated successfully',
+      data: task
+    });
+  } catch (error) {
+    console.error('Error updating treatment task:', error);
+    return handleError(error, res);
+  }
+};
+
+// Delete a treatment task
+exports.deleteTreatmentTask = async (req, res) => {
+  try {
+    await riskTreatmentService.deleteTask(req.params.taskId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Treatment task deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting treatment task:', error);
+    return handleError(error, res);
+  }
+};
+
+// Attach evidence to a treatment task
+exports.addTaskEvidence = async (req, res) => {
+  try {
+    const evidence = await riskTreatmentService.addEvidence(req.params.taskId, req.body, {
+      id: req.user.id,
+      canManage: canManageRisk(req.user)
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Evidence added successfully',
+      data: evidence
+    });
+  } catch (error) {
+    console.error('Error adding task evidence:', error);
+    return handleError(error, res);
+  }
+};
+
+// Remove evidence from a treatment task
+exports.removeTaskEvidence = async (req, res) => {
+  try {
+    await riskTreatmentService.removeEvidence(req.params.evidenceId, {
+      id: req.user.id,
+      canManage: canManageRisk(req.user)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Evidence removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing task evidence:', error);
+    return handleError(error, res);
+  }
+};
+
+// Get the active risk matrix
+exports.getRiskMatrix = async (req, res) => {
+  try {
+    const matrix = await riskMatrixService.getActiveMatrix();
+
+    return res.status(200).json({
+      success: true,
+      data: matrix
+    });
+  } catch (error) {
+    console.error('Error getting risk matrix:', error);
+    return handleError(error, res);
+  }
+};
+
+// Replace the risk matrix with a new version and re-score existing risk items
+exports.updateRiskMatrix = async (req, res) => {
+  try {
+    const { matrix, rescore } = await riskMatrixService.updateMatrix(req.body, req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      message: rescore.skipped.length > 0
+        ? `Risk matrix updated; ${rescore.skipped.length} risk item(s) have ratings the new matrix does not define and were not re-scored`
+        : 'Risk matrix updated successfully',
+      data: { matrix, rescore }
+    });
+  } catch (error) {
+    console.error('Error updating risk matrix:', error);
+    return handleError(error, res);
+  }
+};
+
+// Re-score all risk items with the active risk matrix
+exports.rescoreRiskItems = async (req, res) => {
+  try {
+    const { likelihoodMap, impactMap } = req.body;
+    const result = await riskMatrixService.rescoreWithActiveMatrix({ likelihoodMap, impactMap }, req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Risk items re-scored successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error re-scoring risk items:', error);
+    return handleError(error, res);
+  }
+};
+
+// Get the version history of the risk matrix
+exports.getRiskMatrixVersions = async (req, res) => {
+  try {
+    const versions = await riskMatrixService.getMatrixVersions();
+
+    return res.status(200).json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Error getting risk matrix versions:', error);
+    return handleError(error, res);
+  }
+};
+
+// Get one version of the risk matrix
+exports.getRiskMatrixVersion = async (req, res) => {
+  try {
+    const matrix = await riskMatrixService.getMatrixVersion(req.params.version);
+
+    return res.status(200).json({
+      success: true,
+      data: matrix
+    });
+  } catch (error) {
+    console.error('Error getting risk matrix version:', error);
+    return handleError(error, res);
+  }
+};
+
 // Get risk statistics
 exports.getRiskStatistics = async (req, res) => {
   try {
@@ -624,6 +893,73 @@ exports.getRiskStatistics = async (req, res) => {
       }
     });
     
+    // Residual risk (after controls) by level, alongside inherent risk
+    const residualRiskItemsByLevel = await RiskItem.findAll({
+      attributes: [
+        'residualRiskLevel',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+      ],
+      where: {
+        residualRiskLevel: {
+          [Op.ne]: null
+        }
+      },
+      group: ['residualRiskLevel']
+    });
+    
+    // Average inherent and residual scores of items whose residual risk has been scored
+    const [riskReduction] = await RiskItem.findAll({
+      attributes: [
+        [sequelize.fn('COUNT', sequelize.col('id')), 'itemsWithResidual'],
+        [sequelize.fn('AVG', sequelize.col('riskScore')), 'averageInherentScore'],
+        [sequelize.fn('AVG', sequelize.col('residualScore')), 'averageResidualScore']
+      ],
+      where: {
+        residualScore: {
+          [Op.ne]: null
+        }
+      },
+      raw: true
+    });
+    
+    // High and critical residual risks
+    const highResidualRisks = await RiskItem.count({
+      where: {
+        residualRiskLevel: {
+          [Op.in]: ['high', 'critical']
+        }
+      }
+    });
+    
+    // Risk items by treatment decision
+    const riskItemsByTreatment = await RiskItem.findAll({
+      attributes: [
+        'treatmentDecision',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+      ],
+      group: ['treatmentDecision']
+    });
+    
+    // Risk acceptances waiting for approval
+    const pendingAcceptances = await RiskItem.count({
+      where: {
+        treatmentDecision: 'accept',
+        acceptanceStatus: 'pending'
+      }
+    });
+    
+    // Treatment tasks past their due date
+    const overdueTreatmentTasks = await RiskTreatmentTask.count({
+      where: {
+        status: {
+          [Op.in]: ['open', 'in_progress']
+        },
+        dueDate: {
+          [Op.lt]: new Date()
+        }
+      }
+    });
+    
     // Upcoming risk reviews
     const upcomingReviews = await RiskItem.findAll({
       where: {
@@ -658,6 +994,18 @@ exports.getRiskStatistics = async (req, res) => {
         mitigationStatus: riskItemsByMitigationStatus,
         highRisks,
         unmitigatedHighRisks,
+        residualRisksByLevel: residualRiskItemsByLevel,
+        highResidualRisks,
+        riskReduction: {
+          itemsWithResidual: Number(riskReduction && riskReduction.itemsWithResidual) || 0,
+          averageInherentScore: riskReduction && riskReduction.averageInherentScore !== null
+            ? Number(riskReduction.averageInherentScore) : null,
+          averageResidualScore: riskReduction && riskReduction.averageResidualScore !== null
+            ? Number(riskReduction.averageResidualScore) : null
+        },
+        treatmentDecisions: riskItemsByTreatment,
+        pendingAcceptances,
+        overdueTreatmentTasks,
         upcomingReviews
       }
     });
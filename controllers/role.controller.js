@@ -0,0 +1,170 @@
+/**
+ * Role Controller
+ *
+ * @module controllers/role
+ * @description Publishes the permission catalog and lets administrators compose roles from
+ * permissions and other roles
+ */
+
+const { asyncHandler } = require('../utils/error-handler');
+const roleService = require('../services/role.service');
+
+/**
+ * Get the permission catalog
+ * @async
+ * @function getPermissionCatalog
+ *
+ * @route GET /api/users/permissions
+ * @access Private (roles:read)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with every permission's key, group and description
+ */
+exports.getPermissionCatalog = asyncHandler(async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: roleService.getCatalog()
+  });
+});
+
+/**
+ * Get all roles
+ * @async
+ * @function getRoles
+ *
+ * @route GET /api/users/roles
+ * @access Private
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the roles, their direct permissions, the roles they
+ * include and their effective permissions
+ */
+exports.getRoles = asyncHandler(async (req, res) => {
+  const roles = await roleService.listRoles();
+
+  return res.status(200).json({
+    success: true,
+    data: roles
+  });
+});
+
+/**
+ * Create a new role
+ * @async
+ * @function createRole
+ *
+ * @route POST /api/users/roles
+ * @access Private (roles:manage)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Name of the new role
+ * @param {string} [req.body.description] - Description of the new role
+ * @param {Array<string>} [req.body.permissions] - Permission keys the role grants directly
+ * @param {Array<number>} [req.body.includedRoleIds] - Roles whose permissions the role inherits
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the created role
+ * @throws {AppError} If the data is invalid, the name is taken or it grants permissions the
+ * requester does not hold
+ */
+exports.createRole = asyncHandler(async (req, res) => {
+  const role = await roleService.createRole({
+    name: req.body.name,
+    description: req.body.description,
+    permissions: req.body.permissions,
+    includedRoleIds: req.body.includedRoleIds
+  }, req.user);
+
+  return res.status(201).json({
+    success: true,
+    message: 'Role created successfully',
+    data: role
+  });
+});
+
+/**
+ * Update a role
+ * @async
+ * @function updateRole
+ *
+ * @route PUT /api/users/roles/:id
+ * @access Private (roles:manage)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body; omitted fields are left unchanged
+ * @param {string} [req.body.name] - Role name
+ * @param {string} [req.body.description] - Role description
+ * @param {Array<string>} [req.body.permissions] - Permission keys the role grants directly
+ * @param {Array<number>} [req.body.includedRoleIds] - Roles whose permissions the role inherits
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the updated role
+ * @throws {AppError} If the role does not exist, the data is invalid, the inclusions form a
+ * cycle or it grants permissions the requester does not hold
+ */
+exports.updateRole = asyncHandler(async (req, res) => {
+  const role = await roleService.updateRole(req.params.id, {
+    name: req.body.name,
+    description: req.body.description,
+    permissions: req.body.permissions,
+    includedRoleIds: req.body.includedRoleIds
+  }, req.user);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Role updated successfully',
+    data: role
+  });
+});
+
+/**
+ * Delete a role
+ * @async
+ * @function deleteRole
+ *
+ * @route DELETE /api/users/roles/:id
+ * @access Private (roles:manage)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response confirming deletion
+ * @throws {AppError} If the role does not exist, is the Admin role, or is held by users or
+ * included by other roles
+ */
+exports.deleteRole = asyncHandler(async (req, res) => {
+  await roleService.deleteRole(req.params.id, req.user);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Role deleted successfully'
+  });
+});
+
+/**
+ * Get a user's effective permissions and the roles that grant them
+ * @async
+ * @function getUserPermissions
+ *
+ * @route GET /api/users/:id/permissions
+ * @access Private (roles:read)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the user's role and effective permissions
+ * @throws {AppError} If the user does not exist
+ */
+exports.getUserPermissions = asyncHandler(async (req, res) => {
+  const permissions = await roleService.getUserPermissions(req.params.id);
+
+  return res.status(200).json({
+    success: true,
+    data: permissions
+  });
+});
@@ -0,0 +1,471 @@
+/**
+ * SCIM Controller
+ *
+ * @module controllers/scim
+ * @description Handles the SCIM 2.0 provisioning API used by identity systems, and the
+ * administration of SCIM bearer tokens
+ */
+
+const { asyncHandler } = require('../utils/error-handler');
+const { logger } = require('../utils/logger');
+const scimService = require('../services/scim.service');
+
+// SCIM error types (RFC 7644 section 3.12) for application error codes
+const SCIM_ERROR_TYPES = {
+  DUPLICATE_USER: 'uniqueness',
+  DUPLICATE_DEPARTMENT: 'uniqueness',
+  SCIM_UNIQUENESS: 'uniqueness',
+  SCIM_INVALID_FILTER: 'invalidFilter',
+  SCIM_INVALID_PATH: 'invalidPath',
+  SCIM_INVALID_SYNTAX: 'invalidSyntax',
+  SCIM_INVALID_VALUE: 'invalidValue',
+  SCIM_NO_TARGET: 'noTarget',
+  SCIM_MUTABILITY: 'mutability',
+  VALIDATION_ERROR: 'invalidValue'
+};
+
+/**
+ * Build the SCIM base URL of a request, used in resource locations
+ * @param {Object} req - Express request object
+ * @returns {string} Base URL, e.g. https://hipaa.example.com/scim/v2
+ */
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+/**
+ * Build the context passed to the SCIM service
+ * @param {Object} req - Express request object
+ * @returns {Object} Token ID and base URL
+ */
+const getContext = (req) => ({
+  tokenId: req.scimToken.id,
+  baseUrl: getBaseUrl(req)
+});
+
+/**
+ * Send a SCIM response
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {Object} body - SCIM resource or message
+ * @returns {Object} Response
+ */
+const sendScim = (res, status, body) => {
+  if (body && body.meta && body.meta.location && status === 201) {
+    res.set('Location', body.meta.location);
+  }
+
+  return res.status(status).type('application/scim+json').send(JSON.stringify(body));
+};
+
+/**
+ * Get the service provider configuration
+ * @function getServiceProviderConfig
+ *
+ * @route GET /scim/v2/ServiceProviderConfig
+ * @access Public
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} SCIM ServiceProviderConfig
+ */
+exports.getServiceProviderConfig = (req, res) => {
+  return sendScim(res, 200, scimService.getServiceProviderConfig(getBaseUrl(req)));
+};
+
+/**
+ * List the supported resource types
+ * @function getResourceTypes
+ *
+ * @route GET /scim/v2/ResourceTypes
+ * @access Public
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} SCIM ListResponse of ResourceTypes
+ */
+exports.getResourceTypes = (req, res) => {
+  const resourceTypes = scimService.getResourceTypes(getBaseUrl(req));
+
+  return sendScim(res, 200, {
+    schemas: [scimService.SCHEMAS.LIST_RESPONSE],
+    totalResults: resourceTypes.length,
+    startIndex: 1,
+    itemsPerPage: resourceTypes.length,
+    Resources: resourceTypes
+  });
+};
+
+/**
+ * List the supported schemas
+ * @function getSchemas
+ *
+ * @route GET /scim/v2/Schemas
+ * @access Public
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} SCIM ListResponse of Schemas
+ */
+exports.getSchemas = (req, res) => {
+  const schemas = scimService.getSchemas(getBaseUrl(req));
+
+  return sendScim(res, 200, {
+    schemas: [scimService.SCHEMAS.LIST_RESPONSE],
+    totalResults: schemas.length,
+    startIndex: 1,
+    itemsPerPage: schemas.length,
+    Resources: schemas
+  });
+};
+
+/**
+ * List users
+ * @async
+ * @function listUsers
+ *
+ * @route GET /scim/v2/Users
+ * @access SCIM token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.filter] - SCIM filter, e.g. userName eq "jdoe"
+ * @param {number} [req.query.startIndex=1] - 1-based index of the first result
+ * @param {number} [req.query.count=100] - Page size (at most 200)
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} SCIM ListResponse of Users
+ * @throws {AppError} If the filter is invalid
+ */
+exports.listUsers = asyncHandler(async (req, res) => {
+  return sendScim(res, 200, await scimService.listUsers(req.query, getBaseUrl(req)));
+});
+
+/**
+ * Get a user
+ * @async
+ * @function getUser
+ *
+ * @route GET /scim/v2/Users/:id
+ * @access SCIM token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} SCIM User
+ * @throws {AppError} If the user does not exist
+ */
+exports.getUser = asyncHandler(async (req, res) => {
+  return sendScim(res, 200, await scimService.getUser(req.params.id, getBaseUrl(req)));
+});
+
+/**
+ * Provision a user
+ * @async
+ * @function createUser
+ *
+ * @route POST /scim/v2/Users
+ * @access SCIM token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - SCIM User
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} Created SCIM User
+ * @throws {AppError} If required attributes are missing or the user already exists
+ */
+exports.createUser = asyncHandler(async (req, res) => {
+  return sendScim(res, 201, await scimService.createUser(req.body, getContext(req)));
+});
+
+/**
+ * Replace a user
+ * @async
+ * @function replaceUser
+ *
+ * @route PUT /scim/v2/Users/:id
+ * @access SCIM token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - SCIM User
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} Updated SCIM User
+ * @throws {AppError} If the user does not exist or a value is invalid
+ */
+exports.replaceUser = asyncHandler(async (req, res) => {
+  return sendScim(res, 200, await scimService.replaceUser(req.params.id, req.body, getContext(req)));
+});
+
+/**
+ * Update a user with PATCH operations
+ * @async
+ * @function patchUser
+ *
+ * @route PATCH /scim/v2/Users/:id
+ * @access SCIM token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - SCIM PatchOp message
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} Updated SCIM User
+ * @throws {AppError} If the user does not exist or an operation is invalid
+ */
+exports.patchUser = asyncHandler(async (req, res) => {
+  return sendScim(res, 200, await scimService.patchUser(req.params.id, req.body, getContext(req)));
+});
+
+/**
+ * Deprovision a user: deactivate the account and end its sessions
+ * @async
+ * @function deleteUser
+ *
+ * @route DELETE /scim/v2/Users/:id
+ * @access SCIM token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {void} 204 No Content
+ * @throws {AppError} If the user does not exist
+ */
+exports.deleteUser = asyncHandler(async (req, res) => {
+  await scimService.deleteUser(req.params.id, getContext(req));
+
+  return res.status(204).end();
+});
+
+/**
+ * List groups (roles and departments)
+ * @async
+ * @function listGroups
+ *
+ * @route GET /scim/v2/Groups
+ * @access SCIM token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.filter] - SCIM filter, e.g. displayName eq "IT"
+ * @param {string} [req.query.excludedAttributes] - "members" to leave out members
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} SCIM ListResponse of Groups
+ * @throws {AppError} If the filter is invalid
+ */
+exports.listGroups = asyncHandler(async (req, res) => {
+  return sendScim(res, 200, await scimService.listGroups(req.query, getBaseUrl(req)));
+});
+
+/**
+ * Get a group
+ * @async
+ * @function getGroup
+ *
+ * @route GET /scim/v2/Groups/:id
+ * @access SCIM token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} SCIM Group
+ * @throws {AppError} If the group does not exist
+ */
+exports.getGroup = asyncHandler(async (req, res) => {
+  return sendScim(res, 200, await scimService.getGroup(req.params.id, req.query, getBaseUrl(req)));
+});
+
+/**
+ * Create a group as a department
+ * @async
+ * @function createGroup
+ *
+ * @route POST /scim/v2/Groups
+ * @access SCIM token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - SCIM Group
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} Created SCIM Group
+ * @throws {AppError} If the name is missing or already used
+ */
+exports.createGroup = asyncHandler(async (req, res) => {
+  return sendScim(res, 201, await scimService.createGroup(req.body, getContext(req)));
+});
+
+/**
+ * Replace a group's name and members
+ * @async
+ * @function replaceGroup
+ *
+ * @route PUT /scim/v2/Groups/:id
+ * @access SCIM token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - SCIM Group
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} Updated SCIM Group
+ * @throws {AppError} If the group does not exist or cannot be changed
+ */
+exports.replaceGroup = asyncHandler(async (req, res) => {
+  return sendScim(res, 200, await scimService.replaceGroup(req.params.id, req.body, getContext(req)));
+});
+
+/**
+ * Update a group with PATCH operations
+ * @async
+ * @function patchGroup
+ *
+ * @route PATCH /scim/v2/Groups/:id
+ * @access SCIM token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - SCIM PatchOp message
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} Updated SCIM Group
+ * @throws {AppError} If the group does not exist or an operation is invalid
+ */
+exports.patchGroup = asyncHandler(async (req, res) => {
+  return sendScim(res, 200, await scimService.patchGroup(req.params.id, req.body, getContext(req), req.query));
+});
+
+/**
+ * Delete a group (always refused: roles and departments are kept)
+ * @async
+ * @function deleteGroup
+ *
+ * @route DELETE /scim/v2/Groups/:id
+ * @access SCIM token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @throws {AppError} Mutability error once the group is found
+ */
+exports.deleteGroup = asyncHandler(async (req, res) => {
+  await scimService.deleteGroup(req.params.id);
+
+  return res.status(204).end();
+});
+
+/**
+ * Send errors in the SCIM error format (RFC 7644 section 3.12)
+ * @function handleError
+ *
+ * @param {Error} err - Error raised by a SCIM route
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ *
+ * @returns {Object} SCIM Error message
+ */
+exports.handleError = (err, req, res, next) => {
+  let status = err.statusCode || err.status || 500;
+  let detail = err.message;
+
+  // Malformed JSON bodies from express.json()
+  if (err.type === 'entity.parse.failed') {
+    status = 400;
+    detail = 'Request body is not valid JSON';
+  } else if (err.name === 'SequelizeValidationError' || err.name === 'SequelizeUniqueConstraintError') {
+    status = err.name === 'SequelizeUniqueConstraintError' ? 409 : 400;
+    detail = err.errors.map(e => e.message).join(', ');
+  } else if (status >= 500) {
+    logger.error('SCIM request failed:', err);
+    detail = 'An unexpected error occurred';
+  }
+
+  // Duplicates are 400 in the rest of the API but 409 in SCIM
+  const scimType = err.type === 'entity.parse.failed'
+    ? 'invalidSyntax'
+    : (err.name === 'SequelizeUniqueConstraintError' ? 'uniqueness' : SCIM_ERROR_TYPES[err.errorCode]);
+  if (scimType === 'uniqueness') {
+    status = 409;
+  }
+
+  return sendScim(res, status, {
+    schemas: [scimService.SCHEMAS.ERROR],
+    status: String(status),
+    ...(scimType ? { scimType } : {}),
+    detail
+  });
+};
+
+/**
+ * List SCIM tokens
+ * @async
+ * @function getTokens
+ *
+ * @route GET /api/users/scim-tokens
+ * @access Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the tokens (without their secrets)
+ */
+exports.getTokens = asyncHandler(async (req, res) => {
+  const tokens = await scimService.listTokens();
+
+  return res.status(200).json({
+    success: true,
+    data: tokens
+  });
+});
+
+/**
+ * Create a SCIM token. The token is only shown in this response.
+ * @async
+ * @function createToken
+ *
+ * @route POST /api/users/scim-tokens
+ * @access Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Name of the identity system that will use the token
+ * @param {number} [req.body.expiresInDays] - Days until the token expires
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the token record and the plaintext token
+ * @throws {AppError} If the name or expiry is invalid
+ */
+exports.createToken = asyncHandler(async (req, res) => {
+  const token = await scimService.createToken({
+    name: req.body.name,
+    expiresInDays: req.body.expiresInDays === undefined ? undefined : Number(req.body.expiresInDays)
+  }, req.user.id);
+
+  return res.status(201).json({
+    success: true,
+    message: 'SCIM token created. Copy it now; it will not be shown again.',
+    data: token
+  });
+});
+
+/**
+ * Revoke a SCIM token
+ * @async
+ * @function revokeToken
+ *
+ * @route DELETE /api/users/scim-tokens/:id
+ * @access Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response confirming revocation
+ * @throws {AppError} If the token does not exist
+ */
+exports.revokeToken = asyncHandler(async (req, res) => {
+  await scimService.revokeToken(req.params.id, req.user.id);
+
+  return res.status(200).json({
+    success: true,
+    message: 'SCIM token revoked'
+  });
+});
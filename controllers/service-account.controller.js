@@ -0,0 +1,257 @@
+/**
+ * Service Account Controller
+ *
+ * @module controllers/service-account
+ * @description Lets administrators manage service accounts and the API keys integrations use
+ * to call the API
+ */
+
+const { asyncHandler } = require('../utils/error-handler');
+const serviceAccountService = require('../services/service-account.service');
+
+/**
+ * Identify the administrator making a change, and whether they used an API key
+ * @param {Object} req - Express request object
+ * @returns {Object} Actor
+ */
+const getActor = (req) => ({
+  id: req.user.id,
+  apiKey: req.apiKey
+});
+
+/**
+ * Read an optional whole number from the request body
+ * @param {*} value - Body value
+ * @returns {number|undefined} Number, or undefined when not given
+ */
+const optionalNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+/**
+ * List service accounts
+ * @async
+ * @function getServiceAccounts
+ *
+ * @route GET /api/users/service-accounts
+ * @access Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the service accounts and their keys (without secrets)
+ */
+exports.getServiceAccounts = asyncHandler(async (req, res) => {
+  const accounts = await serviceAccountService.listServiceAccounts();
+
+  return res.status(200).json({
+    success: true,
+    data: accounts
+  });
+});
+
+/**
+ * Get a service account
+ * @async
+ * @function getServiceAccount
+ *
+ * @route GET /api/users/service-accounts/:id
+ * @access Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the service account and its keys (without secrets)
+ * @throws {AppError} If the service account does not exist
+ */
+exports.getServiceAccount = asyncHandler(async (req, res) => {
+  const account = await serviceAccountService.getServiceAccount(req.params.id);
+
+  return res.status(200).json({
+    success: true,
+    data: account
+  });
+});
+
+/**
+ * Create a service account
+ * @async
+ * @function createServiceAccount
+ *
+ * @route POST /api/users/service-accounts
+ * @access Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.username - Username the account acts under
+ * @param {string} req.body.name - Display name of the integration
+ * @param {string} [req.body.description] - What the integration does
+ * @param {number} req.body.roleId - Role whose permissions keys may be scoped to
+ * @param {number} [req.body.departmentId] - Department
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the created service account
+ * @throws {AppError} If the data is invalid or the username is taken
+ */
+exports.createServiceAccount = asyncHandler(async (req, res) => {
+  const account = await serviceAccountService.createServiceAccount({
+    username: req.body.username,
+    name: req.body.name,
+    description: req.body.description,
+    roleId: optionalNumber(req.body.roleId),
+    departmentId: optionalNumber(req.body.departmentId)
+  }, getActor(req));
+
+  return res.status(201).json({
+    success: true,
+    message: 'Service account created',
+    data: account
+  });
+});
+
+/**
+ * Update or deactivate a service account
+ * @async
+ * @function updateServiceAccount
+ *
+ * @route PUT /api/users/service-accounts/:id
+ * @access Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.name] - Display name
+ * @param {string} [req.body.description] - What the integration does
+ * @param {number} [req.body.roleId] - Role
+ * @param {number} [req.body.departmentId] - Department
+ * @param {boolean} [req.body.active] - Whether the account and its keys may be used
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the updated service account
+ * @throws {AppError} If the service account or role does not exist or the data is invalid
+ */
+exports.updateServiceAccount = asyncHandler(async (req, res) => {
+  const account = await serviceAccountService.updateServiceAccount(req.params.id, {
+    name: req.body.name,
+    description: req.body.description,
+    roleId: optionalNumber(req.body.roleId),
+    departmentId: req.body.departmentId === null ? null : optionalNumber(req.body.departmentId),
+    active: req.body.active
+  }, getActor(req));
+
+  return res.status(200).json({
+    success: true,
+    message: 'Service account updated',
+    data: account
+  });
+});
+
+/**
+ * List the API keys of a service account
+ * @async
+ * @function getApiKeys
+ *
+ * @route GET /api/users/service-accounts/:id/api-keys
+ * @access Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the keys (without their secrets)
+ */
+exports.getApiKeys = asyncHandler(async (req, res) => {
+  const keys = await serviceAccountService.listApiKeys(req.params.id);
+
+  return res.status(200).json({
+    success: true,
+    data: keys
+  });
+});
+
+/**
+ * Create an API key. The key is only shown in this response.
+ * @async
+ * @function createApiKey
+ *
+ * @route POST /api/users/service-accounts/:id/api-keys
+ * @access Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - What the key is used for
+ * @param {Array} req.body.scopes - Permission names the key may use
+ * @param {Array} req.body.allowedRoutes - Routes the key may call, e.g. 'GET /api/incidents*'
+ * @param {Array} [req.body.ipAllowlist] - IP addresses and CIDR ranges the key may be used from
+ * @param {number} [req.body.expiresInDays] - Days until the key expires
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the key record and the plaintext key
+ * @throws {AppError} If the service account does not exist or the data is invalid
+ */
+exports.createApiKey = asyncHandler(async (req, res) => {
+  const key = await serviceAccountService.createApiKey(req.params.id, {
+    name: req.body.name,
+    scopes: req.body.scopes,
+    allowedRoutes: req.body.allowedRoutes,
+    ipAllowlist: req.body.ipAllowlist,
+    expiresInDays: optionalNumber(req.body.expiresInDays)
+  }, getActor(req));
+
+  return res.status(201).json({
+    success: true,
+    message: 'API key created. Copy it now; it will not be shown again.',
+    data: key
+  });
+});
+
+/**
+ * Rotate an API key. The new key is only shown in this response; the old key keeps working
+ * for the grace period.
+ * @async
+ * @function rotateApiKey
+ *
+ * @route POST /api/users/service-accounts/:id/api-keys/:keyId/rotate
+ * @access Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {number} [req.body.graceHours] - Hours the old key keeps working (0 revokes it now)
+ * @param {number} [req.body.expiresInDays] - Days until the new key expires
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the new key record and the plaintext key
+ * @throws {AppError} If the key does not exist or is no longer active
+ */
+exports.rotateApiKey = asyncHandler(async (req, res) => {
+  const key = await serviceAccountService.rotateApiKey(req.params.id, req.params.keyId, {
+    graceHours: optionalNumber(req.body.graceHours),
+    expiresInDays: optionalNumber(req.body.expiresInDays)
+  }, getActor(req));
+
+  return res.status(201).json({
+    success: true,
+    message: 'API key rotated. Copy the new key now; it will not be shown again.',
+    data: key
+  });
+});
+
+/**
+ * Revoke an API key
+ * @async
+ * @function revokeApiKey
+ *
+ * @route DELETE /api/users/service-accounts/:id/api-keys/:keyId
+ * @access Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the revoked key
+ * @throws {AppError} If the key does not exist
+ */
+exports.revokeApiKey = asyncHandler(async (req, res) => {
+  const key = await serviceAccountService.revokeApiKey(req.params.id, req.params.keyId, getActor(req));
+
+  return res.status(200).json({
+    success: true,
+    message: 'API key revoked',
+    data: key
+  });
+});
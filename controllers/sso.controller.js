@@ -0,0 +1,359 @@
+/**
+ * Single Sign-On Controller
+ *
+ * @module controllers/sso
+ * @description Handles OpenID Connect sign-in and the administration of group mappings and SSO settings
+ */
+
+const { validationResult } = require('express-validator');
+const { AppError, asyncHandler } = require('../utils/error-handler');
+const { createSession, setSessionCookies } = require('../utils/session-manager');
+const { logger } = require('../utils/logger');
+const config = require('../config/app.config');
+const securityService = require('../services/security.service');
+const ssoService = require('../services/sso.service');
+
+// Cookie binding an authorization request to the browser that started it
+const STATE_COOKIE = 'sso_state';
+const STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  // Lax so the cookie is sent on the identity provider's redirect back to the callback
+  sameSite: 'lax',
+  path: '/api/auth/sso'
+};
+
+/**
+ * Return a 400 response when request validation failed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Response when validation failed, otherwise null
+ */
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return null;
+  }
+
+  return res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: errors.array()
+  });
+};
+
+/**
+ * Get the public single sign-on configuration
+ * @async
+ * @function getConfig
+ *
+ * @route GET /api/auth/sso/config
+ * @access Public
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with whether SSO is available and the provider's display name
+ */
+exports.getConfig = (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: {
+      enabled: ssoService.isEnabled(),
+      providerName: ssoService.SSO_CONFIG.PROVIDER_NAME
+    }
+  });
+};
+
+/**
+ * Start single sign-on by redirecting to the identity provider
+ * @async
+ * @function login
+ *
+ * @route GET /api/auth/sso/login
+ * @access Public
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.returnTo] - Application path to open after sign-in
+ * @param {string} [req.query.loginHint] - Username or email to pre-fill at the identity provider
+ *
+ * @param {Object} res - Express response object
+ *
+ * @returns {void} Redirects to the identity provider's authorization endpoint
+ * @throws {AppError} If SSO is not configured or the identity provider is unavailable
+ */
+exports.login = asyncHandler(async (req, res) => {
+  const { url, state } = await ssoService.createAuthorizationRequest({
+    returnTo: req.query.returnTo,
+    loginHint: req.query.loginHint
+  });
+
+  res.cookie(STATE_COOKIE, state, {
+    ...STATE_COOKIE_OPTIONS,
+    maxAge: ssoService.SSO_CONFIG.STATE_TTL_SECONDS * 1000
+  });
+
+  return res.redirect(url);
+});
+
+/**
+ * Complete single sign-on and start a session
+ * @async
+ * @function callback
+ *
+ * @route GET /api/auth/sso/callback
+ * @access Public (identity provider redirect)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Authorization response (code and state, or error)
+ * @param {string} req.cookies.sso_state - State set when the flow started
+ *
+ * @param {Object} res - Express response object
+ *
+ * @returns {void} Redirects to the client, with an ssoError query parameter when sign-in failed
+ */
+exports.callback = async (req, res) => {
+  const userAgent = req.headers['user-agent'] || 'unknown';
+  const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+  const browserState = req.cookies[STATE_COOKIE];
+
+  res.clearCookie(STATE_COOKIE, STATE_COOKIE_OPTIONS);
+
+  try {
+    const { user, mfaAsserted, returnTo } = await ssoService.handleCallback(req.query, browserState);
+
+    // Check IP restrictions if enabled
+    if (user.allowedIPs && user.allowedIPs.length > 0) {
+      const isAllowedIP = await securityService.checkAllowedIP(user, ipAddress);
+      if (!isAllowedIP) {
+        await securityService.logSecurityEvent(user.id, 'ACCESS_DENIED_IP', {
+          ipAddress,
+          userAgent
+        });
+        throw new AppError('Access denied from this IP address', 403, 'ACCESS_DENIED_IP');
+      }
+    }
+
+    try {
+      await securityService.handleSuccessfulLogin(user, ipAddress);
+    } catch (err) {
+      logger.error('Error in handleSuccessfulLogin:', err.message);
+      // Continue even if logging fails
+    }
+
+    // Sessions go through the session manager so they can be listed and revoked
+    const session = await createSession(
+      {
+        id: user.id,
+        username: user.username,
+        roleId: user.role.id,
+        roleName: user.role.name
+      },
+      {
+        userAgent,
+        ipAddress
+      }
+    );
+
+    // A second factor performed at the identity provider satisfies local MFA
+    if (user.mfaEnabled && mfaAsserted) {
+      await securityService.markMfaVerified(session.sessionId, user.id);
+    }
+
+    await user.update({
+      lastLogin: new Date(),
+      failedLoginAttempts: 0
+    });
+
+    setSessionCookies(res, session);
+
+    await securityService.logSecurityEvent(user.id, 'USER_LOGIN', {
+      ipAddress,
+      userAgent,
+      sessionId: session.sessionId,
+      method: 'oidc',
+      mfaAsserted
+    });
+
+    return res.redirect(`${config.server.clientUrl}${returnTo}`);
+  } catch (error) {
+    const errorCode = error.errorCode || 'SSO_LOGIN_FAILED';
+    logger.warn(`Single sign-on failed (${errorCode}): ${error.message}`);
+
+    await securityService.logSecurityEvent(null, 'SSO_LOGIN_FAILED', {
+      ipAddress,
+      userAgent,
+      errorCode
+    });
+
+    return res.redirect(`${config.server.clientUrl}/login?ssoError=${encodeURIComponent(errorCode)}`);
+  }
+};
+
+/**
+ * Get single sign-on settings
+ * @async
+ * @function getSettings
+ *
+ * @route GET /api/auth/sso/settings
+ * @access Admin only
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with settings keyed by setting key
+ */
+exports.getSettings = asyncHandler(async (req, res) => {
+  const settings = await ssoService.getSettings();
+
+  return res.status(200).json({
+    success: true,
+    data: settings
+  });
+});
+
+/**
+ * Update single sign-on settings
+ * @async
+ * @function updateSettings
+ *
+ * @route PUT /api/auth/sso/settings
+ * @access Admin only
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - New values keyed by setting key (e.g. { "sso.disableLocalPasswords": true })
+ * @param {Object} req.user - User object from JWT verification middleware
+ *
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the updated settings
+ * @throws {AppError} If a setting is unknown or a value is invalid
+ */
+exports.updateSettings = asyncHandler(async (req, res) => {
+  const settings = await ssoService.updateSettings(req.body, req.user.id);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Single sign-on settings updated successfully',
+    data: settings
+  });
+});
+
+/**
+ * List group mappings
+ * @async
+ * @function getMappings
+ *
+ * @route GET /api/auth/sso/mappings
+ * @access Admin only
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with mappings in the order they are applied
+ */
+exports.getMappings = asyncHandler(async (req, res) => {
+  const mappings = await ssoService.listMappings();
+
+  return res.status(200).json({
+    success: true,
+    data: mappings
+  });
+});
+
+/**
+ * Create a group mapping
+ * @async
+ * @function createMapping
+ *
+ * @route POST /api/auth/sso/mappings
+ * @access Admin only
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.claim=groups] - Claim to match
+ * @param {string} req.body.value - Claim value to match
+ * @param {number} [req.body.roleId] - Role to assign
+ * @param {number} [req.body.departmentId] - Department to assign
+ * @param {number} [req.body.priority=100] - Lower numbers win when several mappings match
+ * @param {Object} req.user - User object from JWT verification middleware
+ *
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the created mapping
+ * @throws {AppError} If the mapping is invalid or already exists
+ */
+exports.createMapping = asyncHandler(async (req, res) => {
+  const validationResponse = sendValidationErrors(req, res);
+  if (validationResponse) {
+    return validationResponse;
+  }
+
+  const mapping = await ssoService.createMapping(req.body, req.user.id);
+
+  return res.status(201).json({
+    success: true,
+    message: 'SSO mapping created successfully',
+    data: mapping
+  });
+});
+
+/**
+ * Update a group mapping
+ * @async
+ * @function updateMapping
+ *
+ * @route PUT /api/auth/sso/mappings/:id
+ * @access Admin only
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Mapping ID
+ * @param {Object} req.body - Fields to change
+ * @param {Object} req.user - User object from JWT verification middleware
+ *
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with the updated mapping
+ * @throws {AppError} If the mapping is not found or invalid
+ */
+exports.updateMapping = asyncHandler(async (req, res) => {
+  const validationResponse = sendValidationErrors(req, res);
+  if (validationResponse) {
+    return validationResponse;
+  }
+
+  const mapping = await ssoService.updateMapping(req.params.id, req.body, req.user.id);
+
+  return res.status(200).json({
+    success: true,
+    message: 'SSO mapping updated successfully',
+    data: mapping
+  });
+});
+
+/**
+ * Delete a group mapping
+ * @async
+ * @function deleteMapping
+ *
+ * @route DELETE /api/auth/sso/mappings/:id
+ * @access Admin only
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Mapping ID
+ * @param {Object} req.user - User object from JWT verification middleware
+ *
+ * @param {Object} res - Express response object
+ *
+ * @returns {Object} JSON response with success message
+ * @throws {AppError} If the mapping is not found
+ */
+exports.deleteMapping = asyncHandler(async (req, res) => {
+  await ssoService.deleteMapping(req.params.id, req.user.id);
+
+  return res.status(200).json({
+    success: true,
+    message: 'SSO mapping deleted successfully'
+  });
+});
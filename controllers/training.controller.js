@@ -1,5 +1,22 @@
 const { User, TrainingCourse, TrainingAssignment } = require('../models');
 const { Op } = require('sequelize');
+const notificationService = require('../services/notification.service');
+const certificateService = require('../services/certificate.service');
+const trainingSchedulerService = require('../services/training-scheduler.service');
+const trainingRuleService = require('../services/training-rule.service');
+const quizService = require('../services/quiz.service');
+const roleService = require('../services/role.service');
+const dataScopeService = require('../services/data-scope.service');
+const { AppError, handleError } = require('../utils/error-handler');
+
+// Whether a user can see every learner's training records
+const canViewAllTraining = (user) => roleService.userHasPermission(user, 'training:view-all');
+
+// Learners whose assignments a user may see; training:view-all widens it to everyone
+const getTrainingScope = (user) => dataScopeService.getScope(user, 'training:view-all');
+
+// Validate an optional positive whole number course setting
+const isValidCount = (value) => value === undefined || value === null || (Number.isInteger(value) && value > 0);
 
 // Get all training courses
 exports.getAllCourses = async (req, res) => {
@@ -65,7 +82,9 @@ exports.createCourse = async (req, res) => {
       durationMinutes,
       frequencyDays,
       content,
-      passingScore
+      passingScore,
+      questionsPerAttempt,
+      maxAttempts
     } = req.body;
 
     // Validate required fields
@@ -108,6 +127,14 @@ exports.createCourse = async (req, res) => {
       });
     }
 
+    // Validate quiz settings are positive whole numbers
+    if (!isValidCount(questionsPerAttempt) || !isValidCount(maxAttempts)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Questions per attempt and max attempts must be positive whole numbers'
+      });
+    }
+
     const newCourse = await TrainingCourse.create({
       title,
       description,
@@ -116,6 +143,8 @@ exports.createCourse = async (req, res) => {
       frequencyDays,
       content,
       passingScore,
+      questionsPerAttempt,
+      maxAttempts,
       status: 'active',
       version: '1.0'
     });
@@ -147,6 +176,8 @@ exports.updateCourse = async (req, res) => {
       frequencyDays, 
       content, 
       passingScore,
+      questionsPerAttempt,
+      maxAttempts,
       status,
       version
     } = req.body;
@@ -159,6 +190,14 @@ exports.updateCourse = async (req, res) => {
         message: 'Training course not found'
       });
     }
+
+    // Validate quiz settings are positive whole numbers
+    if (!isValidCount(questionsPerAttempt) || !isValidCount(maxAttempts)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Questions per attempt and max attempts must be positive whole numbers'
+      });
+    }
     
     // Update course
     await course.update({
@@ -169,6 +208,8 @@ exports.updateCourse = async (req, res) => {
       frequencyDays: frequencyDays !== undefined ? frequencyDays : course.frequencyDays,
       content: content !== undefined ? content : course.content,
       passingScore: passingScore !== undefined ? passingScore : course.passingScore,
+      questionsPerAttempt: questionsPerAttempt !== undefined ? questionsPerAttempt : course.questionsPerAttempt,
+      maxAttempts: maxAttempts !== undefined ? maxAttempts : course.maxAttempts,
       status: status || course.status,
       version: version || course.version
     });
@@ -219,10 +260,13 @@ exports.deleteCourse = async (req, res) => {
   }
 };
 
-// Get all training assignments
+// Get all training assignments in the requester's data scope
 exports.getAllAssignments = async (req, res) => {
   try {
+    const scope = await getTrainingScope(req.user);
+
     const assignments = await TrainingAssignment.findAll({
+      where: dataScopeService.ownerWhere(scope),
       include: [
         {
           model: User,
@@ -276,7 +320,8 @@ exports.getAssignmentById = async (req, res) => {
       ]
     });
     
-    if (!assignment) {
+    // Assignments of learners outside the data scope are reported as missing
+    if (!assignment || !dataScopeService.canSeeUser(await getTrainingScope(req.user), assignment.userId)) {
       return res.status(404).json({
         success: false,
         message: 'Training assignment not found'
@@ -302,8 +347,10 @@ exports.getUserAssignments = async (req, res) => {
   try {
     const { userId } = req.params;
     
-    // Check if user exists
-    const user = await User.findByPk(userId);
+    // Check if user exists and is in the data scope
+    const user = dataScopeService.canSeeUser(await getTrainingScope(req.user), userId)
+      ? await User.findByPk(userId)
+      : null;
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -401,6 +448,9 @@ exports.createAssignment = async (req, res) => {
       notes
     });
 
+    // Let the assignee know (sent in the background, failures are logged)
+    notificationService.notifyTrainingAssigned(newAssignment, user, course);
+
     return res.status(201).json({
       success: true,
       message: 'Training assignment created successfully',
@@ -422,7 +472,14 @@ exports.updateAssignmentStatus = async (req, res) => {
     const { id } = req.params;
     const { status, completionDate, score, notes } = req.body;
     
-    const assignment = await TrainingAssignment.findByPk(id);
+    const assignment = await TrainingAssignment.findByPk(id, {
+      include: [
+        {
+          model: TrainingCourse,
+          as: 'course'
+        }
+      ]
+    });
     
     if (!assignment) {
       return res.status(404).json({
@@ -430,6 +487,16 @@ exports.updateAssignmentStatus = async (req, res) => {
         message: 'Training assignment not found'
       });
     }
+
+    // Quiz results are only recorded by submitting a quiz attempt
+    if (assignment.course && assignment.course.contentType === 'quiz' &&
+        (score !== undefined || status === 'completed' || status === 'failed')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quiz courses are completed by submitting a quiz attempt',
+        errorCode: 'QUIZ_REQUIRED'
+      });
+    }
     
     // Validate status
     const validStatuses = ['assigned', 'in_progress', 'completed', 'expired', 'failed'];
@@ -489,6 +556,11 @@ exports.completeAssignment = async (req, res) => {
         {
           model: TrainingCourse,
           as: 'course'
+        },
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'firstName', 'lastName']
         }
       ]
     });
@@ -500,6 +572,15 @@ exports.completeAssignment = async (req, res) => {
       });
     }
 
+    // Quiz courses are scored on the server from the learner's answers
+    if (assignment.course.contentType === 'quiz') {
+      return res.status(400).json({
+        success: false,
+        message: 'Quiz courses are completed by submitting a quiz attempt',
+        errorCode: 'QUIZ_REQUIRED'
+      });
+    }
+
     // Check if the assignment is already completed
     if (assignment.status === 'completed' || assignment.status === 'failed') {
       return res.status(400).json({
@@ -516,19 +597,22 @@ exports.completeAssignment = async (req, res) => {
     await assignment.update({
       status,
       completionDate: new Date(),
-      score
+      score,
+      courseVersion: assignment.course.version
     });
 
     // Reload to get updated values
     await assignment.reload();
 
     // Generate certificate if passed
-    let certificatePath = null;
     if (status === 'completed') {
-      // In a real implementation, this would generate a certificate
-      certificatePath = `/certificates/training_${assignment.id}_${Date.now()}.pdf`;
-      await assignment.update({ certificatePath });
-      await assignment.reload();
+      try {
+        await certificateService.issueCertificate(assignment, assignment.user, assignment.course);
+        await assignment.reload();
+      } catch (certificateError) {
+        // The completion stands; the certificate is generated on first download instead
+        console.error('Error generating training certificate:', certificateError);
+      }
     }
 
     return res.status(200).json({
@@ -546,20 +630,321 @@ exports.completeAssignment = async (req, res) => {
   }
 };
 
-// Get training statistics
+// Download the completion certificate for a training assignment
+exports.getAssignmentCertificate = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { assignment, filePath, fileName } = await certificateService.getCertificateFile(id);
+
+    // Learners can download their own certificates; training:view-all grants any certificate
+    if (assignment.userId !== req.user.id && !canViewAllTraining(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this certificate'
+      });
+    }
+
+    return res.download(filePath, fileName);
+  } catch (error) {
+    console.error('Error retrieving training certificate:', error);
+    return handleError(error, res);
+  }
+};
+
+// Verify a training certificate by its verification code (public)
+exports.verifyCertificate = async (req, res) => {
+  try {
+    const certificate = await certificateService.verifyCertificate(req.params.code);
+
+    return res.status(200).json({
+      success: true,
+      data: certificate
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.errorCode,
+        data: { valid: false }
+      });
+    }
+    console.error('Error verifying training certificate:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify training certificate',
+      error: error.message
+    });
+  }
+};
+
+// Preview what the next recurring training scheduler run would create and expire
+exports.previewScheduler = async (req, res) => {
+  try {
+    const preview = await trainingSchedulerService.runScheduler({ dryRun: true });
+
+    return res.status(200).json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    console.error('Error previewing training scheduler:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to preview training scheduler',
+      error: error.message
+    });
+  }
+};
+
+// Get the question bank of a quiz course (with correct answers)
+exports.getCourseQuestions = async (req, res) => {
+  try {
+    const questions = await quizService.getQuestions(req.params.id, {
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: questions
+    });
+  } catch (error) {
+    console.error('Error getting quiz questions:', error);
+    return handleError(error, res);
+  }
+};
+
+// Add a question to a course's question bank
+exports.createQuestion = async (req, res) => {
+  try {
+    const question = await quizService.createQuestion(req.params.id, req.body);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Quiz question created successfully',
+      data: question
+    });
+  } catch (error) {
+    console.error('Error creating quiz question:', error);
+    return handleError(error, res);
+  }
+};
+
+// Update a quiz question
+exports.updateQuestion = async (req, res) => {
+  try {
+    const question = await quizService.updateQuestion(req.params.questionId, req.body);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Quiz question updated successfully',
+      data: question
+    });
+  } catch (error) {
+    console.error('Error updating quiz question:', error);
+    return handleError(error, res);
+  }
+};
+
+// Retire a quiz question (kept for reviewing earlier attempts)
+exports.deleteQuestion = async (req, res) => {
+  try {
+    await quizService.deleteQuestion(req.params.questionId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Quiz question retired successfully'
+    });
+  } catch (error) {
+    console.error('Error retiring quiz question:', error);
+    return handleError(error, res);
+  }
+};
+
+// Start or resume a quiz attempt for the learner's assignment
+exports.startQuizAttempt = async (req, res) => {
+  try {
+    const result = await quizService.startAttempt(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error starting quiz attempt:', error);
+    return handleError(error, res);
+  }
+};
+
+// List the quiz attempts of an assignment
+exports.getQuizAttempts = async (req, res) => {
+  try {
+    const result = await quizService.getAttempts(req.params.id, {
+      id: req.user.id,
+      canReviewAll: canViewAllTraining(req.user)
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error getting quiz attempts:', error);
+    return handleError(error, res);
+  }
+};
+
+// Submit answers for a quiz attempt and score them
+exports.submitQuizAttempt = async (req, res) => {
+  try {
+    const review = await quizService.submitAttempt(req.params.attemptId, req.user.id, req.body.answers);
+
+    return res.status(200).json({
+      success: true,
+      message: review.attempt.passed ? 'Quiz passed' : 'Quiz not passed',
+      data: review
+    });
+  } catch (error) {
+    console.error('Error submitting quiz attempt:', error);
+    return handleError(error, res);
+  }
+};
+
+// Review the answers of a submitted quiz attempt
+exports.getQuizAttemptReview = async (req, res) => {
+  try {
+    const review = await quizService.getAttemptReview(req.params.attemptId, {
+      id: req.user.id,
+      canReviewAll: canViewAllTraining(req.user)
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    console.error('Error reviewing quiz attempt:', error);
+    return handleError(error, res);
+  }
+};
+
+// Get all training assignment rules
+exports.getAllRules = async (req, res) => {
+  try {
+    const { isActive, courseId } = req.query;
+
+    const rules = await trainingRuleService.getRules({
+      isActive: isActive === undefined ? undefined : isActive === 'true',
+      courseId
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Error getting training assignment rules:', error);
+    return handleError(error, res);
+  }
+};
+
+// Get a training assignment rule by ID
+exports.getRuleById = async (req, res) => {
+  try {
+    const rule = await trainingRuleService.getRuleById(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error getting training assignment rule:', error);
+    return handleError(error, res);
+  }
+};
+
+// Create a training assignment rule
+exports.createRule = async (req, res) => {
+  try {
+    const rule = await trainingRuleService.createRule(req.body, req.user.id);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Training assignment rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error creating training assignment rule:', error);
+    return handleError(error, res);
+  }
+};
+
+// Update a training assignment rule
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await trainingRuleService.updateRule(req.params.id, req.body);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Training assignment rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error updating training assignment rule:', error);
+    return handleError(error, res);
+  }
+};
+
+// Delete a training assignment rule
+exports.deleteRule = async (req, res) => {
+  try {
+    await trainingRuleService.deleteRule(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Training assignment rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting training assignment rule:', error);
+    return handleError(error, res);
+  }
+};
+
+// Apply a training assignment rule to all current users it matches
+exports.applyRule = async (req, res) => {
+  try {
+    const result = await trainingRuleService.applyRuleToExistingUsers(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      message: `Rule applied: ${result.assignmentsCreated} assignment(s) created`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error applying training assignment rule:', error);
+    return handleError(error, res);
+  }
+};
+
+// Get training statistics of the assignments in the requester's data scope
 exports.getTrainingStatistics = async (req, res) => {
   try {
+    const scopeWhere = dataScopeService.ownerWhere(await getTrainingScope(req.user));
+
     // Total courses
     const totalCourses = await TrainingCourse.count({
       where: { status: 'active' }
     });
 
     // Total assignments
-    const totalAssignments = await TrainingAssignment.count();
+    const totalAssignments = await TrainingAssignment.count({
+      where: scopeWhere
+    });
 
     // Completed assignments
     const completedAssignments = await TrainingAssignment.count({
-      where: { status: 'completed' }
+      where: { status: 'completed', ...scopeWhere }
     });
 
     // Pending assignments (assigned or in_progress)
@@ -567,7 +952,8 @@ exports.getTrainingStatistics = async (req, res) => {
       where: {
         status: {
           [Op.in]: ['assigned', 'in_progress']
-        }
+        },
+        ...scopeWhere
       }
     });
 
@@ -579,7 +965,8 @@ exports.getTrainingStatistics = async (req, res) => {
         },
         dueDate: {
           [Op.lt]: new Date()
-        }
+        },
+        ...scopeWhere
       }
     });
 
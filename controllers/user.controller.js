@@ -3,16 +3,19 @@
  * @module controllers/user
  */
 const userService = require('../services/user.service');
-const { asyncHandler } = require('../utils/error-handler');
-const { Role, Department, User } = require('../models');
+const notificationService = require('../services/notification.service');
+const dataScopeService = require('../services/data-scope.service');
+const { asyncHandler, AppError } = require('../utils/error-handler');
+const { Department, User } = require('../models');
 
 /**
- * Get all users
+ * Get all users the requester may see: everyone with records:view-all, otherwise themselves
+ * and the members of the departments they manage
  * @async
  * @function getAllUsers
  *
  * @route GET /api/users
- * @access Private/Admin
+ * @access Private (scoped by department)
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -21,7 +24,8 @@ const { Role, Department, User } = require('../models');
  * @throws {AppError} If retrieval fails
  */
 exports.getAllUsers = asyncHandler(async (req, res) => {
-  const users = await userService.getAllUsers();
+  const scope = await dataScopeService.getScope(req.user);
+  const users = await userService.getAllUsers(dataScopeService.userWhere(scope));
 
   return res.status(200).json({
     success: true,
@@ -35,7 +39,7 @@ exports.getAllUsers = asyncHandler(async (req, res) => {
  * @function getUserById
  *
  * @route GET /api/users/:id
- * @access Private/Admin
+ * @access Private (scoped by department)
  *
  * @param {Object} req - Express request object
  * @param {Object} req.params - Request parameters
@@ -43,10 +47,17 @@ exports.getAllUsers = asyncHandler(async (req, res) => {
  * @param {Object} res - Express response object
  *
  * @returns {Object} JSON response with user data
- * @throws {AppError} If user not found or retrieval fails
+ * @throws {AppError} If the user is not found or is outside the requester's departments
  */
 exports.getUserById = asyncHandler(async (req, res) => {
   const { id } = req.params;
+
+  // Users outside the scope are reported as missing so their IDs cannot be probed
+  const scope = await dataScopeService.getScope(req.user);
+  if (!dataScopeService.canSeeUser(scope, id)) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
   const user = await userService.getUserById(id);
   
   return res.status(200).json({
@@ -151,56 +162,54 @@ exports.deleteUser = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get all roles
+ * Get the current user's notification preferences
  * @async
- * @function getAllRoles
+ * @function getNotificationPreferences
  *
- * @route GET /api/users/roles
- * @access Private/Admin
+ * @route GET /api/users/me/notification-preferences
+ * @access Private
  *
  * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user information
  * @param {Object} res - Express response object
  *
- * @returns {Object} JSON response with array of roles
+ * @returns {Object} JSON response with preferences keyed by category
  * @throws {AppError} If retrieval fails
  */
-exports.getAllRoles = asyncHandler(async (req, res) => {
-  const roles = await Role.findAll({
-    order: [['name', 'ASC']]
+exports.getNotificationPreferences = asyncHandler(async (req, res) => {
+  const user = await User.findByPk(req.user.id, {
+    attributes: ['id', 'notificationPreferences']
   });
 
   return res.status(200).json({
     success: true,
-    data: roles
+    data: notificationService.getPreferences(user)
   });
 });
 
 /**
- * Create a new role
+ * Update the current user's notification preferences
  * @async
- * @function createRole
+ * @function updateNotificationPreferences
  *
- * @route POST /api/users/roles
- * @access Private/Admin
+ * @route PUT /api/users/me/notification-preferences
+ * @access Private
  *
  * @param {Object} req - Express request object
- * @param {Object} req.body - Request body containing role data
- * @param {string} req.body.name - Name of the new role
- * @param {string} [req.body.description] - Description of the new role
- * @param {Array<string>} [req.body.permissions] - Array of permission names for the role
+ * @param {Object} req.body - Preferences to change, e.g. { "training": false }
+ * @param {Object} req.user - Authenticated user information
  * @param {Object} res - Express response object
  *
- * @returns {Object} JSON response with newly created role data
- * @throws {AppError} If creation fails or validation errors occur
+ * @returns {Object} JSON response with the updated preferences
+ * @throws {AppError} If a category or value is invalid
  */
-exports.createRole = asyncHandler(async (req, res) => {
-  const roleData = req.body;
-  const newRole = await userService.createRole(roleData);
-  
-  return res.status(201).json({
+exports.updateNotificationPreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationService.updatePreferences(req.user.id, req.body);
+
+  return res.status(200).json({
     success: true,
-    message: 'Role created successfully',
-    data: newRole
+    message: 'Notification preferences updated successfully',
+    data: preferences
   });
 });
 
@@ -9,6 +9,7 @@ dotenv.config();
 
 // Import models
 const db = require('./models');
+const { DEFAULT_ROLE_PERMISSIONS } = require('./config/permissions');
 
 // Simple password hashing function using Node.js crypto module
 function hashPassword(password) {
@@ -39,7 +40,11 @@ async function initializeDatabase() {
     await db.Role.create({ 
       name: 'compliance_officer',
       description: 'Compliance officer role',
-      permissions: { canManageDocuments: true, canManageTraining: true }
+      permissions: {
+        canManageDocuments: true,
+        canManageTraining: true,
+        ...Object.fromEntries(DEFAULT_ROLE_PERMISSIONS['Compliance Officer'].map(key => [key, true]))
+      }
     });
     
     await db.Role.create({ 
@@ -1,164 +1,58 @@
 /**
  * Account Protection Middleware - Prevents brute force attacks and enforces security policies
  * @module middleware/account-protection
+ *
+ * Thin wrappers over the shared lockout engine in services/lockout.service, which tracks
+ * failed sign-ins per username and per IP address in the database.
  */
-const { User } = require('../models');
+const lockoutService = require('../services/lockout.service');
 const { AppError } = require('../utils/error-handler');
 
-// In-memory store for login attempt tracking (replace with Redis in production)
-const loginAttempts = new Map();
-
 /**
- * Track failed login attempts and implement account lockouts
+ * Track a login attempt and lock the username or IP address when a limit is reached
  * @param {string} username - The username being attempted
  * @param {boolean} success - Whether the login attempt was successful
+ * @param {string} [ipAddress] - IP address the attempt came from
  * @returns {Promise<void>}
  */
-const trackLoginAttempt = async (username, success) => {
+const trackLoginAttempt = async (username, success, ipAddress) => {
   if (!username) return;
-  
-  const key = username.toLowerCase();
-  const now = Date.now();
-  const windowMs = 15 * 60 * 1000; // 15 minutes
-  const maxAttempts = 5; // Lock after 5 failed attempts
-  
-  // Get current attempts or initialize
-  let attempts = loginAttempts.get(key) || { count: 0, timestamps: [], lockedUntil: null };
-  
-  // Clean up old attempts outside the window
-  attempts.timestamps = attempts.timestamps.filter(time => now - time < windowMs);
-  
-  if (success) {
-    // Successful login resets attempts
-    attempts = { count: 0, timestamps: [], lockedUntil: null };
 
-    // If account was locked due to failed attempts, update in database
-    await User.update(
-      { accountStatus: 'active', accountLockExpiresAt: null },
-      { where: { username, accountStatus: 'locked' }}
-    );
+  if (success) {
+    await lockoutService.recordSuccess({ username });
   } else {
-    // Increment failed attempts
-    attempts.count = attempts.timestamps.length + 1;
-    attempts.timestamps.push(now);
-
-    // Lock account if max attempts reached
-    if (attempts.count >= maxAttempts) {
-      const lockDuration = 30 * 60 * 1000; // 30 minutes
-      attempts.lockedUntil = now + lockDuration;
-
-      // Update database to reflect locked status
-      await User.update(
-        {
-          accountStatus: 'locked',
-          accountLockExpiresAt: new Date(attempts.lockedUntil)
-        },
-        { where: { username }}
-      );
-    }
+    await lockoutService.recordFailure({ username, ipAddress });
   }
-  
-  // Update in-memory store
-  loginAttempts.set(key, attempts);
 };
 
 /**
  * Check if an account is locked due to failed attempts
  * @param {string} username - The username to check
- * @returns {Promise<boolean>} - True if the account is locked
+ * @param {string} [ipAddress] - IP address to check as well
+ * @returns {Promise<boolean>} - True if the account or IP address is locked
  */
-const isAccountLocked = async (username) => {
-  if (!username) return false;
-  
-  const key = username.toLowerCase();
-  const attempts = loginAttempts.get(key);
-  
-  // If no attempts record or no lock, check the database
-  if (!attempts || !attempts.lockedUntil) {
-    const user = await User.findOne({
-      where: { username },
-      attributes: ['accountStatus', 'accountLockExpiresAt']
-    });
-
-    if (!user) return false;
-
-    // If locked in database but not in memory, add to memory
-    if (user.accountStatus === 'locked') {
-      const lockedUntil = user.accountLockExpiresAt ? new Date(user.accountLockExpiresAt).getTime() : null;
-
-      // If lock has expired, unlock in database
-      if (lockedUntil && lockedUntil < Date.now()) {
-        await User.update(
-          { accountStatus: 'active', accountLockExpiresAt: null },
-          { where: { username }}
-        );
-        return false;
-      }
-
-      // Update in-memory store
-      loginAttempts.set(key, {
-        count: 5,
-        timestamps: [],
-        lockedUntil
-      });
-
-      return true;
-    }
-
-    return false;
-  }
+const isAccountLocked = async (username, ipAddress) => {
+  if (!username && !ipAddress) return false;
 
-  // Check if lock has expired
-  if (attempts.lockedUntil < Date.now()) {
-    // Reset attempts on expiration
-    loginAttempts.set(key, { count: 0, timestamps: [], lockedUntil: null });
-
-    // Update database to reflect unlocked status
-    await User.update(
-      { accountStatus: 'active', accountLockExpiresAt: null },
-      { where: { username, accountStatus: 'locked' }}
-    );
-
-    return false;
-  }
-  
-  return true;
+  const status = await lockoutService.getLockStatus({ username, ipAddress });
+  return status.locked;
 };
 
 /**
  * Get remaining lockout time in seconds
  * @param {string} username - The username to check
+ * @param {string} [ipAddress] - IP address to check as well
  * @returns {Promise<number>} - Remaining lock time in seconds, 0 if not locked
  */
-const getRemainingLockTime = async (username) => {
-  if (!username) return 0;
-  
-  const key = username.toLowerCase();
-  const attempts = loginAttempts.get(key);
-  
-  if (!attempts || !attempts.lockedUntil) {
-    const user = await User.findOne({
-      where: { username },
-      attributes: ['accountStatus', 'accountLockExpiresAt']
-    });
-
-    if (!user || user.accountStatus !== 'locked') {
-      return 0;
-    }
-
-    const lockedUntil = user.accountLockExpiresAt ? new Date(user.accountLockExpiresAt).getTime() : null;
-    if (!lockedUntil) return 0;
+const getRemainingLockTime = async (username, ipAddress) => {
+  if (!username && !ipAddress) return 0;
 
-    const remainingMs = Math.max(0, lockedUntil - Date.now());
-    return Math.ceil(remainingMs / 1000);
-  }
-  
-  const remainingMs = Math.max(0, attempts.lockedUntil - Date.now());
-  return Math.ceil(remainingMs / 1000);
+  const status = await lockoutService.getLockStatus({ username, ipAddress });
+  return status.remainingSeconds;
 };
 
 /**
- * Middleware to check for account locked status before authentication
+ * Middleware to check for account or IP lockout before authentication
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -166,23 +60,32 @@ const getRemainingLockTime = async (username) => {
 const checkAccountLock = async (req, res, next) => {
   try {
     const { username } = req.body;
-    
+
     if (!username) {
       return next(new AppError('Username is required', 400, 'VALIDATION_ERROR'));
     }
-    
-    // Check if account is locked
-    const locked = await isAccountLocked(username);
-    
-    if (locked) {
-      const remainingSeconds = await getRemainingLockTime(username);
+
+    const ipAddress = req.ip || (req.connection && req.connection.remoteAddress);
+    const status = await lockoutService.getLockStatus({ username, ipAddress });
+
+    if (status.locked) {
+      const minutes = Math.ceil(status.remainingSeconds / 60);
+
+      if (status.scope === 'ip') {
+        return next(new AppError(
+          `Too many failed sign-in attempts from this address. Try again in ${minutes} minutes.`,
+          429,
+          'IP_LOCKED'
+        ));
+      }
+
       return next(new AppError(
-        `Account is temporarily locked due to too many failed attempts. Try again in ${Math.ceil(remainingSeconds / 60)} minutes.`,
+        `Account is temporarily locked due to too many failed attempts. Try again in ${minutes} minutes.`,
         403,
         'ACCOUNT_LOCKED'
       ));
     }
-    
+
     next();
   } catch (error) {
     next(error);
@@ -194,4 +97,4 @@ module.exports = {
   isAccountLocked,
   getRemainingLockTime,
   checkAccountLock
-};
\ No newline at end of file
+};
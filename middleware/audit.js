@@ -48,9 +48,9 @@ const createAuditLog = async (req, res, next) => {
     // Determine entity ID if available
     const entityId = pathParts.length > 1 ? pathParts[1] : null;
     
-    // Create audit log entry
+    // Create audit log entry as part of the tamper-evident hash chain
     const { AuditLog } = require('../models');
-    await AuditLog.create({
+    await AuditLog.createWithHash({
       userId,
       action,
       entityType,
@@ -63,6 +63,7 @@ const createAuditLog = async (req, res, next) => {
         body: req.method !== 'GET' && !req.path.includes('/auth') ? req.body : undefined
       }),
       ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
       timestamp: new Date()
     });
     
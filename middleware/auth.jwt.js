@@ -5,8 +5,75 @@
 const { User, Department } = require('../models');
 const { verifyToken: tokenVerify } = require('../utils/token-manager');
 const { AppError, asyncHandler } = require('../utils/error-handler');
-const { updateSessionActivity } = require('../utils/session-manager');
+const { validateSession } = require('../utils/session-manager');
 const securityService = require('../services/security.service');
+const emergencyAccessService = require('../services/emergency-access.service');
+const serviceAccountService = require('../services/service-account.service');
+const roleService = require('../services/role.service');
+
+/**
+ * Requests that read the session's status without counting as user activity
+ */
+const PASSIVE_SESSION_ROUTES = [
+  { method: 'GET', path: '/api/auth/session' }
+];
+
+/**
+ * Errors returned when a session can no longer be used
+ */
+const SESSION_ERRORS = {
+  SESSION_IDLE_TIMEOUT: { message: 'Session ended after a period of inactivity', code: 'AUTH_SESSION_IDLE_TIMEOUT' },
+  SESSION_ABSOLUTE_TIMEOUT: { message: 'Session has reached its maximum length', code: 'AUTH_SESSION_EXPIRED' },
+  SESSION_NOT_FOUND: { message: 'Session is no longer valid', code: 'AUTH_SESSION_INVALID' }
+};
+
+/**
+ * Whether a request only reads the session's status
+ * @param {Object} req - Express request object
+ * @returns {boolean} True for passive requests
+ */
+const isPassiveRequest = (req) => {
+  const path = (req.originalUrl || '').split('?')[0];
+  return PASSIVE_SESSION_ROUTES.some(route => route.method === req.method && route.path === path);
+};
+
+/**
+ * Read the API key of a request sent by an integration, from the X-API-Key header or an
+ * 'Authorization: ApiKey <key>' header
+ * @param {Object} req - Express request object
+ * @returns {string|null} Plaintext key, or null for requests without one
+ */
+const getApiKey = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+
+  const [scheme, key] = (req.headers.authorization || '').split(' ');
+  return scheme && scheme.toLowerCase() === 'apikey' && key ? key : null;
+};
+
+/**
+ * Authenticate a service account by API key. The account's permissions are limited to the key's
+ * scopes and the request is tagged with the key in the audit log. Sessions, MFA and password
+ * expiry do not apply to service accounts.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} key - Plaintext key
+ */
+const authenticateApiKey = async (req, res, key) => {
+  const { apiKey, user } = await serviceAccountService.authenticateApiKey(key, {
+    method: req.method,
+    path: (req.originalUrl || '').split('?')[0],
+    ipAddress: req.ip || req.connection.remoteAddress || 'unknown'
+  });
+
+  await roleService.applyEffectivePermissions(user);
+  serviceAccountService.applyScopes(user, apiKey);
+  serviceAccountService.tagRequest(req, res, apiKey);
+
+  req.user = user;
+  req.apiKey = apiKey;
+};
 
 /**
  * Verify JWT token and attach user to request
@@ -15,6 +82,13 @@ const securityService = require('../services/security.service');
  * @param {Function} next - Express next function
  */
 const verifyToken = asyncHandler(async (req, res, next) => {
+  // Integrations authenticate as a service account with an API key instead of a token
+  const apiKey = getApiKey(req);
+  if (apiKey) {
+    await authenticateApiKey(req, res, apiKey);
+    return next();
+  }
+
   // Get token from cookie or authorization header
   let token = req.cookies.token || req.headers['x-access-token'] || req.headers['authorization'];
 
@@ -31,6 +105,32 @@ const verifyToken = asyncHandler(async (req, res, next) => {
     // Verify token and check blacklist
     const decoded = await tokenVerify(token);
 
+    // Automatic logoff: end sessions that have been idle or open for too long, whatever the
+    // remaining lifetime of the token
+    if (decoded.sessionId) {
+      const session = await validateSession(decoded.sessionId, {
+        recordActivity: !isPassiveRequest(req)
+      });
+
+      if (!session.valid) {
+        if (session.reason !== 'SESSION_NOT_FOUND') {
+          await securityService.logSecurityEvent(decoded.id, session.reason, {
+            sessionId: decoded.sessionId,
+            ipAddress: req.ip || req.connection.remoteAddress || 'unknown'
+          });
+        }
+
+        res.clearCookie('token');
+        res.clearCookie('refreshToken');
+
+        const { message, code } = SESSION_ERRORS[session.reason];
+        throw new AppError(message, 401, code);
+      }
+
+      req.sessionId = decoded.sessionId;
+      req.sessionStatus = session;
+    }
+
     // Find user by ID
     const user = await User.findByPk(decoded.id, {
       include: ['role']
@@ -40,6 +140,10 @@ const verifyToken = asyncHandler(async (req, res, next) => {
       throw new AppError('User associated with token no longer exists', 404, 'AUTH_USER_NOT_FOUND');
     }
 
+    if (user.accountType === 'service') {
+      throw new AppError('Service accounts must authenticate with an API key', 401, 'AUTH_SERVICE_ACCOUNT_TOKEN');
+    }
+
     // Check if user is active
     if (user.accountStatus !== 'active') {
       let message = 'Account is not active';
@@ -89,17 +193,21 @@ const verifyToken = asyncHandler(async (req, res, next) => {
       }
     }
 
+    // Expand the role's permissions with those of the roles it includes
+    await roleService.applyEffectivePermissions(user);
+
+    // Break-glass emergency access extends the role's permissions for its window,
+    // and every request made under it is tagged in the audit log
+    const emergencyAccess = await emergencyAccessService.getActiveGrant(user.id);
+    if (emergencyAccess) {
+      emergencyAccessService.applyGrant(user, emergencyAccess);
+      emergencyAccessService.tagRequest(req, res, emergencyAccess);
+      req.emergencyAccess = emergencyAccess;
+    }
+
     // Add user and decoded token data to request object
     req.user = user;
     req.tokenData = decoded;
-    
-    // Add session info to request
-    if (decoded.sessionId) {
-      req.sessionId = decoded.sessionId;
-      
-      // Update session activity timestamp
-      await updateSessionActivity(decoded.sessionId);
-    }
 
     // Check if password change is required or password has expired
     const passwordExpired = await securityService.isPasswordExpired(user);
@@ -282,10 +390,18 @@ const isComplianceOfficerOrAdmin = asyncHandler(async (req, res, next) => {
 
 /**
  * Check if user has the required permissions for an action
- * @param {Array|String} requiredPermissions - Required permissions (can be string or array)
+ * @param {Array|String} requiredPermissions - Required permissions from the catalog in
+ * config/permissions.js (can be string or array); any one of them is enough
  * @returns {Function} Express middleware
+ * @throws {Error} If a permission is not in the catalog, so a typo fails at startup rather
+ * than locking everyone out of the route
  */
 const hasPermission = (requiredPermissions) => {
+  const unknown = [].concat(requiredPermissions).filter(perm => !roleService.isKnownPermission(perm));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission(s) in route guard: ${unknown.join(', ')}`);
+  }
+
   return asyncHandler(async (req, res, next) => {
     const user = req.user;
 
@@ -351,6 +467,7 @@ const verifyCsrfToken = (req, res, next) => {
 
 const authJwt = {
   verifyToken,
+  getApiKey,
   isAdmin,
   isComplianceOfficer,
   isComplianceOfficerOrAdmin,
@@ -6,21 +6,11 @@ const { encrypt, decrypt, encryptPhiObject, decryptPhiObject } = require('../uti
 const { logger } = require('../utils/logger');
 
 /**
- * PHI field definitions for different data types
- * Maps entity types to their PHI fields
+ * PHI field definitions for payloads that are not stored through a model
+ * Maps entity types to their PHI fields. Stored columns are encrypted by their models instead
+ * (attributes declared `encrypted`, see utils/field-encryption) and are not listed here.
  */
-const PHI_FIELD_MAP = {
-  patient: [
-    'firstName', 'lastName', 'dateOfBirth', 'address', 'socialSecurityNumber',
-    'phoneNumber', 'emailAddress', 'medicalRecordNumber'
-  ],
-  incident: [
-    'affectedIndividuals', 'patientDetails', 'medicalInfo'
-  ],
-  document: [
-    'patientIdentifiers', 'medicalDetails'
-  ]
-};
+const PHI_FIELD_MAP = {};
 
 /**
  * Middleware to encrypt PHI fields in request body
@@ -5,6 +5,17 @@
 const { asyncHandler } = require('../utils/error-handler');
 const { AppError } = require('../utils/error-handler');
 const securityService = require('../services/security.service');
+const webauthnService = require('../services/webauthn.service');
+
+/**
+ * Endpoints that complete MFA and must stay reachable while it is pending
+ */
+const MFA_ENDPOINTS = [
+  '/api/auth/verify-mfa',
+  '/api/auth/verify-backup-code',
+  '/api/auth/webauthn/authenticate/options',
+  '/api/auth/webauthn/authenticate/verify'
+];
 
 /**
  * Middleware to verify if MFA is required for a user
@@ -23,8 +34,8 @@ const checkMfaRequired = asyncHandler(async (req, res, next) => {
     return next();
   }
   
-  // Check if MFA has already been verified for this session
-  if (req.session && req.session.mfaVerified) {
+  // Check if MFA has already been verified for this session, with any factor
+  if ((req.session && req.session.mfaVerified) || await securityService.isMfaVerified(req.sessionId)) {
     req.mfaRequired = false;
     return next();
   }
@@ -49,8 +60,7 @@ const enforceMfa = asyncHandler(async (req, res, next) => {
   }
   
   // Check if this is an MFA verification endpoint
-  const isMfaEndpoint = req.path === '/api/auth/verify-mfa' || 
-                        req.path === '/api/auth/verify-backup-code';
+  const isMfaEndpoint = MFA_ENDPOINTS.includes(`${req.baseUrl || ''}${req.path}`);
   
   if (isMfaEndpoint) {
     return next();
@@ -65,29 +75,33 @@ const enforceMfa = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Middleware to verify MFA token
- * Used on the MFA verification endpoint
+ * Middleware to verify a second factor
+ * Accepts either a TOTP token (req.body.token) or a WebAuthn assertion
+ * (req.body.webauthnResponse) answering a challenge from /api/auth/webauthn/authenticate/options
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
 const verifyMfaToken = asyncHandler(async (req, res, next) => {
-  const { token } = req.body;
+  const { token, webauthnResponse } = req.body;
   const user = req.user;
   
-  if (!token) {
-    throw new AppError('MFA token is required', 400, 'MFA_TOKEN_REQUIRED');
+  if (!token && !webauthnResponse) {
+    throw new AppError('MFA token or security key response is required', 400, 'MFA_TOKEN_REQUIRED');
   }
   
   if (!user.mfaEnabled) {
     throw new AppError('MFA is not enabled for this user', 400, 'MFA_NOT_ENABLED');
   }
   
-  // Verify token
-  const isValid = securityService.verifyMFA(user, token);
+  // Verify whichever factor was supplied
+  const isValid = webauthnResponse
+    ? await webauthnService.verifyAuthentication(user, webauthnResponse)
+    : await securityService.verifyMfa(user, token);
   
   if (!isValid) {
+    await securityService.handleFailedMfa(user);
     throw new AppError('Invalid MFA token', 401, 'INVALID_MFA_TOKEN');
   }
   
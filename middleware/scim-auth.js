@@ -0,0 +1,38 @@
+/**
+ * SCIM Authentication Middleware
+ * @module middleware/scim-auth
+ */
+const { asyncHandler } = require('../utils/error-handler');
+const { AppError } = require('../utils/error-handler');
+const scimService = require('../services/scim.service');
+
+/**
+ * Middleware to authenticate SCIM requests with a bearer token
+ * Sets req.scimToken to the matching token record
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifyScimToken = asyncHandler(async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+    res.set('WWW-Authenticate', 'Bearer realm="SCIM"');
+    throw new AppError('SCIM bearer token required', 401, 'SCIM_UNAUTHORIZED');
+  }
+
+  try {
+    req.scimToken = await scimService.authenticateToken(token);
+  } catch (error) {
+    res.set('WWW-Authenticate', 'Bearer realm="SCIM", error="invalid_token"');
+    throw error;
+  }
+
+  next();
+});
+
+module.exports = {
+  verifyScimToken
+};
@@ -0,0 +1,19 @@
+/**
+ * Audit log hash chain migration
+ * Stores the previous entry's hash on each row so the chain can be verified
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('audit_logs', 'previousHash', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'Hash of the preceding log entry, null for entries written before chaining'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('audit_logs', 'previousHash');
+  }
+};
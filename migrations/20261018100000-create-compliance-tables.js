@@ -0,0 +1,144 @@
+/**
+ * Compliance tables migration
+ * Creates the compliance requirement and assessment tables
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('compliance_requirements', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      category: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      citation: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      standard: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      implementationType: {
+        type: Sequelize.ENUM('required', 'addressable'),
+        allowNull: false,
+        defaultValue: 'required'
+      },
+      frequency: {
+        type: Sequelize.ENUM('monthly', 'quarterly', 'semiannually', 'annually', 'as_needed'),
+        allowNull: false,
+        defaultValue: 'annually'
+      },
+      responsibleRoleId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'roles', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      deletedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      }
+    });
+
+    await queryInterface.createTable('compliance_assessments', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      requirementId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'compliance_requirements', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      assessmentDate: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      conductedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      status: {
+        type: Sequelize.ENUM('compliant', 'partially_compliant', 'non_compliant'),
+        allowNull: false
+      },
+      evidencePath: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      nextAssessmentDate: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('compliance_requirements', ['category'], {
+      name: 'idx_compliance_requirements_category'
+    });
+
+    await queryInterface.addIndex('compliance_requirements', ['responsibleRoleId'], {
+      name: 'idx_compliance_requirements_role'
+    });
+
+    await queryInterface.addIndex('compliance_assessments', ['requirementId', 'assessmentDate'], {
+      name: 'idx_compliance_assessments_requirement_date'
+    });
+
+    await queryInterface.addIndex('compliance_assessments', ['conductedBy'], {
+      name: 'idx_compliance_assessments_conducted_by'
+    });
+
+    await queryInterface.addIndex('compliance_assessments', ['nextAssessmentDate'], {
+      name: 'idx_compliance_assessments_next_date'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('compliance_assessments');
+    await queryInterface.dropTable('compliance_requirements');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_compliance_assessments_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_compliance_requirements_implementationType";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_compliance_requirements_frequency";');
+  }
+};
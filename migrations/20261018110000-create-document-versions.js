@@ -0,0 +1,96 @@
+/**
+ * Document version history migration
+ * Creates the document_versions table and records each existing document's
+ * current state as its first version
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('document_versions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      documentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'documents', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      versionNumber: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      filePath: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      fileName: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      changeSummary: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      authorId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      effectiveDate: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      supersededAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      restoredFromId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'document_versions', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('document_versions', ['documentId', 'versionNumber'], {
+      name: 'idx_doc_versions_document_version',
+      unique: true
+    });
+
+    await queryInterface.addIndex('document_versions', ['documentId', 'effectiveDate'], {
+      name: 'idx_doc_versions_document_effective'
+    });
+
+    await queryInterface.addIndex('document_versions', ['authorId'], {
+      name: 'idx_doc_versions_author_id'
+    });
+
+    // Existing documents start their history at their current version
+    await queryInterface.sequelize.query(`
+      INSERT INTO document_versions
+        ("documentId", "versionNumber", "filePath", "changeSummary", "authorId", "effectiveDate", "createdAt", "updatedAt")
+      SELECT id, version, "filePath", 'Initial version', "createdBy", "createdAt", NOW(), NOW()
+      FROM documents
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('document_versions');
+  }
+};
@@ -0,0 +1,74 @@
+/**
+ * Document acknowledgment version migration
+ * Records which document version each acknowledgment applies to so a new
+ * major version can require re-acknowledgment
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('document_acknowledgments', 'versionNumber', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'Document version that was acknowledged'
+    });
+
+    await queryInterface.addColumn('document_acknowledgments', 'documentVersionId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'document_versions', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'DocumentVersion that was acknowledged'
+    });
+
+    // Existing acknowledgments were made against the version in effect today
+    await queryInterface.sequelize.query(`
+      UPDATE document_acknowledgments AS da
+      SET "versionNumber" = d.version
+      FROM documents AS d
+      WHERE d.id = da."documentId"
+    `);
+
+    await queryInterface.sequelize.query(`
+      UPDATE document_acknowledgments AS da
+      SET "documentVersionId" = dv.id
+      FROM document_versions AS dv
+      WHERE dv."documentId" = da."documentId" AND dv."versionNumber" = da."versionNumber"
+    `);
+
+    await queryInterface.changeColumn('document_acknowledgments', 'versionNumber', {
+      type: Sequelize.STRING,
+      allowNull: false
+    });
+
+    // Users may acknowledge each version of a document once
+    // (the old index was created by model sync, so it may not exist)
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS "idx_doc_ack_user_document"');
+    await queryInterface.addIndex('document_acknowledgments', ['userId', 'documentId', 'versionNumber'], {
+      name: 'idx_doc_ack_user_document_version',
+      unique: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('document_acknowledgments', 'idx_doc_ack_user_document_version');
+
+    // Keep only the latest acknowledgment per user and document
+    await queryInterface.sequelize.query(`
+      DELETE FROM document_acknowledgments AS da
+      USING document_acknowledgments AS newer
+      WHERE newer."userId" = da."userId"
+        AND newer."documentId" = da."documentId"
+        AND newer.id > da.id
+    `);
+
+    await queryInterface.addIndex('document_acknowledgments', ['userId', 'documentId'], {
+      name: 'idx_doc_ack_user_document',
+      unique: true
+    });
+
+    await queryInterface.removeColumn('document_acknowledgments', 'documentVersionId');
+    await queryInterface.removeColumn('document_acknowledgments', 'versionNumber');
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * User notification fields migration
+ * Adds password reset token storage and per-user notification preferences
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'resetToken', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'resetTokenExpiry', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'notificationPreferences', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      defaultValue: {}
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'notificationPreferences');
+    await queryInterface.removeColumn('users', 'resetTokenExpiry');
+    await queryInterface.removeColumn('users', 'resetToken');
+  }
+};
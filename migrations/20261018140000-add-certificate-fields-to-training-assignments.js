@@ -0,0 +1,41 @@
+/**
+ * Training certificate migration
+ * Adds verification code, issue date and completed course version to training assignments
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('training_assignments', 'certificateCode', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('training_assignments', 'certificateIssuedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('training_assignments', 'courseVersion', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('training_assignments', ['certificateCode'], {
+      name: 'idx_training_assignments_certificate_code',
+      unique: true
+    });
+
+    // Earlier completions only stored a placeholder path; certificates are generated on first download
+    await queryInterface.sequelize.query(
+      `UPDATE training_assignments SET "certificatePath" = NULL WHERE "certificateCode" IS NULL`
+    );
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('training_assignments', 'idx_training_assignments_certificate_code');
+    await queryInterface.removeColumn('training_assignments', 'courseVersion');
+    await queryInterface.removeColumn('training_assignments', 'certificateIssuedAt');
+    await queryInterface.removeColumn('training_assignments', 'certificateCode');
+  }
+};
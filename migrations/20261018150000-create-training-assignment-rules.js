@@ -0,0 +1,88 @@
+/**
+ * Training assignment rules migration
+ * Creates the table of rules that assign courses by role, department and hire date
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('training_assignment_rules', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      courseId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'training_courses', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      roleId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'roles', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      departmentId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'departments', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      hiredOnOrAfter: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      dueWithinDays: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      dueFrom: {
+        type: Sequelize.ENUM('assignment_date', 'hire_date'),
+        allowNull: false,
+        defaultValue: 'assignment_date'
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('training_assignment_rules', ['isActive'], { name: 'idx_training_rules_active' });
+    await queryInterface.addIndex('training_assignment_rules', ['roleId'], { name: 'idx_training_rules_role' });
+    await queryInterface.addIndex('training_assignment_rules', ['departmentId'], { name: 'idx_training_rules_department' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('training_assignment_rules');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_training_assignment_rules_dueFrom";');
+  }
+};
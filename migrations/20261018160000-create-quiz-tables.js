@@ -0,0 +1,159 @@
+/**
+ * Quiz engine migration
+ * Creates question banks and quiz attempts, and adds quiz settings to training courses
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('training_courses', 'questionsPerAttempt', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('training_courses', 'maxAttempts', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.createTable('quiz_questions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      courseId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'training_courses', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('multiple_choice', 'multi_select', 'true_false'),
+        allowNull: false,
+        defaultValue: 'multiple_choice'
+      },
+      text: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      options: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      correctOptionIds: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      explanation: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      points: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('quiz_questions', ['courseId', 'isActive'], {
+      name: 'idx_quiz_questions_course_active'
+    });
+
+    await queryInterface.createTable('quiz_attempts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      assignmentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'training_assignments', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      attemptNumber: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      questionIds: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      answers: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      results: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      score: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      passed: {
+        type: Sequelize.BOOLEAN,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('in_progress', 'submitted'),
+        allowNull: false,
+        defaultValue: 'in_progress'
+      },
+      startedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      submittedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('quiz_attempts', ['assignmentId', 'attemptNumber'], {
+      name: 'idx_quiz_attempts_assignment_number',
+      unique: true
+    });
+    await queryInterface.addIndex('quiz_attempts', ['userId'], { name: 'idx_quiz_attempts_user' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('quiz_attempts');
+    await queryInterface.dropTable('quiz_questions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_quiz_attempts_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_quiz_questions_type";');
+    await queryInterface.removeColumn('training_courses', 'maxAttempts');
+    await queryInterface.removeColumn('training_courses', 'questionsPerAttempt');
+  }
+};
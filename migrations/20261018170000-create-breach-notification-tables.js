@@ -0,0 +1,196 @@
+/**
+ * Breach notification migration
+ * Creates breach risk assessments and the notifications (with deadlines) derived from them
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const riskLevel = () => ({
+      type: Sequelize.ENUM('low', 'medium', 'high'),
+      allowNull: false
+    });
+
+    await queryInterface.createTable('breach_risk_assessments', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      incidentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'incidents', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      assessedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      assessmentDate: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      discoveryDate: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      phiSecured: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      exception: {
+        type: Sequelize.ENUM('unintentional_workforce_access', 'inadvertent_authorized_disclosure', 'unable_to_retain'),
+        allowNull: true
+      },
+      natureExtentRisk: riskLevel(),
+      natureExtentNotes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      unauthorizedPersonRisk: riskLevel(),
+      unauthorizedPersonNotes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      acquiredViewedRisk: riskLevel(),
+      acquiredViewedNotes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      mitigationRisk: riskLevel(),
+      mitigationNotes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      lowProbabilityOfCompromise: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false
+      },
+      isBreach: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false
+      },
+      affectedCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      affectedByState: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('breach_risk_assessments', ['incidentId', 'assessmentDate'], {
+      name: 'idx_breach_assessments_incident_date'
+    });
+
+    await queryInterface.createTable('breach_notifications', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      incidentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'incidents', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      assessmentId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'breach_risk_assessments', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      recipientType: {
+        type: Sequelize.ENUM('individuals', 'hhs', 'media', 'hhs_annual_log'),
+        allowNull: false
+      },
+      state: {
+        type: Sequelize.STRING(2),
+        allowNull: true
+      },
+      affectedCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      deadline: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'sent', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      sentDate: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      method: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      evidencePath: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      completedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('breach_notifications', ['incidentId'], { name: 'idx_breach_notifications_incident' });
+    await queryInterface.addIndex('breach_notifications', ['status', 'deadline'], {
+      name: 'idx_breach_notifications_status_deadline'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('breach_notifications');
+    await queryInterface.dropTable('breach_risk_assessments');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_breach_notifications_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_breach_notifications_recipientType";');
+    for (const column of ['exception', 'natureExtentRisk', 'unauthorizedPersonRisk', 'acquiredViewedRisk', 'mitigationRisk']) {
+      await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "enum_breach_risk_assessments_${column}";`);
+    }
+  }
+};
@@ -0,0 +1,148 @@
+/**
+ * Risk matrix migration
+ * Creates the versioned risk matrix, lets risk items use its level keys and records
+ * the score and matrix version of every item. Version 1 reproduces the previous
+ * hardcoded scoring, so existing risk levels do not change.
+ */
+'use strict';
+
+const DEFAULT_MATRIX = {
+  name: 'Default 3x3 matrix',
+  likelihoodLevels: [
+    { key: 'low', label: 'Low', value: 1 },
+    { key: 'medium', label: 'Medium', value: 2 },
+    { key: 'high', label: 'High', value: 5 }
+  ],
+  impactLevels: [
+    { key: 'low', label: 'Low', value: 1 },
+    { key: 'medium', label: 'Medium', value: 2 },
+    { key: 'high', label: 'High', value: 5 }
+  ],
+  bands: [
+    { level: 'low', label: 'Low', minScore: 1 },
+    { level: 'medium', label: 'Medium', minScore: 2 },
+    { level: 'high', label: 'High', minScore: 5 },
+    { level: 'critical', label: 'Critical', minScore: 25 }
+  ]
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('risk_matrices', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      likelihoodLevels: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      impactLevels: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      bands: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      changeSummary: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('risk_matrices', ['isActive'], { name: 'idx_risk_matrices_active' });
+
+    const now = new Date();
+    await queryInterface.bulkInsert('risk_matrices', [{
+      version: 1,
+      name: DEFAULT_MATRIX.name,
+      likelihoodLevels: JSON.stringify(DEFAULT_MATRIX.likelihoodLevels),
+      impactLevels: JSON.stringify(DEFAULT_MATRIX.impactLevels),
+      bands: JSON.stringify(DEFAULT_MATRIX.bands),
+      isActive: true,
+      changeSummary: 'Default matrix matching the previous built-in scoring',
+      createdAt: now,
+      updatedAt: now
+    }]);
+
+    // Level keys now come from the matrix, so the enums become plain strings
+    for (const column of ['likelihood', 'impact']) {
+      await queryInterface.sequelize.query(`ALTER TABLE risk_items ALTER COLUMN "${column}" DROP DEFAULT;`);
+      await queryInterface.sequelize.query(
+        `ALTER TABLE risk_items ALTER COLUMN "${column}" TYPE VARCHAR(50) USING "${column}"::text;`
+      );
+      await queryInterface.sequelize.query(`ALTER TABLE risk_items ALTER COLUMN "${column}" SET DEFAULT 'medium';`);
+      await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "enum_risk_items_${column}";`);
+    }
+
+    await queryInterface.addColumn('risk_items', 'riskScore', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('risk_items', 'riskMatrixId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'risk_matrices', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    // Existing items were scored with the built-in logic that version 1 reproduces
+    await queryInterface.sequelize.query(`
+      UPDATE risk_items SET
+        "riskScore" = (CASE likelihood WHEN 'low' THEN 1 WHEN 'medium' THEN 2 ELSE 5 END)
+          * (CASE impact WHEN 'low' THEN 1 WHEN 'medium' THEN 2 ELSE 5 END),
+        "riskMatrixId" = (SELECT id FROM risk_matrices WHERE version = 1)
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('risk_items', 'riskMatrixId');
+    await queryInterface.removeColumn('risk_items', 'riskScore');
+
+    // Ratings that only exist in later matrices cannot be kept as enum values
+    for (const column of ['likelihood', 'impact']) {
+      await queryInterface.sequelize.query(`CREATE TYPE "enum_risk_items_${column}" AS ENUM ('low', 'medium', 'high');`);
+      await queryInterface.sequelize.query(`ALTER TABLE risk_items ALTER COLUMN "${column}" DROP DEFAULT;`);
+      await queryInterface.sequelize.query(`
+        ALTER TABLE risk_items ALTER COLUMN "${column}" TYPE "enum_risk_items_${column}"
+        USING (CASE WHEN "${column}" IN ('low', 'medium', 'high') THEN "${column}" ELSE 'medium' END)::"enum_risk_items_${column}";
+      `);
+      await queryInterface.sequelize.query(`ALTER TABLE risk_items ALTER COLUMN "${column}" SET DEFAULT 'medium';`);
+    }
+
+    await queryInterface.dropTable('risk_matrices');
+  }
+};
@@ -0,0 +1,172 @@
+/**
+ * Risk treatment migration
+ * Adds treatment decisions, acceptance approval and residual risk to risk items,
+ * and creates treatment tasks with their evidence
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const riskItemColumns = {
+      residualLikelihood: { type: Sequelize.STRING(50), allowNull: true },
+      residualImpact: { type: Sequelize.STRING(50), allowNull: true },
+      residualScore: { type: Sequelize.INTEGER, allowNull: true },
+      residualRiskLevel: { type: Sequelize.ENUM('low', 'medium', 'high', 'critical'), allowNull: true },
+      treatmentDecision: { type: Sequelize.ENUM('mitigate', 'accept', 'transfer', 'avoid'), allowNull: true },
+      treatmentRationale: { type: Sequelize.TEXT, allowNull: true },
+      treatmentDecidedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      treatmentDecidedAt: { type: Sequelize.DATE, allowNull: true },
+      acceptanceStatus: { type: Sequelize.ENUM('pending', 'approved', 'rejected'), allowNull: true },
+      acceptanceApprovedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      acceptanceApprovedAt: { type: Sequelize.DATE, allowNull: true },
+      acceptanceNotes: { type: Sequelize.TEXT, allowNull: true }
+    };
+
+    for (const [column, definition] of Object.entries(riskItemColumns)) {
+      await queryInterface.addColumn('risk_items', column, definition);
+    }
+
+    await queryInterface.createTable('risk_treatment_tasks', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      riskItemId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'risk_items', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      ownerId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      dueDate: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'in_progress', 'completed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      completedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('risk_treatment_tasks', ['riskItemId'], { name: 'idx_risk_treatment_tasks_item' });
+    await queryInterface.addIndex('risk_treatment_tasks', ['ownerId', 'status'], {
+      name: 'idx_risk_treatment_tasks_owner_status'
+    });
+    await queryInterface.addIndex('risk_treatment_tasks', ['status', 'dueDate'], {
+      name: 'idx_risk_treatment_tasks_status_due'
+    });
+
+    await queryInterface.createTable('risk_task_evidence', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      taskId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'risk_treatment_tasks', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      documentId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'documents', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reference: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      addedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('risk_task_evidence', ['taskId'], { name: 'idx_risk_task_evidence_task' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('risk_task_evidence');
+    await queryInterface.dropTable('risk_treatment_tasks');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_risk_treatment_tasks_status";');
+
+    for (const column of [
+      'acceptanceNotes', 'acceptanceApprovedAt', 'acceptanceApprovedBy', 'acceptanceStatus',
+      'treatmentDecidedAt', 'treatmentDecidedBy', 'treatmentRationale', 'treatmentDecision',
+      'residualRiskLevel', 'residualScore', 'residualImpact', 'residualLikelihood'
+    ]) {
+      await queryInterface.removeColumn('risk_items', column);
+    }
+
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_risk_items_acceptanceStatus";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_risk_items_treatmentDecision";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_risk_items_residualRiskLevel";');
+  }
+};
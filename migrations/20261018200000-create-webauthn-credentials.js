@@ -0,0 +1,78 @@
+/**
+ * WebAuthn credentials migration
+ * Creates the table of security keys and passkeys users register as a second factor
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('webauthn_credentials', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      credentialId: {
+        type: Sequelize.STRING(512),
+        allowNull: false,
+        unique: true
+      },
+      publicKey: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      counter: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        defaultValue: 0
+      },
+      transports: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      deviceType: {
+        type: Sequelize.ENUM('singleDevice', 'multiDevice'),
+        allowNull: true
+      },
+      backedUp: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      aaguid: {
+        type: Sequelize.STRING(36),
+        allowNull: true
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('webauthn_credentials', ['userId'], { name: 'idx_webauthn_credentials_user' });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('webauthn_credentials');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_webauthn_credentials_deviceType";');
+  }
+};
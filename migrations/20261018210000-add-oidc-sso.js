@@ -0,0 +1,125 @@
+/**
+ * OpenID Connect single sign-on migration
+ * Adds the identity provider link to users and creates the group mapping and system settings tables
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'authProvider', {
+      type: Sequelize.ENUM('local', 'oidc'),
+      allowNull: false,
+      defaultValue: 'local'
+    });
+    await queryInterface.addColumn('users', 'ssoIssuer', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'ssoSubject', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addIndex('users', ['ssoIssuer', 'ssoSubject'], {
+      unique: true,
+      name: 'idx_users_sso_identity'
+    });
+
+    await queryInterface.createTable('sso_group_mappings', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      claim: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        defaultValue: 'groups'
+      },
+      value: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      roleId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'roles', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      departmentId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'departments', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 100
+      },
+      createdBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('sso_group_mappings', ['claim', 'value'], {
+      unique: true,
+      name: 'idx_sso_group_mappings_claim_value'
+    });
+
+    await queryInterface.createTable('system_settings', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      key: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      value: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      updatedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('system_settings');
+    await queryInterface.dropTable('sso_group_mappings');
+    await queryInterface.removeIndex('users', 'idx_users_sso_identity');
+    await queryInterface.removeColumn('users', 'ssoSubject');
+    await queryInterface.removeColumn('users', 'ssoIssuer');
+    await queryInterface.removeColumn('users', 'authProvider');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_users_authProvider";');
+  }
+};
@@ -0,0 +1,71 @@
+/**
+ * SCIM provisioning migration
+ * Adds the SCIM external ID to users and creates the SCIM bearer token table
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'scimExternalId', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addIndex('users', ['scimExternalId'], {
+      name: 'idx_users_scim_external_id'
+    });
+
+    await queryInterface.createTable('scim_tokens', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      tokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      tokenPrefix: {
+        type: Sequelize.STRING(16),
+        allowNull: false
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('scim_tokens');
+    await queryInterface.removeIndex('users', 'idx_users_scim_external_id');
+    await queryInterface.removeColumn('users', 'scimExternalId');
+  }
+};
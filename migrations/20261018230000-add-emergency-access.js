@@ -0,0 +1,131 @@
+/**
+ * Emergency access migration
+ * Adds break-glass designation to users, the emergency access grant table, and the
+ * audit log column that tags actions taken during a break-glass window
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'breakGlassEligible', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.createTable('emergency_access_grants', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      justification: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      grantedPermissions: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: {}
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'ended', 'expired'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      activatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      endedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      endedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      ipAddress: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      userAgent: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      reviewStatus: {
+        type: Sequelize.ENUM('pending', 'approved', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      reviewDueAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      reviewedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      reviewNotes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('emergency_access_grants', ['userId', 'status'], {
+      name: 'idx_emergency_access_grants_user_status'
+    });
+    await queryInterface.addIndex('emergency_access_grants', ['reviewStatus', 'reviewDueAt'], {
+      name: 'idx_emergency_access_grants_review'
+    });
+
+    await queryInterface.addColumn('audit_logs', 'emergencyAccessGrantId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'emergency_access_grants', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    });
+    await queryInterface.addIndex('audit_logs', ['emergencyAccessGrantId'], {
+      name: 'idx_audit_logs_emergency_access_grant'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('audit_logs', 'idx_audit_logs_emergency_access_grant');
+    await queryInterface.removeColumn('audit_logs', 'emergencyAccessGrantId');
+    await queryInterface.dropTable('emergency_access_grants');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_emergency_access_grants_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_emergency_access_grants_reviewStatus";');
+    await queryInterface.removeColumn('users', 'breakGlassEligible');
+  }
+};
@@ -0,0 +1,94 @@
+/**
+ * Login lockouts migration
+ * Creates the shared store of failed sign-in counters and lockouts per username and per IP address
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('login_lockouts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      scope: {
+        type: Sequelize.ENUM('username', 'ip'),
+        allowNull: false
+      },
+      identifier: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      failureCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      windowStartedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastFailureAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastIpAddress: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      lockCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lockedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lockedUntil: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      clearedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      clearedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('login_lockouts', ['scope', 'identifier'], {
+      name: 'idx_login_lockouts_scope_identifier',
+      unique: true
+    });
+    await queryInterface.addIndex('login_lockouts', ['lockedUntil'], {
+      name: 'idx_login_lockouts_locked_until'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('login_lockouts');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_login_lockouts_scope";');
+  }
+};
@@ -0,0 +1,82 @@
+/**
+ * Encrypt PHI columns migration
+ * Encrypts existing plaintext values of the columns now declared `encrypted` in their models
+ */
+'use strict';
+
+const { encrypt, decrypt, isEncrypted } = require('../utils/encryption');
+const { initKeyring } = require('../utils/keyring');
+
+const COLUMNS = [
+  { table: 'incidents', column: 'description' },
+  { table: 'incidents', column: 'affectedData' },
+  { table: 'incidents', column: 'rootCause' },
+  { table: 'users', column: 'mfaSecret' }
+];
+
+const BATCH_SIZE = 200;
+
+/**
+ * Rewrite every non-null value of a column in batches
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {Object} Sequelize - Sequelize library
+ * @param {Object} entry - Table and column
+ * @param {Function} transform - Returns the new value, or undefined to leave the row as it is
+ */
+const rewriteColumn = async (queryInterface, Sequelize, { table, column }, transform) => {
+  let lastId = 0;
+
+  for (;;) {
+    const rows = await queryInterface.sequelize.query(
+      `SELECT id, "${column}" AS value FROM ${table} WHERE id > :lastId AND "${column}" IS NOT NULL ORDER BY id LIMIT :limit`,
+      { replacements: { lastId, limit: BATCH_SIZE }, type: Sequelize.QueryTypes.SELECT }
+    );
+
+    if (rows.length === 0) {
+      return;
+    }
+
+    for (const row of rows) {
+      lastId = row.id;
+      const value = transform(row.value);
+
+      if (value !== undefined) {
+        await queryInterface.sequelize.query(
+          `UPDATE ${table} SET "${column}" = :value WHERE id = :id`,
+          { replacements: { value, id: row.id } }
+        );
+      }
+    }
+  }
+};
+
+/**
+ * Load the keyring, refusing a throwaway key that would make the data unreadable after the run
+ */
+const loadKeyring = async () => {
+  const { ephemeral } = await initKeyring();
+
+  if (ephemeral) {
+    throw new Error('No encryption key configured. Set ENCRYPTION_KEYS or ENCRYPTION_KEYRING_FILE before running this migration.');
+  }
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await loadKeyring();
+
+    for (const entry of COLUMNS) {
+      await rewriteColumn(queryInterface, Sequelize, entry,
+        value => (isEncrypted(value) ? undefined : encrypt(value)));
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await loadKeyring();
+
+    for (const entry of COLUMNS) {
+      await rewriteColumn(queryInterface, Sequelize, entry,
+        value => (isEncrypted(value) ? decrypt(value) : undefined));
+    }
+  }
+};
@@ -0,0 +1,127 @@
+/**
+ * Service accounts migration
+ * Adds the account type to users, creates the API key table, and adds the audit log column
+ * that tags requests made with an API key
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'accountType', {
+      type: Sequelize.ENUM('user', 'service'),
+      allowNull: false,
+      defaultValue: 'user'
+    });
+
+    await queryInterface.createTable('api_keys', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      serviceAccountId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      keyHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      keyPrefix: {
+        type: Sequelize.STRING(16),
+        allowNull: false
+      },
+      scopes: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      allowedRoutes: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      ipAllowlist: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastUsedIp: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revokedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      rotatedFromId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'api_keys', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('api_keys', ['serviceAccountId'], {
+      name: 'idx_api_keys_service_account'
+    });
+
+    await queryInterface.addColumn('audit_logs', 'apiKeyId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'api_keys', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    });
+    await queryInterface.addIndex('audit_logs', ['apiKeyId'], {
+      name: 'idx_audit_logs_api_key'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('audit_logs', 'idx_audit_logs_api_key');
+    await queryInterface.removeColumn('audit_logs', 'apiKeyId');
+    await queryInterface.dropTable('api_keys');
+    await queryInterface.removeColumn('users', 'accountType');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_users_accountType";');
+  }
+};
@@ -0,0 +1,129 @@
+/**
+ * Granular role permissions migration
+ * Creates the table of roles included by other roles, and grants catalog permissions to the
+ * roles that passed the compliance officer checks routes used before, so nobody gains or loses
+ * access. Admin roles need nothing: they grant every permission.
+ */
+'use strict';
+
+// Catalog permissions of the compliance officer role when this migration was written
+const COMPLIANCE_OFFICER_PERMISSIONS = [
+  'roles:read',
+  'emergency-access:review',
+  'training:view-all',
+  'documents:create',
+  'documents:update',
+  'documents:delete',
+  'document-categories:manage',
+  'compliance-requirements:manage',
+  'compliance-assessments:manage',
+  'risk:manage',
+  'risk:approve',
+  'risk-matrix:manage',
+  'incidents:update',
+  'incidents:delete',
+  'breaches:read',
+  'breaches:manage',
+  'audit:read',
+  'audit:export',
+  'audit:verify',
+  'reports:advanced'
+];
+
+/**
+ * Read role permissions, which may be stored as a JSON string
+ * @param {Object|string} permissions - Stored permissions
+ * @returns {Object} Permissions object
+ */
+const parsePermissions = (permissions) => {
+  if (typeof permissions === 'string') {
+    try {
+      return JSON.parse(permissions) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  return permissions || {};
+};
+
+/**
+ * Update each role's permissions
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {Function} change - Returns the new permissions of a role, or null to leave it
+ */
+const updateRoles = async (queryInterface, change) => {
+  const [roles] = await queryInterface.sequelize.query('SELECT id, name, permissions FROM roles');
+
+  for (const role of roles) {
+    const permissions = change(role, parsePermissions(role.permissions));
+    if (permissions) {
+      await queryInterface.sequelize.query('UPDATE roles SET permissions = :permissions WHERE id = :id', {
+        replacements: { id: role.id, permissions: JSON.stringify(permissions) }
+      });
+    }
+  }
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('role_inclusions', {
+      roleId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+        references: { model: 'roles', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      includedRoleId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+        references: { model: 'roles', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('role_inclusions', ['includedRoleId'], {
+      name: 'idx_role_inclusions_included_role'
+    });
+
+    await updateRoles(queryInterface, (role, permissions) => {
+      const isComplianceOfficer = role.name === 'Compliance Officer' ||
+        Boolean(permissions.isComplianceOfficer);
+
+      if (!isComplianceOfficer) {
+        return null;
+      }
+
+      const granted = { ...permissions };
+      COMPLIANCE_OFFICER_PERMISSIONS.forEach((key) => { granted[key] = true; });
+      return granted;
+    });
+  },
+
+  down: async (queryInterface) => {
+    // Catalog permissions are the only keys containing a colon
+    await updateRoles(queryInterface, (role, permissions) => {
+      const legacy = {};
+      Object.entries(permissions).forEach(([key, value]) => {
+        if (!key.includes(':')) {
+          legacy[key] = value;
+        }
+      });
+      return legacy;
+    });
+
+    await queryInterface.dropTable('role_inclusions');
+  }
+};
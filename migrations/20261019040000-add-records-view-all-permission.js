@@ -0,0 +1,66 @@
+/**
+ * Organization-wide record visibility migration
+ * Grants records:view-all to compliance officer roles, which saw every department's users,
+ * training, acknowledgments and incidents before lists were scoped to the departments a user
+ * manages. Admin roles hold every permission already.
+ */
+'use strict';
+
+const PERMISSION = 'records:view-all';
+
+/**
+ * Read role permissions, which may be stored as a JSON string
+ * @param {Object|string} permissions - Stored permissions
+ * @returns {Object} Permissions object
+ */
+const parsePermissions = (permissions) => {
+  if (typeof permissions === 'string') {
+    try {
+      return JSON.parse(permissions) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  return permissions || {};
+};
+
+/**
+ * Update each role's permissions
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {Function} change - Returns the new permissions of a role, or null to leave it
+ */
+const updateRoles = async (queryInterface, change) => {
+  const [roles] = await queryInterface.sequelize.query('SELECT id, name, permissions FROM roles');
+
+  for (const role of roles) {
+    const permissions = change(role, parsePermissions(role.permissions));
+    if (permissions) {
+      await queryInterface.sequelize.query('UPDATE roles SET permissions = :permissions WHERE id = :id', {
+        replacements: { id: role.id, permissions: JSON.stringify(permissions) }
+      });
+    }
+  }
+};
+
+module.exports = {
+  up: async (queryInterface) => {
+    await updateRoles(queryInterface, (role, permissions) => {
+      const isComplianceOfficer = role.name === 'Compliance Officer' ||
+        Boolean(permissions.isComplianceOfficer);
+
+      return isComplianceOfficer ? { ...permissions, [PERMISSION]: true } : null;
+    });
+  },
+
+  down: async (queryInterface) => {
+    await updateRoles(queryInterface, (role, permissions) => {
+      if (!(PERMISSION in permissions)) {
+        return null;
+      }
+
+      const { [PERMISSION]: removed, ...remaining } = permissions;
+      return remaining;
+    });
+  }
+};
@@ -0,0 +1,213 @@
+/**
+ * Access review migration
+ * Creates the access review campaign and item tables, and grants access-reviews:manage to
+ * compliance officer roles
+ */
+'use strict';
+
+const PERMISSION = 'access-reviews:manage';
+
+/**
+ * Read role permissions, which may be stored as a JSON string
+ * @param {Object|string} permissions - Stored permissions
+ * @returns {Object} Permissions object
+ */
+const parsePermissions = (permissions) => {
+  if (typeof permissions === 'string') {
+    try {
+      return JSON.parse(permissions) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  return permissions || {};
+};
+
+/**
+ * Update each role's permissions
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {Function} change - Returns the new permissions of a role, or null to leave it
+ */
+const updateRoles = async (queryInterface, change) => {
+  const [roles] = await queryInterface.sequelize.query('SELECT id, name, permissions FROM roles');
+
+  for (const role of roles) {
+    const permissions = change(role, parsePermissions(role.permissions));
+    if (permissions) {
+      await queryInterface.sequelize.query('UPDATE roles SET permissions = :permissions WHERE id = :id', {
+        replacements: { id: role.id, permissions: JSON.stringify(permissions) }
+      });
+    }
+  }
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('access_review_campaigns', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'completed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      dueDate: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      departmentIds: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      fallbackReviewerId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      createdBy: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      completedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      completedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('access_review_campaigns', ['status', 'dueDate'], {
+      name: 'idx_access_review_campaigns_status_due'
+    });
+
+    await queryInterface.createTable('access_review_items', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      campaignId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'access_review_campaigns', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      reviewerId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      snapshot: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: {}
+      },
+      decision: {
+        type: Sequelize.ENUM('keep', 'modify', 'revoke'),
+        allowNull: true
+      },
+      decisionNotes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      decidedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      decidedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      appliedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      applyError: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('access_review_items', ['campaignId', 'userId'], {
+      unique: true,
+      name: 'idx_access_review_items_campaign_user'
+    });
+    await queryInterface.addIndex('access_review_items', ['reviewerId', 'decision'], {
+      name: 'idx_access_review_items_reviewer_decision'
+    });
+
+    await updateRoles(queryInterface, (role, permissions) => {
+      const isComplianceOfficer = role.name === 'Compliance Officer' ||
+        Boolean(permissions.isComplianceOfficer);
+
+      return isComplianceOfficer ? { ...permissions, [PERMISSION]: true } : null;
+    });
+  },
+
+  down: async (queryInterface) => {
+    await updateRoles(queryInterface, (role, permissions) => {
+      if (!(PERMISSION in permissions)) {
+        return null;
+      }
+
+      const { [PERMISSION]: removed, ...remaining } = permissions;
+      return remaining;
+    });
+
+    await queryInterface.dropTable('access_review_items');
+    await queryInterface.dropTable('access_review_campaigns');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_access_review_items_decision";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_access_review_campaigns_status";');
+  }
+};
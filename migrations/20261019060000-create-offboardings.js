@@ -0,0 +1,97 @@
+/**
+ * Offboarding migration
+ * Creates the offboardings table, which records the termination checklist of each workforce member
+ */
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('offboardings', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      successorId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('in_progress', 'completed'),
+        allowNull: false,
+        defaultValue: 'in_progress'
+      },
+      transfers: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: {}
+      },
+      sessionsRevoked: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      checklist: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      initiatedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      signedOffAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      signedOffBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      signOffNotes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('offboardings', ['userId'], {
+      name: 'idx_offboardings_user'
+    });
+    await queryInterface.addIndex('offboardings', ['status'], {
+      name: 'idx_offboardings_status'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('offboardings');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_offboardings_status";');
+  }
+};
@@ -0,0 +1,108 @@
+/**
+ * Access Review Campaign Model
+ *
+ * @module models/access-review-campaign
+ * @description A periodic review of workforce access (HIPAA 164.308(a)(4)): the access of every
+ * user in scope is snapshotted when the campaign starts and routed to a reviewer
+ */
+
+/**
+ * Initialize Access Review Campaign model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} AccessReviewCampaign model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * AccessReviewCampaign model
+   * @class AccessReviewCampaign
+   * @property {number} id - Unique identifier for the campaign
+   * @property {string} name - Campaign name, e.g. '2026 Q4 access review'
+   * @property {string} description - What the campaign covers
+   * @property {string} status - 'active', 'completed' or 'cancelled'
+   * @property {Date} dueDate - When reviewers should have recorded their decisions
+   * @property {Array} departmentIds - Departments whose users are reviewed (null for everyone)
+   * @property {number} fallbackReviewerId - Reviewer of users whose department has no other manager
+   * @property {number} createdBy - ID of the user who started the campaign
+   * @property {Date} completedAt - When the campaign was completed or cancelled
+   * @property {number} completedBy - ID of the user who completed or cancelled the campaign
+   */
+  const AccessReviewCampaign = sequelize.define('AccessReviewCampaign', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'completed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    dueDate: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    departmentIds: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    fallbackReviewerId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'access_review_campaigns',
+    indexes: [
+      { fields: ['status', 'dueDate'], name: 'idx_access_review_campaigns_status_due' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  AccessReviewCampaign.associate = (models) => {
+    AccessReviewCampaign.hasMany(models.AccessReviewItem, {
+      foreignKey: 'campaignId',
+      as: 'items'
+    });
+
+    AccessReviewCampaign.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+
+    AccessReviewCampaign.belongsTo(models.User, {
+      foreignKey: 'fallbackReviewerId',
+      as: 'fallbackReviewer'
+    });
+
+    AccessReviewCampaign.belongsTo(models.User, {
+      foreignKey: 'completedBy',
+      as: 'completer'
+    });
+  };
+
+  return AccessReviewCampaign;
+};
@@ -0,0 +1,115 @@
+/**
+ * Access Review Item Model
+ *
+ * @module models/access-review-item
+ * @description One user's access as it stood when an access review campaign started, and the
+ * reviewer's keep, modify or revoke decision on it
+ */
+
+/**
+ * Initialize Access Review Item model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} AccessReviewItem model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * AccessReviewItem model
+   * @class AccessReviewItem
+   * @property {number} id - Unique identifier for the item
+   * @property {number} campaignId - ID of the campaign
+   * @property {number} userId - ID of the user whose access is reviewed
+   * @property {number} reviewerId - ID of the user who must decide (null until someone is assigned)
+   * @property {Object} snapshot - Role, department, MFA status, IP allowlist and last login at the
+   * start of the campaign
+   * @property {string} decision - 'keep', 'modify' or 'revoke' (null while pending)
+   * @property {string} decisionNotes - Reviewer's reasons, required to modify or revoke
+   * @property {number} decidedBy - ID of the reviewer who recorded the decision
+   * @property {Date} decidedAt - When the decision was recorded
+   * @property {Date} appliedAt - When a revocation was carried out
+   * @property {string} applyError - Why a revocation could not be carried out
+   */
+  const AccessReviewItem = sequelize.define('AccessReviewItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    campaignId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    reviewerId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    snapshot: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+    decision: {
+      type: DataTypes.ENUM('keep', 'modify', 'revoke'),
+      allowNull: true
+    },
+    decisionNotes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    decidedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    decidedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    appliedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    applyError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'access_review_items',
+    indexes: [
+      { unique: true, fields: ['campaignId', 'userId'], name: 'idx_access_review_items_campaign_user' },
+      { fields: ['reviewerId', 'decision'], name: 'idx_access_review_items_reviewer_decision' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  AccessReviewItem.associate = (models) => {
+    AccessReviewItem.belongsTo(models.AccessReviewCampaign, {
+      foreignKey: 'campaignId',
+      as: 'campaign'
+    });
+
+    AccessReviewItem.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    AccessReviewItem.belongsTo(models.User, {
+      foreignKey: 'reviewerId',
+      as: 'reviewer'
+    });
+
+    AccessReviewItem.belongsTo(models.User, {
+      foreignKey: 'decidedBy',
+      as: 'decider'
+    });
+  };
+
+  return AccessReviewItem;
+};
@@ -0,0 +1,132 @@
+/**
+ * API Key Model
+ *
+ * @module models/api-key
+ * @description Keys that service accounts use to call the API from integrations. Only a SHA-256
+ * hash of each key is stored, and each key is limited to the permissions, routes and IP
+ * addresses recorded with it.
+ */
+
+/**
+ * Initialize API Key model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} ApiKey model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * ApiKey model
+   * @class ApiKey
+   * @property {number} id - Unique identifier for the key
+   * @property {number} serviceAccountId - ID of the service account (a User with accountType 'service') the key acts as
+   * @property {string} name - What the key is used for (e.g. 'Workday nightly sync')
+   * @property {string} keyHash - SHA-256 hash of the key (hex)
+   * @property {string} keyPrefix - First characters of the key, shown to help identify it
+   * @property {Array} scopes - Permission names the key may use; a subset of the service account role's permissions
+   * @property {Array} allowedRoutes - Routes the key may call, as 'METHOD /path' patterns where '*' matches any method or a path suffix
+   * @property {Array} ipAllowlist - IP addresses and CIDR ranges the key may be used from (empty for any)
+   * @property {Date} expiresAt - When the key stops working
+   * @property {Date} lastUsedAt - When the key last authenticated a request
+   * @property {string} lastUsedIp - IP address of the last request made with the key
+   * @property {Date} revokedAt - When the key was revoked
+   * @property {number} revokedBy - ID of the administrator who revoked the key
+   * @property {number} rotatedFromId - ID of the key this key replaced when it was rotated
+   * @property {number} createdBy - ID of the administrator who created the key
+   */
+  const ApiKey = sequelize.define('ApiKey', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    serviceAccountId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    keyHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    keyPrefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false
+    },
+    scopes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    allowedRoutes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    ipAllowlist: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastUsedIp: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    rotatedFromId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'api_keys',
+    indexes: [
+      { fields: ['serviceAccountId'], name: 'idx_api_keys_service_account' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  ApiKey.associate = (models) => {
+    ApiKey.belongsTo(models.User, {
+      foreignKey: 'serviceAccountId',
+      as: 'serviceAccount'
+    });
+
+    ApiKey.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+
+    ApiKey.belongsTo(models.ApiKey, {
+      foreignKey: 'rotatedFromId',
+      as: 'rotatedFrom'
+    });
+  };
+
+  return ApiKey;
+};
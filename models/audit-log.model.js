@@ -5,6 +5,12 @@
  * @description Provides tamper-evident logging for all system activities to ensure HIPAA compliance
  */
 
+/**
+ * Postgres advisory lock key used to serialize appends to the audit hash chain
+ * @constant {number}
+ */
+const AUDIT_CHAIN_LOCK_KEY = 7261001;
+
 /**
  * Initialize Audit Log model
  * @param {Object} sequelize - Sequelize instance
@@ -23,6 +29,10 @@ module.exports = (sequelize, DataTypes) => {
    * @property {string} details - JSON string containing additional details about the action
    * @property {string} ipAddress - IP address from which the action was performed
    * @property {Date} timestamp - Date and time when the action occurred
+   * @property {string} previousHash - Hash of the preceding entry in the chain ('' for the first entry)
+   * @property {string} hash - SHA-256 hash of this entry's content chained to previousHash
+   * @property {number} emergencyAccessGrantId - Break-glass grant the action was taken under, if any
+   * @property {number} apiKeyId - API key the request was authenticated with, if any
    */
   const AuditLog = sequelize.define('AuditLog', {
     id: {
@@ -76,10 +86,25 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: DataTypes.NOW,
       comment: 'Date and time when the action occurred'
     },
+    previousHash: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Hash of the preceding log entry, null for entries written before chaining'
+    },
     hash: {
       type: DataTypes.STRING,
       allowNull: true,
-      comment: 'Hash of previous log entry to ensure tamper evidence'
+      comment: 'Hash of this entry chained to the previous entry to ensure tamper evidence'
+    },
+    emergencyAccessGrantId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Break-glass emergency access grant the action was taken under, if any'
+    },
+    apiKeyId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'API key a service account authenticated the request with, if any'
     }
   }, {
     timestamps: false, // Using custom timestamp field instead
@@ -99,7 +124,9 @@ module.exports = (sequelize, DataTypes) => {
       // Composite indexes for common query patterns
       { fields: ['userId', 'timestamp'], name: 'idx_audit_logs_user_time' },
       { fields: ['action', 'timestamp'], name: 'idx_audit_logs_action_time' },
-      { fields: ['category', 'timestamp'], name: 'idx_audit_logs_category_time' }
+      { fields: ['category', 'timestamp'], name: 'idx_audit_logs_category_time' },
+      { fields: ['emergencyAccessGrantId'], name: 'idx_audit_logs_emergency_access_grant' },
+      { fields: ['apiKeyId'], name: 'idx_audit_logs_api_key' }
     ]
   });
 
@@ -116,6 +143,64 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'userId',
       as: 'user'
     });
+
+    /**
+     * AuditLog may belong to a break-glass EmergencyAccessGrant
+     * @see models/emergency-access-grant.model.js
+     */
+    AuditLog.belongsTo(models.EmergencyAccessGrant, {
+      foreignKey: 'emergencyAccessGrantId',
+      as: 'emergencyAccessGrant'
+    });
+
+    /**
+     * AuditLog may belong to the ApiKey a service account used
+     * @see models/api-key.model.js
+     */
+    AuditLog.belongsTo(models.ApiKey, {
+      foreignKey: 'apiKeyId',
+      as: 'apiKey'
+    });
+  };
+
+  /**
+   * Computes the chain hash for an audit log entry
+   * @method computeHash
+   * @static
+   * @param {Object} entry - Audit log entry (model instance or plain object)
+   * @param {string} previousHash - Hash of the preceding entry ('' for the first entry)
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  AuditLog.computeHash = function(entry, previousHash) {
+    const crypto = require('crypto');
+
+    // Normalize values the way they come back from the database so stored rows recompute
+    const fields = [
+      previousHash || '',
+      entry.userId === null || entry.userId === undefined ? null : Number(entry.userId),
+      entry.action,
+      entry.category || null,
+      entry.entityType,
+      entry.entityId === null || entry.entityId === undefined ? null : String(entry.entityId),
+      entry.details || null,
+      entry.ipAddress || null,
+      entry.userAgent || null,
+      new Date(entry.timestamp).toISOString()
+    ];
+
+    // Only tagged entries include the grant, so entries written before the column existed still verify
+    if (entry.emergencyAccessGrantId !== null && entry.emergencyAccessGrantId !== undefined) {
+      fields.push(Number(entry.emergencyAccessGrantId));
+    }
+
+    // Labelled so that an API key ID cannot be mistaken for a grant ID
+    if (entry.apiKeyId !== null && entry.apiKeyId !== undefined) {
+      fields.push(`apiKey:${Number(entry.apiKeyId)}`);
+    }
+
+    const payload = JSON.stringify(fields);
+
+    return crypto.createHash('sha256').update(payload).digest('hex');
   };
 
   /**
@@ -126,33 +211,50 @@ module.exports = (sequelize, DataTypes) => {
    * @param {Object} logData - The log data to save
    * @param {number} logData.userId - User ID who performed the action
    * @param {string} logData.action - Action performed
+   * @param {string} [logData.category] - Category of the action
    * @param {string} logData.entityType - Entity type affected
    * @param {string} [logData.entityId] - Entity ID affected
    * @param {Object} [logData.details] - Additional details (will be JSON stringified)
    * @param {string} [logData.ipAddress] - IP address
    * @param {string} [logData.userAgent] - User agent string
+   * @param {number} [logData.emergencyAccessGrantId] - Break-glass grant the action was taken under
+   * @param {number} [logData.apiKeyId] - API key the request was authenticated with
    * @returns {Promise<Object>} The created audit log entry
    */
   AuditLog.createWithHash = async function(logData) {
-    const crypto = require('crypto');
-    
+    const entry = { ...logData };
+
     // Check if details is an object and stringify it
-    if (logData.details && typeof logData.details === 'object') {
-      logData.details = JSON.stringify(logData.details);
+    if (entry.details && typeof entry.details === 'object') {
+      entry.details = JSON.stringify(entry.details);
+    }
+
+    if (entry.entityId !== null && entry.entityId !== undefined) {
+      entry.entityId = String(entry.entityId);
     }
-    
-    // Get the latest audit log to create hash chain
-    const latestLog = await this.findOne({
-      order: [['id', 'DESC']]
+
+    entry.timestamp = entry.timestamp ? new Date(entry.timestamp) : new Date();
+
+    return await sequelize.transaction(async (transaction) => {
+      // Serialize chain appends across connections and app instances
+      await sequelize.query('SELECT pg_advisory_xact_lock(:lockKey)', {
+        replacements: { lockKey: AUDIT_CHAIN_LOCK_KEY },
+        transaction
+      });
+
+      // Get the latest audit log to create hash chain
+      const latestLog = await this.findOne({
+        attributes: ['id', 'hash'],
+        order: [['id', 'DESC']],
+        transaction
+      });
+
+      entry.previousHash = latestLog ? latestLog.hash || '' : '';
+      entry.hash = this.computeHash(entry, entry.previousHash);
+
+      // Create the log entry with hash
+      return await this.create(entry, { transaction });
     });
-    
-    // Create hash from previous log entry + current log data
-    const previousHash = latestLog ? latestLog.hash || '' : '';
-    const dataToHash = `${previousHash}${logData.userId || ''}${logData.action}${logData.entityType}${logData.entityId || ''}${new Date().toISOString()}`;
-    logData.hash = crypto.createHash('sha256').update(dataToHash).digest('hex');
-    
-    // Create the log entry with hash
-    return await this.create(logData);
   };
 
   return AuditLog;
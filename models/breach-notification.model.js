@@ -0,0 +1,120 @@
+/**
+ * Breach Notification Model
+ *
+ * @module models/breach-notification
+ * @description A notification required after a breach (45 CFR 164.404-164.408) with its deadline and evidence
+ */
+
+/**
+ * Initialize Breach Notification model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} BreachNotification model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * BreachNotification model
+   * @class BreachNotification
+   * @property {number} id - Unique identifier for the notification
+   * @property {number} incidentId - Incident the notification belongs to
+   * @property {number} assessmentId - Assessment that last required this notification
+   * @property {string} recipientType - 'individuals', 'hhs', 'media' or 'hhs_annual_log'
+   * @property {string} state - Two-letter state code (media notifications only)
+   * @property {number} affectedCount - Individuals covered by this notification
+   * @property {Date} deadline - Latest date the notification may be made
+   * @property {string} status - 'pending', 'sent' or 'cancelled' (no longer required after reassessment)
+   * @property {Date} sentDate - When the notification was made
+   * @property {string} method - How the notification was made (e.g. first-class mail, HHS portal)
+   * @property {string} evidencePath - Location of proof of notification
+   * @property {string} notes - Additional details
+   * @property {number} completedBy - ID of the user who recorded the notification as sent
+   */
+  const BreachNotification = sequelize.define('BreachNotification', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    incidentId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    assessmentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    recipientType: {
+      type: DataTypes.ENUM('individuals', 'hhs', 'media', 'hhs_annual_log'),
+      allowNull: false
+    },
+    state: {
+      type: DataTypes.STRING(2),
+      allowNull: true
+    },
+    affectedCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    deadline: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'sent', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    sentDate: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    method: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    evidencePath: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Path or reference to proof of notification'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    completedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'breach_notifications',
+    indexes: [
+      { fields: ['incidentId'], name: 'idx_breach_notifications_incident' },
+      { fields: ['status', 'deadline'], name: 'idx_breach_notifications_status_deadline' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  BreachNotification.associate = (models) => {
+    BreachNotification.belongsTo(models.Incident, {
+      foreignKey: 'incidentId',
+      as: 'incident'
+    });
+
+    BreachNotification.belongsTo(models.BreachRiskAssessment, {
+      foreignKey: 'assessmentId',
+      as: 'assessment'
+    });
+
+    BreachNotification.belongsTo(models.User, {
+      foreignKey: 'completedBy',
+      as: 'completer'
+    });
+  };
+
+  return BreachNotification;
+};
@@ -0,0 +1,156 @@
+/**
+ * Breach Risk Assessment Model
+ *
+ * @module models/breach-risk-assessment
+ * @description Four-factor risk assessment of an incident under 45 CFR 164.402
+ */
+
+/**
+ * Initialize Breach Risk Assessment model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} BreachRiskAssessment model
+ */
+module.exports = (sequelize, DataTypes) => {
+  const RISK_LEVELS = ['low', 'medium', 'high'];
+
+  /**
+   * BreachRiskAssessment model
+   * @class BreachRiskAssessment
+   * @property {number} id - Unique identifier for the assessment
+   * @property {number} incidentId - Assessed incident
+   * @property {number} assessedBy - ID of the user who performed the assessment
+   * @property {Date} assessmentDate - When the assessment was recorded
+   * @property {Date} discoveryDate - When the breach was discovered; notification deadlines count from here
+   * @property {boolean} phiSecured - Whether the PHI was secured (e.g. encrypted) per HHS guidance
+   * @property {string} exception - Statutory exception to the breach definition that applies, if any
+   * @property {string} natureExtentRisk - Factor 1: nature and extent of the PHI involved
+   * @property {string} unauthorizedPersonRisk - Factor 2: the unauthorized person who used or received the PHI
+   * @property {string} acquiredViewedRisk - Factor 3: whether the PHI was actually acquired or viewed
+   * @property {string} mitigationRisk - Factor 4: extent to which the risk has been mitigated
+   * @property {boolean} lowProbabilityOfCompromise - True when every factor is low
+   * @property {boolean} isBreach - Resulting determination
+   * @property {number} affectedCount - Number of individuals affected
+   * @property {Object} affectedByState - Affected residents keyed by two-letter state code
+   * @property {string} notes - Assessor's conclusion
+   */
+  const BreachRiskAssessment = sequelize.define('BreachRiskAssessment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    incidentId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    assessedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    assessmentDate: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    discoveryDate: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    phiSecured: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    exception: {
+      type: DataTypes.ENUM('unintentional_workforce_access', 'inadvertent_authorized_disclosure', 'unable_to_retain'),
+      allowNull: true,
+      comment: 'Exceptions in paragraph (1) of the breach definition in 164.402'
+    },
+    natureExtentRisk: {
+      type: DataTypes.ENUM(...RISK_LEVELS),
+      allowNull: false
+    },
+    natureExtentNotes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    unauthorizedPersonRisk: {
+      type: DataTypes.ENUM(...RISK_LEVELS),
+      allowNull: false
+    },
+    unauthorizedPersonNotes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    acquiredViewedRisk: {
+      type: DataTypes.ENUM(...RISK_LEVELS),
+      allowNull: false
+    },
+    acquiredViewedNotes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    mitigationRisk: {
+      type: DataTypes.ENUM(...RISK_LEVELS),
+      allowNull: false
+    },
+    mitigationNotes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    lowProbabilityOfCompromise: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false
+    },
+    isBreach: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false
+    },
+    affectedCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    affectedByState: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'breach_risk_assessments',
+    indexes: [
+      { fields: ['incidentId', 'assessmentDate'], name: 'idx_breach_assessments_incident_date' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  BreachRiskAssessment.associate = (models) => {
+    BreachRiskAssessment.belongsTo(models.Incident, {
+      foreignKey: 'incidentId',
+      as: 'incident'
+    });
+
+    BreachRiskAssessment.belongsTo(models.User, {
+      foreignKey: 'assessedBy',
+      as: 'assessor'
+    });
+
+    BreachRiskAssessment.hasMany(models.BreachNotification, {
+      foreignKey: 'assessmentId',
+      as: 'notifications'
+    });
+  };
+
+  return BreachRiskAssessment;
+};
@@ -0,0 +1,91 @@
+/**
+ * Compliance Assessment Model
+ *
+ * @module models/compliance-assessment
+ * @description Records the outcome of assessing a compliance requirement at a point in time
+ */
+
+/**
+ * Initialize Compliance Assessment model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} ComplianceAssessment model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * ComplianceAssessment model
+   * @class ComplianceAssessment
+   * @property {number} id - Unique identifier for the assessment
+   * @property {number} requirementId - ID of the assessed requirement
+   * @property {Date} assessmentDate - When the assessment was performed
+   * @property {number} conductedBy - ID of the user who performed the assessment
+   * @property {string} status - Outcome of the assessment
+   * @property {string} evidencePath - Location of supporting evidence
+   * @property {string} notes - Assessor notes
+   * @property {Date} nextAssessmentDate - When the requirement is next due for assessment
+   */
+  const ComplianceAssessment = sequelize.define('ComplianceAssessment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    requirementId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    assessmentDate: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    conductedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'User ID of the assessor'
+    },
+    status: {
+      type: DataTypes.ENUM('compliant', 'partially_compliant', 'non_compliant'),
+      allowNull: false
+    },
+    evidencePath: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Path or reference to supporting evidence'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    nextAssessmentDate: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'compliance_assessments',
+    indexes: [
+      { fields: ['requirementId', 'assessmentDate'], name: 'idx_compliance_assessments_requirement_date' },
+      { fields: ['conductedBy'], name: 'idx_compliance_assessments_conducted_by' },
+      { fields: ['nextAssessmentDate'], name: 'idx_compliance_assessments_next_date' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  ComplianceAssessment.associate = (models) => {
+    ComplianceAssessment.belongsTo(models.ComplianceRequirement, {
+      foreignKey: 'requirementId',
+      as: 'requirement'
+    });
+
+    ComplianceAssessment.belongsTo(models.User, {
+      foreignKey: 'conductedBy',
+      as: 'conductor'
+    });
+  };
+
+  return ComplianceAssessment;
+};
@@ -0,0 +1,100 @@
+/**
+ * Compliance Requirement Model
+ *
+ * @module models/compliance-requirement
+ * @description Represents a regulatory requirement (e.g. a HIPAA Security Rule implementation specification)
+ * that the organization periodically assesses itself against
+ */
+
+/**
+ * Initialize Compliance Requirement model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} ComplianceRequirement model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * ComplianceRequirement model
+   * @class ComplianceRequirement
+   * @property {number} id - Unique identifier for the requirement
+   * @property {string} title - Short name of the requirement
+   * @property {string} description - What must be done to satisfy the requirement
+   * @property {string} category - Safeguard category (administrative, physical, technical, ...)
+   * @property {string} citation - Regulatory citation (e.g. 45 CFR § 164.308(a)(1)(ii)(A))
+   * @property {string} standard - Name of the parent standard the requirement belongs to
+   * @property {string} implementationType - Whether the specification is required or addressable
+   * @property {string} frequency - How often the requirement must be assessed
+   * @property {number} responsibleRoleId - ID of the role responsible for the requirement
+   */
+  const ComplianceRequirement = sequelize.define('ComplianceRequirement', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    category: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Safeguard category (e.g., administrative, physical, technical, privacy)'
+    },
+    citation: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Regulatory citation (e.g., 45 CFR § 164.308(a)(1)(ii)(A))'
+    },
+    standard: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Parent standard of an implementation specification'
+    },
+    implementationType: {
+      type: DataTypes.ENUM('required', 'addressable'),
+      allowNull: false,
+      defaultValue: 'required'
+    },
+    frequency: {
+      type: DataTypes.ENUM('monthly', 'quarterly', 'semiannually', 'annually', 'as_needed'),
+      allowNull: false,
+      defaultValue: 'annually'
+    },
+    responsibleRoleId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Role responsible for maintaining the requirement'
+    }
+  }, {
+    timestamps: true,
+    paranoid: true,
+    tableName: 'compliance_requirements',
+    indexes: [
+      { fields: ['category'], name: 'idx_compliance_requirements_category' },
+      { fields: ['responsibleRoleId'], name: 'idx_compliance_requirements_role' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  ComplianceRequirement.associate = (models) => {
+    ComplianceRequirement.belongsTo(models.Role, {
+      foreignKey: 'responsibleRoleId',
+      as: 'responsibleRole'
+    });
+
+    ComplianceRequirement.hasMany(models.ComplianceAssessment, {
+      foreignKey: 'requirementId',
+      as: 'assessments'
+    });
+  };
+
+  return ComplianceRequirement;
+};
@@ -17,6 +17,16 @@ module.exports = (sequelize, DataTypes) => {
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    versionNumber: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Document version that was acknowledged'
+    },
+    documentVersionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'DocumentVersion that was acknowledged'
     }
   }, {
     timestamps: true,
@@ -25,11 +35,26 @@ module.exports = (sequelize, DataTypes) => {
       // Foreign key indexes for performance
       { fields: ['userId'], name: 'idx_doc_ack_user_id' },
       { fields: ['documentId'], name: 'idx_doc_ack_document_id' },
-      // Composite unique index to prevent duplicate acknowledgments
-      { fields: ['userId', 'documentId'], unique: true, name: 'idx_doc_ack_user_document' },
+      // Composite unique index to prevent duplicate acknowledgments of the same version
+      { fields: ['userId', 'documentId', 'versionNumber'], unique: true, name: 'idx_doc_ack_user_document_version' },
       // Date index for reporting
       { fields: ['acknowledgmentDate'], name: 'idx_doc_ack_date' }
-    ]
+    ],
+    hooks: {
+      // Default to the document's current version when none is given
+      beforeValidate: async (acknowledgment, options) => {
+        if (!acknowledgment.versionNumber && acknowledgment.documentId) {
+          const document = await sequelize.models.Document.findByPk(acknowledgment.documentId, {
+            attributes: ['id', 'version'],
+            transaction: options.transaction
+          });
+
+          if (document) {
+            acknowledgment.versionNumber = document.version;
+          }
+        }
+      }
+    }
   });
 
   DocumentAcknowledgment.associate = (models) => {
@@ -42,6 +67,11 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'documentId',
       as: 'document'
     });
+
+    DocumentAcknowledgment.belongsTo(models.DocumentVersion, {
+      foreignKey: 'documentVersionId',
+      as: 'documentVersion'
+    });
   };
 
   return DocumentAcknowledgment;
@@ -0,0 +1,115 @@
+/**
+ * Document version model preserving every published revision of a document
+ * @module models/document-version
+ */
+
+/**
+ * DocumentVersion model
+ * @class DocumentVersion
+ * @property {number} id - Unique identifier for the version
+ * @property {number} documentId - Foreign key reference to the Document
+ * @property {string} versionNumber - Version number of this revision (e.g. '1.0', '2.1')
+ * @property {string} [filePath] - Path to the stored file for this revision
+ * @property {string} [fileName] - Original name of the uploaded file
+ * @property {string} [changeSummary] - Description of what changed in this revision
+ * @property {number} [authorId] - Foreign key reference to User who published the revision
+ * @property {Date} effectiveDate - Date from which this revision is in effect
+ * @property {Date} [supersededAt] - When a newer revision replaced this one (null for the current revision)
+ * @property {number} [restoredFromId] - Version this revision was restored from, if any
+ * @property {Date} createdAt - Timestamp when the version was recorded
+ * @property {Date} updatedAt - Timestamp when the version was last updated
+ */
+module.exports = (sequelize, DataTypes) => {
+  const DocumentVersion = sequelize.define('DocumentVersion', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    documentId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    versionNumber: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    filePath: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    fileName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    changeSummary: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    authorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    effectiveDate: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    supersededAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    restoredFromId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'document_versions',
+    indexes: [
+      // A version number can only be used once per document
+      { fields: ['documentId', 'versionNumber'], unique: true, name: 'idx_doc_versions_document_version' },
+      { fields: ['documentId', 'effectiveDate'], name: 'idx_doc_versions_document_effective' },
+      { fields: ['authorId'], name: 'idx_doc_versions_author_id' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @method associate
+   * @static
+   * @param {Object} models - The models object containing all models
+   * @returns {void}
+   * @memberof DocumentVersion
+   */
+  DocumentVersion.associate = (models) => {
+    /**
+     * DocumentVersion belongs to a Document
+     * @memberof DocumentVersion
+     */
+    DocumentVersion.belongsTo(models.Document, {
+      foreignKey: 'documentId',
+      as: 'document'
+    });
+
+    /**
+     * DocumentVersion belongs to a User (author)
+     * @memberof DocumentVersion
+     */
+    DocumentVersion.belongsTo(models.User, {
+      foreignKey: 'authorId',
+      as: 'author'
+    });
+
+    /**
+     * DocumentVersion may have been restored from an earlier version
+     * @memberof DocumentVersion
+     */
+    DocumentVersion.belongsTo(models.DocumentVersion, {
+      foreignKey: 'restoredFromId',
+      as: 'restoredFrom'
+    });
+  };
+
+  return DocumentVersion;
+};
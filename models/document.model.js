@@ -105,6 +105,15 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'documentId',
       as: 'acknowledgments'
     });
+
+    /**
+     * Document has many DocumentVersions (full revision history)
+     * @memberof Document
+     */
+    Document.hasMany(models.DocumentVersion, {
+      foreignKey: 'documentId',
+      as: 'versions'
+    });
   };
 
   return Document;
@@ -0,0 +1,143 @@
+/**
+ * Emergency Access Grant Model
+ *
+ * @module models/emergency-access-grant
+ * @description Break-glass activations: time-boxed elevated permissions granted to a designated user
+ * with a written justification, reviewed by a compliance officer once the window closes
+ * (HIPAA 164.312(a)(2)(ii) emergency access procedure)
+ */
+
+/**
+ * Initialize Emergency Access Grant model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} EmergencyAccessGrant model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * EmergencyAccessGrant model
+   * @class EmergencyAccessGrant
+   * @property {number} id - Unique identifier for the grant
+   * @property {number} userId - ID of the user who broke the glass
+   * @property {string} justification - Reason given for emergency access
+   * @property {Object} grantedPermissions - Role permissions added for the duration of the window
+   * @property {string} status - 'active', 'ended' (closed early) or 'expired'
+   * @property {Date} activatedAt - When the window opened
+   * @property {Date} expiresAt - When the window closes
+   * @property {Date} endedAt - When the window was closed early
+   * @property {number} endedBy - ID of the user who closed the window early
+   * @property {string} ipAddress - IP address the grant was activated from
+   * @property {string} userAgent - User agent the grant was activated from
+   * @property {string} reviewStatus - 'pending', 'approved' or 'rejected'
+   * @property {Date} reviewDueAt - When the after-the-fact review is due
+   * @property {number} reviewedBy - ID of the compliance officer who signed off the review
+   * @property {Date} reviewedAt - When the review was signed off
+   * @property {string} reviewNotes - Reviewer's findings
+   */
+  const EmergencyAccessGrant = sequelize.define('EmergencyAccessGrant', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    justification: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    grantedPermissions: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'ended', 'expired'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    activatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    endedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    endedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    userAgent: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    reviewStatus: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    reviewDueAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    reviewedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    reviewedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reviewNotes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'emergency_access_grants',
+    indexes: [
+      { fields: ['userId', 'status'], name: 'idx_emergency_access_grants_user_status' },
+      { fields: ['reviewStatus', 'reviewDueAt'], name: 'idx_emergency_access_grants_review' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  EmergencyAccessGrant.associate = (models) => {
+    EmergencyAccessGrant.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    EmergencyAccessGrant.belongsTo(models.User, {
+      foreignKey: 'endedBy',
+      as: 'endedByUser'
+    });
+
+    EmergencyAccessGrant.belongsTo(models.User, {
+      foreignKey: 'reviewedBy',
+      as: 'reviewer'
+    });
+
+    EmergencyAccessGrant.hasMany(models.AuditLog, {
+      foreignKey: 'emergencyAccessGrantId',
+      as: 'auditLogs'
+    });
+  };
+
+  return EmergencyAccessGrant;
+};
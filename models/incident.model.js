@@ -11,7 +11,8 @@ module.exports = (sequelize, DataTypes) => {
     },
     description: {
       type: DataTypes.TEXT,
-      allowNull: false
+      allowNull: false,
+      encrypted: true
     },
     incidentDate: {
       type: DataTypes.DATE,
@@ -56,6 +57,7 @@ module.exports = (sequelize, DataTypes) => {
     affectedData: {
       type: DataTypes.TEXT,
       allowNull: true,
+      encrypted: true,
       comment: 'Types of data affected by the incident'
     },
     containmentActions: {
@@ -81,6 +83,7 @@ module.exports = (sequelize, DataTypes) => {
     rootCause: {
       type: DataTypes.TEXT,
       allowNull: true,
+      encrypted: true,
       comment: 'Root cause analysis of the incident'
     },
     preventiveMeasures: {
@@ -171,6 +174,16 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'incidentId',
       as: 'updates'
     });
+
+    Incident.hasMany(models.BreachRiskAssessment, {
+      foreignKey: 'incidentId',
+      as: 'breachAssessments'
+    });
+
+    Incident.hasMany(models.BreachNotification, {
+      foreignKey: 'incidentId',
+      as: 'breachNotifications'
+    });
   };
 
   return Incident;
@@ -4,6 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const Sequelize = require('sequelize');
 const process = require('process');
+const { installFieldEncryption } = require('../utils/field-encryption');
 const basename = path.basename(__filename);
 const env = process.env.NODE_ENV || 'development';
 const config = require('../config/database.js')[env];
@@ -37,6 +38,9 @@ Object.keys(db).forEach(modelName => {
   }
 });
 
+// Encrypt attributes marked `encrypted` on write and decrypt them on read
+installFieldEncryption(db);
+
 db.sequelize = sequelize;
 db.Sequelize = Sequelize;
 
@@ -0,0 +1,122 @@
+/**
+ * Login Lockout Model
+ *
+ * @module models/login-lockout
+ * @description Failed sign-in counters and lockouts, kept per username and per client IP address.
+ * Stored in the database so every application instance enforces the same lockouts and they survive restarts.
+ */
+
+/**
+ * Initialize Login Lockout model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} LoginLockout model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * LoginLockout model
+   * @class LoginLockout
+   * @property {number} id - Unique identifier for the record
+   * @property {string} scope - What is being limited ('username' or 'ip')
+   * @property {string} identifier - Lower-cased username or the client IP address
+   * @property {number} userId - ID of the matching user, for username records of existing accounts
+   * @property {number} failureCount - Failed sign-ins in the current window
+   * @property {Date} windowStartedAt - When the current counting window began
+   * @property {Date} lastFailureAt - When the last failed sign-in happened
+   * @property {string} lastIpAddress - IP address of the last failed sign-in
+   * @property {number} lockCount - Consecutive lockouts, used to lengthen each new lockout
+   * @property {Date} lockedAt - When the latest lockout began
+   * @property {Date} lockedUntil - When the latest lockout ends
+   * @property {Date} clearedAt - When an administrator last cleared the lockout
+   * @property {number} clearedBy - ID of the administrator who last cleared the lockout
+   */
+  const LoginLockout = sequelize.define('LoginLockout', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    scope: {
+      type: DataTypes.ENUM('username', 'ip'),
+      allowNull: false
+    },
+    identifier: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    failureCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    windowStartedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastFailureAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastIpAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    lockCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    clearedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    clearedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'login_lockouts',
+    indexes: [
+      {
+        unique: true,
+        fields: ['scope', 'identifier'],
+        name: 'idx_login_lockouts_scope_identifier'
+      },
+      {
+        fields: ['lockedUntil'],
+        name: 'idx_login_lockouts_locked_until'
+      }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  LoginLockout.associate = (models) => {
+    LoginLockout.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    LoginLockout.belongsTo(models.User, {
+      foreignKey: 'clearedBy',
+      as: 'clearedByUser'
+    });
+  };
+
+  return LoginLockout;
+};
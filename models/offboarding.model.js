@@ -0,0 +1,122 @@
+/**
+ * Offboarding Model
+ *
+ * @module models/offboarding
+ * @description The termination procedure of a workforce member (HIPAA 164.308(a)(3)(ii)(C)):
+ * what was revoked, which open work went to the successor, and the signed-off checklist
+ */
+
+/**
+ * Initialize Offboarding model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} Offboarding model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * Offboarding model
+   * @class Offboarding
+   * @property {number} id - Unique identifier for the offboarding
+   * @property {number} userId - ID of the user leaving
+   * @property {number} successorId - ID of the user who took over the open work (null if there was none)
+   * @property {string} reason - Why the user is leaving, e.g. 'Resigned' or 'Contract ended'
+   * @property {string} status - 'in_progress' until the checklist is signed off, then 'completed'
+   * @property {Object} transfers - IDs of the records handed to the successor, keyed by type
+   * @property {number} sessionsRevoked - Number of sessions ended when access was removed
+   * @property {Array} checklist - Items { key, label, automatic, completed, completedBy, completedAt, notes }
+   * @property {number} initiatedBy - ID of the user who started the offboarding
+   * @property {Date} signedOffAt - When the checklist was signed off
+   * @property {number} signedOffBy - ID of the user who signed off the checklist
+   * @property {string} signOffNotes - Notes recorded with the sign-off
+   */
+  const Offboarding = sequelize.define('Offboarding', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    successorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('in_progress', 'completed'),
+      allowNull: false,
+      defaultValue: 'in_progress'
+    },
+    transfers: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+    sessionsRevoked: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    checklist: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    initiatedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    signedOffAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    signedOffBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    signOffNotes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'offboardings',
+    indexes: [
+      { fields: ['userId'], name: 'idx_offboardings_user' },
+      { fields: ['status'], name: 'idx_offboardings_status' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  Offboarding.associate = (models) => {
+    Offboarding.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    Offboarding.belongsTo(models.User, {
+      foreignKey: 'successorId',
+      as: 'successor'
+    });
+
+    Offboarding.belongsTo(models.User, {
+      foreignKey: 'initiatedBy',
+      as: 'initiator'
+    });
+
+    Offboarding.belongsTo(models.User, {
+      foreignKey: 'signedOffBy',
+      as: 'signer'
+    });
+  };
+
+  return Offboarding;
+};
@@ -0,0 +1,111 @@
+/**
+ * Quiz Attempt Model
+ *
+ * @module models/quiz-attempt
+ * @description A learner's attempt at the quiz of a training assignment
+ */
+
+/**
+ * Initialize Quiz Attempt model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} QuizAttempt model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * QuizAttempt model
+   * @class QuizAttempt
+   * @property {number} id - Unique identifier for the attempt
+   * @property {number} assignmentId - Training assignment the attempt belongs to
+   * @property {number} userId - Learner taking the quiz
+   * @property {number} attemptNumber - 1 for the first attempt, 2 for the second, ...
+   * @property {Array<number>} questionIds - Questions selected for this attempt, in the order shown
+   * @property {Object} answers - Submitted option IDs keyed by question ID
+   * @property {Array<Object>} results - Per-question outcome recorded at submission
+   * @property {number} score - Score as a percentage (0-100)
+   * @property {boolean} passed - Whether the score met the course's passing score
+   * @property {string} status - 'in_progress' or 'submitted'
+   * @property {Date} startedAt - When the attempt was started
+   * @property {Date} submittedAt - When the answers were submitted
+   */
+  const QuizAttempt = sequelize.define('QuizAttempt', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    assignmentId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    attemptNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    questionIds: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    answers: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    results: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    score: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Score as percentage (0-100)'
+    },
+    passed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('in_progress', 'submitted'),
+      allowNull: false,
+      defaultValue: 'in_progress'
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    submittedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'quiz_attempts',
+    indexes: [
+      { fields: ['assignmentId', 'attemptNumber'], unique: true, name: 'idx_quiz_attempts_assignment_number' },
+      { fields: ['userId'], name: 'idx_quiz_attempts_user' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  QuizAttempt.associate = (models) => {
+    QuizAttempt.belongsTo(models.TrainingAssignment, {
+      foreignKey: 'assignmentId',
+      as: 'assignment'
+    });
+
+    QuizAttempt.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return QuizAttempt;
+};
@@ -0,0 +1,94 @@
+/**
+ * Quiz Question Model
+ *
+ * @module models/quiz-question
+ * @description Question in the question bank of a quiz training course
+ */
+
+/**
+ * Initialize Quiz Question model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} QuizQuestion model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * QuizQuestion model
+   * @class QuizQuestion
+   * @property {number} id - Unique identifier for the question
+   * @property {number} courseId - Course whose bank the question belongs to
+   * @property {string} type - 'multiple_choice' (one answer), 'multi_select' (one or more) or 'true_false'
+   * @property {string} text - Question text
+   * @property {Array<Object>} options - Answer options as { id, text }
+   * @property {Array<string>} correctOptionIds - IDs of the correct options (never sent to learners before review)
+   * @property {string} explanation - Shown to learners when reviewing their answers
+   * @property {number} points - Weight of the question in the score
+   * @property {boolean} isActive - Whether the question can be selected for new attempts
+   */
+  const QuizQuestion = sequelize.define('QuizQuestion', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    courseId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.ENUM('multiple_choice', 'multi_select', 'true_false'),
+      allowNull: false,
+      defaultValue: 'multiple_choice'
+    },
+    text: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    options: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    correctOptionIds: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    explanation: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    points: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'quiz_questions',
+    indexes: [
+      { fields: ['courseId', 'isActive'], name: 'idx_quiz_questions_course_active' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  QuizQuestion.associate = (models) => {
+    QuizQuestion.belongsTo(models.TrainingCourse, {
+      foreignKey: 'courseId',
+      as: 'course'
+    });
+  };
+
+  return QuizQuestion;
+};
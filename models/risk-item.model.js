@@ -46,22 +46,32 @@ module.exports = (sequelize, DataTypes) => {
       comment: 'Controls already in place to mitigate the risk'
     },
     likelihood: {
-      type: DataTypes.ENUM('low', 'medium', 'high'),
+      type: DataTypes.STRING(50),
       allowNull: false,
       defaultValue: 'medium',
-      comment: 'Likelihood of the risk occurring'
+      comment: 'Likelihood of the risk occurring (a level key of the risk matrix)'
     },
     impact: {
-      type: DataTypes.ENUM('low', 'medium', 'high'),
+      type: DataTypes.STRING(50),
       allowNull: false,
       defaultValue: 'medium',
-      comment: 'Impact if the risk occurs'
+      comment: 'Impact if the risk occurs (a level key of the risk matrix)'
+    },
+    riskScore: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Numeric score from the risk matrix (likelihood value x impact value)'
     },
     riskLevel: {
       type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
       allowNull: false,
       defaultValue: 'medium',
-      comment: 'Overall risk level (calculated from likelihood and impact)'
+      comment: 'Overall risk level (band of the risk score in the risk matrix)'
+    },
+    riskMatrixId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'ID of the risk matrix version that produced the score'
     },
     recommendedControls: {
       type: DataTypes.TEXT,
@@ -93,6 +103,63 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: true,
       comment: 'Date when the risk should be reviewed next'
+    },
+    residualLikelihood: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Likelihood after controls (a level key of the risk matrix)'
+    },
+    residualImpact: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Impact after controls (a level key of the risk matrix)'
+    },
+    residualScore: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Risk matrix score after controls'
+    },
+    residualRiskLevel: {
+      type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+      allowNull: true,
+      comment: 'Risk level after controls'
+    },
+    treatmentDecision: {
+      type: DataTypes.ENUM('mitigate', 'accept', 'transfer', 'avoid'),
+      allowNull: true,
+      comment: 'How the organization has decided to treat the risk'
+    },
+    treatmentRationale: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Justification for the treatment decision'
+    },
+    treatmentDecidedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'User ID of the person who made the treatment decision'
+    },
+    treatmentDecidedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    acceptanceStatus: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+      allowNull: true,
+      comment: 'Approval state of a decision to accept the risk'
+    },
+    acceptanceApprovedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'User ID of the person who approved or rejected the risk acceptance'
+    },
+    acceptanceApprovedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    acceptanceNotes: {
+      type: DataTypes.TEXT,
+      allowNull: true
     }
   }, {
     timestamps: true,
@@ -109,6 +176,26 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'assignedTo',
       as: 'assignee'
     });
+
+    RiskItem.belongsTo(models.RiskMatrix, {
+      foreignKey: 'riskMatrixId',
+      as: 'riskMatrix'
+    });
+
+    RiskItem.belongsTo(models.User, {
+      foreignKey: 'treatmentDecidedBy',
+      as: 'treatmentDecider'
+    });
+
+    RiskItem.belongsTo(models.User, {
+      foreignKey: 'acceptanceApprovedBy',
+      as: 'acceptanceApprover'
+    });
+
+    RiskItem.hasMany(models.RiskTreatmentTask, {
+      foreignKey: 'riskItemId',
+      as: 'treatmentTasks'
+    });
   };
 
   return RiskItem;
@@ -0,0 +1,94 @@
+/**
+ * Risk Matrix Model
+ *
+ * @module models/risk-matrix
+ * @description Versioned organization risk scoring matrix. Every change creates a new version;
+ * the active version scores risk items and earlier versions are kept as history.
+ */
+
+/**
+ * Initialize Risk Matrix model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} RiskMatrix model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * RiskMatrix model
+   * @class RiskMatrix
+   * @property {number} id - Unique identifier for the matrix version
+   * @property {number} version - Sequential version number
+   * @property {string} name - Display name of the matrix (e.g. "5x5 matrix")
+   * @property {Array<Object>} likelihoodLevels - Ordered levels: [{ key, label, value }]
+   * @property {Array<Object>} impactLevels - Ordered levels: [{ key, label, value }]
+   * @property {Array<Object>} bands - Score bands: [{ level, label, minScore }]; level is the stored riskLevel
+   * @property {boolean} isActive - Whether this version scores risk items
+   * @property {string} changeSummary - Why the matrix was changed
+   * @property {number} createdBy - ID of the user who created the version
+   */
+  const RiskMatrix = sequelize.define('RiskMatrix', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    likelihoodLevels: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    impactLevels: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    bands: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    changeSummary: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'risk_matrices',
+    indexes: [
+      { fields: ['isActive'], name: 'idx_risk_matrices_active' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  RiskMatrix.associate = (models) => {
+    RiskMatrix.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+
+    RiskMatrix.hasMany(models.RiskItem, {
+      foreignKey: 'riskMatrixId',
+      as: 'riskItems'
+    });
+  };
+
+  return RiskMatrix;
+};
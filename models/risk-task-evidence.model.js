@@ -0,0 +1,82 @@
+/**
+ * Risk Task Evidence Model
+ *
+ * @module models/risk-task-evidence
+ * @description Evidence that a risk treatment task was carried out: a document from the
+ * document library or a reference to where the evidence is kept
+ */
+
+/**
+ * Initialize Risk Task Evidence model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} RiskTaskEvidence model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * RiskTaskEvidence model
+   * @class RiskTaskEvidence
+   * @property {number} id - Unique identifier for the evidence
+   * @property {number} taskId - Task the evidence belongs to
+   * @property {number} documentId - Attached document from the document library
+   * @property {string} reference - Path, URL or ticket reference of evidence kept elsewhere
+   * @property {string} description - What the evidence shows
+   * @property {number} addedBy - ID of the user who attached the evidence
+   */
+  const RiskTaskEvidence = sequelize.define('RiskTaskEvidence', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    taskId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    documentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    reference: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    addedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    }
+  }, {
+    timestamps: true,
+    tableName: 'risk_task_evidence',
+    indexes: [
+      { fields: ['taskId'], name: 'idx_risk_task_evidence_task' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  RiskTaskEvidence.associate = (models) => {
+    RiskTaskEvidence.belongsTo(models.RiskTreatmentTask, {
+      foreignKey: 'taskId',
+      as: 'task'
+    });
+
+    RiskTaskEvidence.belongsTo(models.Document, {
+      foreignKey: 'documentId',
+      as: 'document'
+    });
+
+    RiskTaskEvidence.belongsTo(models.User, {
+      foreignKey: 'addedBy',
+      as: 'uploader'
+    });
+  };
+
+  return RiskTaskEvidence;
+};
@@ -0,0 +1,104 @@
+/**
+ * Risk Treatment Task Model
+ *
+ * @module models/risk-treatment-task
+ * @description A mitigation task in the treatment plan of a risk item
+ */
+
+/**
+ * Initialize Risk Treatment Task model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} RiskTreatmentTask model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * RiskTreatmentTask model
+   * @class RiskTreatmentTask
+   * @property {number} id - Unique identifier for the task
+   * @property {number} riskItemId - Risk item the task treats
+   * @property {string} title - Short description of the control to put in place
+   * @property {string} description - Details of the work
+   * @property {number} ownerId - ID of the user responsible for the task
+   * @property {Date} dueDate - When the task must be completed
+   * @property {string} status - 'open', 'in_progress', 'completed' or 'cancelled'
+   * @property {Date} completedAt - When the task was completed
+   * @property {number} createdBy - ID of the user who created the task
+   */
+  const RiskTreatmentTask = sequelize.define('RiskTreatmentTask', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    riskItemId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    ownerId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    dueDate: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'in_progress', 'completed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'risk_treatment_tasks',
+    indexes: [
+      { fields: ['riskItemId'], name: 'idx_risk_treatment_tasks_item' },
+      { fields: ['ownerId', 'status'], name: 'idx_risk_treatment_tasks_owner_status' },
+      { fields: ['status', 'dueDate'], name: 'idx_risk_treatment_tasks_status_due' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  RiskTreatmentTask.associate = (models) => {
+    RiskTreatmentTask.belongsTo(models.RiskItem, {
+      foreignKey: 'riskItemId',
+      as: 'riskItem'
+    });
+
+    RiskTreatmentTask.belongsTo(models.User, {
+      foreignKey: 'ownerId',
+      as: 'owner'
+    });
+
+    RiskTreatmentTask.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+
+    RiskTreatmentTask.hasMany(models.RiskTaskEvidence, {
+      foreignKey: 'taskId',
+      as: 'evidence'
+    });
+  };
+
+  return RiskTreatmentTask;
+};
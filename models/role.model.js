@@ -1,4 +1,26 @@
+/**
+ * Role Model
+ *
+ * @module models/role
+ * @description Roles grant permissions from the catalog in config/permissions.js. A role may
+ * include other roles, and then also grants everything they grant.
+ */
+
+/**
+ * Initialize Role model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} Role model
+ */
 module.exports = (sequelize, DataTypes) => {
+  /**
+   * Role model
+   * @class Role
+   * @property {number} id - Unique identifier for the role
+   * @property {string} name - Unique role name
+   * @property {string} description - What the role is for
+   * @property {Object} permissions - Permissions the role grants directly, as { 'incidents:update': true }
+   */
   const Role = sequelize.define('Role', {
     id: {
       type: DataTypes.INTEGER,
@@ -28,6 +50,26 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'roleId',
       as: 'users'
     });
+
+    Role.hasMany(models.ComplianceRequirement, {
+      foreignKey: 'responsibleRoleId',
+      as: 'complianceRequirements'
+    });
+
+    // Roles whose permissions this role inherits
+    Role.belongsToMany(models.Role, {
+      through: 'role_inclusions',
+      foreignKey: 'roleId',
+      otherKey: 'includedRoleId',
+      as: 'includedRoles'
+    });
+
+    Role.belongsToMany(models.Role, {
+      through: 'role_inclusions',
+      foreignKey: 'includedRoleId',
+      otherKey: 'roleId',
+      as: 'includedBy'
+    });
   };
 
   return Role;
@@ -0,0 +1,80 @@
+/**
+ * SCIM Token Model
+ *
+ * @module models/scim-token
+ * @description Bearer tokens that identity systems use to provision users and groups over SCIM 2.0.
+ * Only a SHA-256 hash of each token is stored.
+ */
+
+/**
+ * Initialize SCIM Token model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} ScimToken model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * ScimToken model
+   * @class ScimToken
+   * @property {number} id - Unique identifier for the token
+   * @property {string} name - Name of the identity system using the token (e.g. 'Workday via Okta')
+   * @property {string} tokenHash - SHA-256 hash of the token (hex)
+   * @property {string} tokenPrefix - First characters of the token, shown to help identify it
+   * @property {Date} expiresAt - When the token stops working (null for no expiry)
+   * @property {Date} lastUsedAt - When the token last authenticated a request
+   * @property {Date} revokedAt - When the token was revoked
+   * @property {number} createdBy - ID of the administrator who created the token
+   */
+  const ScimToken = sequelize.define('ScimToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    tokenPrefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'scim_tokens'
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  ScimToken.associate = (models) => {
+    ScimToken.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+  };
+
+  return ScimToken;
+};
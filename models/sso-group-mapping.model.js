@@ -0,0 +1,89 @@
+/**
+ * SSO Group Mapping Model
+ *
+ * @module models/sso-group-mapping
+ * @description Maps a claim value from the identity provider (usually a group) to the Role
+ * and/or Department that single sign-on users receive
+ */
+
+/**
+ * Initialize SSO Group Mapping model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} SsoGroupMapping model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * SsoGroupMapping model
+   * @class SsoGroupMapping
+   * @property {number} id - Unique identifier for the mapping
+   * @property {string} claim - ID token or userinfo claim to match (e.g. 'groups', 'department')
+   * @property {string} value - Claim value that triggers the mapping (exact match)
+   * @property {number} roleId - Role given to matching users
+   * @property {number} departmentId - Department given to matching users
+   * @property {number} priority - Lower numbers win when several mappings match
+   * @property {number} createdBy - ID of the administrator who created the mapping
+   */
+  const SsoGroupMapping = sequelize.define('SsoGroupMapping', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    claim: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      defaultValue: 'groups'
+    },
+    value: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    roleId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    departmentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 100
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'sso_group_mappings',
+    indexes: [
+      { unique: true, fields: ['claim', 'value'], name: 'idx_sso_group_mappings_claim_value' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  SsoGroupMapping.associate = (models) => {
+    SsoGroupMapping.belongsTo(models.Role, {
+      foreignKey: 'roleId',
+      as: 'role'
+    });
+
+    SsoGroupMapping.belongsTo(models.Department, {
+      foreignKey: 'departmentId',
+      as: 'department'
+    });
+
+    SsoGroupMapping.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+  };
+
+  return SsoGroupMapping;
+};
@@ -0,0 +1,59 @@
+/**
+ * System Setting Model
+ *
+ * @module models/system-setting
+ * @description Application settings administrators can change at runtime, stored as key/value pairs
+ */
+
+/**
+ * Initialize System Setting model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} SystemSetting model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * SystemSetting model
+   * @class SystemSetting
+   * @property {number} id - Unique identifier for the setting
+   * @property {string} key - Setting key (e.g. 'sso.disableLocalPasswords')
+   * @property {*} value - JSON setting value
+   * @property {number} updatedBy - ID of the administrator who last changed the setting
+   */
+  const SystemSetting = sequelize.define('SystemSetting', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    key: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    value: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    updatedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'system_settings'
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  SystemSetting.associate = (models) => {
+    SystemSetting.belongsTo(models.User, {
+      foreignKey: 'updatedBy',
+      as: 'updater'
+    });
+  };
+
+  return SystemSetting;
+};
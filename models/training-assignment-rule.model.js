@@ -0,0 +1,118 @@
+/**
+ * Training Assignment Rule Model
+ *
+ * @module models/training-assignment-rule
+ * @description Rule that automatically assigns a training course to users matching a role, department and/or hire date
+ */
+
+/**
+ * Initialize Training Assignment Rule model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} TrainingAssignmentRule model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * TrainingAssignmentRule model
+   * @class TrainingAssignmentRule
+   * @property {number} id - Unique identifier for the rule
+   * @property {string} name - Short description of the rule
+   * @property {string} description - Longer explanation of why the rule exists
+   * @property {number} courseId - Course assigned by the rule
+   * @property {number} roleId - Only match users with this role (any role when null)
+   * @property {number} departmentId - Only match users in this department (any department when null)
+   * @property {Date} hiredOnOrAfter - Only match users hired on or after this date
+   * @property {number} dueWithinDays - Days the user has to complete the course (no due date when null)
+   * @property {string} dueFrom - Whether dueWithinDays counts from the user's hire date or the assignment date
+   * @property {boolean} isActive - Whether the rule is applied
+   * @property {number} createdBy - ID of the user who created the rule
+   */
+  const TrainingAssignmentRule = sequelize.define('TrainingAssignmentRule', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    courseId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    roleId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    departmentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    hiredOnOrAfter: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    dueWithinDays: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    dueFrom: {
+      type: DataTypes.ENUM('assignment_date', 'hire_date'),
+      allowNull: false,
+      defaultValue: 'assignment_date'
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'training_assignment_rules',
+    indexes: [
+      { fields: ['isActive'], name: 'idx_training_rules_active' },
+      { fields: ['roleId'], name: 'idx_training_rules_role' },
+      { fields: ['departmentId'], name: 'idx_training_rules_department' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  TrainingAssignmentRule.associate = (models) => {
+    TrainingAssignmentRule.belongsTo(models.TrainingCourse, {
+      foreignKey: 'courseId',
+      as: 'course'
+    });
+
+    TrainingAssignmentRule.belongsTo(models.Role, {
+      foreignKey: 'roleId',
+      as: 'role'
+    });
+
+    TrainingAssignmentRule.belongsTo(models.Department, {
+      foreignKey: 'departmentId',
+      as: 'department'
+    });
+
+    TrainingAssignmentRule.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+  };
+
+  return TrainingAssignmentRule;
+};
@@ -33,6 +33,21 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       comment: 'Path to certificate file'
     },
+    certificateCode: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+      comment: 'Public code used to verify the certificate'
+    },
+    certificateIssuedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    courseVersion: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Course version the training was completed against'
+    },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -57,6 +72,11 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'assignedBy',
       as: 'assigner'
     });
+
+    TrainingAssignment.hasMany(models.QuizAttempt, {
+      foreignKey: 'assignmentId',
+      as: 'quizAttempts'
+    });
   };
 
   return TrainingAssignment;
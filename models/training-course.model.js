@@ -46,6 +46,16 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.INTEGER,
       allowNull: true,
       comment: 'Minimum score required to pass (percentage)'
+    },
+    questionsPerAttempt: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Questions drawn at random from the bank for each quiz attempt (all when null)'
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Maximum quiz attempts per assignment (unlimited when null)'
     }
   }, {
     timestamps: true,
@@ -58,6 +68,16 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'courseId',
       as: 'assignments'
     });
+
+    TrainingCourse.hasMany(models.TrainingAssignmentRule, {
+      foreignKey: 'courseId',
+      as: 'assignmentRules'
+    });
+
+    TrainingCourse.hasMany(models.QuizQuestion, {
+      foreignKey: 'courseId',
+      as: 'questions'
+    });
   };
 
   return TrainingCourse;
@@ -31,11 +31,20 @@ module.exports = (sequelize, DataTypes) => {
    * @property {boolean} requirePasswordChange - Flag indicating if user must change password at next login
    * @property {Date} passwordExpiresAt - Date when current password expires
    * @property {boolean} mfaEnabled - Whether multi-factor authentication is enabled
-   * @property {string} mfaSecret - Encrypted secret key for TOTP-based MFA
+   * @property {string} mfaSecret - Secret key for TOTP-based MFA (encrypted at rest)
    * @property {Array} recoveryBackupCodes - JSON array of MFA recovery codes
    * @property {Array} securityQuestions - JSON array of security questions and hashed answers
    * @property {Array} ipAccessList - JSON array of allowed IP addresses/ranges
    * @property {Date} accountLockExpiresAt - Timestamp when a temporary account lock expires
+   * @property {string} resetToken - Pending password reset token
+   * @property {Date} resetTokenExpiry - When the pending password reset token expires
+   * @property {Object} notificationPreferences - Email notification opt-outs keyed by category (training, incidents, documents)
+   * @property {string} authProvider - How the account signs in ('local' password or 'oidc' single sign-on)
+   * @property {string} ssoIssuer - Issuer of the identity provider that owns the account
+   * @property {string} ssoSubject - Subject ('sub' claim) of the account at the identity provider
+   * @property {string} scimExternalId - ID of the account in the identity system that provisions it over SCIM
+   * @property {boolean} breakGlassEligible - Whether the user may activate break-glass emergency access
+   * @property {string} accountType - 'user' for people, 'service' for integrations that authenticate with API keys
    */
   const User = sequelize.define('User', {
     id: {
@@ -117,7 +126,8 @@ module.exports = (sequelize, DataTypes) => {
     },
     mfaSecret: {
       type: DataTypes.STRING,
-      allowNull: true
+      allowNull: true,
+      encrypted: true
     },
     recoveryBackupCodes: {
       type: DataTypes.JSON,
@@ -137,11 +147,55 @@ module.exports = (sequelize, DataTypes) => {
     accountLockExpiresAt: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    resetToken: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    resetTokenExpiry: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    notificationPreferences: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: {}
+    },
+    authProvider: {
+      type: DataTypes.ENUM('local', 'oidc'),
+      allowNull: false,
+      defaultValue: 'local'
+    },
+    ssoIssuer: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    ssoSubject: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    scimExternalId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    breakGlassEligible: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    accountType: {
+      type: DataTypes.ENUM('user', 'service'),
+      allowNull: false,
+      defaultValue: 'user'
     }
   }, {
     timestamps: true,
     paranoid: true, // Soft delete - enables deletedAt field
-    tableName: 'users'
+    tableName: 'users',
+    indexes: [
+      { unique: true, fields: ['ssoIssuer', 'ssoSubject'], name: 'idx_users_sso_identity' },
+      { fields: ['scimExternalId'], name: 'idx_users_scim_external_id' }
+    ]
   });
 
   /**
@@ -184,6 +238,33 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'userId',
       as: 'documentAcknowledgments'
     });
+
+    /**
+     * User has many WebAuthnCredentials (security keys and passkeys)
+     * @see models/webauthn-credential.model.js
+     */
+    User.hasMany(models.WebAuthnCredential, {
+      foreignKey: 'userId',
+      as: 'webauthnCredentials'
+    });
+
+    /**
+     * User has many EmergencyAccessGrants (break-glass activations)
+     * @see models/emergency-access-grant.model.js
+     */
+    User.hasMany(models.EmergencyAccessGrant, {
+      foreignKey: 'userId',
+      as: 'emergencyAccessGrants'
+    });
+
+    /**
+     * A service account has many ApiKeys
+     * @see models/api-key.model.js
+     */
+    User.hasMany(models.ApiKey, {
+      foreignKey: 'serviceAccountId',
+      as: 'apiKeys'
+    });
   };
 
   return User;
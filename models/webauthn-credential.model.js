@@ -0,0 +1,104 @@
+/**
+ * WebAuthn Credential Model
+ *
+ * @module models/webauthn-credential
+ * @description A hardware security key or platform passkey registered by a user as a
+ * second authentication factor
+ */
+
+/**
+ * Initialize WebAuthn Credential model
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} WebAuthnCredential model
+ */
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * WebAuthnCredential model
+   * @class WebAuthnCredential
+   * @property {number} id - Unique identifier for the credential
+   * @property {number} userId - User the authenticator belongs to
+   * @property {string} name - Name the user gave the authenticator (e.g. "YubiKey 5C")
+   * @property {string} credentialId - Base64url credential ID issued by the authenticator
+   * @property {string} publicKey - Base64url COSE public key used to verify assertions
+   * @property {number} counter - Last signature counter seen, used to detect cloned authenticators
+   * @property {Array} transports - Transports the authenticator supports (usb, nfc, ble, internal, hybrid)
+   * @property {string} deviceType - 'singleDevice' for hardware keys, 'multiDevice' for synced passkeys
+   * @property {boolean} backedUp - Whether the passkey is backed up to a cloud account
+   * @property {string} aaguid - Authenticator model identifier
+   * @property {Date} lastUsedAt - When the authenticator was last used to sign in
+   */
+  const WebAuthnCredential = sequelize.define('WebAuthnCredential', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    credentialId: {
+      type: DataTypes.STRING(512),
+      allowNull: false,
+      unique: true
+    },
+    publicKey: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    counter: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      defaultValue: 0
+    },
+    transports: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: []
+    },
+    deviceType: {
+      type: DataTypes.ENUM('singleDevice', 'multiDevice'),
+      allowNull: true
+    },
+    backedUp: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    aaguid: {
+      type: DataTypes.STRING(36),
+      allowNull: true
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'webauthn_credentials',
+    indexes: [
+      { fields: ['userId'], name: 'idx_webauthn_credentials_user' }
+    ]
+  });
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all models
+   */
+  WebAuthnCredential.associate = (models) => {
+    WebAuthnCredential.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return WebAuthnCredential;
+};
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const accessReviewController = require('../controllers/access-review.controller');
+const { authJwt } = require('../middleware');
+const { validateIdParam } = require('../middleware/validation');
+
+// Apply authentication middleware to all routes
+router.use(authJwt.verifyToken);
+
+// Reviewer routes - must come before /:id routes
+router.get('/my-items', accessReviewController.getMyItems);
+router.post('/items/:itemId/decision', validateIdParam('itemId'), accessReviewController.recordDecision);
+router.post('/items/:itemId/apply', [authJwt.hasPermission('access-reviews:manage'), validateIdParam('itemId')], accessReviewController.retryRevocation);
+router.put('/items/:itemId/reviewer', [authJwt.hasPermission('access-reviews:manage'), validateIdParam('itemId')], accessReviewController.reassignItem);
+
+// Campaign routes
+router.get('/', [authJwt.hasPermission('access-reviews:manage')], accessReviewController.getCampaigns);
+router.post('/', [authJwt.hasPermission('access-reviews:manage')], accessReviewController.createCampaign);
+router.get('/:id', [authJwt.hasPermission('access-reviews:manage'), validateIdParam('id')], accessReviewController.getCampaign);
+router.get('/:id/items', [authJwt.hasPermission('access-reviews:manage'), validateIdParam('id')], accessReviewController.getItems);
+router.get('/:id/report', [authJwt.hasPermission('access-reviews:manage'), validateIdParam('id')], accessReviewController.exportReport);
+router.post('/:id/complete', [authJwt.hasPermission('access-reviews:manage'), validateIdParam('id')], accessReviewController.completeCampaign);
+router.post('/:id/cancel', [authJwt.hasPermission('access-reviews:manage'), validateIdParam('id')], accessReviewController.cancelCampaign);
+
+module.exports = router;
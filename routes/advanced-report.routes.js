@@ -6,8 +6,8 @@ const { authJwt } = require('../middleware');
 // Apply authentication middleware to all routes
 router.use(authJwt.verifyToken);
 
-// Only compliance officers and admins can access advanced reports
-router.use(authJwt.isComplianceOfficerOrAdmin);
+// Advanced reports require the reports:advanced permission
+router.use(authJwt.hasPermission('reports:advanced'));
 
 // Report routes
 router.get('/types', advancedReportController.getReportTypes);
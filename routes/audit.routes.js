@@ -6,14 +6,12 @@ const { authJwt, pagination } = require('../middleware');
 // Apply authentication middleware to all routes
 router.use(authJwt.verifyToken);
 
-// Only compliance officers and admins can access audit logs
-router.use([authJwt.isComplianceOfficer]);
-
 // Audit log routes - add pagination for listing
-router.get('/', pagination, auditController.getAuditLogs);
-router.get('/statistics', auditController.getAuditLogStatistics);
-router.get('/export', auditController.exportAuditLogs);
-router.get('/filters', auditController.getAuditLogFilters);
-router.get('/:id', auditController.getAuditLogById);
+router.get('/', [authJwt.hasPermission('audit:read'), pagination], auditController.getAuditLogs);
+router.get('/statistics', [authJwt.hasPermission('audit:read')], auditController.getAuditLogStatistics);
+router.get('/export', [authJwt.hasPermission('audit:export')], auditController.exportAuditLogs);
+router.get('/filters', [authJwt.hasPermission('audit:read')], auditController.getAuditLogFilters);
+router.get('/integrity', [authJwt.hasPermission('audit:verify')], auditController.verifyAuditLogIntegrity);
+router.get('/:id', [authJwt.hasPermission('audit:read')], auditController.getAuditLogById);
 
 module.exports = router;
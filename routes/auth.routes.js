@@ -9,6 +9,7 @@ const authJwt = require('../middleware/auth.jwt');
 const { authLimiter, strictLimiter } = require('../middleware/rate-limit');
 const { checkAccountLock } = require('../middleware/account-protection');
 const { checkMfaRequired, enforceMfa, verifyMfaToken, verifyBackupCode } = require('../middleware/mfa');
+const { validateIdParam } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -20,7 +21,7 @@ const router = express.Router();
 router.post('/register', [
   // Authorization middleware
   authJwt.verifyToken,
-  authJwt.isAdmin,
+  authJwt.hasPermission('users:create'),
   
   // Validation middleware
   check('username')
@@ -170,6 +171,136 @@ router.post('/disable-mfa', [
     .withMessage('Verification token must contain only numbers'),
 ], authController.disableMfa);
 
+/**
+ * @route POST /api/auth/webauthn/register/options
+ * @desc Start registering a security key or passkey
+ * @access Private
+ */
+router.post('/webauthn/register/options', [
+  // Authorization middleware
+  authJwt.verifyToken,
+  
+  // MFA middleware - adding a factor needs the existing ones
+  checkMfaRequired,
+  enforceMfa,
+  
+  // Rate limiting for sensitive operations
+  strictLimiter,
+], authController.getWebAuthnRegistrationOptions);
+
+/**
+ * @route POST /api/auth/webauthn/register/verify
+ * @desc Finish registering a security key or passkey
+ * @access Private
+ */
+router.post('/webauthn/register/verify', [
+  // Authorization middleware
+  authJwt.verifyToken,
+  
+  // MFA middleware
+  checkMfaRequired,
+  enforceMfa,
+  
+  // Rate limiting for sensitive operations
+  strictLimiter,
+  
+  // Validation middleware
+  check('name')
+    .trim()
+    .notEmpty()
+    .withMessage('A name for the security key is required')
+    .isLength({ max: 100 })
+    .withMessage('Security key names cannot be longer than 100 characters'),
+  check('response')
+    .isObject()
+    .withMessage('Security key response is required'),
+], authController.verifyWebAuthnRegistration);
+
+/**
+ * @route POST /api/auth/webauthn/authenticate/options
+ * @desc Start verifying MFA with a security key or passkey
+ * @access Private (with session)
+ */
+router.post('/webauthn/authenticate/options', [
+  // Authorization middleware - preliminary JWT check
+  authJwt.verifyToken,
+  
+  // Rate limiting middleware
+  strictLimiter,
+], authController.getWebAuthnAuthenticationOptions);
+
+/**
+ * @route POST /api/auth/webauthn/authenticate/verify
+ * @desc Verify MFA with a security key or passkey
+ * @access Private (with session)
+ */
+router.post('/webauthn/authenticate/verify', [
+  // Authorization middleware - preliminary JWT check
+  authJwt.verifyToken,
+  
+  // Rate limiting middleware
+  strictLimiter,
+  
+  // Validation middleware
+  check('response')
+    .isObject()
+    .withMessage('Security key response is required'),
+], authController.verifyWebAuthnAuthentication);
+
+/**
+ * @route GET /api/auth/webauthn/credentials
+ * @desc List the user's security keys and passkeys
+ * @access Private
+ */
+router.get('/webauthn/credentials', [
+  // Authorization middleware
+  authJwt.verifyToken,
+  
+  // MFA middleware
+  checkMfaRequired,
+  enforceMfa,
+], authController.getWebAuthnCredentials);
+
+/**
+ * @route PUT /api/auth/webauthn/credentials/:id
+ * @desc Rename a security key or passkey
+ * @access Private
+ */
+router.put('/webauthn/credentials/:id', [
+  // Authorization middleware
+  authJwt.verifyToken,
+  
+  // MFA middleware
+  checkMfaRequired,
+  enforceMfa,
+  
+  validateIdParam('id'),
+  
+  // Validation middleware
+  check('name')
+    .trim()
+    .notEmpty()
+    .withMessage('A name for the security key is required'),
+], authController.renameWebAuthnCredential);
+
+/**
+ * @route DELETE /api/auth/webauthn/credentials/:id
+ * @desc Remove a security key or passkey
+ * @access Private (TOTP token or security key assertion required)
+ */
+router.delete('/webauthn/credentials/:id', [
+  // Authorization middleware
+  authJwt.verifyToken,
+  
+  // Rate limiting for sensitive operations
+  strictLimiter,
+  
+  validateIdParam('id'),
+  
+  // Second factor verification - either factor is accepted
+  verifyMfaToken,
+], authController.deleteWebAuthnCredential);
+
 /**
  * @route GET /api/auth/profile
  * @desc Get current user profile
@@ -223,6 +354,26 @@ router.get('/sessions', [
   enforceMfa,
 ], authController.getSessions);
 
+/**
+ * @route GET /api/auth/session
+ * @desc Get the current session's timeouts without counting as activity
+ * @access Private
+ */
+router.get('/session', [
+  // Authorization middleware
+  authJwt.verifyToken
+], authController.getSessionStatus);
+
+/**
+ * @route POST /api/auth/session/keep-alive
+ * @desc Record activity on the current session and restart its idle timeout
+ * @access Private
+ */
+router.post('/session/keep-alive', [
+  // Authorization middleware
+  authJwt.verifyToken
+], authController.getSessionStatus);
+
 /**
  * @route POST /api/auth/revoke-session
  * @desc Revoke a specific session
@@ -9,15 +9,15 @@ router.use(authJwt.verifyToken);
 // Requirement routes
 router.get('/requirements', complianceController.getAllRequirements);
 router.get('/requirements/:id', complianceController.getRequirementById);
-router.post('/requirements', [authJwt.isComplianceOfficer], complianceController.createRequirement);
-router.put('/requirements/:id', [authJwt.isComplianceOfficer], complianceController.updateRequirement);
-router.delete('/requirements/:id', [authJwt.isComplianceOfficer], complianceController.deleteRequirement);
+router.post('/requirements', [authJwt.hasPermission('compliance-requirements:manage')], complianceController.createRequirement);
+router.put('/requirements/:id', [authJwt.hasPermission('compliance-requirements:manage')], complianceController.updateRequirement);
+router.delete('/requirements/:id', [authJwt.hasPermission('compliance-requirements:manage')], complianceController.deleteRequirement);
 
 // Assessment routes
 router.get('/assessments', complianceController.getAllAssessments);
 router.get('/assessments/:id', complianceController.getAssessmentById);
-router.post('/assessments', [authJwt.isComplianceOfficer], complianceController.createAssessment);
-router.put('/assessments/:id', [authJwt.isComplianceOfficer], complianceController.updateAssessment);
+router.post('/assessments', [authJwt.hasPermission('compliance-assessments:manage')], complianceController.createAssessment);
+router.put('/assessments/:id', [authJwt.hasPermission('compliance-assessments:manage')], complianceController.updateAssessment);
 
 // Statistics route
 router.get('/statistics', complianceController.getComplianceStatistics);
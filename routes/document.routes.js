@@ -31,7 +31,7 @@ router.get('/categories', documentController.getAllCategories);
  * POST /api/documents/categories - Create a new document category
  * @name CreateCategory
  */
-router.post('/categories', [authJwt.isComplianceOfficer], documentController.createCategory);
+router.post('/categories', [authJwt.hasPermission('document-categories:manage')], documentController.createCategory);
 
 /**
  * GET /api/documents/user/acknowledgments - Get current user's document acknowledgments
@@ -71,19 +71,41 @@ router.get('/:id', validateIdParam('id'), documentController.getDocumentById);
  * POST /api/documents - Create a new document
  * @name CreateDocument
  */
-router.post('/', [authJwt.isComplianceOfficer], documentController.createDocument);
+router.post('/', [authJwt.hasPermission('documents:create')], documentController.createDocument);
 
 /**
  * PUT /api/documents/:id - Update a document
  * @name UpdateDocument
  */
-router.put('/:id', [authJwt.isComplianceOfficer, validateIdParam('id')], documentController.updateDocument);
+router.put('/:id', [authJwt.hasPermission('documents:update'), validateIdParam('id')], documentController.updateDocument);
 
 /**
  * DELETE /api/documents/:id - Delete (archive) a document
  * @name DeleteDocument
  */
-router.delete('/:id', [authJwt.isComplianceOfficer, validateIdParam('id')], documentController.deleteDocument);
+router.delete('/:id', [authJwt.hasPermission('documents:delete'), validateIdParam('id')], documentController.deleteDocument);
+
+/**
+ * Document version history routes
+ */
+
+/**
+ * GET /api/documents/:id/versions - Get the version history of a document
+ * @name GetDocumentVersions
+ */
+router.get('/:id/versions', validateIdParam('id'), documentController.getDocumentVersions);
+
+/**
+ * GET /api/documents/:id/versions/:versionId/download - Download the file of a document version
+ * @name DownloadDocumentVersion
+ */
+router.get('/:id/versions/:versionId/download', [validateIdParam('id'), validateIdParam('versionId')], documentController.downloadDocumentVersion);
+
+/**
+ * POST /api/documents/:id/versions/:versionId/restore - Restore an earlier document version
+ * @name RestoreDocumentVersion
+ */
+router.post('/:id/versions/:versionId/restore', [authJwt.hasPermission('documents:update'), validateIdParam('id'), validateIdParam('versionId')], documentController.restoreDocumentVersion);
 
 /**
  * Document acknowledgment routes with documentId parameter
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const emergencyAccessController = require('../controllers/emergency-access.controller');
+const { authJwt, strictLimiter } = require('../middleware');
+const { checkMfaRequired, enforceMfa } = require('../middleware/mfa');
+const { validateIdParam } = require('../middleware/validation');
+
+// Apply authentication middleware to all routes
+router.use(authJwt.verifyToken);
+
+// Break-glass activation - requires a completed second factor
+router.post('/activate', [strictLimiter, checkMfaRequired, enforceMfa], emergencyAccessController.activate);
+router.get('/active', emergencyAccessController.getActive);
+
+// Designation of break-glass accounts
+router.put('/eligibility/:userId', [authJwt.hasPermission('emergency-access:designate'), validateIdParam('userId')], emergencyAccessController.setEligibility);
+
+// Review of emergency access - must come before /:id routes
+router.get('/reviews/overdue', [authJwt.hasPermission('emergency-access:review')], emergencyAccessController.getOverdueReviews);
+
+// Grant routes
+router.get('/', [authJwt.hasPermission('emergency-access:review')], emergencyAccessController.getGrants);
+router.get('/:id', [authJwt.hasPermission('emergency-access:review'), validateIdParam('id')], emergencyAccessController.getGrant);
+router.post('/:id/end', validateIdParam('id'), emergencyAccessController.end);
+router.post('/:id/review', [authJwt.hasPermission('emergency-access:review'), checkMfaRequired, enforceMfa, validateIdParam('id')], emergencyAccessController.review);
+
+module.exports = router;
@@ -9,17 +9,24 @@ router.use(authJwt.verifyToken);
 
 // Statistics route - MUST come before /:id routes
 router.get('/statistics/summary', incidentController.getIncidentStatistics);
+router.get('/breach-notifications/dashboard', authJwt.hasPermission('breaches:read'), incidentController.getBreachDeadlineDashboard);
 
 // Incident routes - add pagination to list endpoints
 router.get('/', pagination, incidentController.getAllIncidents);
 router.get('/:id', validateIdParam('id'), incidentController.getIncidentById);
 router.post('/', incidentController.createIncident);
-router.put('/:id', [authJwt.isComplianceOfficer, validateIdParam('id')], incidentController.updateIncident);
-router.delete('/:id', [authJwt.isComplianceOfficer, validateIdParam('id')], incidentController.deleteIncident);
+router.put('/:id', [authJwt.hasPermission('incidents:update'), validateIdParam('id')], incidentController.updateIncident);
+router.delete('/:id', [authJwt.hasPermission('incidents:delete'), validateIdParam('id')], incidentController.deleteIncident);
 
 // Breach determination and notification routes
-router.post('/:id/breach-determination', [authJwt.isComplianceOfficer, validateIdParam('id')], incidentController.makeBreachDetermination);
-router.post('/:id/breach-notification', [authJwt.isComplianceOfficer, validateIdParam('id')], incidentController.recordBreachNotification);
+router.post('/:id/breach-determination', [authJwt.hasPermission('breaches:manage'), validateIdParam('id')], incidentController.makeBreachDetermination);
+router.post('/:id/breach-notification', [authJwt.hasPermission('breaches:manage'), validateIdParam('id')], incidentController.recordBreachNotification);
+
+// Breach risk assessment and notification deadline routes
+router.post('/:id/breach-assessment', [authJwt.hasPermission('breaches:manage'), validateIdParam('id')], incidentController.createBreachAssessment);
+router.get('/:id/breach-assessment', [authJwt.hasPermission('breaches:read'), validateIdParam('id')], incidentController.getBreachAssessment);
+router.get('/:id/breach-notifications', [authJwt.hasPermission('breaches:read'), validateIdParam('id')], incidentController.getBreachNotifications);
+router.put('/:id/breach-notifications/:notificationId', [authJwt.hasPermission('breaches:manage'), validateIdParam('id'), validateIdParam('notificationId')], incidentController.updateBreachNotification);
 
 // Incident update routes - add pagination for list endpoints
 router.get('/:id/updates', [validateIdParam('id'), pagination], incidentController.getIncidentUpdates);
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const riskController = require('../controllers/risk.controller');
 const { authJwt } = require('../middleware');
+const { validateIdParam } = require('../middleware/validation');
 
 // Apply authentication middleware to all routes
 router.use(authJwt.verifyToken);
@@ -9,17 +10,36 @@ router.use(authJwt.verifyToken);
 // Risk assessment routes
 router.get('/assessments', riskController.getAllRiskAssessments);
 router.get('/assessments/:id', riskController.getRiskAssessmentById);
-router.post('/assessments', [authJwt.isComplianceOfficer], riskController.createRiskAssessment);
-router.put('/assessments/:id', [authJwt.isComplianceOfficer], riskController.updateRiskAssessment);
-router.post('/assessments/:id/approve', [authJwt.isComplianceOfficer], riskController.approveRiskAssessment);
-router.delete('/assessments/:id', [authJwt.isComplianceOfficer], riskController.deleteRiskAssessment);
+router.post('/assessments', [authJwt.hasPermission('risk:manage')], riskController.createRiskAssessment);
+router.put('/assessments/:id', [authJwt.hasPermission('risk:manage')], riskController.updateRiskAssessment);
+router.post('/assessments/:id/approve', [authJwt.hasPermission('risk:approve')], riskController.approveRiskAssessment);
+router.delete('/assessments/:id', [authJwt.hasPermission('risk:manage')], riskController.deleteRiskAssessment);
 
 // Risk item routes
 router.get('/assessments/:assessmentId/items', riskController.getRiskItemsByAssessment);
 router.get('/items/:id', riskController.getRiskItemById);
-router.post('/items', [authJwt.isComplianceOfficer], riskController.createRiskItem);
-router.put('/items/:id', [authJwt.isComplianceOfficer], riskController.updateRiskItem);
-router.delete('/items/:id', [authJwt.isComplianceOfficer], riskController.deleteRiskItem);
+router.post('/items', [authJwt.hasPermission('risk:manage')], riskController.createRiskItem);
+router.put('/items/:id', [authJwt.hasPermission('risk:manage')], riskController.updateRiskItem);
+router.delete('/items/:id', [authJwt.hasPermission('risk:manage')], riskController.deleteRiskItem);
+
+// Risk treatment routes
+router.get('/items/:id/treatment', validateIdParam('id'), riskController.getTreatmentPlan);
+router.put('/items/:id/treatment', [authJwt.hasPermission('risk:manage'), validateIdParam('id')], riskController.decideTreatment);
+router.post('/items/:id/treatment/approval', [authJwt.hasPermission('risk:approve'), validateIdParam('id')], riskController.reviewAcceptance);
+router.put('/items/:id/residual', [authJwt.hasPermission('risk:manage'), validateIdParam('id')], riskController.setResidualRisk);
+router.post('/items/:id/tasks', [authJwt.hasPermission('risk:manage'), validateIdParam('id')], riskController.createTreatmentTask);
+router.get('/tasks/mine', riskController.getMyTreatmentTasks);
+router.put('/tasks/:taskId', validateIdParam('taskId'), riskController.updateTreatmentTask);
+router.delete('/tasks/:taskId', [authJwt.hasPermission('risk:manage'), validateIdParam('taskId')], riskController.deleteTreatmentTask);
+router.post('/tasks/:taskId/evidence', validateIdParam('taskId'), riskController.addTaskEvidence);
+router.delete('/evidence/:evidenceId', validateIdParam('evidenceId'), riskController.removeTaskEvidence);
+
+// Risk matrix routes
+router.get('/matrix', riskController.getRiskMatrix);
+router.put('/matrix', [authJwt.hasPermission('risk-matrix:manage')], riskController.updateRiskMatrix);
+router.post('/matrix/rescore', [authJwt.hasPermission('risk-matrix:manage')], riskController.rescoreRiskItems);
+router.get('/matrix/versions', riskController.getRiskMatrixVersions);
+router.get('/matrix/versions/:version', validateIdParam('version'), riskController.getRiskMatrixVersion);
 
 // Statistics route
 router.get('/statistics', riskController.getRiskStatistics);
@@ -0,0 +1,130 @@
+/**
+ * SCIM 2.0 Routes
+ * @module routes/scim.routes
+ */
+
+const express = require('express');
+const scimController = require('../controllers/scim.controller');
+const { verifyScimToken } = require('../middleware/scim-auth');
+const { apiLimiter } = require('../middleware/rate-limit');
+
+const router = express.Router();
+
+// Rate limiting middleware
+router.use(apiLimiter);
+
+// Identity systems send application/scim+json as well as application/json
+router.use(express.json({ limit: '1mb', type: ['application/json', 'application/scim+json'] }));
+
+/**
+ * @route GET /scim/v2/ServiceProviderConfig
+ * @desc Supported SCIM features
+ * @access Public
+ */
+router.get('/ServiceProviderConfig', scimController.getServiceProviderConfig);
+
+/**
+ * @route GET /scim/v2/ResourceTypes
+ * @desc Supported resource types (User and Group)
+ * @access Public
+ */
+router.get('/ResourceTypes', scimController.getResourceTypes);
+
+/**
+ * @route GET /scim/v2/Schemas
+ * @desc Supported attributes of each resource type
+ * @access Public
+ */
+router.get('/Schemas', scimController.getSchemas);
+
+// Everything below requires a SCIM bearer token
+router.use(verifyScimToken);
+
+/**
+ * @route GET /scim/v2/Users
+ * @desc List users, with filter, startIndex and count
+ * @access SCIM token
+ */
+router.get('/Users', scimController.listUsers);
+
+/**
+ * @route POST /scim/v2/Users
+ * @desc Provision a user
+ * @access SCIM token
+ */
+router.post('/Users', scimController.createUser);
+
+/**
+ * @route GET /scim/v2/Users/:id
+ * @desc Get a user
+ * @access SCIM token
+ */
+router.get('/Users/:id', scimController.getUser);
+
+/**
+ * @route PUT /scim/v2/Users/:id
+ * @desc Replace a user
+ * @access SCIM token
+ */
+router.put('/Users/:id', scimController.replaceUser);
+
+/**
+ * @route PATCH /scim/v2/Users/:id
+ * @desc Update a user with PATCH operations
+ * @access SCIM token
+ */
+router.patch('/Users/:id', scimController.patchUser);
+
+/**
+ * @route DELETE /scim/v2/Users/:id
+ * @desc Deprovision a user (deactivate and end sessions)
+ * @access SCIM token
+ */
+router.delete('/Users/:id', scimController.deleteUser);
+
+/**
+ * @route GET /scim/v2/Groups
+ * @desc List roles and departments as groups
+ * @access SCIM token
+ */
+router.get('/Groups', scimController.listGroups);
+
+/**
+ * @route POST /scim/v2/Groups
+ * @desc Create a group as a department
+ * @access SCIM token
+ */
+router.post('/Groups', scimController.createGroup);
+
+/**
+ * @route GET /scim/v2/Groups/:id
+ * @desc Get a group
+ * @access SCIM token
+ */
+router.get('/Groups/:id', scimController.getGroup);
+
+/**
+ * @route PUT /scim/v2/Groups/:id
+ * @desc Replace a group's name and members
+ * @access SCIM token
+ */
+router.put('/Groups/:id', scimController.replaceGroup);
+
+/**
+ * @route PATCH /scim/v2/Groups/:id
+ * @desc Update a group's name or members with PATCH operations
+ * @access SCIM token
+ */
+router.patch('/Groups/:id', scimController.patchGroup);
+
+/**
+ * @route DELETE /scim/v2/Groups/:id
+ * @desc Refused: roles and departments are not deleted over SCIM
+ * @access SCIM token
+ */
+router.delete('/Groups/:id', scimController.deleteGroup);
+
+// SCIM clients expect errors in the SCIM error format
+router.use(scimController.handleError);
+
+module.exports = router;
@@ -0,0 +1,129 @@
+/**
+ * Single Sign-On Routes
+ * @module routes/sso.routes
+ */
+
+const express = require('express');
+const { check } = require('express-validator');
+const ssoController = require('../controllers/sso.controller');
+const authJwt = require('../middleware/auth.jwt');
+const { authLimiter } = require('../middleware/rate-limit');
+const { checkMfaRequired, enforceMfa } = require('../middleware/mfa');
+const { validateIdParam } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Administration of SSO requires the sso:manage permission and completed MFA
+const adminOnly = [
+  authJwt.verifyToken,
+  authJwt.hasPermission('sso:manage'),
+  checkMfaRequired,
+  enforceMfa
+];
+
+// Validation shared by mapping create and update
+const mappingValidators = (required) => [
+  (required ? check('value') : check('value').optional())
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Claim value must be between 1 and 255 characters'),
+  check('claim')
+    .optional()
+    .matches(/^[A-Za-z0-9_.:-]{1,100}$/)
+    .withMessage('Claim must be a claim name such as "groups"'),
+  check('roleId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Role ID must be a positive integer'),
+  check('departmentId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Department ID must be a positive integer'),
+  check('priority')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Priority must be zero or a positive integer')
+];
+
+/**
+ * @route GET /api/auth/sso/config
+ * @desc Whether single sign-on is available and the provider's display name
+ * @access Public
+ */
+router.get('/config', ssoController.getConfig);
+
+/**
+ * @route GET /api/auth/sso/login
+ * @desc Redirect to the identity provider (authorization code flow with PKCE)
+ * @access Public
+ */
+router.get('/login', [
+  // Rate limiting middleware
+  authLimiter
+], ssoController.login);
+
+/**
+ * @route GET /api/auth/sso/callback
+ * @desc Complete sign-in after the identity provider redirects back
+ * @access Public (identity provider redirect)
+ */
+router.get('/callback', ssoController.callback);
+
+/**
+ * @route GET /api/auth/sso/settings
+ * @desc Get single sign-on settings
+ * @access Admin only
+ */
+router.get('/settings', adminOnly, ssoController.getSettings);
+
+/**
+ * @route PUT /api/auth/sso/settings
+ * @desc Update single sign-on settings
+ * @access Admin only
+ */
+router.put('/settings', adminOnly, ssoController.updateSettings);
+
+/**
+ * @route GET /api/auth/sso/mappings
+ * @desc List claim to role and department mappings
+ * @access Admin only
+ */
+router.get('/mappings', adminOnly, ssoController.getMappings);
+
+/**
+ * @route POST /api/auth/sso/mappings
+ * @desc Create a claim to role and department mapping
+ * @access Admin only
+ */
+router.post('/mappings', [
+  ...adminOnly,
+
+  // Validation middleware
+  ...mappingValidators(true)
+], ssoController.createMapping);
+
+/**
+ * @route PUT /api/auth/sso/mappings/:id
+ * @desc Update a mapping
+ * @access Admin only
+ */
+router.put('/mappings/:id', [
+  ...adminOnly,
+  validateIdParam('id'),
+
+  // Validation middleware
+  ...mappingValidators(false)
+], ssoController.updateMapping);
+
+/**
+ * @route DELETE /api/auth/sso/mappings/:id
+ * @desc Delete a mapping
+ * @access Admin only
+ */
+router.delete('/mappings/:id', [
+  ...adminOnly,
+  validateIdParam('id')
+], ssoController.deleteMapping);
+
+module.exports = router;
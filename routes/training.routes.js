@@ -4,23 +4,50 @@ const trainingController = require('../controllers/training.controller');
 const { authJwt } = require('../middleware');
 const { validateIdParam } = require('../middleware/validation');
 
-// Apply authentication middleware to all routes
+// Public certificate verification (no authentication, so third parties can check a certificate)
+router.get('/certificates/verify/:code', trainingController.verifyCertificate);
+
+// Apply authentication middleware to all other routes
 router.use(authJwt.verifyToken);
 
 // Course routes
 router.get('/courses', trainingController.getAllCourses);
 router.get('/courses/:id', validateIdParam('id'), trainingController.getCourseById);
-router.post('/courses', [authJwt.isAdmin], trainingController.createCourse);
-router.put('/courses/:id', [authJwt.isAdmin, validateIdParam('id')], trainingController.updateCourse);
-router.delete('/courses/:id', [authJwt.isAdmin, validateIdParam('id')], trainingController.deleteCourse);
+router.post('/courses', [authJwt.hasPermission('training:manage')], trainingController.createCourse);
+router.put('/courses/:id', [authJwt.hasPermission('training:manage'), validateIdParam('id')], trainingController.updateCourse);
+router.delete('/courses/:id', [authJwt.hasPermission('training:manage'), validateIdParam('id')], trainingController.deleteCourse);
+
+// Quiz question bank routes
+router.get('/courses/:id/questions', [authJwt.hasPermission('training:manage'), validateIdParam('id')], trainingController.getCourseQuestions);
+router.post('/courses/:id/questions', [authJwt.hasPermission('training:manage'), validateIdParam('id')], trainingController.createQuestion);
+router.put('/questions/:questionId', [authJwt.hasPermission('training:manage'), validateIdParam('questionId')], trainingController.updateQuestion);
+router.delete('/questions/:questionId', [authJwt.hasPermission('training:manage'), validateIdParam('questionId')], trainingController.deleteQuestion);
 
 // Assignment routes
 router.get('/assignments', trainingController.getAllAssignments);
 router.get('/assignments/:id', validateIdParam('id'), trainingController.getAssignmentById);
 router.get('/assignments/user/:userId', validateIdParam('userId'), trainingController.getUserAssignments);
-router.post('/assignments', [authJwt.isAdmin], trainingController.createAssignment);
+router.post('/assignments', [authJwt.hasPermission('training:assign')], trainingController.createAssignment);
 router.put('/assignments/:id', validateIdParam('id'), trainingController.updateAssignmentStatus);
 router.post('/assignments/:id/complete', validateIdParam('id'), trainingController.completeAssignment);
+router.get('/assignments/:id/certificate', validateIdParam('id'), trainingController.getAssignmentCertificate);
+
+// Quiz attempt routes
+router.post('/assignments/:id/quiz/attempts', validateIdParam('id'), trainingController.startQuizAttempt);
+router.get('/assignments/:id/quiz/attempts', validateIdParam('id'), trainingController.getQuizAttempts);
+router.post('/quiz/attempts/:attemptId/submit', validateIdParam('attemptId'), trainingController.submitQuizAttempt);
+router.get('/quiz/attempts/:attemptId/review', validateIdParam('attemptId'), trainingController.getQuizAttemptReview);
+
+// Assignment rule routes
+router.get('/rules', [authJwt.hasPermission('training-rules:manage')], trainingController.getAllRules);
+router.get('/rules/:id', [authJwt.hasPermission('training-rules:manage'), validateIdParam('id')], trainingController.getRuleById);
+router.post('/rules', [authJwt.hasPermission('training-rules:manage')], trainingController.createRule);
+router.put('/rules/:id', [authJwt.hasPermission('training-rules:manage'), validateIdParam('id')], trainingController.updateRule);
+router.delete('/rules/:id', [authJwt.hasPermission('training-rules:manage'), validateIdParam('id')], trainingController.deleteRule);
+router.post('/rules/:id/apply', [authJwt.hasPermission('training-rules:manage'), validateIdParam('id')], trainingController.applyRule);
+
+// Recurring training scheduler
+router.get('/scheduler/preview', [authJwt.hasPermission('training-rules:manage')], trainingController.previewScheduler);
 
 // Statistics route
 router.get('/statistics', trainingController.getTrainingStatistics);
@@ -1,24 +1,65 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
+const scimController = require('../controllers/scim.controller');
+const lockoutController = require('../controllers/lockout.controller');
+const serviceAccountController = require('../controllers/service-account.controller');
+const roleController = require('../controllers/role.controller');
+const offboardingController = require('../controllers/offboarding.controller');
 const { authJwt } = require('../middleware');
+const { validateIdParam } = require('../middleware/validation');
 
 // Apply authentication middleware to all routes
 router.use(authJwt.verifyToken);
 
-// Role routes - must come before /:id routes
-router.get('/roles', userController.getAllRoles);
-router.post('/roles', [authJwt.isAdmin], userController.createRole);
+// Role and permission routes - must come before /:id routes
+router.get('/permissions', [authJwt.hasPermission('roles:read')], roleController.getPermissionCatalog);
+router.get('/roles', roleController.getRoles);
+router.post('/roles', [authJwt.hasPermission('roles:manage')], roleController.createRole);
+router.put('/roles/:id', [authJwt.hasPermission('roles:manage'), validateIdParam('id')], roleController.updateRole);
+router.delete('/roles/:id', [authJwt.hasPermission('roles:manage'), validateIdParam('id')], roleController.deleteRole);
+
+// Current user's notification preferences - must come before /:id routes
+router.get('/me/notification-preferences', userController.getNotificationPreferences);
+router.put('/me/notification-preferences', userController.updateNotificationPreferences);
 
 // Department routes - must come before /:id routes
 router.get('/departments', userController.getAllDepartments);
-router.post('/departments', [authJwt.isAdmin], userController.createDepartment);
+router.post('/departments', [authJwt.hasPermission('departments:manage')], userController.createDepartment);
+
+// SCIM provisioning tokens - must come before /:id routes
+router.get('/scim-tokens', [authJwt.hasPermission('scim:manage')], scimController.getTokens);
+router.post('/scim-tokens', [authJwt.hasPermission('scim:manage')], scimController.createToken);
+router.delete('/scim-tokens/:id', [authJwt.hasPermission('scim:manage')], scimController.revokeToken);
+
+// Service accounts and their API keys - must come before /:id routes
+router.get('/service-accounts', [authJwt.hasPermission('service-accounts:manage')], serviceAccountController.getServiceAccounts);
+router.post('/service-accounts', [authJwt.hasPermission('service-accounts:manage')], serviceAccountController.createServiceAccount);
+router.get('/service-accounts/:id', [authJwt.hasPermission('service-accounts:manage'), validateIdParam('id')], serviceAccountController.getServiceAccount);
+router.put('/service-accounts/:id', [authJwt.hasPermission('service-accounts:manage'), validateIdParam('id')], serviceAccountController.updateServiceAccount);
+router.get('/service-accounts/:id/api-keys', [authJwt.hasPermission('service-accounts:manage'), validateIdParam('id')], serviceAccountController.getApiKeys);
+router.post('/service-accounts/:id/api-keys', [authJwt.hasPermission('service-accounts:manage'), validateIdParam('id')], serviceAccountController.createApiKey);
+router.post('/service-accounts/:id/api-keys/:keyId/rotate', [authJwt.hasPermission('service-accounts:manage'), validateIdParam('id'), validateIdParam('keyId')], serviceAccountController.rotateApiKey);
+router.delete('/service-accounts/:id/api-keys/:keyId', [authJwt.hasPermission('service-accounts:manage'), validateIdParam('id'), validateIdParam('keyId')], serviceAccountController.revokeApiKey);
+
+// Sign-in lockouts - must come before /:id routes
+router.get('/lockouts', [authJwt.hasPermission('lockouts:manage')], lockoutController.getLockouts);
+router.delete('/lockouts/:id', [authJwt.hasPermission('lockouts:manage'), validateIdParam('id')], lockoutController.clearLockout);
+
+// Offboarding - must come before /:id routes
+router.get('/offboardings', [authJwt.hasPermission('users:offboard')], offboardingController.getOffboardings);
+router.get('/offboardings/:id', [authJwt.hasPermission('users:offboard'), validateIdParam('id')], offboardingController.getOffboarding);
+router.put('/offboardings/:id/checklist/:key', [authJwt.hasPermission('users:offboard'), validateIdParam('id')], offboardingController.updateChecklistItem);
+router.post('/offboardings/:id/sign-off', [authJwt.hasPermission('users:offboard'), validateIdParam('id')], offboardingController.signOff);
 
 // User routes
 router.get('/', userController.getAllUsers);
 router.get('/:id', userController.getUserById);
-router.post('/', [authJwt.isAdmin], userController.createUser);
-router.put('/:id', [authJwt.isAdmin], userController.updateUser);
-router.delete('/:id', [authJwt.isAdmin], userController.deleteUser);
+router.get('/:id/open-work', [authJwt.hasPermission('users:offboard'), validateIdParam('id')], offboardingController.getOpenWork);
+router.post('/:id/offboard', [authJwt.hasPermission('users:offboard'), validateIdParam('id')], offboardingController.offboardUser);
+router.get('/:id/permissions', [authJwt.hasPermission('roles:read'), validateIdParam('id')], roleController.getUserPermissions);
+router.post('/', [authJwt.hasPermission('users:create')], userController.createUser);
+router.put('/:id', [authJwt.hasPermission('users:update')], userController.updateUser);
+router.delete('/:id', [authJwt.hasPermission('users:delete')], userController.deleteUser);
 
 module.exports = router;
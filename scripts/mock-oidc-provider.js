@@ -0,0 +1,263 @@
+/**
+ * Minimal OpenID Connect provider for developing and testing single sign-on without a real IdP
+ *
+ * Supports discovery, the authorization code flow with PKCE (S256), RS256-signed ID tokens,
+ * userinfo and JWKS. There is no login page: /authorize signs in the user named by the
+ * login_hint parameter (username or email), or the first configured user.
+ *
+ * Usage:
+ *   node scripts/mock-oidc-provider.js [--port=9090] [--client-id=hipaa-app] [--client-secret=secret]
+ *
+ * Then start the API with OIDC_ISSUER=http://localhost:9090 and OIDC_CLIENT_ID=hipaa-app.
+ * Never run this outside development: it signs in anyone who asks.
+ */
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Users signed in when no users are passed in
+const DEFAULT_USERS = [
+  {
+    sub: 'mock-admin',
+    preferred_username: 'idp.admin',
+    email: 'idp.admin@example.com',
+    email_verified: true,
+    given_name: 'Ada',
+    family_name: 'Admin',
+    groups: ['hipaa-admins'],
+    amr: ['pwd', 'mfa']
+  },
+  {
+    sub: 'mock-nurse',
+    preferred_username: 'idp.nurse',
+    email: 'idp.nurse@example.com',
+    email_verified: true,
+    given_name: 'Nia',
+    family_name: 'Nurse',
+    groups: ['clinical-staff'],
+    amr: ['pwd']
+  }
+];
+
+// Claims kept out of the ID token so clients have to use userinfo for them
+const USERINFO_ONLY_CLAIMS = ['groups', 'given_name', 'family_name', 'preferred_username'];
+
+const TOKEN_TTL_SECONDS = 300;
+
+/**
+ * Base64url-encoded SHA-256 of a PKCE verifier
+ * @param {string} verifier - Code verifier
+ * @returns {string} S256 code challenge
+ */
+const s256 = (verifier) => crypto.createHash('sha256').update(verifier).digest('base64url');
+
+/**
+ * Start a mock OpenID Connect provider
+ * @param {Object} [options] - Provider options
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+ * @param {string} [options.clientId='hipaa-app'] - Client ID accepted by the provider
+ * @param {string} [options.clientSecret] - Client secret; public client with PKCE only when unset
+ * @param {Array<Object>} [options.users] - Users with their claims; each needs sub and email
+ * @returns {Promise<Object>} issuer URL, Express app, users and close()
+ */
+const startMockOidcProvider = ({
+  port = 0,
+  host = '127.0.0.1',
+  clientId = 'hipaa-app',
+  clientSecret,
+  users = DEFAULT_USERS
+} = {}) => {
+  const app = express();
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  const accessTokens = new Map();
+  let issuer;
+
+  app.use(express.urlencoded({ extended: false }));
+
+  const findUser = (hint) => (hint
+    ? users.find(user => user.preferred_username === hint || user.email === hint)
+    : users[0]);
+
+  const redirectWith = (res, redirectUri, params) => {
+    const url = new URL(redirectUri);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined) {
+        url.searchParams.set(key, value);
+      }
+    });
+    return res.redirect(url.toString());
+  };
+
+  const tokenError = (res, error, description, status = 400) => res.status(status).json({
+    error,
+    error_description: description
+  });
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['none', 'client_secret_basic', 'client_secret_post'],
+      scopes_supported: ['openid', 'profile', 'email'],
+      claims_supported: ['sub', 'email', 'email_verified', 'name', 'amr', ...USERINFO_ONLY_CLAIMS]
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const {
+      client_id: requestClientId,
+      redirect_uri: redirectUri,
+      response_type: responseType,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod,
+      login_hint: loginHint
+    } = req.query;
+
+    if (requestClientId !== clientId || !redirectUri) {
+      return res.status(400).send('Unknown client or missing redirect_uri');
+    }
+
+    if (responseType !== 'code' || !codeChallenge || codeChallengeMethod !== 'S256') {
+      return redirectWith(res, redirectUri, {
+        error: 'invalid_request',
+        error_description: 'Authorization code flow with S256 PKCE is required',
+        state
+      });
+    }
+
+    const user = findUser(loginHint);
+    if (!user) {
+      return redirectWith(res, redirectUri, { error: 'access_denied', error_description: 'Unknown user', state });
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, { user, redirectUri, nonce, codeChallenge, authTime: Math.floor(Date.now() / 1000) });
+
+    return redirectWith(res, redirectUri, { code, state });
+  });
+
+  app.post('/token', (req, res) => {
+    let requestClientId = req.body.client_id;
+    let requestSecret = req.body.client_secret;
+    const authorization = req.headers.authorization || '';
+
+    if (authorization.startsWith('Basic ')) {
+      const [id, secret] = Buffer.from(authorization.slice(6), 'base64').toString().split(':');
+      requestClientId = decodeURIComponent(id);
+      requestSecret = decodeURIComponent(secret || '');
+    }
+
+    if (requestClientId !== clientId || (clientSecret && requestSecret !== clientSecret)) {
+      return tokenError(res, 'invalid_client', 'Client authentication failed', 401);
+    }
+
+    if (req.body.grant_type !== 'authorization_code') {
+      return tokenError(res, 'unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    // Codes are single use
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (!grant || grant.redirectUri !== req.body.redirect_uri) {
+      return tokenError(res, 'invalid_grant', 'Unknown, used or mismatched authorization code');
+    }
+
+    if (!req.body.code_verifier || s256(req.body.code_verifier) !== grant.codeChallenge) {
+      return tokenError(res, 'invalid_grant', 'PKCE verification failed');
+    }
+
+    const { user } = grant;
+    const idTokenClaims = Object.fromEntries(
+      Object.entries(user).filter(([claim]) => !USERINFO_ONLY_CLAIMS.includes(claim) && claim !== 'sub')
+    );
+
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, user);
+
+    const idToken = jwt.sign({
+      ...idTokenClaims,
+      nonce: grant.nonce,
+      auth_time: grant.authTime
+    }, privateKey.export({ format: 'pem', type: 'pkcs8' }), {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      subject: user.sub,
+      expiresIn: TOKEN_TTL_SECONDS
+    });
+
+    return res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_SECONDS,
+      id_token: idToken
+    });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const user = accessTokens.get(token);
+
+    if (!user) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"').end();
+    }
+
+    const { amr, ...claims } = user;
+    return res.json(claims);
+  });
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, () => {
+      issuer = `http://${host === '0.0.0.0' ? 'localhost' : host}:${server.address().port}`;
+      resolve({
+        issuer,
+        app,
+        users,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+};
+
+module.exports = { startMockOidcProvider, DEFAULT_USERS };
+
+// Run standalone
+if (require.main === module) {
+  const args = process.argv.slice(2).reduce((parsed, arg) => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    parsed[key] = value === undefined ? true : value;
+    return parsed;
+  }, {});
+
+  startMockOidcProvider({
+    port: Number(args.port) || 9090,
+    host: args.host || 'localhost',
+    clientId: args['client-id'] || 'hipaa-app',
+    clientSecret: args['client-secret']
+  }).then(({ issuer, users }) => {
+    console.log(`Mock OpenID Connect provider listening at ${issuer}`);
+    console.log(`Users (pass one as loginHint): ${users.map(user => user.preferred_username).join(', ')}`);
+  }).catch((error) => {
+    console.error('Failed to start mock OpenID Connect provider:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,82 @@
+/**
+ * Re-encrypts stored MFA secrets and PHI fields under the active encryption key
+ *
+ * Rotation steps:
+ *   1. Add the new key to the keyring (ENCRYPTION_KEYS or the keyring file) and make it active.
+ *   2. Restart the application so new data is encrypted with it.
+ *   3. Run this script until it reports nothing left under the old key, then remove the old key.
+ *
+ * Usage:
+ *   node scripts/rotate-encryption-key.js [--dry-run] [--batch-size=N] [--json]
+ *
+ * Exits with status 0 when everything is under the active key, 1 when some values could not be
+ * re-encrypted and 2 on errors.
+ */
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const { sequelize } = require('../models');
+const keyRotationService = require('../services/key-rotation.service');
+const { initKeyring } = require('../utils/keyring');
+
+// Parse --key=value arguments
+const args = process.argv.slice(2).reduce((parsed, arg) => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  parsed[key] = value === undefined ? true : value;
+  return parsed;
+}, {});
+
+async function rotateEncryptionKey() {
+  let exitCode = 0;
+
+  try {
+    const keyringInfo = await initKeyring();
+
+    if (keyringInfo.ephemeral) {
+      throw new Error('No encryption key is configured; nothing can be rotated');
+    }
+
+    const report = await keyRotationService.rotate({
+      dryRun: Boolean(args['dry-run']),
+      batchSize: args['batch-size'] ? parseInt(args['batch-size'], 10) : undefined
+    });
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(`Active key: ${report.activeKeyId}${report.dryRun ? ' (dry run, nothing written)' : ''}`);
+
+      report.fields.forEach((field) => {
+        const keys = Object.entries(field.byKey).map(([keyId, count]) => `${keyId}=${count}`).join(', ') || 'none';
+        console.log(`${field.model}.${field.field}: ${field.scanned} values, ${field.reencrypted} re-encrypted, ` +
+          `${field.current} already current, ${field.plaintext} not encrypted, ${field.failed.length} failed (keys: ${keys})`);
+
+        if (field.failed.length > 0) {
+          console.log(`  Failed IDs: ${field.failed.join(', ')}`);
+        }
+      });
+
+      if (report.totals.failed > 0) {
+        console.log('SOME VALUES COULD NOT BE RE-ENCRYPTED - keep the old keys until they are fixed');
+      } else if (report.dryRun && report.totals.reencrypted > 0) {
+        console.log(`${report.totals.reencrypted} values would be re-encrypted`);
+      } else {
+        console.log('All encrypted values are under the active key');
+      }
+    }
+
+    exitCode = report.totals.failed === 0 ? 0 : 1;
+  } catch (error) {
+    console.error('Error rotating encryption key:', error.message);
+    exitCode = 2;
+  } finally {
+    await sequelize.close();
+  }
+
+  process.exit(exitCode);
+}
+
+// Run the function
+rotateEncryptionKey();
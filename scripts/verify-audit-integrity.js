@@ -0,0 +1,69 @@
+/**
+ * Verifies the tamper-evident audit log hash chain from the command line
+ *
+ * Usage:
+ *   node scripts/verify-audit-integrity.js [--start-id=N] [--end-id=N] [--start-date=ISO] [--end-date=ISO] [--json]
+ *
+ * Exits with status 0 when the chain is intact, 1 when tampering is detected and 2 on errors.
+ */
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const { sequelize } = require('../models');
+const auditService = require('../services/audit.service');
+
+// Parse --key=value arguments
+const args = process.argv.slice(2).reduce((parsed, arg) => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  parsed[key] = value === undefined ? true : value;
+  return parsed;
+}, {});
+
+async function verifyAuditIntegrity() {
+  let exitCode = 0;
+
+  try {
+    const report = await auditService.verifyChain({
+      startId: args['start-id'],
+      endId: args['end-id'],
+      startDate: args['start-date'],
+      endDate: args['end-date']
+    });
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else if (!report.range) {
+      console.log('No audit log entries in the requested range');
+    } else {
+      console.log(`Checked ${report.entriesChecked} entries (IDs ${report.range.startId}-${report.range.endId})`);
+      console.log(`Missing IDs: ${report.missingIdCount}`);
+      console.log(`Entries written before chaining: ${report.unchainedCount}`);
+      console.log(`Hash mismatches: ${report.hashMismatchCount}`);
+      console.log(`Broken links: ${report.brokenLinkCount}`);
+
+      if (report.firstBrokenLink) {
+        console.log(`First broken link at ID ${report.firstBrokenLink.id} (previous ID ${report.firstBrokenLink.previousId})`);
+      }
+
+      if (report.hashMismatches.length > 0) {
+        console.log(`Entries whose hash does not recompute: ${report.hashMismatches.join(', ')}`);
+      }
+
+      console.log(report.valid ? 'Audit log chain is intact' : 'AUDIT LOG CHAIN INTEGRITY FAILURE');
+    }
+
+    exitCode = report.valid ? 0 : 1;
+  } catch (error) {
+    console.error('Error verifying audit log integrity:', error.message);
+    exitCode = 2;
+  } finally {
+    await sequelize.close();
+  }
+
+  process.exit(exitCode);
+}
+
+// Run the function
+verifyAuditIntegrity();
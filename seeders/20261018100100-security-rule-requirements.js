@@ -0,0 +1,43 @@
+/**
+ * Security Rule requirements seeder
+ * Seeds the 45 CFR §§ 164.308–164.316 safeguards as compliance requirements,
+ * skipping any citation that already exists
+ */
+'use strict';
+
+const { SECURITY_RULE_REQUIREMENTS, RESPONSIBLE_ROLE_BY_CATEGORY } = require('../config/security-rule.seed');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const [roles] = await queryInterface.sequelize.query('SELECT id, name FROM roles');
+    const roleIdsByName = roles.reduce((ids, role) => {
+      ids[role.name] = role.id;
+      return ids;
+    }, {});
+
+    const [existing] = await queryInterface.sequelize.query(
+      'SELECT citation FROM compliance_requirements WHERE "deletedAt" IS NULL'
+    );
+    const existingCitations = new Set(existing.map(row => row.citation));
+
+    const now = new Date();
+    const rows = SECURITY_RULE_REQUIREMENTS
+      .filter(requirement => !existingCitations.has(requirement.citation))
+      .map(requirement => ({
+        ...requirement,
+        responsibleRoleId: roleIdsByName[RESPONSIBLE_ROLE_BY_CATEGORY[requirement.category]] || null,
+        createdAt: now,
+        updatedAt: now
+      }));
+
+    if (rows.length > 0) {
+      await queryInterface.bulkInsert('compliance_requirements', rows);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.bulkDelete('compliance_requirements', {
+      citation: SECURITY_RULE_REQUIREMENTS.map(requirement => requirement.citation)
+    });
+  }
+};
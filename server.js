@@ -11,7 +11,11 @@ const db = require('./models');
 
 // Route modules
 const authRoutes = require('./routes/auth.routes');
+const ssoRoutes = require('./routes/sso.routes');
+const scimRoutes = require('./routes/scim.routes');
 const userRoutes = require('./routes/user.routes');
+const emergencyAccessRoutes = require('./routes/emergency-access.routes');
+const accessReviewRoutes = require('./routes/access-review.routes');
 const trainingRoutes = require('./routes/training.routes');
 const documentRoutes = require('./routes/document.routes');
 const complianceRoutes = require('./routes/compliance.routes');
@@ -24,10 +28,17 @@ const healthRoutes = require('./routes/health.routes');
 
 // Middleware
 const auditMiddleware = require('./middleware/audit');
+const authJwt = require('./middleware/auth.jwt');
 const { apiLimiter } = require('./middleware/rate-limit');
 const { notFoundMiddleware, errorHandlerMiddleware } = require('./middleware/error-handler');
 const compressionMiddleware = require('./middleware/compression');
 const { httpLogger } = require('./utils/logger');
+const { initKeyring } = require('./utils/keyring');
+const notificationService = require('./services/notification.service');
+
+// Background jobs
+const auditService = require('./services/audit.service');
+const trainingSchedulerService = require('./services/training-scheduler.service');
 
 // Load environment variables
 dotenv.config();
@@ -70,7 +81,7 @@ app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-access-token', 'x-csrf-token']
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-access-token', 'x-csrf-token', 'x-api-key']
 }));
 
 // Apply compression middleware
@@ -124,13 +135,26 @@ app.use((req, res, next) => {
   if (excludedPaths.includes(req.path)) {
     return next();
   }
+
+  // SCIM clients authenticate with bearer tokens, not cookies
+  if (req.path.startsWith('/scim/v2/')) {
+    return next();
+  }
+
+  // Neither do integrations calling the API with a service account key
+  if (authJwt.getApiKey(req)) {
+    return next();
+  }
   // Apply CSRF for everything else
   csrfProtection(req, res, next);
 });
 
 // API Routes
+app.use('/api/auth/sso', ssoRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/emergency-access', emergencyAccessRoutes);
+app.use('/api/access-reviews', accessReviewRoutes);
 app.use('/api/training', trainingRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/compliance', complianceRoutes);
@@ -140,6 +164,7 @@ app.use('/api/incidents', incidentRoutes);
 app.use('/api/audit', auditRoutes);
 app.use('/api/advanced-reports', advancedReportRoutes);
 app.use('/api', healthRoutes);
+app.use('/scim/v2', scimRoutes);
 
 // Serve static assets in production
 if (process.env.NODE_ENV === 'production') {
@@ -169,10 +194,32 @@ const PORT = process.env.PORT || 8080;
 
 // Only start server if this file is run directly (not imported in tests)
 if (require.main === module) {
-  // Sync database and start server
-  db.sequelize.sync()
+  // Load the encryption keyring first; a missing or malformed key stops the server
+  initKeyring()
+    .catch(err => {
+      console.error('Failed to load encryption keys:', err.message);
+      process.exit(1);
+    })
+    // Email must have a real transport in production; fail now rather than on the first message
+    .then(() => {
+      try {
+        notificationService.getTransport();
+      } catch (err) {
+        console.error('Failed to configure email:', err.message);
+        process.exit(1);
+      }
+    })
+    // Sync database and start server
+    .then(() => db.sequelize.sync())
     .then(() => {
       console.log('Database synchronized successfully');
+
+      // Periodically verify the audit log hash chain
+      auditService.scheduleIntegrityCheck();
+
+      // Periodically renew recurring training and expire overdue assignments
+      trainingSchedulerService.scheduleTrainingScheduler();
+
       app.listen(PORT, () => {
         console.log(`Server is running on port ${PORT}`);
         console.log(`API available at http://localhost:${PORT}/api`);
@@ -0,0 +1,717 @@
+/**
+ * Access Review Service - Periodic workforce access review campaigns
+ * @module services/access-review
+ *
+ * Implements the access review of HIPAA 164.308(a)(4). Starting a campaign snapshots the role,
+ * department, MFA status, IP allowlist and last login of every user in scope and routes each
+ * user to a reviewer: the manager of their department, or the campaign's fallback reviewer when
+ * the department has no manager or the user manages it. Nobody reviews their own access.
+ *
+ * Reviewers record keep, modify or revoke decisions. Revocations are carried out as soon as they
+ * are recorded; modifications are left to an administrator and listed in the campaign report,
+ * which is exported as audit evidence with its SHA-256 digest recorded in the audit log.
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { AccessReviewCampaign, AccessReviewItem, Department, Role, User, sequelize } = require('../models');
+const userService = require('./user.service');
+const notificationService = require('./notification.service');
+const securityService = require('./security.service');
+const { invalidateUserSessions } = require('../utils/session-manager');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Access review configuration
+ */
+const ACCESS_REVIEW_CONFIG = {
+  DECISIONS: ['keep', 'modify', 'revoke'],
+  // Decisions that must be explained
+  DECISIONS_REQUIRING_NOTES: ['modify', 'revoke'],
+  DEFAULT_DURATION_DAYS: parseInt(process.env.ACCESS_REVIEW_DURATION_DAYS || '14', 10),
+  EXPORT_FORMATS: ['csv', 'json']
+};
+
+const USER_ATTRIBUTES = ['id', 'username', 'firstName', 'lastName', 'email'];
+
+/**
+ * Get a campaign or fail
+ * @param {number} id - Campaign ID
+ * @param {Object} [options] - Sequelize find options
+ * @returns {Promise<Object>} Campaign
+ * @throws {AppError} If the campaign is not found
+ */
+const findCampaign = async (id, options = {}) => {
+  const campaign = await AccessReviewCampaign.findByPk(id, options);
+
+  if (!campaign) {
+    throw new AppError('Access review not found', 404, 'ACCESS_REVIEW_NOT_FOUND');
+  }
+
+  return campaign;
+};
+
+/**
+ * Get an item with its campaign or fail
+ * @param {number} id - Item ID
+ * @returns {Promise<Object>} Item
+ * @throws {AppError} If the item is not found
+ */
+const findItem = async (id) => {
+  const item = await AccessReviewItem.findByPk(id, {
+    include: [{ model: AccessReviewCampaign, as: 'campaign' }]
+  });
+
+  if (!item) {
+    throw new AppError('Access review item not found', 404, 'ACCESS_REVIEW_ITEM_NOT_FOUND');
+  }
+
+  return item;
+};
+
+/**
+ * Fail unless a campaign still accepts changes
+ * @param {Object} campaign - Campaign
+ * @throws {AppError} If the campaign was completed or cancelled
+ */
+const assertActive = (campaign) => {
+  if (campaign.status !== 'active') {
+    throw new AppError(`This access review is ${campaign.status}`, 409, 'ACCESS_REVIEW_CLOSED');
+  }
+};
+
+/**
+ * Record a user's access as it stands now
+ * @param {Object} user - User with role and department
+ * @returns {Object} Snapshot
+ */
+const buildSnapshot = (user) => ({
+  username: user.username,
+  name: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+  email: user.email,
+  accountStatus: user.accountStatus,
+  role: user.role ? { id: user.role.id, name: user.role.name } : null,
+  department: user.department ? { id: user.department.id, name: user.department.name } : null,
+  mfaEnabled: Boolean(user.mfaEnabled),
+  ipAllowlist: (user.ipAccessList || []).map(entry => (typeof entry === 'string' ? entry : entry.address)),
+  lastLogin: user.lastLogin || null
+});
+
+/**
+ * Pick who reviews a user: their department's manager, else the fallback reviewer, and never
+ * the user themselves
+ * @param {Object} user - User under review
+ * @param {Map} managers - Active manager ID by department ID
+ * @param {number} fallbackReviewerId - Campaign's fallback reviewer
+ * @returns {number|null} Reviewer ID, or null when someone must be assigned by hand
+ */
+const chooseReviewer = (user, managers, fallbackReviewerId) => {
+  const managerId = managers.get(user.departmentId);
+
+  if (managerId && managerId !== user.id) {
+    return managerId;
+  }
+
+  return fallbackReviewerId !== user.id ? fallbackReviewerId : null;
+};
+
+/**
+ * Count a campaign's items by decision
+ * @param {Array} rows - { decision, count } rows
+ * @returns {Object} { total, pending, keep, modify, revoke }
+ */
+const summarize = (rows) => {
+  const summary = { total: 0, pending: 0, keep: 0, modify: 0, revoke: 0 };
+
+  rows.forEach((row) => {
+    const count = parseInt(row.count, 10);
+    summary.total += count;
+    summary[row.decision || 'pending'] += count;
+  });
+
+  return summary;
+};
+
+/**
+ * Count the items of some campaigns by decision
+ * @param {Array<number>} campaignIds - Campaign IDs
+ * @returns {Promise<Map>} Summary by campaign ID
+ */
+const summarizeCampaigns = async (campaignIds) => {
+  const rows = await AccessReviewItem.findAll({
+    where: { campaignId: { [Op.in]: campaignIds } },
+    attributes: ['campaignId', 'decision', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['campaignId', 'decision'],
+    raw: true
+  });
+
+  return new Map(campaignIds.map(id => [
+    id,
+    summarize(rows.filter(row => Number(row.campaignId) === Number(id)))
+  ]));
+};
+
+/**
+ * Check that a user exists and is active
+ * @param {number} userId - User ID
+ * @param {string} label - What the user is for, used in the error message
+ * @returns {Promise<Object>} User
+ * @throws {AppError} If the user is missing or inactive
+ */
+const findActiveUser = async (userId, label) => {
+  const user = await User.findByPk(userId, { attributes: [...USER_ATTRIBUTES, 'accountStatus', 'notificationPreferences'] });
+
+  if (!user || user.accountStatus !== 'active') {
+    throw new AppError(`The ${label} must be an active user`, 400, 'VALIDATION_ERROR');
+  }
+
+  return user;
+};
+
+/**
+ * Start a campaign: snapshot the access of every user in scope and notify the reviewers
+ * @param {Object} data - Campaign data
+ * @param {string} data.name - Campaign name
+ * @param {string} [data.description] - What the campaign covers
+ * @param {string|Date} [data.dueDate] - Due date, by default in DEFAULT_DURATION_DAYS
+ * @param {Array<number>} [data.departmentIds] - Departments to review, by default all users
+ * @param {number} [data.fallbackReviewerId] - Reviewer of users without another manager, by
+ * default the actor
+ * @param {Object} actor - User starting the campaign
+ * @returns {Promise<Object>} Campaign with its summary
+ * @throws {AppError} If the data is invalid or no user is in scope
+ */
+const createCampaign = async ({ name, description, dueDate, departmentIds, fallbackReviewerId } = {}, actor) => {
+  const campaignName = typeof name === 'string' ? name.trim() : '';
+  if (!campaignName) {
+    throw new AppError('A campaign name is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const due = dueDate
+    ? new Date(dueDate)
+    : new Date(Date.now() + ACCESS_REVIEW_CONFIG.DEFAULT_DURATION_DAYS * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(due.getTime()) || due <= new Date()) {
+    throw new AppError('dueDate must be a date in the future', 400, 'VALIDATION_ERROR');
+  }
+
+  let scopedDepartmentIds = null;
+  if (departmentIds !== undefined && departmentIds !== null) {
+    if (!Array.isArray(departmentIds) || departmentIds.length === 0 || !departmentIds.every(id => Number.isInteger(Number(id)))) {
+      throw new AppError('departmentIds must be a non-empty list of department IDs', 400, 'VALIDATION_ERROR');
+    }
+
+    scopedDepartmentIds = [...new Set(departmentIds.map(Number))];
+    const found = await Department.count({ where: { id: { [Op.in]: scopedDepartmentIds } } });
+    if (found !== scopedDepartmentIds.length) {
+      throw new AppError('One or more departments do not exist', 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  const fallbackReviewer = await findActiveUser(fallbackReviewerId || actor.id, 'fallback reviewer');
+
+  const userWhere = { accountType: 'user', accountStatus: { [Op.ne]: 'inactive' } };
+  if (scopedDepartmentIds) {
+    userWhere.departmentId = { [Op.in]: scopedDepartmentIds };
+  }
+
+  const users = await User.findAll({
+    where: userWhere,
+    include: [
+      { model: Role, as: 'role', attributes: ['id', 'name'] },
+      { model: Department, as: 'department', attributes: ['id', 'name'] }
+    ],
+    order: [['id', 'ASC']]
+  });
+
+  if (users.length === 0) {
+    throw new AppError('No users to review', 400, 'ACCESS_REVIEW_EMPTY');
+  }
+
+  const departments = await Department.findAll({
+    where: { managerId: { [Op.ne]: null } },
+    include: [{ model: User, as: 'manager', attributes: ['id', 'accountStatus'] }]
+  });
+  const managers = new Map(departments
+    .filter(department => department.manager && department.manager.accountStatus === 'active')
+    .map(department => [department.id, department.managerId]));
+
+  const campaign = await sequelize.transaction(async (transaction) => {
+    const created = await AccessReviewCampaign.create({
+      name: campaignName,
+      description,
+      status: 'active',
+      dueDate: due,
+      departmentIds: scopedDepartmentIds,
+      fallbackReviewerId: fallbackReviewer.id,
+      createdBy: actor.id
+    }, { transaction });
+
+    await AccessReviewItem.bulkCreate(users.map(user => ({
+      campaignId: created.id,
+      userId: user.id,
+      reviewerId: chooseReviewer(user, managers, fallbackReviewer.id),
+      snapshot: buildSnapshot(user)
+    })), { transaction });
+
+    return created;
+  });
+
+  const items = await AccessReviewItem.findAll({
+    where: { campaignId: campaign.id },
+    attributes: ['reviewerId']
+  });
+  const itemsByReviewer = new Map();
+  items.forEach((item) => {
+    if (item.reviewerId) {
+      itemsByReviewer.set(item.reviewerId, (itemsByReviewer.get(item.reviewerId) || 0) + 1);
+    }
+  });
+  const unassigned = items.length - [...itemsByReviewer.values()].reduce((sum, count) => sum + count, 0);
+
+  await securityService.logSecurityEvent(actor.id, 'ACCESS_REVIEW_STARTED', {
+    campaignId: campaign.id,
+    name: campaign.name,
+    users: items.length,
+    reviewers: itemsByReviewer.size,
+    unassigned,
+    departmentIds: scopedDepartmentIds
+  });
+
+  const reviewers = await User.findAll({
+    where: { id: { [Op.in]: [...itemsByReviewer.keys()] } },
+    attributes: [...USER_ATTRIBUTES, 'accountStatus', 'notificationPreferences']
+  });
+  for (const reviewer of reviewers) {
+    await notificationService.notifyAccessReviewAssigned(campaign, reviewer, itemsByReviewer.get(reviewer.id));
+  }
+
+  if (unassigned > 0) {
+    logger.warn(`Access review ${campaign.id} has ${unassigned} item(s) without a reviewer`);
+  }
+
+  return { ...campaign.toJSON(), summary: (await summarizeCampaigns([campaign.id])).get(campaign.id) };
+};
+
+/**
+ * List campaigns with their progress
+ * @param {Object} [filters] - { status }
+ * @returns {Promise<Array>} Campaigns, newest first, each with a summary and overdue flag
+ */
+const listCampaigns = async ({ status } = {}) => {
+  const campaigns = await AccessReviewCampaign.findAll({
+    where: status ? { status } : {},
+    include: [{ model: User, as: 'creator', attributes: USER_ATTRIBUTES }],
+    order: [['createdAt', 'DESC']]
+  });
+
+  const summaries = await summarizeCampaigns(campaigns.map(campaign => campaign.id));
+  const now = new Date();
+
+  return campaigns.map(campaign => ({
+    ...campaign.toJSON(),
+    summary: summaries.get(campaign.id),
+    overdue: campaign.status === 'active' && new Date(campaign.dueDate) < now
+  }));
+};
+
+/**
+ * Get a campaign with its progress
+ * @param {number} id - Campaign ID
+ * @returns {Promise<Object>} Campaign with a summary and overdue flag
+ * @throws {AppError} If the campaign is not found
+ */
+const getCampaign = async (id) => {
+  const campaign = await findCampaign(id, {
+    include: [
+      { model: User, as: 'creator', attributes: USER_ATTRIBUTES },
+      { model: User, as: 'fallbackReviewer', attributes: USER_ATTRIBUTES },
+      { model: User, as: 'completer', attributes: USER_ATTRIBUTES }
+    ]
+  });
+
+  return {
+    ...campaign.toJSON(),
+    summary: (await summarizeCampaigns([campaign.id])).get(campaign.id),
+    overdue: campaign.status === 'active' && new Date(campaign.dueDate) < new Date()
+  };
+};
+
+/**
+ * Build the where clause of a decision filter
+ * @param {string} [decision] - 'pending' or a decision
+ * @returns {Object} Where clause
+ */
+const decisionWhere = (decision) => {
+  if (!decision) {
+    return {};
+  }
+
+  return { decision: decision === 'pending' ? null : decision };
+};
+
+/**
+ * List the items of a campaign
+ * @param {number} campaignId - Campaign ID
+ * @param {Object} [filters] - { decision: 'pending' or a decision, reviewerId }
+ * @returns {Promise<Array>} Items with the reviewed user, reviewer and decider
+ * @throws {AppError} If the campaign is not found
+ */
+const listItems = async (campaignId, { decision, reviewerId } = {}) => {
+  await findCampaign(campaignId);
+
+  const where = { campaignId, ...decisionWhere(decision) };
+  if (reviewerId) {
+    where.reviewerId = reviewerId;
+  }
+
+  return AccessReviewItem.findAll({
+    where,
+    include: [
+      { model: User, as: 'user', attributes: USER_ATTRIBUTES },
+      { model: User, as: 'reviewer', attributes: USER_ATTRIBUTES },
+      { model: User, as: 'decider', attributes: USER_ATTRIBUTES }
+    ],
+    order: [['id', 'ASC']]
+  });
+};
+
+/**
+ * List the items routed to a reviewer in active campaigns
+ * @param {number} reviewerId - Reviewer ID
+ * @param {Object} [filters] - { decision: 'pending' or a decision }
+ * @returns {Promise<Array>} Items with their campaign and the reviewed user
+ */
+const listReviewerItems = (reviewerId, { decision } = {}) => AccessReviewItem.findAll({
+  where: { reviewerId, ...decisionWhere(decision) },
+  include: [
+    {
+      model: AccessReviewCampaign,
+      as: 'campaign',
+      where: { status: 'active' },
+      attributes: ['id', 'name', 'description', 'dueDate']
+    },
+    { model: User, as: 'user', attributes: USER_ATTRIBUTES }
+  ],
+  order: [[{ model: AccessReviewCampaign, as: 'campaign' }, 'dueDate', 'ASC'], ['id', 'ASC']]
+});
+
+/**
+ * Carry out a revoke decision: deactivate the user and end their sessions. Failures are
+ * recorded on the item so they can be retried, not thrown.
+ * @param {Object} item - Item with a revoke decision
+ * @param {Object} actor - User on whose behalf the revocation is carried out
+ * @returns {Promise<Object>} Updated item
+ */
+const applyRevocation = async (item, actor) => {
+  try {
+    await userService.deactivateUser(item.userId);
+    const sessions = await invalidateUserSessions(Number(item.userId));
+
+    await item.update({ appliedAt: new Date(), applyError: null });
+    await securityService.logSecurityEvent(actor.id, 'ACCESS_REVIEW_REVOCATION_APPLIED', {
+      campaignId: item.campaignId,
+      itemId: item.id,
+      userId: item.userId,
+      sessionsInvalidated: sessions
+    });
+  } catch (error) {
+    logger.error(`Failed to revoke the access of user ${item.userId} for access review item ${item.id}:`, error);
+
+    await item.update({ applyError: error.message });
+    await securityService.logSecurityEvent(actor.id, 'ACCESS_REVIEW_REVOCATION_FAILED', {
+      campaignId: item.campaignId,
+      itemId: item.id,
+      userId: item.userId,
+      error: error.message
+    });
+  }
+
+  return item;
+};
+
+/**
+ * Record a reviewer's decision on a user's access; revocations are carried out immediately
+ * @param {number} itemId - Item ID
+ * @param {Object} data - { decision: 'keep', 'modify' or 'revoke', notes }
+ * @param {Object} reviewer - Reviewing user, with the request's emergencyAccess if any
+ * @returns {Promise<Object>} Updated item
+ * @throws {AppError} If the decision is invalid, the campaign is closed, the reviewer is not
+ * the one assigned or the item was already decided
+ */
+const recordDecision = async (itemId, { decision, notes } = {}, reviewer) => {
+  if (!ACCESS_REVIEW_CONFIG.DECISIONS.includes(decision)) {
+    throw new AppError(`decision must be one of: ${ACCESS_REVIEW_CONFIG.DECISIONS.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  const reason = notes ? String(notes).trim() : '';
+  if (ACCESS_REVIEW_CONFIG.DECISIONS_REQUIRING_NOTES.includes(decision) && !reason) {
+    throw new AppError(`Notes are required to ${decision} access`, 400, 'VALIDATION_ERROR');
+  }
+
+  if (reviewer.emergencyAccess) {
+    throw new AppError('Emergency access cannot be used to review access', 403, 'EMERGENCY_ACCESS_REVIEW_FORBIDDEN');
+  }
+
+  const item = await findItem(itemId);
+  assertActive(item.campaign);
+
+  if (Number(item.userId) === Number(reviewer.id)) {
+    throw new AppError('Access must be reviewed by someone other than the user', 403, 'SELF_REVIEW_NOT_ALLOWED');
+  }
+
+  if (Number(item.reviewerId) !== Number(reviewer.id)) {
+    throw new AppError('Only the assigned reviewer can decide on this access', 403, 'ACCESS_REVIEW_NOT_REVIEWER');
+  }
+
+  if (item.decision) {
+    throw new AppError('A decision has already been recorded for this access', 409, 'ACCESS_REVIEW_ALREADY_DECIDED');
+  }
+
+  await item.update({
+    decision,
+    decisionNotes: reason || null,
+    decidedBy: reviewer.id,
+    decidedAt: new Date()
+  });
+
+  await securityService.logSecurityEvent(reviewer.id, 'ACCESS_REVIEW_DECISION', {
+    campaignId: item.campaignId,
+    itemId: item.id,
+    userId: item.userId,
+    decision,
+    notes: item.decisionNotes
+  });
+
+  if (decision === 'revoke') {
+    await applyRevocation(item, reviewer);
+  }
+
+  return item;
+};
+
+/**
+ * Retry a revocation that could not be carried out
+ * @param {number} itemId - Item ID
+ * @param {Object} actor - User retrying the revocation
+ * @returns {Promise<Object>} Updated item
+ * @throws {AppError} If the item has no pending revocation
+ */
+const retryRevocation = async (itemId, actor) => {
+  const item = await findItem(itemId);
+
+  if (item.decision !== 'revoke' || item.appliedAt) {
+    throw new AppError('This item has no revocation to carry out', 409, 'ACCESS_REVIEW_NOTHING_TO_APPLY');
+  }
+
+  return applyRevocation(item, actor);
+};
+
+/**
+ * Route an undecided item to another reviewer
+ * @param {number} itemId - Item ID
+ * @param {number} reviewerId - New reviewer
+ * @param {Object} actor - User reassigning the item
+ * @returns {Promise<Object>} Updated item
+ * @throws {AppError} If the campaign is closed, the item was decided or the reviewer is the
+ * user under review or not active
+ */
+const reassignItem = async (itemId, reviewerId, actor) => {
+  const item = await findItem(itemId);
+  assertActive(item.campaign);
+
+  if (item.decision) {
+    throw new AppError('A decision has already been recorded for this access', 409, 'ACCESS_REVIEW_ALREADY_DECIDED');
+  }
+
+  if (Number(reviewerId) === Number(item.userId)) {
+    throw new AppError('Access must be reviewed by someone other than the user', 400, 'SELF_REVIEW_NOT_ALLOWED');
+  }
+
+  const reviewer = await findActiveUser(reviewerId, 'reviewer');
+  const previousReviewerId = item.reviewerId;
+
+  await item.update({ reviewerId: reviewer.id });
+
+  await securityService.logSecurityEvent(actor.id, 'ACCESS_REVIEW_REASSIGNED', {
+    campaignId: item.campaignId,
+    itemId: item.id,
+    userId: item.userId,
+    previousReviewerId,
+    reviewerId: reviewer.id
+  });
+
+  await notificationService.notifyAccessReviewAssigned(item.campaign, reviewer, 1);
+
+  return item;
+};
+
+/**
+ * Complete a campaign once every user has a decision
+ * @param {number} id - Campaign ID
+ * @param {Object} actor - User completing the campaign
+ * @returns {Promise<Object>} Campaign with its summary
+ * @throws {AppError} If the campaign is closed or decisions are missing
+ */
+const completeCampaign = async (id, actor) => {
+  const campaign = await findCampaign(id);
+  assertActive(campaign);
+
+  const summary = (await summarizeCampaigns([campaign.id])).get(campaign.id);
+  if (summary.pending > 0) {
+    throw new AppError(`${summary.pending} user(s) still await a decision`, 409, 'ACCESS_REVIEW_INCOMPLETE');
+  }
+
+  await campaign.update({ status: 'completed', completedAt: new Date(), completedBy: actor.id });
+
+  await securityService.logSecurityEvent(actor.id, 'ACCESS_REVIEW_COMPLETED', {
+    campaignId: campaign.id,
+    name: campaign.name,
+    summary
+  });
+
+  return { ...campaign.toJSON(), summary };
+};
+
+/**
+ * Cancel an active campaign. Decisions already recorded, and revocations already carried out,
+ * stand.
+ * @param {number} id - Campaign ID
+ * @param {Object} actor - User cancelling the campaign
+ * @returns {Promise<Object>} Campaign
+ * @throws {AppError} If the campaign is closed
+ */
+const cancelCampaign = async (id, actor) => {
+  const campaign = await findCampaign(id);
+  assertActive(campaign);
+
+  await campaign.update({ status: 'cancelled', completedAt: new Date(), completedBy: actor.id });
+
+  await securityService.logSecurityEvent(actor.id, 'ACCESS_REVIEW_CANCELLED', {
+    campaignId: campaign.id,
+    name: campaign.name
+  });
+
+  return campaign;
+};
+
+/**
+ * Format a value as a CSV cell, neutralising spreadsheet formulas
+ * @param {*} value - Value
+ * @returns {string} CSV cell
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Full name and username of a user, for reports
+ * @param {Object} user - User or null
+ * @returns {string|null} Display name
+ */
+const displayName = (user) => (user ? `${user.firstName} ${user.lastName} (${user.username})` : null);
+
+/**
+ * Export a campaign report as audit evidence. The export is logged with its SHA-256 digest so
+ * a copy can later be checked against the audit log.
+ * @param {number} id - Campaign ID
+ * @param {string} [format='csv'] - 'csv' or 'json'
+ * @param {Object} actor - User exporting the report
+ * @returns {Promise<Object>} { content, contentType, filename, digest }
+ * @throws {AppError} If the format is unknown or the campaign is not found
+ */
+const exportReport = async (id, format = 'csv', actor) => {
+  if (!ACCESS_REVIEW_CONFIG.EXPORT_FORMATS.includes(format)) {
+    throw new AppError(`format must be one of: ${ACCESS_REVIEW_CONFIG.EXPORT_FORMATS.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  const campaign = await getCampaign(id);
+  const items = await listItems(campaign.id);
+
+  const rows = items.map(item => ({
+    userId: item.userId,
+    username: item.snapshot.username,
+    name: item.snapshot.name,
+    email: item.snapshot.email,
+    accountStatus: item.snapshot.accountStatus,
+    role: item.snapshot.role ? item.snapshot.role.name : null,
+    department: item.snapshot.department ? item.snapshot.department.name : null,
+    mfaEnabled: item.snapshot.mfaEnabled,
+    ipAllowlist: (item.snapshot.ipAllowlist || []).join(' '),
+    lastLogin: item.snapshot.lastLogin,
+    reviewer: displayName(item.reviewer),
+    decision: item.decision || 'pending',
+    decisionNotes: item.decisionNotes,
+    decidedBy: displayName(item.decider),
+    decidedAt: item.decidedAt,
+    revocationAppliedAt: item.appliedAt,
+    revocationError: item.applyError
+  }));
+
+  const generatedAt = new Date();
+  let content;
+  if (format === 'json') {
+    content = JSON.stringify({
+      campaign: {
+        id: campaign.id,
+        name: campaign.name,
+        description: campaign.description,
+        status: campaign.status,
+        dueDate: campaign.dueDate,
+        startedAt: campaign.createdAt,
+        startedBy: displayName(campaign.creator),
+        completedAt: campaign.completedAt,
+        completedBy: displayName(campaign.completer)
+      },
+      summary: campaign.summary,
+      generatedAt,
+      generatedBy: actor.id,
+      items: rows
+    }, null, 2);
+  } else {
+    const fields = Object.keys(rows[0] || { userId: null });
+    content = [
+      fields.join(','),
+      ...rows.map(row => fields.map(field => csvCell(row[field])).join(','))
+    ].join('\n');
+  }
+
+  const digest = crypto.createHash('sha256').update(content).digest('hex');
+
+  await securityService.logSecurityEvent(actor.id, 'ACCESS_REVIEW_EXPORTED', {
+    campaignId: campaign.id,
+    format,
+    status: campaign.status,
+    sha256: digest
+  });
+
+  return {
+    content,
+    contentType: format === 'json' ? 'application/json' : 'text/csv',
+    filename: `access-review-${campaign.id}.${format}`,
+    digest
+  };
+};
+
+module.exports = {
+  ACCESS_REVIEW_CONFIG,
+  createCampaign,
+  listCampaigns,
+  getCampaign,
+  listItems,
+  listReviewerItems,
+  recordDecision,
+  retryRevocation,
+  reassignItem,
+  completeCampaign,
+  cancelCampaign,
+  exportReport
+};
@@ -0,0 +1,296 @@
+/**
+ * Audit Service - Handles verification of the tamper-evident audit log chain and the
+ * auditing of requests made under delegated or elevated access
+ * @module services/audit
+ */
+const { Op } = require('sequelize');
+const ms = require('ms');
+const { AuditLog } = require('../models');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Integrity check configuration
+ */
+const INTEGRITY_CONFIG = {
+  // Number of rows loaded per query while walking the chain
+  BATCH_SIZE: parseInt(process.env.AUDIT_INTEGRITY_BATCH_SIZE || '1000', 10),
+  // Maximum number of IDs listed per finding in a report
+  MAX_REPORTED_IDS: parseInt(process.env.AUDIT_INTEGRITY_MAX_REPORTED_IDS || '1000', 10),
+  // How often the scheduled check runs (disabled when empty)
+  INTERVAL: process.env.AUDIT_INTEGRITY_CHECK_INTERVAL || '24h'
+};
+
+/**
+ * Resolve the ID range to verify from ID and/or date bounds
+ *
+ * @param {Object} options - Range options
+ * @param {number} [options.startId] - First audit log ID to verify
+ * @param {number} [options.endId] - Last audit log ID to verify
+ * @param {Date|string} [options.startDate] - Verify entries at or after this time
+ * @param {Date|string} [options.endDate] - Verify entries at or before this time
+ * @returns {Promise<Object|null>} Resolved { startId, endId } or null when the range is empty
+ */
+const resolveRange = async ({ startId, endId, startDate, endDate } = {}) => {
+  const where = {};
+
+  if (startId !== undefined && startId !== null) {
+    where.id = { ...where.id, [Op.gte]: startId };
+  }
+
+  if (endId !== undefined && endId !== null) {
+    where.id = { ...where.id, [Op.lte]: endId };
+  }
+
+  if (startDate || endDate) {
+    where.timestamp = {};
+
+    if (startDate) {
+      where.timestamp[Op.gte] = new Date(startDate);
+    }
+
+    if (endDate) {
+      where.timestamp[Op.lte] = new Date(endDate);
+    }
+  }
+
+  const first = await AuditLog.findOne({ where, attributes: ['id'], order: [['id', 'ASC']] });
+  const last = await AuditLog.findOne({ where, attributes: ['id'], order: [['id', 'DESC']] });
+
+  if (!first || !last) {
+    return null;
+  }
+
+  return { startId: first.id, endId: last.id };
+};
+
+/**
+ * Walk the audit log hash chain over a range and report any integrity problems
+ *
+ * A gap in IDs whose neighbours still link correctly is an unused sequence value
+ * (for example a rolled back insert); a gap that breaks the link means rows were removed.
+ *
+ * @param {Object} [options] - Range options (see resolveRange)
+ * @returns {Promise<Object>} Integrity report
+ */
+const verifyChain = async (options = {}) => {
+  const { startId, endId, startDate, endDate } = options;
+
+  if ((startId && isNaN(startId)) || (endId && isNaN(endId))) {
+    throw new AppError('startId and endId must be numeric', 400, 'VALIDATION_ERROR');
+  }
+
+  if ((startDate && isNaN(new Date(startDate))) || (endDate && isNaN(new Date(endDate)))) {
+    throw new AppError('startDate and endDate must be valid dates', 400, 'VALIDATION_ERROR');
+  }
+
+  const range = await resolveRange({
+    startId: startId ? parseInt(startId, 10) : undefined,
+    endId: endId ? parseInt(endId, 10) : undefined,
+    startDate,
+    endDate
+  });
+
+  const report = {
+    valid: true,
+    range,
+    checkedAt: new Date(),
+    entriesChecked: 0,
+    firstBrokenLink: null,
+    brokenLinkCount: 0,
+    missingIds: [],
+    missingIdCount: 0,
+    hashMismatches: [],
+    hashMismatchCount: 0,
+    unchainedIds: [],
+    unchainedCount: 0
+  };
+
+  if (!range) {
+    return report;
+  }
+
+  const addId = (listKey, countKey, id) => {
+    report[countKey] += 1;
+    if (report[listKey].length < INTEGRITY_CONFIG.MAX_REPORTED_IDS) {
+      report[listKey].push(id);
+    }
+  };
+
+  // The entry just before the range anchors the first link
+  let previous = await AuditLog.findOne({
+    where: { id: { [Op.lt]: range.startId } },
+    attributes: ['id', 'hash', 'previousHash'],
+    order: [['id', 'DESC']]
+  });
+
+  const isUnchained = (entry) => entry.previousHash === null || entry.previousHash === undefined;
+
+  // Unchained entries are only legitimate before the first chained one. After that, a null
+  // previousHash means the row was edited to skip verification.
+  let chainStarted = Boolean(previous && !isUnchained(previous));
+  let cursor = range.startId - 1;
+
+  for (;;) {
+    const batch = await AuditLog.findAll({
+      where: { id: { [Op.gt]: cursor, [Op.lte]: range.endId } },
+      order: [['id', 'ASC']],
+      limit: INTEGRITY_CONFIG.BATCH_SIZE
+    });
+
+    if (batch.length === 0) {
+      break;
+    }
+
+    for (const entry of batch) {
+      report.entriesChecked += 1;
+
+      // Record IDs missing between this entry and the previous one
+      const expectedId = previous ? previous.id + 1 : entry.id;
+      for (let id = Math.max(expectedId, range.startId); id < entry.id; id++) {
+        addId('missingIds', 'missingIdCount', id);
+      }
+
+      if (isUnchained(entry) && !chainStarted) {
+        // Written before chaining was enforced, nothing to recompute
+        addId('unchainedIds', 'unchainedCount', entry.id);
+      } else {
+        chainStarted = true;
+        const expectedPreviousHash = previous ? previous.hash || '' : '';
+
+        if (entry.previousHash !== expectedPreviousHash) {
+          report.brokenLinkCount += 1;
+          if (!report.firstBrokenLink) {
+            report.firstBrokenLink = {
+              id: entry.id,
+              previousId: previous ? previous.id : null,
+              expectedPreviousHash,
+              actualPreviousHash: isUnchained(entry) ? null : entry.previousHash
+            };
+          }
+        }
+
+        if (!isUnchained(entry) && AuditLog.computeHash(entry, entry.previousHash) !== entry.hash) {
+          addId('hashMismatches', 'hashMismatchCount', entry.id);
+        }
+      }
+
+      previous = entry;
+    }
+
+    cursor = batch[batch.length - 1].id;
+  }
+
+  report.valid = report.brokenLinkCount === 0 && report.hashMismatchCount === 0;
+
+  return report;
+};
+
+/**
+ * Verify the full chain and record the outcome in the audit log
+ * @returns {Promise<Object>} Integrity report
+ */
+const runIntegrityCheck = async () => {
+  const report = await verifyChain();
+
+  if (report.valid) {
+    logger.info(`Audit log integrity check passed (${report.entriesChecked} entries)`);
+  } else {
+    logger.error('Audit log integrity check failed', {
+      firstBrokenLink: report.firstBrokenLink,
+      brokenLinkCount: report.brokenLinkCount,
+      hashMismatchCount: report.hashMismatchCount,
+      missingIdCount: report.missingIdCount
+    });
+  }
+
+  await AuditLog.createWithHash({
+    userId: null,
+    action: report.valid ? 'AUDIT_INTEGRITY_VERIFIED' : 'AUDIT_INTEGRITY_FAILURE',
+    category: 'SECURITY',
+    entityType: 'audit',
+    details: {
+      range: report.range,
+      entriesChecked: report.entriesChecked,
+      firstBrokenLink: report.firstBrokenLink,
+      brokenLinkCount: report.brokenLinkCount,
+      hashMismatchCount: report.hashMismatchCount,
+      missingIdCount: report.missingIdCount,
+      unchainedCount: report.unchainedCount
+    }
+  });
+
+  return report;
+};
+
+/**
+ * Start the periodic audit log integrity check
+ *
+ * @param {string} [interval] - Interval in ms format (e.g. '24h'), defaults to AUDIT_INTEGRITY_CHECK_INTERVAL
+ * @returns {Object|null} Timer handle, or null when scheduling is disabled
+ */
+const scheduleIntegrityCheck = (interval = INTEGRITY_CONFIG.INTERVAL) => {
+  const intervalMs = interval && interval !== 'off' ? ms(interval) : null;
+
+  if (!intervalMs) {
+    logger.info('Scheduled audit log integrity check disabled');
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    runIntegrityCheck().catch(error => {
+      logger.error('Scheduled audit log integrity check failed to run:', error);
+    });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the schedule
+  timer.unref();
+
+  logger.info(`Scheduled audit log integrity check every ${interval}`);
+  return timer;
+};
+
+/**
+ * Write a request to the audit log once its response is sent
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} entry - Audit entry fields
+ * @param {number} entry.userId - User the request is attributed to
+ * @param {string} entry.category - Audit category
+ * @param {Object} entry.tag - Column linking the entry to the access used, e.g. `{ apiKeyId: 7 }`
+ * @param {Object} [entry.details] - Details recorded with the method, path and status code
+ * @param {string} entry.failureMessage - Logged when the entry cannot be written
+ */
+const tagRequest = (req, res, { userId, category, tag, details = {}, failureMessage }) => {
+  const actions = { GET: 'READ', POST: 'CREATE', PUT: 'UPDATE', PATCH: 'UPDATE', DELETE: 'DELETE' };
+  const pathParts = (req.originalUrl || '').split('?')[0].split('/').filter(part => part && part !== 'api');
+
+  res.on('finish', () => {
+    AuditLog.createWithHash({
+      userId,
+      action: actions[req.method] || 'OTHER',
+      category,
+      entityType: pathParts[0] || 'unknown',
+      entityId: pathParts[1] || null,
+      details: {
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ...details
+      },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      ...tag
+    }).catch((error) => {
+      logger.error(failureMessage, error);
+    });
+  });
+};
+
+module.exports = {
+  verifyChain,
+  runIntegrityCheck,
+  scheduleIntegrityCheck,
+  tagRequest
+};
@@ -4,19 +4,24 @@
  */
 const { User, Role } = require('../models');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const { Op } = require('sequelize');
 const { generateToken, blacklistToken } = require('../utils/token-manager');
 const { AppError } = require('../utils/error-handler');
 const { validatePassword } = require('../utils/password-validator');
+const notificationService = require('./notification.service');
+const ssoService = require('./sso.service');
+const lockoutService = require('./lockout.service');
 
 /**
  * Authenticate a user with username and password
  * @param {string} username - Username
  * @param {string} password - Password
+ * @param {string} [ipAddress] - Client IP address, counted towards the per-IP lockout
  * @returns {Promise<Object>} User and token information
  * @throws {AppError} If authentication fails
  */
-const authenticate = async (username, password) => {
+const authenticate = async (username, password, ipAddress) => {
   // Validate inputs
   if (!username || !password) {
     throw new AppError('Username and password are required', 400, 'VALIDATION_ERROR');
@@ -34,6 +39,7 @@ const authenticate = async (username, password) => {
 
   // Check if user exists
   if (!user) {
+    await lockoutService.recordFailure({ username, ipAddress });
     throw new AppError('Invalid username or password', 401, 'INVALID_CREDENTIALS');
   }
 
@@ -56,26 +62,34 @@ const authenticate = async (username, password) => {
     throw new AppError(message, 403, errorCode);
   }
 
+  // Check for a temporary lockout of the username or IP address
+  const lockStatus = await lockoutService.getLockStatus({ username, ipAddress });
+  if (lockStatus.locked) {
+    throw new AppError(
+      `Account is temporarily locked. Try again in ${Math.ceil(lockStatus.remainingSeconds / 60)} minutes.`,
+      403,
+      'ACCOUNT_LOCKED'
+    );
+  }
+
+  // Single sign-on users may be required to sign in through the identity provider
+  await ssoService.assertLocalPasswordAllowed(user);
+
   // Verify password
   const isPasswordValid = await bcrypt.compare(password, user.password);
   if (!isPasswordValid) {
-    // Track failed login attempts
-    user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
-    
-    // Lock account after 5 failed attempts
-    if (user.failedLoginAttempts >= 5) {
-      user.accountStatus = 'locked';
-      await user.save();
+    // Count the failure against the username and IP address
+    const { isLocked } = await lockoutService.recordFailure({ username, userId: user.id, ipAddress });
+
+    if (isLocked) {
       throw new AppError('Account locked due to too many failed login attempts', 403, 'ACCOUNT_LOCKED');
     }
-    
-    await user.save();
+
     throw new AppError('Invalid username or password', 401, 'INVALID_CREDENTIALS');
   }
 
   // Reset failed login attempts on successful login
-  user.failedLoginAttempts = 0;
-  await user.save();
+  await lockoutService.recordSuccess({ username, userId: user.id });
 
   // Generate token
   const userData = {
@@ -209,9 +223,11 @@ const requestPasswordReset = async (email) => {
     throw new AppError('User not found', 404, 'USER_NOT_FOUND');
   }
 
+  await ssoService.assertLocalPasswordAllowed(user);
+
   // Generate reset token
   const resetToken = crypto.randomBytes(20).toString('hex');
-  const resetTokenExpiry = Date.now() + 3600000; // 1 hour
+  const resetTokenExpiry = new Date(Date.now() + 3600000); // 1 hour
 
   // Store reset token in user record
   await user.update({
@@ -219,8 +235,9 @@ const requestPasswordReset = async (email) => {
     resetTokenExpiry
   });
 
-  // In a real application, send email with reset token
-  // For this example, we'll just return success
+  // Email the reset link; delivery failures are logged, not surfaced
+  await notificationService.notifyPasswordReset(user, resetToken, 60);
+
   return true;
 };
 
@@ -240,7 +257,7 @@ const resetPassword = async (token, newPassword) => {
   const user = await User.findOne({
     where: {
       resetToken: token,
-      resetTokenExpiry: { [Op.gt]: Date.now() }
+      resetTokenExpiry: { [Op.gt]: new Date() }
     }
   });
 
@@ -248,6 +265,8 @@ const resetPassword = async (token, newPassword) => {
     throw new AppError('Invalid or expired reset token', 400, 'INVALID_RESET_TOKEN');
   }
 
+  await ssoService.assertLocalPasswordAllowed(user);
+
   // Validate password strength
   const passwordValidation = validatePassword(newPassword, {
     firstName: user.firstName,
@@ -298,6 +317,8 @@ const changePassword = async (userId, currentPassword, newPassword) => {
     throw new AppError('User not found', 404, 'USER_NOT_FOUND');
   }
 
+  await ssoService.assertLocalPasswordAllowed(user);
+
   // Verify current password
   const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
   if (!isPasswordValid) {
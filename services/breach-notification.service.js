@@ -0,0 +1,495 @@
+/**
+ * Breach Notification Service - Breach risk assessments and notification deadline tracking
+ *
+ * Implements the four-factor risk assessment of 45 CFR 164.402 and derives the
+ * notifications required by 164.404 (individuals), 164.406 (media) and 164.408 (HHS).
+ *
+ * @module services/breach-notification
+ */
+const { Op } = require('sequelize');
+const { Incident, IncidentUpdate, BreachRiskAssessment, BreachNotification, User, sequelize } = require('../models');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Breach notification configuration
+ */
+const BREACH_CONFIG = {
+  // Calendar days after discovery (or after year end for the annual log) to notify
+  DEADLINE_DAYS: 60,
+  // Affected individuals at which HHS must be notified per breach and media per state
+  LARGE_BREACH_THRESHOLD: 500,
+  // Days ahead the deadline dashboard looks for upcoming deadlines
+  DASHBOARD_WINDOW_DAYS: parseInt(process.env.BREACH_DASHBOARD_WINDOW_DAYS || '30', 10)
+};
+
+/**
+ * Risk levels for each assessment factor
+ * @constant {Array<string>}
+ */
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * The four factors of 164.402(2), mapped to their risk and notes fields
+ * @constant {Array<Object>}
+ */
+const RISK_FACTORS = [
+  { key: 'natureExtent', label: 'Nature and extent of PHI involved' },
+  { key: 'unauthorizedPerson', label: 'Unauthorized person who used or received the PHI' },
+  { key: 'acquiredViewed', label: 'Whether the PHI was actually acquired or viewed' },
+  { key: 'mitigation', label: 'Extent to which the risk has been mitigated' }
+];
+
+/**
+ * Exceptions to the breach definition in 164.402(1)
+ * @constant {Array<string>}
+ */
+const BREACH_EXCEPTIONS = ['unintentional_workforce_access', 'inadvertent_authorized_disclosure', 'unable_to_retain'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add a number of days to a date
+ * @param {Date|string} date - Start date
+ * @param {number} days - Days to add
+ * @returns {Date} New date
+ */
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+/**
+ * Validate assessment input and derive the breach determination
+ *
+ * An impermissible use or disclosure is presumed to be a breach unless the PHI was
+ * secured, an exception applies, or every factor shows a low probability of compromise.
+ *
+ * @param {Object} data - Assessment input
+ * @returns {Object} Fields to save, including lowProbabilityOfCompromise and isBreach
+ * @throws {AppError} If a field is invalid
+ */
+const evaluateAssessment = (data) => {
+  const fields = {};
+
+  for (const { key } of RISK_FACTORS) {
+    const risk = data[`${key}Risk`];
+    if (!RISK_LEVELS.includes(risk)) {
+      throw new AppError(`${key}Risk must be one of: ${RISK_LEVELS.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    fields[`${key}Risk`] = risk;
+    fields[`${key}Notes`] = data[`${key}Notes`] || null;
+  }
+
+  if (data.exception !== undefined && data.exception !== null && !BREACH_EXCEPTIONS.includes(data.exception)) {
+    throw new AppError(`exception must be one of: ${BREACH_EXCEPTIONS.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+  fields.exception = data.exception || null;
+  fields.phiSecured = Boolean(data.phiSecured);
+
+  const discoveryDate = new Date(data.discoveryDate);
+  if (!data.discoveryDate || isNaN(discoveryDate.getTime())) {
+    throw new AppError('discoveryDate must be a valid date', 400, 'VALIDATION_ERROR');
+  }
+  if (discoveryDate > new Date()) {
+    throw new AppError('discoveryDate cannot be in the future', 400, 'VALIDATION_ERROR');
+  }
+  fields.discoveryDate = discoveryDate;
+
+  let stateTotal = 0;
+  if (data.affectedByState !== undefined && data.affectedByState !== null) {
+    if (typeof data.affectedByState !== 'object' || Array.isArray(data.affectedByState)) {
+      throw new AppError('affectedByState must map state codes to counts', 400, 'VALIDATION_ERROR');
+    }
+
+    fields.affectedByState = {};
+    for (const [state, count] of Object.entries(data.affectedByState)) {
+      const code = String(state).trim().toUpperCase();
+      if (!/^[A-Z]{2}$/.test(code)) {
+        throw new AppError(`Invalid state code: ${state}`, 400, 'VALIDATION_ERROR');
+      }
+      if (!Number.isInteger(count) || count < 0) {
+        throw new AppError(`Affected count for ${code} must be a non-negative whole number`, 400, 'VALIDATION_ERROR');
+      }
+      fields.affectedByState[code] = count;
+      stateTotal += count;
+    }
+  } else {
+    fields.affectedByState = null;
+  }
+
+  const affectedCount = data.affectedCount === undefined || data.affectedCount === null
+    ? stateTotal
+    : data.affectedCount;
+  if (!Number.isInteger(affectedCount) || affectedCount < 0) {
+    throw new AppError('affectedCount must be a non-negative whole number', 400, 'VALIDATION_ERROR');
+  }
+  if (stateTotal > affectedCount) {
+    throw new AppError('Affected counts by state exceed affectedCount', 400, 'VALIDATION_ERROR');
+  }
+  fields.affectedCount = affectedCount;
+
+  fields.lowProbabilityOfCompromise = RISK_FACTORS.every(({ key }) => fields[`${key}Risk`] === 'low');
+  fields.isBreach = !fields.phiSecured && !fields.exception && !fields.lowProbabilityOfCompromise;
+  fields.notes = data.notes || null;
+
+  return fields;
+};
+
+/**
+ * Compute the deadline for the annual HHS log of breaches under the threshold:
+ * 60 days after the end of the calendar year in which the breach was discovered
+ * @param {Date|string} discoveryDate - Discovery date
+ * @returns {Date} Deadline
+ */
+const getAnnualLogDeadline = (discoveryDate) => {
+  const yearEnd = new Date(Date.UTC(new Date(discoveryDate).getUTCFullYear(), 11, 31));
+  return addDays(yearEnd, BREACH_CONFIG.DEADLINE_DAYS);
+};
+
+/**
+ * Derive the notifications an assessment requires
+ * @param {Object} assessment - Evaluated assessment (isBreach, discoveryDate, affectedCount, affectedByState)
+ * @returns {Array<Object>} Required notifications with recipientType, state, affectedCount and deadline
+ */
+const deriveRequiredNotifications = (assessment) => {
+  if (!assessment.isBreach) {
+    return [];
+  }
+
+  const deadline = addDays(assessment.discoveryDate, BREACH_CONFIG.DEADLINE_DAYS);
+  const required = [
+    { recipientType: 'individuals', state: null, affectedCount: assessment.affectedCount, deadline }
+  ];
+
+  if (assessment.affectedCount >= BREACH_CONFIG.LARGE_BREACH_THRESHOLD) {
+    required.push({ recipientType: 'hhs', state: null, affectedCount: assessment.affectedCount, deadline });
+  } else {
+    required.push({
+      recipientType: 'hhs_annual_log',
+      state: null,
+      affectedCount: assessment.affectedCount,
+      deadline: getAnnualLogDeadline(assessment.discoveryDate)
+    });
+  }
+
+  Object.entries(assessment.affectedByState || {})
+    .filter(([, count]) => count >= BREACH_CONFIG.LARGE_BREACH_THRESHOLD)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([state, count]) => {
+      required.push({ recipientType: 'media', state, affectedCount: count, deadline });
+    });
+
+  return required;
+};
+
+/**
+ * Key identifying a notification within an incident
+ * @param {Object} notification - Notification
+ * @returns {string} Key
+ */
+const notificationKey = (notification) => `${notification.recipientType}:${notification.state || ''}`;
+
+/**
+ * Bring an incident's notifications in line with a new assessment
+ *
+ * Missing notifications are created and pending ones get the new counts and deadlines.
+ * Pending notifications the assessment no longer requires are cancelled; notifications
+ * already sent are never changed.
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {Object} assessment - Saved assessment
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} { created, updated, cancelled } counts
+ */
+const syncNotifications = async (incidentId, assessment, transaction) => {
+  const required = deriveRequiredNotifications(assessment);
+  const existing = await BreachNotification.findAll({
+    where: { incidentId, status: { [Op.ne]: 'cancelled' } },
+    transaction
+  });
+  const existingByKey = new Map(existing.map(notification => [notificationKey(notification), notification]));
+  const summary = { created: 0, updated: 0, cancelled: 0 };
+
+  for (const notification of required) {
+    const key = notificationKey(notification);
+    const current = existingByKey.get(key);
+    existingByKey.delete(key);
+
+    if (!current) {
+      await BreachNotification.create({
+        incidentId,
+        assessmentId: assessment.id,
+        ...notification,
+        status: 'pending'
+      }, { transaction });
+      summary.created++;
+    } else if (current.status === 'pending') {
+      await current.update({
+        assessmentId: assessment.id,
+        affectedCount: notification.affectedCount,
+        deadline: notification.deadline
+      }, { transaction });
+      summary.updated++;
+    }
+  }
+
+  for (const notification of existingByKey.values()) {
+    if (notification.status === 'pending') {
+      await notification.update({ status: 'cancelled' }, { transaction });
+      summary.cancelled++;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Add deadline information to a notification
+ * @param {Object} notification - BreachNotification
+ * @param {Date} [now] - Current time
+ * @returns {Object} Plain notification with daysRemaining and isOverdue
+ */
+const describeNotification = (notification, now = new Date()) => {
+  const plain = notification.get ? notification.get({ plain: true }) : { ...notification };
+  const pending = plain.status === 'pending';
+
+  return {
+    ...plain,
+    daysRemaining: pending ? Math.ceil((new Date(plain.deadline) - now) / DAY_MS) : null,
+    isOverdue: pending && new Date(plain.deadline) < now
+  };
+};
+
+/**
+ * Get an incident or fail
+ * @param {number} incidentId - Incident ID
+ * @returns {Promise<Object>} Incident
+ * @throws {AppError} If the incident is not found
+ */
+const findIncident = async (incidentId) => {
+  const incident = await Incident.findByPk(incidentId);
+
+  if (!incident) {
+    throw new AppError('Incident not found', 404, 'INCIDENT_NOT_FOUND');
+  }
+
+  return incident;
+};
+
+/**
+ * Get the breach assessments and notifications of an incident
+ * @param {number} incidentId - Incident ID
+ * @returns {Promise<Object>} { incidentId, isBreachable, currentAssessment, history, notifications }
+ * @throws {AppError} If the incident is not found
+ */
+const getBreachStatus = async (incidentId) => {
+  const incident = await findIncident(incidentId);
+
+  const history = await BreachRiskAssessment.findAll({
+    where: { incidentId },
+    include: [{ model: User, as: 'assessor', attributes: ['id', 'firstName', 'lastName'] }],
+    order: [['assessmentDate', 'DESC'], ['id', 'DESC']]
+  });
+
+  const notifications = await BreachNotification.findAll({
+    where: { incidentId },
+    order: [['deadline', 'ASC'], ['id', 'ASC']]
+  });
+
+  return {
+    incidentId: incident.id,
+    isBreachable: incident.isBreachable,
+    currentAssessment: history[0] || null,
+    history,
+    notifications: notifications.map(notification => describeNotification(notification))
+  };
+};
+
+/**
+ * Record a breach risk assessment and derive the required notifications
+ *
+ * The latest assessment determines the incident's breach status; earlier ones are kept as history.
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {Object} data - Assessment input (see evaluateAssessment); discoveryDate defaults to the incident's reported date
+ * @param {number} assessedBy - ID of the user making the assessment
+ * @returns {Promise<Object>} Breach status of the incident
+ * @throws {AppError} If the incident is not found or validation fails
+ */
+const recordAssessment = async (incidentId, data, assessedBy) => {
+  const incident = await findIncident(incidentId);
+  const fields = evaluateAssessment({
+    ...data,
+    discoveryDate: data.discoveryDate || incident.reportedDate
+  });
+  const now = new Date();
+
+  const summary = await sequelize.transaction(async (transaction) => {
+    const assessment = await BreachRiskAssessment.create({
+      ...fields,
+      incidentId,
+      assessedBy,
+      assessmentDate: now
+    }, { transaction });
+
+    await incident.update({
+      isBreachable: fields.isBreach,
+      breachDeterminationDate: now,
+      breachDeterminationBy: assessedBy
+    }, { transaction });
+
+    const changes = await syncNotifications(incidentId, assessment, transaction);
+
+    let reason = 'low probability that the PHI has been compromised';
+    if (fields.phiSecured) {
+      reason = 'PHI was secured';
+    } else if (fields.exception) {
+      reason = `exception applies (${fields.exception.replace(/_/g, ' ')})`;
+    }
+
+    await IncidentUpdate.create({
+      incidentId,
+      updateDate: now,
+      updatedBy: assessedBy,
+      updateType: 'breach_determination',
+      description: fields.isBreach
+        ? `Breach risk assessment: breach affecting ${fields.affectedCount} individual(s); ${changes.created} notification(s) added, ${changes.cancelled} cancelled`
+        : `Breach risk assessment: not a breach (${reason})`
+    }, { transaction });
+
+    return changes;
+  });
+
+  logger.info(`Breach risk assessment recorded for incident ${incidentId}`, summary);
+
+  return getBreachStatus(incidentId);
+};
+
+/**
+ * Update a breach notification, e.g. to record that it was sent
+ *
+ * Sending the notice to individuals also sets the incident's breachNotificationDate.
+ *
+ * @param {number} incidentId - Incident ID
+ * @param {number} notificationId - Notification ID
+ * @param {Object} data - Fields to change
+ * @param {string} [data.status] - 'pending' or 'sent'
+ * @param {Date|string} [data.sentDate] - When it was sent (defaults to now)
+ * @param {string} [data.method] - How it was sent
+ * @param {string} [data.evidencePath] - Proof of notification (required when sent)
+ * @param {string} [data.notes] - Notes
+ * @param {number} userId - ID of the user making the change
+ * @returns {Promise<Object>} Updated notification with deadline information
+ * @throws {AppError} If the notification is not found, cancelled or the input is invalid
+ */
+const updateNotification = async (incidentId, notificationId, data, userId) => {
+  const notification = await BreachNotification.findOne({ where: { id: notificationId, incidentId } });
+
+  if (!notification) {
+    throw new AppError('Breach notification not found', 404, 'NOTIFICATION_NOT_FOUND');
+  }
+
+  if (notification.status === 'cancelled') {
+    throw new AppError('Cancelled notifications cannot be changed', 400, 'NOTIFICATION_CANCELLED');
+  }
+
+  const updates = {};
+  ['method', 'evidencePath', 'notes'].forEach(field => {
+    if (data[field] !== undefined) {
+      updates[field] = data[field];
+    }
+  });
+
+  const wasSent = notification.status === 'sent';
+  const status = data.status || notification.status;
+  if (!['pending', 'sent'].includes(status)) {
+    throw new AppError('status must be one of: pending, sent', 400, 'VALIDATION_ERROR');
+  }
+
+  if (status === 'sent') {
+    const sentDate = new Date(data.sentDate || notification.sentDate || new Date());
+    if (isNaN(sentDate.getTime()) || sentDate > new Date()) {
+      throw new AppError('sentDate must be a valid date that is not in the future', 400, 'VALIDATION_ERROR');
+    }
+
+    // 164.414: the covered entity must be able to show that notice was given
+    const evidencePath = updates.evidencePath !== undefined ? updates.evidencePath : notification.evidencePath;
+    if (!evidencePath) {
+      throw new AppError('Evidence of notification is required', 400, 'EVIDENCE_REQUIRED');
+    }
+
+    Object.assign(updates, { status, sentDate, completedBy: wasSent ? notification.completedBy : userId });
+  } else {
+    Object.assign(updates, { status, sentDate: null, completedBy: null });
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await notification.update(updates, { transaction });
+
+    if (status === 'sent' && !wasSent) {
+      if (notification.recipientType === 'individuals') {
+        await Incident.update(
+          { breachNotificationDate: updates.sentDate },
+          { where: { id: incidentId }, transaction }
+        );
+      }
+
+      await IncidentUpdate.create({
+        incidentId,
+        updateDate: new Date(),
+        updatedBy: userId,
+        updateType: 'comment',
+        description: `Breach notification (${notification.recipientType.replace(/_/g, ' ')}${notification.state ? ` - ${notification.state}` : ''}) sent on ${updates.sentDate.toLocaleDateString()}`
+      }, { transaction });
+    }
+  });
+
+  return describeNotification(notification);
+};
+
+/**
+ * Get overdue and upcoming notification deadlines across all incidents
+ * @param {Object} [options] - Options
+ * @param {number} [options.windowDays] - Days ahead to include
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} { summary, overdue, upcoming }
+ */
+const getDeadlineDashboard = async ({ windowDays = BREACH_CONFIG.DASHBOARD_WINDOW_DAYS, now = new Date() } = {}) => {
+  const notifications = await BreachNotification.findAll({
+    where: {
+      status: 'pending',
+      deadline: { [Op.lte]: addDays(now, windowDays) }
+    },
+    include: [{ model: Incident, as: 'incident', attributes: ['id', 'title', 'severity', 'status'] }],
+    order: [['deadline', 'ASC'], ['id', 'ASC']]
+  });
+
+  const described = notifications.map(notification => describeNotification(notification, now));
+  const overdue = described.filter(notification => notification.isOverdue);
+  const upcoming = described.filter(notification => !notification.isOverdue);
+  const pendingTotal = await BreachNotification.count({ where: { status: 'pending' } });
+
+  return {
+    summary: {
+      overdue: overdue.length,
+      upcoming: upcoming.length,
+      pendingTotal,
+      windowDays
+    },
+    overdue,
+    upcoming
+  };
+};
+
+module.exports = {
+  BREACH_CONFIG,
+  RISK_LEVELS,
+  RISK_FACTORS,
+  BREACH_EXCEPTIONS,
+  evaluateAssessment,
+  getAnnualLogDeadline,
+  deriveRequiredNotifications,
+  syncNotifications,
+  getBreachStatus,
+  recordAssessment,
+  updateNotification,
+  getDeadlineDashboard
+};
@@ -0,0 +1,286 @@
+/**
+ * Certificate Service - Generates and verifies training completion certificates
+ * @module services/certificate
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { TrainingAssignment, TrainingCourse, User } = require('../models');
+const config = require('../config/app.config');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Certificate configuration
+ */
+const CERTIFICATE_CONFIG = {
+  // Directory certificates are written to
+  STORAGE_DIR: process.env.CERTIFICATE_DIR || path.join(__dirname, '..', 'uploads', 'certificates'),
+  ORGANIZATION_NAME: process.env.CERTIFICATE_ORGANIZATION || 'HIPAA Compliance Program',
+  // Public page or endpoint printed on certificates for verification
+  VERIFY_URL: process.env.CERTIFICATE_VERIFY_URL || `${config.server.apiUrl}/training/certificates/verify`
+};
+
+/**
+ * Verification codes are 12 hex characters in groups of four, e.g. 'A1B2-C3D4-E5F6'
+ */
+const CODE_PATTERN = /^[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}$/;
+
+/**
+ * Generate a random certificate verification code
+ * @returns {string} Verification code
+ */
+const generateVerificationCode = () => {
+  const hex = crypto.randomBytes(6).toString('hex').toUpperCase();
+  return hex.match(/.{4}/g).join('-');
+};
+
+/**
+ * Normalize a user-supplied verification code
+ * @param {string} code - Verification code as entered
+ * @returns {string|null} Normalized code, or null if it is malformed
+ */
+const normalizeCode = (code) => {
+  const compact = String(code || '').toUpperCase().replace(/[^0-9A-F]/g, '');
+  if (compact.length !== 12) {
+    return null;
+  }
+
+  const normalized = compact.match(/.{4}/g).join('-');
+  return CODE_PATTERN.test(normalized) ? normalized : null;
+};
+
+/**
+ * Format a date for printing on a certificate
+ * @param {Date|string} date - Date to format
+ * @returns {string} Formatted date, e.g. 'October 18, 2026'
+ */
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+/**
+ * Render a certificate PDF
+ * @param {Object} details - Certificate details
+ * @param {string} details.learnerName - Learner's full name
+ * @param {string} details.courseTitle - Course title
+ * @param {string} details.courseVersion - Course version completed
+ * @param {number} details.score - Score as a percentage
+ * @param {Date} details.completionDate - Completion date
+ * @param {string} details.verificationCode - Verification code
+ * @returns {Promise<Buffer>} PDF contents
+ */
+const renderCertificate = (details) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      layout: 'landscape',
+      margin: 50,
+      info: {
+        Title: `Certificate of Completion - ${details.courseTitle}`,
+        Author: CERTIFICATE_CONFIG.ORGANIZATION_NAME,
+        Subject: details.learnerName
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+    const contentWidth = width - 100;
+
+    doc.lineWidth(3).rect(25, 25, width - 50, height - 50).stroke('#1f4e79');
+    doc.lineWidth(1).rect(35, 35, width - 70, height - 70).stroke('#1f4e79');
+
+    doc.fillColor('#1f4e79').font('Helvetica-Bold').fontSize(34)
+      .text('Certificate of Completion', 50, 90, { width: contentWidth, align: 'center' });
+
+    doc.fillColor('#333333').font('Helvetica').fontSize(14)
+      .text('This certifies that', 50, 160, { width: contentWidth, align: 'center' });
+
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(28)
+      .text(details.learnerName, 50, 190, { width: contentWidth, align: 'center' });
+
+    doc.fillColor('#333333').font('Helvetica').fontSize(14)
+      .text('has successfully completed the training course', 50, 245, { width: contentWidth, align: 'center' });
+
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(22)
+      .text(details.courseTitle, 50, 275, { width: contentWidth, align: 'center' });
+
+    doc.fillColor('#333333').font('Helvetica').fontSize(13)
+      .text(`Course version ${details.courseVersion}`, 50, 310, { width: contentWidth, align: 'center' })
+      .text(`Score: ${details.score}%`, 50, 345, { width: contentWidth, align: 'center' })
+      .text(`Completed on ${formatDate(details.completionDate)}`, 50, 365, { width: contentWidth, align: 'center' });
+
+    doc.fontSize(12)
+      .text(CERTIFICATE_CONFIG.ORGANIZATION_NAME, 50, 430, { width: contentWidth, align: 'center' });
+
+    doc.fillColor('#555555').fontSize(10)
+      .text(`Verification code: ${details.verificationCode}`, 50, height - 100, { width: contentWidth, align: 'center' })
+      .text(`Verify at ${CERTIFICATE_CONFIG.VERIFY_URL}/${details.verificationCode}`, 50, height - 85, { width: contentWidth, align: 'center' });
+
+    doc.end();
+  });
+};
+
+/**
+ * Build certificate details from an assignment
+ * @param {Object} assignment - TrainingAssignment instance
+ * @param {Object} user - Learner
+ * @param {Object} course - Completed course
+ * @returns {Object} Certificate details
+ */
+const buildDetails = (assignment, user, course) => ({
+  learnerName: `${user.firstName} ${user.lastName}`,
+  courseTitle: course.title,
+  courseVersion: assignment.courseVersion || course.version,
+  score: assignment.score,
+  completionDate: assignment.completionDate,
+  verificationCode: assignment.certificateCode
+});
+
+/**
+ * Write a certificate PDF to storage
+ * @param {Object} assignment - TrainingAssignment instance with a certificate code
+ * @param {Object} user - Learner
+ * @param {Object} course - Completed course
+ * @returns {Promise<string>} Path relative to the project root
+ */
+const writeCertificate = async (assignment, user, course) => {
+  const pdf = await renderCertificate(buildDetails(assignment, user, course));
+  const fileName = `training_${assignment.id}_${assignment.certificateCode}.pdf`;
+
+  await fs.promises.mkdir(CERTIFICATE_CONFIG.STORAGE_DIR, { recursive: true });
+  const absolutePath = path.join(CERTIFICATE_CONFIG.STORAGE_DIR, fileName);
+  await fs.promises.writeFile(absolutePath, pdf);
+
+  return path.relative(path.join(__dirname, '..'), absolutePath);
+};
+
+/**
+ * Issue a certificate for a completed assignment
+ * @param {Object} assignment - Completed TrainingAssignment instance
+ * @param {Object} user - Learner
+ * @param {Object} course - Completed course
+ * @returns {Promise<Object>} Updated assignment
+ * @throws {AppError} If the assignment is not completed
+ */
+const issueCertificate = async (assignment, user, course) => {
+  if (assignment.status !== 'completed') {
+    throw new AppError('Certificates are only issued for completed training', 400, 'TRAINING_NOT_COMPLETED');
+  }
+
+  // Keep the code and version of an existing certificate so printed copies stay valid
+  const certificateCode = assignment.certificateCode || generateVerificationCode();
+  const courseVersion = assignment.courseVersion || course.version;
+
+  const certificatePath = await writeCertificate(
+    { ...assignment.get({ plain: true }), certificateCode, courseVersion },
+    user,
+    course
+  );
+
+  await assignment.update({
+    certificatePath,
+    certificateCode,
+    courseVersion,
+    certificateIssuedAt: assignment.certificateIssuedAt || new Date()
+  });
+
+  return assignment;
+};
+
+/**
+ * Get the certificate file for an assignment, regenerating it if it is missing from storage
+ * @param {number} assignmentId - TrainingAssignment ID
+ * @returns {Promise<Object>} { assignment, filePath, fileName }
+ * @throws {AppError} If the assignment is not found or not completed
+ */
+const getCertificateFile = async (assignmentId) => {
+  const assignment = await TrainingAssignment.findByPk(assignmentId, {
+    include: [
+      { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName'] },
+      { model: TrainingCourse, as: 'course' }
+    ]
+  });
+
+  if (!assignment) {
+    throw new AppError('Training assignment not found', 404, 'ASSIGNMENT_NOT_FOUND');
+  }
+
+  if (assignment.status !== 'completed') {
+    throw new AppError('No certificate is available until the training is completed', 404, 'CERTIFICATE_NOT_FOUND');
+  }
+
+  const storageRoot = path.resolve(CERTIFICATE_CONFIG.STORAGE_DIR);
+  let absolutePath = assignment.certificatePath
+    ? path.resolve(path.join(__dirname, '..', assignment.certificatePath))
+    : null;
+
+  const isStored = absolutePath &&
+    absolutePath.startsWith(storageRoot + path.sep) &&
+    fs.existsSync(absolutePath);
+
+  // Completions recorded before certificates were generated only have a placeholder path
+  if (!isStored || !assignment.certificateCode) {
+    await issueCertificate(assignment, assignment.user, assignment.course);
+    absolutePath = path.resolve(path.join(__dirname, '..', assignment.certificatePath));
+  }
+
+  return {
+    assignment,
+    filePath: absolutePath,
+    fileName: `certificate-${assignment.course.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${assignment.certificateCode}.pdf`
+  };
+};
+
+/**
+ * Verify a certificate by its code
+ * @param {string} code - Verification code
+ * @returns {Promise<Object>} Certificate details
+ * @throws {AppError} If the code is malformed or no certificate matches
+ */
+const verifyCertificate = async (code) => {
+  const certificateCode = normalizeCode(code);
+  if (!certificateCode) {
+    throw new AppError('Invalid verification code format', 400, 'INVALID_CERTIFICATE_CODE');
+  }
+
+  const assignment = await TrainingAssignment.findOne({
+    where: { certificateCode, status: 'completed' },
+    include: [
+      { model: User, as: 'user', attributes: ['firstName', 'lastName'] },
+      { model: TrainingCourse, as: 'course', attributes: ['title', 'version'], paranoid: false }
+    ]
+  });
+
+  if (!assignment) {
+    throw new AppError('No certificate found for this verification code', 404, 'CERTIFICATE_NOT_FOUND');
+  }
+
+  return {
+    valid: true,
+    verificationCode: certificateCode,
+    learnerName: `${assignment.user.firstName} ${assignment.user.lastName}`,
+    courseTitle: assignment.course.title,
+    courseVersion: assignment.courseVersion || assignment.course.version,
+    score: assignment.score,
+    completionDate: assignment.completionDate,
+    issuedAt: assignment.certificateIssuedAt
+  };
+};
+
+module.exports = {
+  CERTIFICATE_CONFIG,
+  generateVerificationCode,
+  normalizeCode,
+  renderCertificate,
+  issueCertificate,
+  getCertificateFile,
+  verifyCertificate
+};
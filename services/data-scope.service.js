@@ -0,0 +1,152 @@
+/**
+ * Data Scope Service - Row-level visibility of people and their records
+ * @module services/data-scope
+ *
+ * Users holding records:view-all (compliance officers and admins) see the users, training
+ * assignments, document acknowledgments and incidents of the whole organization. Anyone else
+ * sees their own records plus those of the people in the departments they manage, so a
+ * department manager sees their department and an employee sees only themselves.
+ *
+ * A scope is resolved once per request and turned into where clauses by the helpers below, so
+ * list endpoints, statistics and reports filter the same way.
+ */
+const { Op } = require('sequelize');
+const { User, Department } = require('../models');
+const roleService = require('./role.service');
+
+/**
+ * Data scope configuration
+ */
+const SCOPE_CONFIG = {
+  VIEW_ALL_PERMISSION: 'records:view-all'
+};
+
+const GLOBAL_SCOPE = Object.freeze({ global: true });
+
+/**
+ * Resolve the records a user may see
+ * @param {Object} user - Authenticated user with effective permissions applied
+ * @param {string} [permission] - Another permission that grants organization-wide visibility
+ * @returns {Promise<Object>} { global: true }, or { global: false, departmentIds, userIds } with
+ * the departments the user manages and the users whose records they may see
+ */
+const getScope = async (user, permission) => {
+  if (roleService.userHasPermission(user, SCOPE_CONFIG.VIEW_ALL_PERMISSION) ||
+      (permission && roleService.userHasPermission(user, permission))) {
+    return GLOBAL_SCOPE;
+  }
+
+  const departments = await Department.findAll({
+    where: { managerId: user.id },
+    attributes: ['id']
+  });
+  const departmentIds = departments.map(department => department.id);
+
+  const members = departmentIds.length > 0
+    ? await User.findAll({
+      where: { departmentId: { [Op.in]: departmentIds } },
+      attributes: ['id']
+    })
+    : [];
+
+  return {
+    global: false,
+    departmentIds,
+    userIds: [...new Set([user.id, ...members.map(member => member.id)])]
+  };
+};
+
+/**
+ * Where clause limiting a query to records owned by users in scope
+ * @param {Object} scope - Scope from getScope
+ * @param {string} [field='userId'] - Attribute holding the owner's user ID
+ * @returns {Object} Where clause, empty for a global scope
+ */
+const ownerWhere = (scope, field = 'userId') => {
+  return scope.global ? {} : { [field]: { [Op.in]: scope.userIds } };
+};
+
+/**
+ * Where clause limiting a User query to users in scope
+ * @param {Object} scope - Scope from getScope
+ * @returns {Object} Where clause, empty for a global scope
+ */
+const userWhere = (scope) => ownerWhere(scope, 'id');
+
+/**
+ * Where clause limiting a Department query to the departments in scope
+ * @param {Object} scope - Scope from getScope
+ * @returns {Object} Where clause, empty for a global scope
+ */
+const departmentWhere = (scope) => {
+  return scope.global ? {} : { id: { [Op.in]: scope.departmentIds } };
+};
+
+/**
+ * Where clause limiting an Incident query to incidents reported by or assigned to users in scope
+ * @param {Object} scope - Scope from getScope
+ * @returns {Object} Where clause, empty for a global scope
+ */
+const incidentWhere = (scope) => {
+  if (scope.global) {
+    return {};
+  }
+
+  return {
+    [Op.or]: [
+      { reportedBy: { [Op.in]: scope.userIds } },
+      { assignedTo: { [Op.in]: scope.userIds } }
+    ]
+  };
+};
+
+/**
+ * SQL condition equivalent to incidentWhere, for raw queries on the incidents table
+ * @param {Object} scope - Scope from getScope
+ * @returns {Object} { sql, replacements }, where sql is '' for a global scope and otherwise a
+ * condition starting with AND
+ */
+const incidentSql = (scope) => {
+  if (scope.global) {
+    return { sql: '', replacements: {} };
+  }
+
+  return {
+    sql: 'AND ("reportedBy" IN (:scopeUserIds) OR "assignedTo" IN (:scopeUserIds))',
+    replacements: { scopeUserIds: scope.userIds }
+  };
+};
+
+/**
+ * Whether a user's records are in scope
+ * @param {Object} scope - Scope from getScope
+ * @param {number|string} userId - User ID
+ * @returns {boolean} True when visible
+ */
+const canSeeUser = (scope, userId) => {
+  return scope.global || scope.userIds.includes(Number(userId));
+};
+
+/**
+ * Whether an incident is in scope
+ * @param {Object} scope - Scope from getScope
+ * @param {Object} incident - Incident with reportedBy and assignedTo
+ * @returns {boolean} True when visible
+ */
+const canSeeIncident = (scope, incident) => {
+  return scope.global ||
+    canSeeUser(scope, incident.reportedBy) ||
+    (incident.assignedTo != null && canSeeUser(scope, incident.assignedTo));
+};
+
+module.exports = {
+  SCOPE_CONFIG,
+  getScope,
+  ownerWhere,
+  userWhere,
+  departmentWhere,
+  incidentWhere,
+  incidentSql,
+  canSeeUser,
+  canSeeIncident
+};
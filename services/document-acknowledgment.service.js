@@ -0,0 +1,130 @@
+/**
+ * Document Acknowledgment Service - Tracks which document version each user has acknowledged
+ * @module services/document-acknowledgment
+ *
+ * An acknowledgment stays valid across minor revisions of a document; a new major
+ * version reopens the acknowledgment requirement for everyone.
+ */
+const { Document, DocumentAcknowledgment, DocumentVersion, User } = require('../models');
+const { parseVersion, compareVersions } = require('./document-version.service');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Check whether an acknowledged version still satisfies the document's current version
+ * @param {string} acknowledgedVersion - Version number that was acknowledged
+ * @param {string} currentVersion - Document's current version number
+ * @returns {boolean} True when both share the same major version
+ */
+const isCurrentAcknowledgment = (acknowledgedVersion, currentVersion) => {
+  return parseVersion(acknowledgedVersion)[0] === parseVersion(currentVersion)[0];
+};
+
+/**
+ * Acknowledge the current version of a document
+ *
+ * @param {number} documentId - Document ID
+ * @param {number} userId - Acknowledging user
+ * @param {Object} [details] - Acknowledgment details
+ * @param {string} [details.ipAddress] - Client IP address
+ * @param {string} [details.notes] - Notes regarding the acknowledgment
+ * @returns {Promise<Object>} The new DocumentAcknowledgment
+ * @throws {AppError} If the document is not found or the current version was already acknowledged
+ */
+const acknowledge = async (documentId, userId, { ipAddress, notes } = {}) => {
+  const document = await Document.findByPk(documentId);
+  if (!document) {
+    throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+
+  const previous = await DocumentAcknowledgment.findAll({
+    where: { documentId, userId },
+    attributes: ['id', 'versionNumber']
+  });
+
+  if (previous.some(ack => isCurrentAcknowledgment(ack.versionNumber, document.version))) {
+    throw new AppError('Document already acknowledged', 400, 'ALREADY_ACKNOWLEDGED');
+  }
+
+  const currentVersion = await DocumentVersion.findOne({
+    where: { documentId, versionNumber: document.version },
+    attributes: ['id']
+  });
+
+  return DocumentAcknowledgment.create({
+    documentId,
+    userId,
+    acknowledgmentDate: new Date(),
+    versionNumber: document.version,
+    documentVersionId: currentVersion ? currentVersion.id : null,
+    ipAddress,
+    notes
+  });
+};
+
+/**
+ * Summarize acknowledgment status of a document across active users
+ *
+ * @param {Object} document - Document instance
+ * @param {number} totalUsers - Number of active users expected to acknowledge
+ * @param {Object} [userWhere={}] - Conditions limiting the users counted, matching totalUsers
+ * @returns {Promise<Object>} Acknowledgment status including users on an outdated version
+ */
+const getAcknowledgmentStatus = async (document, totalUsers, userWhere = {}) => {
+  const acknowledgments = await DocumentAcknowledgment.findAll({
+    where: { documentId: document.id },
+    attributes: ['userId', 'versionNumber', 'acknowledgmentDate'],
+    include: [
+      {
+        model: User,
+        as: 'user',
+        where: { accountStatus: 'active', ...userWhere },
+        attributes: ['id', 'firstName', 'lastName', 'email']
+      }
+    ]
+  });
+
+  // Keep the highest acknowledged version per user
+  const latestByUser = new Map();
+  for (const ack of acknowledgments) {
+    const latest = latestByUser.get(ack.userId);
+    if (!latest || compareVersions(ack.versionNumber, latest.versionNumber) > 0) {
+      latestByUser.set(ack.userId, ack);
+    }
+  }
+
+  let acknowledged = 0;
+  const outdatedUsers = [];
+
+  for (const ack of latestByUser.values()) {
+    if (isCurrentAcknowledgment(ack.versionNumber, document.version)) {
+      acknowledged += 1;
+    } else {
+      outdatedUsers.push({
+        id: ack.user.id,
+        firstName: ack.user.firstName,
+        lastName: ack.user.lastName,
+        email: ack.user.email,
+        acknowledgedVersion: ack.versionNumber,
+        acknowledgmentDate: ack.acknowledgmentDate
+      });
+    }
+  }
+
+  return {
+    documentId: document.id,
+    title: document.title,
+    currentVersion: document.version,
+    totalUsers,
+    acknowledged,
+    outdated: outdatedUsers.length,
+    notAcknowledged: totalUsers - acknowledged,
+    acknowledgmentRate: totalUsers > 0 ? Math.round((acknowledged / totalUsers) * 100) : 0,
+    outdatedUsers
+  };
+};
+
+module.exports = {
+  isCurrentAcknowledgment,
+  acknowledge,
+  getAcknowledgmentStatus
+};
@@ -0,0 +1,327 @@
+/**
+ * Document Version Service - Handles document revision history, retention and restore
+ * @module services/document-version
+ */
+const fs = require('fs');
+const path = require('path');
+const { Document, DocumentVersion, User, sequelize } = require('../models');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Versioning configuration
+ */
+const VERSION_CONFIG = {
+  // HIPAA requires documentation to be kept for six years after it was last in effect (45 CFR § 164.316(b)(2)(i))
+  RETENTION_YEARS: parseInt(process.env.DOCUMENT_RETENTION_YEARS || '6', 10),
+  // Directory all document files must live under
+  UPLOAD_ROOT: path.join(__dirname, '..', 'uploads')
+};
+
+/**
+ * Version numbers are dot-separated integers, e.g. '1.0' or '2.1.3'
+ */
+const VERSION_PATTERN = /^\d+(\.\d+)*$/;
+
+/**
+ * Split a version number into numeric parts
+ * @param {string} versionNumber - Version number (e.g. '2.1')
+ * @returns {Array<number>} Numeric parts, always at least [major, minor]
+ */
+const parseVersion = (versionNumber) => {
+  const parts = String(versionNumber || '0').split('.').map(part => parseInt(part, 10) || 0);
+  while (parts.length < 2) {
+    parts.push(0);
+  }
+  return parts;
+};
+
+/**
+ * Compare two version numbers
+ * @param {string} a - First version number
+ * @param {string} b - Second version number
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+const compareVersions = (a, b) => {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  const length = Math.max(left.length, right.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+
+  return 0;
+};
+
+/**
+ * Calculate the next version number
+ * @param {string} versionNumber - Current version number
+ * @param {string} [level='minor'] - 'major' or 'minor'
+ * @returns {string} Next version number
+ */
+const bumpVersion = (versionNumber, level = 'minor') => {
+  const [major, minor] = parseVersion(versionNumber);
+  return level === 'major' ? `${major + 1}.0` : `${major}.${minor + 1}`;
+};
+
+/**
+ * Calculate until when a version must be retained
+ * @param {Object} version - DocumentVersion instance
+ * @returns {Date|null} Retention end date, or null while the version is current
+ */
+const getRetentionDate = (version) => {
+  if (!version.supersededAt) {
+    return null;
+  }
+
+  const retainUntil = new Date(version.supersededAt);
+  retainUntil.setFullYear(retainUntil.getFullYear() + VERSION_CONFIG.RETENTION_YEARS);
+  return retainUntil;
+};
+
+/**
+ * Record the document's current state as its first version if it has no history yet.
+ * Called when a document is created and before a revision is published; documents that
+ * predate versioning are backfilled by the migration
+ *
+ * @param {Object} document - Document instance
+ * @param {Object} [options] - Version details
+ * @param {string} [options.fileName] - Original name of the uploaded file
+ * @param {string} [options.changeSummary] - Change summary for the initial version
+ * @param {Date|string} [options.effectiveDate] - Date the version takes effect
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Object>} The current DocumentVersion
+ */
+const ensureInitialVersion = async (document, options = {}) => {
+  const { fileName, changeSummary, effectiveDate, transaction } = options;
+
+  const current = await DocumentVersion.findOne({
+    where: { documentId: document.id, supersededAt: null },
+    order: [['id', 'DESC']],
+    transaction
+  });
+
+  if (current) {
+    return current;
+  }
+
+  return DocumentVersion.create({
+    documentId: document.id,
+    versionNumber: document.version,
+    filePath: document.filePath,
+    fileName: fileName || (document.filePath ? path.basename(document.filePath) : null),
+    changeSummary: changeSummary || 'Initial version',
+    authorId: document.createdBy,
+    effectiveDate: effectiveDate ? new Date(effectiveDate) : document.createdAt || new Date()
+  }, { transaction });
+};
+
+/**
+ * Publish a new revision of a document, superseding (but keeping) the current one
+ *
+ * @param {Object} document - Document instance
+ * @param {Object} revision - Revision details
+ * @param {string} [revision.versionNumber] - New version number (defaults to the next minor version)
+ * @param {string} [revision.filePath] - File for the revision (defaults to the current file)
+ * @param {string} [revision.fileName] - Original name of the uploaded file
+ * @param {string} [revision.changeSummary] - Description of the change
+ * @param {Date|string} [revision.effectiveDate] - Date the revision takes effect (defaults to now)
+ * @param {number} [revision.authorId] - User publishing the revision
+ * @param {number} [revision.restoredFromId] - Version being restored, if any
+ * @param {Object} [documentUpdates] - Other document fields to update in the same transaction
+ * @returns {Promise<Object>} The new DocumentVersion
+ * @throws {AppError} If the version number is invalid, not increasing or already used
+ */
+const createRevision = async (document, revision, documentUpdates = {}) => {
+  const versionNumber = revision.versionNumber || bumpVersion(document.version);
+
+  if (!VERSION_PATTERN.test(versionNumber)) {
+    throw new AppError('Version must be dot-separated numbers (e.g. 2.0)', 400, 'INVALID_VERSION');
+  }
+
+  if (compareVersions(versionNumber, document.version) <= 0) {
+    throw new AppError(`Version must be greater than the current version ${document.version}`, 400, 'VERSION_NOT_INCREASED');
+  }
+
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const current = await ensureInitialVersion(document, { transaction });
+
+      const existing = await DocumentVersion.findOne({
+        where: { documentId: document.id, versionNumber },
+        transaction
+      });
+
+      if (existing) {
+        throw new AppError(`Version ${versionNumber} already exists for this document`, 409, 'VERSION_EXISTS');
+      }
+
+      const filePath = revision.filePath !== undefined ? revision.filePath : document.filePath;
+      const now = new Date();
+
+      await current.update({ supersededAt: now }, { transaction });
+
+      const version = await DocumentVersion.create({
+        documentId: document.id,
+        versionNumber,
+        filePath,
+        fileName: revision.fileName || (filePath === current.filePath ? current.fileName : null),
+        changeSummary: revision.changeSummary || null,
+        authorId: revision.authorId || null,
+        effectiveDate: revision.effectiveDate ? new Date(revision.effectiveDate) : now,
+        restoredFromId: revision.restoredFromId || null
+      }, { transaction });
+
+      await document.update({
+        ...documentUpdates,
+        version: versionNumber,
+        filePath
+      }, { transaction });
+
+      return version;
+    });
+  } catch (error) {
+    // Concurrent revisions racing for the same version number
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      throw new AppError(`Version ${versionNumber} already exists for this document`, 409, 'VERSION_EXISTS');
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Find a document or fail
+ * @param {number} documentId - Document ID
+ * @returns {Promise<Object>} Document instance
+ * @throws {AppError} If the document does not exist
+ */
+const findDocument = async (documentId) => {
+  const document = await Document.findByPk(documentId);
+
+  if (!document) {
+    throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+
+  return document;
+};
+
+/**
+ * Get the full version history of a document, newest first
+ * @param {number} documentId - Document ID
+ * @returns {Promise<Array>} Versions with retention information
+ * @throws {AppError} If the document does not exist
+ */
+const getVersions = async (documentId) => {
+  await findDocument(documentId);
+
+  const versions = await DocumentVersion.findAll({
+    where: { documentId },
+    include: [
+      {
+        model: User,
+        as: 'author',
+        attributes: ['id', 'firstName', 'lastName']
+      }
+    ],
+    order: [['effectiveDate', 'DESC'], ['id', 'DESC']]
+  });
+
+  return versions.map(version => ({
+    ...version.toJSON(),
+    isCurrent: !version.supersededAt,
+    retainUntil: getRetentionDate(version)
+  }));
+};
+
+/**
+ * Get a single version of a document
+ * @param {number} documentId - Document ID
+ * @param {number} versionId - DocumentVersion ID
+ * @returns {Promise<Object>} DocumentVersion instance
+ * @throws {AppError} If the version does not belong to the document
+ */
+const getVersion = async (documentId, versionId) => {
+  const version = await DocumentVersion.findOne({
+    where: { id: versionId, documentId }
+  });
+
+  if (!version) {
+    throw new AppError('Document version not found', 404, 'VERSION_NOT_FOUND');
+  }
+
+  return version;
+};
+
+/**
+ * Resolve the file of a version on disk for download
+ * @param {Object} version - DocumentVersion instance
+ * @returns {string} Absolute path to the file
+ * @throws {AppError} If the version has no file or the file is missing
+ */
+const resolveVersionFile = (version) => {
+  if (!version.filePath) {
+    throw new AppError('This version has no file attached', 404, 'FILE_NOT_FOUND');
+  }
+
+  const absolutePath = path.resolve(path.join(__dirname, '..', version.filePath));
+
+  // Never serve anything outside the upload directory
+  if (!absolutePath.startsWith(VERSION_CONFIG.UPLOAD_ROOT + path.sep)) {
+    throw new AppError('Invalid file path', 400, 'INVALID_FILE_PATH');
+  }
+
+  if (!fs.existsSync(absolutePath)) {
+    throw new AppError('File for this version is missing from storage', 404, 'FILE_NOT_FOUND');
+  }
+
+  return absolutePath;
+};
+
+/**
+ * Restore an earlier version by publishing it again as a new revision,
+ * so the history stays linear and nothing is overwritten
+ *
+ * @param {number} documentId - Document ID
+ * @param {number} versionId - DocumentVersion ID to restore
+ * @param {Object} options - Restore options
+ * @param {number} options.authorId - User performing the restore
+ * @param {string} [options.versionNumber] - Version number for the restored revision
+ * @param {string} [options.changeSummary] - Change summary (defaults to a restore note)
+ * @returns {Promise<Object>} The new DocumentVersion
+ * @throws {AppError} If the version is not found or is already current
+ */
+const restoreVersion = async (documentId, versionId, options) => {
+  const document = await findDocument(documentId);
+  const version = await getVersion(documentId, versionId);
+
+  if (!version.supersededAt) {
+    throw new AppError('This version is already the current version', 400, 'VERSION_IS_CURRENT');
+  }
+
+  return createRevision(document, {
+    versionNumber: options.versionNumber,
+    filePath: version.filePath,
+    fileName: version.fileName,
+    changeSummary: options.changeSummary || `Restored from version ${version.versionNumber}`,
+    authorId: options.authorId,
+    restoredFromId: version.id
+  });
+};
+
+module.exports = {
+  VERSION_CONFIG,
+  parseVersion,
+  compareVersions,
+  bumpVersion,
+  getRetentionDate,
+  ensureInitialVersion,
+  createRevision,
+  getVersions,
+  getVersion,
+  resolveVersionFile,
+  restoreVersion
+};
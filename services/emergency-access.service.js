@@ -0,0 +1,479 @@
+/**
+ * Emergency Access Service - Break-glass activation, elevation, audit tagging and review
+ * @module services/emergency-access
+ *
+ * Implements the emergency access procedure of HIPAA 164.312(a)(2)(ii). A user designated
+ * as break-glass eligible can activate emergency access with a written justification. For a
+ * limited window their role's permissions are extended with those of the break-glass role,
+ * every request they make is tagged in the audit log, and compliance officers are alerted
+ * and must sign off a review once the window closes.
+ */
+const { Op } = require('sequelize');
+const { EmergencyAccessGrant, Role, User, AuditLog } = require('../models');
+const auditService = require('./audit.service');
+const cacheService = require('./cache.service');
+const notificationService = require('./notification.service');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Emergency access configuration
+ */
+const EMERGENCY_ACCESS_CONFIG = {
+  // Role whose permissions are granted during the window
+  ROLE: process.env.BREAK_GLASS_ROLE || 'Admin',
+  DEFAULT_DURATION_MINUTES: parseInt(process.env.BREAK_GLASS_DURATION_MINUTES || '60', 10),
+  MAX_DURATION_MINUTES: parseInt(process.env.BREAK_GLASS_MAX_DURATION_MINUTES || '240', 10),
+  MIN_JUSTIFICATION_LENGTH: 20,
+  // Days compliance officers have to review an activation
+  REVIEW_DUE_DAYS: parseInt(process.env.BREAK_GLASS_REVIEW_DUE_DAYS || '3', 10),
+  // How long the active grant (or its absence) is cached per user
+  CACHE_TTL_SECONDS: 60
+};
+
+const USER_ATTRIBUTES = ['id', 'username', 'firstName', 'lastName', 'email'];
+
+/**
+ * Cache key of a user's active grant
+ * @param {number} userId - User ID
+ * @returns {string} Cache key
+ */
+const cacheKey = (userId) => `emergency-access:user:${userId}`;
+
+/**
+ * Read role permissions, which may be stored as a JSON string
+ * @param {Object|string} permissions - Stored permissions
+ * @returns {Object} Permissions object
+ */
+const parsePermissions = (permissions) => {
+  if (!permissions) {
+    return {};
+  }
+
+  if (typeof permissions === 'string') {
+    try {
+      return JSON.parse(permissions) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  return permissions;
+};
+
+/**
+ * Write an emergency access audit entry tagged with the grant (failures are logged, not thrown)
+ * @param {number} userId - Acting user
+ * @param {string} action - Audit action
+ * @param {Object} grant - Emergency access grant
+ * @param {Object} details - Details
+ */
+const audit = async (userId, action, grant, details) => {
+  try {
+    await AuditLog.createWithHash({
+      userId,
+      action,
+      category: 'SECURITY',
+      entityType: 'EmergencyAccessGrant',
+      entityId: grant.id,
+      details,
+      emergencyAccessGrantId: grant.id
+    });
+  } catch (error) {
+    logger.error(`Failed to write ${action} audit entry for emergency access grant ${grant.id}:`, error);
+  }
+};
+
+/**
+ * Get a grant or fail
+ * @param {number} id - Grant ID
+ * @param {Object} [options] - Sequelize find options
+ * @returns {Promise<Object>} Grant
+ * @throws {AppError} If the grant is not found
+ */
+const findGrant = async (id, options = {}) => {
+  const grant = await EmergencyAccessGrant.findByPk(id, options);
+
+  if (!grant) {
+    throw new AppError('Emergency access grant not found', 404, 'EMERGENCY_ACCESS_NOT_FOUND');
+  }
+
+  return grant;
+};
+
+/**
+ * Close grants whose window has passed
+ * @param {Object} [where] - Extra conditions (e.g. a user ID)
+ * @returns {Promise<number>} Number of grants expired
+ */
+const expireGrants = async (where = {}) => {
+  const [count] = await EmergencyAccessGrant.update(
+    { status: 'expired' },
+    { where: { ...where, status: 'active', expiresAt: { [Op.lte]: new Date() } } }
+  );
+
+  return count;
+};
+
+/**
+ * Get a user's active grant. Cached briefly because it is checked on every request.
+ * Errors deny elevation rather than failing the request.
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Active grant (plain object) or null
+ */
+const getActiveGrant = async (userId) => {
+  try {
+    const cached = await cacheService.get(cacheKey(userId));
+    let grant = cached ? cached.grant : undefined;
+
+    if (grant === undefined) {
+      await expireGrants({ userId });
+      const record = await EmergencyAccessGrant.findOne({
+        where: { userId, status: 'active' },
+        attributes: ['id', 'userId', 'grantedPermissions', 'expiresAt']
+      });
+      grant = record ? record.get({ plain: true }) : null;
+      await cacheService.set(cacheKey(userId), { grant }, EMERGENCY_ACCESS_CONFIG.CACHE_TTL_SECONDS);
+    }
+
+    if (grant && new Date(grant.expiresAt) <= new Date()) {
+      return null;
+    }
+
+    return grant;
+  } catch (error) {
+    logger.error(`Failed to check emergency access for user ${userId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Extend a loaded user's role permissions with those of a grant. Only the in-memory
+ * role is changed; the stored role is never updated.
+ * @param {Object} user - User with role
+ * @param {Object} grant - Active grant
+ */
+const applyGrant = (user, grant) => {
+  if (!user.role) {
+    return;
+  }
+
+  user.role.permissions = {
+    ...parsePermissions(user.role.permissions),
+    ...parsePermissions(grant.grantedPermissions),
+    emergencyAccess: true
+  };
+};
+
+/**
+ * Tag a request made under a grant in the audit log once the response is sent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} grant - Active grant
+ */
+const tagRequest = (req, res, grant) => {
+  auditService.tagRequest(req, res, {
+    userId: grant.userId,
+    category: 'EMERGENCY_ACCESS',
+    tag: { emergencyAccessGrantId: grant.id },
+    failureMessage: `Failed to tag request under emergency access grant ${grant.id}:`
+  });
+};
+
+/**
+ * Get the permissions granted during a break-glass window
+ * @returns {Promise<Object>} Permissions of the break-glass role
+ * @throws {AppError} If the role does not exist
+ */
+const getElevatedPermissions = async () => {
+  const role = await Role.findOne({ where: { name: EMERGENCY_ACCESS_CONFIG.ROLE } });
+
+  if (!role) {
+    throw new AppError(`Break-glass role "${EMERGENCY_ACCESS_CONFIG.ROLE}" does not exist`, 500, 'EMERGENCY_ACCESS_ROLE_MISSING');
+  }
+
+  const permissions = parsePermissions(role.permissions);
+
+  // The Admin role is recognised by name, so make the grant explicit
+  return role.name === 'Admin' ? { ...permissions, isAdmin: true } : permissions;
+};
+
+/**
+ * Activate break-glass emergency access
+ * @param {Object} user - User activating emergency access
+ * @param {Object} data - Activation data
+ * @param {string} data.justification - Why emergency access is needed
+ * @param {number} [data.durationMinutes] - Length of the window
+ * @param {Object} [requestInfo] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Created grant
+ * @throws {AppError} If the user is not eligible, the input is invalid or a grant is already active
+ */
+const activate = async (user, { justification, durationMinutes } = {}, requestInfo = {}) => {
+  if (!user.breakGlassEligible) {
+    throw new AppError('This account is not designated for emergency access', 403, 'EMERGENCY_ACCESS_NOT_ELIGIBLE');
+  }
+
+  const reason = typeof justification === 'string' ? justification.trim() : '';
+  if (reason.length < EMERGENCY_ACCESS_CONFIG.MIN_JUSTIFICATION_LENGTH) {
+    throw new AppError(
+      `A justification of at least ${EMERGENCY_ACCESS_CONFIG.MIN_JUSTIFICATION_LENGTH} characters is required`,
+      400,
+      'VALIDATION_ERROR'
+    );
+  }
+
+  const minutes = durationMinutes === undefined || durationMinutes === null
+    ? EMERGENCY_ACCESS_CONFIG.DEFAULT_DURATION_MINUTES
+    : Number(durationMinutes);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > EMERGENCY_ACCESS_CONFIG.MAX_DURATION_MINUTES) {
+    throw new AppError(
+      `durationMinutes must be between 1 and ${EMERGENCY_ACCESS_CONFIG.MAX_DURATION_MINUTES}`,
+      400,
+      'VALIDATION_ERROR'
+    );
+  }
+
+  await expireGrants({ userId: user.id });
+  const existing = await EmergencyAccessGrant.findOne({ where: { userId: user.id, status: 'active' } });
+  if (existing) {
+    throw new AppError('Emergency access is already active for this account', 409, 'EMERGENCY_ACCESS_ACTIVE');
+  }
+
+  const now = new Date();
+  const grant = await EmergencyAccessGrant.create({
+    userId: user.id,
+    justification: reason,
+    grantedPermissions: await getElevatedPermissions(),
+    status: 'active',
+    activatedAt: now,
+    expiresAt: new Date(now.getTime() + minutes * 60 * 1000),
+    ipAddress: requestInfo.ipAddress || null,
+    userAgent: requestInfo.userAgent || null,
+    reviewStatus: 'pending',
+    reviewDueAt: new Date(now.getTime() + (minutes * 60 * 1000) + EMERGENCY_ACCESS_CONFIG.REVIEW_DUE_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  await cacheService.del(cacheKey(user.id));
+
+  await audit(user.id, 'BREAK_GLASS_ACTIVATED', grant, {
+    justification: reason,
+    durationMinutes: minutes,
+    role: EMERGENCY_ACCESS_CONFIG.ROLE,
+    ipAddress: requestInfo.ipAddress
+  });
+
+  logger.warn(`Break-glass emergency access activated by user ${user.id} (grant ${grant.id}) until ${grant.expiresAt.toISOString()}`);
+
+  const alerts = await notificationService.notifyEmergencyAccessActivated(grant, user);
+  if (alerts.sent === 0) {
+    logger.error(`No compliance officer was notified of emergency access grant ${grant.id}`);
+  }
+
+  return grant;
+};
+
+/**
+ * Close an active window early
+ * @param {number} id - Grant ID
+ * @param {Object} actor - { id, canReview } of the user closing the window
+ * @returns {Promise<Object>} Updated grant
+ * @throws {AppError} If the grant is not active or the actor may not close it
+ */
+const endGrant = async (id, actor) => {
+  const grant = await findGrant(id);
+
+  if (Number(grant.userId) !== Number(actor.id) && !actor.canReview) {
+    throw new AppError('Only the user or a compliance officer can end emergency access', 403, 'FORBIDDEN');
+  }
+
+  if (grant.status !== 'active' || new Date(grant.expiresAt) <= new Date()) {
+    throw new AppError('Emergency access is not active', 409, 'EMERGENCY_ACCESS_NOT_ACTIVE');
+  }
+
+  await grant.update({ status: 'ended', endedAt: new Date(), endedBy: actor.id });
+  await cacheService.del(cacheKey(grant.userId));
+
+  await audit(actor.id, 'BREAK_GLASS_ENDED', grant, {
+    endedBy: actor.id,
+    minutesUsed: Math.ceil((grant.endedAt - new Date(grant.activatedAt)) / 60000)
+  });
+
+  return grant;
+};
+
+/**
+ * List grants
+ * @param {Object} [filters] - { status, reviewStatus, userId }
+ * @returns {Promise<Array>} Grants, newest first
+ */
+const listGrants = async ({ status, reviewStatus, userId } = {}) => {
+  await expireGrants();
+
+  const where = {};
+  if (status) {
+    where.status = status;
+  }
+  if (reviewStatus) {
+    where.reviewStatus = reviewStatus;
+  }
+  if (userId) {
+    where.userId = userId;
+  }
+
+  return EmergencyAccessGrant.findAll({
+    where,
+    include: [
+      { model: User, as: 'user', attributes: USER_ATTRIBUTES },
+      { model: User, as: 'reviewer', attributes: USER_ATTRIBUTES }
+    ],
+    order: [['activatedAt', 'DESC']]
+  });
+};
+
+/**
+ * Get a grant with the actions taken under it
+ * @param {number} id - Grant ID
+ * @returns {Promise<Object>} Grant and its tagged audit entries
+ * @throws {AppError} If the grant is not found
+ */
+const getGrant = async (id) => {
+  await expireGrants({ id });
+
+  const grant = await findGrant(id, {
+    include: [
+      { model: User, as: 'user', attributes: USER_ATTRIBUTES },
+      { model: User, as: 'endedByUser', attributes: USER_ATTRIBUTES },
+      { model: User, as: 'reviewer', attributes: USER_ATTRIBUTES }
+    ]
+  });
+
+  const actions = await AuditLog.findAll({
+    where: { emergencyAccessGrantId: grant.id },
+    attributes: ['id', 'userId', 'action', 'category', 'entityType', 'entityId', 'details', 'ipAddress', 'timestamp'],
+    order: [['id', 'ASC']]
+  });
+
+  return { grant, actions };
+};
+
+/**
+ * Sign off the after-the-fact review of a grant
+ * @param {number} id - Grant ID
+ * @param {Object} data - { approved, notes }; notes are always required
+ * @param {Object} reviewer - Reviewing user, with the request's emergencyAccess if any
+ * @returns {Promise<Object>} Updated grant
+ * @throws {AppError} If the window is still open, the grant was already reviewed or the reviewer used it
+ */
+const reviewGrant = async (id, { approved, notes } = {}, reviewer) => {
+  if (typeof approved !== 'boolean') {
+    throw new AppError('approved must be true or false', 400, 'VALIDATION_ERROR');
+  }
+
+  if (!notes || !String(notes).trim()) {
+    throw new AppError('Review notes are required', 400, 'VALIDATION_ERROR');
+  }
+
+  if (reviewer.emergencyAccess) {
+    throw new AppError('Emergency access cannot be used to review emergency access', 403, 'EMERGENCY_ACCESS_REVIEW_FORBIDDEN');
+  }
+
+  await expireGrants({ id });
+  const grant = await findGrant(id);
+
+  if (Number(grant.userId) === Number(reviewer.id)) {
+    throw new AppError('Emergency access must be reviewed by someone other than the person who used it', 403, 'SELF_APPROVAL_NOT_ALLOWED');
+  }
+
+  if (grant.status === 'active') {
+    throw new AppError('Emergency access can only be reviewed after it has ended', 409, 'EMERGENCY_ACCESS_ACTIVE');
+  }
+
+  if (grant.reviewStatus !== 'pending') {
+    throw new AppError('This emergency access has already been reviewed', 409, 'EMERGENCY_ACCESS_ALREADY_REVIEWED');
+  }
+
+  await grant.update({
+    reviewStatus: approved ? 'approved' : 'rejected',
+    reviewedBy: reviewer.id,
+    reviewedAt: new Date(),
+    reviewNotes: String(notes).trim()
+  });
+
+  await audit(reviewer.id, approved ? 'BREAK_GLASS_REVIEW_APPROVED' : 'BREAK_GLASS_REVIEW_REJECTED', grant, {
+    grantUserId: grant.userId,
+    notes: grant.reviewNotes
+  });
+
+  return grant;
+};
+
+/**
+ * Designate whether a user may activate emergency access
+ * @param {number} userId - User ID
+ * @param {boolean} eligible - Whether the user is eligible
+ * @param {Object} actor - Administrator making the change, with the request's emergencyAccess if any
+ * @returns {Promise<Object>} Updated user
+ * @throws {AppError} If the user is not found or the actor is using emergency access
+ */
+const setEligibility = async (userId, eligible, actor) => {
+  if (typeof eligible !== 'boolean') {
+    throw new AppError('eligible must be true or false', 400, 'VALIDATION_ERROR');
+  }
+
+  if (actor.emergencyAccess) {
+    throw new AppError('Emergency access cannot be used to change break-glass designations', 403, 'EMERGENCY_ACCESS_DESIGNATION_FORBIDDEN');
+  }
+
+  const user = await User.findByPk(userId, { attributes: [...USER_ATTRIBUTES, 'breakGlassEligible'] });
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  if (user.breakGlassEligible !== eligible) {
+    await user.update({ breakGlassEligible: eligible });
+
+    try {
+      await AuditLog.createWithHash({
+        userId: actor.id,
+        action: eligible ? 'BREAK_GLASS_DESIGNATED' : 'BREAK_GLASS_DESIGNATION_REMOVED',
+        category: 'SECURITY',
+        entityType: 'User',
+        entityId: user.id,
+        details: { breakGlassEligible: eligible }
+      });
+    } catch (error) {
+      logger.error(`Failed to audit break-glass designation of user ${user.id}:`, error);
+    }
+  }
+
+  return user;
+};
+
+/**
+ * List grants whose review is overdue
+ * @returns {Promise<Array>} Grants awaiting review past their due date
+ */
+const getOverdueReviews = () => EmergencyAccessGrant.findAll({
+  where: {
+    reviewStatus: 'pending',
+    status: { [Op.ne]: 'active' },
+    reviewDueAt: { [Op.lt]: new Date() }
+  },
+  include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES }],
+  order: [['reviewDueAt', 'ASC']]
+});
+
+module.exports = {
+  EMERGENCY_ACCESS_CONFIG,
+  getActiveGrant,
+  applyGrant,
+  tagRequest,
+  activate,
+  endGrant,
+  listGrants,
+  getGrant,
+  reviewGrant,
+  setEligibility,
+  getOverdueReviews,
+  expireGrants
+};
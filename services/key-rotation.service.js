@@ -0,0 +1,171 @@
+/**
+ * Key Rotation Service - Re-encrypts stored ciphertexts under the active encryption key
+ * @module services/key-rotation
+ *
+ * After a new key has been added to the keyring and made active, every stored value encrypted
+ * under an older key is decrypted and encrypted again with the active key. Once a rotation
+ * reports nothing left under the old key, that key can be removed from the keyring.
+ */
+const { Op } = require('sequelize');
+const models = require('../models');
+const { reencrypt, isEncrypted, getCiphertextKeyId } = require('../utils/encryption');
+const keyring = require('../utils/keyring');
+const { listEncryptedFields } = require('../utils/field-encryption');
+const { logger } = require('../utils/logger');
+
+/**
+ * Key rotation configuration
+ */
+const KEY_ROTATION_CONFIG = {
+  BATCH_SIZE: 200
+};
+
+/**
+ * Columns holding ciphertexts written directly with utils/encryption. Attributes declared
+ * `encrypted` in their model are found from the models and need not be listed here.
+ */
+const ENCRYPTED_FIELDS = [];
+
+/**
+ * Add a column holding ciphertexts to those re-encrypted on rotation
+ * @param {string} model - Model name
+ * @param {string} field - Attribute name
+ */
+const registerEncryptedField = (model, field) => {
+  if (!ENCRYPTED_FIELDS.some(entry => entry.model === model && entry.field === field)) {
+    ENCRYPTED_FIELDS.push({ model, field });
+  }
+};
+
+/**
+ * Re-encrypt one column in batches
+ * @param {Object} entry - Encrypted field entry
+ * @param {Object} options - Rotation options
+ * @param {boolean} options.dryRun - Count without writing
+ * @param {number} options.batchSize - Rows read per batch
+ * @returns {Promise<Object>} Counts for the column
+ */
+const rotateField = async ({ model, field }, { dryRun, batchSize }) => {
+  const Model = models[model];
+  const result = { model, field, scanned: 0, reencrypted: 0, current: 0, plaintext: 0, failed: [], byKey: {} };
+
+  if (!Model) {
+    throw new Error(`Model ${model} is not defined`);
+  }
+
+  let lastId = 0;
+
+  for (;;) {
+    const rows = await Model.findAll({
+      where: { id: { [Op.gt]: lastId }, [field]: { [Op.ne]: null } },
+      attributes: ['id', field],
+      order: [['id', 'ASC']],
+      limit: batchSize,
+      raw: true,
+      // Read the stored ciphertext rather than the value decrypted by the model hooks
+      hooks: false
+    });
+
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      lastId = row.id;
+      result.scanned += 1;
+      const value = row[field];
+
+      if (!isEncrypted(value)) {
+        result.plaintext += 1;
+        continue;
+      }
+
+      const keyId = getCiphertextKeyId(value) || 'legacy';
+      result.byKey[keyId] = (result.byKey[keyId] || 0) + 1;
+
+      try {
+        const { value: rotated, changed } = reencrypt(value);
+
+        if (!changed) {
+          result.current += 1;
+          continue;
+        }
+
+        if (!dryRun) {
+          // Write the column directly so model hooks do not encrypt the ciphertext again
+          await Model.update({ [field]: rotated }, { where: { id: row.id }, hooks: false, silent: true });
+        }
+        result.reencrypted += 1;
+      } catch (error) {
+        logger.error(`Failed to re-encrypt ${model}.${field} for ID ${row.id}:`, error);
+        result.failed.push(row.id);
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Columns to rotate: attributes declared `encrypted` on the models plus registered columns
+ * @returns {Array<Object>} Model name and attribute of each column
+ */
+const getEncryptedFields = () => {
+  const fields = listEncryptedFields(models);
+
+  ENCRYPTED_FIELDS.forEach((entry) => {
+    if (!fields.some(field => field.model === entry.model && field.field === entry.field)) {
+      fields.push(entry);
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Re-encrypt every encrypted column under the active key
+ * @param {Object} [options] - Rotation options
+ * @param {boolean} [options.dryRun=false] - Report what would change without writing
+ * @param {number} [options.batchSize] - Rows read per batch
+ * @returns {Promise<Object>} Active key ID, per-column counts and totals
+ */
+const rotate = async ({ dryRun = false, batchSize = KEY_ROTATION_CONFIG.BATCH_SIZE } = {}) => {
+  const { activeKeyId } = keyring.describeKeyring();
+  const fields = [];
+
+  for (const entry of getEncryptedFields()) {
+    fields.push(await rotateField(entry, { dryRun, batchSize }));
+  }
+
+  const totals = fields.reduce((sum, field) => ({
+    scanned: sum.scanned + field.scanned,
+    reencrypted: sum.reencrypted + field.reencrypted,
+    failed: sum.failed + field.failed.length
+  }), { scanned: 0, reencrypted: 0, failed: 0 });
+
+  const report = { activeKeyId, dryRun, fields, totals };
+
+  if (!dryRun) {
+    try {
+      await models.AuditLog.createWithHash({
+        userId: null,
+        action: 'ENCRYPTION_KEY_ROTATED',
+        category: 'SECURITY',
+        entityType: 'EncryptionKey',
+        details: { activeKeyId, ...totals }
+      });
+    } catch (error) {
+      logger.error('Failed to write key rotation audit entry:', error);
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  KEY_ROTATION_CONFIG,
+  ENCRYPTED_FIELDS,
+  registerEncryptedField,
+  getEncryptedFields,
+  rotate
+};
@@ -0,0 +1,374 @@
+/**
+ * Lockout Service - Shared failed sign-in tracking and account/IP lockouts
+ * @module services/lockout
+ *
+ * Single lockout engine used by the login middleware, the authentication services and the
+ * security service. Failed sign-ins are counted per username and per client IP address in the
+ * login_lockouts table, so every application instance sees the same counters and lockouts
+ * survive a restart. Each consecutive lockout of the same username or IP lasts longer than the
+ * one before it, up to a maximum.
+ */
+const { Op } = require('sequelize');
+const { LoginLockout, User, AuditLog, sequelize } = require('../models');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Lockout configuration
+ */
+const LOCKOUT_CONFIG = {
+  // Failed sign-ins allowed per username within the window
+  MAX_ATTEMPTS: parseInt(process.env.MAX_LOGIN_ATTEMPTS || '5', 10),
+  // Failed sign-ins allowed per IP address within the window, across all usernames
+  MAX_ATTEMPTS_PER_IP: parseInt(process.env.MAX_LOGIN_ATTEMPTS_PER_IP || '20', 10),
+  WINDOW_MINUTES: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '15', 10),
+  // Length of the first lockout; each consecutive lockout is multiplied by LOCKOUT_MULTIPLIER
+  LOCKOUT_MINUTES: parseInt(process.env.ACCOUNT_LOCKOUT_MINUTES || '30', 10),
+  LOCKOUT_MULTIPLIER: parseInt(process.env.ACCOUNT_LOCKOUT_MULTIPLIER || '2', 10),
+  MAX_LOCKOUT_MINUTES: parseInt(process.env.ACCOUNT_LOCKOUT_MAX_MINUTES || '1440', 10),
+  // Hours without a lockout after which lockouts start again from LOCKOUT_MINUTES
+  LOCKOUT_RESET_HOURS: parseInt(process.env.ACCOUNT_LOCKOUT_RESET_HOURS || '24', 10)
+};
+
+const SCOPES = ['username', 'ip'];
+
+const USER_ATTRIBUTES = ['id', 'username', 'firstName', 'lastName', 'email'];
+
+/**
+ * Normalize an identifier so the same username or IP always maps to one record
+ * @param {string} scope - 'username' or 'ip'
+ * @param {string} value - Username or IP address
+ * @returns {string|null} Identifier, or null if there is nothing to track
+ */
+const toIdentifier = (scope, value) => {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const identifier = value.trim();
+
+  if (!identifier || (scope === 'ip' && identifier === 'unknown')) {
+    return null;
+  }
+
+  return scope === 'username' ? identifier.toLowerCase() : identifier;
+};
+
+/**
+ * Length of a lockout in minutes, growing with each consecutive lockout
+ * @param {number} lockCount - Consecutive lockouts including this one
+ * @returns {number} Lockout minutes
+ */
+const getLockoutMinutes = (lockCount) => {
+  const minutes = LOCKOUT_CONFIG.LOCKOUT_MINUTES *
+    Math.pow(LOCKOUT_CONFIG.LOCKOUT_MULTIPLIER, Math.max(lockCount - 1, 0));
+
+  return Math.min(minutes, LOCKOUT_CONFIG.MAX_LOCKOUT_MINUTES);
+};
+
+/**
+ * Whether a record is currently locked
+ * @param {Object} record - Lockout record
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True while the lockout lasts
+ */
+const isLocked = (record, now = new Date()) =>
+  Boolean(record && record.lockedUntil && new Date(record.lockedUntil) > now);
+
+/**
+ * Write a lockout audit entry (failures are logged, not thrown)
+ * @param {number} userId - Affected or acting user
+ * @param {string} action - Audit action
+ * @param {Object} record - Lockout record
+ * @param {Object} details - Details
+ */
+const audit = async (userId, action, record, details) => {
+  try {
+    await AuditLog.createWithHash({
+      userId: userId || null,
+      action,
+      category: 'SECURITY',
+      entityType: 'LoginLockout',
+      entityId: record.id,
+      details: { scope: record.scope, identifier: record.identifier, ...details }
+    });
+  } catch (error) {
+    logger.error(`Failed to write ${action} audit entry for login lockout ${record.id}:`, error);
+  }
+};
+
+/**
+ * Keep the user's own lockout fields in step with their username record
+ * @param {number} userId - User ID
+ * @param {Object} values - failedLoginAttempts and/or accountLockExpiresAt
+ */
+const syncUser = async (userId, values) => {
+  if (!userId) {
+    return;
+  }
+
+  try {
+    await User.update(values, { where: { id: userId } });
+  } catch (error) {
+    logger.error(`Failed to update lockout fields of user ${userId}:`, error);
+  }
+};
+
+/**
+ * Count a failed sign-in against one username or IP record, locking it when the limit is reached
+ * @param {string} scope - 'username' or 'ip'
+ * @param {string} identifier - Normalized identifier
+ * @param {Object} context - Sign-in context
+ * @param {number} [context.userId] - Matching user ID
+ * @param {string} [context.ipAddress] - Client IP address
+ * @returns {Promise<Object>} Updated record and whether this failure locked it
+ */
+const countFailure = async (scope, identifier, { userId, ipAddress }) => {
+  const now = new Date();
+  const maxAttempts = scope === 'username' ? LOCKOUT_CONFIG.MAX_ATTEMPTS : LOCKOUT_CONFIG.MAX_ATTEMPTS_PER_IP;
+
+  return sequelize.transaction(async (transaction) => {
+    const [existing] = await LoginLockout.findOrCreate({
+      where: { scope, identifier },
+      defaults: { scope, identifier, userId: userId || null },
+      transaction
+    });
+
+    // Re-read under a row lock so concurrent failures on other instances are not lost
+    const record = await LoginLockout.findByPk(existing.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+    // Failures while already locked are recorded but do not extend the lockout
+    if (isLocked(record, now)) {
+      await record.update({ lastFailureAt: now, lastIpAddress: ipAddress || null }, { transaction });
+      return { record, newlyLocked: false };
+    }
+
+    const windowExpired = !record.windowStartedAt ||
+      now - new Date(record.windowStartedAt) >= LOCKOUT_CONFIG.WINDOW_MINUTES * 60 * 1000;
+    const failureCount = windowExpired ? 1 : record.failureCount + 1;
+
+    const updates = {
+      failureCount,
+      windowStartedAt: windowExpired ? now : record.windowStartedAt,
+      lastFailureAt: now,
+      lastIpAddress: ipAddress || null,
+      userId: record.userId || userId || null
+    };
+
+    const newlyLocked = failureCount >= maxAttempts;
+
+    if (newlyLocked) {
+      const streakExpired = !record.lockedAt ||
+        now - new Date(record.lockedAt) >= LOCKOUT_CONFIG.LOCKOUT_RESET_HOURS * 60 * 60 * 1000;
+      const lockCount = streakExpired ? 1 : record.lockCount + 1;
+
+      updates.lockCount = lockCount;
+      updates.lockedAt = now;
+      updates.lockedUntil = new Date(now.getTime() + getLockoutMinutes(lockCount) * 60 * 1000);
+      // Counting starts afresh once the lockout ends
+      updates.windowStartedAt = null;
+    }
+
+    await record.update(updates, { transaction });
+
+    return { record, newlyLocked };
+  });
+};
+
+/**
+ * Record a failed sign-in against the username and the client IP address
+ * @param {Object} attempt - Sign-in attempt
+ * @param {string} attempt.username - Username that was tried (existing or not)
+ * @param {string} [attempt.ipAddress] - Client IP address
+ * @param {number} [attempt.userId] - ID of the matching user, if the username exists
+ * @returns {Promise<Object>} failedAttempts for the username, isLocked, the lockedUntil time and the locked scope
+ */
+const recordFailure = async ({ username, ipAddress, userId } = {}) => {
+  const targets = {
+    username: toIdentifier('username', username),
+    ip: toIdentifier('ip', ipAddress)
+  };
+  const result = { failedAttempts: 0, isLocked: false, lockedUntil: null, scope: null };
+
+  for (const scope of SCOPES) {
+    if (!targets[scope]) {
+      continue;
+    }
+
+    const { record, newlyLocked } = await countFailure(scope, targets[scope], { userId, ipAddress });
+    const locked = isLocked(record);
+
+    if (scope === 'username') {
+      result.failedAttempts = record.failureCount;
+      await syncUser(record.userId, {
+        failedLoginAttempts: record.failureCount,
+        ...(newlyLocked ? { accountLockExpiresAt: record.lockedUntil } : {})
+      });
+    }
+
+    if (locked && (!result.lockedUntil || record.lockedUntil > result.lockedUntil)) {
+      result.isLocked = true;
+      result.lockedUntil = record.lockedUntil;
+      result.scope = scope;
+    }
+
+    if (newlyLocked) {
+      logger.warn(`Sign-in locked for ${scope} ${record.identifier} until ${record.lockedUntil.toISOString()}`);
+      await audit(record.userId, scope === 'username' ? 'ACCOUNT_LOCKED' : 'IP_LOCKED', record, {
+        failureCount: record.failureCount,
+        lockCount: record.lockCount,
+        lockedUntil: record.lockedUntil,
+        ipAddress: ipAddress || null
+      });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Record a successful sign-in, clearing the username's failures and lockout history.
+ * The IP record is left alone, since a valid sign-in does not show the address is not also
+ * guessing passwords for other accounts.
+ * @param {Object} attempt - Sign-in attempt
+ * @param {string} attempt.username - Username that signed in
+ * @param {number} [attempt.userId] - ID of the user
+ * @returns {Promise<void>}
+ */
+const recordSuccess = async ({ username, userId } = {}) => {
+  const identifier = toIdentifier('username', username);
+
+  if (identifier) {
+    await LoginLockout.update(
+      { failureCount: 0, windowStartedAt: null, lockCount: 0, lockedAt: null, lockedUntil: null },
+      { where: { scope: 'username', identifier } }
+    );
+  }
+
+  await syncUser(userId, { failedLoginAttempts: 0, accountLockExpiresAt: null });
+};
+
+/**
+ * Check whether sign-in is locked for a username or IP address
+ * @param {Object} attempt - Sign-in attempt
+ * @param {string} [attempt.username] - Username being tried
+ * @param {string} [attempt.ipAddress] - Client IP address
+ * @returns {Promise<Object>} locked, the locked scope, lockedUntil and remainingSeconds
+ */
+const getLockStatus = async ({ username, ipAddress } = {}) => {
+  const conditions = SCOPES
+    .map(scope => ({ scope, identifier: toIdentifier(scope, scope === 'username' ? username : ipAddress) }))
+    .filter(condition => condition.identifier);
+
+  const unlocked = { locked: false, scope: null, lockedUntil: null, remainingSeconds: 0 };
+
+  if (conditions.length === 0) {
+    return unlocked;
+  }
+
+  const now = new Date();
+  const records = await LoginLockout.findAll({
+    where: {
+      [Op.or]: conditions,
+      lockedUntil: { [Op.gt]: now }
+    }
+  });
+
+  // Report the lockout that lasts longest
+  const record = records
+    .filter(candidate => isLocked(candidate, now))
+    .sort((a, b) => new Date(b.lockedUntil) - new Date(a.lockedUntil))[0];
+
+  if (!record) {
+    return unlocked;
+  }
+
+  return {
+    locked: true,
+    scope: record.scope,
+    lockedUntil: record.lockedUntil,
+    remainingSeconds: Math.ceil((new Date(record.lockedUntil) - now) / 1000)
+  };
+};
+
+/**
+ * List lockout records for administrators
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.scope] - 'username' or 'ip'
+ * @param {string} [filters.status] - 'active' (default) for current lockouts, 'all' for every record with failures
+ * @returns {Promise<Array>} Lockout records with the matching user
+ */
+const listLocks = async ({ scope, status = 'active' } = {}) => {
+  if (scope && !SCOPES.includes(scope)) {
+    throw new AppError(`Scope must be one of: ${SCOPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  const where = {};
+
+  if (scope) {
+    where.scope = scope;
+  }
+
+  if (status === 'all') {
+    where[Op.or] = [
+      { failureCount: { [Op.gt]: 0 } },
+      { lockedUntil: { [Op.ne]: null } }
+    ];
+  } else {
+    where.lockedUntil = { [Op.gt]: new Date() };
+  }
+
+  return LoginLockout.findAll({
+    where,
+    include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES, required: false }],
+    order: [['lockedUntil', 'DESC NULLS LAST'], ['lastFailureAt', 'DESC']]
+  });
+};
+
+/**
+ * Clear a lockout, resetting its failures and lockout history
+ * @param {number} id - Lockout record ID
+ * @param {number} clearedBy - ID of the administrator
+ * @returns {Promise<Object>} Cleared record
+ * @throws {AppError} If the record is not found
+ */
+const clearLock = async (id, clearedBy) => {
+  const record = await LoginLockout.findByPk(id);
+
+  if (!record) {
+    throw new AppError('Lockout not found', 404, 'LOCKOUT_NOT_FOUND');
+  }
+
+  const wasLocked = isLocked(record);
+
+  await record.update({
+    failureCount: 0,
+    windowStartedAt: null,
+    lockCount: 0,
+    lockedAt: null,
+    lockedUntil: null,
+    clearedAt: new Date(),
+    clearedBy
+  });
+
+  if (record.scope === 'username') {
+    await syncUser(record.userId, { failedLoginAttempts: 0, accountLockExpiresAt: null });
+  }
+
+  await audit(clearedBy, 'LOCKOUT_CLEARED', record, {
+    wasLocked,
+    affectedUserId: record.userId || null
+  });
+
+  return record;
+};
+
+module.exports = {
+  LOCKOUT_CONFIG,
+  getLockoutMinutes,
+  recordFailure,
+  recordSuccess,
+  getLockStatus,
+  listLocks,
+  clearLock
+};
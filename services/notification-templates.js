@@ -0,0 +1,174 @@
+/**
+ * Notification Templates - Email templates used by the notification service
+ * @module services/notification-templates
+ *
+ * Placeholders use `{{name}}` syntax. Each template belongs to a preference
+ * category; `mandatory` templates are sent regardless of user preferences.
+ */
+
+/**
+ * Notification categories users can opt out of
+ * @constant {Array<string>}
+ */
+const PREFERENCE_CATEGORIES = ['training', 'incidents', 'documents'];
+
+/**
+ * Email templates keyed by notification type
+ */
+const TEMPLATES = {
+  password_reset: {
+    category: 'security',
+    mandatory: true,
+    subject: 'Reset your password',
+    text: [
+      'Hello {{firstName}},',
+      '',
+      'We received a request to reset the password for your account ({{username}}).',
+      'Use the link below to choose a new password. The link expires in {{expiresInMinutes}} minutes.',
+      '',
+      '{{resetUrl}}',
+      '',
+      'If you did not request a password reset, you can ignore this email. Your password will not change.'
+    ].join('\n')
+  },
+
+  training_assigned: {
+    category: 'training',
+    subject: 'New training assigned: {{courseTitle}}',
+    text: [
+      'Hello {{firstName}},',
+      '',
+      'You have been assigned the training course "{{courseTitle}}".',
+      'Due date: {{dueDate}}',
+      '',
+      'Start the course here: {{trainingUrl}}'
+    ].join('\n')
+  },
+
+  incident_assigned: {
+    category: 'incidents',
+    subject: 'Incident #{{incidentId}} assigned to you',
+    text: [
+      'Hello {{firstName}},',
+      '',
+      'Incident #{{incidentId}} "{{incidentTitle}}" ({{severity}} severity) has been assigned to you.',
+      '',
+      'Review the incident here: {{incidentUrl}}'
+    ].join('\n')
+  },
+
+  document_published: {
+    category: 'documents',
+    subject: 'Please review and acknowledge: {{documentTitle}}',
+    text: [
+      'Hello {{firstName}},',
+      '',
+      'Version {{version}} of "{{documentTitle}}" has been published and requires your acknowledgment.',
+      '',
+      'Read and acknowledge the document here: {{documentUrl}}'
+    ].join('\n')
+  },
+
+  emergency_access_activated: {
+    category: 'security',
+    mandatory: true,
+    subject: 'Break-glass emergency access activated by {{grantUser}}',
+    text: [
+      'Hello {{firstName}},',
+      '',
+      '{{grantUser}} activated break-glass emergency access at {{activatedAt}}.',
+      'Elevated access ends at {{expiresAt}}. Every action taken until then is tagged in the audit log.',
+      '',
+      'Justification:',
+      '{{justification}}',
+      '',
+      'Review and sign off the activation by {{reviewDueAt}}: {{reviewUrl}}'
+    ].join('\n')
+  },
+
+  access_review_assigned: {
+    category: 'security',
+    mandatory: true,
+    subject: 'Access review: {{campaignName}}',
+    text: [
+      'Hello {{firstName}},',
+      '',
+      'You have been asked to review the access of {{itemCount}} user(s) in the access review "{{campaignName}}".',
+      'For each user, confirm whether to keep, modify or revoke their access by {{dueDate}}.',
+      'Access you decide to revoke is removed immediately.',
+      '',
+      'Start your review here: {{reviewUrl}}'
+    ].join('\n')
+  },
+
+  offboarding_work_transferred: {
+    category: 'security',
+    mandatory: true,
+    subject: 'Work transferred to you from {{formerUserName}}',
+    text: [
+      'Hello {{firstName}},',
+      '',
+      '{{formerUserName}} has left the organization and you have taken over their open work:',
+      '',
+      '{{workSummary}}',
+      '',
+      'Review the items you now own here: {{appUrl}}'
+    ].join('\n')
+  }
+};
+
+/**
+ * Escape a value for safe inclusion in HTML
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Replace `{{name}}` placeholders with values
+ * @param {string} template - Template string
+ * @param {Object} data - Placeholder values
+ * @returns {string} Rendered string
+ */
+const interpolate = (template, data) => template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => {
+  const value = data[key];
+  return value === undefined || value === null ? '' : String(value);
+});
+
+/**
+ * Render a template into an email message
+ * @param {string} type - Template key
+ * @param {Object} data - Placeholder values
+ * @returns {Object} Rendered { category, mandatory, subject, text, html }
+ * @throws {Error} If the template does not exist
+ */
+const renderTemplate = (type, data = {}) => {
+  const template = TEMPLATES[type];
+
+  if (!template) {
+    throw new Error(`Unknown notification template: ${type}`);
+  }
+
+  const text = interpolate(template.text, data);
+
+  return {
+    category: template.category,
+    mandatory: Boolean(template.mandatory),
+    subject: interpolate(template.subject, data),
+    text,
+    html: text.split('\n\n')
+      .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+      .join('\n')
+  };
+};
+
+module.exports = {
+  PREFERENCE_CATEGORIES,
+  TEMPLATES,
+  renderTemplate
+};
@@ -0,0 +1,357 @@
+/**
+ * Notification Service - Sends templated email notifications respecting user preferences
+ * @module services/notification
+ */
+const path = require('path');
+const { Op } = require('sequelize');
+const { User } = require('../models');
+const config = require('../config/app.config');
+const { createTransport } = require('../utils/mail-transport');
+const { PREFERENCE_CATEGORIES, renderTemplate } = require('./notification-templates');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Notification configuration
+ */
+const NOTIFICATION_CONFIG = {
+  // 'smtp', 'file' or 'memory'; when unset, see resolveTransportName
+  TRANSPORT: process.env.EMAIL_TRANSPORT,
+  // Where the file transport writes captured messages
+  CAPTURE_DIR: process.env.EMAIL_CAPTURE_DIR || path.join(__dirname, '..', 'logs', 'mail'),
+  FROM: config.email.from,
+  // Base URL used for links in messages
+  APP_URL: config.server.clientUrl
+};
+
+let transport = null;
+
+/**
+ * Work out which transport to use when EMAIL_TRANSPORT is not set. Production needs SMTP
+ * settings; only development and test fall back to capturing mail locally
+ * @returns {string} Transport name
+ * @throws {Error} In production, if neither EMAIL_TRANSPORT nor SMTP is configured
+ */
+const resolveTransportName = () => {
+  if (NOTIFICATION_CONFIG.TRANSPORT) {
+    return NOTIFICATION_CONFIG.TRANSPORT;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    if (!config.email.enabled || !config.email.smtp.host) {
+      throw new Error('No email transport configured. ' +
+        'Set EMAIL_ENABLED and EMAIL_SMTP_HOST, or EMAIL_TRANSPORT, before starting in production.');
+    }
+
+    return 'smtp';
+  }
+
+  if (process.env.NODE_ENV === 'test') {
+    return 'memory';
+  }
+
+  return config.email.enabled ? 'smtp' : 'file';
+};
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {Object} Mail transport
+ * @throws {Error} If no transport is configured in production
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport(resolveTransportName(), {
+      smtp: config.email.smtp,
+      directory: NOTIFICATION_CONFIG.CAPTURE_DIR
+    });
+    logger.info(`Email notifications using ${transport.name} transport`);
+  }
+
+  return transport;
+};
+
+/**
+ * Replace the transport (e.g. with a memory transport in tests)
+ * @param {Object} newTransport - Mail transport
+ */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Get a user's notification preferences with defaults applied
+ * @param {Object} user - User instance or plain object
+ * @returns {Object} Preferences keyed by category
+ */
+const getPreferences = (user) => {
+  const stored = (user && user.notificationPreferences) || {};
+
+  return PREFERENCE_CATEGORIES.reduce((preferences, category) => {
+    preferences[category] = stored[category] !== false;
+    return preferences;
+  }, {});
+};
+
+/**
+ * Update a user's notification preferences
+ * @param {number} userId - User ID
+ * @param {Object} updates - Preferences to change, keyed by category
+ * @returns {Promise<Object>} Updated preferences
+ * @throws {AppError} If the user is not found or a preference is invalid
+ */
+const updatePreferences = async (userId, updates = {}) => {
+  for (const [category, enabled] of Object.entries(updates)) {
+    if (!PREFERENCE_CATEGORIES.includes(category)) {
+      throw new AppError(`Unknown notification category: ${category}. Must be one of: ${PREFERENCE_CATEGORIES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+
+    if (typeof enabled !== 'boolean') {
+      throw new AppError(`Notification preference ${category} must be true or false`, 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  const preferences = { ...getPreferences(user), ...updates };
+  await user.update({ notificationPreferences: preferences });
+
+  return preferences;
+};
+
+/**
+ * Send a templated notification to a user
+ *
+ * Never throws: delivery problems are logged so that callers' main operations
+ * are not affected by mail outages.
+ *
+ * @param {Object} user - Recipient (needs email, firstName, accountStatus, notificationPreferences)
+ * @param {string} type - Template key
+ * @param {Object} [data] - Template values
+ * @returns {Promise<Object>} { sent, reason?, messageId? }
+ */
+const notifyUser = async (user, type, data = {}) => {
+  try {
+    const message = renderTemplate(type, {
+      firstName: user.firstName,
+      lastName: user.lastName,
+      username: user.username,
+      appUrl: NOTIFICATION_CONFIG.APP_URL,
+      ...data
+    });
+
+    if (!user.email) {
+      return { sent: false, reason: 'no_email' };
+    }
+
+    if (!message.mandatory) {
+      if (user.accountStatus && user.accountStatus !== 'active') {
+        return { sent: false, reason: 'inactive' };
+      }
+
+      if (!getPreferences(user)[message.category]) {
+        return { sent: false, reason: 'opted_out' };
+      }
+    }
+
+    const { messageId } = await getTransport().send({
+      from: NOTIFICATION_CONFIG.FROM,
+      to: user.email,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+
+    logger.info(`Sent ${type} notification to user ${user.id}`);
+    return { sent: true, messageId };
+  } catch (error) {
+    logger.error(`Failed to send ${type} notification to user ${user && user.id}:`, error);
+    return { sent: false, reason: 'error' };
+  }
+};
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User requesting the reset
+ * @param {string} resetToken - Password reset token
+ * @param {number} expiresInMinutes - Token lifetime in minutes
+ * @returns {Promise<Object>} Delivery result
+ */
+const notifyPasswordReset = (user, resetToken, expiresInMinutes) => {
+  return notifyUser(user, 'password_reset', {
+    resetUrl: `${NOTIFICATION_CONFIG.APP_URL}/reset-password?token=${encodeURIComponent(resetToken)}`,
+    expiresInMinutes
+  });
+};
+
+/**
+ * Notify a user about a new training assignment
+ * @param {Object} assignment - TrainingAssignment instance
+ * @param {Object} user - Assigned user
+ * @param {Object} course - Assigned course
+ * @returns {Promise<Object>} Delivery result
+ */
+const notifyTrainingAssigned = (assignment, user, course) => {
+  return notifyUser(user, 'training_assigned', {
+    courseTitle: course.title,
+    dueDate: assignment.dueDate ? new Date(assignment.dueDate).toDateString() : 'No due date',
+    trainingUrl: `${NOTIFICATION_CONFIG.APP_URL}/training/assignments`
+  });
+};
+
+/**
+ * Notify a user that an incident was assigned to them
+ * @param {Object} incident - Incident instance
+ * @param {Object} assignee - Assigned user
+ * @returns {Promise<Object>} Delivery result
+ */
+const notifyIncidentAssigned = (incident, assignee) => {
+  return notifyUser(assignee, 'incident_assigned', {
+    incidentId: incident.id,
+    incidentTitle: incident.title,
+    severity: incident.severity,
+    incidentUrl: `${NOTIFICATION_CONFIG.APP_URL}/incidents`
+  });
+};
+
+/**
+ * Notify all active users that a document needs their acknowledgment
+ * @param {Object} document - Published Document instance
+ * @param {Object} [options] - Options
+ * @param {number} [options.excludeUserId] - User not to notify (e.g. the publisher)
+ * @returns {Promise<Object>} Counts of sent and skipped notifications
+ */
+const notifyDocumentPublished = async (document, { excludeUserId } = {}) => {
+  const result = { sent: 0, skipped: 0 };
+
+  try {
+    const where = { accountStatus: 'active' };
+    if (excludeUserId) {
+      where.id = { [Op.ne]: excludeUserId };
+    }
+
+    const users = await User.findAll({
+      where,
+      attributes: ['id', 'username', 'email', 'firstName', 'lastName', 'accountStatus', 'notificationPreferences']
+    });
+
+    for (const user of users) {
+      const delivery = await notifyUser(user, 'document_published', {
+        documentTitle: document.title,
+        version: document.version,
+        documentUrl: `${NOTIFICATION_CONFIG.APP_URL}/documents`
+      });
+      result[delivery.sent ? 'sent' : 'skipped'] += 1;
+    }
+  } catch (error) {
+    logger.error(`Failed to send publication notifications for document ${document.id}:`, error);
+  }
+
+  return result;
+};
+
+/**
+ * Alert compliance officers that break-glass emergency access was activated
+ * @param {Object} grant - EmergencyAccessGrant instance
+ * @param {Object} grantUser - User who activated emergency access
+ * @returns {Promise<Object>} Counts of sent and skipped notifications
+ */
+const notifyEmergencyAccessActivated = async (grant, grantUser) => {
+  const result = { sent: 0, skipped: 0 };
+
+  try {
+    const users = await User.findAll({
+      where: { accountStatus: 'active', id: { [Op.ne]: grantUser.id } },
+      attributes: ['id', 'username', 'email', 'firstName', 'lastName', 'accountStatus', 'notificationPreferences'],
+      include: [{ association: 'role', attributes: ['name', 'permissions'] }]
+    });
+
+    const officers = users.filter(user => user.role && (
+      user.role.name === 'Compliance Officer' ||
+      Boolean(user.role.permissions && user.role.permissions.isComplianceOfficer)
+    ));
+
+    for (const officer of officers) {
+      const delivery = await notifyUser(officer, 'emergency_access_activated', {
+        grantUser: `${grantUser.firstName} ${grantUser.lastName} (${grantUser.username})`,
+        activatedAt: new Date(grant.activatedAt).toUTCString(),
+        expiresAt: new Date(grant.expiresAt).toUTCString(),
+        justification: grant.justification,
+        reviewDueAt: new Date(grant.reviewDueAt).toDateString(),
+        reviewUrl: `${NOTIFICATION_CONFIG.APP_URL}/emergency-access/${grant.id}`
+      });
+      result[delivery.sent ? 'sent' : 'skipped'] += 1;
+    }
+  } catch (error) {
+    logger.error(`Failed to send emergency access notifications for grant ${grant.id}:`, error);
+  }
+
+  return result;
+};
+
+/**
+ * Ask a reviewer to review the access of the users routed to them by an access review campaign
+ * @param {Object} campaign - AccessReviewCampaign instance
+ * @param {Object} reviewer - Reviewing user
+ * @param {number} itemCount - Number of users the reviewer must review
+ * @returns {Promise<Object>} Delivery result
+ */
+const notifyAccessReviewAssigned = (campaign, reviewer, itemCount) => {
+  return notifyUser(reviewer, 'access_review_assigned', {
+    campaignName: campaign.name,
+    itemCount,
+    dueDate: new Date(campaign.dueDate).toDateString(),
+    reviewUrl: `${NOTIFICATION_CONFIG.APP_URL}/access-reviews`
+  });
+};
+
+/**
+ * Labels of the kinds of work handed over when a user is offboarded
+ */
+const TRANSFERRED_WORK_LABELS = {
+  incidents: 'Incidents',
+  riskItems: 'Risk items',
+  riskTreatmentTasks: 'Mitigation tasks',
+  documents: 'Documents',
+  departments: 'Departments managed',
+  accessReviewItems: 'Access review decisions'
+};
+
+/**
+ * Tell a successor which open work of an offboarded user they now own
+ * @param {Object} successor - User taking over the work
+ * @param {Object} formerUser - User who left
+ * @param {Object} counts - Number of records transferred, keyed by work type
+ * @returns {Promise<Object>} Delivery result
+ */
+const notifyWorkTransferred = (successor, formerUser, counts) => {
+  const workSummary = Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `- ${TRANSFERRED_WORK_LABELS[type] || type}: ${count}`)
+    .join('\n');
+
+  return notifyUser(successor, 'offboarding_work_transferred', {
+    formerUserName: `${formerUser.firstName} ${formerUser.lastName}`,
+    workSummary,
+    appUrl: NOTIFICATION_CONFIG.APP_URL
+  });
+};
+
+module.exports = {
+  NOTIFICATION_CONFIG,
+  resolveTransportName,
+  getTransport,
+  setTransport,
+  getPreferences,
+  updatePreferences,
+  notifyUser,
+  notifyPasswordReset,
+  notifyTrainingAssigned,
+  notifyIncidentAssigned,
+  notifyDocumentPublished,
+  notifyEmergencyAccessActivated,
+  notifyAccessReviewAssigned,
+  notifyWorkTransferred
+};
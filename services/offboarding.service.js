@@ -0,0 +1,433 @@
+/**
+ * Offboarding Service - Termination procedure for departing workforce members
+ * @module services/offboarding
+ *
+ * Implements the termination procedure of HIPAA 164.308(a)(3)(ii)(C). Offboarding a user
+ * deactivates the account, removes their MFA secret, recovery codes and security keys, ends
+ * their sessions and hands their open work to a successor: incidents and risk items assigned
+ * to them, mitigation tasks they own, documents they authored that are still in use, the
+ * departments they manage and the access reviews waiting for their decision.
+ *
+ * Each offboarding keeps a checklist. The steps above are ticked automatically; the others
+ * (devices returned, physical and external access removed) are ticked by an administrator,
+ * and the checklist is signed off once every step is done.
+ */
+const { Op } = require('sequelize');
+const {
+  AccessReviewItem,
+  Department,
+  Document,
+  Incident,
+  Offboarding,
+  RiskItem,
+  RiskTreatmentTask,
+  User,
+  WebAuthnCredential,
+  sequelize
+} = require('../models');
+const notificationService = require('./notification.service');
+const securityService = require('./security.service');
+const { invalidateUserSessions } = require('../utils/session-manager');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Offboarding configuration
+ */
+const OFFBOARDING_CONFIG = {
+  // Steps of the termination checklist; automatic steps are carried out when offboarding starts
+  CHECKLIST: [
+    { key: 'account_deactivated', label: 'Account deactivated', automatic: true },
+    { key: 'sessions_revoked', label: 'Active sessions ended', automatic: true },
+    { key: 'mfa_revoked', label: 'MFA secret, recovery codes and security keys removed', automatic: true },
+    { key: 'work_transferred', label: 'Open work transferred to the successor', automatic: true },
+    { key: 'external_access_removed', label: 'Access to other systems removed (EHR, email, VPN, shared accounts)' },
+    { key: 'devices_returned', label: 'Laptops, phones and removable media returned' },
+    { key: 'physical_access_removed', label: 'Badges, keys and door codes returned or disabled' }
+  ]
+};
+
+const USER_ATTRIBUTES = ['id', 'username', 'firstName', 'lastName', 'email'];
+
+/**
+ * Open work a departing user can own, keyed by the name used in transfers. Each entry gives the
+ * model, the column holding the owner and what counts as still open.
+ * @returns {Object} Open work definitions
+ */
+const getOpenWorkTypes = () => ({
+  incidents: {
+    model: Incident,
+    field: 'assignedTo',
+    where: { status: { [Op.notIn]: ['closed', 'archived'] } },
+    attributes: ['id', 'title', 'status']
+  },
+  riskItems: {
+    model: RiskItem,
+    field: 'assignedTo',
+    where: { mitigationStatus: { [Op.notIn]: ['completed', 'accepted'] } },
+    attributes: ['id', 'assetName', 'riskLevel']
+  },
+  riskTreatmentTasks: {
+    model: RiskTreatmentTask,
+    field: 'ownerId',
+    where: { status: { [Op.in]: ['open', 'in_progress'] } },
+    attributes: ['id', 'title', 'dueDate']
+  },
+  documents: {
+    model: Document,
+    field: 'createdBy',
+    where: { status: { [Op.in]: ['draft', 'active'] } },
+    attributes: ['id', 'title', 'status']
+  },
+  departments: {
+    model: Department,
+    field: 'managerId',
+    where: {},
+    attributes: ['id', 'name']
+  },
+  accessReviewItems: {
+    model: AccessReviewItem,
+    field: 'reviewerId',
+    where: { decision: null },
+    attributes: ['id', 'campaignId', 'userId']
+  }
+});
+
+/**
+ * Get an offboarding or fail
+ * @param {number} id - Offboarding ID
+ * @param {Object} [options] - Sequelize find options
+ * @returns {Promise<Object>} Offboarding
+ * @throws {AppError} If the offboarding is not found
+ */
+const findOffboarding = async (id, options = {}) => {
+  const offboarding = await Offboarding.findByPk(id, options);
+
+  if (!offboarding) {
+    throw new AppError('Offboarding not found', 404, 'OFFBOARDING_NOT_FOUND');
+  }
+
+  return offboarding;
+};
+
+/**
+ * List the open work a user owns
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Records of each open work type, keyed as in transfers
+ */
+const getOpenWork = async (userId) => {
+  const types = getOpenWorkTypes();
+  const work = {};
+
+  for (const [type, definition] of Object.entries(types)) {
+    work[type] = await definition.model.findAll({
+      where: { ...definition.where, [definition.field]: userId },
+      attributes: definition.attributes,
+      order: [['id', 'ASC']]
+    });
+  }
+
+  return work;
+};
+
+/**
+ * Count the records of each open work type
+ * @param {Object} work - Records or IDs keyed by type
+ * @returns {Object} Counts keyed by type
+ */
+const countWork = (work) => Object.fromEntries(
+  Object.entries(work).map(([type, records]) => [type, records.length])
+);
+
+/**
+ * Build a new checklist, with the automatic steps marked as done
+ * @param {Object} actor - User starting the offboarding
+ * @param {Object} notes - Notes of automatic steps, keyed by step
+ * @returns {Array<Object>} Checklist items
+ */
+const buildChecklist = (actor, notes) => {
+  const now = new Date();
+
+  return OFFBOARDING_CONFIG.CHECKLIST.map(step => ({
+    key: step.key,
+    label: step.label,
+    automatic: Boolean(step.automatic),
+    completed: Boolean(step.automatic),
+    completedBy: step.automatic ? actor.id : null,
+    completedAt: step.automatic ? now : null,
+    notes: notes[step.key] || null
+  }));
+};
+
+/**
+ * Get an offboarding with the users involved
+ * @param {number} id - Offboarding ID
+ * @returns {Promise<Object>} Offboarding
+ * @throws {AppError} If the offboarding is not found
+ */
+const getOffboarding = (id) => findOffboarding(id, {
+  include: [
+    { model: User, as: 'user', attributes: USER_ATTRIBUTES },
+    { model: User, as: 'successor', attributes: USER_ATTRIBUTES },
+    { model: User, as: 'initiator', attributes: USER_ATTRIBUTES },
+    { model: User, as: 'signer', attributes: USER_ATTRIBUTES }
+  ]
+});
+
+/**
+ * List offboardings
+ * @param {Object} [filters] - { status, userId }
+ * @returns {Promise<Array>} Offboardings, newest first
+ */
+const listOffboardings = async ({ status, userId } = {}) => {
+  const where = {};
+  if (status) {
+    where.status = status;
+  }
+  if (userId) {
+    where.userId = userId;
+  }
+
+  return Offboarding.findAll({
+    where,
+    include: [
+      { model: User, as: 'user', attributes: USER_ATTRIBUTES },
+      { model: User, as: 'successor', attributes: USER_ATTRIBUTES }
+    ],
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+/**
+ * Offboard a user: remove their access, transfer their open work to the successor and start
+ * the termination checklist
+ * @param {number} userId - ID of the user leaving
+ * @param {Object} data - Offboarding data
+ * @param {number} [data.successorId] - User taking over the open work, required if there is any
+ * @param {string} [data.reason] - Why the user is leaving
+ * @param {Object} actor - User carrying out the offboarding
+ * @returns {Promise<Object>} Offboarding with the users involved
+ * @throws {AppError} If the user cannot be offboarded or the successor is invalid
+ */
+const startOffboarding = async (userId, { successorId, reason } = {}, actor) => {
+  if (Number(userId) === Number(actor.id)) {
+    throw new AppError('You cannot offboard yourself', 403, 'SELF_OFFBOARDING_NOT_ALLOWED');
+  }
+
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  if (user.accountType === 'service') {
+    throw new AppError('Service accounts are deactivated from the service account settings', 400, 'VALIDATION_ERROR');
+  }
+
+  const existing = await Offboarding.findOne({ where: { userId: user.id, status: 'in_progress' } });
+  if (existing) {
+    throw new AppError('This user is already being offboarded', 409, 'OFFBOARDING_IN_PROGRESS');
+  }
+
+  const openWork = await getOpenWork(user.id);
+  const hasOpenWork = Object.values(openWork).some(records => records.length > 0);
+
+  let successor = null;
+  if (successorId) {
+    successor = await User.findByPk(successorId, {
+      attributes: [...USER_ATTRIBUTES, 'accountStatus', 'accountType', 'notificationPreferences']
+    });
+
+    if (!successor || successor.accountStatus !== 'active' || successor.accountType === 'service') {
+      throw new AppError('The successor must be an active user', 400, 'VALIDATION_ERROR');
+    }
+
+    if (Number(successor.id) === Number(user.id)) {
+      throw new AppError('The successor must be someone other than the user leaving', 400, 'VALIDATION_ERROR');
+    }
+  } else if (hasOpenWork) {
+    throw new AppError('A successor is required to take over the open work of this user', 400, 'SUCCESSOR_REQUIRED');
+  }
+
+  // The successor cannot review their own access, so those items are left for reassignment
+  const transfers = {};
+  const types = getOpenWorkTypes();
+  for (const [type, records] of Object.entries(openWork)) {
+    transfers[type] = records
+      .filter(record => type !== 'accessReviewItems' || Number(record.userId) !== Number(successorId))
+      .map(record => record.id);
+  }
+  const counts = countWork(transfers);
+  const transferred = Object.values(counts).reduce((total, count) => total + count, 0);
+
+  let offboarding;
+  let credentialsRemoved;
+  await sequelize.transaction(async (transaction) => {
+    await user.update({
+      accountStatus: 'inactive',
+      mfaEnabled: false,
+      mfaSecret: null,
+      recoveryBackupCodes: [],
+      breakGlassEligible: false
+    }, { transaction });
+
+    credentialsRemoved = await WebAuthnCredential.destroy({ where: { userId: user.id }, transaction });
+
+    for (const [type, ids] of Object.entries(transfers)) {
+      if (ids.length > 0) {
+        await types[type].model.update(
+          { [types[type].field]: successor.id },
+          { where: { id: { [Op.in]: ids } }, transaction }
+        );
+      }
+    }
+
+    offboarding = await Offboarding.create({
+      userId: user.id,
+      successorId: successor ? successor.id : null,
+      reason: reason || null,
+      status: 'in_progress',
+      transfers,
+      initiatedBy: actor.id,
+      checklist: buildChecklist(actor, {
+        mfa_revoked: `${credentialsRemoved} security key(s) removed`,
+        work_transferred: successor
+          ? `${transferred} record(s) transferred to ${successor.username}`
+          : 'No open work'
+      })
+    }, { transaction });
+  });
+
+  // Sessions live outside the database, so they are ended once the account change is committed
+  let sessionsRevoked = 0;
+  let checklist = offboarding.checklist;
+  try {
+    sessionsRevoked = await invalidateUserSessions(Number(user.id));
+  } catch (error) {
+    logger.error(`Failed to end the sessions of offboarded user ${user.id}:`, error);
+
+    checklist = checklist.map(item => (item.key === 'sessions_revoked'
+      ? { ...item, completed: false, completedBy: null, completedAt: null, notes: `Could not end sessions: ${error.message}` }
+      : item));
+  }
+  await offboarding.update({ sessionsRevoked, checklist });
+
+  await securityService.logSecurityEvent(actor.id, 'USER_OFFBOARDED', {
+    offboardingId: offboarding.id,
+    userId: user.id,
+    successorId: offboarding.successorId,
+    transferred: counts,
+    securityKeysRemoved: credentialsRemoved,
+    sessionsRevoked,
+    reason: offboarding.reason
+  });
+
+  if (successor && transferred > 0) {
+    await notificationService.notifyWorkTransferred(successor, user, counts);
+  }
+
+  return getOffboarding(offboarding.id);
+};
+
+/**
+ * Tick or untick a step of the termination checklist
+ * @param {number} id - Offboarding ID
+ * @param {string} key - Checklist step
+ * @param {Object} data - { completed, notes }
+ * @param {Object} actor - User updating the checklist
+ * @returns {Promise<Object>} Updated offboarding
+ * @throws {AppError} If the offboarding was signed off, the step is unknown or was done automatically
+ */
+const updateChecklistItem = async (id, key, { completed, notes } = {}, actor) => {
+  if (typeof completed !== 'boolean') {
+    throw new AppError('completed must be true or false', 400, 'VALIDATION_ERROR');
+  }
+
+  const offboarding = await findOffboarding(id);
+  if (offboarding.status !== 'in_progress') {
+    throw new AppError('This offboarding has been signed off', 409, 'OFFBOARDING_COMPLETED');
+  }
+
+  const item = offboarding.checklist.find(step => step.key === key);
+  if (!item) {
+    throw new AppError('Checklist step not found', 404, 'CHECKLIST_ITEM_NOT_FOUND');
+  }
+
+  if (item.automatic && item.completed) {
+    throw new AppError('This step was carried out automatically', 400, 'VALIDATION_ERROR');
+  }
+
+  // Assign a new array so the JSON column is saved
+  await offboarding.update({
+    checklist: offboarding.checklist.map(step => (step.key === key
+      ? {
+        ...step,
+        completed,
+        completedBy: completed ? actor.id : null,
+        completedAt: completed ? new Date() : null,
+        notes: notes !== undefined ? notes : step.notes
+      }
+      : step))
+  });
+
+  await securityService.logSecurityEvent(actor.id, 'OFFBOARDING_CHECKLIST_UPDATED', {
+    offboardingId: offboarding.id,
+    userId: offboarding.userId,
+    step: key,
+    completed
+  });
+
+  return offboarding;
+};
+
+/**
+ * Sign off the termination checklist once every step is done
+ * @param {number} id - Offboarding ID
+ * @param {Object} data - { notes }
+ * @param {Object} actor - User signing off
+ * @returns {Promise<Object>} Completed offboarding
+ * @throws {AppError} If the offboarding was already signed off or steps are outstanding
+ */
+const signOff = async (id, { notes } = {}, actor) => {
+  const offboarding = await findOffboarding(id);
+  if (offboarding.status !== 'in_progress') {
+    throw new AppError('This offboarding has already been signed off', 409, 'OFFBOARDING_COMPLETED');
+  }
+
+  const outstanding = offboarding.checklist.filter(step => !step.completed);
+  if (outstanding.length > 0) {
+    throw new AppError(
+      `Checklist steps outstanding: ${outstanding.map(step => step.label).join('; ')}`,
+      409,
+      'OFFBOARDING_INCOMPLETE'
+    );
+  }
+
+  await offboarding.update({
+    status: 'completed',
+    signedOffAt: new Date(),
+    signedOffBy: actor.id,
+    signOffNotes: notes || null
+  });
+
+  await securityService.logSecurityEvent(actor.id, 'OFFBOARDING_SIGNED_OFF', {
+    offboardingId: offboarding.id,
+    userId: offboarding.userId,
+    checklist: offboarding.checklist.map(step => ({
+      key: step.key,
+      completedBy: step.completedBy,
+      completedAt: step.completedAt
+    }))
+  });
+
+  return getOffboarding(offboarding.id);
+};
+
+module.exports = {
+  OFFBOARDING_CONFIG,
+  getOpenWork,
+  listOffboardings,
+  getOffboarding,
+  startOffboarding,
+  updateChecklistItem,
+  signOff
+};
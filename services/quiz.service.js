@@ -0,0 +1,628 @@
+/**
+ * Quiz Service - Question banks, randomized quiz attempts and server-side scoring
+ * @module services/quiz
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { QuizQuestion, QuizAttempt, TrainingAssignment, TrainingCourse, User } = require('../models');
+const certificateService = require('./certificate.service');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Quiz configuration
+ */
+const QUIZ_CONFIG = {
+  // Used when a course has no passing score, matching manual completion
+  DEFAULT_PASSING_SCORE: 70
+};
+
+/**
+ * Supported question types
+ * @constant {Array<string>}
+ */
+const QUESTION_TYPES = ['multiple_choice', 'multi_select', 'true_false'];
+
+/**
+ * Fixed options of true/false questions
+ * @constant {Array<Object>}
+ */
+const TRUE_FALSE_OPTIONS = [
+  { id: 'true', text: 'True' },
+  { id: 'false', text: 'False' }
+];
+
+/**
+ * Assignment statuses in which the quiz can still be taken
+ * @constant {Array<string>}
+ */
+const OPEN_STATUSES = ['assigned', 'in_progress'];
+
+/**
+ * Build the stored form of a question from admin input
+ *
+ * Multiple choice and multi-select questions take `options` as `[{ text, isCorrect }]`;
+ * true/false questions take `correctAnswer` as a boolean.
+ *
+ * @param {Object} data - Question input
+ * @returns {Object} Question fields
+ * @throws {AppError} If the question is invalid
+ */
+const buildQuestion = (data) => {
+  const type = data.type || 'multiple_choice';
+
+  if (!QUESTION_TYPES.includes(type)) {
+    throw new AppError(`Invalid question type. Must be one of: ${QUESTION_TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  if (!data.text || !String(data.text).trim()) {
+    throw new AppError('Question text is required', 400, 'VALIDATION_ERROR');
+  }
+
+  if (data.points !== undefined && (!Number.isInteger(data.points) || data.points < 1)) {
+    throw new AppError('Points must be a positive whole number', 400, 'VALIDATION_ERROR');
+  }
+
+  let options;
+  let correctOptionIds;
+
+  if (type === 'true_false') {
+    if (typeof data.correctAnswer !== 'boolean') {
+      throw new AppError('True/false questions need correctAnswer set to true or false', 400, 'VALIDATION_ERROR');
+    }
+    options = TRUE_FALSE_OPTIONS;
+    correctOptionIds = [String(data.correctAnswer)];
+  } else {
+    if (!Array.isArray(data.options) || data.options.length < 2) {
+      throw new AppError('Questions need at least two options', 400, 'VALIDATION_ERROR');
+    }
+
+    if (data.options.some(option => !option || !option.text || !String(option.text).trim())) {
+      throw new AppError('Every option needs text', 400, 'VALIDATION_ERROR');
+    }
+
+    // Option IDs are letters in the order given: 'a', 'b', 'c', ...
+    options = data.options.map((option, index) => ({
+      id: String.fromCharCode(97 + index),
+      text: String(option.text).trim()
+    }));
+    correctOptionIds = data.options
+      .map((option, index) => (option.isCorrect ? options[index].id : null))
+      .filter(Boolean);
+
+    if (type === 'multiple_choice' && correctOptionIds.length !== 1) {
+      throw new AppError('Multiple choice questions need exactly one correct option', 400, 'VALIDATION_ERROR');
+    }
+
+    if (type === 'multi_select' && correctOptionIds.length === 0) {
+      throw new AppError('Multi-select questions need at least one correct option', 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  return {
+    type,
+    text: String(data.text).trim(),
+    options,
+    correctOptionIds,
+    explanation: data.explanation !== undefined ? data.explanation : null,
+    points: data.points !== undefined ? data.points : 1
+  };
+};
+
+/**
+ * Convert a stored question back into the admin input format
+ * @param {Object} question - QuizQuestion instance
+ * @returns {Object} Question input
+ */
+const toQuestionInput = (question) => ({
+  type: question.type,
+  text: question.text,
+  options: question.options.map(option => ({
+    text: option.text,
+    isCorrect: question.correctOptionIds.includes(option.id)
+  })),
+  correctAnswer: question.type === 'true_false' ? question.correctOptionIds[0] === 'true' : undefined,
+  explanation: question.explanation,
+  points: question.points
+});
+
+/**
+ * Strip a question down to what a learner may see while taking the quiz
+ * @param {Object} question - QuizQuestion instance
+ * @returns {Object} Question without correct answers or explanation
+ */
+const toLearnerQuestion = (question) => ({
+  id: question.id,
+  type: question.type,
+  text: question.text,
+  options: question.options,
+  points: question.points
+});
+
+/**
+ * Find a course or fail
+ * @param {number} courseId - Course ID
+ * @returns {Promise<Object>} TrainingCourse instance
+ * @throws {AppError} If the course is not found
+ */
+const findCourse = async (courseId) => {
+  const course = await TrainingCourse.findByPk(courseId);
+
+  if (!course) {
+    throw new AppError('Training course not found', 404, 'COURSE_NOT_FOUND');
+  }
+
+  return course;
+};
+
+/**
+ * Find a question or fail
+ * @param {number} questionId - Question ID
+ * @returns {Promise<Object>} QuizQuestion instance
+ * @throws {AppError} If the question is not found
+ */
+const findQuestion = async (questionId) => {
+  const question = await QuizQuestion.findByPk(questionId);
+
+  if (!question) {
+    throw new AppError('Quiz question not found', 404, 'QUESTION_NOT_FOUND');
+  }
+
+  return question;
+};
+
+/**
+ * Get the question bank of a course, including correct answers
+ * @param {number} courseId - Course ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeInactive=false] - Include retired questions
+ * @returns {Promise<Array>} Questions
+ * @throws {AppError} If the course is not found
+ */
+const getQuestions = async (courseId, { includeInactive = false } = {}) => {
+  await findCourse(courseId);
+
+  const where = { courseId };
+  if (!includeInactive) {
+    where.isActive = true;
+  }
+
+  return QuizQuestion.findAll({ where, order: [['id', 'ASC']] });
+};
+
+/**
+ * Add a question to a course's bank
+ * @param {number} courseId - Course ID
+ * @param {Object} data - Question input
+ * @returns {Promise<Object>} Created question
+ * @throws {AppError} If the course is not found or the question is invalid
+ */
+const createQuestion = async (courseId, data) => {
+  const course = await findCourse(courseId);
+  return QuizQuestion.create({ ...buildQuestion(data), courseId: course.id });
+};
+
+/**
+ * Update a question; fields not provided keep their current values
+ * @param {number} questionId - Question ID
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} Updated question
+ * @throws {AppError} If the question is not found or the result is invalid
+ */
+const updateQuestion = async (questionId, data) => {
+  const question = await findQuestion(questionId);
+  const current = toQuestionInput(question);
+
+  // Switching type starts from a clean answer definition
+  const typeChanged = data.type !== undefined && data.type !== question.type;
+  const fields = buildQuestion({
+    ...current,
+    options: typeChanged ? undefined : current.options,
+    correctAnswer: typeChanged ? undefined : current.correctAnswer,
+    ...data
+  });
+
+  await question.update({
+    ...fields,
+    isActive: data.isActive !== undefined ? Boolean(data.isActive) : question.isActive
+  });
+
+  return question;
+};
+
+/**
+ * Retire a question so it is no longer drawn for new attempts.
+ * Questions are kept so earlier attempts can still be reviewed.
+ * @param {number} questionId - Question ID
+ * @returns {Promise<boolean>} Success status
+ * @throws {AppError} If the question is not found
+ */
+const deleteQuestion = async (questionId) => {
+  const question = await findQuestion(questionId);
+  await question.update({ isActive: false });
+  return true;
+};
+
+/**
+ * Pick questions at random
+ * @param {Array<Object>} questions - Question bank
+ * @param {number} [count] - Number of questions (all when not set)
+ * @returns {Array<Object>} Selected questions in random order
+ */
+const selectQuestions = (questions, count) => {
+  const shuffled = [...questions];
+
+  // Fisher-Yates shuffle
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return count ? shuffled.slice(0, count) : shuffled;
+};
+
+/**
+ * Normalize a submitted answer to a sorted list of option IDs
+ * @param {string|Array<string>|boolean} answer - Submitted answer
+ * @returns {Array<string>} Option IDs
+ */
+const normalizeAnswer = (answer) => {
+  if (answer === undefined || answer === null) {
+    return [];
+  }
+
+  const values = Array.isArray(answer) ? answer : [answer];
+  return [...new Set(values.map(value => String(value)))].sort();
+};
+
+/**
+ * Score answers against questions
+ *
+ * Each question is all-or-nothing: multi-select answers must match the correct set exactly.
+ *
+ * @param {Array<Object>} questions - Questions of the attempt
+ * @param {Object} answers - Submitted answers keyed by question ID
+ * @returns {Object} { score, earnedPoints, totalPoints, results }
+ */
+const scoreAnswers = (questions, answers = {}) => {
+  let earnedPoints = 0;
+  let totalPoints = 0;
+
+  const results = questions.map(question => {
+    const selectedOptionIds = normalizeAnswer(answers[question.id]);
+    const correctOptionIds = [...question.correctOptionIds].sort();
+    const correct = selectedOptionIds.length === correctOptionIds.length &&
+      selectedOptionIds.every((id, index) => id === correctOptionIds[index]);
+
+    totalPoints += question.points;
+    if (correct) {
+      earnedPoints += question.points;
+    }
+
+    return { questionId: question.id, selectedOptionIds, correct };
+  });
+
+  return {
+    score: totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 0,
+    earnedPoints,
+    totalPoints,
+    results
+  };
+};
+
+/**
+ * Load the questions of an attempt in the order they were shown
+ * @param {Object} attempt - QuizAttempt instance
+ * @returns {Promise<Array<Object>>} Questions
+ */
+const getAttemptQuestions = async (attempt) => {
+  const questions = await QuizQuestion.findAll({
+    where: { id: { [Op.in]: attempt.questionIds } }
+  });
+
+  const byId = new Map(questions.map(question => [question.id, question]));
+  return attempt.questionIds.map(id => byId.get(id)).filter(Boolean);
+};
+
+/**
+ * Load a quiz assignment and check that the learner may take it
+ * @param {number} assignmentId - TrainingAssignment ID
+ * @param {number} userId - Learner ID
+ * @returns {Promise<Object>} TrainingAssignment with course
+ * @throws {AppError} If the assignment is missing, not the learner's or not a quiz
+ */
+const findQuizAssignment = async (assignmentId, userId) => {
+  const assignment = await TrainingAssignment.findByPk(assignmentId, {
+    include: [{ model: TrainingCourse, as: 'course' }]
+  });
+
+  if (!assignment) {
+    throw new AppError('Training assignment not found', 404, 'ASSIGNMENT_NOT_FOUND');
+  }
+
+  if (assignment.userId !== userId) {
+    throw new AppError('Only the assigned learner can take this quiz', 403, 'NOT_ASSIGNMENT_OWNER');
+  }
+
+  if (assignment.course.contentType !== 'quiz') {
+    throw new AppError('This training course does not have a quiz', 400, 'NOT_A_QUIZ');
+  }
+
+  return assignment;
+};
+
+/**
+ * Summarize an attempt without its answers
+ * @param {Object} attempt - QuizAttempt instance
+ * @returns {Object} Attempt summary
+ */
+const toAttemptSummary = (attempt) => ({
+  id: attempt.id,
+  assignmentId: attempt.assignmentId,
+  attemptNumber: attempt.attemptNumber,
+  status: attempt.status,
+  score: attempt.score,
+  passed: attempt.passed,
+  startedAt: attempt.startedAt,
+  submittedAt: attempt.submittedAt
+});
+
+/**
+ * Start (or resume) a quiz attempt
+ * @param {number} assignmentId - TrainingAssignment ID
+ * @param {number} userId - Learner ID
+ * @returns {Promise<Object>} { attempt, attemptsRemaining, questions }
+ * @throws {AppError} If the quiz cannot be taken
+ */
+const startAttempt = async (assignmentId, userId) => {
+  const assignment = await findQuizAssignment(assignmentId, userId);
+  const { course } = assignment;
+
+  if (!OPEN_STATUSES.includes(assignment.status)) {
+    throw new AppError(`This training assignment is ${assignment.status}`, 400, 'ASSIGNMENT_CLOSED');
+  }
+
+  const attempts = await QuizAttempt.findAll({
+    where: { assignmentId: assignment.id },
+    order: [['attemptNumber', 'ASC']]
+  });
+  const attemptsRemaining = (used) => (course.maxAttempts ? Math.max(course.maxAttempts - used, 0) : null);
+
+  // Resume an unfinished attempt rather than drawing new questions
+  const unfinished = attempts.find(attempt => attempt.status === 'in_progress');
+  if (unfinished) {
+    const questions = await getAttemptQuestions(unfinished);
+    return {
+      attempt: toAttemptSummary(unfinished),
+      attemptsRemaining: attemptsRemaining(attempts.length),
+      questions: questions.map(toLearnerQuestion)
+    };
+  }
+
+  if (course.maxAttempts && attempts.length >= course.maxAttempts) {
+    throw new AppError('Maximum number of quiz attempts reached', 400, 'MAX_ATTEMPTS_REACHED');
+  }
+
+  const bank = await QuizQuestion.findAll({ where: { courseId: course.id, isActive: true } });
+  if (bank.length === 0) {
+    throw new AppError('This quiz has no questions yet', 400, 'NO_QUESTIONS');
+  }
+
+  const questions = selectQuestions(bank, course.questionsPerAttempt);
+
+  const attempt = await QuizAttempt.create({
+    assignmentId: assignment.id,
+    userId,
+    attemptNumber: attempts.length + 1,
+    questionIds: questions.map(question => question.id),
+    status: 'in_progress',
+    startedAt: new Date()
+  });
+
+  if (assignment.status === 'assigned') {
+    await assignment.update({ status: 'in_progress' });
+  }
+
+  return {
+    attempt: toAttemptSummary(attempt),
+    attemptsRemaining: attemptsRemaining(attempts.length + 1),
+    questions: questions.map(toLearnerQuestion)
+  };
+};
+
+/**
+ * Build the review of a submitted attempt
+ * @param {Object} attempt - Submitted QuizAttempt
+ * @param {Object} assignment - TrainingAssignment the attempt belongs to
+ * @param {boolean} revealAnswers - Whether to include correct answers and explanations
+ * @returns {Promise<Object>} Review
+ */
+const buildReview = async (attempt, assignment, revealAnswers) => {
+  const questions = await getAttemptQuestions(attempt);
+  const results = new Map((attempt.results || []).map(result => [result.questionId, result]));
+
+  return {
+    attempt: toAttemptSummary(attempt),
+    assignmentStatus: assignment.status,
+    answersRevealed: revealAnswers,
+    questions: questions.map(question => {
+      const result = results.get(question.id) || { selectedOptionIds: [], correct: false };
+      const review = {
+        ...toLearnerQuestion(question),
+        selectedOptionIds: result.selectedOptionIds,
+        correct: result.correct
+      };
+
+      if (revealAnswers) {
+        review.correctOptionIds = question.correctOptionIds;
+        review.explanation = question.explanation;
+      }
+
+      return review;
+    })
+  };
+};
+
+/**
+ * Submit answers for an attempt, score them and update the assignment
+ *
+ * Passing completes the assignment and issues its certificate. Failing the last
+ * allowed attempt marks the assignment as failed.
+ *
+ * @param {number} attemptId - QuizAttempt ID
+ * @param {number} userId - Learner ID
+ * @param {Object} answers - Option IDs keyed by question ID
+ * @returns {Promise<Object>} Review of the submitted attempt
+ * @throws {AppError} If the attempt cannot be submitted
+ */
+const submitAttempt = async (attemptId, userId, answers) => {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new AppError('Answers must be an object keyed by question ID', 400, 'VALIDATION_ERROR');
+  }
+
+  const attempt = await QuizAttempt.findByPk(attemptId);
+  if (!attempt) {
+    throw new AppError('Quiz attempt not found', 404, 'ATTEMPT_NOT_FOUND');
+  }
+
+  if (attempt.userId !== userId) {
+    throw new AppError('Only the learner who started this attempt can submit it', 403, 'NOT_ATTEMPT_OWNER');
+  }
+
+  if (attempt.status !== 'in_progress') {
+    throw new AppError('This attempt has already been submitted', 400, 'ATTEMPT_ALREADY_SUBMITTED');
+  }
+
+  const assignment = await findQuizAssignment(attempt.assignmentId, userId);
+  const { course } = assignment;
+
+  if (!OPEN_STATUSES.includes(assignment.status)) {
+    throw new AppError(`This training assignment is ${assignment.status}`, 400, 'ASSIGNMENT_CLOSED');
+  }
+
+  const questions = await getAttemptQuestions(attempt);
+  const { score, results } = scoreAnswers(questions, answers);
+  const passingScore = course.passingScore !== null && course.passingScore !== undefined
+    ? course.passingScore
+    : QUIZ_CONFIG.DEFAULT_PASSING_SCORE;
+  const passed = score >= passingScore;
+  const submittedAt = new Date();
+
+  // Guard against the same attempt being submitted twice concurrently
+  const [updated] = await QuizAttempt.update(
+    { answers, results, score, passed, status: 'submitted', submittedAt },
+    { where: { id: attempt.id, status: 'in_progress' } }
+  );
+  if (!updated) {
+    throw new AppError('This attempt has already been submitted', 409, 'ATTEMPT_ALREADY_SUBMITTED');
+  }
+  Object.assign(attempt, { answers, results, score, passed, status: 'submitted', submittedAt });
+
+  if (passed) {
+    await assignment.update({
+      status: 'completed',
+      completionDate: submittedAt,
+      score,
+      courseVersion: course.version
+    });
+
+    try {
+      const learner = await User.findByPk(userId, { attributes: ['id', 'firstName', 'lastName'] });
+      await certificateService.issueCertificate(assignment, learner, course);
+    } catch (error) {
+      // The completion stands; the certificate is generated on first download instead
+      logger.error(`Failed to generate certificate for training assignment ${assignment.id}:`, error);
+    }
+  } else if (course.maxAttempts && attempt.attemptNumber >= course.maxAttempts) {
+    await assignment.update({ status: 'failed', completionDate: submittedAt, score });
+  } else {
+    await assignment.update({ status: 'in_progress', score });
+  }
+
+  return buildReview(attempt, assignment, passed || !OPEN_STATUSES.includes(assignment.status));
+};
+
+/**
+ * Get the review of a submitted attempt
+ *
+ * Learners see which of their answers were right; correct answers and explanations
+ * are only revealed once the assignment is finished, so they cannot be carried
+ * into a retake. Reviewers (admins, compliance officers) always see them.
+ *
+ * @param {number} attemptId - QuizAttempt ID
+ * @param {Object} viewer - Requesting user
+ * @param {number} viewer.id - User ID
+ * @param {boolean} viewer.canReviewAll - Whether the user may review any learner's attempts
+ * @returns {Promise<Object>} Review
+ * @throws {AppError} If the attempt is not found, not submitted or not accessible
+ */
+const getAttemptReview = async (attemptId, { id, canReviewAll }) => {
+  const attempt = await QuizAttempt.findByPk(attemptId);
+  if (!attempt) {
+    throw new AppError('Quiz attempt not found', 404, 'ATTEMPT_NOT_FOUND');
+  }
+
+  if (attempt.userId !== id && !canReviewAll) {
+    throw new AppError('You do not have permission to review this attempt', 403, 'FORBIDDEN');
+  }
+
+  if (attempt.status !== 'submitted') {
+    throw new AppError('Attempts can be reviewed after they are submitted', 400, 'ATTEMPT_NOT_SUBMITTED');
+  }
+
+  const assignment = await TrainingAssignment.findByPk(attempt.assignmentId);
+  const finished = !OPEN_STATUSES.includes(assignment.status);
+
+  return buildReview(attempt, assignment, canReviewAll || finished);
+};
+
+/**
+ * List the attempts of an assignment
+ * @param {number} assignmentId - TrainingAssignment ID
+ * @param {Object} viewer - Requesting user
+ * @param {number} viewer.id - User ID
+ * @param {boolean} viewer.canReviewAll - Whether the user may view any learner's attempts
+ * @returns {Promise<Object>} { maxAttempts, attemptsRemaining, attempts }
+ * @throws {AppError} If the assignment is not found or not accessible
+ */
+const getAttempts = async (assignmentId, { id, canReviewAll }) => {
+  const assignment = await TrainingAssignment.findByPk(assignmentId, {
+    include: [{ model: TrainingCourse, as: 'course' }]
+  });
+
+  if (!assignment) {
+    throw new AppError('Training assignment not found', 404, 'ASSIGNMENT_NOT_FOUND');
+  }
+
+  if (assignment.userId !== id && !canReviewAll) {
+    throw new AppError('You do not have permission to view these attempts', 403, 'FORBIDDEN');
+  }
+
+  const attempts = await QuizAttempt.findAll({
+    where: { assignmentId: assignment.id },
+    order: [['attemptNumber', 'ASC']]
+  });
+  const { maxAttempts } = assignment.course;
+
+  return {
+    maxAttempts: maxAttempts || null,
+    attemptsRemaining: maxAttempts ? Math.max(maxAttempts - attempts.length, 0) : null,
+    attempts: attempts.map(toAttemptSummary)
+  };
+};
+
+module.exports = {
+  QUIZ_CONFIG,
+  QUESTION_TYPES,
+  buildQuestion,
+  getQuestions,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion,
+  selectQuestions,
+  scoreAnswers,
+  startAttempt,
+  submitAttempt,
+  getAttemptReview,
+  getAttempts
+};
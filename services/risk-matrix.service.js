@@ -0,0 +1,387 @@
+/**
+ * Risk Matrix Service - Versioned risk scoring matrix and risk item scoring
+ * @module services/risk-matrix
+ */
+const { Op } = require('sequelize');
+const { RiskMatrix, RiskItem, RiskAssessment, User, AuditLog, sequelize } = require('../models');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Risk levels a band can map to, from least to most severe
+ * @constant {Array<string>}
+ */
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Matrix used when none has been configured. Its level values and band thresholds
+ * reproduce the original scoring (critical only when both ratings are high, high when
+ * either is high, medium when either is medium), so existing items keep their levels.
+ * @constant {Object}
+ */
+const DEFAULT_MATRIX = {
+  name: 'Default 3x3 matrix',
+  likelihoodLevels: [
+    { key: 'low', label: 'Low', value: 1 },
+    { key: 'medium', label: 'Medium', value: 2 },
+    { key: 'high', label: 'High', value: 5 }
+  ],
+  impactLevels: [
+    { key: 'low', label: 'Low', value: 1 },
+    { key: 'medium', label: 'Medium', value: 2 },
+    { key: 'high', label: 'High', value: 5 }
+  ],
+  bands: [
+    { level: 'low', label: 'Low', minScore: 1 },
+    { level: 'medium', label: 'Medium', minScore: 2 },
+    { level: 'high', label: 'High', minScore: 5 },
+    { level: 'critical', label: 'Critical', minScore: 25 }
+  ]
+};
+
+const MAX_LEVELS = 10;
+
+/**
+ * Validate the levels of one matrix axis
+ * @param {Array<Object>} levels - Levels to validate
+ * @param {string} axis - Axis name used in error messages
+ * @returns {Array<Object>} Normalized levels
+ * @throws {AppError} If the levels are invalid
+ */
+const validateLevels = (levels, axis) => {
+  if (!Array.isArray(levels) || levels.length < 2 || levels.length > MAX_LEVELS) {
+    throw new AppError(`${axis} must have between 2 and ${MAX_LEVELS} levels`, 400, 'VALIDATION_ERROR');
+  }
+
+  const keys = new Set();
+  const normalized = levels.map((level) => {
+    const key = level && String(level.key || '').trim();
+    if (!key || !/^[a-z][a-z0-9_]*$/.test(key) || key.length > 50) {
+      throw new AppError(`${axis} level keys must be lowercase identifiers (e.g. "almost_certain")`, 400, 'VALIDATION_ERROR');
+    }
+    if (keys.has(key)) {
+      throw new AppError(`Duplicate ${axis} level: ${key}`, 400, 'VALIDATION_ERROR');
+    }
+    keys.add(key);
+
+    if (!Number.isInteger(level.value) || level.value < 1) {
+      throw new AppError(`${axis} level "${key}" needs a positive whole number value`, 400, 'VALIDATION_ERROR');
+    }
+
+    return { key, label: String(level.label || key).trim(), value: level.value };
+  });
+
+  for (let i = 1; i < normalized.length; i++) {
+    if (normalized[i].value <= normalized[i - 1].value) {
+      throw new AppError(`${axis} levels must be ordered by increasing value`, 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  return normalized;
+};
+
+/**
+ * Validate a risk matrix definition
+ * @param {Object} data - Matrix definition
+ * @param {string} data.name - Display name
+ * @param {Array<Object>} data.likelihoodLevels - [{ key, label, value }] ordered by value
+ * @param {Array<Object>} data.impactLevels - [{ key, label, value }] ordered by value
+ * @param {Array<Object>} data.bands - [{ level, label, minScore }] ordered by minScore
+ * @returns {Object} Normalized matrix fields
+ * @throws {AppError} If the definition is invalid
+ */
+const validateMatrix = (data) => {
+  if (!data.name || !String(data.name).trim()) {
+    throw new AppError('Matrix name is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const likelihoodLevels = validateLevels(data.likelihoodLevels, 'likelihoodLevels');
+  const impactLevels = validateLevels(data.impactLevels, 'impactLevels');
+
+  if (!Array.isArray(data.bands) || data.bands.length === 0) {
+    throw new AppError('At least one score band is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const bands = data.bands.map((band) => {
+    if (!band || !RISK_LEVELS.includes(band.level)) {
+      throw new AppError(`Band level must be one of: ${RISK_LEVELS.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    if (!Number.isInteger(band.minScore) || band.minScore < 1) {
+      throw new AppError('Band minScore must be a positive whole number', 400, 'VALIDATION_ERROR');
+    }
+    return { level: band.level, label: String(band.label || band.level).trim(), minScore: band.minScore };
+  });
+
+  for (let i = 1; i < bands.length; i++) {
+    if (bands[i].minScore <= bands[i - 1].minScore) {
+      throw new AppError('Bands must be ordered by increasing minScore', 400, 'VALIDATION_ERROR');
+    }
+    if (RISK_LEVELS.indexOf(bands[i].level) < RISK_LEVELS.indexOf(bands[i - 1].level)) {
+      throw new AppError('Band levels cannot decrease as scores increase', 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  // Every possible score must fall in a band
+  const lowestScore = likelihoodLevels[0].value * impactLevels[0].value;
+  if (bands[0].minScore > lowestScore) {
+    throw new AppError(`The first band must start at or below the lowest score (${lowestScore})`, 400, 'VALIDATION_ERROR');
+  }
+
+  return {
+    name: String(data.name).trim(),
+    likelihoodLevels,
+    impactLevels,
+    bands,
+    changeSummary: data.changeSummary || null
+  };
+};
+
+/**
+ * Score a likelihood and impact rating against a matrix
+ * @param {Object} matrix - Risk matrix (likelihoodLevels, impactLevels, bands)
+ * @param {string} likelihood - Likelihood level key
+ * @param {string} impact - Impact level key
+ * @returns {Object} { riskScore, riskLevel, band }
+ * @throws {AppError} If a rating is not a level of the matrix
+ */
+const scoreRisk = (matrix, likelihood, impact) => {
+  const likelihoodLevel = matrix.likelihoodLevels.find(level => level.key === likelihood);
+  if (!likelihoodLevel) {
+    throw new AppError(
+      `Invalid likelihood. Must be one of: ${matrix.likelihoodLevels.map(level => level.key).join(', ')}`,
+      400,
+      'INVALID_RISK_RATING'
+    );
+  }
+
+  const impactLevel = matrix.impactLevels.find(level => level.key === impact);
+  if (!impactLevel) {
+    throw new AppError(
+      `Invalid impact. Must be one of: ${matrix.impactLevels.map(level => level.key).join(', ')}`,
+      400,
+      'INVALID_RISK_RATING'
+    );
+  }
+
+  const riskScore = likelihoodLevel.value * impactLevel.value;
+  const band = matrix.bands.reduce((match, candidate) => (riskScore >= candidate.minScore ? candidate : match), matrix.bands[0]);
+
+  return { riskScore, riskLevel: band.level, band: band.label };
+};
+
+/**
+ * Get the active risk matrix, creating the default matrix if none exists yet
+ * @returns {Promise<Object>} Active RiskMatrix
+ */
+const getActiveMatrix = async () => {
+  const matrix = await RiskMatrix.findOne({
+    where: { isActive: true },
+    order: [['version', 'DESC']]
+  });
+
+  if (matrix) {
+    return matrix;
+  }
+
+  logger.info('No risk matrix configured; creating the default matrix');
+  const [created] = await RiskMatrix.findOrCreate({
+    where: { version: 1 },
+    defaults: { ...DEFAULT_MATRIX, isActive: true, changeSummary: 'Default matrix' }
+  });
+  return created;
+};
+
+/**
+ * Get all versions of the risk matrix, newest first
+ * @returns {Promise<Array>} Matrix versions with their creator
+ */
+const getMatrixVersions = () => RiskMatrix.findAll({
+  include: [{ model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] }],
+  order: [['version', 'DESC']]
+});
+
+/**
+ * Get one version of the risk matrix
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} Matrix version
+ * @throws {AppError} If the version does not exist
+ */
+const getMatrixVersion = async (version) => {
+  const matrix = await RiskMatrix.findOne({
+    where: { version },
+    include: [{ model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] }]
+  });
+
+  if (!matrix) {
+    throw new AppError('Risk matrix version not found', 404, 'RISK_MATRIX_NOT_FOUND');
+  }
+
+  return matrix;
+};
+
+/**
+ * Re-score risk items with a matrix
+ *
+ * Both inherent and residual ratings are scored. Items in archived assessments keep the
+ * score they were given. Ratings that are not levels of the matrix can be translated with
+ * a mapping (e.g. { medium: 'possible' }); items whose ratings still do not fit are left
+ * unchanged and reported as skipped.
+ *
+ * @param {Object} matrix - Risk matrix to apply
+ * @param {Object} [options] - Options
+ * @param {Object} [options.likelihoodMap] - Old likelihood key to new key
+ * @param {Object} [options.impactMap] - Old impact key to new key
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Object>} { total, changed, skipped: [riskItemId] }
+ */
+const rescoreItems = async (matrix, { likelihoodMap = {}, impactMap = {}, transaction } = {}) => {
+  const items = await RiskItem.findAll({
+    include: [{
+      model: RiskAssessment,
+      as: 'assessment',
+      attributes: ['id', 'status'],
+      where: { status: { [Op.ne]: 'archived' } }
+    }],
+    transaction
+  });
+
+  const summary = { total: items.length, changed: 0, skipped: [] };
+
+  for (const item of items) {
+    const likelihood = likelihoodMap[item.likelihood] || item.likelihood;
+    const impact = impactMap[item.impact] || item.impact;
+    const hasResidual = Boolean(item.residualLikelihood && item.residualImpact);
+    const residualLikelihood = hasResidual ? likelihoodMap[item.residualLikelihood] || item.residualLikelihood : null;
+    const residualImpact = hasResidual ? impactMap[item.residualImpact] || item.residualImpact : null;
+
+    let score;
+    let residual;
+    try {
+      score = scoreRisk(matrix, likelihood, impact);
+      residual = hasResidual ? scoreRisk(matrix, residualLikelihood, residualImpact) : null;
+    } catch (error) {
+      summary.skipped.push(item.id);
+      continue;
+    }
+
+    const updates = {
+      likelihood,
+      impact,
+      riskScore: score.riskScore,
+      riskLevel: score.riskLevel,
+      riskMatrixId: matrix.id
+    };
+    if (residual) {
+      Object.assign(updates, {
+        residualLikelihood,
+        residualImpact,
+        residualScore: residual.riskScore,
+        residualRiskLevel: residual.riskLevel
+      });
+    }
+    const changed = Object.keys(updates).some(field => item[field] !== updates[field]);
+
+    if (changed) {
+      await item.update(updates, { transaction });
+      summary.changed++;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Replace the active risk matrix with a new version and re-score existing items
+ * @param {Object} data - Matrix definition (see validateMatrix) plus optional likelihoodMap and impactMap
+ * @param {number} userId - ID of the user making the change
+ * @returns {Promise<Object>} { matrix, rescore }
+ * @throws {AppError} If the definition is invalid
+ */
+const updateMatrix = async (data, userId) => {
+  const fields = validateMatrix(data);
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const latestVersion = await RiskMatrix.max('version', { transaction });
+
+    await RiskMatrix.update({ isActive: false }, { where: { isActive: true }, transaction });
+
+    const matrix = await RiskMatrix.create({
+      ...fields,
+      version: (latestVersion || 0) + 1,
+      isActive: true,
+      createdBy: userId
+    }, { transaction });
+
+    const rescore = await rescoreItems(matrix, {
+      likelihoodMap: data.likelihoodMap,
+      impactMap: data.impactMap,
+      transaction
+    });
+
+    return { matrix, rescore };
+  });
+
+  logger.info(`Risk matrix version ${result.matrix.version} activated`, {
+    changed: result.rescore.changed,
+    skipped: result.rescore.skipped.length
+  });
+
+  await AuditLog.createWithHash({
+    userId,
+    action: 'RISK_MATRIX_UPDATED',
+    category: 'RISK',
+    entityType: 'RiskMatrix',
+    entityId: result.matrix.id,
+    details: {
+      version: result.matrix.version,
+      itemsRescored: result.rescore.changed,
+      itemsSkipped: result.rescore.skipped
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Re-score all risk items with the active matrix, e.g. after fixing items that were skipped
+ * @param {Object} [options] - likelihoodMap and impactMap (see rescoreItems)
+ * @param {number} userId - ID of the user starting the re-score
+ * @returns {Promise<Object>} { matrix, rescore }
+ */
+const rescoreWithActiveMatrix = async (options = {}, userId) => {
+  const matrix = await getActiveMatrix();
+
+  const rescore = await sequelize.transaction(transaction => rescoreItems(matrix, {
+    likelihoodMap: options.likelihoodMap,
+    impactMap: options.impactMap,
+    transaction
+  }));
+
+  await AuditLog.createWithHash({
+    userId,
+    action: 'RISK_ITEMS_RESCORED',
+    category: 'RISK',
+    entityType: 'RiskMatrix',
+    entityId: matrix.id,
+    details: {
+      version: matrix.version,
+      itemsRescored: rescore.changed,
+      itemsSkipped: rescore.skipped
+    }
+  });
+
+  return { matrix, rescore };
+};
+
+module.exports = {
+  RISK_LEVELS,
+  DEFAULT_MATRIX,
+  validateMatrix,
+  scoreRisk,
+  getActiveMatrix,
+  getMatrixVersions,
+  getMatrixVersion,
+  rescoreItems,
+  updateMatrix,
+  rescoreWithActiveMatrix
+};
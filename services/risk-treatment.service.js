@@ -0,0 +1,575 @@
+/**
+ * Risk Treatment Service - Treatment decisions, mitigation tasks, evidence and residual risk
+ * @module services/risk-treatment
+ */
+const { Op } = require('sequelize');
+const { RiskItem, RiskTreatmentTask, RiskTaskEvidence, Document, User, AuditLog, sequelize } = require('../models');
+const riskMatrixService = require('./risk-matrix.service');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Ways a risk can be treated
+ * @constant {Array<string>}
+ */
+const TREATMENT_DECISIONS = ['mitigate', 'accept', 'transfer', 'avoid'];
+
+/**
+ * Statuses of a treatment task
+ * @constant {Array<string>}
+ */
+const TASK_STATUSES = ['open', 'in_progress', 'completed', 'cancelled'];
+
+const USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'email'];
+
+/**
+ * Get a risk item or fail
+ * @param {number} id - Risk item ID
+ * @param {Object} [options] - Sequelize find options
+ * @returns {Promise<Object>} Risk item
+ * @throws {AppError} If the risk item is not found
+ */
+const findRiskItem = async (id, options = {}) => {
+  const item = await RiskItem.findByPk(id, options);
+
+  if (!item) {
+    throw new AppError('Risk item not found', 404, 'RISK_ITEM_NOT_FOUND');
+  }
+
+  return item;
+};
+
+/**
+ * Get a treatment task or fail
+ * @param {number} id - Task ID
+ * @param {Object} [options] - Sequelize find options
+ * @returns {Promise<Object>} Task
+ * @throws {AppError} If the task is not found
+ */
+const findTask = async (id, options = {}) => {
+  const task = await RiskTreatmentTask.findByPk(id, options);
+
+  if (!task) {
+    throw new AppError('Treatment task not found', 404, 'TASK_NOT_FOUND');
+  }
+
+  return task;
+};
+
+/**
+ * Check that the actor manages risk or owns the task
+ * @param {Object} task - Treatment task
+ * @param {Object} actor - { id, canManage }
+ * @throws {AppError} If the actor may not change the task
+ */
+const assertCanWorkOnTask = (task, actor) => {
+  if (!actor.canManage && Number(task.ownerId) !== Number(actor.id)) {
+    throw new AppError('Only the task owner or a compliance officer can change this task', 403, 'FORBIDDEN');
+  }
+};
+
+/**
+ * Write a risk treatment audit entry (failures are logged, not thrown)
+ * @param {number} userId - Acting user
+ * @param {string} action - Audit action
+ * @param {number} riskItemId - Risk item affected
+ * @param {Object} details - Details
+ */
+const audit = async (userId, action, riskItemId, details) => {
+  try {
+    await AuditLog.createWithHash({
+      userId,
+      action,
+      category: 'RISK',
+      entityType: 'RiskItem',
+      entityId: riskItemId,
+      details
+    });
+  } catch (error) {
+    logger.error(`Failed to write ${action} audit entry for risk item ${riskItemId}:`, error);
+  }
+};
+
+/**
+ * Derive a risk item's mitigation status from its treatment
+ *
+ * An approved acceptance makes the risk 'accepted'. Otherwise the tasks decide:
+ * all (non-cancelled) tasks done is 'completed', any work started is 'in_progress'.
+ *
+ * @param {Object} item - Risk item (treatmentDecision, acceptanceStatus)
+ * @param {Array<Object>} tasks - Treatment tasks of the item
+ * @returns {string} Mitigation status
+ */
+const deriveMitigationStatus = (item, tasks) => {
+  if (item.treatmentDecision === 'accept' && item.acceptanceStatus === 'approved') {
+    return 'accepted';
+  }
+
+  const active = tasks.filter(task => task.status !== 'cancelled');
+  if (active.length > 0 && active.every(task => task.status === 'completed')) {
+    return 'completed';
+  }
+
+  if (active.some(task => task.status === 'in_progress' || task.status === 'completed')) {
+    return 'in_progress';
+  }
+
+  return 'not_started';
+};
+
+/**
+ * Recompute and store the mitigation status of a risk item
+ * @param {Object} item - Risk item
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<string>} New mitigation status
+ */
+const refreshMitigationStatus = async (item, transaction) => {
+  const tasks = await RiskTreatmentTask.findAll({
+    where: { riskItemId: item.id },
+    attributes: ['id', 'status'],
+    transaction
+  });
+
+  const mitigationStatus = deriveMitigationStatus(item, tasks);
+  if (mitigationStatus !== item.mitigationStatus) {
+    await item.update({
+      mitigationStatus,
+      mitigationDate: mitigationStatus === 'completed' ? new Date() : null
+    }, { transaction });
+  }
+
+  return mitigationStatus;
+};
+
+/**
+ * Get the treatment plan of a risk item
+ * @param {number} riskItemId - Risk item ID
+ * @returns {Promise<Object>} Risk item with decision, approver and tasks with owners and evidence
+ * @throws {AppError} If the risk item is not found
+ */
+const getTreatmentPlan = (riskItemId) => findRiskItem(riskItemId, {
+  include: [
+    { model: User, as: 'treatmentDecider', attributes: USER_ATTRIBUTES },
+    { model: User, as: 'acceptanceApprover', attributes: USER_ATTRIBUTES },
+    {
+      model: RiskTreatmentTask,
+      as: 'treatmentTasks',
+      include: [
+        { model: User, as: 'owner', attributes: USER_ATTRIBUTES },
+        {
+          model: RiskTaskEvidence,
+          as: 'evidence',
+          include: [
+            { model: Document, as: 'document', attributes: ['id', 'title', 'version'] },
+            { model: User, as: 'uploader', attributes: USER_ATTRIBUTES }
+          ]
+        }
+      ]
+    }
+  ],
+  order: [[{ model: RiskTreatmentTask, as: 'treatmentTasks' }, 'dueDate', 'ASC']]
+});
+
+/**
+ * Record how a risk will be treated
+ *
+ * Accepting a risk must be approved by someone other than the person who decided it.
+ *
+ * @param {number} riskItemId - Risk item ID
+ * @param {Object} data - { decision, rationale }
+ * @param {number} userId - ID of the user making the decision
+ * @returns {Promise<Object>} Treatment plan
+ * @throws {AppError} If the risk item is not found or the input is invalid
+ */
+const decideTreatment = async (riskItemId, { decision, rationale } = {}, userId) => {
+  if (!TREATMENT_DECISIONS.includes(decision)) {
+    throw new AppError(`decision must be one of: ${TREATMENT_DECISIONS.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  if (decision === 'accept' && (!rationale || !String(rationale).trim())) {
+    throw new AppError('A rationale is required to accept a risk', 400, 'VALIDATION_ERROR');
+  }
+
+  const item = await findRiskItem(riskItemId);
+
+  await sequelize.transaction(async (transaction) => {
+    await item.update({
+      treatmentDecision: decision,
+      treatmentRationale: rationale || null,
+      treatmentDecidedBy: userId,
+      treatmentDecidedAt: new Date(),
+      acceptanceStatus: decision === 'accept' ? 'pending' : null,
+      acceptanceApprovedBy: null,
+      acceptanceApprovedAt: null,
+      acceptanceNotes: null
+    }, { transaction });
+
+    await refreshMitigationStatus(item, transaction);
+  });
+
+  await audit(userId, 'RISK_TREATMENT_DECIDED', item.id, { decision });
+
+  return getTreatmentPlan(riskItemId);
+};
+
+/**
+ * Approve or reject a decision to accept a risk
+ * @param {number} riskItemId - Risk item ID
+ * @param {Object} data - { approved, notes }; notes are required when rejecting
+ * @param {number} userId - ID of the approver
+ * @returns {Promise<Object>} Treatment plan
+ * @throws {AppError} If there is no pending acceptance or the approver decided it
+ */
+const reviewAcceptance = async (riskItemId, { approved, notes } = {}, userId) => {
+  if (typeof approved !== 'boolean') {
+    throw new AppError('approved must be true or false', 400, 'VALIDATION_ERROR');
+  }
+
+  if (!approved && (!notes || !String(notes).trim())) {
+    throw new AppError('Notes are required when rejecting a risk acceptance', 400, 'VALIDATION_ERROR');
+  }
+
+  const item = await findRiskItem(riskItemId);
+
+  if (item.treatmentDecision !== 'accept') {
+    throw new AppError('The treatment decision for this risk is not acceptance', 400, 'NOT_AN_ACCEPTANCE');
+  }
+
+  if (item.acceptanceStatus !== 'pending') {
+    throw new AppError('This risk acceptance has already been reviewed', 409, 'ACCEPTANCE_ALREADY_REVIEWED');
+  }
+
+  if (Number(item.treatmentDecidedBy) === Number(userId)) {
+    throw new AppError('A risk acceptance must be approved by someone other than the person who decided it', 403, 'SELF_APPROVAL_NOT_ALLOWED');
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await item.update({
+      acceptanceStatus: approved ? 'approved' : 'rejected',
+      acceptanceApprovedBy: userId,
+      acceptanceApprovedAt: new Date(),
+      acceptanceNotes: notes || null
+    }, { transaction });
+
+    await refreshMitigationStatus(item, transaction);
+  });
+
+  await audit(userId, approved ? 'RISK_ACCEPTANCE_APPROVED' : 'RISK_ACCEPTANCE_REJECTED', item.id, { notes: notes || null });
+
+  return getTreatmentPlan(riskItemId);
+};
+
+/**
+ * Score inherent and residual ratings with a matrix and check the residual risk does not
+ * exceed the inherent risk
+ * @param {Object} matrix - Active risk matrix
+ * @param {Object} inherentRating - { likelihood, impact }
+ * @param {Object} residualRating - { likelihood, impact }
+ * @returns {Object} { inherent, residual } scores
+ * @throws {AppError} If the residual risk exceeds the inherent risk
+ */
+const scoreWithinInherent = (matrix, inherentRating, residualRating) => {
+  const inherent = riskMatrixService.scoreRisk(matrix, inherentRating.likelihood, inherentRating.impact);
+  const residual = riskMatrixService.scoreRisk(matrix, residualRating.likelihood, residualRating.impact);
+
+  if (residual.riskScore > inherent.riskScore) {
+    throw new AppError(
+      `Residual risk (score ${residual.riskScore}) cannot exceed inherent risk (score ${inherent.riskScore})`,
+      400,
+      'RESIDUAL_EXCEEDS_INHERENT'
+    );
+  }
+
+  return { inherent, residual };
+};
+
+/**
+ * Score the residual risk of an item after controls
+ *
+ * Both inherent and residual ratings are scored with the active risk matrix;
+ * the residual score cannot exceed the inherent score.
+ *
+ * @param {number} riskItemId - Risk item ID
+ * @param {Object} data - { residualLikelihood, residualImpact }; both null clears the residual risk
+ * @returns {Promise<Object>} Updated risk item
+ * @throws {AppError} If a rating is invalid or the residual risk exceeds the inherent risk
+ */
+const setResidualRisk = async (riskItemId, { residualLikelihood, residualImpact } = {}) => {
+  const item = await findRiskItem(riskItemId);
+
+  if (residualLikelihood === null && residualImpact === null) {
+    return item.update({
+      residualLikelihood: null,
+      residualImpact: null,
+      residualScore: null,
+      residualRiskLevel: null
+    });
+  }
+
+  if (!residualLikelihood || !residualImpact) {
+    throw new AppError('residualLikelihood and residualImpact are both required', 400, 'VALIDATION_ERROR');
+  }
+
+  const matrix = await riskMatrixService.getActiveMatrix();
+  const { inherent, residual } = scoreWithinInherent(
+    matrix,
+    { likelihood: item.likelihood, impact: item.impact },
+    { likelihood: residualLikelihood, impact: residualImpact }
+  );
+
+  return item.update({
+    riskScore: inherent.riskScore,
+    riskLevel: inherent.riskLevel,
+    residualLikelihood,
+    residualImpact,
+    residualScore: residual.riskScore,
+    residualRiskLevel: residual.riskLevel,
+    riskMatrixId: matrix.id
+  });
+};
+
+/**
+ * Validate task fields
+ * @param {Object} data - Task fields
+ * @param {boolean} [partial=false] - Whether only some fields are being updated
+ * @returns {Promise<Object>} Fields to save
+ * @throws {AppError} If a field is invalid
+ */
+const validateTask = async (data, partial = false) => {
+  const fields = {};
+
+  if (!partial || data.title !== undefined) {
+    if (!data.title || !String(data.title).trim()) {
+      throw new AppError('Task title is required', 400, 'VALIDATION_ERROR');
+    }
+    fields.title = String(data.title).trim();
+  }
+
+  if (data.description !== undefined) {
+    fields.description = data.description;
+  }
+
+  if (!partial || data.ownerId !== undefined) {
+    const owner = data.ownerId ? await User.findByPk(data.ownerId, { attributes: ['id', 'accountStatus'] }) : null;
+    if (!owner || owner.accountStatus !== 'active') {
+      throw new AppError('Invalid ownerId: an active user is required', 400, 'VALIDATION_ERROR');
+    }
+    fields.ownerId = owner.id;
+  }
+
+  if (data.dueDate !== undefined) {
+    if (data.dueDate !== null && isNaN(new Date(data.dueDate).getTime())) {
+      throw new AppError('dueDate must be a valid date', 400, 'VALIDATION_ERROR');
+    }
+    fields.dueDate = data.dueDate === null ? null : new Date(data.dueDate);
+  }
+
+  return fields;
+};
+
+/**
+ * Add a mitigation task to a risk item's treatment plan
+ * @param {number} riskItemId - Risk item ID
+ * @param {Object} data - { title, description, ownerId, dueDate }
+ * @param {number} userId - ID of the user creating the task
+ * @returns {Promise<Object>} Created task with its owner
+ * @throws {AppError} If the risk item is not found or the input is invalid
+ */
+const createTask = async (riskItemId, data, userId) => {
+  const item = await findRiskItem(riskItemId);
+  const fields = await validateTask(data);
+
+  const task = await sequelize.transaction(async (transaction) => {
+    const created = await RiskTreatmentTask.create({
+      ...fields,
+      riskItemId: item.id,
+      status: 'open',
+      createdBy: userId
+    }, { transaction });
+
+    await refreshMitigationStatus(item, transaction);
+    return created;
+  });
+
+  return findTask(task.id, { include: [{ model: User, as: 'owner', attributes: USER_ATTRIBUTES }] });
+};
+
+/**
+ * Update a treatment task
+ *
+ * Task owners may only change the status of their tasks. Completing a task requires evidence.
+ *
+ * @param {number} taskId - Task ID
+ * @param {Object} data - Fields to change (title, description, ownerId, dueDate, status)
+ * @param {Object} actor - { id, canManage }
+ * @returns {Promise<Object>} Updated task with its owner and evidence
+ * @throws {AppError} If the task is not found, the actor may not change it or the input is invalid
+ */
+const updateTask = async (taskId, data, actor) => {
+  const task = await findTask(taskId);
+  assertCanWorkOnTask(task, actor);
+
+  const { status, ...details } = data;
+  const fields = actor.canManage ? await validateTask(details, true) : {};
+
+  if (!actor.canManage && Object.keys(details).some(key => details[key] !== undefined)) {
+    throw new AppError('Task owners can only change the task status', 403, 'FORBIDDEN');
+  }
+
+  if (status !== undefined && status !== task.status) {
+    if (!TASK_STATUSES.includes(status)) {
+      throw new AppError(`status must be one of: ${TASK_STATUSES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+
+    if (status === 'cancelled' && !actor.canManage) {
+      throw new AppError('Only a compliance officer can cancel a task', 403, 'FORBIDDEN');
+    }
+
+    if (status === 'completed') {
+      const evidenceCount = await RiskTaskEvidence.count({ where: { taskId: task.id } });
+      if (evidenceCount === 0) {
+        throw new AppError('Attach evidence before completing the task', 400, 'EVIDENCE_REQUIRED');
+      }
+    }
+
+    fields.status = status;
+    fields.completedAt = status === 'completed' ? new Date() : null;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await task.update(fields, { transaction });
+
+    if (fields.status) {
+      const item = await findRiskItem(task.riskItemId, { transaction });
+      await refreshMitigationStatus(item, transaction);
+    }
+  });
+
+  return findTask(task.id, {
+    include: [
+      { model: User, as: 'owner', attributes: USER_ATTRIBUTES },
+      { model: RiskTaskEvidence, as: 'evidence' }
+    ]
+  });
+};
+
+/**
+ * Delete a treatment task and its evidence
+ * @param {number} taskId - Task ID
+ * @returns {Promise<boolean>} Success status
+ * @throws {AppError} If the task is not found
+ */
+const deleteTask = async (taskId) => {
+  const task = await findTask(taskId);
+
+  await sequelize.transaction(async (transaction) => {
+    await task.destroy({ transaction });
+    const item = await findRiskItem(task.riskItemId, { transaction });
+    await refreshMitigationStatus(item, transaction);
+  });
+
+  return true;
+};
+
+/**
+ * Attach evidence to a treatment task
+ * @param {number} taskId - Task ID
+ * @param {Object} data - { documentId, reference, description }; a document or a reference is required
+ * @param {Object} actor - { id, canManage }
+ * @returns {Promise<Object>} Created evidence
+ * @throws {AppError} If the task or document is not found, or the actor may not change the task
+ */
+const addEvidence = async (taskId, { documentId, reference, description } = {}, actor) => {
+  const task = await findTask(taskId);
+  assertCanWorkOnTask(task, actor);
+
+  if (!documentId && !(reference && String(reference).trim())) {
+    throw new AppError('A documentId or reference is required', 400, 'VALIDATION_ERROR');
+  }
+
+  if (documentId && !(await Document.findByPk(documentId, { attributes: ['id'] }))) {
+    throw new AppError('Invalid documentId: Document not found', 400, 'VALIDATION_ERROR');
+  }
+
+  return RiskTaskEvidence.create({
+    taskId: task.id,
+    documentId: documentId || null,
+    reference: reference ? String(reference).trim() : null,
+    description: description || null,
+    addedBy: actor.id
+  });
+};
+
+/**
+ * Remove evidence from a treatment task
+ *
+ * Completed tasks must keep at least one piece of evidence.
+ *
+ * @param {number} evidenceId - Evidence ID
+ * @param {Object} actor - { id, canManage }
+ * @returns {Promise<boolean>} Success status
+ * @throws {AppError} If the evidence is not found or may not be removed
+ */
+const removeEvidence = async (evidenceId, actor) => {
+  const evidence = await RiskTaskEvidence.findByPk(evidenceId, {
+    include: [{ model: RiskTreatmentTask, as: 'task', attributes: ['id', 'status', 'ownerId'] }]
+  });
+
+  if (!evidence) {
+    throw new AppError('Evidence not found', 404, 'EVIDENCE_NOT_FOUND');
+  }
+
+  if (!actor.canManage && Number(evidence.addedBy) !== Number(actor.id)) {
+    throw new AppError('Only the person who added the evidence or a compliance officer can remove it', 403, 'FORBIDDEN');
+  }
+
+  if (evidence.task.status === 'completed') {
+    const evidenceCount = await RiskTaskEvidence.count({ where: { taskId: evidence.taskId } });
+    if (evidenceCount <= 1) {
+      throw new AppError('Completed tasks must keep at least one piece of evidence', 400, 'EVIDENCE_REQUIRED');
+    }
+  }
+
+  await evidence.destroy();
+  return true;
+};
+
+/**
+ * Get the treatment tasks owned by a user
+ * @param {number} userId - Owner ID
+ * @param {Object} [filters] - Filters
+ * @param {boolean} [filters.openOnly] - Only open and in-progress tasks
+ * @returns {Promise<Array>} Tasks with their risk item and evidence
+ */
+const getTasksForOwner = (userId, { openOnly = false } = {}) => {
+  const where = { ownerId: userId };
+  if (openOnly) {
+    where.status = { [Op.in]: ['open', 'in_progress'] };
+  }
+
+  return RiskTreatmentTask.findAll({
+    where,
+    include: [
+      { model: RiskItem, as: 'riskItem', attributes: ['id', 'assessmentId', 'assetName', 'description', 'riskLevel', 'residualRiskLevel'] },
+      { model: RiskTaskEvidence, as: 'evidence' }
+    ],
+    order: [['dueDate', 'ASC'], ['id', 'ASC']]
+  });
+};
+
+module.exports = {
+  TREATMENT_DECISIONS,
+  TASK_STATUSES,
+  deriveMitigationStatus,
+  scoreWithinInherent,
+  getTreatmentPlan,
+  decideTreatment,
+  reviewAcceptance,
+  setResidualRisk,
+  createTask,
+  updateTask,
+  deleteTask,
+  addEvidence,
+  removeEvidence,
+  getTasksForOwner
+};
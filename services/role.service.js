@@ -0,0 +1,529 @@
+/**
+ * Role Service - Roles, the permission catalog and effective permission resolution
+ * @module services/role
+ *
+ * Routes are guarded by permissions from the catalog in config/permissions.js. A role grants
+ * the permissions stored on it and, recursively, those of the roles it includes, so a role such
+ * as 'Privacy Officer' can be composed from 'Employee' plus a few extra permissions. The Admin
+ * role, and any role with the isAdmin flag or that includes one, grants every permission.
+ *
+ * The role graph is read on every authenticated request, so it is cached briefly and the cache
+ * is cleared whenever a role changes.
+ */
+const { User, Role } = require('../models');
+const { PERMISSIONS } = require('../config/permissions');
+const cacheService = require('./cache.service');
+const securityService = require('./security.service');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Role configuration
+ */
+const ROLE_CONFIG = {
+  ADMIN_ROLE: 'Admin',
+  GRAPH_CACHE_KEY: 'roles:graph',
+  // Longest time a role change takes to reach other server processes
+  GRAPH_CACHE_TTL_SECONDS: 60
+};
+
+const PERMISSION_KEYS = PERMISSIONS.map(permission => permission.key);
+
+/**
+ * Whether a permission is in the catalog
+ * @param {string} key - Permission key
+ * @returns {boolean} True for catalog permissions
+ */
+const isKnownPermission = (key) => PERMISSION_KEYS.includes(key);
+
+/**
+ * Read role permissions, which may be stored as a JSON string
+ * @param {Object|string} permissions - Stored permissions
+ * @returns {Object} Permissions object
+ */
+const parsePermissions = (permissions) => {
+  if (!permissions) {
+    return {};
+  }
+
+  if (typeof permissions === 'string') {
+    try {
+      return JSON.parse(permissions) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  return permissions;
+};
+
+/**
+ * Whether a role grants every permission on its own
+ * @param {Object} role - Role
+ * @returns {boolean} True for administrator roles
+ */
+const isAdminRole = (role) => role.name === ROLE_CONFIG.ADMIN_ROLE || Boolean(parsePermissions(role.permissions).isAdmin);
+
+/**
+ * Load every role with the IDs of the roles it includes
+ * @returns {Promise<Object>} Roles keyed by ID, as { id, name, permissions, includedRoleIds }
+ */
+const loadRoleGraph = async () => {
+  const cached = await cacheService.get(ROLE_CONFIG.GRAPH_CACHE_KEY);
+  if (cached) {
+    return cached;
+  }
+
+  const roles = await Role.findAll({
+    attributes: ['id', 'name', 'permissions'],
+    include: [{ model: Role, as: 'includedRoles', attributes: ['id'], through: { attributes: [] } }]
+  });
+
+  const graph = {};
+  roles.forEach((role) => {
+    graph[role.id] = {
+      id: role.id,
+      name: role.name,
+      permissions: parsePermissions(role.permissions),
+      includedRoleIds: (role.includedRoles || []).map(included => included.id)
+    };
+  });
+
+  await cacheService.set(ROLE_CONFIG.GRAPH_CACHE_KEY, graph, ROLE_CONFIG.GRAPH_CACHE_TTL_SECONDS);
+  return graph;
+};
+
+/**
+ * Clear the cached role graph after a role changes
+ */
+const invalidateRoleGraph = async () => {
+  await cacheService.del(ROLE_CONFIG.GRAPH_CACHE_KEY);
+};
+
+/**
+ * Resolve the permissions a role grants, directly and through the roles it includes
+ * @param {Object} graph - Role graph
+ * @param {Object} role - Role, as { id, name, permissions }
+ * @param {Array} [includedRoleIds] - Roles the role includes, when not as in the graph
+ * @returns {Object} { admin, permissions, sources } where permissions maps each granted flag to
+ * true and sources maps each catalog key to the names of the roles that grant it
+ */
+const resolvePermissions = (graph, role, includedRoleIds) => {
+  const permissions = {};
+  const sources = {};
+  const visited = new Set();
+  let admin = false;
+
+  const visit = (current, includes) => {
+    if (!current || visited.has(current.id)) {
+      return;
+    }
+    visited.add(current.id);
+
+    if (isAdminRole(current)) {
+      admin = true;
+    }
+
+    Object.entries(parsePermissions(current.permissions)).forEach(([key, granted]) => {
+      if (granted) {
+        permissions[key] = true;
+        if (isKnownPermission(key)) {
+          sources[key] = [...(sources[key] || []), current.name];
+        }
+      }
+    });
+
+    const node = graph[current.id];
+    (includes || (node ? node.includedRoleIds : [])).forEach(id => visit(graph[id]));
+  };
+
+  visit(role, includedRoleIds);
+
+  if (admin) {
+    permissions.isAdmin = true;
+    PERMISSION_KEYS.forEach((key) => {
+      permissions[key] = true;
+      if (!sources[key]) {
+        sources[key] = [role.name];
+      }
+    });
+  }
+
+  return { admin, permissions, sources };
+};
+
+/**
+ * Replace a loaded user's role permissions with the role's effective permissions. Only the
+ * in-memory role is changed. If the roles cannot be read the role's own permissions are kept,
+ * so a failure never grants more than the role stores.
+ * @param {Object} user - User with role
+ * @returns {Promise<void>}
+ */
+const applyEffectivePermissions = async (user) => {
+  if (!user.role) {
+    return;
+  }
+
+  try {
+    const graph = await loadRoleGraph();
+    const { permissions } = resolvePermissions(graph, user.role);
+    user.role.permissions = permissions;
+  } catch (error) {
+    logger.error(`Failed to resolve the permissions of role ${user.role.id}:`, error);
+  }
+};
+
+/**
+ * Whether a user whose effective permissions have been applied holds a permission
+ * @param {Object} user - User with role
+ * @param {string} key - Permission key
+ * @returns {boolean} True if the user holds the permission
+ */
+const userHasPermission = (user, key) => {
+  const permissions = parsePermissions(user && user.role && user.role.permissions);
+  return Boolean(permissions.isAdmin || permissions[key]);
+};
+
+/**
+ * List the catalog permissions a user whose effective permissions have been applied holds
+ * @param {Object} user - User with role
+ * @returns {Array} Permission keys
+ */
+const getPermissionKeys = (user) => PERMISSION_KEYS.filter(key => userHasPermission(user, key));
+
+/**
+ * Get the permission catalog
+ * @returns {Array} Permissions, as { key, group, description }
+ */
+const getCatalog = () => PERMISSIONS;
+
+/**
+ * Describe a role with its direct and effective permissions
+ * @param {Object} graph - Role graph
+ * @param {Object} role - Role
+ * @returns {Object} Role
+ */
+const formatRole = (graph, role) => {
+  const node = graph[role.id] || { includedRoleIds: [] };
+  const { admin, sources } = resolvePermissions(graph, role);
+  const permissions = parsePermissions(role.permissions);
+
+  return {
+    id: role.id,
+    name: role.name,
+    description: role.description,
+    permissions: PERMISSION_KEYS.filter(key => permissions[key]),
+    includedRoleIds: node.includedRoleIds,
+    isAdmin: admin,
+    effectivePermissions: PERMISSION_KEYS.filter(key => sources[key]),
+    createdAt: role.createdAt,
+    updatedAt: role.updatedAt
+  };
+};
+
+/**
+ * List roles with their direct and effective permissions
+ * @returns {Promise<Array>} Roles
+ */
+const listRoles = async () => {
+  const roles = await Role.findAll({ order: [['name', 'ASC']] });
+  const graph = await loadRoleGraph();
+
+  return roles.map(role => formatRole(graph, role));
+};
+
+/**
+ * Get a user's effective permissions and the roles they come from
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { user, role, isAdmin, permissions }
+ * @throws {AppError} If the user does not exist
+ */
+const getUserPermissions = async (userId) => {
+  const user = await User.findByPk(userId, {
+    attributes: ['id', 'username', 'firstName', 'lastName'],
+    include: [{ model: Role, as: 'role', attributes: ['id', 'name', 'permissions'] }]
+  });
+
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  const summary = { id: user.id, username: user.username, firstName: user.firstName, lastName: user.lastName };
+
+  if (!user.role) {
+    return { user: summary, role: null, isAdmin: false, permissions: [] };
+  }
+
+  const graph = await loadRoleGraph();
+  const { admin, sources } = resolvePermissions(graph, user.role);
+
+  return {
+    user: summary,
+    role: { id: user.role.id, name: user.role.name },
+    isAdmin: admin,
+    permissions: PERMISSIONS
+      .filter(permission => sources[permission.key])
+      .map(permission => ({ ...permission, grantedBy: sources[permission.key] }))
+  };
+};
+
+/**
+ * Validate permission keys against the catalog
+ * @param {Array} permissions - Permission keys
+ * @returns {Array} Unique keys
+ * @throws {AppError} If the list is malformed or names an unknown permission
+ */
+const normalizePermissionKeys = (permissions) => {
+  if (!Array.isArray(permissions) || permissions.some(key => typeof key !== 'string')) {
+    throw new AppError('permissions must be a list of permission keys', 400, 'VALIDATION_ERROR');
+  }
+
+  const unknown = permissions.filter(key => !isKnownPermission(key));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown permissions: ${unknown.join(', ')}`, 400, 'UNKNOWN_PERMISSION');
+  }
+
+  return [...new Set(permissions)];
+};
+
+/**
+ * Validate the roles a role includes. A role cannot include itself, directly or through
+ * another role.
+ * @param {Object} graph - Role graph
+ * @param {number|null} roleId - ID of the role being changed, or null for a new role
+ * @param {Array} includedRoleIds - Role IDs
+ * @returns {Array} Unique role IDs
+ * @throws {AppError} If a role does not exist or the inclusion would form a cycle
+ */
+const normalizeIncludedRoles = (graph, roleId, includedRoleIds) => {
+  if (!Array.isArray(includedRoleIds) || includedRoleIds.some(id => !Number.isInteger(Number(id)))) {
+    throw new AppError('includedRoleIds must be a list of role IDs', 400, 'VALIDATION_ERROR');
+  }
+
+  const ids = [...new Set(includedRoleIds.map(Number))];
+
+  const missing = ids.filter(id => !graph[id]);
+  if (missing.length > 0) {
+    throw new AppError(`Roles not found: ${missing.join(', ')}`, 404, 'ROLE_NOT_FOUND');
+  }
+
+  if (roleId !== null) {
+    const reaches = (id, visited = new Set()) => {
+      if (id === roleId) {
+        return true;
+      }
+      if (visited.has(id)) {
+        return false;
+      }
+      visited.add(id);
+      return graph[id].includedRoleIds.some(next => reaches(next, visited));
+    };
+
+    if (ids.some(id => reaches(id))) {
+      throw new AppError('A role cannot include itself, directly or through another role', 400, 'ROLE_INCLUSION_CYCLE');
+    }
+  }
+
+  return ids;
+};
+
+/**
+ * Refuse changes that would let a role grant permissions the person making the change does
+ * not hold, so roles:manage cannot be used to escalate privileges
+ * @param {Object} actor - User making the change, with effective permissions applied
+ * @param {Object} before - Effective permissions before the change
+ * @param {Object} after - Effective permissions after the change
+ * @throws {AppError} If the change grants a permission the actor lacks
+ */
+const assertNoEscalation = (actor, before, after) => {
+  const actorPermissions = parsePermissions(actor.role && actor.role.permissions);
+  if (actorPermissions.isAdmin) {
+    return;
+  }
+
+  const added = Object.keys(after).filter(key => after[key] && !before[key]);
+  const notHeld = added.filter(key => !actorPermissions[key]);
+
+  if (notHeld.length > 0) {
+    throw new AppError(`You cannot grant permissions you do not hold: ${notHeld.join(', ')}`, 403, 'PERMISSION_ESCALATION');
+  }
+};
+
+/**
+ * Create a role
+ * @param {Object} roleData - Role data
+ * @param {string} roleData.name - Unique name
+ * @param {string} [roleData.description] - What the role is for
+ * @param {Array} [roleData.permissions] - Permission keys the role grants directly
+ * @param {Array} [roleData.includedRoleIds] - Roles whose permissions the role inherits
+ * @param {Object} actor - User creating the role
+ * @returns {Promise<Object>} Created role
+ * @throws {AppError} If the data is invalid, the name is taken or the actor lacks a granted permission
+ */
+const createRole = async ({ name, description, permissions = [], includedRoleIds = [] }, actor) => {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw new AppError('Role name is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const existingRole = await Role.findOne({ where: { name: name.trim() } });
+  if (existingRole) {
+    throw new AppError('Role already exists', 400, 'DUPLICATE_ROLE');
+  }
+
+  const graph = await loadRoleGraph();
+  const keys = normalizePermissionKeys(permissions);
+  const includes = normalizeIncludedRoles(graph, null, includedRoleIds);
+  const stored = {};
+  keys.forEach((key) => { stored[key] = true; });
+
+  const effective = resolvePermissions(graph, { id: null, name: name.trim(), permissions: stored }, includes).permissions;
+  assertNoEscalation(actor, {}, effective);
+
+  const role = await Role.create({
+    name: name.trim(),
+    description,
+    permissions: stored
+  });
+  await role.setIncludedRoles(includes);
+  await invalidateRoleGraph();
+
+  await securityService.logSecurityEvent(actor.id, 'ROLE_CREATED', {
+    roleId: role.id,
+    name: role.name,
+    permissions: keys,
+    includedRoleIds: includes
+  });
+
+  return formatRole(await loadRoleGraph(), role);
+};
+
+/**
+ * Update a role's name, description, permissions or included roles. Flags outside the catalog
+ * that older code still reads (such as isAdmin) are kept as stored.
+ * @param {number} id - Role ID
+ * @param {Object} roleData - Changes; omitted fields are left unchanged
+ * @param {Object} actor - User changing the role
+ * @returns {Promise<Object>} Updated role
+ * @throws {AppError} If the role does not exist, the data is invalid or the change is not allowed
+ */
+const updateRole = async (id, { name, description, permissions, includedRoleIds }, actor) => {
+  const role = await Role.findByPk(id);
+  if (!role) {
+    throw new AppError('Role not found', 404, 'ROLE_NOT_FOUND');
+  }
+
+  const changes = {};
+
+  if (name !== undefined && name !== role.name) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      throw new AppError('Role name is required', 400, 'VALIDATION_ERROR');
+    }
+    if (role.name === ROLE_CONFIG.ADMIN_ROLE) {
+      throw new AppError('The Admin role cannot be renamed', 400, 'ROLE_PROTECTED');
+    }
+    const existingRole = await Role.findOne({ where: { name: name.trim() } });
+    if (existingRole && existingRole.id !== role.id) {
+      throw new AppError('Role already exists', 400, 'DUPLICATE_ROLE');
+    }
+    changes.name = name.trim();
+  }
+
+  if (description !== undefined) {
+    changes.description = description;
+  }
+
+  const graph = await loadRoleGraph();
+  const current = parsePermissions(role.permissions);
+  let stored = current;
+
+  if (permissions !== undefined) {
+    const keys = normalizePermissionKeys(permissions);
+    stored = {};
+    Object.entries(current).forEach(([key, value]) => {
+      if (!isKnownPermission(key)) {
+        stored[key] = value;
+      }
+    });
+    keys.forEach((key) => { stored[key] = true; });
+    changes.permissions = stored;
+  }
+
+  const node = graph[role.id] || { includedRoleIds: [] };
+  const includes = includedRoleIds !== undefined
+    ? normalizeIncludedRoles(graph, role.id, includedRoleIds)
+    : node.includedRoleIds;
+
+  const before = resolvePermissions(graph, role).permissions;
+  const after = resolvePermissions(graph, { id: role.id, name: changes.name || role.name, permissions: stored }, includes).permissions;
+  assertNoEscalation(actor, before, after);
+
+  await role.update(changes);
+  if (includedRoleIds !== undefined) {
+    await role.setIncludedRoles(includes);
+  }
+  await invalidateRoleGraph();
+
+  await securityService.logSecurityEvent(actor.id, 'ROLE_UPDATED', {
+    roleId: role.id,
+    name: role.name,
+    added: PERMISSION_KEYS.filter(key => after[key] && !before[key]),
+    removed: PERMISSION_KEYS.filter(key => before[key] && !after[key]),
+    includedRoleIds: includes
+  });
+
+  return formatRole(await loadRoleGraph(), role);
+};
+
+/**
+ * Delete a role that no user holds and no other role includes
+ * @param {number} id - Role ID
+ * @param {Object} actor - User deleting the role
+ * @returns {Promise<boolean>} True when deleted
+ * @throws {AppError} If the role does not exist, is the Admin role or is still in use
+ */
+const deleteRole = async (id, actor) => {
+  const role = await Role.findByPk(id);
+  if (!role) {
+    throw new AppError('Role not found', 404, 'ROLE_NOT_FOUND');
+  }
+
+  if (role.name === ROLE_CONFIG.ADMIN_ROLE) {
+    throw new AppError('The Admin role cannot be deleted', 400, 'ROLE_PROTECTED');
+  }
+
+  const userCount = await User.count({ where: { roleId: role.id } });
+  if (userCount > 0) {
+    throw new AppError(`The role is assigned to ${userCount} user(s)`, 409, 'ROLE_IN_USE');
+  }
+
+  const graph = await loadRoleGraph();
+  const includedBy = Object.values(graph).filter(node => node.includedRoleIds.includes(role.id));
+  if (includedBy.length > 0) {
+    throw new AppError(`The role is included by: ${includedBy.map(node => node.name).join(', ')}`, 409, 'ROLE_IN_USE');
+  }
+
+  await role.destroy();
+  await invalidateRoleGraph();
+
+  await securityService.logSecurityEvent(actor.id, 'ROLE_DELETED', {
+    roleId: role.id,
+    name: role.name
+  });
+
+  return true;
+};
+
+module.exports = {
+  ROLE_CONFIG,
+  isKnownPermission,
+  resolvePermissions,
+  applyEffectivePermissions,
+  userHasPermission,
+  getPermissionKeys,
+  getCatalog,
+  listRoles,
+  getUserPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+};
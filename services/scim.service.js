@@ -0,0 +1,1161 @@
+/**
+ * SCIM Service - SCIM 2.0 provisioning of users and groups (RFC 7643 / RFC 7644)
+ * @module services/scim
+ *
+ * Users map onto User records. Groups are the application's Roles and Departments:
+ * group IDs are 'role-<id>' and 'department-<id>'. A user has one role and at most one
+ * department, so adding a user to a role group moves them out of their previous role.
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, Role, Department, ScimToken } = require('../models');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+const { invalidateUserSessions } = require('../utils/session-manager');
+const { normalizeAttributePath, parseFilter, filterToWhere, matchesFilter } = require('../utils/scim-filter');
+const userService = require('./user.service');
+const securityService = require('./security.service');
+
+/**
+ * SCIM schema and message URNs
+ */
+const SCHEMAS = {
+  USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  ENTERPRISE_USER: 'urn:ietf:params:scim:schemas:extension:enterprise:2.0:User',
+  GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  LIST_RESPONSE: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  PATCH_OP: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  SERVICE_PROVIDER_CONFIG: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  RESOURCE_TYPE: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType',
+  SCHEMA: 'urn:ietf:params:scim:schemas:core:2.0:Schema'
+};
+
+/**
+ * SCIM configuration
+ */
+const SCIM_CONFIG = {
+  DEFAULT_COUNT: 100,
+  MAX_RESULTS: 200,
+  // Role given to provisioned users, and to users removed from their role group
+  DEFAULT_ROLE: process.env.SCIM_DEFAULT_ROLE || 'Employee',
+  TOKEN_PREFIX: 'scim_',
+  TOKEN_NAME_MAX_LENGTH: 100
+};
+
+// Filterable user attributes, keyed by normalized SCIM path
+const USER_FILTER_ATTRIBUTES = {
+  id: { column: 'id', type: 'integer' },
+  username: { column: 'username' },
+  externalid: { column: 'scimExternalId', caseExact: true },
+  'name.givenname': { column: 'firstName' },
+  'name.familyname': { column: 'lastName' },
+  emails: { column: 'email' },
+  'emails.value': { column: 'email' },
+  title: { column: 'position' },
+  'meta.created': { column: 'createdAt', type: 'date' },
+  'meta.lastmodified': { column: 'updatedAt', type: 'date' },
+  active: {
+    column: 'accountStatus',
+    toWhere: (operator, value) => {
+      if (!['eq', 'ne'].includes(operator) || typeof value !== 'boolean') {
+        throw new AppError('Invalid filter: active only supports eq and ne with true or false', 400, 'SCIM_INVALID_FILTER');
+      }
+      const active = operator === 'eq' ? value : !value;
+      return { accountStatus: active ? 'active' : { [Op.ne]: 'active' } };
+    }
+  }
+};
+
+const USER_ATTRIBUTES = ['id', 'username', 'email', 'firstName', 'lastName', 'position', 'accountStatus',
+  'roleId', 'departmentId', 'scimExternalId', 'createdAt', 'updatedAt'];
+
+/**
+ * Hash a SCIM bearer token for storage and lookup
+ * @param {string} token - Plaintext token
+ * @returns {string} SHA-256 hash (hex)
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a SCIM bearer token. The plaintext token is only returned here.
+ * @param {Object} data - Token data
+ * @param {string} data.name - Name of the identity system that will use the token
+ * @param {number} [data.expiresInDays] - Days until the token expires (no expiry when omitted)
+ * @param {number} userId - Administrator creating the token
+ * @returns {Promise<Object>} Token record and the plaintext token
+ * @throws {AppError} If the name or expiry is invalid
+ */
+const createToken = async ({ name, expiresInDays } = {}, userId) => {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+  if (!trimmedName || trimmedName.length > SCIM_CONFIG.TOKEN_NAME_MAX_LENGTH) {
+    throw new AppError(`Token name must be between 1 and ${SCIM_CONFIG.TOKEN_NAME_MAX_LENGTH} characters`, 400, 'VALIDATION_ERROR');
+  }
+
+  if (expiresInDays !== undefined && expiresInDays !== null && !(Number.isInteger(expiresInDays) && expiresInDays > 0)) {
+    throw new AppError('expiresInDays must be a positive integer', 400, 'VALIDATION_ERROR');
+  }
+
+  const token = `${SCIM_CONFIG.TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const record = await ScimToken.create({
+    name: trimmedName,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, 12),
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+    createdBy: userId
+  });
+
+  await securityService.logSecurityEvent(userId, 'SCIM_TOKEN_CREATED', { tokenId: record.id, name: trimmedName });
+
+  return {
+    id: record.id,
+    name: record.name,
+    tokenPrefix: record.tokenPrefix,
+    expiresAt: record.expiresAt,
+    createdAt: record.createdAt,
+    token
+  };
+};
+
+/**
+ * List SCIM tokens without their hashes
+ * @returns {Promise<Array>} Tokens, newest first
+ */
+const listTokens = () => ScimToken.findAll({
+  attributes: { exclude: ['tokenHash'] },
+  order: [['createdAt', 'DESC']]
+});
+
+/**
+ * Revoke a SCIM token
+ * @param {number} id - Token ID
+ * @param {number} userId - Administrator revoking the token
+ * @throws {AppError} If the token does not exist
+ */
+const revokeToken = async (id, userId) => {
+  const token = await ScimToken.findByPk(id);
+
+  if (!token) {
+    throw new AppError('SCIM token not found', 404, 'SCIM_TOKEN_NOT_FOUND');
+  }
+
+  if (!token.revokedAt) {
+    await token.update({ revokedAt: new Date() });
+    await securityService.logSecurityEvent(userId, 'SCIM_TOKEN_REVOKED', { tokenId: token.id, name: token.name });
+  }
+};
+
+/**
+ * Find the active token matching a bearer token
+ * @param {string} token - Plaintext bearer token
+ * @returns {Promise<Object>} ScimToken record
+ * @throws {AppError} If the token is unknown, revoked or expired
+ */
+const authenticateToken = async (token) => {
+  const record = token ? await ScimToken.findOne({ where: { tokenHash: hashToken(token) } }) : null;
+
+  if (!record || record.revokedAt || (record.expiresAt && new Date(record.expiresAt) <= new Date())) {
+    throw new AppError('Invalid or expired SCIM token', 401, 'SCIM_UNAUTHORIZED');
+  }
+
+  await record.update({ lastUsedAt: new Date() });
+
+  return record;
+};
+
+/**
+ * Read startIndex and count from a list request
+ * @param {Object} query - Request query
+ * @returns {Object} 1-based startIndex and count
+ */
+const parsePagination = (query = {}) => {
+  const startIndex = Math.max(Number.parseInt(query.startIndex, 10) || 1, 1);
+  const requested = Number.parseInt(query.count, 10);
+  const count = Number.isNaN(requested)
+    ? SCIM_CONFIG.DEFAULT_COUNT
+    : Math.min(Math.max(requested, 0), SCIM_CONFIG.MAX_RESULTS);
+
+  return { startIndex, count };
+};
+
+/**
+ * Wrap resources in a SCIM list response
+ * @param {Array} resources - Resources on this page
+ * @param {number} totalResults - Total matching resources
+ * @param {number} startIndex - 1-based index of the first resource
+ * @returns {Object} ListResponse
+ */
+const listResponse = (resources, totalResults, startIndex) => ({
+  schemas: [SCHEMAS.LIST_RESPONSE],
+  totalResults,
+  startIndex,
+  itemsPerPage: resources.length,
+  Resources: resources
+});
+
+/**
+ * Build the SCIM group ID of a role or department
+ * @param {string} kind - 'role' or 'department'
+ * @param {number} id - Record ID
+ * @returns {string} Group ID
+ */
+const groupId = (kind, id) => `${kind}-${id}`;
+
+/**
+ * Format a user as a SCIM User resource
+ * @param {Object} user - User with role and department
+ * @param {string} baseUrl - SCIM base URL
+ * @returns {Object} SCIM User
+ */
+const formatUser = (user, baseUrl) => {
+  const groups = [];
+  if (user.role) {
+    groups.push({ value: groupId('role', user.role.id), display: user.role.name, $ref: `${baseUrl}/Groups/${groupId('role', user.role.id)}` });
+  }
+  if (user.department) {
+    groups.push({ value: groupId('department', user.department.id), display: user.department.name, $ref: `${baseUrl}/Groups/${groupId('department', user.department.id)}` });
+  }
+
+  return {
+    schemas: [SCHEMAS.USER, SCHEMAS.ENTERPRISE_USER],
+    id: String(user.id),
+    ...(user.scimExternalId ? { externalId: user.scimExternalId } : {}),
+    userName: user.username,
+    name: {
+      givenName: user.firstName,
+      familyName: user.lastName,
+      formatted: `${user.firstName} ${user.lastName}`.trim()
+    },
+    displayName: `${user.firstName} ${user.lastName}`.trim(),
+    emails: [{ value: user.email, type: 'work', primary: true }],
+    ...(user.position ? { title: user.position } : {}),
+    active: user.accountStatus === 'active',
+    groups,
+    [SCHEMAS.ENTERPRISE_USER]: user.department ? { department: user.department.name } : {},
+    meta: {
+      resourceType: 'User',
+      created: user.createdAt,
+      lastModified: user.updatedAt,
+      location: `${baseUrl}/Users/${user.id}`
+    }
+  };
+};
+
+/**
+ * Load a user with the associations a SCIM User needs
+ * @param {string|number} id - User ID
+ * @returns {Promise<Object>} User
+ * @throws {AppError} If the user does not exist
+ */
+const findUser = async (id) => {
+  const userId = Number.parseInt(id, 10);
+  const user = String(userId) === String(id)
+    ? await User.findByPk(userId, {
+      attributes: USER_ATTRIBUTES,
+      include: [
+        { model: Role, as: 'role', attributes: ['id', 'name'] },
+        { model: Department, as: 'department', attributes: ['id', 'name'] }
+      ]
+    })
+    : null;
+
+  if (!user) {
+    throw new AppError(`User ${id} not found`, 404, 'USER_NOT_FOUND');
+  }
+
+  return user;
+};
+
+/**
+ * List users, optionally filtered
+ * @param {Object} query - Request query (filter, startIndex, count)
+ * @param {string} baseUrl - SCIM base URL
+ * @returns {Promise<Object>} ListResponse of SCIM Users
+ */
+const listUsers = async (query, baseUrl) => {
+  const { startIndex, count } = parsePagination(query);
+  const where = query.filter ? filterToWhere(parseFilter(query.filter), USER_FILTER_ATTRIBUTES) : {};
+
+  const { count: totalResults, rows } = await User.findAndCountAll({
+    where,
+    attributes: USER_ATTRIBUTES,
+    include: [
+      { model: Role, as: 'role', attributes: ['id', 'name'] },
+      { model: Department, as: 'department', attributes: ['id', 'name'] }
+    ],
+    order: [['id', 'ASC']],
+    offset: startIndex - 1,
+    limit: count
+  });
+
+  return listResponse(rows.map(user => formatUser(user, baseUrl)), totalResults, startIndex);
+};
+
+/**
+ * Get a SCIM User
+ * @param {string} id - User ID
+ * @param {string} baseUrl - SCIM base URL
+ * @returns {Promise<Object>} SCIM User
+ */
+const getUser = async (id, baseUrl) => formatUser(await findUser(id), baseUrl);
+
+/**
+ * Read a SCIM boolean, which some clients send as the string "True" or "False"
+ * @param {*} value - Boolean or string
+ * @returns {boolean} Parsed value
+ * @throws {AppError} If the value is not a boolean
+ */
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'string' && ['true', 'false'].includes(value.toLowerCase())) {
+    return value.toLowerCase() === 'true';
+  }
+  throw new AppError('active must be true or false', 400, 'SCIM_INVALID_VALUE');
+};
+
+/**
+ * Pick the primary (or first) email of a SCIM emails attribute
+ * @param {Array|string} emails - emails attribute
+ * @returns {string|undefined} Email address
+ */
+const pickEmail = (emails) => {
+  if (!Array.isArray(emails)) {
+    return typeof emails === 'string' ? emails : undefined;
+  }
+  const email = emails.find(entry => entry && entry.primary) || emails[0];
+  return email ? email.value : undefined;
+};
+
+/**
+ * Apply one SCIM attribute to a set of user changes. Attributes the application
+ * does not store (phone numbers, addresses and so on) are ignored.
+ * @param {Object} changes - Pending changes
+ * @param {string} path - Attribute path, possibly with a schema URN prefix or a value filter
+ * @param {*} value - New value (undefined when removing)
+ */
+const applyUserAttribute = (changes, path, value) => {
+  const attribute = normalizeAttributePath(path);
+
+  // Attributes of the enterprise extension sent as one object
+  if (path.toLowerCase() === SCHEMAS.ENTERPRISE_USER.toLowerCase()) {
+    Object.entries(value || {}).forEach(([key, nested]) => applyUserAttribute(changes, key, nested));
+    return;
+  }
+
+  if (attribute === 'name') {
+    Object.entries(value || {}).forEach(([key, nested]) => applyUserAttribute(changes, `name.${key}`, nested));
+    return;
+  }
+
+  // emails, emails.value and emails[type eq "work"].value all set the single email address
+  if (/^emails(\[.*\])?(\.value)?$/.test(attribute)) {
+    const email = attribute === 'emails' ? pickEmail(value) : value;
+    if (email) {
+      changes.email = email;
+    }
+    return;
+  }
+
+  switch (attribute) {
+    case 'username':
+      changes.username = value;
+      break;
+    case 'name.givenname':
+      changes.firstName = value;
+      break;
+    case 'name.familyname':
+      changes.lastName = value;
+      break;
+    case 'title':
+      changes.position = value === undefined ? null : value;
+      break;
+    case 'externalid':
+      changes.scimExternalId = value === undefined ? null : value;
+      break;
+    case 'active':
+      if (value !== undefined) {
+        changes.active = toBoolean(value);
+      }
+      break;
+    case 'department':
+      changes.departmentName = value === undefined ? null : value;
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Convert a full SCIM User resource into user changes
+ * @param {Object} resource - SCIM User
+ * @returns {Object} User changes
+ */
+const resourceToChanges = (resource = {}) => {
+  const changes = {};
+
+  Object.entries(resource).forEach(([key, value]) => {
+    if (!['schemas', 'id', 'meta', 'groups'].includes(key)) {
+      applyUserAttribute(changes, key, value);
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Find a department by name, ignoring case
+ * @param {string} name - Department name
+ * @returns {Promise<Object|null>} Department, or null if none matches
+ */
+const findDepartmentByName = (name) => Department.findOne({
+  where: { name: { [Op.iLike]: String(name).replace(/[\\%_]/g, '\\$&') } }
+});
+
+/**
+ * Resolve a department name sent by the client to a department ID.
+ * Unknown departments are logged and left unchanged rather than failing provisioning.
+ * @param {Object} changes - User changes, with departmentName when sent
+ * @returns {Promise<number|null|undefined>} Department ID, null to clear it, undefined to leave it
+ */
+const resolveDepartment = async (changes) => {
+  if (changes.departmentName === undefined) {
+    return undefined;
+  }
+  if (changes.departmentName === null || changes.departmentName === '') {
+    return null;
+  }
+
+  const department = await findDepartmentByName(changes.departmentName);
+  if (!department) {
+    logger.warn(`SCIM: unknown department "${changes.departmentName}" ignored`);
+    return undefined;
+  }
+
+  return department.id;
+};
+
+/**
+ * Deactivate a user and end their sessions
+ * @param {Object} user - User to deprovision
+ * @param {Object} context - Request context ({ tokenId })
+ */
+const deprovisionUser = async (user, context) => {
+  await userService.deactivateUser(user.id);
+  const sessions = await invalidateUserSessions(user.id);
+
+  await securityService.logSecurityEvent(user.id, 'SCIM_USER_DEPROVISIONED', {
+    tokenId: context.tokenId,
+    sessionsInvalidated: sessions
+  });
+};
+
+/**
+ * Save user changes produced from a SCIM request
+ * @param {Object} user - Existing user
+ * @param {Object} changes - Changes from resourceToChanges or PATCH operations
+ * @param {Object} context - Request context ({ tokenId })
+ */
+const saveUserChanges = async (user, changes, context) => {
+  const updates = {};
+  ['username', 'email', 'firstName', 'lastName', 'position'].forEach((field) => {
+    if (changes[field] !== undefined) {
+      updates[field] = changes[field];
+    }
+  });
+
+  const departmentId = await resolveDepartment(changes);
+  if (departmentId !== undefined) {
+    updates.departmentId = departmentId;
+  }
+
+  const reactivate = changes.active === true && user.accountStatus !== 'active';
+  if (reactivate) {
+    updates.accountStatus = 'active';
+  }
+
+  if (Object.keys(updates).length > 0) {
+    // The user service checks for duplicates and assigns training for a new department
+    await userService.updateUser(user.id, updates);
+  }
+
+  if (changes.scimExternalId !== undefined && changes.scimExternalId !== user.scimExternalId) {
+    await User.update({ scimExternalId: changes.scimExternalId }, { where: { id: user.id } });
+  }
+
+  if (reactivate) {
+    await securityService.logSecurityEvent(user.id, 'SCIM_USER_REACTIVATED', { tokenId: context.tokenId });
+  } else if (changes.active === false && user.accountStatus === 'active') {
+    await deprovisionUser(user, context);
+  } else if (Object.keys(updates).length > 0) {
+    await securityService.logSecurityEvent(user.id, 'SCIM_USER_UPDATED', {
+      tokenId: context.tokenId,
+      fields: Object.keys(updates)
+    });
+  }
+};
+
+/**
+ * Find the role given to provisioned users
+ * @returns {Promise<Object>} Role
+ * @throws {AppError} If the role does not exist
+ */
+const getDefaultRole = async () => {
+  const role = await Role.findOne({ where: { name: SCIM_CONFIG.DEFAULT_ROLE } });
+
+  if (!role) {
+    throw new AppError(`Default SCIM role "${SCIM_CONFIG.DEFAULT_ROLE}" does not exist`, 500, 'SCIM_DEFAULT_ROLE_MISSING');
+  }
+
+  return role;
+};
+
+/**
+ * Provision a user
+ * @param {Object} resource - SCIM User
+ * @param {Object} context - Request context ({ tokenId, baseUrl })
+ * @returns {Promise<Object>} Created SCIM User
+ * @throws {AppError} If required attributes are missing or the user already exists
+ */
+const createUser = async (resource, context) => {
+  const changes = resourceToChanges(resource);
+
+  if (!changes.username || !changes.email || !changes.firstName || !changes.lastName) {
+    throw new AppError(
+      'userName, a work email, name.givenName and name.familyName are required',
+      400,
+      'SCIM_INVALID_VALUE'
+    );
+  }
+
+  const departmentId = await resolveDepartment(changes);
+  const role = await getDefaultRole();
+
+  const created = await userService.createUser({
+    username: changes.username,
+    email: changes.email,
+    // Provisioned users sign in with single sign-on or reset their password
+    password: crypto.randomBytes(32).toString('hex'),
+    firstName: changes.firstName,
+    lastName: changes.lastName,
+    position: changes.position,
+    departmentId: departmentId || null,
+    roleId: role.id,
+    accountStatus: changes.active === false ? 'inactive' : 'active'
+  });
+
+  if (changes.scimExternalId) {
+    await User.update({ scimExternalId: changes.scimExternalId }, { where: { id: created.id } });
+  }
+
+  await securityService.logSecurityEvent(created.id, 'SCIM_USER_PROVISIONED', { tokenId: context.tokenId });
+
+  return getUser(created.id, context.baseUrl);
+};
+
+/**
+ * Replace a user's attributes (PUT)
+ * @param {string} id - User ID
+ * @param {Object} resource - SCIM User
+ * @param {Object} context - Request context ({ tokenId, baseUrl })
+ * @returns {Promise<Object>} Updated SCIM User
+ */
+const replaceUser = async (id, resource, context) => {
+  const user = await findUser(id);
+  const changes = resourceToChanges(resource);
+
+  // Attributes left out of a PUT are cleared
+  if (changes.position === undefined) {
+    changes.position = null;
+  }
+
+  await saveUserChanges(user, changes, context);
+
+  return getUser(user.id, context.baseUrl);
+};
+
+/**
+ * Read the operations of a PATCH request
+ * @param {Object} request - SCIM PatchOp message
+ * @returns {Array<Object>} Operations with lowercase op names
+ * @throws {AppError} If the message is malformed
+ */
+const readPatchOperations = (request = {}) => {
+  const operations = request.Operations || request.operations;
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new AppError('PATCH requests need an Operations array', 400, 'SCIM_INVALID_SYNTAX');
+  }
+
+  return operations.map((operation) => {
+    const op = String(operation.op || '').toLowerCase();
+    if (!['add', 'replace', 'remove'].includes(op)) {
+      throw new AppError(`Unsupported PATCH operation "${operation.op}"`, 400, 'SCIM_INVALID_SYNTAX');
+    }
+    return { op, path: operation.path, value: operation.value };
+  });
+};
+
+/**
+ * Update a user with PATCH operations
+ * @param {string} id - User ID
+ * @param {Object} request - SCIM PatchOp message
+ * @param {Object} context - Request context ({ tokenId, baseUrl })
+ * @returns {Promise<Object>} Updated SCIM User
+ */
+const patchUser = async (id, request, context) => {
+  const user = await findUser(id);
+  const changes = {};
+
+  readPatchOperations(request).forEach(({ op, path, value }) => {
+    if (!path) {
+      if (op === 'remove') {
+        throw new AppError('remove operations need a path', 400, 'SCIM_NO_TARGET');
+      }
+      Object.entries(value || {}).forEach(([key, nested]) => applyUserAttribute(changes, key, nested));
+      return;
+    }
+
+    applyUserAttribute(changes, path, op === 'remove' ? undefined : value);
+  });
+
+  await saveUserChanges(user, changes, context);
+
+  return getUser(user.id, context.baseUrl);
+};
+
+/**
+ * Deprovision a user (DELETE). Records are kept for the audit trail;
+ * the account is deactivated and its sessions are ended.
+ * @param {string} id - User ID
+ * @param {Object} context - Request context ({ tokenId })
+ */
+const deleteUser = async (id, context) => {
+  const user = await findUser(id);
+
+  if (user.accountStatus === 'active') {
+    await deprovisionUser(user, context);
+  }
+};
+
+/**
+ * Parse a SCIM group ID
+ * @param {string} id - Group ID such as 'role-2'
+ * @returns {Object} kind ('role' or 'department') and numeric id
+ * @throws {AppError} If the ID is malformed
+ */
+const parseGroupId = (id) => {
+  const match = /^(role|department)-(\d+)$/.exec(String(id));
+
+  if (!match) {
+    throw new AppError(`Group ${id} not found`, 404, 'GROUP_NOT_FOUND');
+  }
+
+  return { kind: match[1], id: Number(match[2]) };
+};
+
+/**
+ * Format a role or department as a SCIM Group
+ * @param {string} kind - 'role' or 'department'
+ * @param {Object} record - Role or Department
+ * @param {Array|null} members - Member users, or null to leave members out
+ * @param {string} baseUrl - SCIM base URL
+ * @returns {Object} SCIM Group
+ */
+const formatGroup = (kind, record, members, baseUrl) => ({
+  schemas: [SCHEMAS.GROUP],
+  id: groupId(kind, record.id),
+  displayName: record.name,
+  ...(members ? {
+    members: members.map(user => ({
+      value: String(user.id),
+      display: `${user.firstName} ${user.lastName}`.trim(),
+      $ref: `${baseUrl}/Users/${user.id}`
+    }))
+  } : {}),
+  meta: {
+    resourceType: 'Group',
+    created: record.createdAt,
+    lastModified: record.updatedAt,
+    location: `${baseUrl}/Groups/${groupId(kind, record.id)}`
+  }
+});
+
+/**
+ * Find the members of a role or department
+ * @param {string} kind - 'role' or 'department'
+ * @param {number} id - Role or Department ID
+ * @returns {Promise<Array>} Users
+ */
+const findMembers = (kind, id) => User.findAll({
+  where: kind === 'role' ? { roleId: id } : { departmentId: id },
+  attributes: ['id', 'firstName', 'lastName', 'roleId', 'departmentId'],
+  order: [['id', 'ASC']]
+});
+
+/**
+ * Check whether a request asked to leave members out of groups
+ * @param {Object} query - Request query
+ * @returns {boolean} True when excludedAttributes includes members
+ */
+const excludesMembers = (query = {}) => String(query.excludedAttributes || '')
+  .split(',')
+  .some(attribute => normalizeAttributePath(attribute.trim()) === 'members');
+
+/**
+ * Find a role or department by group ID
+ * @param {string} id - Group ID
+ * @returns {Promise<Object>} kind, id and record
+ * @throws {AppError} If the group does not exist
+ */
+const findGroup = async (id) => {
+  const parsed = parseGroupId(id);
+  const model = parsed.kind === 'role' ? Role : Department;
+  const record = await model.findByPk(parsed.id);
+
+  if (!record) {
+    throw new AppError(`Group ${id} not found`, 404, 'GROUP_NOT_FOUND');
+  }
+
+  return { ...parsed, record };
+};
+
+/**
+ * List roles and departments as groups, optionally filtered
+ * @param {Object} query - Request query (filter, startIndex, count, excludedAttributes)
+ * @param {string} baseUrl - SCIM base URL
+ * @returns {Promise<Object>} ListResponse of SCIM Groups
+ */
+const listGroups = async (query, baseUrl) => {
+  const { startIndex, count } = parsePagination(query);
+  const filter = query.filter ? parseFilter(query.filter) : null;
+  const withMembers = !excludesMembers(query);
+
+  const [roles, departments] = await Promise.all([
+    Role.findAll({ order: [['id', 'ASC']] }),
+    Department.findAll({ order: [['id', 'ASC']] })
+  ]);
+
+  // Members are needed to filter on them even when they are left out of the response
+  const needMembers = withMembers || (filter && JSON.stringify(filter).includes('"members"'));
+  const users = needMembers
+    ? await User.findAll({ attributes: ['id', 'firstName', 'lastName', 'roleId', 'departmentId'], order: [['id', 'ASC']] })
+    : [];
+
+  const groups = [
+    ...roles.map(role => formatGroup('role', role, users.filter(user => user.roleId === role.id), baseUrl)),
+    ...departments.map(department => formatGroup('department', department, users.filter(user => user.departmentId === department.id), baseUrl))
+  ].filter(group => !filter || matchesFilter(filter, group));
+
+  const page = groups.slice(startIndex - 1, startIndex - 1 + count).map((group) => {
+    if (withMembers) {
+      return group;
+    }
+    const { members, ...rest } = group;
+    return rest;
+  });
+
+  return listResponse(page, groups.length, startIndex);
+};
+
+/**
+ * Get a SCIM Group
+ * @param {string} id - Group ID
+ * @param {Object} query - Request query (excludedAttributes)
+ * @param {string} baseUrl - SCIM base URL
+ * @returns {Promise<Object>} SCIM Group
+ */
+const getGroup = async (id, query, baseUrl) => {
+  const group = await findGroup(id);
+  const members = excludesMembers(query) ? null : await findMembers(group.kind, group.id);
+
+  return formatGroup(group.kind, group.record, members, baseUrl);
+};
+
+/**
+ * Read the user IDs of a members attribute
+ * @param {Array} members - SCIM members
+ * @returns {Array<number>} User IDs
+ * @throws {AppError} If a member value is not a user ID
+ */
+const readMemberIds = (members) => [].concat(members || []).map((member) => {
+  const id = Number.parseInt(member && member.value, 10);
+  if (!id || String(id) !== String(member.value)) {
+    throw new AppError(`Invalid member "${member && member.value}"`, 400, 'SCIM_INVALID_VALUE');
+  }
+  return id;
+});
+
+/**
+ * Add users to a role or department
+ * @param {Object} group - Group from findGroup
+ * @param {Array<number>} userIds - Users to add
+ * @param {Object} context - Request context ({ tokenId })
+ */
+const addMembers = async (group, userIds, context) => {
+  const field = group.kind === 'role' ? 'roleId' : 'departmentId';
+
+  for (const userId of userIds) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new AppError(`User ${userId} not found`, 400, 'SCIM_INVALID_VALUE');
+    }
+
+    if (user[field] !== group.id) {
+      // The user service assigns training required for the new role or department
+      await userService.updateUser(userId, { [field]: group.id });
+      await securityService.logSecurityEvent(userId, 'SCIM_GROUP_MEMBER_ADDED', {
+        tokenId: context.tokenId,
+        group: groupId(group.kind, group.id),
+        [field]: { from: user[field], to: group.id }
+      });
+    }
+  }
+};
+
+/**
+ * Remove users from a role or department. Users removed from a role get the default
+ * role, since every user needs one; users removed from a department have none.
+ * @param {Object} group - Group from findGroup
+ * @param {Array<number>} userIds - Users to remove
+ * @param {Object} context - Request context ({ tokenId })
+ */
+const removeMembers = async (group, userIds, context) => {
+  const field = group.kind === 'role' ? 'roleId' : 'departmentId';
+  const replacement = group.kind === 'role' ? (await getDefaultRole()).id : null;
+
+  if (replacement === group.id) {
+    throw new AppError(
+      `Users cannot be removed from the default role "${SCIM_CONFIG.DEFAULT_ROLE}"; add them to another role instead`,
+      400,
+      'SCIM_MUTABILITY'
+    );
+  }
+
+  for (const userId of userIds) {
+    const user = await User.findByPk(userId);
+
+    if (user && user[field] === group.id) {
+      await userService.updateUser(userId, { [field]: replacement });
+      await securityService.logSecurityEvent(userId, 'SCIM_GROUP_MEMBER_REMOVED', {
+        tokenId: context.tokenId,
+        group: groupId(group.kind, group.id),
+        [field]: { from: group.id, to: replacement }
+      });
+    }
+  }
+};
+
+/**
+ * Make a group's members exactly the given users
+ * @param {Object} group - Group from findGroup
+ * @param {Array<number>} userIds - Users who should be members
+ * @param {Object} context - Request context ({ tokenId })
+ */
+const setMembers = async (group, userIds, context) => {
+  const current = (await findMembers(group.kind, group.id)).map(user => user.id);
+
+  await removeMembers(group, current.filter(id => !userIds.includes(id)), context);
+  await addMembers(group, userIds.filter(id => !current.includes(id)), context);
+};
+
+/**
+ * Rename a department group. Roles carry permissions and cannot be renamed over SCIM.
+ * @param {Object} group - Group from findGroup
+ * @param {string} displayName - New name
+ * @param {Object} context - Request context ({ tokenId })
+ * @throws {AppError} If the group is a role or the name is taken
+ */
+const renameGroup = async (group, displayName, context) => {
+  if (!displayName || displayName === group.record.name) {
+    return;
+  }
+
+  if (group.kind === 'role') {
+    throw new AppError('Roles cannot be renamed through SCIM', 400, 'SCIM_MUTABILITY');
+  }
+
+  if (await findDepartmentByName(displayName)) {
+    throw new AppError(`A group named "${displayName}" already exists`, 409, 'SCIM_UNIQUENESS');
+  }
+
+  const previousName = group.record.name;
+  await group.record.update({ name: displayName });
+  await securityService.logSecurityEvent(null, 'SCIM_GROUP_RENAMED', {
+    tokenId: context.tokenId,
+    group: groupId(group.kind, group.id),
+    from: previousName,
+    to: displayName
+  });
+};
+
+/**
+ * Create a group. New groups become departments; roles carry permissions and are
+ * only managed in the application, so existing roles are matched by name instead.
+ * @param {Object} resource - SCIM Group
+ * @param {Object} context - Request context ({ tokenId, baseUrl })
+ * @returns {Promise<Object>} Created SCIM Group
+ * @throws {AppError} If the name is missing or already used by a role or department
+ */
+const createGroup = async (resource = {}, context) => {
+  const displayName = typeof resource.displayName === 'string' ? resource.displayName.trim() : '';
+
+  if (!displayName) {
+    throw new AppError('displayName is required', 400, 'SCIM_INVALID_VALUE');
+  }
+
+  const existingRole = await Role.findOne({ where: { name: { [Op.iLike]: displayName.replace(/[\\%_]/g, '\\$&') } } });
+  if (existingRole || await findDepartmentByName(displayName)) {
+    throw new AppError(`A group named "${displayName}" already exists`, 409, 'SCIM_UNIQUENESS');
+  }
+
+  const department = await userService.createDepartment({ name: displayName });
+  await securityService.logSecurityEvent(null, 'SCIM_GROUP_CREATED', {
+    tokenId: context.tokenId,
+    group: groupId('department', department.id)
+  });
+
+  const group = { kind: 'department', id: department.id, record: department };
+  await addMembers(group, readMemberIds(resource.members), context);
+
+  return getGroup(groupId('department', department.id), {}, context.baseUrl);
+};
+
+/**
+ * Replace a group's name and members (PUT)
+ * @param {string} id - Group ID
+ * @param {Object} resource - SCIM Group
+ * @param {Object} context - Request context ({ tokenId, baseUrl })
+ * @returns {Promise<Object>} Updated SCIM Group
+ */
+const replaceGroup = async (id, resource = {}, context) => {
+  const group = await findGroup(id);
+
+  await renameGroup(group, resource.displayName, context);
+  await setMembers(group, readMemberIds(resource.members), context);
+
+  return getGroup(id, {}, context.baseUrl);
+};
+
+/**
+ * Update a group with PATCH operations
+ * @param {string} id - Group ID
+ * @param {Object} request - SCIM PatchOp message
+ * @param {Object} context - Request context ({ tokenId, baseUrl })
+ * @param {Object} [query] - Request query (excludedAttributes)
+ * @returns {Promise<Object>} Updated SCIM Group
+ */
+const patchGroup = async (id, request, context, query = {}) => {
+  const group = await findGroup(id);
+
+  for (const { op, path, value } of readPatchOperations(request)) {
+    const attribute = path ? normalizeAttributePath(path) : null;
+
+    if (!attribute) {
+      if (op === 'remove') {
+        throw new AppError('remove operations need a path', 400, 'SCIM_NO_TARGET');
+      }
+      await renameGroup(group, value && value.displayName, context);
+      if (value && value.members) {
+        const memberIds = readMemberIds(value.members);
+        await (op === 'add' ? addMembers(group, memberIds, context) : setMembers(group, memberIds, context));
+      }
+    } else if (attribute === 'displayname') {
+      if (op === 'remove') {
+        throw new AppError('displayName cannot be removed', 400, 'SCIM_MUTABILITY');
+      }
+      await renameGroup(group, value, context);
+    } else if (attribute === 'members') {
+      if (op === 'add') {
+        await addMembers(group, readMemberIds(value), context);
+      } else if (op === 'replace') {
+        await setMembers(group, readMemberIds(value), context);
+      } else {
+        const current = (await findMembers(group.kind, group.id)).map(user => user.id);
+        // remove with a value removes those members, without one removes everyone
+        await removeMembers(group, value ? readMemberIds(value) : current, context);
+      }
+    } else if (attribute.startsWith('members[')) {
+      if (op !== 'remove') {
+        throw new AppError(`Unsupported path "${path}" for ${op}`, 400, 'SCIM_INVALID_PATH');
+      }
+      const filter = parseFilter(path);
+      const members = (await findMembers(group.kind, group.id)).map(user => ({ value: String(user.id) }));
+      const matching = members.filter(member => matchesFilter(filter.filter, member));
+      await removeMembers(group, matching.map(member => Number(member.value)), context);
+    } else {
+      throw new AppError(`Unsupported path "${path}"`, 400, 'SCIM_INVALID_PATH');
+    }
+  }
+
+  return getGroup(id, query, context.baseUrl);
+};
+
+/**
+ * Delete a group. Roles and departments are referenced throughout the application
+ * and are never deleted over SCIM.
+ * @param {string} id - Group ID
+ * @throws {AppError} Always, once the group is found
+ */
+const deleteGroup = async (id) => {
+  await findGroup(id);
+
+  throw new AppError(
+    'Roles and departments cannot be deleted through SCIM. Remove the members instead.',
+    400,
+    'SCIM_MUTABILITY'
+  );
+};
+
+/**
+ * Describe the SCIM features this server supports
+ * @param {string} baseUrl - SCIM base URL
+ * @returns {Object} ServiceProviderConfig
+ */
+const getServiceProviderConfig = (baseUrl) => ({
+  schemas: [SCHEMAS.SERVICE_PROVIDER_CONFIG],
+  patch: { supported: true },
+  bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+  filter: { supported: true, maxResults: SCIM_CONFIG.MAX_RESULTS },
+  changePassword: { supported: false },
+  sort: { supported: false },
+  etag: { supported: false },
+  authenticationSchemes: [{
+    type: 'oauthbearertoken',
+    name: 'Bearer token',
+    description: 'SCIM token created by an administrator, sent as "Authorization: Bearer <token>"',
+    primary: true
+  }],
+  meta: {
+    resourceType: 'ServiceProviderConfig',
+    location: `${baseUrl}/ServiceProviderConfig`
+  }
+});
+
+/**
+ * Describe the resource types this server provides
+ * @param {string} baseUrl - SCIM base URL
+ * @returns {Array<Object>} ResourceTypes
+ */
+const getResourceTypes = (baseUrl) => [
+  {
+    schemas: [SCHEMAS.RESOURCE_TYPE],
+    id: 'User',
+    name: 'User',
+    endpoint: '/Users',
+    schema: SCHEMAS.USER,
+    schemaExtensions: [{ schema: SCHEMAS.ENTERPRISE_USER, required: false }],
+    meta: { resourceType: 'ResourceType', location: `${baseUrl}/ResourceTypes/User` }
+  },
+  {
+    schemas: [SCHEMAS.RESOURCE_TYPE],
+    id: 'Group',
+    name: 'Group',
+    description: 'Roles (role-<id>) and departments (department-<id>)',
+    endpoint: '/Groups',
+    schema: SCHEMAS.GROUP,
+    meta: { resourceType: 'ResourceType', location: `${baseUrl}/ResourceTypes/Group` }
+  }
+];
+
+/**
+ * Build a schema attribute definition
+ * @param {string} name - Attribute name
+ * @param {Object} [options] - Overrides of the defaults
+ * @returns {Object} Attribute definition
+ */
+const attribute = (name, options = {}) => ({
+  name,
+  type: 'string',
+  multiValued: false,
+  required: false,
+  caseExact: false,
+  mutability: 'readWrite',
+  returned: 'default',
+  uniqueness: 'none',
+  ...options
+});
+
+/**
+ * Describe the attributes this server stores
+ * @param {string} baseUrl - SCIM base URL
+ * @returns {Array<Object>} Schemas
+ */
+const getSchemas = (baseUrl) => [
+  {
+    schemas: [SCHEMAS.SCHEMA],
+    id: SCHEMAS.USER,
+    name: 'User',
+    attributes: [
+      attribute('userName', { required: true, uniqueness: 'server' }),
+      attribute('name', {
+        type: 'complex',
+        required: true,
+        subAttributes: [attribute('givenName', { required: true }), attribute('familyName', { required: true })]
+      }),
+      attribute('emails', {
+        type: 'complex',
+        multiValued: true,
+        required: true,
+        subAttributes: [attribute('value'), attribute('type'), attribute('primary', { type: 'boolean' })]
+      }),
+      attribute('title'),
+      attribute('active', { type: 'boolean' }),
+      attribute('groups', {
+        type: 'complex',
+        multiValued: true,
+        mutability: 'readOnly',
+        subAttributes: [attribute('value', { mutability: 'readOnly' }), attribute('display', { mutability: 'readOnly' })]
+      })
+    ],
+    meta: { resourceType: 'Schema', location: `${baseUrl}/Schemas/${SCHEMAS.USER}` }
+  },
+  {
+    schemas: [SCHEMAS.SCHEMA],
+    id: SCHEMAS.ENTERPRISE_USER,
+    name: 'EnterpriseUser',
+    attributes: [attribute('department')],
+    meta: { resourceType: 'Schema', location: `${baseUrl}/Schemas/${SCHEMAS.ENTERPRISE_USER}` }
+  },
+  {
+    schemas: [SCHEMAS.SCHEMA],
+    id: SCHEMAS.GROUP,
+    name: 'Group',
+    attributes: [
+      attribute('displayName', { required: true, uniqueness: 'server' }),
+      attribute('members', {
+        type: 'complex',
+        multiValued: true,
+        subAttributes: [attribute('value', { mutability: 'immutable' }), attribute('display', { mutability: 'readOnly' })]
+      })
+    ],
+    meta: { resourceType: 'Schema', location: `${baseUrl}/Schemas/${SCHEMAS.GROUP}` }
+  }
+];
+
+module.exports = {
+  SCHEMAS,
+  SCIM_CONFIG,
+  createToken,
+  listTokens,
+  revokeToken,
+  authenticateToken,
+  listUsers,
+  getUser,
+  createUser,
+  replaceUser,
+  patchUser,
+  deleteUser,
+  listGroups,
+  getGroup,
+  createGroup,
+  replaceGroup,
+  patchGroup,
+  deleteGroup,
+  getServiceProviderConfig,
+  getResourceTypes,
+  getSchemas
+};
@@ -11,8 +11,9 @@ const { User, AuditLog } = require('../models');
 const { logger } = require('../utils/logger');
 const { AppError } = require('../utils/error-handler');
 const { validatePassword } = require('../utils/password-validator');
-const { encrypt, decrypt, generateToken, hashData } = require('../utils/encryption');
+const { decrypt, isEncrypted, generateToken, hashData } = require('../utils/encryption');
 const { invalidateUserSessions } = require('../utils/session-manager');
+const lockoutService = require('./lockout.service');
 const { createClient } = require('redis');
 const ms = require('ms');
 const ipaddr = require('ipaddr.js');
@@ -26,11 +27,7 @@ const PASSWORD_CONFIG = {
   // HIPAA requires complex passwords
   MIN_LENGTH: parseInt(process.env.PASSWORD_MIN_LENGTH || '12', 10),
   // HIPAA requires password history
-  HISTORY_SIZE: parseInt(process.env.PASSWORD_HISTORY_SIZE || '24', 10),
-  // HIPAA requires account lockout
-  MAX_ATTEMPTS: parseInt(process.env.MAX_LOGIN_ATTEMPTS || '5', 10),
-  // HIPAA requires minimum lockout time
-  LOCKOUT_MINUTES: parseInt(process.env.ACCOUNT_LOCKOUT_MINUTES || '30', 10)
+  HISTORY_SIZE: parseInt(process.env.PASSWORD_HISTORY_SIZE || '24', 10)
 };
 
 // Initialize Redis client for token storage
@@ -92,45 +89,35 @@ const checkAccountLock = async (user) => {
 
 /**
  * Handle failed login attempt
- * Increments failed login counter and potentially locks account
+ * Counts the failure in the shared lockout engine, which locks the account or IP address
+ * when a limit is reached
  * 
  * @param {Object} user - User object
  * @param {string} ipAddress - IP address of the request
  */
 const handleFailedLogin = async (user, ipAddress) => {
   try {
-    // Increment failed login attempts
-    const failedAttempts = (user.failedLoginAttempts || 0) + 1;
-    
-    // Get max failed attempts from config
-    const maxFailedAttempts = PASSWORD_CONFIG.MAX_ATTEMPTS;
-    
-    // Get lockout duration from config
-    const lockoutDuration = PASSWORD_CONFIG.LOCKOUT_MINUTES;
-    
-    // Update user data
-    const updateData = {
-      failedLoginAttempts: failedAttempts
-    };
-    
-    // If max attempts reached, lock account temporarily
-    if (failedAttempts >= maxFailedAttempts) {
-      const lockUntil = new Date();
-      lockUntil.setMinutes(lockUntil.getMinutes() + lockoutDuration);
-      updateData.accountStatus = 'locked';
-      updateData.accountLockExpiresAt = lockUntil;
+    const { failedAttempts, isLocked, lockedUntil, scope } = await lockoutService.recordFailure({
+      username: user.username,
+      userId: user.id,
+      ipAddress
+    });
+
+    // Keep the loaded instance in step with the row the engine updated
+    user.failedLoginAttempts = failedAttempts;
+    if (isLocked && scope === 'username') {
+      user.accountLockExpiresAt = lockedUntil;
     }
     
-    await user.update(updateData);
-    
     // Log failed login attempt
     await logSecurityEvent(user.id, 'FAILED_LOGIN_ATTEMPT', {
       ipAddress,
       failedAttempts,
-      isLocked: failedAttempts >= maxFailedAttempts
+      isLocked,
+      lockScope: scope
     });
     
-    return { failedAttempts, isLocked: failedAttempts >= maxFailedAttempts };
+    return { failedAttempts, isLocked, lockedUntil };
   } catch (error) {
     logger.error('Error handling failed login:', error);
     throw error;
@@ -139,13 +126,15 @@ const handleFailedLogin = async (user, ipAddress) => {
 
 /**
  * Handle successful login attempt
- * Resets failed login counter and updates last login time
+ * Clears the username's failed logins and lockout history and updates last login time
  * 
  * @param {Object} user - User object
  * @param {string} ipAddress - IP address of the request
  */
 const handleSuccessfulLogin = async (user, ipAddress) => {
   try {
+    await lockoutService.recordSuccess({ username: user.username });
+
     await user.update({
       failedLoginAttempts: 0,
       accountLockExpiresAt: null,
@@ -260,7 +249,7 @@ const checkAllowedIP = async (user, ipAddress) => {
  */
 const logSecurityEvent = async (userId, eventType, details = {}) => {
   try {
-    await AuditLog.create({
+    await AuditLog.createWithHash({
       userId,
       action: eventType,
       entityType: 'security',
@@ -634,8 +623,8 @@ const setupMFA = async (user) => {
   // Create QR code for secret
   const qrCodeUrl = await qrcode.toDataURL(secret.otpauth_url);
   
-  // Update user with encrypted secret
-  user.mfaSecret = encrypt(secret.base32);
+  // The User model encrypts the secret when it is saved
+  user.mfaSecret = secret.base32;
   await user.save();
   
   return {
@@ -657,14 +646,8 @@ const verifyMfa = async (user, token) => {
       return false;
     }
     
-    // Handle encrypted MFA secret
-    let secret = user.mfaSecret;
-    try {
-      secret = decrypt(user.mfaSecret);
-    } catch (error) {
-      // If decryption fails, assume it's not encrypted
-      logger.warn(`Failed to decrypt MFA secret for user ${user.id}, assuming unencrypted format`);
-    }
+    // Secrets loaded through the User model are already decrypted; raw values may not be
+    const secret = isEncrypted(user.mfaSecret) ? decrypt(user.mfaSecret) : user.mfaSecret;
     
     // Verify token
     const verified = speakeasy.totp.verify({
@@ -867,9 +850,10 @@ const useBackupCode = async (user, code) => {
  * Mark MFA as verified for a session
  * 
  * @param {string} sessionId - Session ID
+ * @param {number} userId - User who verified the second factor; must own the session
  * @returns {boolean} Success status
  */
-const markMfaVerified = async (sessionId) => {
+const markMfaVerified = async (sessionId, userId) => {
   if (!sessionId) {
     return false;
   }
@@ -882,6 +866,12 @@ const markMfaVerified = async (sessionId) => {
       
       if (sessionData) {
         const session = JSON.parse(sessionData);
+
+        // A second factor only ever verifies the user's own session
+        if (session.userId !== userId) {
+          logger.warn(`User ${userId} attempted to verify MFA for a session of user ${session.userId}`);
+          return false;
+        }
         
         // Mark MFA as verified
         session.mfaVerified = true;
@@ -907,6 +897,26 @@ const markMfaVerified = async (sessionId) => {
   return false;
 };
 
+/**
+ * Check whether MFA has been verified for a session
+ * 
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} Whether a second factor was verified for the session
+ */
+const isMfaVerified = async (sessionId) => {
+  if (!sessionId || !redisConnected || !redisClient.isReady) {
+    return false;
+  }
+  
+  try {
+    const sessionData = await redisClient.get(`session:${sessionId}`);
+    return sessionData ? JSON.parse(sessionData).mfaVerified === true : false;
+  } catch (error) {
+    logger.error('Error checking MFA verification:', error);
+    return false;
+  }
+};
+
 /**
  * Set up security questions for a user
  * 
@@ -1119,7 +1129,8 @@ const auditUserSecurity = (user) => {
     },
     accountStatus: {
       status: user.accountStatus,
-      locked: user.accountStatus === 'locked',
+      locked: user.accountStatus === 'locked' ||
+        Boolean(user.accountLockExpiresAt && new Date(user.accountLockExpiresAt) > now),
       failedLoginAttempts: user.failedLoginAttempts || 0,
       lockExpiresIn: user.accountLockExpiresAt 
         ? Math.floor((new Date(user.accountLockExpiresAt) - now) / (1000 * 60)) 
@@ -1158,6 +1169,7 @@ module.exports = {
   generateBackupCodes,
   useBackupCode,
   markMfaVerified,
+  isMfaVerified,
   
   // Security questions
   setupSecurityQuestions,
@@ -0,0 +1,726 @@
+/**
+ * Service Account Service - Service accounts and the scoped API keys integrations use to call the API
+ * @module services/service-account
+ *
+ * A service account is a User with accountType 'service'. It has a role and department like any
+ * other user, so ownership, foreign keys and permission checks work unchanged, but it cannot sign
+ * in with a password and never has a session. Integrations authenticate as the account with an
+ * API key sent in the X-API-Key header.
+ *
+ * Each key is limited to a subset of the account role's permissions (its scopes), to the routes it
+ * lists and, optionally, to an IP allowlist. Keys always expire. Only a SHA-256 hash of a key is
+ * stored, and every request made with a key is written to the audit log with the key's ID.
+ */
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const ipaddr = require('ipaddr.js');
+const { Op } = require('sequelize');
+const { User, Role, Department, ApiKey } = require('../models');
+const { AppError } = require('../utils/error-handler');
+const auditService = require('./audit.service');
+const securityService = require('./security.service');
+const roleService = require('./role.service');
+
+/**
+ * Service account configuration
+ */
+const SERVICE_ACCOUNT_CONFIG = {
+  KEY_PREFIX: 'svc_',
+  KEY_NAME_MAX_LENGTH: 100,
+  DEFAULT_EXPIRY_DAYS: parseInt(process.env.API_KEY_DEFAULT_EXPIRY_DAYS || '90', 10),
+  MAX_EXPIRY_DAYS: parseInt(process.env.API_KEY_MAX_EXPIRY_DAYS || '365', 10),
+  // How long a rotated key keeps working so integrations can switch over
+  DEFAULT_ROTATION_GRACE_HOURS: 24,
+  MAX_ROTATION_GRACE_HOURS: 168,
+  // Placeholder domain for service account email addresses, which never receive mail
+  EMAIL_DOMAIN: 'service-accounts.invalid'
+};
+
+const ROUTE_METHODS = ['*', 'GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const ACCOUNT_ATTRIBUTES = ['id', 'username', 'firstName', 'position', 'accountStatus', 'roleId',
+  'departmentId', 'createdAt', 'updatedAt'];
+
+const KEY_ATTRIBUTES = { exclude: ['keyHash'] };
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plaintext key
+ * @returns {string} SHA-256 hash (hex)
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Read role permissions, which may be stored as a JSON string
+ * @param {Object|string} permissions - Stored permissions
+ * @returns {Object} Permissions object
+ */
+const parsePermissions = (permissions) => {
+  if (!permissions) {
+    return {};
+  }
+
+  if (typeof permissions === 'string') {
+    try {
+      return JSON.parse(permissions) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  return permissions;
+};
+
+/**
+ * Whether a role grants every permission
+ * @param {Object} role - Role
+ * @returns {boolean} True for administrator roles
+ */
+const isAdminRole = (role) => Boolean(role) && (role.name === 'Admin' || Boolean(parsePermissions(role.permissions).isAdmin));
+
+/**
+ * Refuse management actions made with an API key, so a leaked key cannot mint more keys
+ * @param {Object} actor - Administrator, with the request's apiKey if any
+ * @throws {AppError} If the actor authenticated with an API key
+ */
+const assertInteractive = (actor) => {
+  if (actor && actor.apiKey) {
+    throw new AppError('API keys cannot be used to manage service accounts or API keys', 403, 'API_KEY_MANAGEMENT_FORBIDDEN');
+  }
+};
+
+/**
+ * Validate the permission names a key may use against the service account's role
+ * @param {Array} scopes - Permission names
+ * @param {Object} role - Role of the service account, with its effective permissions applied
+ * @returns {Array} Unique permission names
+ * @throws {AppError} If a scope is malformed or not granted by the role
+ */
+const normalizeScopes = (scopes, role) => {
+  if (!Array.isArray(scopes) || scopes.some(scope => typeof scope !== 'string' || !/^[A-Za-z][A-Za-z0-9_.:-]*$/.test(scope))) {
+    throw new AppError('scopes must be a list of permission names', 400, 'VALIDATION_ERROR');
+  }
+
+  const unique = [...new Set(scopes)];
+
+  if (!isAdminRole(role)) {
+    const permissions = parsePermissions(role && role.permissions);
+    const ungranted = unique.filter(scope => !permissions[scope]);
+
+    if (ungranted.length > 0) {
+      throw new AppError(`The service account's role does not grant: ${ungranted.join(', ')}`, 400, 'API_KEY_SCOPE_NOT_GRANTED');
+    }
+  }
+
+  return unique;
+};
+
+/**
+ * Validate route patterns such as 'GET /api/incidents*' or '* /api/users/42'
+ * @param {Array} routes - Route patterns
+ * @returns {Array} Patterns with upper-case methods
+ * @throws {AppError} If no routes are given or a pattern is malformed
+ */
+const normalizeRoutes = (routes) => {
+  if (!Array.isArray(routes) || routes.length === 0) {
+    throw new AppError('allowedRoutes must list at least one route', 400, 'VALIDATION_ERROR');
+  }
+
+  return [...new Set(routes.map((route) => {
+    const [method, path, ...rest] = typeof route === 'string' ? route.trim().split(/\s+/) : [];
+    const upperMethod = (method || '').toUpperCase();
+
+    if (rest.length > 0 || !ROUTE_METHODS.includes(upperMethod) || !path || !path.startsWith('/api/') ||
+      path.slice(0, -1).includes('*')) {
+      throw new AppError(`Invalid route "${route}". Use "<METHOD> /api/<path>", optionally ending in *`, 400, 'VALIDATION_ERROR');
+    }
+
+    return `${upperMethod} ${path}`;
+  }))];
+};
+
+/**
+ * Whether a value is an IP address or CIDR range
+ * @param {string} value - Address or range
+ * @returns {boolean} True if valid
+ */
+const isValidIpEntry = (value) => {
+  if (!value.includes('/')) {
+    return ipaddr.isValid(value);
+  }
+
+  try {
+    ipaddr.parseCIDR(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate an IP allowlist of addresses and CIDR ranges
+ * @param {Array} [entries] - Addresses and ranges
+ * @returns {Array} Trimmed entries
+ * @throws {AppError} If an entry is not an address or range
+ */
+const normalizeIpAllowlist = (entries = []) => {
+  if (!Array.isArray(entries)) {
+    throw new AppError('ipAllowlist must be a list of IP addresses or CIDR ranges', 400, 'VALIDATION_ERROR');
+  }
+
+  return entries.map((entry) => {
+    const value = typeof entry === 'string' ? entry.trim() : '';
+
+    if (!isValidIpEntry(value)) {
+      throw new AppError(`Invalid IP address or CIDR range "${entry}"`, 400, 'VALIDATION_ERROR');
+    }
+
+    return value;
+  });
+};
+
+/**
+ * Work out when a new key expires
+ * @param {number} [expiresInDays] - Requested lifetime in days
+ * @returns {Date} Expiry
+ * @throws {AppError} If the lifetime is not a whole number of days within the maximum
+ */
+const resolveExpiry = (expiresInDays) => {
+  const days = expiresInDays === undefined || expiresInDays === null
+    ? SERVICE_ACCOUNT_CONFIG.DEFAULT_EXPIRY_DAYS
+    : expiresInDays;
+
+  if (!Number.isInteger(days) || days < 1 || days > SERVICE_ACCOUNT_CONFIG.MAX_EXPIRY_DAYS) {
+    throw new AppError(`expiresInDays must be a whole number between 1 and ${SERVICE_ACCOUNT_CONFIG.MAX_EXPIRY_DAYS}`, 400, 'VALIDATION_ERROR');
+  }
+
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Whether a request matches one of a key's route patterns
+ * @param {Array} patterns - Route patterns
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path without the query string
+ * @returns {boolean} True if a pattern matches
+ */
+const matchesRoute = (patterns, method, path) => {
+  const requestPath = path.length > 1 ? path.replace(/\/+$/, '') : path;
+
+  return (patterns || []).some((pattern) => {
+    const [patternMethod, patternPath] = pattern.split(' ');
+
+    if (patternMethod !== '*' && patternMethod !== method.toUpperCase()) {
+      return false;
+    }
+
+    return patternPath.endsWith('*')
+      ? requestPath.startsWith(patternPath.slice(0, -1))
+      : requestPath === patternPath.replace(/\/+$/, '');
+  });
+};
+
+/**
+ * Whether an IP address is on a key's allowlist
+ * @param {Array} allowlist - Addresses and CIDR ranges (empty allows any address)
+ * @param {string} ipAddress - Request IP address
+ * @returns {boolean} True if the address is allowed
+ */
+const isIpAllowed = (allowlist, ipAddress) => {
+  if (!allowlist || allowlist.length === 0) {
+    return true;
+  }
+
+  let address;
+  try {
+    // Unwrap IPv4-mapped IPv6 addresses such as ::ffff:10.0.0.5
+    address = ipaddr.process(ipAddress);
+  } catch (error) {
+    return false;
+  }
+
+  return allowlist.some((entry) => {
+    try {
+      if (entry.includes('/')) {
+        const range = ipaddr.parseCIDR(entry);
+        return address.kind() === range[0].kind() && address.match(range);
+      }
+      return ipaddr.process(entry).toString() === address.toString();
+    } catch (error) {
+      return false;
+    }
+  });
+};
+
+/**
+ * Load a service account
+ * @param {number} id - Service account ID
+ * @returns {Promise<Object>} Service account with role and department
+ * @throws {AppError} If the service account does not exist
+ */
+const findServiceAccount = async (id) => {
+  const account = await User.findOne({
+    where: { id, accountType: 'service' },
+    attributes: ACCOUNT_ATTRIBUTES,
+    include: [
+      { model: Role, as: 'role', attributes: ['id', 'name', 'permissions'] },
+      { model: Department, as: 'department', attributes: ['id', 'name'] }
+    ]
+  });
+
+  if (!account) {
+    throw new AppError('Service account not found', 404, 'SERVICE_ACCOUNT_NOT_FOUND');
+  }
+
+  return account;
+};
+
+/**
+ * Load a key of a service account
+ * @param {number} serviceAccountId - Service account ID
+ * @param {number} keyId - Key ID
+ * @returns {Promise<Object>} ApiKey record
+ * @throws {AppError} If the key does not exist
+ */
+const findKey = async (serviceAccountId, keyId) => {
+  const key = await ApiKey.findOne({ where: { id: keyId, serviceAccountId } });
+
+  if (!key) {
+    throw new AppError('API key not found', 404, 'API_KEY_NOT_FOUND');
+  }
+
+  return key;
+};
+
+/**
+ * Format a key record for a response, without its hash
+ * @param {Object} key - ApiKey record
+ * @returns {Object} Key details
+ */
+const formatKey = (key) => {
+  const { keyHash, ...details } = key.get ? key.get({ plain: true }) : key;
+  return details;
+};
+
+/**
+ * List service accounts
+ * @returns {Promise<Array>} Service accounts with role, department and keys
+ */
+const listServiceAccounts = () => User.findAll({
+  where: { accountType: 'service' },
+  attributes: ACCOUNT_ATTRIBUTES,
+  include: [
+    { model: Role, as: 'role', attributes: ['id', 'name'] },
+    { model: Department, as: 'department', attributes: ['id', 'name'] },
+    { model: ApiKey, as: 'apiKeys', attributes: KEY_ATTRIBUTES }
+  ],
+  order: [['username', 'ASC']]
+});
+
+/**
+ * Get a service account with its keys
+ * @param {number} id - Service account ID
+ * @returns {Promise<Object>} Service account and keys
+ * @throws {AppError} If the service account does not exist
+ */
+const getServiceAccount = async (id) => {
+  const account = await findServiceAccount(id);
+  const apiKeys = await listApiKeys(account.id);
+
+  return { ...account.get({ plain: true }), apiKeys };
+};
+
+/**
+ * Create a service account
+ * @param {Object} data - Service account data
+ * @param {string} data.username - Username the account acts under in the audit log
+ * @param {string} data.name - Display name (e.g. 'Workday HR sync')
+ * @param {string} [data.description] - What the integration does
+ * @param {number} data.roleId - Role whose permissions keys may be scoped to
+ * @param {number} [data.departmentId] - Department
+ * @param {Object} actor - Administrator creating the account, with the request's apiKey if any
+ * @returns {Promise<Object>} Created service account
+ * @throws {AppError} If the data is invalid, the username is taken or the actor used an API key
+ */
+const createServiceAccount = async ({ username, name, description, roleId, departmentId } = {}, actor) => {
+  assertInteractive(actor);
+
+  const trimmedUsername = typeof username === 'string' ? username.trim() : '';
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+  if (!/^[A-Za-z0-9._-]{3,50}$/.test(trimmedUsername)) {
+    throw new AppError('username must be 3 to 50 letters, digits, dots, dashes or underscores', 400, 'VALIDATION_ERROR');
+  }
+
+  if (!trimmedName || trimmedName.length > 100) {
+    throw new AppError('name must be between 1 and 100 characters', 400, 'VALIDATION_ERROR');
+  }
+
+  const role = roleId ? await Role.findByPk(roleId) : null;
+  if (!role) {
+    throw new AppError('Role not found', 404, 'ROLE_NOT_FOUND');
+  }
+
+  const email = `${trimmedUsername.toLowerCase()}@${SERVICE_ACCOUNT_CONFIG.EMAIL_DOMAIN}`;
+  const existing = await User.findOne({
+    where: { [Op.or]: [{ username: trimmedUsername }, { email }] },
+    paranoid: false
+  });
+
+  if (existing) {
+    throw new AppError('Username already exists', 400, 'DUPLICATE_USER');
+  }
+
+  const account = await User.create({
+    username: trimmedUsername,
+    email,
+    // Service accounts cannot sign in with a password, so nobody learns this one
+    password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12),
+    firstName: trimmedName,
+    lastName: 'Service Account',
+    position: description || null,
+    roleId: role.id,
+    departmentId: departmentId || null,
+    accountStatus: 'active',
+    accountType: 'service'
+  });
+
+  await securityService.logSecurityEvent(actor.id, 'SERVICE_ACCOUNT_CREATED', {
+    serviceAccountId: account.id,
+    username: account.username,
+    roleId: role.id
+  });
+
+  return findServiceAccount(account.id);
+};
+
+/**
+ * Update a service account. Deactivating it stops all of its keys working.
+ * @param {number} id - Service account ID
+ * @param {Object} data - Fields to change
+ * @param {string} [data.name] - Display name
+ * @param {string} [data.description] - What the integration does
+ * @param {number} [data.roleId] - Role
+ * @param {number} [data.departmentId] - Department
+ * @param {boolean} [data.active] - Whether the account may be used
+ * @param {Object} actor - Administrator making the change, with the request's apiKey if any
+ * @returns {Promise<Object>} Updated service account
+ * @throws {AppError} If the account or role does not exist, the data is invalid or the actor used an API key
+ */
+const updateServiceAccount = async (id, { name, description, roleId, departmentId, active } = {}, actor) => {
+  assertInteractive(actor);
+
+  const account = await findServiceAccount(id);
+  const updates = {};
+
+  if (name !== undefined) {
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (!trimmedName || trimmedName.length > 100) {
+      throw new AppError('name must be between 1 and 100 characters', 400, 'VALIDATION_ERROR');
+    }
+    updates.firstName = trimmedName;
+  }
+
+  if (description !== undefined) {
+    updates.position = description || null;
+  }
+
+  if (roleId !== undefined) {
+    const role = await Role.findByPk(roleId);
+    if (!role) {
+      throw new AppError('Role not found', 404, 'ROLE_NOT_FOUND');
+    }
+    updates.roleId = role.id;
+  }
+
+  if (departmentId !== undefined) {
+    updates.departmentId = departmentId || null;
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      throw new AppError('active must be true or false', 400, 'VALIDATION_ERROR');
+    }
+    updates.accountStatus = active ? 'active' : 'inactive';
+  }
+
+  await account.update(updates);
+
+  await securityService.logSecurityEvent(actor.id, 'SERVICE_ACCOUNT_UPDATED', {
+    serviceAccountId: account.id,
+    changes: Object.keys(updates)
+  });
+
+  return findServiceAccount(account.id);
+};
+
+/**
+ * List the keys of a service account without their hashes
+ * @param {number} serviceAccountId - Service account ID
+ * @returns {Promise<Array>} Keys, newest first
+ */
+const listApiKeys = (serviceAccountId) => ApiKey.findAll({
+  where: { serviceAccountId },
+  attributes: KEY_ATTRIBUTES,
+  order: [['createdAt', 'DESC']]
+});
+
+/**
+ * Generate a key and store its hash
+ * @param {Object} fields - ApiKey fields other than the hash and prefix
+ * @returns {Promise<Object>} Key record details and the plaintext key
+ */
+const issueKey = async (fields) => {
+  const key = `${SERVICE_ACCOUNT_CONFIG.KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const record = await ApiKey.create({
+    ...fields,
+    keyHash: hashKey(key),
+    keyPrefix: key.slice(0, 12)
+  });
+
+  return { ...formatKey(record), key };
+};
+
+/**
+ * Create an API key for a service account. The plaintext key is only returned here.
+ * @param {number} serviceAccountId - Service account ID
+ * @param {Object} data - Key data
+ * @param {string} data.name - What the key is used for
+ * @param {Array} data.scopes - Permission names the key may use
+ * @param {Array} data.allowedRoutes - Route patterns the key may call
+ * @param {Array} [data.ipAllowlist] - IP addresses and CIDR ranges the key may be used from
+ * @param {number} [data.expiresInDays] - Days until the key expires
+ * @param {Object} actor - Administrator creating the key, with the request's apiKey if any
+ * @returns {Promise<Object>} Key record details and the plaintext key
+ * @throws {AppError} If the account does not exist, the data is invalid or the actor used an API key
+ */
+const createApiKey = async (serviceAccountId, { name, scopes, allowedRoutes, ipAllowlist, expiresInDays } = {}, actor) => {
+  assertInteractive(actor);
+
+  const account = await findServiceAccount(serviceAccountId);
+  await roleService.applyEffectivePermissions(account);
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+  if (!trimmedName || trimmedName.length > SERVICE_ACCOUNT_CONFIG.KEY_NAME_MAX_LENGTH) {
+    throw new AppError(`Key name must be between 1 and ${SERVICE_ACCOUNT_CONFIG.KEY_NAME_MAX_LENGTH} characters`, 400, 'VALIDATION_ERROR');
+  }
+
+  const created = await issueKey({
+    serviceAccountId: account.id,
+    name: trimmedName,
+    scopes: normalizeScopes(scopes, account.role),
+    allowedRoutes: normalizeRoutes(allowedRoutes),
+    ipAllowlist: normalizeIpAllowlist(ipAllowlist),
+    expiresAt: resolveExpiry(expiresInDays),
+    createdBy: actor.id
+  });
+
+  await securityService.logSecurityEvent(actor.id, 'API_KEY_CREATED', {
+    serviceAccountId: account.id,
+    apiKeyId: created.id,
+    name: created.name,
+    scopes: created.scopes,
+    allowedRoutes: created.allowedRoutes,
+    expiresAt: created.expiresAt
+  });
+
+  return created;
+};
+
+/**
+ * Replace a key with a new one that has the same name, scopes, routes and allowlist. The old
+ * key keeps working for a grace period so the integration can switch over.
+ * @param {number} serviceAccountId - Service account ID
+ * @param {number} keyId - Key to rotate
+ * @param {Object} [options] - Rotation options
+ * @param {number} [options.graceHours] - Hours the old key keeps working (0 revokes it now)
+ * @param {number} [options.expiresInDays] - Days until the new key expires
+ * @param {Object} actor - Administrator rotating the key, with the request's apiKey if any
+ * @returns {Promise<Object>} New key record details and the plaintext key
+ * @throws {AppError} If the key does not exist, is no longer usable or the actor used an API key
+ */
+const rotateApiKey = async (serviceAccountId, keyId, { graceHours, expiresInDays } = {}, actor) => {
+  assertInteractive(actor);
+
+  const account = await findServiceAccount(serviceAccountId);
+  await roleService.applyEffectivePermissions(account);
+  const oldKey = await findKey(account.id, keyId);
+  const now = new Date();
+
+  if (oldKey.revokedAt || new Date(oldKey.expiresAt) <= now) {
+    throw new AppError('Only an active key can be rotated', 400, 'API_KEY_NOT_ACTIVE');
+  }
+
+  const grace = graceHours === undefined || graceHours === null
+    ? SERVICE_ACCOUNT_CONFIG.DEFAULT_ROTATION_GRACE_HOURS
+    : graceHours;
+
+  if (!Number.isInteger(grace) || grace < 0 || grace > SERVICE_ACCOUNT_CONFIG.MAX_ROTATION_GRACE_HOURS) {
+    throw new AppError(`graceHours must be a whole number between 0 and ${SERVICE_ACCOUNT_CONFIG.MAX_ROTATION_GRACE_HOURS}`, 400, 'VALIDATION_ERROR');
+  }
+
+  const created = await issueKey({
+    serviceAccountId: account.id,
+    name: oldKey.name,
+    // Drop scopes the account's role no longer grants
+    scopes: isAdminRole(account.role)
+      ? oldKey.scopes
+      : (oldKey.scopes || []).filter(scope => parsePermissions(account.role && account.role.permissions)[scope]),
+    allowedRoutes: oldKey.allowedRoutes,
+    ipAllowlist: oldKey.ipAllowlist,
+    expiresAt: resolveExpiry(expiresInDays),
+    rotatedFromId: oldKey.id,
+    createdBy: actor.id
+  });
+
+  if (grace === 0) {
+    await oldKey.update({ revokedAt: now, revokedBy: actor.id });
+  } else {
+    const graceEnd = new Date(now.getTime() + grace * 60 * 60 * 1000);
+    if (graceEnd < new Date(oldKey.expiresAt)) {
+      await oldKey.update({ expiresAt: graceEnd });
+    }
+  }
+
+  await securityService.logSecurityEvent(actor.id, 'API_KEY_ROTATED', {
+    serviceAccountId: account.id,
+    apiKeyId: created.id,
+    rotatedFromId: oldKey.id,
+    oldKeyExpiresAt: oldKey.revokedAt || oldKey.expiresAt
+  });
+
+  return created;
+};
+
+/**
+ * Revoke a key
+ * @param {number} serviceAccountId - Service account ID
+ * @param {number} keyId - Key ID
+ * @param {Object} actor - Administrator revoking the key, with the request's apiKey if any
+ * @returns {Promise<Object>} Revoked key details
+ * @throws {AppError} If the key does not exist or the actor used an API key
+ */
+const revokeApiKey = async (serviceAccountId, keyId, actor) => {
+  assertInteractive(actor);
+
+  const key = await findKey(serviceAccountId, keyId);
+
+  if (!key.revokedAt) {
+    await key.update({ revokedAt: new Date(), revokedBy: actor.id });
+    await securityService.logSecurityEvent(actor.id, 'API_KEY_REVOKED', {
+      serviceAccountId: key.serviceAccountId,
+      apiKeyId: key.id,
+      name: key.name
+    });
+  }
+
+  return formatKey(key);
+};
+
+/**
+ * Authenticate a request made with an API key
+ * @param {string} key - Plaintext key
+ * @param {Object} request - Request details
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Request path without the query string
+ * @param {string} request.ipAddress - Request IP address
+ * @returns {Promise<Object>} The key record and its service account (with role)
+ * @throws {AppError} If the key is unknown, revoked or expired, the account is not active, or the
+ * address or route is not allowed
+ */
+const authenticateApiKey = async (key, { method, path, ipAddress }) => {
+  const apiKey = key ? await ApiKey.findOne({ where: { keyHash: hashKey(key) } }) : null;
+
+  if (!apiKey || apiKey.revokedAt || new Date(apiKey.expiresAt) <= new Date()) {
+    throw new AppError('Invalid or expired API key', 401, 'API_KEY_INVALID');
+  }
+
+  const account = await User.findOne({
+    where: { id: apiKey.serviceAccountId, accountType: 'service' },
+    include: ['role']
+  });
+
+  if (!account || account.accountStatus !== 'active') {
+    throw new AppError('Service account is not active', 403, 'SERVICE_ACCOUNT_INACTIVE');
+  }
+
+  if (!isIpAllowed(apiKey.ipAllowlist, ipAddress)) {
+    await securityService.logSecurityEvent(account.id, 'API_KEY_IP_DENIED', { apiKeyId: apiKey.id, ipAddress });
+    throw new AppError('API key cannot be used from this IP address', 403, 'API_KEY_IP_RESTRICTED');
+  }
+
+  if (!matchesRoute(apiKey.allowedRoutes, method, path)) {
+    await securityService.logSecurityEvent(account.id, 'API_KEY_ROUTE_DENIED', { apiKeyId: apiKey.id, method, path, ipAddress });
+    throw new AppError('API key is not allowed to call this route', 403, 'API_KEY_ROUTE_FORBIDDEN');
+  }
+
+  await apiKey.update({ lastUsedAt: new Date(), lastUsedIp: ipAddress });
+
+  return { apiKey, user: account };
+};
+
+/**
+ * Limit a service account's loaded role to the permissions a key is scoped to. Only the
+ * in-memory role is changed. Its name is changed too, because some checks trust role names
+ * (such as 'Admin') rather than permissions.
+ * @param {Object} user - Service account with role
+ * @param {Object} apiKey - Key the request was authenticated with
+ */
+const applyScopes = (user, apiKey) => {
+  const role = user.role;
+  const granted = parsePermissions(role && role.permissions);
+  const admin = isAdminRole(role);
+  const permissions = {};
+
+  (apiKey.scopes || []).forEach((scope) => {
+    if (admin || granted[scope]) {
+      permissions[scope] = true;
+    }
+  });
+
+  const scoped = {
+    id: role ? role.id : null,
+    name: `${role ? role.name : 'No role'} (API key)`,
+    permissions
+  };
+
+  user.role = scoped;
+  if (user.dataValues) {
+    user.dataValues.role = scoped;
+  }
+};
+
+/**
+ * Write a request made with an API key to the audit log once the response is sent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} apiKey - Key the request was authenticated with
+ */
+const tagRequest = (req, res, apiKey) => {
+  auditService.tagRequest(req, res, {
+    userId: apiKey.serviceAccountId,
+    category: 'API_KEY',
+    tag: { apiKeyId: apiKey.id },
+    details: { keyPrefix: apiKey.keyPrefix },
+    failureMessage: `Failed to audit request made with API key ${apiKey.id}:`
+  });
+};
+
+module.exports = {
+  SERVICE_ACCOUNT_CONFIG,
+  hashKey,
+  matchesRoute,
+  isIpAllowed,
+  listServiceAccounts,
+  getServiceAccount,
+  createServiceAccount,
+  updateServiceAccount,
+  listApiKeys,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  authenticateApiKey,
+  applyScopes,
+  tagRequest
+};
@@ -0,0 +1,150 @@
+/**
+ * Settings Service - Reads and updates system settings administrators can change at runtime
+ * @module services/settings
+ */
+const { SystemSetting, AuditLog, sequelize } = require('../models');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Known settings with their type and default value.
+ * Settings that are not listed here cannot be stored.
+ */
+const SETTING_DEFINITIONS = {
+  'sso.disableLocalPasswords': {
+    type: 'boolean',
+    default: false,
+    description: 'Reject username and password sign-in for accounts linked to the identity provider'
+  },
+  'sso.defaultRoleId': {
+    type: 'id',
+    default: null,
+    description: 'Role given to new single sign-on users that match no group mapping (Employee when unset)'
+  },
+  'sso.defaultDepartmentId': {
+    type: 'id',
+    default: null,
+    description: 'Department given to new single sign-on users that match no group mapping'
+  }
+};
+
+/**
+ * Get the definition of a setting
+ * @param {string} key - Setting key
+ * @returns {Object} Setting definition
+ * @throws {AppError} If the setting is unknown
+ */
+const getDefinition = (key) => {
+  const definition = SETTING_DEFINITIONS[key];
+
+  if (!definition) {
+    throw new AppError(`Unknown setting: ${key}`, 400, 'UNKNOWN_SETTING');
+  }
+
+  return definition;
+};
+
+/**
+ * Check a value against the type of its setting
+ * @param {string} key - Setting key
+ * @param {*} value - Proposed value
+ * @returns {*} The value to store
+ * @throws {AppError} If the value has the wrong type
+ */
+const validateValue = (key, value) => {
+  const { type } = getDefinition(key);
+
+  if (type === 'boolean' && typeof value !== 'boolean') {
+    throw new AppError(`${key} must be true or false`, 400, 'VALIDATION_ERROR');
+  }
+
+  if (type === 'id' && value !== null && !(Number.isInteger(value) && value > 0)) {
+    throw new AppError(`${key} must be a positive integer or null`, 400, 'VALIDATION_ERROR');
+  }
+
+  return value;
+};
+
+/**
+ * Get the current value of a setting
+ * @param {string} key - Setting key
+ * @returns {Promise<*>} Stored value, or the default when it was never set
+ */
+const getSetting = async (key) => {
+  const definition = getDefinition(key);
+  const setting = await SystemSetting.findOne({ where: { key } });
+
+  return setting ? setting.value : definition.default;
+};
+
+/**
+ * Get all settings whose key starts with a prefix
+ * @param {string} [prefix] - Key prefix such as 'sso.'
+ * @returns {Promise<Object>} Values keyed by setting key
+ */
+const getSettings = async (prefix = '') => {
+  const keys = Object.keys(SETTING_DEFINITIONS).filter(key => key.startsWith(prefix));
+  const stored = await SystemSetting.findAll({ where: { key: keys } });
+  const storedByKey = new Map(stored.map(setting => [setting.key, setting.value]));
+
+  return keys.reduce((settings, key) => {
+    settings[key] = storedByKey.has(key) ? storedByKey.get(key) : SETTING_DEFINITIONS[key].default;
+    return settings;
+  }, {});
+};
+
+/**
+ * Update several settings at once
+ * @param {Object} values - New values keyed by setting key
+ * @param {number} userId - Administrator making the change
+ * @returns {Promise<Object>} Changed settings with their previous and new values
+ * @throws {AppError} If a setting is unknown or a value is invalid
+ */
+const updateSettings = async (values, userId) => {
+  const entries = Object.entries(values || {});
+
+  if (entries.length === 0) {
+    throw new AppError('No settings to update', 400, 'VALIDATION_ERROR');
+  }
+
+  entries.forEach(([key, value]) => validateValue(key, value));
+
+  const changes = {};
+
+  await sequelize.transaction(async (transaction) => {
+    for (const [key, value] of entries) {
+      const existing = await SystemSetting.findOne({ where: { key }, transaction });
+      const previous = existing ? existing.value : SETTING_DEFINITIONS[key].default;
+
+      if (previous === value) {
+        continue;
+      }
+
+      if (existing) {
+        await existing.update({ value, updatedBy: userId }, { transaction });
+      } else {
+        await SystemSetting.create({ key, value, updatedBy: userId }, { transaction });
+      }
+
+      changes[key] = { from: previous, to: value };
+    }
+  });
+
+  if (Object.keys(changes).length > 0) {
+    await AuditLog.createWithHash({
+      userId,
+      action: 'SYSTEM_SETTINGS_UPDATED',
+      category: 'SECURITY',
+      entityType: 'system_setting',
+      details: { changes }
+    });
+  }
+
+  return changes;
+};
+
+module.exports = {
+  SETTING_DEFINITIONS,
+  getSetting,
+  getSettings,
+  updateSettings
+};
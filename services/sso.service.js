@@ -0,0 +1,636 @@
+/**
+ * SSO Service - OpenID Connect single sign-on with group mapping and just-in-time provisioning
+ * @module services/sso
+ */
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const { Issuer, generators, custom } = require('openid-client');
+const { User, Role, Department, SsoGroupMapping, sequelize } = require('../models');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+const config = require('../config/app.config');
+const cacheService = require('./cache.service');
+const settingsService = require('./settings.service');
+const securityService = require('./security.service');
+const trainingRuleService = require('./training-rule.service');
+
+/**
+ * OpenID Connect client configuration
+ */
+const SSO_CONFIG = {
+  ISSUER: process.env.OIDC_ISSUER,
+  CLIENT_ID: process.env.OIDC_CLIENT_ID,
+  // Leave unset for public clients that rely on PKCE alone
+  CLIENT_SECRET: process.env.OIDC_CLIENT_SECRET,
+  REDIRECT_URI: process.env.OIDC_REDIRECT_URI || `${config.server.apiUrl}/auth/sso/callback`,
+  SCOPES: process.env.OIDC_SCOPES || 'openid profile email',
+  PROVIDER_NAME: process.env.OIDC_PROVIDER_NAME || 'Single Sign-On',
+  USERNAME_CLAIM: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+  DEFAULT_ROLE: process.env.OIDC_DEFAULT_ROLE || 'Employee',
+  STATE_TTL_SECONDS: 600,
+  CLOCK_TOLERANCE_SECONDS: 30
+};
+
+// Authentication method references that show the identity provider performed MFA (RFC 8176)
+const MFA_AMR_VALUES = ['mfa', 'otp', 'hwk', 'swk', 'sc', 'fpt', 'face', 'iris', 'retina', 'vbm'];
+
+// Username rules shared with registration
+const USERNAME_PATTERN = /[^a-zA-Z0-9._-]/g;
+const USERNAME_MAX_LENGTH = 50;
+
+let clientPromise = null;
+
+/**
+ * Check whether single sign-on is configured
+ * @returns {boolean} True when an issuer and client ID are set
+ */
+const isEnabled = () => Boolean(SSO_CONFIG.ISSUER && SSO_CONFIG.CLIENT_ID);
+
+/**
+ * Get the OpenID Connect client, discovering the issuer on first use
+ * @returns {Promise<Object>} openid-client Client
+ * @throws {AppError} If single sign-on is not configured or the issuer cannot be reached
+ */
+const getClient = async () => {
+  if (!isEnabled()) {
+    throw new AppError('Single sign-on is not configured', 404, 'SSO_NOT_CONFIGURED');
+  }
+
+  if (!clientPromise) {
+    clientPromise = Issuer.discover(SSO_CONFIG.ISSUER)
+      .then((issuer) => {
+        const client = new issuer.Client({
+          client_id: SSO_CONFIG.CLIENT_ID,
+          client_secret: SSO_CONFIG.CLIENT_SECRET,
+          redirect_uris: [SSO_CONFIG.REDIRECT_URI],
+          response_types: ['code'],
+          token_endpoint_auth_method: SSO_CONFIG.CLIENT_SECRET ? 'client_secret_basic' : 'none'
+        });
+        client[custom.clock_tolerance] = SSO_CONFIG.CLOCK_TOLERANCE_SECONDS;
+        return client;
+      })
+      .catch((error) => {
+        // Allow the next request to retry discovery
+        clientPromise = null;
+        logger.error('OpenID Connect discovery failed:', error);
+        throw new AppError('The identity provider is unavailable', 502, 'SSO_PROVIDER_UNAVAILABLE');
+      });
+  }
+
+  return clientPromise;
+};
+
+/**
+ * Forget the discovered client so the next request discovers the issuer again
+ */
+const clearClientCache = () => {
+  clientPromise = null;
+};
+
+/**
+ * Accept only relative application paths as post-login destinations
+ * @param {string} returnTo - Requested destination
+ * @returns {string} Safe path, '/' when the request is not a relative path
+ */
+const sanitizeReturnTo = (returnTo) => {
+  if (typeof returnTo !== 'string' || !returnTo.startsWith('/') || returnTo.startsWith('//') || returnTo.includes('\\')) {
+    return '/';
+  }
+
+  return returnTo;
+};
+
+/**
+ * Cache key for a pending authorization request
+ * @param {string} state - OAuth state value
+ * @returns {string} Cache key
+ */
+const stateKey = (state) => `sso:state:${state}`;
+
+/**
+ * Start an authorization code flow with PKCE
+ * @param {Object} [options] - Request options
+ * @param {string} [options.returnTo] - Application path to open after sign-in
+ * @param {string} [options.loginHint] - Username or email to pre-fill at the identity provider
+ * @returns {Promise<Object>} Authorization URL and the state to bind to the browser
+ */
+const createAuthorizationRequest = async ({ returnTo, loginHint } = {}) => {
+  const client = await getClient();
+
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  await cacheService.set(stateKey(state), {
+    nonce,
+    codeVerifier,
+    returnTo: sanitizeReturnTo(returnTo)
+  }, SSO_CONFIG.STATE_TTL_SECONDS);
+
+  const url = client.authorizationUrl({
+    scope: SSO_CONFIG.SCOPES,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256',
+    ...(loginHint ? { login_hint: loginHint } : {})
+  });
+
+  return { url, state };
+};
+
+/**
+ * Check whether the identity provider reports that it performed MFA
+ * @param {Object} claims - ID token claims
+ * @returns {boolean} True when the amr or acr claims show a second factor
+ */
+const isMfaAsserted = (claims) => {
+  const amr = Array.isArray(claims.amr) ? claims.amr : [];
+
+  return amr.some(value => MFA_AMR_VALUES.includes(value))
+    || (typeof claims.acr === 'string' && /mfa|multi/i.test(claims.acr));
+};
+
+/**
+ * Find the role and department a set of claims maps to
+ * @param {Object} claims - ID token and userinfo claims
+ * @returns {Promise<Object>} Mapped roleId and departmentId (null when nothing matched) and matching mapping IDs
+ */
+const resolveMappings = async (claims) => {
+  const mappings = await SsoGroupMapping.findAll({
+    order: [['priority', 'ASC'], ['id', 'ASC']]
+  });
+
+  const result = { roleId: null, departmentId: null, matchedMappingIds: [] };
+
+  mappings.forEach((mapping) => {
+    const claimValue = claims[mapping.claim];
+    const values = Array.isArray(claimValue) ? claimValue : [claimValue];
+
+    if (!values.some(value => value !== undefined && value !== null && String(value) === mapping.value)) {
+      return;
+    }
+
+    result.matchedMappingIds.push(mapping.id);
+
+    if (result.roleId === null && mapping.roleId) {
+      result.roleId = mapping.roleId;
+    }
+
+    if (result.departmentId === null && mapping.departmentId) {
+      result.departmentId = mapping.departmentId;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Choose a username that is free for a new single sign-on user
+ * @param {Object} claims - ID token and userinfo claims
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<string>} Available username
+ */
+const generateUsername = async (claims, transaction) => {
+  const preferred = claims[SSO_CONFIG.USERNAME_CLAIM] || (claims.email || '').split('@')[0] || 'sso.user';
+  let base = String(preferred).replace(USERNAME_PATTERN, '').slice(0, USERNAME_MAX_LENGTH - 5);
+
+  if (base.length < 3) {
+    base = `sso.${base || 'user'}`;
+  }
+
+  const taken = await User.findAll({
+    where: { username: { [Op.like]: `${base}%` } },
+    attributes: ['username'],
+    transaction
+  });
+  const takenNames = new Set(taken.map(user => user.username));
+
+  let candidate = base;
+  for (let suffix = 2; takenNames.has(candidate); suffix++) {
+    candidate = `${base}${suffix}`;
+  }
+
+  return candidate;
+};
+
+/**
+ * Split the name claims of a new user
+ * @param {Object} claims - ID token and userinfo claims
+ * @returns {Object} firstName and lastName
+ */
+const resolveName = (claims) => {
+  if (claims.given_name || claims.family_name) {
+    return { firstName: claims.given_name || '', lastName: claims.family_name || '' };
+  }
+
+  const parts = String(claims.name || '').trim().split(/\s+/).filter(Boolean);
+
+  if (parts.length === 0) {
+    return { firstName: claims.email || claims.sub, lastName: '' };
+  }
+
+  return { firstName: parts.slice(0, -1).join(' ') || parts[0], lastName: parts.length > 1 ? parts[parts.length - 1] : '' };
+};
+
+/**
+ * Find the role given to new users that match no mapping
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>} Role ID
+ * @throws {AppError} If no default role exists
+ */
+const getDefaultRoleId = async (transaction) => {
+  const configuredRoleId = await settingsService.getSetting('sso.defaultRoleId');
+  const role = configuredRoleId
+    ? await Role.findByPk(configuredRoleId, { transaction })
+    : await Role.findOne({ where: { name: SSO_CONFIG.DEFAULT_ROLE }, transaction });
+
+  if (!role) {
+    throw new AppError('No default role is configured for single sign-on users', 500, 'SSO_DEFAULT_ROLE_MISSING');
+  }
+
+  return role.id;
+};
+
+/**
+ * Find, link or create the user for a verified identity and apply mapped access
+ * @param {Object} claims - Verified ID token claims merged with userinfo
+ * @returns {Promise<Object>} User and whether the account was created or linked
+ * @throws {AppError} If the account cannot be used for sign-in
+ */
+const provisionUser = async (claims) => {
+  const mapping = await resolveMappings(claims);
+  const events = [];
+  let accessChanged = false;
+
+  const user = await sequelize.transaction(async (transaction) => {
+    let account = await User.findOne({
+      where: { ssoIssuer: claims.iss, ssoSubject: claims.sub },
+      transaction
+    });
+
+    // Link an existing local account only when the identity provider vouches for the email
+    if (!account && claims.email) {
+      account = await User.findOne({ where: { email: claims.email }, transaction });
+
+      if (account) {
+        if (claims.email_verified !== true || account.ssoSubject) {
+          throw new AppError(
+            'An account with this email address exists and cannot be linked automatically. Please contact an administrator.',
+            409,
+            'SSO_ACCOUNT_CONFLICT'
+          );
+        }
+
+        await account.update({
+          authProvider: 'oidc',
+          ssoIssuer: claims.iss,
+          ssoSubject: claims.sub
+        }, { transaction });
+        events.push(['SSO_ACCOUNT_LINKED', { email: claims.email }]);
+      }
+    }
+
+    if (!account) {
+      if (!claims.email) {
+        throw new AppError(
+          'The identity provider did not share an email address',
+          400,
+          'SSO_EMAIL_REQUIRED'
+        );
+      }
+
+      const defaultDepartmentId = await settingsService.getSetting('sso.defaultDepartmentId');
+
+      account = await User.create({
+        username: await generateUsername(claims, transaction),
+        email: claims.email,
+        // Single sign-on users never learn this password
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12),
+        ...resolveName(claims),
+        roleId: mapping.roleId || await getDefaultRoleId(transaction),
+        departmentId: mapping.departmentId || defaultDepartmentId,
+        accountStatus: 'active',
+        authProvider: 'oidc',
+        ssoIssuer: claims.iss,
+        ssoSubject: claims.sub
+      }, { transaction });
+      events.push(['SSO_USER_PROVISIONED', { mappings: mapping.matchedMappingIds }]);
+      accessChanged = true;
+
+      return account;
+    }
+
+    // Keep role and department in step with the identity provider when a mapping matches
+    const updates = {};
+    if (mapping.roleId && mapping.roleId !== account.roleId) {
+      updates.roleId = mapping.roleId;
+    }
+    if (mapping.departmentId && mapping.departmentId !== account.departmentId) {
+      updates.departmentId = mapping.departmentId;
+    }
+
+    if (Object.keys(updates).length > 0) {
+      events.push(['SSO_ACCESS_SYNCED', {
+        from: { roleId: account.roleId, departmentId: account.departmentId },
+        to: updates,
+        mappings: mapping.matchedMappingIds
+      }]);
+      await account.update(updates, { transaction });
+      accessChanged = true;
+    }
+
+    return account;
+  });
+
+  for (const [eventType, details] of events) {
+    await securityService.logSecurityEvent(user.id, eventType, { issuer: claims.iss, ...details });
+  }
+
+  // Training rules match on role and department, so they run once the new access is committed
+  if (accessChanged) {
+    await trainingRuleService.applyRulesToUser(user);
+  }
+
+  if (user.accountStatus !== 'active') {
+    throw new AppError('Account is not active. Please contact an administrator.', 403, 'ACCOUNT_INACTIVE');
+  }
+
+  return User.findByPk(user.id, { include: [{ model: Role, as: 'role' }] });
+};
+
+/**
+ * Complete the authorization code flow and sign the user in
+ * @param {Object} params - Query parameters the identity provider sent to the callback
+ * @param {string} browserState - State stored in the browser when the flow started
+ * @returns {Promise<Object>} User, whether the provider performed MFA and the path to return to
+ * @throws {AppError} If the response is invalid or the user cannot sign in
+ */
+const handleCallback = async (params, browserState) => {
+  const client = await getClient();
+
+  if (params.error) {
+    throw new AppError(
+      `The identity provider rejected the sign-in: ${params.error_description || params.error}`,
+      401,
+      'SSO_PROVIDER_ERROR'
+    );
+  }
+
+  // The state must match the browser that started the flow to prevent login CSRF
+  if (!params.state || params.state !== browserState) {
+    throw new AppError('The sign-in request does not match this browser', 400, 'SSO_STATE_MISMATCH');
+  }
+
+  const key = stateKey(params.state);
+  const pending = await cacheService.get(key);
+  await cacheService.del(key);
+
+  if (!pending) {
+    throw new AppError('The sign-in request has expired. Please try again.', 400, 'SSO_STATE_EXPIRED');
+  }
+
+  let claims;
+  try {
+    const tokenSet = await client.callback(SSO_CONFIG.REDIRECT_URI, params, {
+      state: browserState,
+      nonce: pending.nonce,
+      code_verifier: pending.codeVerifier
+    });
+    claims = tokenSet.claims();
+
+    if (client.issuer.userinfo_endpoint && tokenSet.access_token) {
+      // Userinfo may carry group and profile claims the ID token leaves out
+      const userinfo = await client.userinfo(tokenSet);
+      claims = { ...userinfo, ...claims };
+    }
+  } catch (error) {
+    logger.warn(`OpenID Connect callback rejected: ${error.message}`);
+    throw new AppError('The identity provider response could not be verified', 401, 'SSO_VERIFICATION_FAILED');
+  }
+
+  const user = await provisionUser(claims);
+
+  return {
+    user,
+    mfaAsserted: isMfaAsserted(claims),
+    returnTo: pending.returnTo
+  };
+};
+
+/**
+ * Reject password-based actions for service accounts, and for single sign-on users when local
+ * passwords are disabled
+ * @param {Object} user - User attempting a password action
+ * @throws {AppError} If the user is a service account or must sign in through the identity provider
+ */
+const assertLocalPasswordAllowed = async (user) => {
+  if (user && user.accountType === 'service') {
+    throw new AppError('Service accounts authenticate with API keys and cannot sign in', 403, 'SERVICE_ACCOUNT_LOGIN_DISABLED');
+  }
+
+  if (!user || user.authProvider !== 'oidc') {
+    return;
+  }
+
+  if (await settingsService.getSetting('sso.disableLocalPasswords')) {
+    throw new AppError(
+      'Password sign-in is disabled for this account. Please sign in with single sign-on.',
+      403,
+      'LOCAL_LOGIN_DISABLED'
+    );
+  }
+};
+
+/**
+ * Get the single sign-on settings
+ * @returns {Promise<Object>} Settings keyed by setting key
+ */
+const getSettings = () => settingsService.getSettings('sso.');
+
+/**
+ * Update the single sign-on settings
+ * @param {Object} values - New values keyed by setting key
+ * @param {number} userId - Administrator making the change
+ * @returns {Promise<Object>} All single sign-on settings after the update
+ * @throws {AppError} If a key is not an SSO setting or a referenced role or department does not exist
+ */
+const updateSettings = async (values, userId) => {
+  const keys = Object.keys(values || {});
+
+  if (keys.some(key => !key.startsWith('sso.'))) {
+    throw new AppError('Only single sign-on settings can be changed here', 400, 'UNKNOWN_SETTING');
+  }
+
+  if (values['sso.defaultRoleId'] && !(await Role.findByPk(values['sso.defaultRoleId']))) {
+    throw new AppError('Role not found', 404, 'ROLE_NOT_FOUND');
+  }
+
+  if (values['sso.defaultDepartmentId'] && !(await Department.findByPk(values['sso.defaultDepartmentId']))) {
+    throw new AppError('Department not found', 404, 'DEPARTMENT_NOT_FOUND');
+  }
+
+  await settingsService.updateSettings(values, userId);
+
+  return getSettings();
+};
+
+/**
+ * List group mappings in the order they are applied
+ * @returns {Promise<Array>} Mappings with their role and department
+ */
+const listMappings = () => SsoGroupMapping.findAll({
+  include: [
+    { model: Role, as: 'role', attributes: ['id', 'name'] },
+    { model: Department, as: 'department', attributes: ['id', 'name'] }
+  ],
+  order: [['priority', 'ASC'], ['id', 'ASC']]
+});
+
+/**
+ * Validate the fields of a group mapping
+ * @param {Object} data - Mapping fields
+ * @throws {AppError} If the mapping grants nothing or references missing records
+ */
+const validateMapping = async (data) => {
+  if (!data.roleId && !data.departmentId) {
+    throw new AppError('A mapping must assign a role or a department', 400, 'VALIDATION_ERROR');
+  }
+
+  if (data.roleId && !(await Role.findByPk(data.roleId))) {
+    throw new AppError('Role not found', 404, 'ROLE_NOT_FOUND');
+  }
+
+  if (data.departmentId && !(await Department.findByPk(data.departmentId))) {
+    throw new AppError('Department not found', 404, 'DEPARTMENT_NOT_FOUND');
+  }
+};
+
+/**
+ * Pick the writable fields of a group mapping
+ * @param {Object} data - Request data
+ * @returns {Object} Mapping fields
+ */
+const pickMappingFields = (data) => {
+  const fields = {};
+  ['claim', 'value', 'roleId', 'departmentId', 'priority'].forEach((field) => {
+    if (data[field] !== undefined) {
+      fields[field] = typeof data[field] === 'string' ? data[field].trim() : data[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * Ensure no other mapping uses the same claim value
+ * @param {string} claim - Claim name
+ * @param {string} value - Claim value
+ * @param {number} [excludeId] - Mapping being updated
+ * @throws {AppError} If the claim value is already mapped
+ */
+const assertMappingUnique = async (claim, value, excludeId) => {
+  const existing = await SsoGroupMapping.findOne({
+    where: {
+      claim,
+      value,
+      ...(excludeId ? { id: { [Op.ne]: excludeId } } : {})
+    }
+  });
+
+  if (existing) {
+    throw new AppError(`A mapping for ${claim} "${value}" already exists`, 409, 'DUPLICATE_SSO_MAPPING');
+  }
+};
+
+/**
+ * Create a group mapping
+ * @param {Object} data - Mapping fields
+ * @param {number} userId - Administrator creating the mapping
+ * @returns {Promise<Object>} Created mapping
+ */
+const createMapping = async (data, userId) => {
+  const fields = { claim: 'groups', ...pickMappingFields(data) };
+
+  await validateMapping(fields);
+  await assertMappingUnique(fields.claim, fields.value);
+
+  const mapping = await SsoGroupMapping.create({ ...fields, createdBy: userId });
+  await securityService.logSecurityEvent(userId, 'SSO_MAPPING_CREATED', { mappingId: mapping.id, ...fields });
+
+  return mapping;
+};
+
+/**
+ * Update a group mapping
+ * @param {number} id - Mapping ID
+ * @param {Object} data - Fields to change
+ * @param {number} userId - Administrator making the change
+ * @returns {Promise<Object>} Updated mapping
+ * @throws {AppError} If the mapping does not exist
+ */
+const updateMapping = async (id, data, userId) => {
+  const mapping = await SsoGroupMapping.findByPk(id);
+
+  if (!mapping) {
+    throw new AppError('SSO mapping not found', 404, 'SSO_MAPPING_NOT_FOUND');
+  }
+
+  const fields = pickMappingFields(data);
+  const merged = {
+    claim: mapping.claim,
+    value: mapping.value,
+    roleId: mapping.roleId,
+    departmentId: mapping.departmentId,
+    ...fields
+  };
+
+  await validateMapping(merged);
+  await assertMappingUnique(merged.claim, merged.value, mapping.id);
+
+  await mapping.update(fields);
+  await securityService.logSecurityEvent(userId, 'SSO_MAPPING_UPDATED', { mappingId: mapping.id, changes: fields });
+
+  return mapping;
+};
+
+/**
+ * Delete a group mapping
+ * @param {number} id - Mapping ID
+ * @param {number} userId - Administrator deleting the mapping
+ * @throws {AppError} If the mapping does not exist
+ */
+const deleteMapping = async (id, userId) => {
+  const mapping = await SsoGroupMapping.findByPk(id);
+
+  if (!mapping) {
+    throw new AppError('SSO mapping not found', 404, 'SSO_MAPPING_NOT_FOUND');
+  }
+
+  await mapping.destroy();
+  await securityService.logSecurityEvent(userId, 'SSO_MAPPING_DELETED', {
+    mappingId: mapping.id,
+    claim: mapping.claim,
+    value: mapping.value
+  });
+};
+
+module.exports = {
+  SSO_CONFIG,
+  isEnabled,
+  getClient,
+  clearClientCache,
+  sanitizeReturnTo,
+  createAuthorizationRequest,
+  handleCallback,
+  isMfaAsserted,
+  resolveMappings,
+  provisionUser,
+  assertLocalPasswordAllowed,
+  getSettings,
+  updateSettings,
+  listMappings,
+  createMapping,
+  updateMapping,
+  deleteMapping
+};
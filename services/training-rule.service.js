@@ -0,0 +1,361 @@
+/**
+ * Training Rule Service - Manages rules that assign training by role, department and hire date
+ * @module services/training-rule
+ */
+const { Op } = require('sequelize');
+const { TrainingAssignmentRule, TrainingAssignment, TrainingCourse, Role, Department, User } = require('../models');
+const notificationService = require('./notification.service');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Valid starting points for a rule's due date
+ * @constant {Array<string>}
+ */
+const DUE_FROM_VALUES = ['assignment_date', 'hire_date'];
+
+/**
+ * Assignment statuses that mean the user already has (or had) the course;
+ * failed or expired assignments do not stop a rule from assigning it again
+ * @constant {Array<string>}
+ */
+const SATISFYING_STATUSES = ['assigned', 'in_progress', 'completed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RULE_INCLUDES = [
+  { model: TrainingCourse, as: 'course', attributes: ['id', 'title', 'version', 'status'] },
+  { model: Role, as: 'role', attributes: ['id', 'name'] },
+  { model: Department, as: 'department', attributes: ['id', 'name'] }
+];
+
+/**
+ * Validate rule fields and resolve the referenced course, role and department
+ * @param {Object} data - Rule fields
+ * @param {boolean} [partial=false] - Whether only some fields are being updated
+ * @returns {Promise<Object>} Fields to save
+ * @throws {AppError} If a field is invalid or a referenced record does not exist
+ */
+const validateRule = async (data, partial = false) => {
+  const fields = {};
+
+  if (!partial || data.name !== undefined) {
+    if (!data.name || !String(data.name).trim()) {
+      throw new AppError('Rule name is required', 400, 'VALIDATION_ERROR');
+    }
+    fields.name = String(data.name).trim();
+  }
+
+  if (data.description !== undefined) {
+    fields.description = data.description;
+  }
+
+  if (!partial || data.courseId !== undefined) {
+    if (!data.courseId) {
+      throw new AppError('Course ID is required', 400, 'VALIDATION_ERROR');
+    }
+    const course = await TrainingCourse.findByPk(data.courseId);
+    if (!course || course.status === 'archived') {
+      throw new AppError('Invalid courseId: Training course not found', 400, 'VALIDATION_ERROR');
+    }
+    fields.courseId = course.id;
+  }
+
+  if (data.roleId !== undefined) {
+    if (data.roleId !== null && !(await Role.findByPk(data.roleId))) {
+      throw new AppError('Invalid roleId: Role not found', 400, 'VALIDATION_ERROR');
+    }
+    fields.roleId = data.roleId;
+  }
+
+  if (data.departmentId !== undefined) {
+    if (data.departmentId !== null && !(await Department.findByPk(data.departmentId))) {
+      throw new AppError('Invalid departmentId: Department not found', 400, 'VALIDATION_ERROR');
+    }
+    fields.departmentId = data.departmentId;
+  }
+
+  if (data.hiredOnOrAfter !== undefined) {
+    if (data.hiredOnOrAfter !== null && isNaN(new Date(data.hiredOnOrAfter).getTime())) {
+      throw new AppError('hiredOnOrAfter must be a valid date', 400, 'VALIDATION_ERROR');
+    }
+    fields.hiredOnOrAfter = data.hiredOnOrAfter === null ? null : new Date(data.hiredOnOrAfter);
+  }
+
+  if (data.dueWithinDays !== undefined) {
+    if (data.dueWithinDays !== null && (!Number.isInteger(data.dueWithinDays) || data.dueWithinDays < 0)) {
+      throw new AppError('dueWithinDays must be a non-negative whole number', 400, 'VALIDATION_ERROR');
+    }
+    fields.dueWithinDays = data.dueWithinDays;
+  }
+
+  if (data.dueFrom !== undefined) {
+    if (!DUE_FROM_VALUES.includes(data.dueFrom)) {
+      throw new AppError(`dueFrom must be one of: ${DUE_FROM_VALUES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    fields.dueFrom = data.dueFrom;
+  }
+
+  if (data.isActive !== undefined) {
+    fields.isActive = Boolean(data.isActive);
+  }
+
+  return fields;
+};
+
+/**
+ * Get all assignment rules
+ * @param {Object} [filters] - Filters
+ * @param {boolean} [filters.isActive] - Only active or inactive rules
+ * @param {number} [filters.courseId] - Only rules for this course
+ * @returns {Promise<Array>} Rules with course, role and department
+ */
+const getRules = ({ isActive, courseId } = {}) => {
+  const where = {};
+  if (isActive !== undefined) {
+    where.isActive = isActive;
+  }
+  if (courseId) {
+    where.courseId = courseId;
+  }
+
+  return TrainingAssignmentRule.findAll({
+    where,
+    include: RULE_INCLUDES,
+    order: [['name', 'ASC']]
+  });
+};
+
+/**
+ * Get an assignment rule by ID
+ * @param {number} id - Rule ID
+ * @returns {Promise<Object>} Rule
+ * @throws {AppError} If the rule is not found
+ */
+const getRuleById = async (id) => {
+  const rule = await TrainingAssignmentRule.findByPk(id, { include: RULE_INCLUDES });
+
+  if (!rule) {
+    throw new AppError('Training assignment rule not found', 404, 'RULE_NOT_FOUND');
+  }
+
+  return rule;
+};
+
+/**
+ * Create an assignment rule
+ * @param {Object} data - Rule fields
+ * @param {number} createdBy - ID of the user creating the rule
+ * @returns {Promise<Object>} Created rule
+ * @throws {AppError} If validation fails
+ */
+const createRule = async (data, createdBy) => {
+  const fields = await validateRule(data);
+  const rule = await TrainingAssignmentRule.create({ ...fields, createdBy });
+  return getRuleById(rule.id);
+};
+
+/**
+ * Update an assignment rule
+ * @param {number} id - Rule ID
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} Updated rule
+ * @throws {AppError} If the rule is not found or validation fails
+ */
+const updateRule = async (id, data) => {
+  const rule = await getRuleById(id);
+  const fields = await validateRule(data, true);
+  await rule.update(fields);
+  return getRuleById(id);
+};
+
+/**
+ * Delete an assignment rule (assignments it already created are kept)
+ * @param {number} id - Rule ID
+ * @returns {Promise<boolean>} Success status
+ * @throws {AppError} If the rule is not found
+ */
+const deleteRule = async (id) => {
+  const rule = await getRuleById(id);
+  await rule.destroy();
+  return true;
+};
+
+/**
+ * Check whether a rule applies to a user
+ * @param {Object} rule - TrainingAssignmentRule
+ * @param {Object} user - User with roleId, departmentId and hireDate
+ * @returns {boolean} True if the user matches every criterion of the rule
+ */
+const ruleMatchesUser = (rule, user) => {
+  // IDs from request bodies may arrive as strings
+  if (rule.roleId && Number(rule.roleId) !== Number(user.roleId)) {
+    return false;
+  }
+
+  if (rule.departmentId && Number(rule.departmentId) !== Number(user.departmentId)) {
+    return false;
+  }
+
+  if (rule.hiredOnOrAfter) {
+    if (!user.hireDate || new Date(user.hireDate) < new Date(rule.hiredOnOrAfter)) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Compute the due date of an assignment created by a rule
+ *
+ * Counted from the hire date when the rule says so, but never in the past:
+ * users who reach a rule long after being hired get the full period from today.
+ *
+ * @param {Object} rule - TrainingAssignmentRule
+ * @param {Object} user - User with hireDate
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} Due date, or null when the rule sets none
+ */
+const computeDueDate = (rule, user, now = new Date()) => {
+  if (rule.dueWithinDays === null || rule.dueWithinDays === undefined) {
+    return null;
+  }
+
+  const periodMs = rule.dueWithinDays * DAY_MS;
+  const fromNow = new Date(now.getTime() + periodMs);
+
+  if (rule.dueFrom === 'hire_date' && user.hireDate) {
+    const fromHire = new Date(new Date(user.hireDate).getTime() + periodMs);
+    return fromHire > now ? fromHire : fromNow;
+  }
+
+  return fromNow;
+};
+
+/**
+ * Apply all active rules to a user, creating any missing assignments
+ *
+ * Never throws: problems are logged so that creating or updating the user is not affected.
+ *
+ * @param {Object} user - User (needs id, roleId, departmentId, hireDate, accountStatus)
+ * @param {Object} [options] - Options
+ * @param {number} [options.assignedBy] - ID of the user whose action triggered the rules
+ * @param {Array<Object>} [options.rules] - Rules to apply (defaults to all active rules)
+ * @returns {Promise<Array>} Created TrainingAssignment instances
+ */
+const applyRulesToUser = async (user, { assignedBy = null, rules } = {}) => {
+  const created = [];
+
+  try {
+    if (!user || (user.accountStatus && user.accountStatus !== 'active')) {
+      return created;
+    }
+
+    const candidates = rules || await TrainingAssignmentRule.findAll({
+      where: { isActive: true },
+      include: [{ model: TrainingCourse, as: 'course', where: { status: 'active' } }]
+    });
+
+    const matching = candidates.filter(rule => ruleMatchesUser(rule, user));
+    if (matching.length === 0) {
+      return created;
+    }
+
+    const existing = await TrainingAssignment.findAll({
+      where: {
+        userId: user.id,
+        courseId: { [Op.in]: matching.map(rule => rule.courseId) },
+        status: { [Op.in]: SATISFYING_STATUSES }
+      },
+      attributes: ['courseId']
+    });
+    const assignedCourses = new Set(existing.map(assignment => assignment.courseId));
+
+    for (const rule of matching) {
+      // Several rules can assign the same course; the first one wins
+      if (assignedCourses.has(rule.courseId)) {
+        continue;
+      }
+      assignedCourses.add(rule.courseId);
+
+      const assignment = await TrainingAssignment.create({
+        userId: user.id,
+        courseId: rule.courseId,
+        assignedBy,
+        assignedDate: new Date(),
+        dueDate: computeDueDate(rule, user),
+        status: 'assigned',
+        notes: `Assigned automatically by rule "${rule.name}"`
+      });
+      created.push(assignment);
+
+      // Let the assignee know (sent in the background, failures are logged)
+      notificationService.notifyTrainingAssigned(assignment, user, rule.course);
+    }
+
+    if (created.length > 0) {
+      logger.info(`Training rules assigned ${created.length} course(s) to user ${user.id}`);
+    }
+  } catch (error) {
+    logger.error(`Failed to apply training rules to user ${user && user.id}:`, error);
+  }
+
+  return created;
+};
+
+/**
+ * Apply one rule to every current user it matches
+ * @param {number} id - Rule ID
+ * @param {number} [assignedBy] - ID of the user applying the rule
+ * @returns {Promise<Object>} { matchedUsers, assignmentsCreated }
+ * @throws {AppError} If the rule is not found or inactive
+ */
+const applyRuleToExistingUsers = async (id, assignedBy = null) => {
+  const rule = await getRuleById(id);
+
+  if (!rule.isActive) {
+    throw new AppError('Inactive rules cannot be applied', 400, 'RULE_INACTIVE');
+  }
+
+  if (!rule.course || rule.course.status !== 'active') {
+    throw new AppError('The rule\'s course is not active', 400, 'COURSE_INACTIVE');
+  }
+
+  const where = { accountStatus: 'active' };
+  if (rule.roleId) {
+    where.roleId = rule.roleId;
+  }
+  if (rule.departmentId) {
+    where.departmentId = rule.departmentId;
+  }
+  if (rule.hiredOnOrAfter) {
+    where.hireDate = { [Op.gte]: rule.hiredOnOrAfter };
+  }
+
+  const users = await User.findAll({
+    where,
+    attributes: ['id', 'firstName', 'lastName', 'email', 'roleId', 'departmentId', 'hireDate', 'accountStatus', 'notificationPreferences']
+  });
+
+  let assignmentsCreated = 0;
+  for (const user of users) {
+    const created = await applyRulesToUser(user, { assignedBy, rules: [rule] });
+    assignmentsCreated += created.length;
+  }
+
+  return { matchedUsers: users.length, assignmentsCreated };
+};
+
+module.exports = {
+  DUE_FROM_VALUES,
+  getRules,
+  getRuleById,
+  createRule,
+  updateRule,
+  deleteRule,
+  ruleMatchesUser,
+  computeDueDate,
+  applyRulesToUser,
+  applyRuleToExistingUsers
+};
@@ -0,0 +1,293 @@
+/**
+ * Training Scheduler Service - Creates recurring training assignments and expires overdue ones
+ * @module services/training-scheduler
+ */
+const { Op } = require('sequelize');
+const ms = require('ms');
+const { TrainingAssignment, TrainingCourse, User, AuditLog, sequelize } = require('../models');
+const notificationService = require('./notification.service');
+const { logger } = require('../utils/logger');
+
+/**
+ * Scheduler configuration
+ */
+const SCHEDULER_CONFIG = {
+  // How often the scheduler runs (disabled when 'off')
+  INTERVAL: process.env.TRAINING_SCHEDULER_INTERVAL || '24h',
+  // Days before recertification is due that the new assignment is created
+  LEAD_DAYS: parseInt(process.env.TRAINING_RECERTIFICATION_LEAD_DAYS || '30', 10)
+};
+
+/**
+ * Statuses of assignments that are still open for the learner
+ * @constant {Array<string>}
+ */
+const OPEN_STATUSES = ['assigned', 'in_progress'];
+
+/**
+ * Statuses of assignments that lapsed without being completed (expired, or quiz failed);
+ * they do not count as a renewal
+ * @constant {Array<string>}
+ */
+const LAPSED_STATUSES = ['expired', 'failed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add a number of days to a date
+ * @param {Date|string} date - Start date
+ * @param {number} days - Days to add
+ * @returns {Date} New date
+ */
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+/**
+ * Compute when a completed assignment must be renewed
+ * @param {Date|string} completionDate - When the training was completed
+ * @param {number} frequencyDays - Course recertification frequency
+ * @returns {Date} Recertification date
+ */
+const getRecertificationDate = (completionDate, frequencyDays) => addDays(completionDate, frequencyDays);
+
+/**
+ * Compute the due date for a recurring assignment
+ *
+ * Normally the recertification date; if that is already close or past (e.g. the
+ * course frequency was just configured), learners get the full lead time instead.
+ *
+ * @param {Date} recertificationDate - Recertification date
+ * @param {Date} now - Current time
+ * @returns {Date} Due date
+ */
+const getRecurringDueDate = (recertificationDate, now) => {
+  const earliest = addDays(now, SCHEDULER_CONFIG.LEAD_DAYS);
+  return recertificationDate > earliest ? recertificationDate : earliest;
+};
+
+/**
+ * Find the recurring assignments the next run would create
+ *
+ * For every active course with a frequency, the latest completion of each active
+ * user is renewed once its recertification date is within the lead time, unless
+ * the user has been assigned the course again since completing it and that
+ * assignment has not expired.
+ *
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array<Object>>} Planned assignments
+ */
+const findDueRecertifications = async (now = new Date()) => {
+  const courses = await TrainingCourse.findAll({
+    where: {
+      status: 'active',
+      frequencyDays: { [Op.gt]: 0 }
+    },
+    attributes: ['id', 'title', 'version', 'frequencyDays']
+  });
+
+  const planned = [];
+
+  for (const course of courses) {
+    const assignments = await TrainingAssignment.findAll({
+      where: { courseId: course.id },
+      attributes: ['id', 'userId', 'status', 'assignedDate', 'completionDate'],
+      include: [{
+        model: User,
+        as: 'user',
+        where: { accountStatus: 'active' },
+        attributes: ['id', 'firstName', 'lastName', 'email', 'accountStatus', 'notificationPreferences']
+      }],
+      order: [['assignedDate', 'DESC']]
+    });
+
+    const byUser = new Map();
+    for (const assignment of assignments) {
+      if (!byUser.has(assignment.userId)) {
+        byUser.set(assignment.userId, []);
+      }
+      byUser.get(assignment.userId).push(assignment);
+    }
+
+    for (const userAssignments of byUser.values()) {
+      const latestCompletion = userAssignments
+        .filter(assignment => assignment.status === 'completed' && assignment.completionDate)
+        .sort((a, b) => new Date(b.completionDate) - new Date(a.completionDate))[0];
+
+      if (!latestCompletion) {
+        continue;
+      }
+
+      // Already reassigned (manually or by an earlier run) since the last completion. A renewal
+      // that expired or was failed leaves the user out of compliance, so it is assigned again.
+      const reassigned = userAssignments.some(assignment =>
+        assignment.id !== latestCompletion.id &&
+        !LAPSED_STATUSES.includes(assignment.status) &&
+        (OPEN_STATUSES.includes(assignment.status) ||
+          new Date(assignment.assignedDate) > new Date(latestCompletion.completionDate))
+      );
+      if (reassigned) {
+        continue;
+      }
+
+      const recertificationDate = getRecertificationDate(latestCompletion.completionDate, course.frequencyDays);
+      if (addDays(recertificationDate, -SCHEDULER_CONFIG.LEAD_DAYS) > now) {
+        continue;
+      }
+
+      planned.push({
+        userId: latestCompletion.userId,
+        userName: `${latestCompletion.user.firstName} ${latestCompletion.user.lastName}`,
+        courseId: course.id,
+        courseTitle: course.title,
+        previousAssignmentId: latestCompletion.id,
+        previousCompletionDate: latestCompletion.completionDate,
+        recertificationDate,
+        dueDate: getRecurringDueDate(recertificationDate, now),
+        user: latestCompletion.user,
+        course
+      });
+    }
+  }
+
+  return planned;
+};
+
+/**
+ * Find open assignments whose due date has passed
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array<Object>>} Overdue TrainingAssignment instances
+ */
+const findOverdueAssignments = (now = new Date()) => {
+  return TrainingAssignment.findAll({
+    where: {
+      status: { [Op.in]: OPEN_STATUSES },
+      dueDate: { [Op.lt]: now }
+    },
+    attributes: ['id', 'userId', 'courseId', 'status', 'dueDate'],
+    order: [['dueDate', 'ASC']]
+  });
+};
+
+/**
+ * Run the scheduler
+ *
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.dryRun=false] - Only report what would change
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} Run summary with the assignments created and expired
+ */
+const runScheduler = async ({ dryRun = false, now = new Date() } = {}) => {
+  const recertifications = await findDueRecertifications(now);
+  const overdue = await findOverdueAssignments(now);
+
+  const summary = {
+    dryRun,
+    runAt: now,
+    toCreate: recertifications.map(({ user, course, ...planned }) => planned),
+    toExpire: overdue.map(assignment => ({
+      id: assignment.id,
+      userId: assignment.userId,
+      courseId: assignment.courseId,
+      status: assignment.status,
+      dueDate: assignment.dueDate
+    })),
+    created: 0,
+    expired: 0
+  };
+
+  if (dryRun) {
+    return summary;
+  }
+
+  const created = await sequelize.transaction(async (transaction) => {
+    if (overdue.length > 0) {
+      const [expiredCount] = await TrainingAssignment.update(
+        { status: 'expired' },
+        {
+          where: {
+            id: { [Op.in]: overdue.map(assignment => assignment.id) },
+            status: { [Op.in]: OPEN_STATUSES }
+          },
+          transaction
+        }
+      );
+      summary.expired = expiredCount;
+    }
+
+    const newAssignments = [];
+    for (const planned of recertifications) {
+      const assignment = await TrainingAssignment.create({
+        userId: planned.userId,
+        courseId: planned.courseId,
+        assignedBy: null,
+        assignedDate: now,
+        dueDate: planned.dueDate,
+        status: 'assigned',
+        notes: `Recurring training: recertification of assignment #${planned.previousAssignmentId}`
+      }, { transaction });
+
+      newAssignments.push({ assignment, planned });
+    }
+
+    return newAssignments;
+  });
+
+  summary.created = created.length;
+
+  // Notify only after the assignments are committed
+  for (const { assignment, planned } of created) {
+    await notificationService.notifyTrainingAssigned(assignment, planned.user, planned.course);
+  }
+
+  if (summary.created > 0 || summary.expired > 0) {
+    await AuditLog.createWithHash({
+      userId: null,
+      action: 'TRAINING_SCHEDULER_RUN',
+      category: 'TRAINING',
+      entityType: 'training_assignment',
+      details: {
+        created: created.map(({ assignment }) => assignment.id),
+        expired: summary.toExpire.map(assignment => assignment.id)
+      }
+    });
+  }
+
+  logger.info(`Training scheduler created ${summary.created} recurring assignment(s) and expired ${summary.expired} overdue assignment(s)`);
+  return summary;
+};
+
+/**
+ * Start the periodic training scheduler
+ *
+ * @param {string} [interval] - Interval in ms format (e.g. '24h'), defaults to TRAINING_SCHEDULER_INTERVAL
+ * @returns {Object|null} Timer handle, or null when scheduling is disabled
+ */
+const scheduleTrainingScheduler = (interval = SCHEDULER_CONFIG.INTERVAL) => {
+  const intervalMs = interval && interval !== 'off' ? ms(interval) : null;
+
+  if (!intervalMs) {
+    logger.info('Recurring training scheduler disabled');
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    runScheduler().catch(error => {
+      logger.error('Recurring training scheduler failed to run:', error);
+    });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the schedule
+  timer.unref();
+
+  logger.info(`Scheduled recurring training assignment every ${interval}`);
+  return timer;
+};
+
+module.exports = {
+  SCHEDULER_CONFIG,
+  getRecertificationDate,
+  getRecurringDueDate,
+  findDueRecertifications,
+  findOverdueAssignments,
+  runScheduler,
+  scheduleTrainingScheduler
+};
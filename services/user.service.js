@@ -6,13 +6,16 @@ const { User, Role, Department } = require('../models');
 const { Op } = require('sequelize');
 const bcrypt = require('bcrypt');
 const { AppError } = require('../utils/error-handler');
+const trainingRuleService = require('./training-rule.service');
 
 /**
  * Get all users with role and department information
+ * @param {Object} [where={}] - Conditions limiting the users returned, such as a data scope
  * @returns {Promise<Array>} List of users
  */
-const getAllUsers = async () => {
+const getAllUsers = async (where = {}) => {
   const users = await User.findAll({
+    where,
     include: [
       {
         model: Role,
@@ -25,7 +28,7 @@ const getAllUsers = async () => {
         attributes: ['id', 'name']
       }
     ],
-    attributes: { exclude: ['password'] },
+    attributes: { exclude: ['password', 'resetToken', 'resetTokenExpiry'] },
     order: [['lastName', 'ASC'], ['firstName', 'ASC']]
   });
   
@@ -50,7 +53,7 @@ const getUserById = async (id) => {
         as: 'department'
       }
     ],
-    attributes: { exclude: ['password'] }
+    attributes: { exclude: ['password', 'resetToken', 'resetTokenExpiry'] }
   });
   
   if (!user) {
@@ -119,6 +122,9 @@ const createUser = async (userData) => {
     accountStatus: accountStatus || 'active',
     hireDate: hireDate ? new Date(hireDate) : new Date()
   });
+
+  // Assign the training required for the user's role and department
+  await trainingRuleService.applyRulesToUser(newUser);
   
   // Remove password from response
   const userResponse = { ...newUser.toJSON() };
@@ -170,6 +176,9 @@ const updateUser = async (id, userData) => {
     }
   }
   
+  const previousRoleId = user.roleId;
+  const previousDepartmentId = user.departmentId;
+
   // Update user
   await user.update({
     username: username || user.username,
@@ -182,6 +191,11 @@ const updateUser = async (id, userData) => {
     accountStatus: accountStatus || user.accountStatus,
     hireDate: hireDate ? new Date(hireDate) : user.hireDate
   });
+
+  // A new role or department can bring new required training
+  if (user.roleId !== previousRoleId || user.departmentId !== previousDepartmentId) {
+    await trainingRuleService.applyRulesToUser(user);
+  }
   
   // Get updated user with associations
   const updatedUser = await User.findByPk(id, {
@@ -195,7 +209,7 @@ const updateUser = async (id, userData) => {
         as: 'department'
       }
     ],
-    attributes: { exclude: ['password'] }
+    attributes: { exclude: ['password', 'resetToken', 'resetTokenExpiry'] }
   });
   
   return updatedUser;
@@ -232,39 +246,6 @@ const getAllRoles = async () => {
   return roles;
 };
 
-/**
- * Create a new role
- * @param {Object} roleData - Role data
- * @returns {Promise<Object>} Created role
- * @throws {AppError} If validation fails
- */
-const createRole = async (roleData) => {
-  const { name, description, permissions } = roleData;
-  
-  // Validate required fields
-  if (!name) {
-    throw new AppError('Role name is required', 400, 'VALIDATION_ERROR');
-  }
-  
-  // Check if role already exists
-  const existingRole = await Role.findOne({
-    where: { name }
-  });
-  
-  if (existingRole) {
-    throw new AppError('Role already exists', 400, 'DUPLICATE_ROLE');
-  }
-  
-  // Create new role
-  const newRole = await Role.create({
-    name,
-    description,
-    permissions: permissions || {}
-  });
-  
-  return newRole;
-};
-
 /**
  * Get all departments
  * @returns {Promise<Array>} List of departments
@@ -332,7 +313,6 @@ module.exports = {
   updateUser,
   deactivateUser,
   getAllRoles,
-  createRole,
   getAllDepartments,
   createDepartment
 };
\ No newline at end of file
@@ -0,0 +1,428 @@
+/**
+ * WebAuthn Service - Registers security keys and passkeys and verifies them as a second factor
+ * @module services/webauthn
+ */
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { WebAuthnCredential } = require('../models');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+const cacheService = require('./cache.service');
+const securityService = require('./security.service');
+
+/**
+ * WebAuthn relying party configuration
+ */
+const WEBAUTHN_CONFIG = {
+  RP_ID: process.env.WEBAUTHN_RP_ID || 'localhost',
+  RP_NAME: process.env.WEBAUTHN_RP_NAME || 'HIPAA Compliance App',
+  // Comma separated list of origins the client is served from
+  ORIGINS: (process.env.WEBAUTHN_ORIGIN || process.env.CLIENT_URL || 'http://localhost:3000')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean),
+  CHALLENGE_TTL_SECONDS: 300,
+  MAX_CREDENTIALS: 10,
+  NAME_MAX_LENGTH: 100
+};
+
+// Attributes safe to return to clients
+const CREDENTIAL_ATTRIBUTES = ['id', 'name', 'deviceType', 'backedUp', 'transports', 'lastUsedAt', 'createdAt'];
+
+/**
+ * Cache key for a pending registration or authentication challenge
+ * @param {string} purpose - 'registration' or 'authentication'
+ * @param {number} userId - User ID
+ * @returns {string} Cache key
+ */
+const challengeKey = (purpose, userId) => `webauthn:${purpose}:${userId}`;
+
+/**
+ * Take a pending challenge out of the cache so it can only be answered once
+ * @param {string} purpose - 'registration' or 'authentication'
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} Expected challenge
+ * @throws {AppError} If no challenge is pending
+ */
+const consumeChallenge = async (purpose, userId) => {
+  const key = challengeKey(purpose, userId);
+  const challenge = await cacheService.get(key);
+  await cacheService.del(key);
+
+  if (!challenge) {
+    throw new AppError(
+      'The security key request has expired. Please try again.',
+      400,
+      'WEBAUTHN_CHALLENGE_EXPIRED'
+    );
+  }
+
+  return challenge;
+};
+
+/**
+ * Validate and normalize an authenticator name
+ * @param {string} name - Name given by the user
+ * @returns {string} Trimmed name
+ * @throws {AppError} If the name is missing or too long
+ */
+const normalizeName = (name) => {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+
+  if (!trimmed) {
+    throw new AppError('A name for the security key is required', 400, 'VALIDATION_ERROR');
+  }
+
+  if (trimmed.length > WEBAUTHN_CONFIG.NAME_MAX_LENGTH) {
+    throw new AppError(
+      `Security key names cannot be longer than ${WEBAUTHN_CONFIG.NAME_MAX_LENGTH} characters`,
+      400,
+      'VALIDATION_ERROR'
+    );
+  }
+
+  return trimmed;
+};
+
+/**
+ * Remove the public key and raw credential ID from a credential before returning it
+ * @param {Object} credential - WebAuthnCredential row
+ * @returns {Object} Client-safe credential
+ */
+const toClientCredential = (credential) => CREDENTIAL_ATTRIBUTES.reduce((result, attribute) => {
+  result[attribute] = credential[attribute];
+  return result;
+}, {});
+
+/**
+ * List the authenticators a user has registered
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Credentials without key material
+ */
+const listCredentials = async (userId) => {
+  return WebAuthnCredential.findAll({
+    where: { userId },
+    attributes: CREDENTIAL_ATTRIBUTES,
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+/**
+ * Count the authenticators a user has registered
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of credentials
+ */
+const countCredentials = async (userId) => WebAuthnCredential.count({ where: { userId } });
+
+/**
+ * Second factors a user can sign in with
+ * @param {Object} user - User object
+ * @returns {Promise<Array<string>>} Any of 'totp' and 'webauthn'
+ */
+const getMfaMethods = async (user) => {
+  const methods = [];
+
+  if (user.mfaSecret) {
+    methods.push('totp');
+  }
+
+  if (await countCredentials(user.id) > 0) {
+    methods.push('webauthn');
+  }
+
+  return methods;
+};
+
+/**
+ * Generate options for registering a new authenticator
+ * @param {Object} user - User registering the authenticator
+ * @returns {Promise<Object>} PublicKeyCredentialCreationOptions for the browser
+ * @throws {AppError} If the user already has the maximum number of authenticators
+ */
+const generateRegistration = async (user) => {
+  const existing = await WebAuthnCredential.findAll({
+    where: { userId: user.id },
+    attributes: ['credentialId', 'transports']
+  });
+
+  if (existing.length >= WEBAUTHN_CONFIG.MAX_CREDENTIALS) {
+    throw new AppError(
+      `No more than ${WEBAUTHN_CONFIG.MAX_CREDENTIALS} security keys can be registered`,
+      400,
+      'WEBAUTHN_CREDENTIAL_LIMIT'
+    );
+  }
+
+  const options = await generateRegistrationOptions({
+    rpName: WEBAUTHN_CONFIG.RP_NAME,
+    rpID: WEBAUTHN_CONFIG.RP_ID,
+    userID: Buffer.from(String(user.id)),
+    userName: user.username,
+    userDisplayName: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username,
+    attestationType: 'none',
+    // Stop the same authenticator from being registered twice
+    excludeCredentials: existing.map(credential => ({
+      id: credential.credentialId,
+      transports: credential.transports || undefined
+    })),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'preferred'
+    }
+  });
+
+  await cacheService.set(challengeKey('registration', user.id), options.challenge, WEBAUTHN_CONFIG.CHALLENGE_TTL_SECONDS);
+
+  return options;
+};
+
+/**
+ * Verify a registration response and store the new authenticator.
+ * Registering the first factor of a user enables MFA and issues backup codes.
+ * @param {Object} user - User registering the authenticator
+ * @param {Object} data - Registration data
+ * @param {string} data.name - Name for the authenticator
+ * @param {Object} data.response - RegistrationResponseJSON from the browser
+ * @returns {Promise<Object>} The new credential, and backup codes when MFA was just enabled
+ * @throws {AppError} If the response cannot be verified
+ */
+const verifyRegistration = async (user, { name, response } = {}) => {
+  const credentialName = normalizeName(name);
+
+  if (!response || typeof response !== 'object') {
+    throw new AppError('Security key response is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const duplicate = await WebAuthnCredential.findOne({ where: { userId: user.id, name: credentialName } });
+  if (duplicate) {
+    throw new AppError('You already have a security key with this name', 409, 'DUPLICATE_CREDENTIAL_NAME');
+  }
+
+  const expectedChallenge = await consumeChallenge('registration', user.id);
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: WEBAUTHN_CONFIG.ORIGINS,
+      expectedRPID: WEBAUTHN_CONFIG.RP_ID,
+      requireUserVerification: false
+    });
+  } catch (error) {
+    logger.warn(`WebAuthn registration failed for user ${user.id}: ${error.message}`);
+    verification = { verified: false };
+  }
+
+  if (!verification.verified) {
+    throw new AppError('Security key registration could not be verified', 400, 'WEBAUTHN_REGISTRATION_FAILED');
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp, aaguid } = verification.registrationInfo;
+
+  const created = await WebAuthnCredential.create({
+    userId: user.id,
+    name: credentialName,
+    credentialId: credential.id,
+    publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+    counter: credential.counter,
+    transports: credential.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    aaguid
+  });
+
+  await securityService.logSecurityEvent(user.id, 'WEBAUTHN_CREDENTIAL_REGISTERED', {
+    credentialId: created.id,
+    name: credentialName,
+    deviceType: credentialDeviceType
+  });
+
+  // The first factor a user sets up turns MFA on, as confirming TOTP does
+  let backupCodes = null;
+  if (!user.mfaEnabled) {
+    backupCodes = await securityService.generateBackupCodes(user);
+  }
+
+  return {
+    credential: toClientCredential(created),
+    backupCodes
+  };
+};
+
+/**
+ * Generate options for signing in with a registered authenticator
+ * @param {Object} user - User signing in
+ * @returns {Promise<Object>} PublicKeyCredentialRequestOptions for the browser
+ * @throws {AppError} If the user has no authenticators
+ */
+const generateAuthentication = async (user) => {
+  const credentials = await WebAuthnCredential.findAll({
+    where: { userId: user.id },
+    attributes: ['credentialId', 'transports']
+  });
+
+  if (credentials.length === 0) {
+    throw new AppError('No security keys are registered for this user', 400, 'NO_WEBAUTHN_CREDENTIALS');
+  }
+
+  const options = await generateAuthenticationOptions({
+    rpID: WEBAUTHN_CONFIG.RP_ID,
+    allowCredentials: credentials.map(credential => ({
+      id: credential.credentialId,
+      transports: credential.transports || undefined
+    })),
+    userVerification: 'preferred'
+  });
+
+  await cacheService.set(challengeKey('authentication', user.id), options.challenge, WEBAUTHN_CONFIG.CHALLENGE_TTL_SECONDS);
+
+  return options;
+};
+
+/**
+ * Verify an authentication response against the user's registered authenticators
+ * @param {Object} user - User signing in
+ * @param {Object} response - AuthenticationResponseJSON from the browser
+ * @returns {Promise<boolean>} Whether the assertion is valid
+ * @throws {AppError} If the response is missing or no challenge is pending
+ */
+const verifyAuthentication = async (user, response) => {
+  if (!response || typeof response !== 'object' || !response.id) {
+    throw new AppError('Security key response is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const expectedChallenge = await consumeChallenge('authentication', user.id);
+
+  const credential = await WebAuthnCredential.findOne({
+    where: { userId: user.id, credentialId: response.id }
+  });
+
+  if (!credential) {
+    logger.warn(`WebAuthn assertion for user ${user.id} used an unknown credential`);
+    return false;
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: WEBAUTHN_CONFIG.ORIGINS,
+      expectedRPID: WEBAUTHN_CONFIG.RP_ID,
+      credential: {
+        id: credential.credentialId,
+        publicKey: Buffer.from(credential.publicKey, 'base64url'),
+        counter: Number(credential.counter),
+        transports: credential.transports || undefined
+      },
+      requireUserVerification: false
+    });
+  } catch (error) {
+    // Includes signature counters going backwards, which points to a cloned authenticator
+    logger.warn(`WebAuthn assertion failed for user ${user.id}: ${error.message}`);
+    return false;
+  }
+
+  if (!verification.verified) {
+    return false;
+  }
+
+  const { newCounter, credentialBackedUp } = verification.authenticationInfo;
+  await credential.update({
+    counter: newCounter,
+    backedUp: credentialBackedUp,
+    lastUsedAt: new Date()
+  });
+
+  await securityService.logSecurityEvent(user.id, 'MFA_VERIFIED', {
+    method: 'webauthn',
+    credentialId: credential.id
+  });
+
+  return true;
+};
+
+/**
+ * Find one of a user's authenticators
+ * @param {number} userId - User ID
+ * @param {number} credentialId - Credential ID
+ * @returns {Promise<Object>} Credential row
+ * @throws {AppError} If the user has no such credential
+ */
+const findUserCredential = async (userId, credentialId) => {
+  const credential = await WebAuthnCredential.findOne({ where: { id: credentialId, userId } });
+
+  if (!credential) {
+    throw new AppError('Security key not found', 404, 'WEBAUTHN_CREDENTIAL_NOT_FOUND');
+  }
+
+  return credential;
+};
+
+/**
+ * Rename one of a user's authenticators
+ * @param {number} userId - User ID
+ * @param {number} credentialId - Credential ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} Updated credential
+ */
+const renameCredential = async (userId, credentialId, name) => {
+  const credentialName = normalizeName(name);
+  const credential = await findUserCredential(userId, credentialId);
+
+  const duplicate = await WebAuthnCredential.findOne({ where: { userId, name: credentialName } });
+  if (duplicate && duplicate.id !== credential.id) {
+    throw new AppError('You already have a security key with this name', 409, 'DUPLICATE_CREDENTIAL_NAME');
+  }
+
+  await credential.update({ name: credentialName });
+
+  return toClientCredential(credential);
+};
+
+/**
+ * Remove one of a user's authenticators.
+ * Removing the last factor of a user without TOTP turns MFA off.
+ * @param {Object} user - User removing the authenticator
+ * @param {number} credentialId - Credential ID
+ * @returns {Promise<Object>} Whether MFA is still enabled
+ */
+const deleteCredential = async (user, credentialId) => {
+  const credential = await findUserCredential(user.id, credentialId);
+  await credential.destroy();
+
+  const remaining = await countCredentials(user.id);
+  if (remaining === 0 && !user.mfaSecret && user.mfaEnabled) {
+    await user.update({
+      mfaEnabled: false,
+      backupCodes: null,
+      recoveryBackupCodes: []
+    });
+    await securityService.logSecurityEvent(user.id, 'MFA_DISABLED', { reason: 'last_webauthn_credential_removed' });
+  }
+
+  await securityService.logSecurityEvent(user.id, 'WEBAUTHN_CREDENTIAL_REMOVED', {
+    credentialId: credential.id,
+    name: credential.name
+  });
+
+  return { mfaEnabled: user.mfaEnabled, remainingCredentials: remaining };
+};
+
+module.exports = {
+  WEBAUTHN_CONFIG,
+  listCredentials,
+  countCredentials,
+  getMfaMethods,
+  generateRegistration,
+  verifyRegistration,
+  generateAuthentication,
+  verifyAuthentication,
+  renameCredential,
+  deleteCredential
+};
@@ -16,7 +16,9 @@ const {
   RiskItem,
   Incident,
   IncidentUpdate,
-  AuditLog
+  AuditLog,
+  ComplianceRequirement,
+  ComplianceAssessment
 } = require('../../../models');
 
 beforeAll(async () => {
@@ -686,6 +688,80 @@ describe('AuditLog Model Validation', () => {
   });
 });
 
+describe('ComplianceRequirement Model Validation', () => {
+  it('should require title and category', async () => {
+    await expect(
+      ComplianceRequirement.create({
+        citation: '45 CFR § 164.308(a)(8)'
+      })
+    ).rejects.toThrow();
+  });
+
+  it('should validate implementationType enum', async () => {
+    await expect(
+      ComplianceRequirement.create({
+        title: 'Test Requirement',
+        category: 'administrative',
+        implementationType: 'optional'
+      })
+    ).rejects.toThrow();
+  });
+
+  it('should belong to a responsible role', async () => {
+    const role = await Role.findOne();
+    const requirement = await ComplianceRequirement.create({
+      title: 'Test Requirement with Role',
+      category: 'administrative',
+      responsibleRoleId: role.id
+    });
+
+    const responsibleRole = await requirement.getResponsibleRole();
+    expect(responsibleRole.id).toBe(role.id);
+    expect(requirement.frequency).toBe('annually');
+  });
+});
+
+describe('ComplianceAssessment Model Validation', () => {
+  let testUser;
+  let testRequirement;
+
+  beforeAll(async () => {
+    testUser = await User.findOne({ where: { username: 'admin' } });
+    testRequirement = await ComplianceRequirement.create({
+      title: 'Test Requirement for Assessments',
+      category: 'technical'
+    });
+  });
+
+  it('should validate status enum', async () => {
+    await expect(
+      ComplianceAssessment.create({
+        requirementId: testRequirement.id,
+        conductedBy: testUser.id,
+        status: 'invalid-status'
+      })
+    ).rejects.toThrow();
+  });
+
+  it('should have relationships with requirement and assessor', async () => {
+    const assessment = await ComplianceAssessment.create({
+      requirementId: testRequirement.id,
+      conductedBy: testUser.id,
+      status: 'compliant'
+    });
+
+    const found = await ComplianceAssessment.findByPk(assessment.id, {
+      include: [
+        { model: ComplianceRequirement, as: 'requirement' },
+        { model: User, as: 'conductor' }
+      ]
+    });
+
+    expect(found.requirement.id).toBe(testRequirement.id);
+    expect(found.conductor.id).toBe(testUser.id);
+  });
+});
+
 describe('Database Indexes', () => {
   it('should have indexes on Incident table', async () => {
     const indexes = await Incident.sequelize.getQueryInterface().showIndex('incidents');
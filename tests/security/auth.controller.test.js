@@ -139,7 +139,10 @@ describe('Authentication Controller', () => {
         email: 'test@example.com',
         accountStatus: 'active',
         role: { name: 'Admin' },
-        department: { name: 'IT' }
+        department: { name: 'IT' },
+        toJSON() {
+          return { id: 1, username: 'testuser', role: { name: 'Admin' }, department: { name: 'IT' } };
+        }
       });
       
       // Call the getProfile function
@@ -0,0 +1,82 @@
+/**
+ * Auth Controller Unit Tests
+ * @module tests/unit/controllers/auth-controller
+ */
+const authController = require('../../../controllers/auth.controller');
+const securityService = require('../../../services/security.service');
+const webauthnService = require('../../../services/webauthn.service');
+const { User } = require('../../../models');
+const { mockResponse } = require('../../utils/mock-utils');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  User: {
+    findByPk: jest.fn()
+  },
+  Role: {}
+}));
+
+jest.mock('../../../services/security.service', () => ({
+  verifyMfa: jest.fn(),
+  useBackupCode: jest.fn(),
+  handleFailedMfa: jest.fn(),
+  markMfaVerified: jest.fn()
+}));
+
+jest.mock('../../../services/webauthn.service', () => ({
+  verifyAuthentication: jest.fn()
+}));
+
+/**
+ * Call an asyncHandler-wrapped controller and wait for it to respond or fail
+ * @param {Function} handler - Controller function
+ * @param {Object} req - Mock request
+ * @param {Object} res - Mock response
+ * @returns {Promise<Error|undefined>} Error passed to next, if any
+ */
+const run = (handler, req, res) => new Promise((resolve) => {
+  res.json.mockImplementation(() => {
+    resolve();
+    return res;
+  });
+  handler(req, res, resolve);
+});
+
+describe('Auth Controller', () => {
+  const attacker = { id: 8, mfaEnabled: true };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findByPk.mockResolvedValue(attacker);
+    securityService.verifyMfa.mockResolvedValue(true);
+    securityService.useBackupCode.mockResolvedValue(true);
+    webauthnService.verifyAuthentication.mockResolvedValue(true);
+  });
+
+  describe('second factor verification', () => {
+    const cases = [
+      ['verifyMfa', { token: '123456' }],
+      ['verifyBackupCode', { code: 'ABCD1234' }],
+      ['verifyWebAuthnAuthentication', { response: { id: 'credential' } }]
+    ];
+
+    it.each(cases)('%s should refuse a session ID that belongs to another user', async (handler, body) => {
+      const req = { user: attacker, sessionId: 'attacker-session', body: { ...body, sessionId: 'victim-session' } };
+
+      const error = await run(authController[handler], req, mockResponse());
+
+      expect(error).toMatchObject({ statusCode: 403, errorCode: 'SESSION_MISMATCH' });
+      expect(securityService.markMfaVerified).not.toHaveBeenCalled();
+    });
+
+    it.each(cases)('%s should mark the session of the verified token', async (handler, body) => {
+      const req = { user: attacker, sessionId: 'attacker-session', body };
+      const res = mockResponse();
+
+      await run(authController[handler], req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(securityService.markMfaVerified).toHaveBeenCalledWith('attacker-session', 8);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Incident Controller Unit Tests
+ * @module tests/unit/controllers/incident-controller
+ */
+const incidentController = require('../../../controllers/incident.controller');
+const dataScopeService = require('../../../services/data-scope.service');
+const { Incident, IncidentUpdate } = require('../../../models');
+const { mockResponse } = require('../../utils/mock-utils');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  Incident: {
+    findByPk: jest.fn()
+  },
+  IncidentUpdate: {
+    create: jest.fn()
+  },
+  BreachNotification: {},
+  User: {},
+  sequelize: {}
+}));
+
+jest.mock('../../../services/data-scope.service', () => ({
+  getScope: jest.fn(),
+  canSeeIncident: jest.fn()
+}));
+
+jest.mock('../../../services/notification.service', () => ({}));
+jest.mock('../../../services/breach-notification.service', () => ({}));
+
+describe('Incident Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Incident.findByPk.mockResolvedValue({ id: 4, reportedBy: 30, assignedTo: null, update: jest.fn() });
+    dataScopeService.getScope.mockResolvedValue({ global: false, userIds: [12] });
+  });
+
+  describe('addIncidentUpdate', () => {
+    it('should report incidents outside the data scope as missing', async () => {
+      dataScopeService.canSeeIncident.mockReturnValue(false);
+      const req = { params: { id: '4' }, body: { description: 'Looked into it' }, user: { id: 12 } };
+      const res = mockResponse();
+
+      await incidentController.addIncidentUpdate(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(IncidentUpdate.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * SSO Controller Unit Tests
+ * @module tests/unit/controllers/sso-controller
+ */
+const ssoController = require('../../../controllers/sso.controller');
+const ssoService = require('../../../services/sso.service');
+const securityService = require('../../../services/security.service');
+const { createSession } = require('../../../utils/session-manager');
+const { mockResponse } = require('../../utils/mock-utils');
+const { AppError } = require('../../../utils/error-handler');
+
+jest.mock('../../../services/sso.service', () => ({
+  handleCallback: jest.fn(),
+  SSO_CONFIG: {}
+}));
+
+jest.mock('../../../services/security.service', () => ({
+  handleSuccessfulLogin: jest.fn(),
+  markMfaVerified: jest.fn(),
+  logSecurityEvent: jest.fn()
+}));
+
+jest.mock('../../../utils/session-manager', () => ({
+  createSession: jest.fn(),
+  setSessionCookies: jest.fn()
+}));
+
+describe('SSO Controller', () => {
+  let req;
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { query: { code: 'abc', state: 'xyz' }, cookies: { sso_state: 'xyz' }, headers: { 'user-agent': 'jest' }, ip: '10.0.0.2' };
+    res = mockResponse();
+    res.redirect = jest.fn();
+  });
+
+  describe('callback', () => {
+    it('should audit a successful sign-in', async () => {
+      const user = { id: 5, username: 'jdoe', role: { id: 2, name: 'User' }, mfaEnabled: false, update: jest.fn() };
+      ssoService.handleCallback.mockResolvedValue({ user, mfaAsserted: false, returnTo: '/' });
+      createSession.mockResolvedValue({ sessionId: 'session-1' });
+
+      await ssoController.callback(req, res);
+
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(5, 'USER_LOGIN', expect.objectContaining({
+        method: 'oidc',
+        sessionId: 'session-1',
+        ipAddress: '10.0.0.2'
+      }));
+    });
+
+    it('should audit a failed sign-in', async () => {
+      ssoService.handleCallback.mockRejectedValue(new AppError('State mismatch', 400, 'SSO_STATE_INVALID'));
+
+      await ssoController.callback(req, res);
+
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(null, 'SSO_LOGIN_FAILED', expect.objectContaining({
+        errorCode: 'SSO_STATE_INVALID',
+        ipAddress: '10.0.0.2'
+      }));
+      expect(res.redirect).toHaveBeenCalledWith(expect.stringContaining('ssoError=SSO_STATE_INVALID'));
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Access Review Service Unit Tests
+ * @module tests/unit/services/access-review-service
+ */
+const crypto = require('crypto');
+const accessReviewService = require('../../../services/access-review.service');
+const userService = require('../../../services/user.service');
+const notificationService = require('../../../services/notification.service');
+const securityService = require('../../../services/security.service');
+const { invalidateUserSessions } = require('../../../utils/session-manager');
+const { AccessReviewCampaign, AccessReviewItem, Department, User } = require('../../../models');
+const { mockRecord } = require('../../utils/mock-utils');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  AccessReviewCampaign: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findByPk: jest.fn()
+  },
+  AccessReviewItem: {
+    bulkCreate: jest.fn(),
+    findAll: jest.fn(),
+    findByPk: jest.fn()
+  },
+  Department: {
+    count: jest.fn(),
+    findAll: jest.fn()
+  },
+  Role: {},
+  User: {
+    findAll: jest.fn(),
+    findByPk: jest.fn()
+  },
+  sequelize: {
+    transaction: jest.fn(callback => callback({})),
+    fn: jest.fn(),
+    col: jest.fn()
+  }
+}));
+
+jest.mock('../../../services/user.service', () => ({
+  deactivateUser: jest.fn()
+}));
+
+jest.mock('../../../services/notification.service', () => ({
+  notifyAccessReviewAssigned: jest.fn()
+}));
+
+jest.mock('../../../services/security.service', () => ({
+  logSecurityEvent: jest.fn()
+}));
+
+jest.mock('../../../utils/session-manager', () => ({
+  invalidateUserSessions: jest.fn()
+}));
+
+const buildItem = (values = {}) => mockRecord({
+  id: 40,
+  campaignId: 3,
+  userId: 21,
+  reviewerId: 12,
+  decision: null,
+  snapshot: { username: 'jdoe' },
+  campaign: { id: 3, name: 'Q4 review', status: 'active', dueDate: new Date(Date.now() + 86400000) },
+  ...values
+});
+
+const admin = { id: 1 };
+
+describe('Access Review Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    notificationService.notifyAccessReviewAssigned.mockResolvedValue({ sent: true });
+    invalidateUserSessions.mockResolvedValue(2);
+  });
+
+  describe('createCampaign', () => {
+    it('should snapshot users and route them to their department manager or the fallback reviewer', async () => {
+      const fallback = { id: 1, accountStatus: 'active' };
+      User.findByPk.mockResolvedValue(fallback);
+      User.findAll
+        .mockResolvedValueOnce([
+          {
+            id: 21,
+            username: 'jdoe',
+            firstName: 'Jane',
+            lastName: 'Doe',
+            email: 'jdoe@example.com',
+            accountStatus: 'active',
+            departmentId: 5,
+            role: { id: 3, name: 'Employee' },
+            department: { id: 5, name: 'Billing' },
+            mfaEnabled: true,
+            ipAccessList: [{ address: '10.0.0.0/8', description: 'VPN' }],
+            lastLogin: new Date('2026-10-01T00:00:00Z')
+          },
+          { id: 12, username: 'manager', departmentId: 5, ipAccessList: null },
+          { id: 30, username: 'nodept', departmentId: null }
+        ])
+        .mockResolvedValueOnce([{ id: 12 }, { id: 1 }]);
+      Department.findAll.mockResolvedValue([
+        { id: 5, managerId: 12, manager: { id: 12, accountStatus: 'active' } }
+      ]);
+      AccessReviewCampaign.create.mockImplementation(async values => mockRecord({ id: 3, ...values }));
+      AccessReviewItem.findAll
+        .mockResolvedValueOnce([{ reviewerId: 12 }, { reviewerId: 1 }, { reviewerId: 1 }])
+        .mockResolvedValueOnce([{ campaignId: 3, decision: null, count: '3' }]);
+
+      const campaign = await accessReviewService.createCampaign({ name: 'Q4 review' }, admin);
+
+      const items = AccessReviewItem.bulkCreate.mock.calls[0][0];
+      expect(items.map(item => [item.userId, item.reviewerId])).toEqual([[21, 12], [12, 1], [30, 1]]);
+      expect(items[0].snapshot).toEqual({
+        username: 'jdoe',
+        name: 'Jane Doe',
+        email: 'jdoe@example.com',
+        accountStatus: 'active',
+        role: { id: 3, name: 'Employee' },
+        department: { id: 5, name: 'Billing' },
+        mfaEnabled: true,
+        ipAllowlist: ['10.0.0.0/8'],
+        lastLogin: new Date('2026-10-01T00:00:00Z')
+      });
+      expect(notificationService.notifyAccessReviewAssigned).toHaveBeenCalledWith(expect.anything(), { id: 12 }, 1);
+      expect(notificationService.notifyAccessReviewAssigned).toHaveBeenCalledWith(expect.anything(), { id: 1 }, 2);
+      expect(campaign.summary).toEqual({ total: 3, pending: 3, keep: 0, modify: 0, revoke: 0 });
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(1, 'ACCESS_REVIEW_STARTED', expect.objectContaining({ users: 3, unassigned: 0 }));
+    });
+
+    it('should refuse a due date in the past', async () => {
+      await expect(accessReviewService.createCampaign({ name: 'Late', dueDate: '2020-01-01' }, admin))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'VALIDATION_ERROR' });
+      expect(AccessReviewCampaign.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordDecision', () => {
+    it('should deactivate the user and end their sessions when access is revoked', async () => {
+      const item = buildItem();
+      AccessReviewItem.findByPk.mockResolvedValue(item);
+
+      await accessReviewService.recordDecision(40, { decision: 'revoke', notes: 'Left the billing team' }, { id: 12 });
+
+      expect(item.decision).toBe('revoke');
+      expect(item.decidedBy).toBe(12);
+      expect(userService.deactivateUser).toHaveBeenCalledWith(21);
+      expect(invalidateUserSessions).toHaveBeenCalledWith(21);
+      expect(item.appliedAt).toEqual(expect.any(Date));
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(12, 'ACCESS_REVIEW_REVOCATION_APPLIED', expect.objectContaining({ userId: 21, sessionsInvalidated: 2 }));
+    });
+
+    it('should keep the decision and record the error when the revocation fails', async () => {
+      const item = buildItem();
+      AccessReviewItem.findByPk.mockResolvedValue(item);
+      userService.deactivateUser.mockRejectedValueOnce(new Error('connection lost'));
+
+      await accessReviewService.recordDecision(40, { decision: 'revoke', notes: 'No longer employed' }, { id: 12 });
+
+      expect(item.decision).toBe('revoke');
+      expect(item.appliedAt).toBeUndefined();
+      expect(item.applyError).toBe('connection lost');
+    });
+
+    it('should only accept decisions from the assigned reviewer', async () => {
+      AccessReviewItem.findByPk.mockResolvedValue(buildItem());
+
+      await expect(accessReviewService.recordDecision(40, { decision: 'keep' }, { id: 99 }))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'ACCESS_REVIEW_NOT_REVIEWER' });
+      await expect(accessReviewService.recordDecision(40, { decision: 'modify' }, { id: 12 }))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'VALIDATION_ERROR' });
+    });
+
+    it('should not let users review their own access or decide twice', async () => {
+      AccessReviewItem.findByPk.mockResolvedValueOnce(buildItem({ reviewerId: 21 }));
+      await expect(accessReviewService.recordDecision(40, { decision: 'keep' }, { id: 21 }))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'SELF_REVIEW_NOT_ALLOWED' });
+
+      AccessReviewItem.findByPk.mockResolvedValueOnce(buildItem({ decision: 'keep' }));
+      await expect(accessReviewService.recordDecision(40, { decision: 'revoke', notes: 'Changed my mind' }, { id: 12 }))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'ACCESS_REVIEW_ALREADY_DECIDED' });
+      expect(userService.deactivateUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('completeCampaign', () => {
+    it('should refuse to complete a campaign with pending decisions', async () => {
+      const campaign = mockRecord({ id: 3, status: 'active' });
+      AccessReviewCampaign.findByPk.mockResolvedValue(campaign);
+      AccessReviewItem.findAll.mockResolvedValue([
+        { campaignId: 3, decision: 'keep', count: '4' },
+        { campaignId: 3, decision: null, count: '1' }
+      ]);
+
+      await expect(accessReviewService.completeCampaign(3, admin))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'ACCESS_REVIEW_INCOMPLETE' });
+      expect(campaign.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exportReport', () => {
+    it('should export the decisions as CSV and log the digest of the export', async () => {
+      AccessReviewCampaign.findByPk.mockResolvedValue(mockRecord({ id: 3, name: 'Q4 review', status: 'completed' }));
+      AccessReviewItem.findAll
+        .mockResolvedValueOnce([{ campaignId: 3, decision: 'revoke', count: '1' }])
+        .mockResolvedValueOnce([buildItem({
+          decision: 'revoke',
+          decisionNotes: '=HYPERLINK("http://evil")',
+          snapshot: { username: 'jdoe', name: 'Jane Doe', role: { name: 'Employee' }, ipAllowlist: [] },
+          reviewer: { firstName: 'Mark', lastName: 'Manager', username: 'manager' }
+        })]);
+
+      const report = await accessReviewService.exportReport(3, 'csv', admin);
+
+      const [header, row] = report.content.split('\n');
+      expect(header.split(',')).toEqual(expect.arrayContaining(['username', 'role', 'decision', 'decisionNotes']));
+      expect(row).toContain('jdoe,Jane Doe');
+      expect(row).toContain('"\'=HYPERLINK(""http://evil"")"');
+      expect(report.digest).toBe(crypto.createHash('sha256').update(report.content).digest('hex'));
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(1, 'ACCESS_REVIEW_EXPORTED', expect.objectContaining({ sha256: report.digest }));
+    });
+  });
+});
@@ -48,6 +48,13 @@ jest.mock('../../../models', () => {
   };
 });
 
+// Mock the lockout engine
+jest.mock('../../../services/lockout.service', () => ({
+  getLockStatus: jest.fn().mockResolvedValue({ locked: false, scope: null, lockedUntil: null, remainingSeconds: 0 }),
+  recordFailure: jest.fn().mockResolvedValue({ failedAttempts: 1, isLocked: false, lockedUntil: null, scope: null }),
+  recordSuccess: jest.fn().mockResolvedValue(undefined)
+}));
+
 // Mock bcrypt
 jest.mock('bcrypt', () => ({
   hash: jest.fn().mockResolvedValue('hashed_password'),
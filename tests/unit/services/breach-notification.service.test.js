@@ -0,0 +1,243 @@
+/**
+ * Breach Notification Service Unit Tests
+ * @module tests/unit/services/breach-notification-service
+ */
+const breachNotificationService = require('../../../services/breach-notification.service');
+const { Incident, IncidentUpdate, BreachRiskAssessment, BreachNotification } = require('../../../models');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  Incident: {
+    findByPk: jest.fn(),
+    update: jest.fn()
+  },
+  IncidentUpdate: {
+    create: jest.fn()
+  },
+  BreachRiskAssessment: {
+    findAll: jest.fn(),
+    create: jest.fn()
+  },
+  BreachNotification: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+    count: jest.fn()
+  },
+  User: {},
+  sequelize: {
+    transaction: jest.fn(callback => callback({}))
+  }
+}));
+
+const DISCOVERY = new Date('2026-09-01T00:00:00Z');
+const DEADLINE = new Date('2026-10-31T00:00:00Z');
+
+const highRisk = {
+  discoveryDate: DISCOVERY,
+  natureExtentRisk: 'high',
+  unauthorizedPersonRisk: 'medium',
+  acquiredViewedRisk: 'high',
+  mitigationRisk: 'low'
+};
+const lowRisk = {
+  discoveryDate: DISCOVERY,
+  natureExtentRisk: 'low',
+  unauthorizedPersonRisk: 'low',
+  acquiredViewedRisk: 'low',
+  mitigationRisk: 'low'
+};
+
+/**
+ * Build a mock notification row
+ * @param {Object} values - Notification values
+ * @returns {Object} Mock notification
+ */
+const buildNotification = (values) => {
+  const notification = { id: 1, incidentId: 7, state: null, status: 'pending', deadline: DEADLINE, ...values };
+  notification.update = jest.fn(async (updates) => Object.assign(notification, updates));
+  return notification;
+};
+
+describe('Breach Notification Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('evaluateAssessment', () => {
+    it('should presume a breach unless every factor is low', () => {
+      expect(breachNotificationService.evaluateAssessment(highRisk)).toEqual(expect.objectContaining({
+        lowProbabilityOfCompromise: false,
+        isBreach: true
+      }));
+      expect(breachNotificationService.evaluateAssessment(lowRisk)).toEqual(expect.objectContaining({
+        lowProbabilityOfCompromise: true,
+        isBreach: false
+      }));
+    });
+
+    it('should not treat secured PHI or an exception as a breach', () => {
+      expect(breachNotificationService.evaluateAssessment({ ...highRisk, phiSecured: true }).isBreach).toBe(false);
+      expect(breachNotificationService.evaluateAssessment({ ...highRisk, exception: 'unable_to_retain' }).isBreach).toBe(false);
+    });
+
+    it('should normalize state codes and default the total to their sum', () => {
+      const fields = breachNotificationService.evaluateAssessment({ ...highRisk, affectedByState: { ca: 320, NV: 40 } });
+
+      expect(fields.affectedByState).toEqual({ CA: 320, NV: 40 });
+      expect(fields.affectedCount).toBe(360);
+    });
+
+    it('should reject missing factors and inconsistent counts', () => {
+      expect(() => breachNotificationService.evaluateAssessment({ ...highRisk, mitigationRisk: undefined }))
+        .toThrow('mitigationRisk must be one of: low, medium, high');
+      expect(() => breachNotificationService.evaluateAssessment({ ...highRisk, affectedCount: 10, affectedByState: { CA: 20 } }))
+        .toThrow('Affected counts by state exceed affectedCount');
+      expect(() => breachNotificationService.evaluateAssessment({ ...highRisk, affectedByState: { California: 20 } }))
+        .toThrow('Invalid state code: California');
+    });
+  });
+
+  describe('deriveRequiredNotifications', () => {
+    it('should require individual notice and the annual HHS log for small breaches', () => {
+      const required = breachNotificationService.deriveRequiredNotifications({
+        isBreach: true,
+        discoveryDate: DISCOVERY,
+        affectedCount: 120,
+        affectedByState: { CA: 120 }
+      });
+
+      expect(required).toEqual([
+        { recipientType: 'individuals', state: null, affectedCount: 120, deadline: DEADLINE },
+        { recipientType: 'hhs_annual_log', state: null, affectedCount: 120, deadline: new Date('2027-03-01T00:00:00Z') }
+      ]);
+    });
+
+    it('should require HHS notice and media notice per state with 500 or more residents', () => {
+      const required = breachNotificationService.deriveRequiredNotifications({
+        isBreach: true,
+        discoveryDate: DISCOVERY,
+        affectedCount: 1400,
+        affectedByState: { TX: 500, CA: 800, NV: 100 }
+      });
+
+      expect(required.map(n => [n.recipientType, n.state, n.affectedCount])).toEqual([
+        ['individuals', null, 1400],
+        ['hhs', null, 1400],
+        ['media', 'CA', 800],
+        ['media', 'TX', 500]
+      ]);
+      expect(required.every(n => n.deadline.getTime() === DEADLINE.getTime())).toBe(true);
+    });
+
+    it('should require nothing when there is no breach', () => {
+      expect(breachNotificationService.deriveRequiredNotifications({ isBreach: false, affectedCount: 900 })).toEqual([]);
+    });
+  });
+
+  describe('syncNotifications', () => {
+    it('should create missing, update pending and cancel no longer required notifications', async () => {
+      const individuals = buildNotification({ id: 1, recipientType: 'individuals', affectedCount: 100 });
+      const annualLog = buildNotification({ id: 2, recipientType: 'hhs_annual_log', affectedCount: 100 });
+      const sentMedia = buildNotification({ id: 3, recipientType: 'media', state: 'NV', status: 'sent' });
+      BreachNotification.findAll.mockResolvedValue([individuals, annualLog, sentMedia]);
+
+      const summary = await breachNotificationService.syncNotifications(7, {
+        id: 12,
+        isBreach: true,
+        discoveryDate: DISCOVERY,
+        affectedCount: 600,
+        affectedByState: { CA: 600 }
+      }, {});
+
+      expect(summary).toEqual({ created: 2, updated: 1, cancelled: 1 });
+      expect(individuals.update).toHaveBeenCalledWith({ assessmentId: 12, affectedCount: 600, deadline: DEADLINE }, expect.any(Object));
+      expect(annualLog.update).toHaveBeenCalledWith({ status: 'cancelled' }, expect.any(Object));
+      expect(sentMedia.update).not.toHaveBeenCalled();
+      expect(BreachNotification.create).toHaveBeenCalledWith(expect.objectContaining({ recipientType: 'hhs', status: 'pending' }), expect.any(Object));
+      expect(BreachNotification.create).toHaveBeenCalledWith(expect.objectContaining({ recipientType: 'media', state: 'CA' }), expect.any(Object));
+    });
+  });
+
+  describe('recordAssessment', () => {
+    it('should save the assessment, update the incident and log the determination', async () => {
+      const incident = { id: 7, reportedDate: DISCOVERY, update: jest.fn() };
+      Incident.findByPk.mockResolvedValue(incident);
+      BreachRiskAssessment.create.mockImplementation(async (values) => ({ id: 12, ...values }));
+      BreachRiskAssessment.findAll.mockResolvedValue([]);
+      BreachNotification.findAll.mockResolvedValue([]);
+
+      const { discoveryDate, ...factors } = highRisk;
+      await breachNotificationService.recordAssessment(7, { ...factors, affectedCount: 40 }, 3);
+
+      expect(BreachRiskAssessment.create).toHaveBeenCalledWith(expect.objectContaining({
+        incidentId: 7,
+        assessedBy: 3,
+        discoveryDate,
+        isBreach: true
+      }), expect.any(Object));
+      expect(incident.update).toHaveBeenCalledWith(expect.objectContaining({
+        isBreachable: true,
+        breachDeterminationBy: 3
+      }), expect.any(Object));
+      expect(BreachNotification.create).toHaveBeenCalledTimes(2);
+      expect(IncidentUpdate.create).toHaveBeenCalledWith(expect.objectContaining({ updateType: 'breach_determination' }), expect.any(Object));
+    });
+
+    it('should fail for unknown incidents', async () => {
+      Incident.findByPk.mockResolvedValue(null);
+
+      await expect(breachNotificationService.recordAssessment(99, highRisk, 3))
+        .rejects.toMatchObject({ statusCode: 404, errorCode: 'INCIDENT_NOT_FOUND' });
+    });
+  });
+
+  describe('updateNotification', () => {
+    it('should mark the individual notice sent and record the notification date on the incident', async () => {
+      const notification = buildNotification({ recipientType: 'individuals' });
+      BreachNotification.findOne.mockResolvedValue(notification);
+      const sentDate = new Date('2026-10-01T00:00:00Z');
+
+      const result = await breachNotificationService.updateNotification(7, 1, {
+        status: 'sent',
+        sentDate,
+        evidencePath: 'uploads/breach/letters.pdf'
+      }, 3);
+
+      expect(result).toEqual(expect.objectContaining({ status: 'sent', completedBy: 3, isOverdue: false, daysRemaining: null }));
+      expect(Incident.update).toHaveBeenCalledWith({ breachNotificationDate: sentDate }, expect.objectContaining({ where: { id: 7 } }));
+      expect(IncidentUpdate.create).toHaveBeenCalled();
+    });
+
+    it('should require evidence before a notification is marked sent', async () => {
+      BreachNotification.findOne.mockResolvedValue(buildNotification({ recipientType: 'hhs' }));
+
+      await expect(breachNotificationService.updateNotification(7, 1, { status: 'sent' }, 3))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'EVIDENCE_REQUIRED' });
+    });
+
+    it('should not change cancelled notifications', async () => {
+      BreachNotification.findOne.mockResolvedValue(buildNotification({ recipientType: 'hhs', status: 'cancelled' }));
+
+      await expect(breachNotificationService.updateNotification(7, 1, { notes: 'x' }, 3))
+        .rejects.toMatchObject({ errorCode: 'NOTIFICATION_CANCELLED' });
+    });
+  });
+
+  describe('getDeadlineDashboard', () => {
+    it('should split pending deadlines into overdue and upcoming', async () => {
+      const now = new Date('2026-10-18T00:00:00Z');
+      BreachNotification.findAll.mockResolvedValue([
+        buildNotification({ id: 1, recipientType: 'hhs', deadline: new Date('2026-10-10T00:00:00Z') }),
+        buildNotification({ id: 2, recipientType: 'individuals', deadline: new Date('2026-10-28T00:00:00Z') })
+      ]);
+      BreachNotification.count.mockResolvedValue(5);
+
+      const dashboard = await breachNotificationService.getDeadlineDashboard({ windowDays: 30, now });
+
+      expect(dashboard.summary).toEqual({ overdue: 1, upcoming: 1, pendingTotal: 5, windowDays: 30 });
+      expect(dashboard.overdue[0]).toEqual(expect.objectContaining({ id: 1, isOverdue: true, daysRemaining: -8 }));
+      expect(dashboard.upcoming[0]).toEqual(expect.objectContaining({ id: 2, daysRemaining: 10 }));
+    });
+  });
+});
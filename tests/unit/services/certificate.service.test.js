@@ -0,0 +1,171 @@
+/**
+ * Certificate Service Unit Tests
+ * @module tests/unit/services/certificate-service
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const certificateService = require('../../../services/certificate.service');
+const { TrainingAssignment } = require('../../../models');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  TrainingAssignment: {
+    findByPk: jest.fn(),
+    findOne: jest.fn()
+  },
+  TrainingCourse: {},
+  User: {}
+}));
+
+const user = { id: 5, firstName: 'Jane', lastName: 'Doe' };
+const course = { id: 2, title: 'HIPAA Privacy Basics', version: '2.1' };
+
+/**
+ * Build a mock assignment instance
+ * @param {Object} values - Assignment values
+ * @returns {Object} Mock assignment
+ */
+const buildAssignment = (values = {}) => {
+  const assignment = {
+    id: 11,
+    userId: user.id,
+    status: 'completed',
+    score: 92,
+    completionDate: new Date('2026-10-01T12:00:00Z'),
+    certificatePath: null,
+    certificateCode: null,
+    certificateIssuedAt: null,
+    courseVersion: null,
+    user,
+    course,
+    ...values
+  };
+  assignment.get = () => ({ ...assignment });
+  assignment.update = jest.fn(async (updates) => Object.assign(assignment, updates));
+  return assignment;
+};
+
+describe('Certificate Service', () => {
+  const originalDir = certificateService.CERTIFICATE_CONFIG.STORAGE_DIR;
+  let storageDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'certificates-'));
+    certificateService.CERTIFICATE_CONFIG.STORAGE_DIR = storageDir;
+  });
+
+  afterEach(() => {
+    certificateService.CERTIFICATE_CONFIG.STORAGE_DIR = originalDir;
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  describe('verification codes', () => {
+    it('should generate codes in groups of four hex characters', () => {
+      expect(certificateService.generateVerificationCode()).toMatch(/^[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}$/);
+    });
+
+    it('should normalize codes entered without dashes or in lowercase', () => {
+      expect(certificateService.normalizeCode('a1b2c3d4e5f6')).toBe('A1B2-C3D4-E5F6');
+      expect(certificateService.normalizeCode('not-a-code')).toBeNull();
+    });
+  });
+
+  describe('renderCertificate', () => {
+    it('should produce a PDF document', async () => {
+      const pdf = await certificateService.renderCertificate({
+        learnerName: 'Jane Doe',
+        courseTitle: course.title,
+        courseVersion: course.version,
+        score: 92,
+        completionDate: new Date(),
+        verificationCode: 'A1B2-C3D4-E5F6'
+      });
+
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+
+  describe('issueCertificate', () => {
+    it('should write the PDF and store its code, version and path', async () => {
+      const assignment = buildAssignment();
+
+      await certificateService.issueCertificate(assignment, user, course);
+
+      expect(assignment.certificateCode).toMatch(/^[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}$/);
+      expect(assignment.courseVersion).toBe('2.1');
+      expect(assignment.certificateIssuedAt).toBeInstanceOf(Date);
+      expect(fs.readdirSync(storageDir)).toEqual([`training_11_${assignment.certificateCode}.pdf`]);
+    });
+
+    it('should keep the existing code when a certificate is regenerated', async () => {
+      const assignment = buildAssignment({ certificateCode: 'AAAA-BBBB-CCCC', courseVersion: '1.0' });
+
+      await certificateService.issueCertificate(assignment, user, course);
+
+      expect(assignment.certificateCode).toBe('AAAA-BBBB-CCCC');
+      expect(assignment.courseVersion).toBe('1.0');
+    });
+
+    it('should refuse assignments that are not completed', async () => {
+      const assignment = buildAssignment({ status: 'failed' });
+
+      await expect(certificateService.issueCertificate(assignment, user, course))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'TRAINING_NOT_COMPLETED' });
+    });
+  });
+
+  describe('getCertificateFile', () => {
+    it('should generate a certificate for completions with only a placeholder path', async () => {
+      const assignment = buildAssignment({ certificatePath: '/certificates/training_11_1700000000000.pdf' });
+      TrainingAssignment.findByPk.mockResolvedValue(assignment);
+
+      const result = await certificateService.getCertificateFile(11);
+
+      expect(assignment.update).toHaveBeenCalled();
+      expect(fs.existsSync(result.filePath)).toBe(true);
+      expect(result.fileName).toBe(`certificate-hipaa-privacy-basics-${assignment.certificateCode}.pdf`);
+    });
+
+    it('should return 404 when the training is not completed', async () => {
+      TrainingAssignment.findByPk.mockResolvedValue(buildAssignment({ status: 'in_progress' }));
+
+      await expect(certificateService.getCertificateFile(11))
+        .rejects.toMatchObject({ statusCode: 404, errorCode: 'CERTIFICATE_NOT_FOUND' });
+    });
+  });
+
+  describe('verifyCertificate', () => {
+    it('should return certificate details for a valid code', async () => {
+      TrainingAssignment.findOne.mockResolvedValue(buildAssignment({
+        certificateCode: 'A1B2-C3D4-E5F6',
+        courseVersion: '2.0',
+        certificateIssuedAt: new Date('2026-10-01T12:00:00Z')
+      }));
+
+      const result = await certificateService.verifyCertificate('a1b2c3d4e5f6');
+
+      expect(TrainingAssignment.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { certificateCode: 'A1B2-C3D4-E5F6', status: 'completed' }
+      }));
+      expect(result).toEqual(expect.objectContaining({
+        valid: true,
+        learnerName: 'Jane Doe',
+        courseTitle: 'HIPAA Privacy Basics',
+        courseVersion: '2.0',
+        score: 92
+      }));
+    });
+
+    it('should reject unknown and malformed codes', async () => {
+      TrainingAssignment.findOne.mockResolvedValue(null);
+
+      await expect(certificateService.verifyCertificate('A1B2-C3D4-E5F6'))
+        .rejects.toMatchObject({ statusCode: 404 });
+      await expect(certificateService.verifyCertificate('xyz'))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Data Scope Service Unit Tests
+ * @module tests/unit/services/data-scope-service
+ */
+const { Op } = require('sequelize');
+const dataScopeService = require('../../../services/data-scope.service');
+const { User, Department } = require('../../../models');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  User: {
+    findAll: jest.fn()
+  },
+  Department: {
+    findAll: jest.fn()
+  }
+}));
+
+jest.mock('../../../services/role.service', () => ({
+  userHasPermission: jest.fn((user, key) => Boolean(user.role.permissions[key]))
+}));
+
+const buildUser = (id, permissions = {}) => ({ id, role: { name: 'Employee', permissions } });
+
+describe('Data Scope Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getScope', () => {
+    it('should give holders of records:view-all a global scope', async () => {
+      const scope = await dataScopeService.getScope(buildUser(1, { 'records:view-all': true }));
+
+      expect(scope).toEqual({ global: true });
+      expect(Department.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should accept another permission that grants global visibility', async () => {
+      const user = buildUser(1, { 'training:view-all': true });
+
+      await expect(dataScopeService.getScope(user, 'training:view-all')).resolves.toEqual({ global: true });
+    });
+
+    it('should scope department managers to the members of the departments they manage', async () => {
+      Department.findAll.mockResolvedValue([{ id: 3 }, { id: 4 }]);
+      User.findAll.mockResolvedValue([{ id: 7 }, { id: 8 }]);
+
+      const scope = await dataScopeService.getScope(buildUser(2));
+
+      expect(Department.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { managerId: 2 } }));
+      expect(User.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { departmentId: { [Op.in]: [3, 4] } }
+      }));
+      expect(scope).toEqual({ global: false, departmentIds: [3, 4], userIds: [2, 7, 8] });
+    });
+
+    it('should scope other users to their own records', async () => {
+      Department.findAll.mockResolvedValue([]);
+
+      const scope = await dataScopeService.getScope(buildUser(5));
+
+      expect(User.findAll).not.toHaveBeenCalled();
+      expect(scope).toEqual({ global: false, departmentIds: [], userIds: [5] });
+    });
+  });
+
+  describe('where clauses', () => {
+    const scope = { global: false, departmentIds: [3], userIds: [2, 7] };
+
+    it('should not filter a global scope', () => {
+      const global = { global: true };
+
+      expect(dataScopeService.userWhere(global)).toEqual({});
+      expect(dataScopeService.ownerWhere(global)).toEqual({});
+      expect(dataScopeService.incidentWhere(global)).toEqual({});
+      expect(dataScopeService.incidentSql(global)).toEqual({ sql: '', replacements: {} });
+    });
+
+    it('should limit records to the users in scope', () => {
+      expect(dataScopeService.userWhere(scope)).toEqual({ id: { [Op.in]: [2, 7] } });
+      expect(dataScopeService.ownerWhere(scope)).toEqual({ userId: { [Op.in]: [2, 7] } });
+      expect(dataScopeService.departmentWhere(scope)).toEqual({ id: { [Op.in]: [3] } });
+      expect(dataScopeService.incidentWhere(scope)).toEqual({
+        [Op.or]: [
+          { reportedBy: { [Op.in]: [2, 7] } },
+          { assignedTo: { [Op.in]: [2, 7] } }
+        ]
+      });
+      expect(dataScopeService.incidentSql(scope).replacements).toEqual({ scopeUserIds: [2, 7] });
+    });
+
+    it('should check single records against the scope', () => {
+      expect(dataScopeService.canSeeUser(scope, '7')).toBe(true);
+      expect(dataScopeService.canSeeUser(scope, 9)).toBe(false);
+      expect(dataScopeService.canSeeIncident(scope, { reportedBy: 9, assignedTo: 2 })).toBe(true);
+      expect(dataScopeService.canSeeIncident(scope, { reportedBy: 9, assignedTo: null })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Document Acknowledgment Service Unit Tests
+ * @module tests/unit/services/document-acknowledgment-service
+ */
+const documentAcknowledgmentService = require('../../../services/document-acknowledgment.service');
+const { Document, DocumentAcknowledgment, DocumentVersion } = require('../../../models');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  Document: {
+    findByPk: jest.fn()
+  },
+  DocumentAcknowledgment: {
+    findAll: jest.fn(),
+    create: jest.fn()
+  },
+  DocumentVersion: {
+    findOne: jest.fn()
+  },
+  User: {},
+  sequelize: {}
+}));
+
+/**
+ * Build a mock acknowledgment row with its user
+ * @param {number} userId - User ID
+ * @param {string} versionNumber - Acknowledged version
+ * @returns {Object} Mock acknowledgment
+ */
+const buildAcknowledgment = (userId, versionNumber) => ({
+  userId,
+  versionNumber,
+  acknowledgmentDate: new Date('2026-01-15'),
+  user: { id: userId, firstName: 'User', lastName: String(userId), email: `user${userId}@example.com` }
+});
+
+describe('Document Acknowledgment Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isCurrentAcknowledgment', () => {
+    it('should keep acknowledgments valid across minor versions', () => {
+      expect(documentAcknowledgmentService.isCurrentAcknowledgment('1.0', '1.4')).toBe(true);
+    });
+
+    it('should reopen acknowledgments on a major version', () => {
+      expect(documentAcknowledgmentService.isCurrentAcknowledgment('1.4', '2.0')).toBe(false);
+    });
+  });
+
+  describe('acknowledge', () => {
+    it('should record the acknowledged version', async () => {
+      Document.findByPk.mockResolvedValue({ id: 1, version: '2.0' });
+      DocumentAcknowledgment.findAll.mockResolvedValue([{ id: 5, versionNumber: '1.3' }]);
+      DocumentVersion.findOne.mockResolvedValue({ id: 9 });
+      DocumentAcknowledgment.create.mockImplementation(async data => ({ id: 6, ...data }));
+
+      const acknowledgment = await documentAcknowledgmentService.acknowledge(1, 3, { ipAddress: '127.0.0.1' });
+
+      expect(acknowledgment).toEqual(expect.objectContaining({
+        documentId: 1,
+        userId: 3,
+        versionNumber: '2.0',
+        documentVersionId: 9
+      }));
+    });
+
+    it('should reject a second acknowledgment of the same major version', async () => {
+      Document.findByPk.mockResolvedValue({ id: 1, version: '2.1' });
+      DocumentAcknowledgment.findAll.mockResolvedValue([{ id: 5, versionNumber: '2.0' }]);
+
+      await expect(documentAcknowledgmentService.acknowledge(1, 3))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'ALREADY_ACKNOWLEDGED' });
+      expect(DocumentAcknowledgment.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown document', async () => {
+      Document.findByPk.mockResolvedValue(null);
+
+      await expect(documentAcknowledgmentService.acknowledge(99, 3))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getAcknowledgmentStatus', () => {
+    it('should list users whose latest acknowledgment is on an outdated major version', async () => {
+      DocumentAcknowledgment.findAll.mockResolvedValue([
+        buildAcknowledgment(1, '2.0'),
+        buildAcknowledgment(2, '1.0'),
+        buildAcknowledgment(3, '1.2'),
+        buildAcknowledgment(3, '2.1')
+      ]);
+
+      const status = await documentAcknowledgmentService.getAcknowledgmentStatus(
+        { id: 1, title: 'Privacy Policy', version: '2.1' },
+        5
+      );
+
+      expect(status).toEqual(expect.objectContaining({
+        currentVersion: '2.1',
+        totalUsers: 5,
+        acknowledged: 2,
+        outdated: 1,
+        notAcknowledged: 3,
+        acknowledgmentRate: 40
+      }));
+      expect(status.outdatedUsers).toEqual([
+        expect.objectContaining({ id: 2, acknowledgedVersion: '1.0' })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Document Version Service Unit Tests
+ * @module tests/unit/services/document-version-service
+ */
+const documentVersionService = require('../../../services/document-version.service');
+const { Document, DocumentVersion } = require('../../../models');
+const { AppError } = require('../../../utils/error-handler');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  Document: {
+    findByPk: jest.fn()
+  },
+  DocumentVersion: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn()
+  },
+  User: {},
+  sequelize: {
+    transaction: jest.fn(callback => callback({}))
+  }
+}));
+
+/**
+ * Build a mock document instance
+ * @param {Object} [overrides] - Field overrides
+ * @returns {Object} Mock document
+ */
+const buildDocument = (overrides = {}) => ({
+  id: 1,
+  version: '1.0',
+  filePath: '/uploads/documents/policy-v1.pdf',
+  createdBy: 1,
+  createdAt: new Date('2026-01-01'),
+  update: jest.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+describe('Document Version Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('version numbers', () => {
+    it('should bump minor and major versions', () => {
+      expect(documentVersionService.bumpVersion('1.0')).toBe('1.1');
+      expect(documentVersionService.bumpVersion('1.9', 'major')).toBe('2.0');
+      expect(documentVersionService.bumpVersion('2.1.3')).toBe('2.2');
+    });
+
+    it('should compare versions numerically', () => {
+      expect(documentVersionService.compareVersions('1.10', '1.9')).toBeGreaterThan(0);
+      expect(documentVersionService.compareVersions('2', '2.0')).toBe(0);
+      expect(documentVersionService.compareVersions('1.0', '1.0.1')).toBeLessThan(0);
+    });
+  });
+
+  describe('getRetentionDate', () => {
+    it('should retain superseded versions for six years', () => {
+      const retainUntil = documentVersionService.getRetentionDate({ supersededAt: new Date('2026-03-01') });
+
+      expect(retainUntil.getFullYear()).toBe(2032);
+    });
+
+    it('should not set a retention date on the current version', () => {
+      expect(documentVersionService.getRetentionDate({ supersededAt: null })).toBeNull();
+    });
+  });
+
+  describe('createRevision', () => {
+    it('should supersede the current version and keep its file', async () => {
+      const document = buildDocument();
+      const current = { id: 10, filePath: document.filePath, fileName: 'policy.pdf', update: jest.fn() };
+
+      DocumentVersion.findOne
+        .mockResolvedValueOnce(current) // current version
+        .mockResolvedValueOnce(null); // no duplicate version number
+      DocumentVersion.create.mockImplementation(async data => ({ id: 11, ...data }));
+
+      const version = await documentVersionService.createRevision(document, {
+        filePath: '/uploads/documents/policy-v2.pdf',
+        fileName: 'policy-v2.pdf',
+        changeSummary: 'Updated retention section',
+        authorId: 2
+      }, { title: 'Retention Policy' });
+
+      expect(current.update).toHaveBeenCalledWith({ supersededAt: expect.any(Date) }, expect.anything());
+      expect(version).toEqual(expect.objectContaining({
+        versionNumber: '1.1',
+        filePath: '/uploads/documents/policy-v2.pdf',
+        authorId: 2
+      }));
+      expect(document.update).toHaveBeenCalledWith(expect.objectContaining({
+        title: 'Retention Policy',
+        version: '1.1',
+        filePath: '/uploads/documents/policy-v2.pdf'
+      }), expect.anything());
+    });
+
+    it('should record the existing state first for documents without history', async () => {
+      const document = buildDocument();
+
+      DocumentVersion.findOne.mockResolvedValue(null);
+      DocumentVersion.create.mockImplementation(async data => ({ ...data, update: jest.fn() }));
+
+      await documentVersionService.createRevision(document, { versionNumber: '2.0' });
+
+      expect(DocumentVersion.create).toHaveBeenCalledTimes(2);
+      expect(DocumentVersion.create.mock.calls[0][0]).toEqual(expect.objectContaining({
+        versionNumber: '1.0',
+        filePath: '/uploads/documents/policy-v1.pdf',
+        changeSummary: 'Initial version'
+      }));
+    });
+
+    it('should reject a version number that does not increase', async () => {
+      const document = buildDocument({ version: '2.0' });
+
+      await expect(documentVersionService.createRevision(document, { versionNumber: '1.5' }))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'VERSION_NOT_INCREASED' });
+    });
+
+    it('should reject a version number that already exists', async () => {
+      const document = buildDocument({ version: '1.0' });
+
+      DocumentVersion.findOne
+        .mockResolvedValueOnce({ id: 10, update: jest.fn() })
+        .mockResolvedValueOnce({ id: 12, versionNumber: '3.0' });
+
+      await expect(documentVersionService.createRevision(document, { versionNumber: '3.0' }))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'VERSION_EXISTS' });
+    });
+
+    it('should report a version number taken by a concurrent revision as a conflict', async () => {
+      const document = buildDocument();
+
+      DocumentVersion.findOne
+        .mockResolvedValueOnce({ id: 10, update: jest.fn() })
+        .mockResolvedValueOnce(null);
+      DocumentVersion.create.mockRejectedValue(Object.assign(new Error('duplicate'), { name: 'SequelizeUniqueConstraintError' }));
+
+      await expect(documentVersionService.createRevision(document, { versionNumber: '2.0' }))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'VERSION_EXISTS' });
+    });
+  });
+
+  describe('restoreVersion', () => {
+    it('should publish an earlier version as a new revision', async () => {
+      const document = buildDocument({ version: '2.0', filePath: '/uploads/documents/policy-v2.pdf' });
+      const oldVersion = {
+        id: 10,
+        versionNumber: '1.0',
+        filePath: '/uploads/documents/policy-v1.pdf',
+        fileName: 'policy.pdf',
+        supersededAt: new Date('2026-02-01')
+      };
+
+      Document.findByPk.mockResolvedValue(document);
+      DocumentVersion.findOne
+        .mockResolvedValueOnce(oldVersion) // version to restore
+        .mockResolvedValueOnce({ id: 11, update: jest.fn() }) // current version
+        .mockResolvedValueOnce(null); // no duplicate version number
+      DocumentVersion.create.mockImplementation(async data => ({ id: 12, ...data }));
+
+      const restored = await documentVersionService.restoreVersion(1, 10, { authorId: 2 });
+
+      expect(restored).toEqual(expect.objectContaining({
+        versionNumber: '2.1',
+        filePath: '/uploads/documents/policy-v1.pdf',
+        restoredFromId: 10,
+        changeSummary: 'Restored from version 1.0'
+      }));
+    });
+
+    it('should refuse to restore the current version', async () => {
+      Document.findByPk.mockResolvedValue(buildDocument());
+      DocumentVersion.findOne.mockResolvedValue({ id: 10, supersededAt: null });
+
+      await expect(documentVersionService.restoreVersion(1, 10, { authorId: 2 }))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'VERSION_IS_CURRENT' });
+    });
+
+    it('should return 404 for a version of another document', async () => {
+      Document.findByPk.mockResolvedValue(buildDocument());
+      DocumentVersion.findOne.mockResolvedValue(null);
+
+      await expect(documentVersionService.restoreVersion(1, 99, { authorId: 2 }))
+        .rejects.toThrow(AppError);
+    });
+  });
+
+  describe('getVersions', () => {
+    it('should list the history without writing versions', async () => {
+      Document.findByPk.mockResolvedValue(buildDocument());
+      DocumentVersion.findAll.mockResolvedValue([
+        { supersededAt: null, toJSON: () => ({ id: 11, versionNumber: '1.1' }) },
+        { supersededAt: new Date('2026-02-01'), toJSON: () => ({ id: 10, versionNumber: '1.0' }) }
+      ]);
+
+      const versions = await documentVersionService.getVersions(1);
+
+      expect(versions.map(version => version.isCurrent)).toEqual([true, false]);
+      expect(DocumentVersion.findOne).not.toHaveBeenCalled();
+      expect(DocumentVersion.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveVersionFile', () => {
+    it('should refuse paths outside the upload directory', () => {
+      expect(() => documentVersionService.resolveVersionFile({ filePath: '/uploads/../.env' }))
+        .toThrow(AppError);
+    });
+
+    it('should report versions without a file', () => {
+      expect(() => documentVersionService.resolveVersionFile({ filePath: null }))
+        .toThrow('This version has no file attached');
+    });
+  });
+});
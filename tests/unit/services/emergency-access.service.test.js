@@ -0,0 +1,237 @@
+/**
+ * Emergency Access Service Unit Tests
+ * @module tests/unit/services/emergency-access-service
+ */
+const { EventEmitter } = require('events');
+const emergencyAccessService = require('../../../services/emergency-access.service');
+const notificationService = require('../../../services/notification.service');
+const cacheService = require('../../../services/cache.service');
+const { EmergencyAccessGrant, Role, User, AuditLog } = require('../../../models');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  EmergencyAccessGrant: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    update: jest.fn()
+  },
+  Role: {
+    findOne: jest.fn()
+  },
+  User: {
+    findByPk: jest.fn()
+  },
+  AuditLog: {
+    createWithHash: jest.fn(),
+    findAll: jest.fn()
+  }
+}));
+
+jest.mock('../../../services/cache.service', () => {
+  const store = new Map();
+  return {
+    store,
+    get: jest.fn(async key => store.get(key)),
+    set: jest.fn(async (key, value) => { store.set(key, value); return true; }),
+    del: jest.fn(async key => store.delete(key))
+  };
+});
+
+jest.mock('../../../services/notification.service', () => ({
+  notifyEmergencyAccessActivated: jest.fn()
+}));
+
+/**
+ * Build a mock grant whose update() applies the changes
+ * @param {Object} values - Values to override
+ * @returns {Object} Mock grant
+ */
+const buildGrant = (values = {}) => {
+  const grant = {
+    id: 5,
+    userId: 9,
+    justification: 'Charting system down during a code blue in the ED',
+    grantedPermissions: { isAdmin: true },
+    status: 'active',
+    activatedAt: new Date(Date.now() - 10 * 60 * 1000),
+    expiresAt: new Date(Date.now() + 50 * 60 * 1000),
+    reviewStatus: 'pending',
+    ...values
+  };
+  grant.update = jest.fn(async updates => Object.assign(grant, updates));
+  grant.get = () => ({ ...grant });
+  return grant;
+};
+
+const eligibleUser = { id: 9, username: 'er.nurse', firstName: 'Erin', lastName: 'Nurse', breakGlassEligible: true };
+
+describe('Emergency Access Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheService.store.clear();
+    EmergencyAccessGrant.update.mockResolvedValue([0]);
+    Role.findOne.mockResolvedValue({ name: 'Admin', permissions: JSON.stringify({ canManageUsers: true }) });
+    notificationService.notifyEmergencyAccessActivated.mockResolvedValue({ sent: 2, skipped: 0 });
+  });
+
+  describe('activate', () => {
+    it('should grant the break-glass role permissions for a limited window and alert compliance officers', async () => {
+      EmergencyAccessGrant.findOne.mockResolvedValue(null);
+      EmergencyAccessGrant.create.mockImplementation(async values => buildGrant({ id: 5, ...values }));
+
+      const grant = await emergencyAccessService.activate(eligibleUser, {
+        justification: 'Charting system down during a code blue in the ED',
+        durationMinutes: 30
+      }, { ipAddress: '10.0.0.4' });
+
+      const created = EmergencyAccessGrant.create.mock.calls[0][0];
+      expect(created.grantedPermissions).toEqual({ canManageUsers: true, isAdmin: true });
+      expect(created.expiresAt - created.activatedAt).toBe(30 * 60 * 1000);
+      expect(created.reviewStatus).toBe('pending');
+      expect(created.reviewDueAt > created.expiresAt).toBe(true);
+      expect(notificationService.notifyEmergencyAccessActivated).toHaveBeenCalledWith(grant, eligibleUser);
+      expect(AuditLog.createWithHash).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 9,
+        action: 'BREAK_GLASS_ACTIVATED',
+        emergencyAccessGrantId: 5
+      }));
+      expect(cacheService.del).toHaveBeenCalledWith('emergency-access:user:9');
+    });
+
+    it('should refuse users who are not designated', async () => {
+      await expect(emergencyAccessService.activate({ id: 3, breakGlassEligible: false }, {
+        justification: 'Charting system down during a code blue in the ED'
+      })).rejects.toMatchObject({ statusCode: 403, errorCode: 'EMERGENCY_ACCESS_NOT_ELIGIBLE' });
+      expect(EmergencyAccessGrant.create).not.toHaveBeenCalled();
+    });
+
+    it('should require a typed justification and a bounded duration', async () => {
+      await expect(emergencyAccessService.activate(eligibleUser, { justification: 'urgent' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(emergencyAccessService.activate(eligibleUser, {
+        justification: 'Charting system down during a code blue in the ED',
+        durationMinutes: 24 * 60
+      })).rejects.toMatchObject({ statusCode: 400 });
+      expect(EmergencyAccessGrant.create).not.toHaveBeenCalled();
+    });
+
+    it('should not open a second window while one is active', async () => {
+      EmergencyAccessGrant.findOne.mockResolvedValue(buildGrant());
+
+      await expect(emergencyAccessService.activate(eligibleUser, {
+        justification: 'Charting system down during a code blue in the ED'
+      })).rejects.toMatchObject({ statusCode: 409, errorCode: 'EMERGENCY_ACCESS_ACTIVE' });
+    });
+  });
+
+  describe('elevation', () => {
+    it('should add the granted permissions to the in-memory role only', async () => {
+      EmergencyAccessGrant.findOne.mockResolvedValue(buildGrant());
+      const user = { id: 9, role: { name: 'Employee', permissions: '{"canViewReports":false}' } };
+
+      const grant = await emergencyAccessService.getActiveGrant(9);
+      emergencyAccessService.applyGrant(user, grant);
+
+      expect(user.role.permissions).toEqual({ canViewReports: false, isAdmin: true, emergencyAccess: true });
+
+      // The next request is served from the cache
+      await emergencyAccessService.getActiveGrant(9);
+      expect(EmergencyAccessGrant.findOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop elevating once the window has passed', async () => {
+      cacheService.store.set('emergency-access:user:9', {
+        grant: { id: 5, userId: 9, expiresAt: new Date(Date.now() - 1000).toISOString() }
+      });
+
+      await expect(emergencyAccessService.getActiveGrant(9)).resolves.toBeNull();
+    });
+
+    it('should tag each request made during the window in the audit log', () => {
+      AuditLog.createWithHash.mockResolvedValue({});
+      const res = new EventEmitter();
+      res.statusCode = 200;
+      const req = {
+        method: 'DELETE',
+        originalUrl: '/api/documents/12?force=true',
+        user: { id: 9 },
+        ip: '10.0.0.4',
+        headers: { 'user-agent': 'jest' }
+      };
+
+      emergencyAccessService.tagRequest(req, res, { id: 5, userId: 9 });
+      res.emit('finish');
+
+      expect(AuditLog.createWithHash).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 9,
+        action: 'DELETE',
+        category: 'EMERGENCY_ACCESS',
+        entityType: 'documents',
+        entityId: '12',
+        details: { method: 'DELETE', path: '/api/documents/12?force=true', statusCode: 200 },
+        emergencyAccessGrantId: 5
+      }));
+    });
+  });
+
+  describe('reviewGrant', () => {
+    it('should record the sign-off of an ended grant', async () => {
+      const grant = buildGrant({ status: 'ended' });
+      EmergencyAccessGrant.findByPk.mockResolvedValue(grant);
+
+      await emergencyAccessService.reviewGrant(5, { approved: true, notes: 'Confirmed with the ED charge nurse' }, { id: 2 });
+
+      expect(grant.update).toHaveBeenCalledWith(expect.objectContaining({
+        reviewStatus: 'approved',
+        reviewedBy: 2,
+        reviewNotes: 'Confirmed with the ED charge nurse'
+      }));
+      expect(AuditLog.createWithHash).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'BREAK_GLASS_REVIEW_APPROVED',
+        emergencyAccessGrantId: 5
+      }));
+    });
+
+    it('should refuse self review, reviews under emergency access and reviews of open windows', async () => {
+      EmergencyAccessGrant.findByPk.mockResolvedValue(buildGrant({ status: 'expired' }));
+      await expect(emergencyAccessService.reviewGrant(5, { approved: true, notes: 'Fine' }, { id: 9 }))
+        .rejects.toMatchObject({ errorCode: 'SELF_APPROVAL_NOT_ALLOWED' });
+
+      await expect(emergencyAccessService.reviewGrant(5, { approved: true, notes: 'Fine' }, { id: 2, emergencyAccess: { id: 6 } }))
+        .rejects.toMatchObject({ errorCode: 'EMERGENCY_ACCESS_REVIEW_FORBIDDEN' });
+
+      EmergencyAccessGrant.findByPk.mockResolvedValue(buildGrant());
+      await expect(emergencyAccessService.reviewGrant(5, { approved: true, notes: 'Fine' }, { id: 2 }))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'EMERGENCY_ACCESS_ACTIVE' });
+    });
+  });
+
+  describe('endGrant', () => {
+    it('should let the user close their own window early', async () => {
+      const grant = buildGrant();
+      EmergencyAccessGrant.findByPk.mockResolvedValue(grant);
+
+      await emergencyAccessService.endGrant(5, { id: 9, canReview: false });
+
+      expect(grant.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'ended', endedBy: 9 }));
+      expect(cacheService.del).toHaveBeenCalledWith('emergency-access:user:9');
+    });
+
+    it('should not let other users end it', async () => {
+      EmergencyAccessGrant.findByPk.mockResolvedValue(buildGrant());
+
+      await expect(emergencyAccessService.endGrant(5, { id: 3, canReview: false }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('setEligibility', () => {
+    it('should not allow designations to be changed under emergency access', async () => {
+      await expect(emergencyAccessService.setEligibility(4, true, { id: 9, emergencyAccess: { id: 5 } }))
+        .rejects.toMatchObject({ errorCode: 'EMERGENCY_ACCESS_DESIGNATION_FORBIDDEN' });
+      expect(User.findByPk).not.toHaveBeenCalled();
+    });
+  });
+});
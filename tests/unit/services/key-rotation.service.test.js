@@ -0,0 +1,101 @@
+/**
+ * Key Rotation Service Unit Tests
+ * @module tests/unit/services/key-rotation-service
+ */
+const keyRotationService = require('../../../services/key-rotation.service');
+const keyring = require('../../../utils/keyring');
+const { encrypt, decrypt, getCiphertextKeyId } = require('../../../utils/encryption');
+const { User, AuditLog } = require('../../../models');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  User: {
+    name: 'User',
+    rawAttributes: { mfaSecret: {} },
+    encryptedAttributes: { mfaSecret: { blindIndex: null } },
+    findAll: jest.fn(),
+    update: jest.fn()
+  },
+  AuditLog: {
+    createWithHash: jest.fn()
+  }
+}));
+
+/**
+ * Key provider with fixed keys
+ * @param {string} activeKeyId - Active key ID
+ * @returns {Object} Key provider
+ */
+const provider = (activeKeyId) => ({
+  name: 'test',
+  load: () => ({ activeKeyId, keys: { k1: 'a'.repeat(64), k2: 'b'.repeat(64) } })
+});
+
+describe('Key Rotation Service', () => {
+  let rows;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    keyring.setKeyProvider(provider('k1'));
+    rows = [
+      { id: 1, mfaSecret: encrypt('JBSWY3DPEHPK3PXP') },
+      { id: 2, mfaSecret: 'PLAINTEXTSECRET' }
+    ];
+
+    keyring.setKeyProvider(provider('k2'));
+    rows.push({ id: 3, mfaSecret: encrypt('KRSXG5CTMVRXEZLU') });
+
+    // Serve the rows after the requested ID, one batch at a time
+    User.findAll.mockImplementation(async ({ where, limit }) =>
+      rows.filter(row => row.id > where.id[Object.getOwnPropertySymbols(where.id)[0]]).slice(0, limit));
+  });
+
+  afterAll(() => {
+    keyring.setKeyProvider(keyring.envKeyProvider);
+  });
+
+  it('should re-encrypt values under older keys and leave current ones alone', async () => {
+    const report = await keyRotationService.rotate({ batchSize: 2 });
+    const [field] = report.fields;
+
+    expect(field).toMatchObject({
+      model: 'User',
+      field: 'mfaSecret',
+      scanned: 3,
+      reencrypted: 1,
+      current: 1,
+      plaintext: 1,
+      failed: [],
+      byKey: { k1: 1, k2: 1 }
+    });
+
+    expect(User.findAll).toHaveBeenCalledWith(expect.objectContaining({ raw: true, hooks: false }));
+    expect(User.update).toHaveBeenCalledTimes(1);
+    const [values, options] = User.update.mock.calls[0];
+    expect(options).toEqual({ where: { id: 1 }, hooks: false, silent: true });
+    expect(getCiphertextKeyId(values.mfaSecret)).toBe('k2');
+    expect(decrypt(values.mfaSecret)).toBe('JBSWY3DPEHPK3PXP');
+    expect(AuditLog.createWithHash).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'ENCRYPTION_KEY_ROTATED',
+      details: { activeKeyId: 'k2', scanned: 3, reencrypted: 1, failed: 0 }
+    }));
+  });
+
+  it('should only count in a dry run', async () => {
+    const report = await keyRotationService.rotate({ dryRun: true });
+
+    expect(report.totals.reencrypted).toBe(1);
+    expect(User.update).not.toHaveBeenCalled();
+    expect(AuditLog.createWithHash).not.toHaveBeenCalled();
+  });
+
+  it('should report values whose key is no longer in the keyring', async () => {
+    keyring.setKeyProvider({ name: 'test', load: () => ({ activeKeyId: 'k2', keys: { k2: 'b'.repeat(64) } }) });
+
+    const report = await keyRotationService.rotate();
+
+    expect(report.fields[0].failed).toEqual([1]);
+    expect(report.totals.failed).toBe(1);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Lockout Service Unit Tests
+ * @module tests/unit/services/lockout-service
+ */
+const lockoutService = require('../../../services/lockout.service');
+const { LoginLockout, User, AuditLog } = require('../../../models');
+
+// Mock the models with an in-memory lockout table
+jest.mock('../../../models', () => {
+  const rows = new Map();
+  let nextId = 1;
+
+  const buildRecord = (values) => {
+    const record = {
+      failureCount: 0,
+      lockCount: 0,
+      windowStartedAt: null,
+      lockedAt: null,
+      lockedUntil: null,
+      userId: null,
+      ...values
+    };
+    record.update = jest.fn(async updates => Object.assign(record, updates));
+    return record;
+  };
+
+  return {
+    rows,
+    buildRecord,
+    LoginLockout: {
+      findOrCreate: jest.fn(async ({ where, defaults }) => {
+        const key = `${where.scope}:${where.identifier}`;
+        if (!rows.has(key)) {
+          rows.set(key, buildRecord({ id: nextId++, ...defaults }));
+          return [rows.get(key), true];
+        }
+        return [rows.get(key), false];
+      }),
+      findByPk: jest.fn(async id => [...rows.values()].find(record => record.id === Number(id)) || null),
+      findAll: jest.fn(async () => [...rows.values()]),
+      update: jest.fn(async (values, { where }) => {
+        const record = rows.get(`${where.scope}:${where.identifier}`);
+        if (record) {
+          Object.assign(record, values);
+        }
+        return [record ? 1 : 0];
+      })
+    },
+    User: {
+      update: jest.fn().mockResolvedValue([1])
+    },
+    AuditLog: {
+      createWithHash: jest.fn().mockResolvedValue({})
+    },
+    sequelize: {
+      transaction: jest.fn(async callback => callback({ LOCK: { UPDATE: 'UPDATE' } }))
+    }
+  };
+});
+
+const { rows, buildRecord } = require('../../../models');
+
+/**
+ * Fail a number of sign-ins
+ * @param {number} times - Number of failures
+ * @param {Object} attempt - Sign-in attempt
+ * @returns {Promise<Object>} Result of the last failure
+ */
+const failTimes = async (times, attempt) => {
+  let result;
+  for (let i = 0; i < times; i++) {
+    result = await lockoutService.recordFailure(attempt);
+  }
+  return result;
+};
+
+describe('Lockout Service', () => {
+  const { MAX_ATTEMPTS, MAX_ATTEMPTS_PER_IP, LOCKOUT_MINUTES } = lockoutService.LOCKOUT_CONFIG;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rows.clear();
+  });
+
+  describe('recordFailure', () => {
+    it('should count failures per username and per IP address', async () => {
+      const result = await failTimes(2, { username: 'JSmith', userId: 4, ipAddress: '10.0.0.8' });
+
+      expect(result).toEqual({ failedAttempts: 2, isLocked: false, lockedUntil: null, scope: null });
+      expect(rows.get('username:jsmith').failureCount).toBe(2);
+      expect(rows.get('ip:10.0.0.8').failureCount).toBe(2);
+      expect(User.update).toHaveBeenLastCalledWith({ failedLoginAttempts: 2 }, { where: { id: 4 } });
+    });
+
+    it('should lock the username when the limit is reached and mirror it onto the user', async () => {
+      const result = await failTimes(MAX_ATTEMPTS, { username: 'jsmith', userId: 4, ipAddress: '10.0.0.8' });
+
+      expect(result.isLocked).toBe(true);
+      expect(result.scope).toBe('username');
+      expect(result.lockedUntil - rows.get('username:jsmith').lockedAt).toBe(LOCKOUT_MINUTES * 60 * 1000);
+      expect(User.update).toHaveBeenLastCalledWith(
+        { failedLoginAttempts: MAX_ATTEMPTS, accountLockExpiresAt: result.lockedUntil },
+        { where: { id: 4 } }
+      );
+      expect(AuditLog.createWithHash).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 4,
+        action: 'ACCOUNT_LOCKED',
+        entityType: 'LoginLockout'
+      }));
+    });
+
+    it('should lengthen consecutive lockouts up to the maximum', async () => {
+      rows.set('username:jsmith', buildRecord({
+        id: 1,
+        scope: 'username',
+        identifier: 'jsmith',
+        lockCount: 2,
+        lockedAt: new Date(Date.now() - 60 * 60 * 1000),
+        lockedUntil: new Date(Date.now() - 1000)
+      }));
+
+      const result = await failTimes(MAX_ATTEMPTS, { username: 'jsmith' });
+
+      expect(rows.get('username:jsmith').lockCount).toBe(3);
+      expect(result.lockedUntil - rows.get('username:jsmith').lockedAt)
+        .toBe(lockoutService.getLockoutMinutes(3) * 60 * 1000);
+      expect(lockoutService.getLockoutMinutes(3)).toBe(LOCKOUT_MINUTES * 4);
+      expect(lockoutService.getLockoutMinutes(50)).toBe(lockoutService.LOCKOUT_CONFIG.MAX_LOCKOUT_MINUTES);
+    });
+
+    it('should lock an IP address that guesses across many usernames', async () => {
+      let result;
+      for (let i = 0; i < MAX_ATTEMPTS_PER_IP; i++) {
+        result = await lockoutService.recordFailure({ username: `user${i}`, ipAddress: '203.0.113.9' });
+      }
+
+      expect(result.isLocked).toBe(true);
+      expect(result.scope).toBe('ip');
+      expect(AuditLog.createWithHash).toHaveBeenCalledWith(expect.objectContaining({ action: 'IP_LOCKED' }));
+    });
+
+    it('should not extend a lockout with failures made while locked', async () => {
+      await failTimes(MAX_ATTEMPTS, { username: 'jsmith' });
+      const { lockedUntil } = rows.get('username:jsmith');
+
+      await lockoutService.recordFailure({ username: 'jsmith' });
+
+      expect(rows.get('username:jsmith').lockedUntil).toBe(lockedUntil);
+    });
+  });
+
+  describe('recordSuccess', () => {
+    it('should clear the username but not the IP address', async () => {
+      await failTimes(3, { username: 'jsmith', userId: 4, ipAddress: '10.0.0.8' });
+
+      await lockoutService.recordSuccess({ username: 'jsmith', userId: 4 });
+
+      expect(rows.get('username:jsmith').failureCount).toBe(0);
+      expect(rows.get('ip:10.0.0.8').failureCount).toBe(3);
+      expect(User.update).toHaveBeenLastCalledWith(
+        { failedLoginAttempts: 0, accountLockExpiresAt: null },
+        { where: { id: 4 } }
+      );
+    });
+  });
+
+  describe('getLockStatus', () => {
+    it('should report the longest current lockout of the username or IP address', async () => {
+      LoginLockout.findAll.mockResolvedValueOnce([
+        { scope: 'username', lockedUntil: new Date(Date.now() + 5 * 60 * 1000) },
+        { scope: 'ip', lockedUntil: new Date(Date.now() + 60 * 60 * 1000) }
+      ]);
+
+      const status = await lockoutService.getLockStatus({ username: 'jsmith', ipAddress: '10.0.0.8' });
+
+      expect(status.locked).toBe(true);
+      expect(status.scope).toBe('ip');
+      expect(status.remainingSeconds).toBeGreaterThan(59 * 60);
+    });
+
+    it('should not look anything up without a username or known IP address', async () => {
+      const status = await lockoutService.getLockStatus({ ipAddress: 'unknown' });
+
+      expect(status.locked).toBe(false);
+      expect(LoginLockout.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('clearLock', () => {
+    it('should reset the lockout, unlock the user and audit the administrator', async () => {
+      await failTimes(MAX_ATTEMPTS, { username: 'jsmith', userId: 4 });
+      const record = rows.get('username:jsmith');
+
+      await lockoutService.clearLock(record.id, 1);
+
+      expect(record).toMatchObject({ failureCount: 0, lockCount: 0, lockedUntil: null, clearedBy: 1 });
+      expect(User.update).toHaveBeenLastCalledWith(
+        { failedLoginAttempts: 0, accountLockExpiresAt: null },
+        { where: { id: 4 } }
+      );
+      expect(AuditLog.createWithHash).toHaveBeenLastCalledWith(expect.objectContaining({
+        userId: 1,
+        action: 'LOCKOUT_CLEARED',
+        details: expect.objectContaining({ wasLocked: true, affectedUserId: 4 })
+      }));
+    });
+
+    it('should fail for an unknown lockout', async () => {
+      await expect(lockoutService.clearLock(99, 1)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
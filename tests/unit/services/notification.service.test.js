@@ -0,0 +1,187 @@
+/**
+ * Notification Service Unit Tests
+ * @module tests/unit/services/notification-service
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const notificationService = require('../../../services/notification.service');
+const { renderTemplate } = require('../../../services/notification-templates');
+const { createMemoryTransport, createFileTransport } = require('../../../utils/mail-transport');
+const config = require('../../../config/app.config');
+const { User } = require('../../../models');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  User: {
+    findAll: jest.fn(),
+    findByPk: jest.fn()
+  }
+}));
+
+const activeUser = {
+  id: 7,
+  username: 'jdoe',
+  email: 'jdoe@example.com',
+  firstName: 'Jane',
+  lastName: 'Doe',
+  accountStatus: 'active',
+  notificationPreferences: {}
+};
+
+describe('Notification Service', () => {
+  let transport;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transport = createMemoryTransport();
+    notificationService.setTransport(transport);
+  });
+
+  describe('renderTemplate', () => {
+    it('should fill placeholders and escape them in HTML', () => {
+      const message = renderTemplate('document_published', {
+        firstName: 'Jane',
+        documentTitle: 'Privacy <Policy>',
+        version: '2.0',
+        documentUrl: 'http://localhost:3000/documents'
+      });
+
+      expect(message.subject).toBe('Please review and acknowledge: Privacy <Policy>');
+      expect(message.text).toContain('Version 2.0 of "Privacy <Policy>"');
+      expect(message.html).toContain('Privacy &lt;Policy&gt;');
+      expect(message.category).toBe('documents');
+    });
+
+    it('should reject unknown templates', () => {
+      expect(() => renderTemplate('unknown')).toThrow('Unknown notification template');
+    });
+  });
+
+  describe('notifyUser', () => {
+    it('should send through the configured transport', async () => {
+      const result = await notificationService.notifyTrainingAssigned(
+        { dueDate: null },
+        activeUser,
+        { title: 'HIPAA Basics' }
+      );
+
+      expect(result.sent).toBe(true);
+      expect(transport.messages).toHaveLength(1);
+      expect(transport.messages[0]).toEqual(expect.objectContaining({
+        to: 'jdoe@example.com',
+        subject: 'New training assigned: HIPAA Basics'
+      }));
+    });
+
+    it('should respect a user opting out of a category', async () => {
+      const user = { ...activeUser, notificationPreferences: { incidents: false } };
+
+      const result = await notificationService.notifyIncidentAssigned(
+        { id: 3, title: 'Lost laptop', severity: 'high' },
+        user
+      );
+
+      expect(result).toEqual({ sent: false, reason: 'opted_out' });
+      expect(transport.messages).toHaveLength(0);
+    });
+
+    it('should always send mandatory security messages', async () => {
+      const user = { ...activeUser, accountStatus: 'locked', notificationPreferences: { training: false, incidents: false, documents: false } };
+
+      const result = await notificationService.notifyPasswordReset(user, 'abc123', 60);
+
+      expect(result.sent).toBe(true);
+      expect(transport.messages[0].text).toContain('reset-password?token=abc123');
+    });
+
+    it('should not throw when the transport fails', async () => {
+      notificationService.setTransport({ name: 'broken', send: jest.fn().mockRejectedValue(new Error('SMTP down')) });
+
+      const result = await notificationService.notifyPasswordReset(activeUser, 'abc123', 60);
+
+      expect(result).toEqual({ sent: false, reason: 'error' });
+    });
+  });
+
+  describe('notifyDocumentPublished', () => {
+    it('should notify active users who have not opted out', async () => {
+      User.findAll.mockResolvedValue([
+        activeUser,
+        { ...activeUser, id: 8, email: 'optout@example.com', notificationPreferences: { documents: false } }
+      ]);
+
+      const result = await notificationService.notifyDocumentPublished(
+        { id: 1, title: 'Security Policy', version: '1.0' },
+        { excludeUserId: 1 }
+      );
+
+      expect(result).toEqual({ sent: 1, skipped: 1 });
+      expect(transport.messages.map(message => message.to)).toEqual(['jdoe@example.com']);
+    });
+  });
+
+  describe('preferences', () => {
+    it('should default every category to enabled', () => {
+      expect(notificationService.getPreferences({ notificationPreferences: null }))
+        .toEqual({ training: true, incidents: true, documents: true });
+    });
+
+    it('should validate and store preference updates', async () => {
+      const user = { notificationPreferences: {}, update: jest.fn() };
+      User.findByPk.mockResolvedValue(user);
+
+      const preferences = await notificationService.updatePreferences(7, { training: false });
+
+      expect(preferences).toEqual({ training: false, incidents: true, documents: true });
+      expect(user.update).toHaveBeenCalledWith({ notificationPreferences: preferences });
+      await expect(notificationService.updatePreferences(7, { security: false }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('file transport', () => {
+    it('should capture messages as JSON files', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+      const fileTransport = createFileTransport({ directory });
+
+      await fileTransport.send({ to: 'a@example.com', subject: 'Hello', text: 'Hi' });
+
+      const files = fs.readdirSync(directory);
+      expect(files).toHaveLength(1);
+      expect(JSON.parse(fs.readFileSync(path.join(directory, files[0]), 'utf8')).subject).toBe('Hello');
+
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+  });
+
+  describe('resolveTransportName', () => {
+    const originalEnv = process.env.NODE_ENV;
+    const originalEmail = config.email;
+
+    afterEach(() => {
+      process.env.NODE_ENV = originalEnv;
+      config.email = originalEmail;
+    });
+
+    it('should refuse to fall back to local capture in production', () => {
+      process.env.NODE_ENV = 'production';
+      config.email = { ...originalEmail, enabled: false };
+
+      expect(() => notificationService.resolveTransportName()).toThrow('No email transport configured');
+
+      config.email = { ...originalEmail, enabled: true, smtp: { host: 'smtp.example.com' } };
+      expect(notificationService.resolveTransportName()).toBe('smtp');
+    });
+
+    it('should capture mail locally outside production', () => {
+      config.email = { ...originalEmail, enabled: false };
+
+      process.env.NODE_ENV = 'development';
+      expect(notificationService.resolveTransportName()).toBe('file');
+
+      process.env.NODE_ENV = 'test';
+      expect(notificationService.resolveTransportName()).toBe('memory');
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Offboarding Service Unit Tests
+ * @module tests/unit/services/offboarding-service
+ */
+const offboardingService = require('../../../services/offboarding.service');
+const notificationService = require('../../../services/notification.service');
+const securityService = require('../../../services/security.service');
+const { invalidateUserSessions } = require('../../../utils/session-manager');
+const {
+  AccessReviewItem,
+  Department,
+  Document,
+  Incident,
+  Offboarding,
+  RiskItem,
+  RiskTreatmentTask,
+  User,
+  WebAuthnCredential
+} = require('../../../models');
+const { mockRecord } = require('../../utils/mock-utils');
+
+// Mock the models
+jest.mock('../../../models', () => {
+  const workModel = () => ({ findAll: jest.fn(), update: jest.fn() });
+
+  return {
+    AccessReviewItem: workModel(),
+    Department: workModel(),
+    Document: workModel(),
+    Incident: workModel(),
+    RiskItem: workModel(),
+    RiskTreatmentTask: workModel(),
+    Offboarding: {
+      create: jest.fn(),
+      findAll: jest.fn(),
+      findByPk: jest.fn(),
+      findOne: jest.fn()
+    },
+    User: {
+      findByPk: jest.fn()
+    },
+    WebAuthnCredential: {
+      destroy: jest.fn()
+    },
+    sequelize: {
+      transaction: jest.fn(callback => callback({}))
+    }
+  };
+});
+
+jest.mock('../../../services/notification.service', () => ({
+  notifyWorkTransferred: jest.fn()
+}));
+
+jest.mock('../../../services/security.service', () => ({
+  logSecurityEvent: jest.fn()
+}));
+
+jest.mock('../../../utils/session-manager', () => ({
+  invalidateUserSessions: jest.fn()
+}));
+
+const WORK_MODELS = [Incident, RiskItem, RiskTreatmentTask, Document, Department, AccessReviewItem];
+
+const admin = { id: 1 };
+
+describe('Offboarding Service', () => {
+  let leaver;
+  let successor;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    WORK_MODELS.forEach(model => model.findAll.mockResolvedValue([]));
+
+    leaver = mockRecord({ id: 21, username: 'jdoe', firstName: 'Jane', lastName: 'Doe', accountStatus: 'active', accountType: 'user', mfaEnabled: true });
+    successor = { id: 12, username: 'msmith', firstName: 'Mark', lastName: 'Smith', accountStatus: 'active', accountType: 'user' };
+    User.findByPk.mockImplementation(async id => ({ 21: leaver, 12: successor }[id] || null));
+    Offboarding.findOne.mockResolvedValue(null);
+    Offboarding.create.mockImplementation(async values => mockRecord({ id: 7, ...values }));
+    Offboarding.findByPk.mockImplementation(async () => mockRecord({ id: 7 }));
+    WebAuthnCredential.destroy.mockResolvedValue(1);
+    invalidateUserSessions.mockResolvedValue(2);
+  });
+
+  describe('startOffboarding', () => {
+    it('should remove access and transfer open work to the successor', async () => {
+      Incident.findAll.mockResolvedValue([{ id: 3 }, { id: 4 }]);
+      RiskTreatmentTask.findAll.mockResolvedValue([{ id: 9 }]);
+      AccessReviewItem.findAll.mockResolvedValue([{ id: 30, userId: 40 }, { id: 31, userId: 12 }]);
+
+      await offboardingService.startOffboarding(21, { successorId: 12, reason: 'Resigned' }, admin);
+
+      expect(leaver.update).toHaveBeenCalledWith(expect.objectContaining({
+        accountStatus: 'inactive',
+        mfaEnabled: false,
+        mfaSecret: null,
+        breakGlassEligible: false
+      }), expect.anything());
+      expect(WebAuthnCredential.destroy).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 21 } }));
+      expect(invalidateUserSessions).toHaveBeenCalledWith(21);
+
+      expect(Incident.update).toHaveBeenCalledWith({ assignedTo: 12 }, expect.objectContaining({ where: { id: expect.anything() } }));
+      expect(RiskTreatmentTask.update).toHaveBeenCalledWith({ ownerId: 12 }, expect.anything());
+      expect(Document.update).not.toHaveBeenCalled();
+
+      const { transfers, checklist } = Offboarding.create.mock.calls[0][0];
+      expect(transfers).toEqual(expect.objectContaining({ incidents: [3, 4], riskTreatmentTasks: [9], accessReviewItems: [30] }));
+      expect(checklist.filter(step => step.automatic).every(step => step.completed)).toBe(true);
+      expect(checklist.filter(step => !step.automatic).some(step => step.completed)).toBe(false);
+
+      expect(notificationService.notifyWorkTransferred).toHaveBeenCalledWith(successor, leaver, expect.objectContaining({ incidents: 2, riskTreatmentTasks: 1 }));
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(1, 'USER_OFFBOARDED', expect.objectContaining({ userId: 21, successorId: 12, sessionsRevoked: 2 }));
+    });
+
+    it('should require a successor when the user owns open work', async () => {
+      Document.findAll.mockResolvedValue([{ id: 5 }]);
+
+      await expect(offboardingService.startOffboarding(21, {}, admin))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'SUCCESSOR_REQUIRED' });
+      expect(leaver.update).not.toHaveBeenCalled();
+    });
+
+    it('should offboard a user without open work and no successor', async () => {
+      await offboardingService.startOffboarding(21, {}, admin);
+
+      expect(leaver.update).toHaveBeenCalled();
+      expect(notificationService.notifyWorkTransferred).not.toHaveBeenCalled();
+    });
+
+    it('should refuse self offboarding, a second offboarding and an inactive successor', async () => {
+      await expect(offboardingService.startOffboarding(1, {}, admin))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'SELF_OFFBOARDING_NOT_ALLOWED' });
+
+      Offboarding.findOne.mockResolvedValueOnce({ id: 2 });
+      await expect(offboardingService.startOffboarding(21, {}, admin))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'OFFBOARDING_IN_PROGRESS' });
+
+      successor.accountStatus = 'inactive';
+      await expect(offboardingService.startOffboarding(21, { successorId: 12 }, admin))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'VALIDATION_ERROR' });
+    });
+
+    it('should leave the sessions step open when sessions cannot be ended', async () => {
+      invalidateUserSessions.mockRejectedValueOnce(new Error('redis down'));
+
+      await offboardingService.startOffboarding(21, {}, admin);
+
+      const offboarding = await Offboarding.create.mock.results[0].value;
+      const step = offboarding.checklist.find(item => item.key === 'sessions_revoked');
+      expect(step.completed).toBe(false);
+      expect(step.notes).toContain('redis down');
+    });
+  });
+
+  describe('updateChecklistItem', () => {
+    it('should record who completed a manual step', async () => {
+      const offboarding = mockRecord({
+        id: 7,
+        status: 'in_progress',
+        checklist: [{ key: 'devices_returned', label: 'Devices returned', automatic: false, completed: false }]
+      });
+      Offboarding.findByPk.mockResolvedValue(offboarding);
+
+      await offboardingService.updateChecklistItem(7, 'devices_returned', { completed: true, notes: 'Laptop LT-1042' }, { id: 5 });
+
+      expect(offboarding.checklist[0]).toEqual(expect.objectContaining({
+        completed: true,
+        completedBy: 5,
+        completedAt: expect.any(Date),
+        notes: 'Laptop LT-1042'
+      }));
+    });
+  });
+
+  describe('signOff', () => {
+    it('should refuse to sign off while steps are outstanding', async () => {
+      const offboarding = mockRecord({
+        id: 7,
+        status: 'in_progress',
+        checklist: [
+          { key: 'account_deactivated', label: 'Account deactivated', completed: true },
+          { key: 'devices_returned', label: 'Devices returned', completed: false }
+        ]
+      });
+      Offboarding.findByPk.mockResolvedValue(offboarding);
+
+      await expect(offboardingService.signOff(7, {}, admin))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'OFFBOARDING_INCOMPLETE' });
+      expect(offboarding.update).not.toHaveBeenCalled();
+    });
+
+    it('should complete the offboarding once every step is done', async () => {
+      const offboarding = mockRecord({
+        id: 7,
+        userId: 21,
+        status: 'in_progress',
+        checklist: [{ key: 'devices_returned', label: 'Devices returned', completed: true, completedBy: 5 }]
+      });
+      Offboarding.findByPk.mockResolvedValue(offboarding);
+
+      await offboardingService.signOff(7, { notes: 'All equipment accounted for' }, admin);
+
+      expect(offboarding.status).toBe('completed');
+      expect(offboarding.signedOffBy).toBe(1);
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(1, 'OFFBOARDING_SIGNED_OFF', expect.objectContaining({ userId: 21 }));
+    });
+  });
+});
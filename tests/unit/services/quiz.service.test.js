@@ -0,0 +1,284 @@
+/**
+ * Quiz Service Unit Tests
+ * @module tests/unit/services/quiz-service
+ */
+const quizService = require('../../../services/quiz.service');
+const certificateService = require('../../../services/certificate.service');
+const { QuizQuestion, QuizAttempt, TrainingAssignment } = require('../../../models');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  QuizQuestion: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn()
+  },
+  QuizAttempt: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  },
+  TrainingAssignment: {
+    findByPk: jest.fn()
+  },
+  TrainingCourse: {
+    findByPk: jest.fn()
+  },
+  User: {
+    findByPk: jest.fn().mockResolvedValue({ id: 5, firstName: 'Jane', lastName: 'Doe' })
+  }
+}));
+
+jest.mock('../../../services/certificate.service', () => ({
+  issueCertificate: jest.fn()
+}));
+
+const questions = [
+  {
+    id: 1,
+    type: 'multiple_choice',
+    text: 'Which rule covers ePHI safeguards?',
+    options: [{ id: 'a', text: 'Privacy Rule' }, { id: 'b', text: 'Security Rule' }],
+    correctOptionIds: ['b'],
+    explanation: 'The Security Rule covers electronic PHI.',
+    points: 1
+  },
+  {
+    id: 2,
+    type: 'multi_select',
+    text: 'Which are administrative safeguards?',
+    options: [{ id: 'a', text: 'Risk analysis' }, { id: 'b', text: 'Door locks' }, { id: 'c', text: 'Workforce training' }],
+    correctOptionIds: ['a', 'c'],
+    explanation: null,
+    points: 2
+  },
+  {
+    id: 3,
+    type: 'true_false',
+    text: 'Breaches of 500 or more individuals must be reported to HHS within 60 days.',
+    options: [{ id: 'true', text: 'True' }, { id: 'false', text: 'False' }],
+    correctOptionIds: ['true'],
+    explanation: null,
+    points: 1
+  }
+];
+
+/**
+ * Build a mock quiz assignment
+ * @param {Object} values - Assignment values
+ * @param {Object} courseValues - Course values
+ * @returns {Object} Mock assignment
+ */
+const buildAssignment = (values = {}, courseValues = {}) => {
+  const assignment = {
+    id: 20,
+    userId: 5,
+    status: 'assigned',
+    course: { id: 9, contentType: 'quiz', version: '1.2', passingScore: 80, maxAttempts: 2, questionsPerAttempt: 2, ...courseValues },
+    ...values
+  };
+  assignment.update = jest.fn(async (updates) => Object.assign(assignment, updates));
+  return assignment;
+};
+
+describe('Quiz Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildQuestion', () => {
+    it('should assign letter IDs and record correct options', () => {
+      const question = quizService.buildQuestion({
+        type: 'multi_select',
+        text: 'Pick two',
+        options: [{ text: 'One', isCorrect: true }, { text: 'Two' }, { text: 'Three', isCorrect: true }]
+      });
+
+      expect(question.options).toEqual([{ id: 'a', text: 'One' }, { id: 'b', text: 'Two' }, { id: 'c', text: 'Three' }]);
+      expect(question.correctOptionIds).toEqual(['a', 'c']);
+    });
+
+    it('should build fixed options for true/false questions', () => {
+      const question = quizService.buildQuestion({ type: 'true_false', text: 'PHI includes names', correctAnswer: true });
+
+      expect(question.options.map(option => option.id)).toEqual(['true', 'false']);
+      expect(question.correctOptionIds).toEqual(['true']);
+    });
+
+    it('should require exactly one correct option for multiple choice', () => {
+      expect(() => quizService.buildQuestion({
+        type: 'multiple_choice',
+        text: 'Pick one',
+        options: [{ text: 'A', isCorrect: true }, { text: 'B', isCorrect: true }]
+      })).toThrow('Multiple choice questions need exactly one correct option');
+    });
+  });
+
+  describe('selectQuestions', () => {
+    it('should draw the requested number of distinct questions', () => {
+      const selected = quizService.selectQuestions(questions, 2);
+
+      expect(selected).toHaveLength(2);
+      expect(new Set(selected.map(question => question.id)).size).toBe(2);
+    });
+  });
+
+  describe('scoreAnswers', () => {
+    it('should weight questions by points and require exact multi-select matches', () => {
+      const result = quizService.scoreAnswers(questions, { 1: 'b', 2: ['a'], 3: ['true'] });
+
+      expect(result.earnedPoints).toBe(2);
+      expect(result.totalPoints).toBe(4);
+      expect(result.score).toBe(50);
+      expect(result.results.map(r => r.correct)).toEqual([true, false, true]);
+    });
+
+    it('should accept answers in any order', () => {
+      expect(quizService.scoreAnswers([questions[1]], { 2: ['c', 'a'] }).score).toBe(100);
+    });
+  });
+
+  describe('startAttempt', () => {
+    it('should create an attempt with random questions and hide correct answers', async () => {
+      const assignment = buildAssignment();
+      TrainingAssignment.findByPk.mockResolvedValue(assignment);
+      QuizAttempt.findAll.mockResolvedValue([]);
+      QuizQuestion.findAll.mockResolvedValue(questions);
+      QuizAttempt.create.mockImplementation(async (values) => ({ id: 40, ...values }));
+
+      const result = await quizService.startAttempt(20, 5);
+
+      expect(result.attempt.attemptNumber).toBe(1);
+      expect(result.attemptsRemaining).toBe(1);
+      expect(result.questions).toHaveLength(2);
+      expect(result.questions[0].correctOptionIds).toBeUndefined();
+      expect(assignment.update).toHaveBeenCalledWith({ status: 'in_progress' });
+    });
+
+    it('should stop learners once the maximum attempts are used', async () => {
+      TrainingAssignment.findByPk.mockResolvedValue(buildAssignment({ status: 'in_progress' }));
+      QuizAttempt.findAll.mockResolvedValue([{ status: 'submitted' }, { status: 'submitted' }]);
+
+      await expect(quizService.startAttempt(20, 5))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'MAX_ATTEMPTS_REACHED' });
+    });
+
+    it('should only let the assigned learner take the quiz', async () => {
+      TrainingAssignment.findByPk.mockResolvedValue(buildAssignment());
+
+      await expect(quizService.startAttempt(20, 6)).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should reject courses that are not quizzes', async () => {
+      TrainingAssignment.findByPk.mockResolvedValue(buildAssignment({}, { contentType: 'video' }));
+
+      await expect(quizService.startAttempt(20, 5)).rejects.toMatchObject({ errorCode: 'NOT_A_QUIZ' });
+    });
+  });
+
+  describe('submitAttempt', () => {
+    const buildAttempt = (values = {}) => ({
+      id: 40,
+      assignmentId: 20,
+      userId: 5,
+      attemptNumber: 1,
+      questionIds: [2, 1],
+      status: 'in_progress',
+      ...values
+    });
+
+    beforeEach(() => {
+      QuizQuestion.findAll.mockResolvedValue([questions[0], questions[1]]);
+      QuizAttempt.update.mockResolvedValue([1]);
+    });
+
+    it('should complete the assignment and issue a certificate when passed', async () => {
+      const assignment = buildAssignment({ status: 'in_progress' });
+      QuizAttempt.findByPk.mockResolvedValue(buildAttempt());
+      TrainingAssignment.findByPk.mockResolvedValue(assignment);
+
+      const review = await quizService.submitAttempt(40, 5, { 1: 'b', 2: ['a', 'c'] });
+
+      expect(review.attempt).toEqual(expect.objectContaining({ score: 100, passed: true }));
+      expect(review.answersRevealed).toBe(true);
+      expect(review.questions.map(question => question.id)).toEqual([2, 1]);
+      expect(assignment.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'completed',
+        score: 100,
+        courseVersion: '1.2'
+      }));
+      expect(certificateService.issueCertificate).toHaveBeenCalled();
+    });
+
+    it('should keep the assignment open and hide answers after a failed attempt with retakes left', async () => {
+      const assignment = buildAssignment({ status: 'in_progress' });
+      QuizAttempt.findByPk.mockResolvedValue(buildAttempt());
+      TrainingAssignment.findByPk.mockResolvedValue(assignment);
+
+      const review = await quizService.submitAttempt(40, 5, { 1: 'a' });
+
+      expect(review.attempt.passed).toBe(false);
+      expect(review.answersRevealed).toBe(false);
+      expect(review.questions[0].correctOptionIds).toBeUndefined();
+      expect(review.questions[1].selectedOptionIds).toEqual(['a']);
+      expect(assignment.update).toHaveBeenCalledWith({ status: 'in_progress', score: 0 });
+    });
+
+    it('should fail the assignment after the last allowed attempt', async () => {
+      const assignment = buildAssignment({ status: 'in_progress' });
+      QuizAttempt.findByPk.mockResolvedValue(buildAttempt({ attemptNumber: 2 }));
+      TrainingAssignment.findByPk.mockResolvedValue(assignment);
+
+      await quizService.submitAttempt(40, 5, {});
+
+      expect(assignment.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', score: 0 }));
+    });
+
+    it('should reject attempts that were already submitted', async () => {
+      QuizAttempt.findByPk.mockResolvedValue(buildAttempt({ status: 'submitted' }));
+
+      await expect(quizService.submitAttempt(40, 5, {}))
+        .rejects.toMatchObject({ errorCode: 'ATTEMPT_ALREADY_SUBMITTED' });
+    });
+
+    it('should detect a concurrent submission', async () => {
+      QuizAttempt.findByPk.mockResolvedValue(buildAttempt());
+      TrainingAssignment.findByPk.mockResolvedValue(buildAssignment({ status: 'in_progress' }));
+      QuizAttempt.update.mockResolvedValue([0]);
+
+      await expect(quizService.submitAttempt(40, 5, {})).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('getAttemptReview', () => {
+    it('should reveal correct answers to reviewers', async () => {
+      QuizAttempt.findByPk.mockResolvedValue({
+        id: 40,
+        assignmentId: 20,
+        userId: 5,
+        questionIds: [1],
+        status: 'submitted',
+        results: [{ questionId: 1, selectedOptionIds: ['a'], correct: false }]
+      });
+      TrainingAssignment.findByPk.mockResolvedValue({ id: 20, status: 'in_progress' });
+      QuizQuestion.findAll.mockResolvedValue([questions[0]]);
+
+      const review = await quizService.getAttemptReview(40, { id: 1, canReviewAll: true });
+
+      expect(review.questions[0]).toEqual(expect.objectContaining({
+        selectedOptionIds: ['a'],
+        correct: false,
+        correctOptionIds: ['b'],
+        explanation: 'The Security Rule covers electronic PHI.'
+      }));
+    });
+
+    it('should not let other learners review an attempt', async () => {
+      QuizAttempt.findByPk.mockResolvedValue({ id: 40, userId: 5, status: 'submitted' });
+
+      await expect(quizService.getAttemptReview(40, { id: 6, canReviewAll: false }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Risk Matrix Service Unit Tests
+ * @module tests/unit/services/risk-matrix-service
+ */
+const riskMatrixService = require('../../../services/risk-matrix.service');
+const { RiskMatrix, RiskItem, AuditLog } = require('../../../models');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  RiskMatrix: {
+    findOne: jest.fn(),
+    findOrCreate: jest.fn(),
+    findAll: jest.fn(),
+    max: jest.fn(),
+    update: jest.fn(),
+    create: jest.fn()
+  },
+  RiskItem: {
+    findAll: jest.fn()
+  },
+  RiskAssessment: {},
+  User: {},
+  AuditLog: {
+    createWithHash: jest.fn()
+  },
+  sequelize: {
+    transaction: jest.fn(callback => callback({}))
+  }
+}));
+
+const fiveByFive = {
+  name: '5x5 matrix',
+  likelihoodLevels: [
+    { key: 'rare', label: 'Rare', value: 1 },
+    { key: 'unlikely', label: 'Unlikely', value: 2 },
+    { key: 'possible', label: 'Possible', value: 3 },
+    { key: 'likely', label: 'Likely', value: 4 },
+    { key: 'almost_certain', label: 'Almost certain', value: 5 }
+  ],
+  impactLevels: [
+    { key: 'negligible', label: 'Negligible', value: 1 },
+    { key: 'minor', label: 'Minor', value: 2 },
+    { key: 'moderate', label: 'Moderate', value: 3 },
+    { key: 'major', label: 'Major', value: 4 },
+    { key: 'severe', label: 'Severe', value: 5 }
+  ],
+  bands: [
+    { level: 'low', label: 'Acceptable', minScore: 1 },
+    { level: 'medium', label: 'Tolerable', minScore: 5 },
+    { level: 'high', label: 'Undesirable', minScore: 10 },
+    { level: 'critical', label: 'Intolerable', minScore: 17 }
+  ]
+};
+
+/**
+ * Build a mock risk item row
+ * @param {Object} values - Risk item values
+ * @returns {Object} Mock risk item
+ */
+const buildItem = (values) => {
+  const item = { riskScore: null, riskMatrixId: null, ...values };
+  item.update = jest.fn(async (updates) => Object.assign(item, updates));
+  return item;
+};
+
+describe('Risk Matrix Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('scoreRisk', () => {
+    it('should reproduce the original scoring with the default matrix', () => {
+      const level = (likelihood, impact) => riskMatrixService.scoreRisk(riskMatrixService.DEFAULT_MATRIX, likelihood, impact).riskLevel;
+
+      expect(level('high', 'high')).toBe('critical');
+      expect(level('high', 'low')).toBe('high');
+      expect(level('medium', 'high')).toBe('high');
+      expect(level('medium', 'medium')).toBe('medium');
+      expect(level('low', 'medium')).toBe('medium');
+      expect(level('low', 'low')).toBe('low');
+    });
+
+    it('should return the numeric score and named band', () => {
+      expect(riskMatrixService.scoreRisk(fiveByFive, 'likely', 'major')).toEqual({
+        riskScore: 16,
+        riskLevel: 'high',
+        band: 'Undesirable'
+      });
+    });
+
+    it('should reject ratings the matrix does not define', () => {
+      expect(() => riskMatrixService.scoreRisk(fiveByFive, 'high', 'major'))
+        .toThrow('Invalid likelihood. Must be one of: rare, unlikely, possible, likely, almost_certain');
+    });
+  });
+
+  describe('validateMatrix', () => {
+    it('should accept a 5x5 matrix', () => {
+      expect(riskMatrixService.validateMatrix(fiveByFive).bands).toHaveLength(4);
+    });
+
+    it('should reject levels out of order and bands that leave scores uncovered', () => {
+      const unordered = { ...fiveByFive, impactLevels: [...fiveByFive.impactLevels].reverse() };
+      expect(() => riskMatrixService.validateMatrix(unordered)).toThrow('impactLevels levels must be ordered by increasing value');
+
+      const gap = { ...fiveByFive, bands: fiveByFive.bands.slice(1) };
+      expect(() => riskMatrixService.validateMatrix(gap)).toThrow('The first band must start at or below the lowest score (1)');
+    });
+
+    it('should reject bands whose level decreases', () => {
+      const bands = [
+        { level: 'high', label: 'A', minScore: 1 },
+        { level: 'low', label: 'B', minScore: 10 }
+      ];
+      expect(() => riskMatrixService.validateMatrix({ ...fiveByFive, bands }))
+        .toThrow('Band levels cannot decrease as scores increase');
+    });
+  });
+
+  describe('getActiveMatrix', () => {
+    it('should create the default matrix when none exists', async () => {
+      RiskMatrix.findOne.mockResolvedValue(null);
+      RiskMatrix.findOrCreate.mockResolvedValue([{ id: 1, version: 1 }]);
+
+      const matrix = await riskMatrixService.getActiveMatrix();
+
+      expect(matrix).toEqual({ id: 1, version: 1 });
+      expect(RiskMatrix.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+        where: { version: 1 },
+        defaults: expect.objectContaining({ isActive: true, bands: riskMatrixService.DEFAULT_MATRIX.bands })
+      }));
+    });
+  });
+
+  describe('rescoreItems', () => {
+    it('should re-score items, translate mapped ratings and skip unknown ones', async () => {
+      const mapped = buildItem({ id: 1, likelihood: 'high', impact: 'moderate', riskLevel: 'high' });
+      const unchanged = buildItem({ id: 2, likelihood: 'rare', impact: 'minor', riskScore: 2, riskLevel: 'low', riskMatrixId: 4 });
+      const unknown = buildItem({ id: 3, likelihood: 'medium', impact: 'medium', riskLevel: 'medium' });
+      RiskItem.findAll.mockResolvedValue([mapped, unchanged, unknown]);
+
+      const summary = await riskMatrixService.rescoreItems({ id: 4, ...fiveByFive }, { likelihoodMap: { high: 'likely' } });
+
+      expect(summary).toEqual({ total: 3, changed: 1, skipped: [3] });
+      expect(mapped.update).toHaveBeenCalledWith({
+        likelihood: 'likely',
+        impact: 'moderate',
+        riskScore: 12,
+        riskLevel: 'high',
+        riskMatrixId: 4
+      }, expect.any(Object));
+      expect(unchanged.update).not.toHaveBeenCalled();
+      expect(unknown.update).not.toHaveBeenCalled();
+    });
+
+    it('should re-score residual ratings and skip items whose residual ratings do not fit', async () => {
+      const withResidual = buildItem({ id: 1, likelihood: 'likely', impact: 'major', residualLikelihood: 'high', residualImpact: 'minor' });
+      const badResidual = buildItem({ id: 2, likelihood: 'likely', impact: 'major', residualLikelihood: 'low', residualImpact: 'minor' });
+      RiskItem.findAll.mockResolvedValue([withResidual, badResidual]);
+
+      const summary = await riskMatrixService.rescoreItems({ id: 4, ...fiveByFive }, { likelihoodMap: { high: 'unlikely' } });
+
+      expect(summary.skipped).toEqual([2]);
+      expect(withResidual.update).toHaveBeenCalledWith(expect.objectContaining({
+        residualLikelihood: 'unlikely',
+        residualScore: 4,
+        residualRiskLevel: 'low'
+      }), expect.any(Object));
+    });
+  });
+
+  describe('updateMatrix', () => {
+    it('should activate a new version, re-score items and audit the change', async () => {
+      RiskMatrix.max.mockResolvedValue(2);
+      RiskMatrix.create.mockImplementation(async (values) => ({ id: 9, ...values }));
+      RiskItem.findAll.mockResolvedValue([]);
+
+      const { matrix, rescore } = await riskMatrixService.updateMatrix({ ...fiveByFive, changeSummary: 'Move to 5x5' }, 1);
+
+      expect(RiskMatrix.update).toHaveBeenCalledWith({ isActive: false }, expect.objectContaining({ where: { isActive: true } }));
+      expect(matrix).toEqual(expect.objectContaining({ version: 3, isActive: true, createdBy: 1, changeSummary: 'Move to 5x5' }));
+      expect(rescore).toEqual({ total: 0, changed: 0, skipped: [] });
+      expect(AuditLog.createWithHash).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'RISK_MATRIX_UPDATED',
+        entityId: 9
+      }));
+    });
+
+    it('should not save an invalid matrix', async () => {
+      await expect(riskMatrixService.updateMatrix({ ...fiveByFive, name: '' }, 1))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(RiskMatrix.create).not.toHaveBeenCalled();
+    });
+  });
+});
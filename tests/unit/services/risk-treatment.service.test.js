@@ -0,0 +1,255 @@
+/**
+ * Risk Treatment Service Unit Tests
+ * @module tests/unit/services/risk-treatment-service
+ */
+const riskTreatmentService = require('../../../services/risk-treatment.service');
+const riskMatrixService = require('../../../services/risk-matrix.service');
+const { RiskItem, RiskTreatmentTask, RiskTaskEvidence, User, AuditLog } = require('../../../models');
+const { mockRecord } = require('../../utils/mock-utils');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  RiskItem: {
+    findByPk: jest.fn()
+  },
+  RiskTreatmentTask: {
+    findByPk: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn()
+  },
+  RiskTaskEvidence: {
+    findByPk: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn()
+  },
+  Document: {
+    findByPk: jest.fn()
+  },
+  User: {
+    findByPk: jest.fn()
+  },
+  AuditLog: {
+    createWithHash: jest.fn()
+  },
+  sequelize: {
+    transaction: jest.fn(callback => callback({}))
+  }
+}));
+
+jest.mock('../../../services/risk-matrix.service', () => ({
+  getActiveMatrix: jest.fn(),
+  scoreRisk: jest.fn()
+}));
+
+const buildItem = (values = {}) => mockRecord({
+  id: 4,
+  likelihood: 'high',
+  impact: 'high',
+  mitigationStatus: 'not_started',
+  treatmentDecision: null,
+  acceptanceStatus: null,
+  ...values
+});
+
+describe('Risk Treatment Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RiskTreatmentTask.findAll.mockResolvedValue([]);
+  });
+
+  describe('deriveMitigationStatus', () => {
+    const derive = riskTreatmentService.deriveMitigationStatus;
+
+    it('should follow the progress of non-cancelled tasks', () => {
+      expect(derive({}, [])).toBe('not_started');
+      expect(derive({}, [{ status: 'open' }, { status: 'in_progress' }])).toBe('in_progress');
+      expect(derive({}, [{ status: 'completed' }, { status: 'cancelled' }])).toBe('completed');
+    });
+
+    it('should only treat approved acceptances as accepted', () => {
+      expect(derive({ treatmentDecision: 'accept', acceptanceStatus: 'approved' }, [])).toBe('accepted');
+      expect(derive({ treatmentDecision: 'accept', acceptanceStatus: 'pending' }, [])).toBe('not_started');
+    });
+  });
+
+  describe('decideTreatment', () => {
+    it('should put an acceptance up for approval', async () => {
+      const item = buildItem();
+      RiskItem.findByPk.mockResolvedValue(item);
+
+      await riskTreatmentService.decideTreatment(4, { decision: 'accept', rationale: 'Cost exceeds benefit' }, 2);
+
+      expect(item.update).toHaveBeenCalledWith(expect.objectContaining({
+        treatmentDecision: 'accept',
+        treatmentDecidedBy: 2,
+        acceptanceStatus: 'pending',
+        acceptanceApprovedBy: null
+      }), expect.any(Object));
+      expect(AuditLog.createWithHash).toHaveBeenCalledWith(expect.objectContaining({ action: 'RISK_TREATMENT_DECIDED' }));
+    });
+
+    it('should require a rationale to accept a risk', async () => {
+      await expect(riskTreatmentService.decideTreatment(4, { decision: 'accept' }, 2))
+        .rejects.toMatchObject({ statusCode: 400, message: 'A rationale is required to accept a risk' });
+    });
+
+    it('should reject unknown decisions', async () => {
+      await expect(riskTreatmentService.decideTreatment(4, { decision: 'ignore' }, 2))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('reviewAcceptance', () => {
+    const pending = () => buildItem({ treatmentDecision: 'accept', acceptanceStatus: 'pending', treatmentDecidedBy: 2 });
+
+    it('should approve the acceptance and mark the risk accepted', async () => {
+      const item = pending();
+      RiskItem.findByPk.mockResolvedValue(item);
+
+      await riskTreatmentService.reviewAcceptance(4, { approved: true }, 3);
+
+      expect(item.acceptanceStatus).toBe('approved');
+      expect(item.acceptanceApprovedBy).toBe(3);
+      expect(item.mitigationStatus).toBe('accepted');
+      expect(AuditLog.createWithHash).toHaveBeenCalledWith(expect.objectContaining({ action: 'RISK_ACCEPTANCE_APPROVED' }));
+    });
+
+    it('should not let the decider approve their own acceptance', async () => {
+      RiskItem.findByPk.mockResolvedValue(pending());
+
+      await expect(riskTreatmentService.reviewAcceptance(4, { approved: true }, 2))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'SELF_APPROVAL_NOT_ALLOWED' });
+    });
+
+    it('should refuse to review an acceptance twice', async () => {
+      RiskItem.findByPk.mockResolvedValue(buildItem({ treatmentDecision: 'accept', acceptanceStatus: 'approved', treatmentDecidedBy: 2 }));
+
+      await expect(riskTreatmentService.reviewAcceptance(4, { approved: false, notes: 'No' }, 3))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('setResidualRisk', () => {
+    beforeEach(() => {
+      riskMatrixService.getActiveMatrix.mockResolvedValue({ id: 2 });
+    });
+
+    it('should score residual risk with the active matrix', async () => {
+      const item = buildItem();
+      RiskItem.findByPk.mockResolvedValue(item);
+      riskMatrixService.scoreRisk
+        .mockReturnValueOnce({ riskScore: 25, riskLevel: 'critical' })
+        .mockReturnValueOnce({ riskScore: 2, riskLevel: 'medium' });
+
+      await riskTreatmentService.setResidualRisk(4, { residualLikelihood: 'low', residualImpact: 'medium' });
+
+      expect(item.update).toHaveBeenCalledWith({
+        riskScore: 25,
+        riskLevel: 'critical',
+        residualLikelihood: 'low',
+        residualImpact: 'medium',
+        residualScore: 2,
+        residualRiskLevel: 'medium',
+        riskMatrixId: 2
+      });
+    });
+
+    it('should not allow residual risk above inherent risk', async () => {
+      RiskItem.findByPk.mockResolvedValue(buildItem({ likelihood: 'low', impact: 'low' }));
+      riskMatrixService.scoreRisk
+        .mockReturnValueOnce({ riskScore: 1, riskLevel: 'low' })
+        .mockReturnValueOnce({ riskScore: 4, riskLevel: 'medium' });
+
+      await expect(riskTreatmentService.setResidualRisk(4, { residualLikelihood: 'medium', residualImpact: 'medium' }))
+        .rejects.toMatchObject({ errorCode: 'RESIDUAL_EXCEEDS_INHERENT' });
+    });
+  });
+
+  describe('scoreWithinInherent', () => {
+    it('should refuse lowering the inherent rating below an existing residual rating', () => {
+      riskMatrixService.scoreRisk
+        .mockReturnValueOnce({ riskScore: 2, riskLevel: 'low' })
+        .mockReturnValueOnce({ riskScore: 6, riskLevel: 'medium' });
+
+      expect(() => riskTreatmentService.scoreWithinInherent(
+        { id: 2 },
+        { likelihood: 'low', impact: 'medium' },
+        { likelihood: 'medium', impact: 'medium' }
+      )).toThrow(expect.objectContaining({ errorCode: 'RESIDUAL_EXCEEDS_INHERENT' }));
+    });
+  });
+
+  describe('createTask', () => {
+    it('should require an active owner', async () => {
+      RiskItem.findByPk.mockResolvedValue(buildItem());
+      User.findByPk.mockResolvedValue({ id: 8, accountStatus: 'inactive' });
+
+      await expect(riskTreatmentService.createTask(4, { title: 'Encrypt laptops', ownerId: 8 }, 2))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Invalid ownerId: an active user is required' });
+    });
+
+    it('should create an open task for the risk item', async () => {
+      RiskItem.findByPk.mockResolvedValue(buildItem());
+      User.findByPk.mockResolvedValue({ id: 8, accountStatus: 'active' });
+      RiskTreatmentTask.create.mockResolvedValue({ id: 30 });
+      RiskTreatmentTask.findByPk.mockResolvedValue({ id: 30, title: 'Encrypt laptops' });
+
+      const task = await riskTreatmentService.createTask(4, { title: ' Encrypt laptops ', ownerId: 8, dueDate: '2026-12-01' }, 2);
+
+      expect(RiskTreatmentTask.create).toHaveBeenCalledWith(expect.objectContaining({
+        riskItemId: 4,
+        title: 'Encrypt laptops',
+        ownerId: 8,
+        dueDate: new Date('2026-12-01'),
+        status: 'open',
+        createdBy: 2
+      }), expect.any(Object));
+      expect(task).toEqual({ id: 30, title: 'Encrypt laptops' });
+    });
+  });
+
+  describe('updateTask', () => {
+    const owner = { id: 8, canManage: false };
+
+    it('should require evidence before completing a task', async () => {
+      RiskTreatmentTask.findByPk.mockResolvedValue(mockRecord({ id: 30, riskItemId: 4, ownerId: 8, status: 'in_progress' }));
+      RiskTaskEvidence.count.mockResolvedValue(0);
+
+      await expect(riskTreatmentService.updateTask(30, { status: 'completed' }, owner))
+        .rejects.toMatchObject({ errorCode: 'EVIDENCE_REQUIRED' });
+    });
+
+    it('should complete the task and the risk item mitigation once all tasks are done', async () => {
+      const task = mockRecord({ id: 30, riskItemId: 4, ownerId: 8, status: 'in_progress' });
+      const item = buildItem({ mitigationStatus: 'in_progress' });
+      RiskTreatmentTask.findByPk.mockResolvedValue(task);
+      RiskTaskEvidence.count.mockResolvedValue(1);
+      RiskItem.findByPk.mockResolvedValue(item);
+      RiskTreatmentTask.findAll.mockResolvedValue([{ status: 'completed' }]);
+
+      await riskTreatmentService.updateTask(30, { status: 'completed' }, owner);
+
+      expect(task.update).toHaveBeenCalledWith({ status: 'completed', completedAt: expect.any(Date) }, expect.any(Object));
+      expect(item.update).toHaveBeenCalledWith({ mitigationStatus: 'completed', mitigationDate: expect.any(Date) }, expect.any(Object));
+    });
+
+    it('should only let owners change the status of their own tasks', async () => {
+      RiskTreatmentTask.findByPk.mockResolvedValue(mockRecord({ id: 30, riskItemId: 4, ownerId: 8, status: 'open' }));
+
+      await expect(riskTreatmentService.updateTask(30, { dueDate: '2027-01-01' }, owner))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(riskTreatmentService.updateTask(30, { status: 'in_progress' }, { id: 9, canManage: false }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('removeEvidence', () => {
+    it('should keep the last piece of evidence of a completed task', async () => {
+      RiskTaskEvidence.findByPk.mockResolvedValue(mockRecord({ id: 50, taskId: 30, addedBy: 8, task: { status: 'completed' } }));
+      RiskTaskEvidence.count.mockResolvedValue(1);
+
+      await expect(riskTreatmentService.removeEvidence(50, { id: 8, canManage: false }))
+        .rejects.toMatchObject({ errorCode: 'EVIDENCE_REQUIRED' });
+    });
+  });
+});
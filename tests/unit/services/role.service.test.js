@@ -0,0 +1,235 @@
+/**
+ * Role Service Unit Tests
+ * @module tests/unit/services/role-service
+ */
+const roleService = require('../../../services/role.service');
+const securityService = require('../../../services/security.service');
+const cacheService = require('../../../services/cache.service');
+const { User, Role } = require('../../../models');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  User: {
+    findByPk: jest.fn(),
+    count: jest.fn()
+  },
+  Role: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn()
+  }
+}));
+
+jest.mock('../../../services/cache.service', () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn()
+}));
+
+jest.mock('../../../services/security.service', () => ({
+  logSecurityEvent: jest.fn()
+}));
+
+/**
+ * Build a mock role record
+ * @param {Object} values - Role values, with includedRoleIds
+ * @returns {Object} Mock role
+ */
+const buildRole = ({ includedRoleIds = [], ...values }) => {
+  const role = {
+    description: null,
+    includedRoles: includedRoleIds.map(id => ({ id })),
+    ...values
+  };
+  role.update = jest.fn(async (changes) => Object.assign(role, changes));
+  role.setIncludedRoles = jest.fn();
+  role.destroy = jest.fn();
+  return role;
+};
+
+const adminActor = { id: 10, role: { name: 'Admin', permissions: { isAdmin: true } } };
+
+describe('Role Service', () => {
+  let employee;
+  let privacy;
+  let investigator;
+  let admin;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    employee = buildRole({ id: 1, name: 'Employee', permissions: {} });
+    privacy = buildRole({ id: 2, name: 'Privacy Officer', permissions: { 'breaches:read': true }, includedRoleIds: [1] });
+    investigator = buildRole({
+      id: 3,
+      name: 'Investigator',
+      permissions: JSON.stringify({ 'incidents:update': true, canViewReports: true }),
+      includedRoleIds: [2]
+    });
+    admin = buildRole({ id: 4, name: 'Admin', permissions: { isAdmin: true } });
+
+    cacheService.get.mockResolvedValue(null);
+    Role.findAll.mockResolvedValue([employee, privacy, investigator, admin]);
+    Role.create.mockImplementation(async values => buildRole({ id: 7, ...values }));
+  });
+
+  describe('applyEffectivePermissions', () => {
+    it('should add the permissions of included roles, recursively', async () => {
+      const user = { id: 5, role: { id: 3, name: 'Investigator', permissions: investigator.permissions } };
+
+      await roleService.applyEffectivePermissions(user);
+
+      expect(user.role.permissions).toEqual({
+        'incidents:update': true,
+        canViewReports: true,
+        'breaches:read': true
+      });
+      expect(cacheService.set).toHaveBeenCalledWith('roles:graph', expect.any(Object), 60);
+    });
+
+    it('should grant every catalog permission to roles that include an admin role', async () => {
+      const user = { id: 5, role: { id: 9, name: 'Platform Owner', permissions: {} } };
+      Role.findAll.mockResolvedValue([buildRole({ id: 9, name: 'Platform Owner', permissions: {}, includedRoleIds: [4] }), admin]);
+
+      await roleService.applyEffectivePermissions(user);
+
+      expect(user.role.permissions.isAdmin).toBe(true);
+      expect(user.role.permissions['audit:export']).toBe(true);
+    });
+
+    it('should keep the stored permissions when the roles cannot be read', async () => {
+      const user = { id: 5, role: { id: 2, name: 'Privacy Officer', permissions: { 'breaches:read': true } } };
+      Role.findAll.mockRejectedValue(new Error('connection lost'));
+
+      await roleService.applyEffectivePermissions(user);
+
+      expect(user.role.permissions).toEqual({ 'breaches:read': true });
+    });
+  });
+
+  describe('resolvePermissions', () => {
+    it('should stop at roles that include each other', () => {
+      const graph = {
+        1: { id: 1, name: 'A', permissions: { 'audit:read': true }, includedRoleIds: [2] },
+        2: { id: 2, name: 'B', permissions: { 'audit:export': true }, includedRoleIds: [1] }
+      };
+
+      const { permissions, sources } = roleService.resolvePermissions(graph, graph[1]);
+
+      expect(permissions).toEqual({ 'audit:read': true, 'audit:export': true });
+      expect(sources['audit:export']).toEqual(['B']);
+    });
+  });
+
+  describe('createRole', () => {
+    it('should create a role that includes other roles', async () => {
+      Role.findOne.mockResolvedValue(null);
+
+      const role = await roleService.createRole({
+        name: 'Breach Analyst',
+        permissions: ['breaches:manage'],
+        includedRoleIds: [2]
+      }, adminActor);
+
+      expect(Role.create).toHaveBeenCalledWith({
+        name: 'Breach Analyst',
+        description: undefined,
+        permissions: { 'breaches:manage': true }
+      });
+      expect(role.permissions).toEqual(['breaches:manage']);
+      expect(cacheService.del).toHaveBeenCalledWith('roles:graph');
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(10, 'ROLE_CREATED', expect.objectContaining({ includedRoleIds: [2] }));
+    });
+
+    it('should reject permissions that are not in the catalog', async () => {
+      Role.findOne.mockResolvedValue(null);
+
+      await expect(roleService.createRole({ name: 'Typo', permissions: ['incident:update'] }, adminActor))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'UNKNOWN_PERMISSION' });
+      expect(Role.create).not.toHaveBeenCalled();
+    });
+
+    it('should not let a role manager grant permissions they do not hold', async () => {
+      const manager = { id: 11, role: { name: 'Access Manager', permissions: { 'roles:manage': true, 'breaches:read': true } } };
+      Role.findOne.mockResolvedValue(null);
+
+      await expect(roleService.createRole({ name: 'Readers', includedRoleIds: [2] }, manager)).resolves.toMatchObject({ id: 7 });
+      await expect(roleService.createRole({ name: 'Auditors', permissions: ['audit:export'] }, manager))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'PERMISSION_ESCALATION' });
+      await expect(roleService.createRole({ name: 'Admins', includedRoleIds: [4] }, manager))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'PERMISSION_ESCALATION' });
+    });
+  });
+
+  describe('updateRole', () => {
+    it('should replace catalog permissions and keep other stored flags', async () => {
+      Role.findByPk.mockResolvedValue(investigator);
+
+      const role = await roleService.updateRole(3, { permissions: ['incidents:delete'] }, adminActor);
+
+      expect(investigator.update).toHaveBeenCalledWith({
+        permissions: { canViewReports: true, 'incidents:delete': true }
+      });
+      expect(role.permissions).toEqual(['incidents:delete']);
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(10, 'ROLE_UPDATED', expect.objectContaining({
+        added: ['incidents:delete'],
+        removed: ['incidents:update']
+      }));
+    });
+
+    it('should reject inclusions that would form a cycle', async () => {
+      Role.findByPk.mockResolvedValue(employee);
+
+      await expect(roleService.updateRole(1, { includedRoleIds: [3] }, adminActor))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'ROLE_INCLUSION_CYCLE' });
+      await expect(roleService.updateRole(1, { includedRoleIds: [1] }, adminActor))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'ROLE_INCLUSION_CYCLE' });
+      expect(employee.setIncludedRoles).not.toHaveBeenCalled();
+    });
+
+    it('should not rename the Admin role', async () => {
+      Role.findByPk.mockResolvedValue(admin);
+
+      await expect(roleService.updateRole(4, { name: 'Superuser' }, adminActor))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'ROLE_PROTECTED' });
+    });
+  });
+
+  describe('deleteRole', () => {
+    it('should refuse to delete roles that users hold or other roles include', async () => {
+      Role.findByPk.mockResolvedValue(privacy);
+      User.count.mockResolvedValueOnce(2).mockResolvedValueOnce(0);
+
+      await expect(roleService.deleteRole(2, adminActor))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'ROLE_IN_USE' });
+      await expect(roleService.deleteRole(2, adminActor))
+        .rejects.toThrow('The role is included by: Investigator');
+      expect(privacy.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should delete an unused role', async () => {
+      const unused = buildRole({ id: 8, name: 'Unused', permissions: {} });
+      Role.findByPk.mockResolvedValue(unused);
+      User.count.mockResolvedValue(0);
+
+      await roleService.deleteRole(8, adminActor);
+
+      expect(unused.destroy).toHaveBeenCalled();
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(10, 'ROLE_DELETED', { roleId: 8, name: 'Unused' });
+    });
+  });
+
+  describe('getUserPermissions', () => {
+    it('should list effective permissions with the roles that grant them', async () => {
+      User.findByPk.mockResolvedValue({ id: 5, username: 'jdoe', role: investigator });
+
+      const result = await roleService.getUserPermissions(5);
+
+      expect(result.role).toEqual({ id: 3, name: 'Investigator' });
+      expect(result.permissions.map(permission => [permission.key, permission.grantedBy])).toEqual([
+        ['incidents:update', ['Investigator']],
+        ['breaches:read', ['Privacy Officer']]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,316 @@
+/**
+ * SCIM Service Unit Tests
+ * @module tests/unit/services/scim-service
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const scimService = require('../../../services/scim.service');
+const userService = require('../../../services/user.service');
+const securityService = require('../../../services/security.service');
+const { invalidateUserSessions } = require('../../../utils/session-manager');
+const { User, Role, Department, ScimToken } = require('../../../models');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  User: {
+    findAll: jest.fn(),
+    findAndCountAll: jest.fn(),
+    findByPk: jest.fn(),
+    update: jest.fn()
+  },
+  Role: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    findByPk: jest.fn()
+  },
+  Department: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    findByPk: jest.fn()
+  },
+  ScimToken: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    findByPk: jest.fn()
+  }
+}));
+
+jest.mock('../../../services/user.service', () => ({
+  createUser: jest.fn(),
+  updateUser: jest.fn(),
+  deactivateUser: jest.fn(),
+  createDepartment: jest.fn()
+}));
+
+jest.mock('../../../services/security.service', () => ({
+  logSecurityEvent: jest.fn()
+}));
+
+jest.mock('../../../utils/session-manager', () => ({
+  invalidateUserSessions: jest.fn()
+}));
+
+const BASE_URL = 'https://hipaa.example.com/scim/v2';
+const context = { tokenId: 3, baseUrl: BASE_URL };
+
+/**
+ * Build a mock user as loaded by the SCIM service
+ * @param {Object} values - Values to override
+ * @returns {Object} Mock user
+ */
+const buildUser = (values = {}) => ({
+  id: 12,
+  username: 'jdoe',
+  email: 'jdoe@example.com',
+  firstName: 'Jane',
+  lastName: 'Doe',
+  position: 'Nurse',
+  accountStatus: 'active',
+  roleId: 4,
+  departmentId: 2,
+  scimExternalId: 'hr-1001',
+  role: { id: 4, name: 'Employee' },
+  department: { id: 2, name: 'Clinical' },
+  createdAt: new Date('2026-01-01'),
+  updatedAt: new Date('2026-01-02'),
+  ...values
+});
+
+describe('SCIM Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Role.findOne.mockResolvedValue({ id: 4, name: 'Employee' });
+  });
+
+  describe('listUsers', () => {
+    it('should translate a filter into a where clause and page from a 1-based index', async () => {
+      User.findAndCountAll.mockResolvedValue({ count: 1, rows: [buildUser()] });
+
+      const result = await scimService.listUsers(
+        { filter: 'userName eq "JDoe" and active eq true', startIndex: '1', count: '10' },
+        BASE_URL
+      );
+
+      expect(User.findAndCountAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          [Op.and]: [
+            { username: { [Op.iLike]: 'JDoe' } },
+            { accountStatus: 'active' }
+          ]
+        },
+        offset: 0,
+        limit: 10
+      }));
+      expect(result).toMatchObject({ totalResults: 1, startIndex: 1, itemsPerPage: 1 });
+      expect(result.Resources[0]).toMatchObject({
+        id: '12',
+        userName: 'jdoe',
+        externalId: 'hr-1001',
+        active: true,
+        emails: [{ value: 'jdoe@example.com', primary: true }],
+        meta: { location: `${BASE_URL}/Users/12` }
+      });
+      expect(result.Resources[0].groups.map(group => group.value)).toEqual(['role-4', 'department-2']);
+    });
+
+    it('should reject filters on attributes that cannot be filtered', async () => {
+      await expect(scimService.listUsers({ filter: 'password eq "x"' }, BASE_URL))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'SCIM_INVALID_FILTER' });
+      expect(User.findAndCountAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createUser', () => {
+    it('should provision a user with the default role and keep the external ID', async () => {
+      userService.createUser.mockResolvedValue({ id: 12 });
+      User.findByPk.mockResolvedValue(buildUser());
+
+      await scimService.createUser({
+        schemas: [scimService.SCHEMAS.USER],
+        userName: 'jdoe',
+        externalId: 'hr-1001',
+        name: { givenName: 'Jane', familyName: 'Doe' },
+        emails: [{ value: 'other@example.com' }, { value: 'jdoe@example.com', primary: true }],
+        active: true
+      }, context);
+
+      expect(userService.createUser).toHaveBeenCalledWith(expect.objectContaining({
+        username: 'jdoe',
+        email: 'jdoe@example.com',
+        firstName: 'Jane',
+        lastName: 'Doe',
+        roleId: 4,
+        accountStatus: 'active'
+      }));
+      expect(User.update).toHaveBeenCalledWith({ scimExternalId: 'hr-1001' }, { where: { id: 12 } });
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(12, 'SCIM_USER_PROVISIONED', { tokenId: 3 });
+    });
+
+    it('should require a user name, email and name', async () => {
+      await expect(scimService.createUser({ userName: 'jdoe' }, context))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'SCIM_INVALID_VALUE' });
+      expect(userService.createUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('patchUser', () => {
+    it('should apply Azure AD style operations', async () => {
+      User.findByPk.mockResolvedValue(buildUser());
+      Department.findOne.mockResolvedValue({ id: 5, name: 'Radiology' });
+
+      await scimService.patchUser('12', {
+        schemas: [scimService.SCHEMAS.PATCH_OP],
+        Operations: [
+          { op: 'Replace', path: 'name.familyName', value: 'Smith' },
+          { op: 'Replace', path: 'emails[type eq "work"].value', value: 'jsmith@example.com' },
+          { op: 'Add', path: `${scimService.SCHEMAS.ENTERPRISE_USER}:department`, value: 'Radiology' },
+          { op: 'Replace', path: 'phoneNumbers[type eq "work"].value', value: '555-0100' }
+        ]
+      }, context);
+
+      expect(userService.updateUser).toHaveBeenCalledWith(12, {
+        lastName: 'Smith',
+        email: 'jsmith@example.com',
+        departmentId: 5
+      });
+      expect(userService.deactivateUser).not.toHaveBeenCalled();
+    });
+
+    it('should deprovision a user set inactive and end their sessions', async () => {
+      User.findByPk.mockResolvedValue(buildUser());
+      invalidateUserSessions.mockResolvedValue(2);
+
+      await scimService.patchUser('12', {
+        Operations: [{ op: 'replace', value: { active: 'False' } }]
+      }, context);
+
+      expect(userService.deactivateUser).toHaveBeenCalledWith(12);
+      expect(invalidateUserSessions).toHaveBeenCalledWith(12);
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(12, 'SCIM_USER_DEPROVISIONED', {
+        tokenId: 3,
+        sessionsInvalidated: 2
+      });
+    });
+
+    it('should reactivate an inactive user', async () => {
+      User.findByPk.mockResolvedValue(buildUser({ accountStatus: 'inactive' }));
+
+      await scimService.patchUser('12', {
+        Operations: [{ op: 'replace', path: 'active', value: true }]
+      }, context);
+
+      expect(userService.updateUser).toHaveBeenCalledWith(12, { accountStatus: 'active' });
+      expect(userService.deactivateUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteUser', () => {
+    it('should deactivate rather than delete the user', async () => {
+      User.findByPk.mockResolvedValue(buildUser());
+
+      await scimService.deleteUser('12', context);
+
+      expect(userService.deactivateUser).toHaveBeenCalledWith(12);
+      expect(invalidateUserSessions).toHaveBeenCalledWith(12);
+    });
+
+    it('should return not found for unknown users', async () => {
+      User.findByPk.mockResolvedValue(null);
+
+      await expect(scimService.deleteUser('99', context))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(userService.deactivateUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('groups', () => {
+    it('should list roles and departments as groups with members', async () => {
+      Role.findAll.mockResolvedValue([{ id: 1, name: 'Admin' }, { id: 4, name: 'Employee' }]);
+      Department.findAll.mockResolvedValue([{ id: 2, name: 'Clinical' }]);
+      User.findAll.mockResolvedValue([
+        { id: 7, firstName: 'Ada', lastName: 'Admin', roleId: 1, departmentId: null },
+        { id: 12, firstName: 'Jane', lastName: 'Doe', roleId: 4, departmentId: 2 }
+      ]);
+
+      const result = await scimService.listGroups({ filter: 'displayName eq "clinical"' }, BASE_URL);
+
+      expect(result.totalResults).toBe(1);
+      expect(result.Resources[0]).toMatchObject({
+        id: 'department-2',
+        displayName: 'Clinical',
+        members: [{ value: '12', display: 'Jane Doe' }]
+      });
+    });
+
+    it('should move a user into a role when added to the role group', async () => {
+      Role.findByPk.mockResolvedValue({ id: 1, name: 'Admin' });
+      User.findByPk.mockResolvedValue({ id: 12, roleId: 4, departmentId: 2 });
+      User.findAll.mockResolvedValue([]);
+
+      await scimService.patchGroup('role-1', {
+        Operations: [{ op: 'add', path: 'members', value: [{ value: '12' }] }]
+      }, context);
+
+      expect(userService.updateUser).toHaveBeenCalledWith(12, { roleId: 1 });
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(12, 'SCIM_GROUP_MEMBER_ADDED', expect.objectContaining({
+        group: 'role-1',
+        roleId: { from: 4, to: 1 }
+      }));
+    });
+
+    it('should give users removed from a role the default role', async () => {
+      Role.findByPk.mockResolvedValue({ id: 1, name: 'Admin' });
+      User.findByPk.mockResolvedValue({ id: 7, roleId: 1 });
+      User.findAll.mockResolvedValue([{ id: 7, roleId: 1 }]);
+
+      await scimService.patchGroup('role-1', {
+        Operations: [{ op: 'remove', path: 'members[value eq "7"]' }]
+      }, context);
+
+      expect(userService.updateUser).toHaveBeenCalledWith(7, { roleId: 4 });
+    });
+
+    it('should not rename or delete roles', async () => {
+      Role.findByPk.mockResolvedValue({ id: 1, name: 'Admin' });
+
+      await expect(scimService.patchGroup('role-1', {
+        Operations: [{ op: 'replace', path: 'displayName', value: 'Superusers' }]
+      }, context)).rejects.toMatchObject({ errorCode: 'SCIM_MUTABILITY' });
+      await expect(scimService.deleteGroup('role-1'))
+        .rejects.toMatchObject({ errorCode: 'SCIM_MUTABILITY' });
+    });
+  });
+
+  describe('tokens', () => {
+    it('should store only a hash of a new token', async () => {
+      ScimToken.create.mockImplementation(async values => ({ id: 3, ...values }));
+
+      const result = await scimService.createToken({ name: 'Okta', expiresInDays: 90 }, 1);
+
+      expect(result.token).toMatch(/^scim_/);
+      const stored = ScimToken.create.mock.calls[0][0];
+      expect(stored.tokenHash).toBe(crypto.createHash('sha256').update(result.token).digest('hex'));
+      expect(JSON.stringify(stored)).not.toContain(result.token);
+    });
+
+    it('should authenticate by hash and refuse revoked or expired tokens', async () => {
+      const update = jest.fn();
+      ScimToken.findOne.mockResolvedValue({ id: 3, revokedAt: null, expiresAt: null, update });
+
+      await expect(scimService.authenticateToken('scim_abc')).resolves.toMatchObject({ id: 3 });
+      expect(ScimToken.findOne).toHaveBeenCalledWith({
+        where: { tokenHash: crypto.createHash('sha256').update('scim_abc').digest('hex') }
+      });
+      expect(update).toHaveBeenCalledWith({ lastUsedAt: expect.any(Date) });
+
+      ScimToken.findOne.mockResolvedValue({ id: 3, revokedAt: new Date(), update });
+      await expect(scimService.authenticateToken('scim_abc'))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: 'SCIM_UNAUTHORIZED' });
+
+      ScimToken.findOne.mockResolvedValue({ id: 3, revokedAt: null, expiresAt: new Date(Date.now() - 1000), update });
+      await expect(scimService.authenticateToken('scim_abc'))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Service Account Service Unit Tests
+ * @module tests/unit/services/service-account-service
+ */
+const crypto = require('crypto');
+const serviceAccountService = require('../../../services/service-account.service');
+const securityService = require('../../../services/security.service');
+const { User, Role, ApiKey, AuditLog } = require('../../../models');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  User: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn()
+  },
+  Role: {
+    findByPk: jest.fn()
+  },
+  Department: {},
+  ApiKey: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findAll: jest.fn()
+  },
+  AuditLog: {
+    createWithHash: jest.fn()
+  }
+}));
+
+jest.mock('../../../services/security.service', () => ({
+  logSecurityEvent: jest.fn()
+}));
+
+jest.mock('../../../services/role.service', () => ({
+  applyEffectivePermissions: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('bcrypt', () => ({
+  hash: jest.fn().mockResolvedValue('hashed-password')
+}));
+
+const DAY = 24 * 60 * 60 * 1000;
+const admin = { id: 1 };
+const hrRole = { id: 5, name: 'HR Integration', permissions: { canViewUsers: true, canManageTraining: true } };
+
+/**
+ * Build a mock API key record
+ * @param {Object} values - Values to override
+ * @returns {Object} Mock key
+ */
+const buildKey = (values = {}) => {
+  const key = {
+    id: 7,
+    serviceAccountId: 20,
+    name: 'Workday sync',
+    keyPrefix: 'svc_abcdefgh',
+    scopes: ['canViewUsers'],
+    allowedRoutes: ['GET /api/users*'],
+    ipAllowlist: [],
+    expiresAt: new Date(Date.now() + 30 * DAY),
+    revokedAt: null,
+    ...values
+  };
+  key.update = jest.fn(async (changes) => Object.assign(key, changes));
+  return key;
+};
+
+/**
+ * Build a mock service account
+ * @param {Object} values - Values to override
+ * @returns {Object} Mock account
+ */
+const buildAccount = (values = {}) => ({
+  id: 20,
+  username: 'workday-sync',
+  accountType: 'service',
+  accountStatus: 'active',
+  role: { ...hrRole },
+  get: () => ({ id: 20 }),
+  ...values
+});
+
+describe('Service Account Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ApiKey.create.mockImplementation(async values => ({ id: 8, ...values, get: () => ({ id: 8, ...values }) }));
+  });
+
+  describe('createServiceAccount', () => {
+    it('should create a service account that cannot sign in with a known password', async () => {
+      Role.findByPk.mockResolvedValue(hrRole);
+      User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(buildAccount());
+      User.create.mockResolvedValue({ id: 20, username: 'workday-sync' });
+
+      await serviceAccountService.createServiceAccount({ username: 'workday-sync', name: 'Workday HR sync', roleId: 5 }, admin);
+
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+        username: 'workday-sync',
+        email: 'workday-sync@service-accounts.invalid',
+        password: 'hashed-password',
+        accountType: 'service',
+        roleId: 5
+      }));
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(1, 'SERVICE_ACCOUNT_CREATED', expect.objectContaining({ serviceAccountId: 20 }));
+    });
+
+    it('should refuse management requests made with an API key', async () => {
+      await expect(serviceAccountService.createServiceAccount({ username: 'other', name: 'Other', roleId: 5 }, { id: 20, apiKey: buildKey() }))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'API_KEY_MANAGEMENT_FORBIDDEN' });
+      expect(User.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createApiKey', () => {
+    beforeEach(() => {
+      User.findOne.mockResolvedValue(buildAccount());
+    });
+
+    it('should store only a hash of the key and return the key once', async () => {
+      const created = await serviceAccountService.createApiKey(20, {
+        name: 'Workday sync',
+        scopes: ['canViewUsers'],
+        allowedRoutes: ['get /api/users*'],
+        ipAllowlist: ['10.0.0.0/8'],
+        expiresInDays: 30
+      }, admin);
+
+      const stored = ApiKey.create.mock.calls[0][0];
+      expect(created.key).toMatch(/^svc_/);
+      expect(stored.keyHash).toBe(crypto.createHash('sha256').update(created.key).digest('hex'));
+      expect(stored).not.toHaveProperty('key');
+      expect(stored.keyPrefix).toBe(created.key.slice(0, 12));
+      expect(stored.allowedRoutes).toEqual(['GET /api/users*']);
+      expect(stored.expiresAt.getTime()).toBeCloseTo(Date.now() + 30 * DAY, -4);
+      expect(created).not.toHaveProperty('keyHash');
+    });
+
+    it('should reject scopes the role does not grant, missing routes and long expiries', async () => {
+      await expect(serviceAccountService.createApiKey(20, { name: 'k', scopes: ['isAdmin'], allowedRoutes: ['GET /api/users'] }, admin))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'API_KEY_SCOPE_NOT_GRANTED' });
+      await expect(serviceAccountService.createApiKey(20, { name: 'k', scopes: [], allowedRoutes: [] }, admin))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(serviceAccountService.createApiKey(20, { name: 'k', scopes: [], allowedRoutes: ['GET /api/*/x'] }, admin))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(serviceAccountService.createApiKey(20, { name: 'k', scopes: [], allowedRoutes: ['GET /api/users'], expiresInDays: 1000 }, admin))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(ApiKey.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rotateApiKey', () => {
+    it('should issue a replacement and let the old key work only for the grace period', async () => {
+      const oldKey = buildKey();
+      User.findOne.mockResolvedValue(buildAccount());
+      ApiKey.findOne.mockResolvedValue(oldKey);
+
+      const created = await serviceAccountService.rotateApiKey(20, 7, { graceHours: 2 }, admin);
+
+      expect(created.rotatedFromId).toBe(7);
+      expect(created.scopes).toEqual(['canViewUsers']);
+      expect(created.allowedRoutes).toEqual(['GET /api/users*']);
+      expect(oldKey.expiresAt.getTime()).toBeCloseTo(Date.now() + 2 * 60 * 60 * 1000, -4);
+      expect(oldKey.revokedAt).toBeNull();
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(1, 'API_KEY_ROTATED', expect.objectContaining({ rotatedFromId: 7 }));
+    });
+
+    it('should revoke the old key straight away without a grace period', async () => {
+      const oldKey = buildKey();
+      User.findOne.mockResolvedValue(buildAccount());
+      ApiKey.findOne.mockResolvedValue(oldKey);
+
+      await serviceAccountService.rotateApiKey(20, 7, { graceHours: 0 }, admin);
+
+      expect(oldKey.revokedAt).toBeInstanceOf(Date);
+      expect(oldKey.revokedBy).toBe(1);
+    });
+  });
+
+  describe('authenticateApiKey', () => {
+    const request = { method: 'GET', path: '/api/users/42', ipAddress: '::ffff:10.1.2.3' };
+
+    it('should authenticate an active key and record its use', async () => {
+      const apiKey = buildKey({ ipAllowlist: ['10.0.0.0/8'] });
+      ApiKey.findOne.mockResolvedValue(apiKey);
+      User.findOne.mockResolvedValue(buildAccount());
+
+      const result = await serviceAccountService.authenticateApiKey('svc_secret', request);
+
+      expect(ApiKey.findOne).toHaveBeenCalledWith({
+        where: { keyHash: crypto.createHash('sha256').update('svc_secret').digest('hex') }
+      });
+      expect(result.apiKey).toBe(apiKey);
+      expect(apiKey.update).toHaveBeenCalledWith(expect.objectContaining({ lastUsedIp: '::ffff:10.1.2.3' }));
+    });
+
+    it('should reject unknown, revoked and expired keys', async () => {
+      ApiKey.findOne.mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(buildKey({ revokedAt: new Date() }))
+        .mockResolvedValueOnce(buildKey({ expiresAt: new Date(Date.now() - 1000) }));
+
+      for (let attempt = 0; attempt < 3; attempt++) {
+        await expect(serviceAccountService.authenticateApiKey('svc_secret', request))
+          .rejects.toMatchObject({ statusCode: 401, errorCode: 'API_KEY_INVALID' });
+      }
+    });
+
+    it('should reject keys of inactive accounts, other addresses and other routes', async () => {
+      ApiKey.findOne.mockResolvedValue(buildKey({ ipAllowlist: ['192.168.1.10'] }));
+      User.findOne.mockResolvedValueOnce(buildAccount({ accountStatus: 'inactive' }));
+      await expect(serviceAccountService.authenticateApiKey('svc_secret', request))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'SERVICE_ACCOUNT_INACTIVE' });
+
+      User.findOne.mockResolvedValue(buildAccount());
+      await expect(serviceAccountService.authenticateApiKey('svc_secret', request))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'API_KEY_IP_RESTRICTED' });
+
+      ApiKey.findOne.mockResolvedValue(buildKey());
+      await expect(serviceAccountService.authenticateApiKey('svc_secret', { ...request, method: 'DELETE' }))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'API_KEY_ROUTE_FORBIDDEN' });
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(20, 'API_KEY_ROUTE_DENIED', expect.objectContaining({ apiKeyId: 7 }));
+    });
+  });
+
+  describe('matchesRoute', () => {
+    it('should match methods exactly and paths exactly or by prefix', () => {
+      const patterns = ['GET /api/incidents*', '* /api/training/courses'];
+
+      expect(serviceAccountService.matchesRoute(patterns, 'GET', '/api/incidents/3')).toBe(true);
+      expect(serviceAccountService.matchesRoute(patterns, 'POST', '/api/incidents')).toBe(false);
+      expect(serviceAccountService.matchesRoute(patterns, 'PUT', '/api/training/courses/')).toBe(true);
+      expect(serviceAccountService.matchesRoute(patterns, 'PUT', '/api/training/courses/4')).toBe(false);
+    });
+  });
+
+  describe('applyScopes', () => {
+    it('should limit the role to the key scopes and drop trust in the role name', () => {
+      const user = buildAccount({ role: { id: 1, name: 'Admin', permissions: { isAdmin: true } } });
+
+      serviceAccountService.applyScopes(user, buildKey({ scopes: ['canViewUsers'] }));
+
+      expect(user.role).toEqual({ id: 1, name: 'Admin (API key)', permissions: { canViewUsers: true } });
+    });
+
+    it('should drop scopes the role no longer grants', () => {
+      const user = buildAccount();
+
+      serviceAccountService.applyScopes(user, buildKey({ scopes: ['canViewUsers', 'canManageDocuments'] }));
+
+      expect(user.role.permissions).toEqual({ canViewUsers: true });
+    });
+  });
+
+  describe('tagRequest', () => {
+    it('should write the request to the audit log with the key once the response is sent', () => {
+      AuditLog.createWithHash.mockResolvedValue({});
+      const handlers = {};
+      const res = { statusCode: 200, on: (event, handler) => { handlers[event] = handler; } };
+      const req = { method: 'GET', originalUrl: '/api/users/42?include=role', ip: '10.1.2.3', headers: {} };
+
+      serviceAccountService.tagRequest(req, res, buildKey());
+      handlers.finish();
+
+      expect(AuditLog.createWithHash).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 20,
+        action: 'READ',
+        category: 'API_KEY',
+        entityType: 'users',
+        entityId: '42',
+        apiKeyId: 7
+      }));
+    });
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * SSO Service Unit Tests
+ * Runs the real OpenID Connect client against the mock identity provider in scripts/
+ * @module tests/unit/services/sso-service
+ */
+const http = require('http');
+const ssoService = require('../../../services/sso.service');
+const cacheService = require('../../../services/cache.service');
+const settingsService = require('../../../services/settings.service');
+const securityService = require('../../../services/security.service');
+const trainingRuleService = require('../../../services/training-rule.service');
+const { User, Role, SsoGroupMapping } = require('../../../models');
+const { startMockOidcProvider } = require('../../../scripts/mock-oidc-provider');
+const { mockRecord } = require('../../utils/mock-utils');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  User: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn()
+  },
+  Role: {
+    findOne: jest.fn(),
+    findByPk: jest.fn()
+  },
+  Department: {
+    findByPk: jest.fn()
+  },
+  SsoGroupMapping: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn()
+  },
+  sequelize: {
+    transaction: jest.fn(async (callback) => callback({}))
+  }
+}));
+
+// In-memory cache so authorization requests survive between steps
+jest.mock('../../../services/cache.service', () => {
+  const store = new Map();
+  return {
+    store,
+    get: jest.fn(async key => store.get(key)),
+    set: jest.fn(async (key, value) => { store.set(key, value); return true; }),
+    del: jest.fn(async key => store.delete(key))
+  };
+});
+
+jest.mock('../../../services/settings.service', () => ({
+  getSetting: jest.fn(),
+  getSettings: jest.fn(),
+  updateSettings: jest.fn()
+}));
+
+jest.mock('../../../services/security.service', () => ({
+  logSecurityEvent: jest.fn()
+}));
+
+jest.mock('../../../services/training-rule.service', () => ({
+  applyRulesToUser: jest.fn()
+}));
+
+/**
+ * Request a URL without following redirects and return the Location header
+ * @param {string} url - URL to request
+ * @returns {Promise<URL>} Redirect target
+ */
+const getRedirect = (url) => new Promise((resolve, reject) => {
+  http.get(url, (res) => {
+    res.resume();
+    resolve(new URL(res.headers.location));
+  }).on('error', reject);
+});
+
+/**
+ * Run the browser part of the flow: start sign-in and follow the provider's redirect
+ * @param {Object} [options] - createAuthorizationRequest options
+ * @returns {Promise<Object>} Callback query parameters and the browser state
+ */
+const authorize = async (options = {}) => {
+  const { url, state } = await ssoService.createAuthorizationRequest(options);
+  const callback = await getRedirect(url);
+  return { params: Object.fromEntries(callback.searchParams), state };
+};
+
+const mappings = [
+  { id: 1, claim: 'groups', value: 'hipaa-admins', roleId: 1, departmentId: null, priority: 10 },
+  { id: 2, claim: 'groups', value: 'clinical-staff', roleId: 4, departmentId: 4, priority: 100 }
+];
+
+describe('SSO Service', () => {
+  let provider;
+
+  beforeAll(async () => {
+    provider = await startMockOidcProvider();
+    Object.assign(ssoService.SSO_CONFIG, {
+      ISSUER: provider.issuer,
+      CLIENT_ID: 'hipaa-app',
+      REDIRECT_URI: 'http://localhost:8080/api/auth/sso/callback'
+    });
+  });
+
+  afterAll(async () => {
+    await provider.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheService.store.clear();
+    SsoGroupMapping.findAll.mockResolvedValue(mappings);
+    User.findAll.mockResolvedValue([]);
+    User.findByPk.mockImplementation(async id => mockRecord({ id, accountStatus: 'active', role: { id: 4, name: 'Employee' } }));
+    settingsService.getSetting.mockResolvedValue(null);
+  });
+
+  describe('createAuthorizationRequest', () => {
+    it('should send a PKCE challenge and keep the verifier server side', async () => {
+      const { url, state } = await ssoService.createAuthorizationRequest({ returnTo: '/training', loginHint: 'idp.nurse' });
+      const authorizationUrl = new URL(url);
+
+      expect(authorizationUrl.origin).toBe(provider.issuer);
+      expect(authorizationUrl.searchParams.get('code_challenge_method')).toBe('S256');
+      expect(authorizationUrl.searchParams.get('state')).toBe(state);
+      expect(authorizationUrl.searchParams.get('login_hint')).toBe('idp.nurse');
+
+      const pending = cacheService.store.get(`sso:state:${state}`);
+      expect(pending).toEqual({ nonce: expect.any(String), codeVerifier: expect.any(String), returnTo: '/training' });
+      expect(url).not.toContain(pending.codeVerifier);
+    });
+
+    it('should only return to relative application paths', () => {
+      expect(ssoService.sanitizeReturnTo('/documents/4')).toBe('/documents/4');
+      expect(ssoService.sanitizeReturnTo('//evil.example.com')).toBe('/');
+      expect(ssoService.sanitizeReturnTo('https://evil.example.com')).toBe('/');
+      expect(ssoService.sanitizeReturnTo(undefined)).toBe('/');
+    });
+  });
+
+  describe('handleCallback', () => {
+    it('should create a user just in time with the mapped role and department', async () => {
+      User.findOne.mockResolvedValue(null);
+      Role.findOne.mockResolvedValue({ id: 4, name: 'Employee' });
+      User.create.mockImplementation(async values => mockRecord({ id: 30, ...values }));
+
+      const { params, state } = await authorize({ returnTo: '/training', loginHint: 'idp.nurse' });
+      const result = await ssoService.handleCallback(params, state);
+
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+        username: 'idp.nurse',
+        email: 'idp.nurse@example.com',
+        firstName: 'Nia',
+        lastName: 'Nurse',
+        roleId: 4,
+        departmentId: 4,
+        authProvider: 'oidc',
+        ssoIssuer: provider.issuer,
+        ssoSubject: 'mock-nurse'
+      }), expect.anything());
+      expect(User.create.mock.calls[0][0].password).toMatch(/^\$2[aby]\$/);
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(30, 'SSO_USER_PROVISIONED', expect.objectContaining({ mappings: [2] }));
+      expect(trainingRuleService.applyRulesToUser).toHaveBeenCalledWith(expect.objectContaining({ id: 30, roleId: 4, departmentId: 4 }));
+      expect(result.mfaAsserted).toBe(false);
+      expect(result.returnTo).toBe('/training');
+    });
+
+    it('should sync the role of a linked user and recognise MFA done at the provider', async () => {
+      const linkedUser = mockRecord({ id: 7, roleId: 4, departmentId: 2, accountStatus: 'active', ssoSubject: 'mock-admin' });
+      User.findOne.mockResolvedValue(linkedUser);
+
+      const { params, state } = await authorize({ loginHint: 'idp.admin' });
+      const result = await ssoService.handleCallback(params, state);
+
+      expect(User.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { ssoIssuer: provider.issuer, ssoSubject: 'mock-admin' }
+      }));
+      expect(linkedUser.update).toHaveBeenCalledWith({ roleId: 1 }, expect.anything());
+      expect(trainingRuleService.applyRulesToUser).toHaveBeenCalledWith(linkedUser);
+      expect(User.create).not.toHaveBeenCalled();
+      expect(result.mfaAsserted).toBe(true);
+    });
+
+    it('should link an existing local account with a verified email', async () => {
+      const localUser = mockRecord({ id: 9, roleId: 4, departmentId: 4, accountStatus: 'active', ssoSubject: null });
+      User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(localUser);
+
+      const { params, state } = await authorize({ loginHint: 'idp.nurse' });
+      await ssoService.handleCallback(params, state);
+
+      expect(localUser.update).toHaveBeenCalledWith({
+        authProvider: 'oidc',
+        ssoIssuer: provider.issuer,
+        ssoSubject: 'mock-nurse'
+      }, expect.anything());
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(9, 'SSO_ACCOUNT_LINKED', expect.any(Object));
+      expect(trainingRuleService.applyRulesToUser).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to link an account linked to another identity', async () => {
+      User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(mockRecord({ id: 9, ssoSubject: 'someone-else' }));
+
+      const { params, state } = await authorize({ loginHint: 'idp.nurse' });
+
+      await expect(ssoService.handleCallback(params, state))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'SSO_ACCOUNT_CONFLICT' });
+    });
+
+    it('should reject a state from another browser and replayed responses', async () => {
+      User.findOne.mockResolvedValue(mockRecord({ id: 7, accountStatus: 'active' }));
+      const { params, state } = await authorize({ loginHint: 'idp.nurse' });
+
+      await expect(ssoService.handleCallback(params, 'attacker-state'))
+        .rejects.toMatchObject({ errorCode: 'SSO_STATE_MISMATCH' });
+
+      await ssoService.handleCallback(params, state);
+      await expect(ssoService.handleCallback(params, state))
+        .rejects.toMatchObject({ errorCode: 'SSO_STATE_EXPIRED' });
+    });
+
+    it('should fail when the PKCE verifier does not match the challenge', async () => {
+      const { params, state } = await authorize({ loginHint: 'idp.nurse' });
+      cacheService.store.get(`sso:state:${state}`).codeVerifier = 'x'.repeat(43);
+
+      await expect(ssoService.handleCallback(params, state))
+        .rejects.toMatchObject({ statusCode: 401, errorCode: 'SSO_VERIFICATION_FAILED' });
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('should surface errors returned by the identity provider', async () => {
+      const { params, state } = await authorize({ loginHint: 'nobody' });
+
+      expect(params.error).toBe('access_denied');
+      await expect(ssoService.handleCallback(params, state))
+        .rejects.toMatchObject({ errorCode: 'SSO_PROVIDER_ERROR' });
+    });
+
+    it('should refuse deactivated accounts', async () => {
+      User.findOne.mockResolvedValue(mockRecord({ id: 7, roleId: 4, departmentId: 4, accountStatus: 'inactive' }));
+      const { params, state } = await authorize({ loginHint: 'idp.nurse' });
+
+      await expect(ssoService.handleCallback(params, state))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'ACCOUNT_INACTIVE' });
+    });
+  });
+
+  describe('resolveMappings', () => {
+    it('should let the lowest priority number win', async () => {
+      const result = await ssoService.resolveMappings({ groups: ['clinical-staff', 'hipaa-admins'] });
+
+      expect(result).toEqual({ roleId: 1, departmentId: 4, matchedMappingIds: [1, 2] });
+    });
+
+    it('should match single valued claims', async () => {
+      SsoGroupMapping.findAll.mockResolvedValue([{ id: 3, claim: 'department', value: 'IT', roleId: null, departmentId: 2 }]);
+
+      await expect(ssoService.resolveMappings({ department: 'IT' }))
+        .resolves.toEqual({ roleId: null, departmentId: 2, matchedMappingIds: [3] });
+    });
+  });
+
+  describe('assertLocalPasswordAllowed', () => {
+    it('should block passwords for SSO users only when the setting is on', async () => {
+      settingsService.getSetting.mockResolvedValue(true);
+
+      await expect(ssoService.assertLocalPasswordAllowed({ authProvider: 'oidc' }))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'LOCAL_LOGIN_DISABLED' });
+      await expect(ssoService.assertLocalPasswordAllowed({ authProvider: 'local' })).resolves.toBeUndefined();
+
+      settingsService.getSetting.mockResolvedValue(false);
+      await expect(ssoService.assertLocalPasswordAllowed({ authProvider: 'oidc' })).resolves.toBeUndefined();
+    });
+
+    it('should block passwords for service accounts', async () => {
+      await expect(ssoService.assertLocalPasswordAllowed({ authProvider: 'local', accountType: 'service' }))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'SERVICE_ACCOUNT_LOGIN_DISABLED' });
+    });
+  });
+
+  describe('createMapping', () => {
+    it('should require a role or department and reject duplicates', async () => {
+      await expect(ssoService.createMapping({ value: 'nurses' }, 1))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      Role.findByPk.mockResolvedValue({ id: 4 });
+      SsoGroupMapping.findOne.mockResolvedValue({ id: 2 });
+      await expect(ssoService.createMapping({ value: 'clinical-staff', roleId: 4 }, 1))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'DUPLICATE_SSO_MAPPING' });
+      expect(SsoGroupMapping.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Training Rule Service Unit Tests
+ * @module tests/unit/services/training-rule-service
+ */
+const trainingRuleService = require('../../../services/training-rule.service');
+const notificationService = require('../../../services/notification.service');
+const { TrainingAssignmentRule, TrainingAssignment, TrainingCourse, Role, User } = require('../../../models');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  TrainingAssignmentRule: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn()
+  },
+  TrainingAssignment: {
+    findAll: jest.fn(),
+    create: jest.fn()
+  },
+  TrainingCourse: {
+    findByPk: jest.fn()
+  },
+  Role: {
+    findByPk: jest.fn()
+  },
+  Department: {
+    findByPk: jest.fn()
+  },
+  User: {
+    findAll: jest.fn()
+  }
+}));
+
+jest.mock('../../../services/notification.service', () => ({
+  notifyTrainingAssigned: jest.fn()
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-18T00:00:00Z');
+
+const securityCourse = { id: 3, title: 'Security Awareness', status: 'active' };
+const nurseRule = {
+  id: 1,
+  name: 'Nurses complete privacy training',
+  courseId: 4,
+  roleId: 5,
+  departmentId: null,
+  dueWithinDays: 30,
+  dueFrom: 'hire_date',
+  isActive: true,
+  course: { id: 4, title: 'Privacy for Clinical Staff', status: 'active' }
+};
+const itRule = {
+  id: 2,
+  name: 'IT security awareness',
+  courseId: securityCourse.id,
+  roleId: null,
+  departmentId: 7,
+  dueWithinDays: null,
+  dueFrom: 'assignment_date',
+  isActive: true,
+  course: securityCourse
+};
+
+describe('Training Rule Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('ruleMatchesUser', () => {
+    it('should match on role and department, accepting string IDs', () => {
+      expect(trainingRuleService.ruleMatchesUser(nurseRule, { roleId: '5', departmentId: 1 })).toBe(true);
+      expect(trainingRuleService.ruleMatchesUser(nurseRule, { roleId: 6, departmentId: 1 })).toBe(false);
+      expect(trainingRuleService.ruleMatchesUser(itRule, { roleId: 6, departmentId: 7 })).toBe(true);
+    });
+
+    it('should only match users hired on or after the rule date', () => {
+      const rule = { ...itRule, departmentId: null, hiredOnOrAfter: new Date('2026-01-01') };
+
+      expect(trainingRuleService.ruleMatchesUser(rule, { hireDate: new Date('2026-03-01') })).toBe(true);
+      expect(trainingRuleService.ruleMatchesUser(rule, { hireDate: new Date('2025-03-01') })).toBe(false);
+      expect(trainingRuleService.ruleMatchesUser(rule, { hireDate: null })).toBe(false);
+    });
+  });
+
+  describe('computeDueDate', () => {
+    it('should count from the hire date for recent hires', () => {
+      const user = { hireDate: new Date(NOW.getTime() - 10 * DAY_MS) };
+      expect(trainingRuleService.computeDueDate(nurseRule, user, NOW)).toEqual(new Date(NOW.getTime() + 20 * DAY_MS));
+    });
+
+    it('should give the full period from today when the hire date window has passed', () => {
+      const user = { hireDate: new Date('2020-01-01') };
+      expect(trainingRuleService.computeDueDate(nurseRule, user, NOW)).toEqual(new Date(NOW.getTime() + 30 * DAY_MS));
+    });
+
+    it('should return null when the rule sets no due date', () => {
+      expect(trainingRuleService.computeDueDate(itRule, {}, NOW)).toBeNull();
+    });
+  });
+
+  describe('applyRulesToUser', () => {
+    const nurse = { id: 9, roleId: 5, departmentId: 7, hireDate: NOW, accountStatus: 'active' };
+
+    it('should create assignments for matching rules the user does not have yet', async () => {
+      TrainingAssignmentRule.findAll.mockResolvedValue([nurseRule, itRule]);
+      TrainingAssignment.findAll.mockResolvedValue([{ courseId: securityCourse.id }]);
+      TrainingAssignment.create.mockImplementation(async (values) => ({ id: 100, ...values }));
+
+      const created = await trainingRuleService.applyRulesToUser(nurse, { assignedBy: 1 });
+
+      expect(created).toHaveLength(1);
+      expect(TrainingAssignment.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 9,
+        courseId: 4,
+        assignedBy: 1,
+        status: 'assigned'
+      }));
+      expect(notificationService.notifyTrainingAssigned).toHaveBeenCalledWith(created[0], nurse, nurseRule.course);
+    });
+
+    it('should assign a course only once when several rules cover it', async () => {
+      TrainingAssignmentRule.findAll.mockResolvedValue([itRule, { ...itRule, id: 3, departmentId: null }]);
+      TrainingAssignment.findAll.mockResolvedValue([]);
+      TrainingAssignment.create.mockImplementation(async (values) => values);
+
+      const created = await trainingRuleService.applyRulesToUser(nurse);
+
+      expect(created).toHaveLength(1);
+    });
+
+    it('should skip inactive users', async () => {
+      const created = await trainingRuleService.applyRulesToUser({ ...nurse, accountStatus: 'inactive' });
+
+      expect(created).toEqual([]);
+      expect(TrainingAssignmentRule.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should not throw when applying rules fails', async () => {
+      TrainingAssignmentRule.findAll.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(trainingRuleService.applyRulesToUser(nurse)).resolves.toEqual([]);
+    });
+  });
+
+  describe('createRule', () => {
+    it('should validate the course and role before saving', async () => {
+      TrainingCourse.findByPk.mockResolvedValue(securityCourse);
+      Role.findByPk.mockResolvedValue({ id: 5 });
+      TrainingAssignmentRule.create.mockResolvedValue({ id: 10 });
+      TrainingAssignmentRule.findByPk.mockResolvedValue({ id: 10, name: 'Nurses' });
+
+      const rule = await trainingRuleService.createRule({ name: ' Nurses ', courseId: 3, roleId: 5, dueWithinDays: 30 }, 1);
+
+      expect(TrainingAssignmentRule.create).toHaveBeenCalledWith({
+        name: 'Nurses',
+        courseId: 3,
+        roleId: 5,
+        dueWithinDays: 30,
+        createdBy: 1
+      });
+      expect(rule).toEqual({ id: 10, name: 'Nurses' });
+    });
+
+    it('should reject unknown roles and invalid due periods', async () => {
+      TrainingCourse.findByPk.mockResolvedValue(securityCourse);
+      Role.findByPk.mockResolvedValue(null);
+
+      await expect(trainingRuleService.createRule({ name: 'Rule', courseId: 3, roleId: 99 }, 1))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Invalid roleId: Role not found' });
+      await expect(trainingRuleService.createRule({ name: 'Rule', courseId: 3, dueWithinDays: -1 }, 1))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('applyRuleToExistingUsers', () => {
+    it('should assign the rule\'s course to every matching active user', async () => {
+      TrainingAssignmentRule.findByPk.mockResolvedValue(itRule);
+      User.findAll.mockResolvedValue([
+        { id: 1, departmentId: 7, accountStatus: 'active' },
+        { id: 2, departmentId: 7, accountStatus: 'active' }
+      ]);
+      TrainingAssignment.findAll
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ courseId: securityCourse.id }]);
+      TrainingAssignment.create.mockImplementation(async (values) => values);
+
+      const result = await trainingRuleService.applyRuleToExistingUsers(2, 1);
+
+      expect(User.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { accountStatus: 'active', departmentId: 7 }
+      }));
+      expect(result).toEqual({ matchedUsers: 2, assignmentsCreated: 1 });
+    });
+
+    it('should refuse inactive rules', async () => {
+      TrainingAssignmentRule.findByPk.mockResolvedValue({ ...itRule, isActive: false });
+
+      await expect(trainingRuleService.applyRuleToExistingUsers(2, 1))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'RULE_INACTIVE' });
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Training Scheduler Service Unit Tests
+ * @module tests/unit/services/training-scheduler-service
+ */
+const trainingSchedulerService = require('../../../services/training-scheduler.service');
+const notificationService = require('../../../services/notification.service');
+const { TrainingAssignment, TrainingCourse, AuditLog } = require('../../../models');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  TrainingAssignment: {
+    findAll: jest.fn(),
+    update: jest.fn(),
+    create: jest.fn()
+  },
+  TrainingCourse: {
+    findAll: jest.fn()
+  },
+  User: {},
+  AuditLog: {
+    createWithHash: jest.fn()
+  },
+  sequelize: {
+    transaction: jest.fn(callback => callback({}))
+  }
+}));
+
+jest.mock('../../../services/notification.service', () => ({
+  notifyTrainingAssigned: jest.fn()
+}));
+
+const NOW = new Date('2026-10-18T00:00:00Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000);
+
+const user = { id: 1, firstName: 'Jane', lastName: 'Doe', accountStatus: 'active' };
+const annualCourse = { id: 10, title: 'Annual HIPAA Refresher', version: '1.0', frequencyDays: 365 };
+
+/**
+ * Build a mock assignment row
+ * @param {Object} values - Assignment values
+ * @returns {Object} Mock assignment
+ */
+const buildAssignment = (values) => ({ userId: user.id, courseId: annualCourse.id, user, ...values });
+
+describe('Training Scheduler Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TrainingCourse.findAll.mockResolvedValue([annualCourse]);
+  });
+
+  /**
+   * Mock the assignment queries: course assignments first, then overdue assignments
+   * @param {Array<Object>} courseAssignments - Assignments of the annual course
+   * @param {Array<Object>} [overdue] - Overdue open assignments
+   */
+  const mockAssignments = (courseAssignments, overdue = []) => {
+    TrainingAssignment.findAll
+      .mockResolvedValueOnce(courseAssignments)
+      .mockResolvedValueOnce(overdue);
+  };
+
+  describe('getRecurringDueDate', () => {
+    it('should use the recertification date when it is beyond the lead time', () => {
+      const recertificationDate = new Date('2026-12-31T00:00:00Z');
+      expect(trainingSchedulerService.getRecurringDueDate(recertificationDate, NOW)).toEqual(recertificationDate);
+    });
+
+    it('should give the full lead time when recertification is already due', () => {
+      const dueDate = trainingSchedulerService.getRecurringDueDate(daysAgo(10), NOW);
+      expect(dueDate).toEqual(new Date('2026-11-17T00:00:00Z'));
+    });
+  });
+
+  describe('findDueRecertifications', () => {
+    it('should plan a renewal once the recertification window is reached', async () => {
+      TrainingAssignment.findAll.mockResolvedValueOnce([
+        buildAssignment({ id: 5, status: 'completed', assignedDate: daysAgo(400), completionDate: daysAgo(350) })
+      ]);
+
+      const planned = await trainingSchedulerService.findDueRecertifications(NOW);
+
+      expect(planned).toHaveLength(1);
+      expect(planned[0]).toEqual(expect.objectContaining({
+        userId: 1,
+        courseId: 10,
+        previousAssignmentId: 5,
+        recertificationDate: new Date('2026-11-02T00:00:00Z'),
+        dueDate: new Date('2026-11-17T00:00:00Z')
+      }));
+    });
+
+    it('should skip completions that are not yet due', async () => {
+      TrainingAssignment.findAll.mockResolvedValueOnce([
+        buildAssignment({ id: 5, status: 'completed', assignedDate: daysAgo(100), completionDate: daysAgo(90) })
+      ]);
+
+      expect(await trainingSchedulerService.findDueRecertifications(NOW)).toEqual([]);
+    });
+
+    it('should skip users already reassigned since their last completion', async () => {
+      TrainingAssignment.findAll.mockResolvedValueOnce([
+        buildAssignment({ id: 6, status: 'assigned', assignedDate: daysAgo(20), completionDate: null }),
+        buildAssignment({ id: 5, status: 'completed', assignedDate: daysAgo(400), completionDate: daysAgo(380) })
+      ]);
+
+      expect(await trainingSchedulerService.findDueRecertifications(NOW)).toEqual([]);
+    });
+
+    it('should assign the course again when the renewal expired', async () => {
+      TrainingAssignment.findAll.mockResolvedValueOnce([
+        buildAssignment({ id: 6, status: 'expired', assignedDate: daysAgo(20), completionDate: null }),
+        buildAssignment({ id: 5, status: 'completed', assignedDate: daysAgo(400), completionDate: daysAgo(380) })
+      ]);
+
+      const planned = await trainingSchedulerService.findDueRecertifications(NOW);
+
+      expect(planned).toHaveLength(1);
+      expect(planned[0]).toEqual(expect.objectContaining({
+        previousAssignmentId: 5,
+        dueDate: new Date('2026-11-17T00:00:00Z')
+      }));
+    });
+
+    it('should assign the course again when the renewal was failed', async () => {
+      TrainingAssignment.findAll.mockResolvedValueOnce([
+        buildAssignment({ id: 6, status: 'failed', assignedDate: daysAgo(20), completionDate: null }),
+        buildAssignment({ id: 5, status: 'completed', assignedDate: daysAgo(400), completionDate: daysAgo(380) })
+      ]);
+
+      const planned = await trainingSchedulerService.findDueRecertifications(NOW);
+
+      expect(planned).toHaveLength(1);
+      expect(planned[0].previousAssignmentId).toBe(5);
+    });
+
+    it('should only consider courses with a frequency', async () => {
+      TrainingCourse.findAll.mockResolvedValue([]);
+
+      await trainingSchedulerService.findDueRecertifications(NOW);
+
+      expect(TrainingCourse.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ status: 'active' })
+      }));
+      expect(TrainingAssignment.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runScheduler', () => {
+    const completed = buildAssignment({ id: 5, status: 'completed', assignedDate: daysAgo(400), completionDate: daysAgo(370) });
+    const overdue = { id: 9, userId: 2, courseId: 11, status: 'in_progress', dueDate: daysAgo(1) };
+
+    it('should report planned changes without writing in dry-run mode', async () => {
+      mockAssignments([completed], [overdue]);
+
+      const summary = await trainingSchedulerService.runScheduler({ dryRun: true, now: NOW });
+
+      expect(summary.dryRun).toBe(true);
+      expect(summary.toCreate).toHaveLength(1);
+      expect(summary.toCreate[0].user).toBeUndefined();
+      expect(summary.toExpire).toEqual([expect.objectContaining({ id: 9, status: 'in_progress' })]);
+      expect(TrainingAssignment.create).not.toHaveBeenCalled();
+      expect(TrainingAssignment.update).not.toHaveBeenCalled();
+    });
+
+    it('should create renewals, expire overdue assignments and notify learners', async () => {
+      mockAssignments([completed], [overdue]);
+      TrainingAssignment.update.mockResolvedValue([1]);
+      TrainingAssignment.create.mockResolvedValue({ id: 20, dueDate: NOW });
+
+      const summary = await trainingSchedulerService.runScheduler({ now: NOW });
+
+      expect(summary.created).toBe(1);
+      expect(summary.expired).toBe(1);
+      expect(TrainingAssignment.update).toHaveBeenCalledWith({ status: 'expired' }, expect.any(Object));
+      expect(TrainingAssignment.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 1,
+        courseId: 10,
+        status: 'assigned'
+      }), expect.any(Object));
+      expect(notificationService.notifyTrainingAssigned).toHaveBeenCalledWith({ id: 20, dueDate: NOW }, user, annualCourse);
+      expect(AuditLog.createWithHash).toHaveBeenCalledWith(expect.objectContaining({ action: 'TRAINING_SCHEDULER_RUN' }));
+    });
+
+    it('should not write an audit entry when nothing changed', async () => {
+      mockAssignments([]);
+
+      const summary = await trainingSchedulerService.runScheduler({ now: NOW });
+
+      expect(summary.created).toBe(0);
+      expect(AuditLog.createWithHash).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -5,6 +5,7 @@
 const userService = require('../../../services/user.service');
 const { User, Role, Department } = require('../../../models');
 const { AppError } = require('../../../utils/error-handler');
+const trainingRuleService = require('../../../services/training-rule.service');
 const bcrypt = require('bcrypt');
 
 // Mock the models
@@ -54,6 +55,11 @@ jest.mock('../../../models', () => {
   };
 });
 
+// Mock training rules so user changes don't create assignments
+jest.mock('../../../services/training-rule.service', () => ({
+  applyRulesToUser: jest.fn().mockResolvedValue([])
+}));
+
 // Mock bcrypt
 jest.mock('bcrypt', () => ({
   hash: jest.fn().mockResolvedValue('hashed_password'),
@@ -165,6 +171,7 @@ describe('User Service', () => {
       expect(User.findOne).toHaveBeenCalled();
       expect(bcrypt.hash).toHaveBeenCalledWith('Password123!', 10);
       expect(User.create).toHaveBeenCalled();
+      expect(trainingRuleService.applyRulesToUser).toHaveBeenCalledWith(expect.objectContaining({ id: 2 }));
       expect(result).toHaveProperty('id', 2);
       expect(result).toHaveProperty('username', 'newuser');
       expect(result).not.toHaveProperty('password'); // Password should be removed
@@ -247,11 +254,32 @@ describe('User Service', () => {
       
       expect(User.findByPk).toHaveBeenCalledWith(1);
       expect(mockUser.update).toHaveBeenCalled();
+      expect(trainingRuleService.applyRulesToUser).not.toHaveBeenCalled();
       expect(result).toHaveProperty('email', 'updated@example.com');
       expect(result).toHaveProperty('firstName', 'Updated');
       expect(result).toHaveProperty('position', 'Senior Employee');
     });
     
+    it('should apply training rules when the department changes', async () => {
+      const mockUser = {
+        id: 1,
+        username: 'testuser',
+        email: 'test@example.com',
+        departmentId: 1,
+        roleId: 2,
+        accountStatus: 'active'
+      };
+      mockUser.update = jest.fn(async (values) => Object.assign(mockUser, values));
+
+      User.findByPk = jest.fn()
+        .mockResolvedValueOnce(mockUser)
+        .mockResolvedValueOnce({ ...mockUser, departmentId: 3 });
+
+      await userService.updateUser(1, { departmentId: 3 });
+
+      expect(trainingRuleService.applyRulesToUser).toHaveBeenCalledWith(mockUser);
+    });
+    
     it('should throw an error when user not found', async () => {
       // Mock User.findByPk to return null
       User.findByPk = jest.fn().mockResolvedValue(null);
@@ -0,0 +1,231 @@
+/**
+ * WebAuthn Service Unit Tests
+ * @module tests/unit/services/webauthn-service
+ */
+const simpleWebAuthn = require('@simplewebauthn/server');
+const webauthnService = require('../../../services/webauthn.service');
+const cacheService = require('../../../services/cache.service');
+const securityService = require('../../../services/security.service');
+const { WebAuthnCredential } = require('../../../models');
+const { mockRecord } = require('../../utils/mock-utils');
+
+// Mock the models
+jest.mock('../../../models', () => ({
+  WebAuthnCredential: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn()
+  }
+}));
+
+jest.mock('@simplewebauthn/server', () => ({
+  generateRegistrationOptions: jest.fn(),
+  verifyRegistrationResponse: jest.fn(),
+  generateAuthenticationOptions: jest.fn(),
+  verifyAuthenticationResponse: jest.fn()
+}));
+
+jest.mock('../../../services/cache.service', () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn()
+}));
+
+jest.mock('../../../services/security.service', () => ({
+  generateBackupCodes: jest.fn(),
+  logSecurityEvent: jest.fn()
+}));
+
+const buildUser = (values = {}) => mockRecord({
+  id: 5,
+  username: 'nurse.jones',
+  firstName: 'Sam',
+  lastName: 'Jones',
+  mfaEnabled: false,
+  mfaSecret: null,
+  ...values
+});
+
+const registrationResponse = { id: 'cred-abc', response: {} };
+
+describe('WebAuthn Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('generateRegistration', () => {
+    it('should exclude registered authenticators and store the challenge', async () => {
+      WebAuthnCredential.findAll.mockResolvedValue([{ credentialId: 'cred-1', transports: ['usb'] }]);
+      simpleWebAuthn.generateRegistrationOptions.mockResolvedValue({ challenge: 'reg-challenge' });
+
+      const options = await webauthnService.generateRegistration(buildUser());
+
+      expect(options).toEqual({ challenge: 'reg-challenge' });
+      expect(simpleWebAuthn.generateRegistrationOptions).toHaveBeenCalledWith(expect.objectContaining({
+        userName: 'nurse.jones',
+        userDisplayName: 'Sam Jones',
+        excludeCredentials: [{ id: 'cred-1', transports: ['usb'] }]
+      }));
+      expect(cacheService.set).toHaveBeenCalledWith('webauthn:registration:5', 'reg-challenge', 300);
+    });
+
+    it('should refuse more authenticators than the limit', async () => {
+      WebAuthnCredential.findAll.mockResolvedValue(Array(10).fill({ credentialId: 'cred', transports: [] }));
+
+      await expect(webauthnService.generateRegistration(buildUser()))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'WEBAUTHN_CREDENTIAL_LIMIT' });
+    });
+  });
+
+  describe('verifyRegistration', () => {
+    beforeEach(() => {
+      WebAuthnCredential.findOne.mockResolvedValue(null);
+      cacheService.get.mockResolvedValue('reg-challenge');
+      simpleWebAuthn.verifyRegistrationResponse.mockResolvedValue({
+        verified: true,
+        registrationInfo: {
+          credential: { id: 'cred-abc', publicKey: new Uint8Array([1, 2, 3]), counter: 0, transports: ['internal'] },
+          credentialDeviceType: 'multiDevice',
+          credentialBackedUp: true,
+          aaguid: '00000000-0000-0000-0000-000000000000'
+        }
+      });
+      WebAuthnCredential.create.mockImplementation(async (values) => ({ id: 11, createdAt: new Date(), ...values }));
+    });
+
+    it('should store the authenticator and enable MFA with backup codes for the first factor', async () => {
+      securityService.generateBackupCodes.mockResolvedValue(['AAAA1111']);
+      const user = buildUser();
+
+      const result = await webauthnService.verifyRegistration(user, { name: ' Work laptop ', response: registrationResponse });
+
+      expect(cacheService.del).toHaveBeenCalledWith('webauthn:registration:5');
+      expect(simpleWebAuthn.verifyRegistrationResponse).toHaveBeenCalledWith(expect.objectContaining({
+        expectedChallenge: 'reg-challenge',
+        expectedRPID: 'localhost'
+      }));
+      expect(WebAuthnCredential.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 5,
+        name: 'Work laptop',
+        credentialId: 'cred-abc',
+        publicKey: 'AQID',
+        deviceType: 'multiDevice',
+        backedUp: true
+      }));
+      expect(securityService.generateBackupCodes).toHaveBeenCalledWith(user);
+      expect(result.backupCodes).toEqual(['AAAA1111']);
+      expect(result.credential).not.toHaveProperty('publicKey');
+    });
+
+    it('should not issue new backup codes when MFA is already enabled', async () => {
+      const result = await webauthnService.verifyRegistration(
+        buildUser({ mfaEnabled: true, mfaSecret: 'secret' }),
+        { name: 'YubiKey', response: registrationResponse }
+      );
+
+      expect(securityService.generateBackupCodes).not.toHaveBeenCalled();
+      expect(result.backupCodes).toBeNull();
+    });
+
+    it('should reject responses that fail verification', async () => {
+      simpleWebAuthn.verifyRegistrationResponse.mockRejectedValue(new Error('Unexpected registration response origin'));
+
+      await expect(webauthnService.verifyRegistration(buildUser(), { name: 'YubiKey', response: registrationResponse }))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'WEBAUTHN_REGISTRATION_FAILED' });
+      expect(WebAuthnCredential.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject expired challenges and duplicate names', async () => {
+      cacheService.get.mockResolvedValue(undefined);
+      await expect(webauthnService.verifyRegistration(buildUser(), { name: 'YubiKey', response: registrationResponse }))
+        .rejects.toMatchObject({ errorCode: 'WEBAUTHN_CHALLENGE_EXPIRED' });
+
+      WebAuthnCredential.findOne.mockResolvedValue({ id: 3 });
+      await expect(webauthnService.verifyRegistration(buildUser(), { name: 'YubiKey', response: registrationResponse }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('verifyAuthentication', () => {
+    const assertion = { id: 'cred-abc', response: {} };
+
+    beforeEach(() => {
+      cacheService.get.mockResolvedValue('auth-challenge');
+    });
+
+    it('should verify the assertion and advance the signature counter', async () => {
+      const credential = mockRecord({ id: 11, credentialId: 'cred-abc', publicKey: 'AQID', counter: '4', transports: ['usb'] });
+      WebAuthnCredential.findOne.mockResolvedValue(credential);
+      simpleWebAuthn.verifyAuthenticationResponse.mockResolvedValue({
+        verified: true,
+        authenticationInfo: { newCounter: 5, credentialBackedUp: false }
+      });
+
+      const verified = await webauthnService.verifyAuthentication(buildUser({ mfaEnabled: true }), assertion);
+
+      expect(verified).toBe(true);
+      expect(simpleWebAuthn.verifyAuthenticationResponse).toHaveBeenCalledWith(expect.objectContaining({
+        expectedChallenge: 'auth-challenge',
+        credential: expect.objectContaining({ id: 'cred-abc', counter: 4 })
+      }));
+      expect(credential.update).toHaveBeenCalledWith({ counter: 5, backedUp: false, lastUsedAt: expect.any(Date) });
+      expect(securityService.logSecurityEvent).toHaveBeenCalledWith(5, 'MFA_VERIFIED', { method: 'webauthn', credentialId: 11 });
+    });
+
+    it('should fail when the library rejects the assertion', async () => {
+      const credential = mockRecord({ id: 11, credentialId: 'cred-abc', publicKey: 'AQID', counter: 9 });
+      WebAuthnCredential.findOne.mockResolvedValue(credential);
+      simpleWebAuthn.verifyAuthenticationResponse.mockRejectedValue(new Error('Response counter value 3 was lower than expected 9'));
+
+      await expect(webauthnService.verifyAuthentication(buildUser(), assertion)).resolves.toBe(false);
+      expect(credential.update).not.toHaveBeenCalled();
+    });
+
+    it('should fail for authenticators the user has not registered', async () => {
+      WebAuthnCredential.findOne.mockResolvedValue(null);
+
+      await expect(webauthnService.verifyAuthentication(buildUser(), assertion)).resolves.toBe(false);
+      expect(simpleWebAuthn.verifyAuthenticationResponse).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteCredential', () => {
+    it('should disable MFA when the last factor is removed', async () => {
+      const user = buildUser({ mfaEnabled: true });
+      WebAuthnCredential.findOne.mockResolvedValue(mockRecord({ id: 11, name: 'YubiKey' }));
+      WebAuthnCredential.count.mockResolvedValue(0);
+
+      const result = await webauthnService.deleteCredential(user, 11);
+
+      expect(user.update).toHaveBeenCalledWith({ mfaEnabled: false, backupCodes: null, recoveryBackupCodes: [] });
+      expect(result).toEqual({ mfaEnabled: false, remainingCredentials: 0 });
+    });
+
+    it('should keep MFA enabled while an authenticator app is configured', async () => {
+      const user = buildUser({ mfaEnabled: true, mfaSecret: 'secret' });
+      WebAuthnCredential.findOne.mockResolvedValue(mockRecord({ id: 11, name: 'YubiKey' }));
+      WebAuthnCredential.count.mockResolvedValue(0);
+
+      const result = await webauthnService.deleteCredential(user, 11);
+
+      expect(user.update).not.toHaveBeenCalled();
+      expect(result.mfaEnabled).toBe(true);
+    });
+
+    it('should not remove authenticators of other users', async () => {
+      WebAuthnCredential.findOne.mockResolvedValue(null);
+
+      await expect(webauthnService.deleteCredential(buildUser(), 11))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getMfaMethods', () => {
+    it('should list the factors a user can sign in with', async () => {
+      WebAuthnCredential.count.mockResolvedValue(2);
+
+      await expect(webauthnService.getMfaMethods(buildUser({ mfaSecret: 'secret' }))).resolves.toEqual(['totp', 'webauthn']);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Field Encryption Unit Tests
+ * @module tests/unit/utils/field-encryption
+ */
+const { Sequelize, DataTypes } = require('sequelize');
+const keyring = require('../../../utils/keyring');
+const { isEncrypted, decrypt } = require('../../../utils/encryption');
+const {
+  installFieldEncryption,
+  listEncryptedFields,
+  blindIndexWhere,
+  computeBlindIndex
+} = require('../../../utils/field-encryption');
+
+// Models are defined against a connection that is never opened; hooks are run directly
+const sequelize = new Sequelize('postgres://localhost:5432/unused', { logging: false });
+
+const Contact = sequelize.define('Contact', {
+  name: { type: DataTypes.STRING },
+  email: { type: DataTypes.STRING, encrypted: { blindIndex: 'emailIndex' } },
+  emailIndex: { type: DataTypes.STRING(64) },
+  notes: { type: DataTypes.TEXT, encrypted: true }
+});
+
+const Team = sequelize.define('Team', {
+  name: { type: DataTypes.STRING }
+});
+
+Team.hasMany(Contact, { as: 'contacts', foreignKey: 'teamId' });
+
+describe('Field Encryption', () => {
+  beforeAll(() => {
+    keyring.setKeyProvider({
+      name: 'test',
+      load: () => ({ activeKeyId: 'k1', keys: { k1: 'a'.repeat(64) }, blindIndexKey: 'c'.repeat(64) })
+    });
+    installFieldEncryption({ Contact, Team, sequelize, Sequelize });
+  });
+
+  afterAll(() => {
+    keyring.setKeyProvider(keyring.envKeyProvider);
+  });
+
+  it('should list the attributes declared encrypted', () => {
+    expect(listEncryptedFields({ Contact, Team })).toEqual([
+      { model: 'Contact', field: 'email' },
+      { model: 'Contact', field: 'notes' }
+    ]);
+  });
+
+  it('should encrypt marked attributes before saving and set the blind index', async () => {
+    const contact = Contact.build({ name: 'Pat', email: 'Pat@Example.com', notes: 'Allergic to penicillin' });
+    const options = { fields: ['name', 'email', 'notes'] };
+
+    await Contact.runHooks('beforeSave', contact, options);
+
+    expect(contact.getDataValue('name')).toBe('Pat');
+    expect(isEncrypted(contact.getDataValue('email'))).toBe(true);
+    expect(decrypt(contact.getDataValue('notes'))).toBe('Allergic to penicillin');
+    expect(contact.getDataValue('emailIndex')).toBe(computeBlindIndex(Contact, 'email', 'pat@example.com'));
+    expect(options.fields).toContain('emailIndex');
+
+    await Contact.runHooks('afterSave', contact, options);
+
+    expect(contact.notes).toBe('Allergic to penicillin');
+  });
+
+  it('should only encrypt attributes that changed on existing rows', async () => {
+    const contact = Contact.build({ id: 1, email: 'pat@example.com', notes: 'Old note' }, { isNewRecord: false, raw: true });
+    contact.notes = 'New note';
+
+    await Contact.runHooks('beforeSave', contact, {});
+
+    expect(contact.getDataValue('email')).toBe('pat@example.com');
+    expect(decrypt(contact.getDataValue('notes'))).toBe('New note');
+  });
+
+  it('should encrypt values of bulk updates', async () => {
+    const options = { attributes: { email: 'new@example.com', name: 'Pat' }, fields: ['email', 'name'] };
+
+    await Contact.runHooks('beforeBulkUpdate', options);
+
+    expect(decrypt(options.attributes.email)).toBe('new@example.com');
+    expect(options.attributes.emailIndex).toBe(computeBlindIndex(Contact, 'email', 'new@example.com'));
+    expect(options.fields).toContain('emailIndex');
+    expect(options.attributes.name).toBe('Pat');
+  });
+
+  it('should decrypt found rows, included rows and raw results', async () => {
+    const stored = Contact.build({ email: 'pat@example.com', notes: 'Note' });
+    await Contact.runHooks('beforeSave', stored, {});
+
+    const team = Team.build(
+      { id: 1, name: 'Privacy', contacts: [{ id: 2, email: stored.getDataValue('email'), notes: 'Written before encryption' }] },
+      { isNewRecord: false, include: [{ model: Contact, as: 'contacts' }] }
+    );
+    await Team.runHooks('afterFind', team, {});
+
+    expect(team.contacts[0].email).toBe('pat@example.com');
+    expect(team.contacts[0].notes).toBe('Written before encryption');
+
+    const raw = { id: 2, notes: stored.getDataValue('notes') };
+    await Contact.runHooks('afterFind', [raw], { raw: true });
+
+    expect(raw.notes).toBe('Note');
+  });
+
+  it('should build exact-match lookups on the blind index', () => {
+    expect(blindIndexWhere(Contact, 'email', ' PAT@example.com ')).toEqual({
+      emailIndex: computeBlindIndex(Contact, 'email', 'pat@example.com')
+    });
+    expect(() => blindIndexWhere(Contact, 'notes', 'x')).toThrow('Contact.notes has no blind index');
+  });
+
+  it('should reject a blind index column that is not defined', () => {
+    const Broken = sequelize.define('Broken', {
+      secret: { type: DataTypes.STRING, encrypted: { blindIndex: 'secretIndex' } }
+    });
+
+    expect(() => installFieldEncryption({ Broken })).toThrow('Blind index column Broken.secretIndex is not defined');
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Keyring and Versioned Encryption Unit Tests
+ * @module tests/unit/utils/keyring
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const keyring = require('../../../utils/keyring');
+const { encrypt, decrypt, reencrypt, getCiphertextKeyId } = require('../../../utils/encryption');
+
+const OLD_KEY = 'a'.repeat(64);
+const NEW_KEY = 'b'.repeat(64);
+
+/**
+ * Encrypt a value the way it was stored before key IDs were recorded
+ * @param {string} value - Plaintext
+ * @param {string} hexKey - Key
+ * @returns {Object} Legacy package
+ */
+const legacyEncrypt = (value, hexKey) => {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(hexKey, 'hex'), iv);
+  let encryptedData = cipher.update(value, 'utf8', 'hex');
+  encryptedData += cipher.final('hex');
+  return { encryptedData, iv: iv.toString('hex'), authTag: cipher.getAuthTag().toString('hex'), algorithm: 'aes-256-gcm' };
+};
+
+describe('Keyring', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    ['ENCRYPTION_KEYS', 'ENCRYPTION_KEY', 'ENCRYPTION_KEY_ID', 'ENCRYPTION_ACTIVE_KEY_ID',
+      'ENCRYPTION_LEGACY_KEY_ID', 'ENCRYPTION_KEY_PROVIDER', 'ENCRYPTION_KEYRING_FILE',
+      'ENCRYPTION_BLIND_INDEX_KEY'].forEach((name) => {
+      delete process.env[name];
+    });
+    keyring.setKeyProvider(keyring.envKeyProvider);
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    keyring.resetKeyring();
+  });
+
+  it('should record the active key ID in each ciphertext and decrypt with older keys', () => {
+    process.env.ENCRYPTION_KEYS = `k1:${OLD_KEY}`;
+    keyring.resetKeyring();
+    const underOldKey = encrypt({ ssn: '123-45-6789' });
+
+    process.env.ENCRYPTION_KEYS = `k2:${NEW_KEY},k1:${OLD_KEY}`;
+    keyring.resetKeyring();
+    const underNewKey = encrypt('00123');
+
+    expect(getCiphertextKeyId(underOldKey)).toBe('k1');
+    expect(getCiphertextKeyId(underNewKey)).toBe('k2');
+    expect(decrypt(underOldKey)).toEqual({ ssn: '123-45-6789' });
+    expect(decrypt(underNewKey)).toBe('00123');
+  });
+
+  it('should re-encrypt older ciphertexts under the active key only', () => {
+    process.env.ENCRYPTION_KEYS = `k2:${NEW_KEY},k1:${OLD_KEY}`;
+    process.env.ENCRYPTION_ACTIVE_KEY_ID = 'k1';
+    keyring.resetKeyring();
+    const underOldKey = encrypt('JBSWY3DPEHPK3PXP');
+
+    delete process.env.ENCRYPTION_ACTIVE_KEY_ID;
+    keyring.resetKeyring();
+    const rotated = reencrypt(underOldKey);
+    const again = reencrypt(rotated.value);
+
+    expect(rotated.changed).toBe(true);
+    expect(getCiphertextKeyId(rotated.value)).toBe('k2');
+    expect(decrypt(rotated.value)).toBe('JBSWY3DPEHPK3PXP');
+    expect(again).toEqual({ value: rotated.value, changed: false });
+  });
+
+  it('should decrypt packages written before key IDs with the legacy key', () => {
+    process.env.ENCRYPTION_KEY = OLD_KEY;
+    process.env.ENCRYPTION_KEYS = `k2:${NEW_KEY}`;
+    keyring.resetKeyring();
+
+    const legacy = legacyEncrypt('JBSWY3DPEHPK3PXP', OLD_KEY);
+
+    expect(keyring.describeKeyring()).toMatchObject({ activeKeyId: 'k2', legacyKeyId: 'default' });
+    expect(decrypt(legacy)).toBe('JBSWY3DPEHPK3PXP');
+    expect(decrypt(JSON.stringify(legacy))).toBe('JBSWY3DPEHPK3PXP');
+    expect(getCiphertextKeyId(reencrypt(legacy).value)).toBe('k2');
+  });
+
+  it('should load keys from a keyring file', () => {
+    const file = path.join(os.tmpdir(), `keyring-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ activeKeyId: 'file-1', keys: { 'file-1': NEW_KEY } }));
+    process.env.ENCRYPTION_KEYRING_FILE = file;
+
+    try {
+      keyring.setKeyProvider(keyring.fileKeyProvider);
+
+      expect(keyring.describeKeyring()).toEqual({
+        provider: 'file',
+        activeKeyId: 'file-1',
+        legacyKeyId: 'file-1',
+        keyIds: ['file-1'],
+        blindIndexKeyConfigured: false,
+        ephemeral: false
+      });
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('should wait for asynchronous providers to be loaded at startup', async () => {
+    keyring.setKeyProvider({
+      name: 'kms',
+      load: async () => ({ activeKeyId: 'kms-1', keys: { 'kms-1': Buffer.alloc(32, 7) } })
+    });
+
+    expect(() => encrypt('value')).toThrow('Failed to encrypt data');
+
+    await keyring.initKeyring();
+    expect(getCiphertextKeyId(encrypt('value'))).toBe('kms-1');
+  });
+
+  it('should refuse to run in production without a key', async () => {
+    process.env.NODE_ENV = 'production';
+
+    await expect(keyring.initKeyring()).rejects.toThrow('No encryption key configured');
+  });
+
+  it('should use an ephemeral key outside production', async () => {
+    process.env.NODE_ENV = 'development';
+
+    await expect(keyring.initKeyring()).resolves.toMatchObject({ activeKeyId: 'ephemeral', ephemeral: true });
+  });
+
+  it('should reject malformed keys', () => {
+    process.env.ENCRYPTION_KEYS = 'k1:abcd';
+
+    expect(() => keyring.describeKeyring()).toThrow('must be 32 bytes');
+  });
+
+  it('should use the configured blind index key and require one in production', () => {
+    process.env.ENCRYPTION_KEYS = `k1:${OLD_KEY}`;
+    process.env.ENCRYPTION_BLIND_INDEX_KEY = NEW_KEY;
+
+    expect(keyring.getBlindIndexKey()).toEqual(Buffer.from(NEW_KEY, 'hex'));
+
+    delete process.env.ENCRYPTION_BLIND_INDEX_KEY;
+    process.env.NODE_ENV = 'production';
+    keyring.resetKeyring();
+
+    expect(() => keyring.getBlindIndexKey()).toThrow('No blind index key configured');
+  });
+});
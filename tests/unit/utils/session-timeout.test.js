@@ -0,0 +1,111 @@
+/**
+ * Session Timeout Unit Tests
+ * @module tests/unit/utils/session-timeout
+ */
+const jwt = require('jsonwebtoken');
+const {
+  createSession,
+  refreshSession,
+  validateSession,
+  getUserSessions
+} = require('../../../utils/session-manager');
+const { blacklistToken } = require('../../../utils/token-manager');
+
+// Mock token generation so sessions can be created without signing real tokens
+jest.mock('../../../utils/token-manager', () => ({
+  generateToken: jest.fn().mockImplementation((data) => ({
+    token: `token-${data.tokenType || 'access'}-${data.sessionId}`,
+    jti: `jti-${data.tokenType || 'access'}-${data.sessionId}-${Math.random()}`,
+    expiresIn: '30m'
+  })),
+  blacklistToken: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('jsonwebtoken', () => ({
+  verify: jest.fn(),
+  decode: jest.fn()
+}));
+
+const MINUTE = 60 * 1000;
+
+describe('Session Timeouts', () => {
+  const originalEnv = process.env;
+  let now;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv, SESSION_IDLE_TIMEOUT: '15m', SESSION_ABSOLUTE_TIMEOUT: '1h' };
+    delete process.env.REDIS_URL;
+
+    now = new Date('2026-10-19T09:00:00Z').getTime();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+    process.env = originalEnv;
+  });
+
+  const startSession = async (id = 1) => createSession({ id, username: `user${id}`, roleId: 2 });
+
+  it('should keep an active session alive and report its deadlines', async () => {
+    const { sessionId } = await startSession();
+
+    now += 10 * MINUTE;
+    const status = await validateSession(sessionId);
+
+    expect(status).toEqual({
+      valid: true,
+      lastActivity: now,
+      idleExpiresAt: now + 15 * MINUTE,
+      absoluteExpiresAt: now - 10 * MINUTE + 60 * MINUTE
+    });
+  });
+
+  it('should end a session after the idle timeout', async () => {
+    const { sessionId } = await startSession(2);
+
+    now += 16 * MINUTE;
+
+    await expect(validateSession(sessionId)).resolves.toEqual({
+      valid: false,
+      reason: 'SESSION_IDLE_TIMEOUT',
+      userId: 2
+    });
+    expect(blacklistToken).toHaveBeenCalledTimes(2);
+    await expect(validateSession(sessionId)).resolves.toEqual({ valid: false, reason: 'SESSION_NOT_FOUND' });
+  });
+
+  it('should not count status checks as activity', async () => {
+    const { sessionId } = await startSession(3);
+
+    now += 10 * MINUTE;
+    await validateSession(sessionId, { recordActivity: false });
+    now += 6 * MINUTE;
+
+    await expect(validateSession(sessionId)).resolves.toMatchObject({ valid: false, reason: 'SESSION_IDLE_TIMEOUT' });
+  });
+
+  it('should end a session at its maximum length however active it is', async () => {
+    const { sessionId } = await startSession(4);
+
+    for (let minutes = 10; minutes < 60; minutes += 10) {
+      now += 10 * MINUTE;
+      await expect(validateSession(sessionId)).resolves.toMatchObject({ valid: true });
+    }
+
+    now += 10 * MINUTE;
+    await expect(validateSession(sessionId)).resolves.toMatchObject({ valid: false, reason: 'SESSION_ABSOLUTE_TIMEOUT' });
+  });
+
+  it('should refuse to refresh an idle session', async () => {
+    const { sessionId } = await startSession(5);
+    jwt.verify.mockReturnValue({ userId: 5, sessionId, tokenType: 'refresh' });
+
+    await expect(refreshSession('refresh-token')).resolves.toHaveProperty('accessToken');
+
+    now += 20 * MINUTE;
+    await expect(refreshSession('refresh-token')).rejects.toThrow('SESSION_IDLE_TIMEOUT');
+    await expect(getUserSessions(5)).resolves.toEqual([]);
+  });
+});
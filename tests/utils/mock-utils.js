@@ -94,6 +94,21 @@ const mockResponse = () => {
   return res;
 };
 
+/**
+ * Create a mock model instance whose update() applies the changes
+ * @param {Object} values - Field values
+ * @returns {Object} Mock instance with update, destroy and toJSON
+ */
+const mockRecord = (values) => {
+  const record = { ...values };
+  record.update = jest.fn(async (updates) => Object.assign(record, updates));
+  record.destroy = jest.fn();
+  record.toJSON = () => Object.fromEntries(
+    Object.entries(record).filter(([, value]) => typeof value !== 'function')
+  );
+  return record;
+};
+
 /**
  * Create a mock next function
  * @returns {Function} Mock next function
@@ -107,5 +122,6 @@ module.exports = {
   mockTokenInfo,
   mockRequest,
   mockResponse,
+  mockRecord,
   mockNext
 };
\ No newline at end of file
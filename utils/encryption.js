@@ -4,57 +4,112 @@
  */
 const crypto = require('crypto');
 const { logger } = require('./logger');
-
-// Get encryption key from environment or generate one
-// IMPORTANT: In production, this should be set as an environment variable
-// and stored securely (e.g., in a key management service)
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 
-  crypto.randomBytes(32).toString('hex');
-
-// Get encryption IV from environment or generate one
-const ENCRYPTION_IV = process.env.ENCRYPTION_IV || 
-  crypto.randomBytes(16).toString('hex').slice(0, 16);
+const keyring = require('./keyring');
 
 // Encryption algorithm - AES-256-GCM is recommended for PHI
 const ALGORITHM = 'aes-256-gcm';
 
+// Ciphertexts are strings of the form enc:v1:<keyId>:<iv>:<authTag>:<data> (base64 parts)
+const CIPHERTEXT_PREFIX = 'enc:v1:';
+
+/**
+ * Split a ciphertext string into its parts
+ * @param {string} value - Ciphertext
+ * @returns {Object|null} keyId, iv, authTag and data, or null if the value is not a ciphertext
+ */
+const parseCiphertext = (value) => {
+  if (typeof value !== 'string' || !value.startsWith(CIPHERTEXT_PREFIX)) {
+    return null;
+  }
+
+  const parts = value.slice(CIPHERTEXT_PREFIX.length).split(':');
+  if (parts.length !== 4) {
+    return null;
+  }
+
+  const [keyId, iv, authTag, data] = parts;
+  return { keyId, iv, authTag, data };
+};
+
+/**
+ * Read an encrypted package as written before key IDs were recorded
+ * ({ encryptedData, iv, authTag } as an object or a JSON string)
+ * @param {Object|string} value - Possible legacy package
+ * @returns {Object|null} Package, or null if the value is not one
+ */
+const parseLegacyPackage = (value) => {
+  let candidate = value;
+
+  if (typeof value === 'string' && value.startsWith('{')) {
+    try {
+      candidate = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (candidate && typeof candidate === 'object' &&
+      candidate.encryptedData && candidate.iv && candidate.authTag) {
+    return candidate;
+  }
+
+  return null;
+};
+
+/**
+ * Whether a value is encrypted by this module (current or legacy format)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for ciphertexts
+ */
+const isEncrypted = (value) => Boolean(parseCiphertext(value) || parseLegacyPackage(value));
+
+/**
+ * ID of the key a ciphertext was encrypted with
+ * @param {string|Object} value - Ciphertext
+ * @returns {string|null} Key ID, or null for legacy packages without one
+ */
+const getCiphertextKeyId = (value) => {
+  const parsed = parseCiphertext(value);
+  if (parsed) {
+    return parsed.keyId;
+  }
+
+  const legacy = parseLegacyPackage(value);
+  return legacy ? legacy.keyId || null : null;
+};
+
 /**
- * Encrypt data with AES-256-GCM
+ * Encrypt data with AES-256-GCM under the active key
  * Complies with HIPAA requirements for PHI encryption
  * 
  * @param {string|Object} data - Data to encrypt
- * @returns {Object} - Encrypted data with auth tag and IV
+ * @returns {string} - Ciphertext recording the key ID, IV and auth tag
  */
 const encrypt = (data) => {
   try {
-    // Convert data to string if it's an object
-    const dataString = typeof data === 'object' 
-      ? JSON.stringify(data) 
-      : String(data);
-    
-    // Convert key from hex to buffer
-    const key = Buffer.from(ENCRYPTION_KEY, 'hex');
+    const { id, key } = keyring.getActiveKey();
     
     // Generate random IV for each encryption
-    const iv = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
     
     // Create cipher
     const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
     
-    // Encrypt data
-    let encrypted = cipher.update(dataString, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
+    // Encrypt the JSON form so strings, numbers and objects decrypt to the same type
+    const encrypted = Buffer.concat([
+      cipher.update(JSON.stringify(data), 'utf8'),
+      cipher.final()
+    ]);
     
     // Get auth tag (for GCM mode)
-    const authTag = cipher.getAuthTag().toString('hex');
+    const authTag = cipher.getAuthTag();
     
-    // Return encrypted data with authentication tag and IV
-    return {
-      encryptedData: encrypted,
-      iv: iv.toString('hex'),
-      authTag,
-      algorithm: ALGORITHM
-    };
+    return CIPHERTEXT_PREFIX + [
+      id,
+      iv.toString('base64'),
+      authTag.toString('base64'),
+      encrypted.toString('base64')
+    ].join(':');
   } catch (error) {
     logger.error('Encryption error:', error);
     throw new Error('Failed to encrypt data');
@@ -62,57 +117,78 @@ const encrypt = (data) => {
 };
 
 /**
- * Decrypt data encrypted with AES-256-GCM
+ * Decrypt a legacy { encryptedData, iv, authTag } package (hex parts)
+ * @param {Object} encryptedPackage - Legacy package
+ * @returns {string|Object} - Decrypted data
+ */
+const decryptLegacyPackage = (encryptedPackage) => {
+  const key = keyring.getKey(encryptedPackage.keyId);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(encryptedPackage.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(encryptedPackage.authTag, 'hex'));
+
+  let decrypted = decipher.update(encryptedPackage.encryptedData, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+
+  // Try to parse as JSON if possible
+  try {
+    return JSON.parse(decrypted);
+  } catch (e) {
+    // Return as string if not valid JSON
+    return decrypted;
+  }
+};
+
+/**
+ * Decrypt data encrypted with AES-256-GCM, using the key recorded in the ciphertext
  * 
- * @param {Object} encryptedPackage - Encrypted data package
- * @param {string} encryptedPackage.encryptedData - Encrypted data hex string
- * @param {string} encryptedPackage.iv - Initialization vector hex string
- * @param {string} encryptedPackage.authTag - Authentication tag hex string
- * @param {string} encryptedPackage.algorithm - Encryption algorithm
+ * @param {string|Object} value - Ciphertext, or a legacy { encryptedData, iv, authTag } package
  * @returns {string|Object} - Decrypted data
  */
-const decrypt = (encryptedPackage) => {
+const decrypt = (value) => {
   try {
-    // Validate encrypted package
-    if (!encryptedPackage || 
-        !encryptedPackage.encryptedData || 
-        !encryptedPackage.iv || 
-        !encryptedPackage.authTag) {
-      throw new Error('Invalid encrypted data package');
-    }
-    
-    // Convert key from hex to buffer
-    const key = Buffer.from(ENCRYPTION_KEY, 'hex');
-    
-    // Convert IV from hex to buffer
-    const iv = Buffer.from(encryptedPackage.iv, 'hex');
-    
-    // Convert auth tag from hex to buffer
-    const authTag = Buffer.from(encryptedPackage.authTag, 'hex');
-    
-    // Create decipher
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-    
-    // Set auth tag
-    decipher.setAuthTag(authTag);
-    
-    // Decrypt data
-    let decrypted = decipher.update(encryptedPackage.encryptedData, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    // Try to parse as JSON if possible
-    try {
-      return JSON.parse(decrypted);
-    } catch (e) {
-      // Return as string if not valid JSON
-      return decrypted;
+    const parsed = parseCiphertext(value);
+
+    if (!parsed) {
+      const legacy = parseLegacyPackage(value);
+      if (!legacy) {
+        throw new Error('Invalid encrypted data package');
+      }
+      return decryptLegacyPackage(legacy);
     }
+
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      keyring.getKey(parsed.keyId),
+      Buffer.from(parsed.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(parsed.authTag, 'base64'));
+
+    const decrypted = Buffer.concat([
+      decipher.update(Buffer.from(parsed.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+
+    return JSON.parse(decrypted);
   } catch (error) {
     logger.error('Decryption error:', error);
     throw new Error('Failed to decrypt data');
   }
 };
 
+/**
+ * Re-encrypt a ciphertext under the active key
+ * 
+ * @param {string|Object} value - Ciphertext
+ * @returns {{value: string, changed: boolean}} - Ciphertext under the active key and whether it changed
+ */
+const reencrypt = (value) => {
+  if (parseCiphertext(value) && getCiphertextKeyId(value) === keyring.getActiveKey().id) {
+    return { value, changed: false };
+  }
+
+  return { value: encrypt(decrypt(value)), changed: true };
+};
+
 /**
  * Generate a secure random token
  * 
@@ -160,14 +236,15 @@ const verifyHash = (data, hash, salt) => {
 
 /**
  * Create a unique identifier for PHI that is consistent 
- * but doesn't expose the original data
+ * but doesn't expose the original data.
+ * Identifiers are keyed with the active key, so they change when it is rotated.
  * 
  * @param {string} phi - PHI string to create identifier for
  * @param {string} context - Additional context for uniqueness
  * @returns {string} - Unique identifier
  */
 const createPhiIdentifier = (phi, context = '') => {
-  const hmac = crypto.createHmac('sha256', ENCRYPTION_KEY)
+  const hmac = crypto.createHmac('sha256', keyring.getActiveKey().key)
     .update(phi + context)
     .digest('hex');
     
@@ -212,10 +289,7 @@ const decryptPhiObject = (data, phiFields) => {
   const result = { ...data };
   
   for (const field of phiFields) {
-    if (result[field] !== undefined && 
-        result[field] !== null && 
-        typeof result[field] === 'object' &&
-        result[field].encryptedData) {
+    if (isEncrypted(result[field])) {
       try {
         result[field] = decrypt(result[field]);
       } catch (error) {
@@ -230,6 +304,9 @@ const decryptPhiObject = (data, phiFields) => {
 module.exports = {
   encrypt,
   decrypt,
+  reencrypt,
+  isEncrypted,
+  getCiphertextKeyId,
   generateSecureToken,
   generateHash,
   verifyHash,
@@ -0,0 +1,267 @@
+/**
+ * Field Encryption Utility - Transparent encryption of model attributes
+ * @module utils/field-encryption
+ *
+ * Attributes are marked in their model definition:
+ *
+ *   rootCause: { type: DataTypes.TEXT, encrypted: true }
+ *   email: { type: DataTypes.STRING, encrypted: { blindIndex: 'emailIndex' } }
+ *
+ * Marked attributes are encrypted by hooks before they are written and decrypted after they are
+ * read, including when the model is loaded through an include. Queries with `hooks: false` return
+ * the stored ciphertext, as do the flattened include columns of raw queries. Encrypted columns
+ * cannot be searched, sorted or compared in SQL; an attribute with a blind index stores an HMAC of
+ * its normalized value in the named column so it can be found by exact match with
+ * `blindIndexWhere()`.
+ */
+const crypto = require('crypto');
+const { encrypt, decrypt, isEncrypted } = require('./encryption');
+const keyring = require('./keyring');
+const { logger } = require('./logger');
+
+/**
+ * Normalize a value before computing its blind index, so lookups ignore case and surrounding spaces
+ * @param {*} value - Plaintext value
+ * @returns {string} Normalized value
+ */
+const normalizeForIndex = (value) => String(value).trim().toLowerCase();
+
+/**
+ * Blind index of a value: an HMAC that allows exact-match lookups without revealing the value
+ * @param {Object} Model - Sequelize model
+ * @param {string} field - Encrypted attribute
+ * @param {*} value - Plaintext value
+ * @returns {string|null} Hex HMAC, or null for null values
+ */
+const computeBlindIndex = (Model, field, value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  // Include the model and attribute so equal values in different columns do not match
+  return crypto.createHmac('sha256', keyring.getBlindIndexKey())
+    .update(`${Model.name}.${field}:${normalizeForIndex(value)}`)
+    .digest('hex');
+};
+
+/**
+ * Where clause matching rows whose encrypted attribute equals a value
+ * @param {Object} Model - Sequelize model
+ * @param {string} field - Encrypted attribute with a blind index
+ * @param {*} value - Plaintext value to find
+ * @returns {Object} Where clause on the blind index column
+ * @throws {Error} If the attribute has no blind index
+ */
+const blindIndexWhere = (Model, field, value) => {
+  const settings = Model.encryptedAttributes && Model.encryptedAttributes[field];
+
+  if (!settings || !settings.blindIndex) {
+    throw new Error(`${Model.name}.${field} has no blind index`);
+  }
+
+  return { [settings.blindIndex]: computeBlindIndex(Model, field, value) };
+};
+
+/**
+ * Replace a value without marking the attribute as changed
+ * @param {Object} instance - Model instance
+ * @param {string} field - Attribute
+ * @param {*} value - New value
+ */
+const setQuietly = (instance, field, value) => {
+  instance.dataValues[field] = value;
+  if (instance._previousDataValues) {
+    instance._previousDataValues[field] = value;
+  }
+};
+
+/**
+ * Decrypt a stored value, leaving values that are not ciphertexts (e.g. rows written before the
+ * attribute was encrypted) as they are
+ * @param {string} label - Model and attribute, for messages
+ * @param {*} value - Stored value
+ * @returns {*} Plaintext
+ */
+const decryptValue = (label, value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  try {
+    return decrypt(value);
+  } catch (error) {
+    logger.error(`Failed to decrypt ${label}`);
+    return value;
+  }
+};
+
+/**
+ * Decrypt the encrypted attributes of a result and of every model instance it includes
+ * @param {Object} Model - Model of the result
+ * @param {Object|Array} result - Instance, plain object (raw query) or array of either
+ */
+const decryptResult = (Model, result) => {
+  if (!result) {
+    return;
+  }
+
+  if (Array.isArray(result)) {
+    result.forEach(item => decryptResult(Model, item));
+    return;
+  }
+
+  const isInstance = Boolean(result.dataValues);
+  const values = isInstance ? result.dataValues : result;
+  const model = isInstance ? result.constructor : Model;
+
+  Object.keys(model.encryptedAttributes || {}).forEach((field) => {
+    if (values[field] === undefined || values[field] === null) {
+      return;
+    }
+
+    const plain = decryptValue(`${model.name}.${field}`, values[field]);
+    if (isInstance) {
+      setQuietly(result, field, plain);
+    } else {
+      values[field] = plain;
+    }
+  });
+
+  if (isInstance) {
+    Object.entries(model.associations || {}).forEach(([as, association]) => {
+      if (values[as]) {
+        decryptResult(association.target, values[as]);
+      }
+    });
+  }
+};
+
+/**
+ * Encrypt the marked attributes of an instance that are about to be written
+ * @param {Object} instance - Model instance
+ * @param {Object} [options] - Save options
+ */
+const encryptInstance = (instance, options = {}) => {
+  const Model = instance.constructor;
+
+  Object.entries(Model.encryptedAttributes).forEach(([field, settings]) => {
+    const value = instance.dataValues[field];
+    const writing = instance.isNewRecord || instance.changed(field);
+
+    if (!writing || value === undefined || isEncrypted(value)) {
+      return;
+    }
+
+    if (settings.blindIndex) {
+      instance.setDataValue(settings.blindIndex, computeBlindIndex(Model, field, value));
+      if (Array.isArray(options.fields) && !options.fields.includes(settings.blindIndex)) {
+        options.fields.push(settings.blindIndex);
+      }
+    }
+
+    if (value !== null) {
+      instance.setDataValue(field, encrypt(value));
+    }
+  });
+};
+
+/**
+ * Encrypt marked attributes in a values object (bulk update and upsert)
+ * @param {Object} Model - Sequelize model
+ * @param {Object} values - Attribute values
+ * @param {Array} [fields] - Fields being written, extended with blind index columns
+ */
+const encryptValues = (Model, values, fields) => {
+  Object.entries(Model.encryptedAttributes).forEach(([field, settings]) => {
+    const value = values[field];
+
+    if (value === undefined || isEncrypted(value)) {
+      return;
+    }
+
+    if (settings.blindIndex) {
+      values[settings.blindIndex] = computeBlindIndex(Model, field, value);
+      if (Array.isArray(fields) && !fields.includes(settings.blindIndex)) {
+        fields.push(settings.blindIndex);
+      }
+    }
+
+    if (value !== null) {
+      values[field] = encrypt(value);
+    }
+  });
+};
+
+/**
+ * Install encryption hooks on every model with encrypted attributes, and decryption of included
+ * instances on every model
+ * @param {Object} db - Models keyed by name
+ */
+const installFieldEncryption = (db) => {
+  const models = Object.values(db).filter(model => model && model.rawAttributes);
+
+  models.forEach((Model) => {
+    const encryptedAttributes = {};
+
+    Object.entries(Model.rawAttributes).forEach(([field, attribute]) => {
+      if (!attribute.encrypted) {
+        return;
+      }
+
+      const settings = attribute.encrypted === true ? {} : attribute.encrypted;
+      if (settings.blindIndex && !Model.rawAttributes[settings.blindIndex]) {
+        throw new Error(`Blind index column ${Model.name}.${settings.blindIndex} is not defined`);
+      }
+
+      encryptedAttributes[field] = { blindIndex: settings.blindIndex || null };
+    });
+
+    Model.encryptedAttributes = encryptedAttributes;
+  });
+
+  const anyEncrypted = models.some(Model => Object.keys(Model.encryptedAttributes).length > 0);
+  if (!anyEncrypted) {
+    return;
+  }
+
+  models.forEach((Model) => {
+    // Results may include encrypted models even when this one has no encrypted attributes
+    Model.addHook('afterFind', 'fieldEncryption', (result) => decryptResult(Model, result));
+
+    if (Object.keys(Model.encryptedAttributes).length === 0) {
+      return;
+    }
+
+    Model.addHook('beforeSave', 'fieldEncryption', (instance, options) => encryptInstance(instance, options));
+    Model.addHook('afterSave', 'fieldEncryption', (instance) => decryptResult(Model, instance));
+    Model.addHook('beforeBulkCreate', 'fieldEncryption', (instances, options) => {
+      instances.forEach(instance => encryptInstance(instance, options));
+    });
+    Model.addHook('afterBulkCreate', 'fieldEncryption', (instances) => decryptResult(Model, instances));
+    Model.addHook('beforeBulkUpdate', 'fieldEncryption', (options) => {
+      encryptValues(Model, options.attributes, options.fields);
+    });
+    Model.addHook('beforeUpsert', 'fieldEncryption', (values, options) => {
+      encryptValues(Model, values, options.fields);
+    });
+  });
+};
+
+/**
+ * Encrypted attributes declared on the models
+ * @param {Object} db - Models keyed by name
+ * @returns {Array<Object>} Model name and attribute of each encrypted column
+ */
+const listEncryptedFields = (db) => Object.values(db)
+  .filter(model => model && model.encryptedAttributes)
+  .reduce((fields, Model) => fields.concat(
+    Object.keys(Model.encryptedAttributes).map(field => ({ model: Model.name, field }))
+  ), []);
+
+module.exports = {
+  installFieldEncryption,
+  listEncryptedFields,
+  blindIndexWhere,
+  computeBlindIndex,
+  decryptResult
+};
@@ -0,0 +1,313 @@
+/**
+ * Keyring - Versioned data encryption keys and the providers that supply them
+ * @module utils/keyring
+ *
+ * Every ciphertext records the ID of the key that produced it, so keys can be rotated: new data is
+ * encrypted with the active key while older keys stay available for decryption until everything
+ * has been re-encrypted (see scripts/rotate-encryption-key.js).
+ *
+ * A key provider is an object with a `name` and a `load()` method returning (or resolving to)
+ * `{ activeKeyId, legacyKeyId, keys, blindIndexKey }`, where `keys` maps key IDs to 32-byte keys
+ * as hex strings or Buffers. The environment and file providers load synchronously. A provider
+ * backed by a key management service may load asynchronously, in which case `initKeyring()` must
+ * be awaited at startup before anything is encrypted.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const KEY_LENGTH = 32;
+const KEY_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * Parse an `id:hexkey,id:hexkey` list
+ * @param {string} value - Key list
+ * @returns {Array<Array<string>>} Key ID and key pairs in the order listed
+ */
+const parseKeyList = (value) => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const separator = entry.indexOf(':');
+    if (separator === -1) {
+      throw new Error('ENCRYPTION_KEYS entries must be written as <keyId>:<hex key>');
+    }
+    return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+  });
+
+/**
+ * Keys from environment variables
+ *
+ * - ENCRYPTION_KEYS: `id:hexkey` pairs separated by commas, newest first
+ * - ENCRYPTION_ACTIVE_KEY_ID: key used for new ciphertexts (defaults to the first listed key)
+ * - ENCRYPTION_KEY / ENCRYPTION_KEY_ID: a single key, as configured before keys were versioned
+ * - ENCRYPTION_LEGACY_KEY_ID: key for ciphertexts written before key IDs were recorded
+ * - ENCRYPTION_BLIND_INDEX_KEY: separate key for blind indexes, which is never rotated
+ */
+const envKeyProvider = {
+  name: 'env',
+  load: () => {
+    const keys = {};
+    const listed = process.env.ENCRYPTION_KEYS ? parseKeyList(process.env.ENCRYPTION_KEYS) : [];
+
+    listed.forEach(([id, key]) => {
+      keys[id] = key;
+    });
+
+    let singleKeyId = null;
+    if (process.env.ENCRYPTION_KEY) {
+      singleKeyId = process.env.ENCRYPTION_KEY_ID || 'default';
+      keys[singleKeyId] = keys[singleKeyId] || process.env.ENCRYPTION_KEY;
+    }
+
+    const activeKeyId = process.env.ENCRYPTION_ACTIVE_KEY_ID ||
+      (listed.length > 0 ? listed[0][0] : singleKeyId);
+
+    return {
+      activeKeyId,
+      legacyKeyId: process.env.ENCRYPTION_LEGACY_KEY_ID || singleKeyId || activeKeyId,
+      keys,
+      blindIndexKey: process.env.ENCRYPTION_BLIND_INDEX_KEY || null
+    };
+  }
+};
+
+/**
+ * Keys from a JSON keyring file named by ENCRYPTION_KEYRING_FILE:
+ * `{ "activeKeyId": "2026-10", "legacyKeyId": "2025-01", "keys": { "2026-10": "<hex>", ... }, "blindIndexKey": "<hex>" }`
+ */
+const fileKeyProvider = {
+  name: 'file',
+  load: () => {
+    const file = process.env.ENCRYPTION_KEYRING_FILE;
+
+    if (!file) {
+      throw new Error('ENCRYPTION_KEYRING_FILE is not set');
+    }
+
+    const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    return {
+      activeKeyId: contents.activeKeyId,
+      legacyKeyId: contents.legacyKeyId || contents.activeKeyId,
+      keys: contents.keys || {},
+      blindIndexKey: contents.blindIndexKey || null
+    };
+  }
+};
+
+/**
+ * Provider selected by ENCRYPTION_KEY_PROVIDER ('env' or 'file')
+ * @returns {Object} Key provider
+ */
+const getDefaultProvider = () => {
+  const name = process.env.ENCRYPTION_KEY_PROVIDER ||
+    (process.env.ENCRYPTION_KEYRING_FILE ? 'file' : 'env');
+
+  if (name === 'file') {
+    return fileKeyProvider;
+  }
+  if (name === 'env') {
+    return envKeyProvider;
+  }
+
+  throw new Error(`Unknown ENCRYPTION_KEY_PROVIDER "${name}"`);
+};
+
+let provider = null;
+let keyring = null;
+
+/**
+ * Convert a configured key to a Buffer
+ * @param {string} name - Key name, for messages
+ * @param {string|Buffer} value - Hex string or Buffer
+ * @returns {Buffer} Key
+ * @throws {Error} If the key is not 32 bytes
+ */
+const toKey = (name, value) => {
+  const key = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'hex');
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`Encryption key "${name}" must be ${KEY_LENGTH} bytes (${KEY_LENGTH * 2} hex characters)`);
+  }
+  return key;
+};
+
+/**
+ * Validate what a provider loaded and convert the keys to Buffers
+ * @param {Object} loaded - Provider output
+ * @param {string} providerName - Provider name, for messages
+ * @returns {Object} Keyring
+ * @throws {Error} If no key is configured in production or the keys are malformed
+ */
+const buildKeyring = (loaded, providerName) => {
+  const keys = new Map();
+
+  Object.entries((loaded && loaded.keys) || {}).forEach(([id, value]) => {
+    if (!KEY_ID_PATTERN.test(id)) {
+      throw new Error(`Encryption key ID "${id}" may only contain letters, digits, '.', '_' and '-'`);
+    }
+
+    keys.set(id, toKey(id, value));
+  });
+
+  const blindIndexKey = loaded && loaded.blindIndexKey ? toKey('blind index', loaded.blindIndexKey) : null;
+
+  if (keys.size === 0) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(`No encryption key configured (key provider "${providerName}"). ` +
+        'Set ENCRYPTION_KEYS or ENCRYPTION_KEYRING_FILE before starting in production.');
+    }
+
+    // Outside production, fall back to a key that only lives as long as the process
+    logger.warn('No encryption key configured - using an ephemeral key. Data encrypted now cannot be read after a restart.');
+    keys.set('ephemeral', crypto.randomBytes(KEY_LENGTH));
+    return { provider: providerName, activeKeyId: 'ephemeral', legacyKeyId: 'ephemeral', keys, blindIndexKey, ephemeral: true };
+  }
+
+  const activeKeyId = loaded.activeKeyId;
+  if (!activeKeyId || !keys.has(activeKeyId)) {
+    throw new Error(`Active encryption key "${activeKeyId}" is not in the keyring`);
+  }
+
+  return {
+    provider: providerName,
+    activeKeyId,
+    legacyKeyId: keys.has(loaded.legacyKeyId) ? loaded.legacyKeyId : activeKeyId,
+    keys,
+    blindIndexKey,
+    ephemeral: false
+  };
+};
+
+/**
+ * Load the keyring, waiting for asynchronous providers. Call once at startup so that a missing or
+ * malformed key stops the server before it serves requests.
+ * @returns {Promise<Object>} Summary of the keyring (no key material)
+ */
+const initKeyring = async () => {
+  const current = provider || getDefaultProvider();
+  keyring = buildKeyring(await current.load(), current.name);
+  logger.info(`Encryption keyring loaded from "${keyring.provider}" provider with ${keyring.keys.size} key(s); active key "${keyring.activeKeyId}"`);
+  return describeKeyring();
+};
+
+/**
+ * Get the loaded keyring, loading it on first use for synchronous providers
+ * @returns {Object} Keyring
+ * @throws {Error} If an asynchronous provider has not been loaded with initKeyring()
+ */
+const getKeyring = () => {
+  if (!keyring) {
+    const current = provider || getDefaultProvider();
+    const loaded = current.load();
+
+    if (loaded && typeof loaded.then === 'function') {
+      throw new Error(`Key provider "${current.name}" loads asynchronously; call initKeyring() at startup`);
+    }
+
+    keyring = buildKeyring(loaded, current.name);
+  }
+
+  return keyring;
+};
+
+/**
+ * Use a different key provider (e.g. one backed by a key management service)
+ * @param {Object} keyProvider - Provider with a name and a load() method
+ */
+const setKeyProvider = (keyProvider) => {
+  if (!keyProvider || typeof keyProvider.load !== 'function') {
+    throw new Error('A key provider must have a load() method');
+  }
+
+  provider = keyProvider;
+  keyring = null;
+};
+
+/**
+ * Forget the loaded keyring so the next use reloads it (e.g. after the key configuration changed)
+ */
+const resetKeyring = () => {
+  keyring = null;
+};
+
+/**
+ * Key used for new ciphertexts
+ * @returns {{id: string, key: Buffer}} Active key
+ */
+const getActiveKey = () => {
+  const { activeKeyId, keys } = getKeyring();
+  return { id: activeKeyId, key: keys.get(activeKeyId) };
+};
+
+/**
+ * Key with the given ID, or the legacy key for ciphertexts that do not record one
+ * @param {string} [keyId] - Key ID
+ * @returns {Buffer} Key
+ * @throws {Error} If the key is not in the keyring
+ */
+const getKey = (keyId) => {
+  const { keys, legacyKeyId } = getKeyring();
+  const id = keyId || legacyKeyId;
+
+  if (!keys.has(id)) {
+    throw new Error(`Encryption key "${id}" is not in the keyring`);
+  }
+
+  return keys.get(id);
+};
+
+/**
+ * Key for blind indexes. It is kept apart from the encryption keys because rotating it would
+ * change every stored index.
+ * @returns {Buffer} Blind index key
+ * @throws {Error} In production, if no blind index key is configured
+ */
+const getBlindIndexKey = () => {
+  const current = getKeyring();
+
+  if (current.blindIndexKey) {
+    return current.blindIndexKey;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('No blind index key configured. Set ENCRYPTION_BLIND_INDEX_KEY or blindIndexKey in the keyring file.');
+  }
+
+  // Outside production, derive one from the active key
+  logger.warn('No blind index key configured - deriving one from the active encryption key');
+  current.blindIndexKey = crypto.createHmac('sha256', current.keys.get(current.activeKeyId))
+    .update('blind-index')
+    .digest();
+  return current.blindIndexKey;
+};
+
+/**
+ * Summary of the loaded keyring without key material
+ * @returns {Object} Provider, active key ID, legacy key ID, key IDs and whether the key is ephemeral
+ */
+const describeKeyring = () => {
+  const current = getKeyring();
+
+  return {
+    provider: current.provider,
+    activeKeyId: current.activeKeyId,
+    legacyKeyId: current.legacyKeyId,
+    keyIds: [...current.keys.keys()],
+    blindIndexKeyConfigured: Boolean(current.blindIndexKey),
+    ephemeral: current.ephemeral
+  };
+};
+
+module.exports = {
+  envKeyProvider,
+  fileKeyProvider,
+  initKeyring,
+  setKeyProvider,
+  resetKeyring,
+  getActiveKey,
+  getKey,
+  getBlindIndexKey,
+  describeKeyring
+};
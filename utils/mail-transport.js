@@ -0,0 +1,107 @@
+/**
+ * Mail Transport - Pluggable delivery backends for outbound email
+ * @module utils/mail-transport
+ *
+ * Every transport exposes the same interface: `send(message)` resolving to
+ * `{ messageId }`. Use 'smtp' in production, 'file' to capture mail locally
+ * during development and 'memory' in tests.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Create a message ID for transports that do not assign one
+ * @returns {string} Unique message ID
+ */
+const generateMessageId = () => `<${Date.now()}.${crypto.randomBytes(8).toString('hex')}@localhost>`;
+
+/**
+ * SMTP transport backed by nodemailer
+ * @param {Object} options - SMTP options (host, port, secure, auth)
+ * @returns {Object} Transport
+ */
+const createSmtpTransport = (options) => {
+  // Loaded lazily so the other transports work without nodemailer installed
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport(options);
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+/**
+ * File transport writing each message as JSON to a capture directory
+ * @param {Object} options - Transport options
+ * @param {string} options.directory - Directory to write messages to
+ * @returns {Object} Transport
+ */
+const createFileTransport = ({ directory }) => {
+  return {
+    name: 'file',
+    directory,
+    send: async (message) => {
+      const messageId = generateMessageId();
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+      const captured = { messageId, date: new Date().toISOString(), ...message };
+      await fs.promises.writeFile(path.join(directory, fileName), JSON.stringify(captured, null, 2));
+
+      return { messageId };
+    }
+  };
+};
+
+/**
+ * In-memory transport keeping sent messages for inspection
+ * @returns {Object} Transport with `messages` array and `clear()`
+ */
+const createMemoryTransport = () => {
+  const messages = [];
+
+  return {
+    name: 'memory',
+    messages,
+    send: async (message) => {
+      const messageId = generateMessageId();
+      messages.push({ messageId, date: new Date(), ...message });
+      return { messageId };
+    },
+    clear: () => {
+      messages.length = 0;
+    }
+  };
+};
+
+/**
+ * Create a transport by name
+ * @param {string} type - 'smtp', 'file' or 'memory'
+ * @param {Object} [options] - Transport options
+ * @returns {Object} Transport
+ * @throws {Error} If the transport type is unknown
+ */
+const createTransport = (type, options = {}) => {
+  switch (type) {
+    case 'smtp':
+      return createSmtpTransport(options.smtp);
+    case 'file':
+      return createFileTransport({ directory: options.directory });
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+};
+
+module.exports = {
+  createTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport
+};
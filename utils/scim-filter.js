@@ -0,0 +1,370 @@
+/**
+ * SCIM Filter - Parses SCIM 2.0 filter expressions (RFC 7644 section 3.4.2.2)
+ * @module utils/scim-filter
+ */
+const { Op } = require('sequelize');
+const { AppError } = require('./error-handler');
+
+const COMPARE_OPERATORS = ['eq', 'ne', 'co', 'sw', 'ew', 'gt', 'ge', 'lt', 'le'];
+
+// Parentheses, brackets, quoted strings and bare words
+const TOKEN_PATTERN = /\s*(?:([()[\]])|("(?:[^"\\]|\\.)*")|([^\s()[\]"]+))/y;
+
+/**
+ * Build the error returned for unsupported or malformed filters
+ * @param {string} detail - What is wrong with the filter
+ * @returns {AppError} Error with SCIM_INVALID_FILTER code
+ */
+const invalidFilter = (detail) => new AppError(`Invalid filter: ${detail}`, 400, 'SCIM_INVALID_FILTER');
+
+/**
+ * Normalize an attribute path: drop the schema URN prefix and lowercase it,
+ * since SCIM attribute names are case-insensitive
+ * @param {string} path - Attribute path (e.g. 'name.givenName' or a fully qualified URN path)
+ * @returns {string} Normalized path (e.g. 'name.givenname')
+ */
+const normalizeAttributePath = (path) => {
+  const attribute = path.toLowerCase().startsWith('urn:')
+    ? path.slice(path.lastIndexOf(':') + 1)
+    : path;
+
+  return attribute.toLowerCase();
+};
+
+/**
+ * Split a filter into tokens
+ * @param {string} filter - Filter expression
+ * @returns {Array<Object>} Tokens with type ('punct', 'string' or 'word') and value
+ */
+const tokenize = (filter) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < filter.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(filter);
+
+    if (!match) {
+      if (filter.slice(start).trim() === '') {
+        break;
+      }
+      throw invalidFilter(`unexpected input at position ${start}`);
+    }
+
+    if (match[1]) {
+      tokens.push({ type: 'punct', value: match[1] });
+    } else if (match[2]) {
+      tokens.push({ type: 'string', value: JSON.parse(match[2]) });
+    } else if (match[3]) {
+      tokens.push({ type: 'word', value: match[3] });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a filter expression into a tree
+ * @param {string} filter - Filter expression, e.g. 'userName eq "jdoe" and active eq true'
+ * @returns {Object} Filter tree of and/or/not/compare/present/valuePath nodes
+ * @throws {AppError} If the filter is malformed
+ */
+const parseFilter = (filter) => {
+  if (typeof filter !== 'string' || filter.trim() === '') {
+    throw invalidFilter('filter is empty');
+  }
+
+  const tokens = tokenize(filter);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const isKeyword = (token, keyword) => token && token.type === 'word' && token.value.toLowerCase() === keyword;
+  const isPunct = (token, value) => token && token.type === 'punct' && token.value === value;
+
+  const expect = (value) => {
+    if (!isPunct(next(), value)) {
+      throw invalidFilter(`expected "${value}"`);
+    }
+  };
+
+  const parseValue = () => {
+    const token = next();
+
+    if (!token || token.type === 'punct') {
+      throw invalidFilter('missing comparison value');
+    }
+    if (token.type === 'string') {
+      return token.value;
+    }
+
+    const word = token.value.toLowerCase();
+    if (word === 'true' || word === 'false') {
+      return word === 'true';
+    }
+    if (word === 'null') {
+      return null;
+    }
+    if (!Number.isNaN(Number(token.value))) {
+      return Number(token.value);
+    }
+
+    throw invalidFilter(`"${token.value}" is not a valid value`);
+  };
+
+  let parseOr;
+
+  const parseAttributeExpression = () => {
+    const token = next();
+
+    if (!token || token.type !== 'word') {
+      throw invalidFilter('expected an attribute name');
+    }
+
+    const attribute = normalizeAttributePath(token.value);
+
+    if (isPunct(peek(), '[')) {
+      next();
+      const valueFilter = parseOr();
+      expect(']');
+      return { type: 'valuePath', attribute, filter: valueFilter };
+    }
+
+    const operatorToken = next();
+    const operator = operatorToken && operatorToken.type === 'word' ? operatorToken.value.toLowerCase() : null;
+
+    if (operator === 'pr') {
+      return { type: 'present', attribute };
+    }
+
+    if (!COMPARE_OPERATORS.includes(operator)) {
+      throw invalidFilter(`unsupported operator "${operatorToken ? operatorToken.value : ''}"`);
+    }
+
+    return { type: 'compare', attribute, operator, value: parseValue() };
+  };
+
+  const parseUnary = () => {
+    if (isKeyword(peek(), 'not') && isPunct(tokens[position + 1], '(')) {
+      next();
+      next();
+      const expression = parseOr();
+      expect(')');
+      return { type: 'not', expression };
+    }
+
+    if (isPunct(peek(), '(')) {
+      next();
+      const expression = parseOr();
+      expect(')');
+      return expression;
+    }
+
+    return parseAttributeExpression();
+  };
+
+  const parseAnd = () => {
+    let left = parseUnary();
+    while (isKeyword(peek(), 'and')) {
+      next();
+      left = { type: 'and', left, right: parseUnary() };
+    }
+    return left;
+  };
+
+  parseOr = () => {
+    let left = parseAnd();
+    while (isKeyword(peek(), 'or')) {
+      next();
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  };
+
+  const tree = parseOr();
+
+  if (position < tokens.length) {
+    throw invalidFilter(`unexpected "${tokens[position].value}"`);
+  }
+
+  return tree;
+};
+
+/**
+ * Escape LIKE wildcards in a user-supplied value
+ * @param {string} value - Value to escape
+ * @returns {string} Escaped value
+ */
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Translate a filter tree into a Sequelize where clause
+ * @param {Object} node - Filter tree from parseFilter
+ * @param {Object} attributes - Filterable attributes keyed by normalized path. Each entry has
+ *   a column, optional caseExact and type ('integer' or 'date'), or a toWhere(operator, value) function
+ * @returns {Object} Sequelize where clause
+ * @throws {AppError} If the filter uses an attribute or operator that is not supported
+ */
+const filterToWhere = (node, attributes) => {
+  switch (node.type) {
+    case 'and':
+      return { [Op.and]: [filterToWhere(node.left, attributes), filterToWhere(node.right, attributes)] };
+    case 'or':
+      return { [Op.or]: [filterToWhere(node.left, attributes), filterToWhere(node.right, attributes)] };
+    case 'not':
+      return { [Op.not]: filterToWhere(node.expression, attributes) };
+    case 'valuePath':
+      throw invalidFilter(`filtering inside "${node.attribute}" is not supported`);
+    default:
+      break;
+  }
+
+  const mapping = attributes[node.attribute];
+  if (!mapping) {
+    throw invalidFilter(`filtering on "${node.attribute}" is not supported`);
+  }
+
+  if (node.type === 'present') {
+    return { [mapping.column]: { [Op.ne]: null } };
+  }
+
+  if (mapping.toWhere) {
+    return mapping.toWhere(node.operator, node.value);
+  }
+
+  const { column } = mapping;
+  let { value } = node;
+
+  if (mapping.type === 'integer') {
+    // IDs are positive, so a value that is not a number matches nothing
+    value = Number.parseInt(value, 10) || 0;
+  } else if (mapping.type === 'date') {
+    value = new Date(value);
+  }
+
+  const textual = typeof value === 'string';
+  const like = mapping.caseExact ? Op.like : Op.iLike;
+
+  switch (node.operator) {
+    case 'eq':
+      return { [column]: textual && !mapping.caseExact ? { [Op.iLike]: escapeLike(value) } : value };
+    case 'ne':
+      return { [column]: textual && !mapping.caseExact ? { [Op.notILike]: escapeLike(value) } : { [Op.ne]: value } };
+    case 'co':
+      return { [column]: { [like]: `%${escapeLike(value)}%` } };
+    case 'sw':
+      return { [column]: { [like]: `${escapeLike(value)}%` } };
+    case 'ew':
+      return { [column]: { [like]: `%${escapeLike(value)}` } };
+    case 'gt':
+      return { [column]: { [Op.gt]: value } };
+    case 'ge':
+      return { [column]: { [Op.gte]: value } };
+    case 'lt':
+      return { [column]: { [Op.lt]: value } };
+    case 'le':
+      return { [column]: { [Op.lte]: value } };
+    default:
+      throw invalidFilter(`unsupported operator "${node.operator}"`);
+  }
+};
+
+/**
+ * Read the values at an attribute path of a SCIM resource. Multi-valued attributes
+ * of complex values (such as members) yield their "value" sub-attribute.
+ * @param {Object} resource - SCIM resource
+ * @param {string} path - Normalized attribute path
+ * @returns {Array} Values found at the path
+ */
+const getAttributeValues = (resource, path) => {
+  let values = [resource];
+
+  path.split('.').forEach((segment) => {
+    values = values.flatMap((value) => {
+      if (value === null || typeof value !== 'object') {
+        return [];
+      }
+      const key = Object.keys(value).find(candidate => candidate.toLowerCase() === segment);
+      const found = key === undefined ? undefined : value[key];
+      return Array.isArray(found) ? found : [found];
+    });
+  });
+
+  return values
+    .filter(value => value !== undefined && value !== null)
+    .map(value => (typeof value === 'object' && 'value' in value ? value.value : value));
+};
+
+/**
+ * Compare one attribute value with a filter value (strings case-insensitively)
+ * @param {*} actual - Attribute value
+ * @param {string} operator - Comparison operator
+ * @param {*} expected - Filter value
+ * @returns {boolean} Whether the value matches
+ */
+const compareValue = (actual, operator, expected) => {
+  const left = typeof actual === 'string' ? actual.toLowerCase() : actual;
+  const right = typeof expected === 'string' ? expected.toLowerCase() : expected;
+
+  switch (operator) {
+    case 'eq':
+      return String(left) === String(right);
+    case 'ne':
+      return String(left) !== String(right);
+    case 'co':
+      return String(left).includes(String(right));
+    case 'sw':
+      return String(left).startsWith(String(right));
+    case 'ew':
+      return String(left).endsWith(String(right));
+    case 'gt':
+      return left > right;
+    case 'ge':
+      return left >= right;
+    case 'lt':
+      return left < right;
+    case 'le':
+      return left <= right;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Evaluate a filter tree against a SCIM resource in memory
+ * @param {Object} node - Filter tree from parseFilter
+ * @param {Object} resource - SCIM resource
+ * @returns {boolean} Whether the resource matches
+ */
+const matchesFilter = (node, resource) => {
+  switch (node.type) {
+    case 'and':
+      return matchesFilter(node.left, resource) && matchesFilter(node.right, resource);
+    case 'or':
+      return matchesFilter(node.left, resource) || matchesFilter(node.right, resource);
+    case 'not':
+      return !matchesFilter(node.expression, resource);
+    case 'present':
+      return getAttributeValues(resource, node.attribute).length > 0;
+    case 'valuePath': {
+      const key = Object.keys(resource).find(candidate => candidate.toLowerCase() === node.attribute);
+      const values = key === undefined ? [] : [].concat(resource[key] || []);
+      return values.some(value => matchesFilter(node.filter, value));
+    }
+    case 'compare': {
+      const values = getAttributeValues(resource, node.attribute);
+      return node.operator === 'ne'
+        ? values.every(value => compareValue(value, 'ne', node.value))
+        : values.some(value => compareValue(value, node.operator, node.value));
+    }
+    default:
+      return false;
+  }
+};
+
+module.exports = {
+  normalizeAttributePath,
+  parseFilter,
+  filterToWhere,
+  matchesFilter
+};
@@ -1,6 +1,10 @@
 /**
  * Session Manager - Handles secure user sessions
  * @module utils/session-manager
+ *
+ * Sessions are stored in Redis when REDIS_URL is set, and in process memory otherwise. Every
+ * authenticated request checks its session against the idle timeout and the absolute session
+ * maximum (HIPAA automatic logoff), independently of how long the access token is valid.
  */
 const { v4: uuidv4 } = require('uuid');
 const { createClient } = require('redis');
@@ -49,6 +53,175 @@ if (process.env.REDIS_URL) {
   logger.info('Redis support disabled - using in-memory session management');
 }
 
+// Sessions kept in this process while Redis is not available
+const memorySessions = new Map();
+
+/**
+ * Session timeouts, read from the environment on each use
+ * - SESSION_IDLE_TIMEOUT: inactivity after which a session ends (default 15m)
+ * - SESSION_ABSOLUTE_TIMEOUT: maximum length of a session, however active (default 12h)
+ * - SESSION_IDLE_WARNING: how long before the idle timeout the client warns the user (default 2m)
+ * @returns {{idleTimeoutMs: number, absoluteTimeoutMs: number, warningMs: number}} Timeouts in milliseconds
+ */
+const getSessionPolicy = () => ({
+  idleTimeoutMs: ms(process.env.SESSION_IDLE_TIMEOUT || '15m'),
+  absoluteTimeoutMs: ms(process.env.SESSION_ABSOLUTE_TIMEOUT || '12h'),
+  warningMs: ms(process.env.SESSION_IDLE_WARNING || '2m')
+});
+
+/**
+ * Whether sessions are stored in Redis
+ * @returns {boolean} True if the Redis client is connected
+ */
+const useRedis = () => Boolean(redisConnected && redisClient && redisClient.isReady);
+
+/**
+ * Read a session from the store
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Session data, or null if it does not exist or has expired
+ */
+const readSession = async (sessionId) => {
+  if (useRedis()) {
+    const sessionData = await redisClient.get(`session:${sessionId}`);
+    return sessionData ? JSON.parse(sessionData) : null;
+  }
+
+  const entry = memorySessions.get(sessionId);
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.expiresAt <= Date.now()) {
+    memorySessions.delete(sessionId);
+    return null;
+  }
+
+  return { ...entry.session };
+};
+
+/**
+ * Write a session to the store. It is kept until its refresh token expires, so a request made
+ * after a timeout can still be told why its session ended.
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - Session data
+ */
+const writeSession = async (sessionId, session) => {
+  const expiresAt = session.refreshExpiresAt || getSessionDeadlines(session).absoluteExpiresAt;
+  const ttl = Math.floor((expiresAt - Date.now()) / 1000);
+
+  if (ttl <= 0) {
+    await removeSession(sessionId);
+    return;
+  }
+
+  if (useRedis()) {
+    await redisClient.set(`session:${sessionId}`, JSON.stringify(session), { EX: ttl });
+    return;
+  }
+
+  memorySessions.set(sessionId, { session: { ...session }, expiresAt });
+};
+
+/**
+ * Remove a session from the store
+ * @param {string} sessionId - Session ID
+ */
+const removeSession = async (sessionId) => {
+  if (useRedis()) {
+    await redisClient.del(`session:${sessionId}`);
+    return;
+  }
+
+  memorySessions.delete(sessionId);
+};
+
+/**
+ * Every stored session
+ * @returns {Promise<Array<{sessionId: string, session: Object}>>} Sessions
+ */
+const listSessions = async () => {
+  const sessions = [];
+
+  if (!useRedis()) {
+    for (const sessionId of memorySessions.keys()) {
+      const session = await readSession(sessionId);
+      if (session) {
+        sessions.push({ sessionId, session });
+      }
+    }
+    return sessions;
+  }
+
+  // Scan Redis for sessions
+  let cursor = 0;
+  do {
+    const result = await redisClient.scan(cursor, {
+      MATCH: 'session:*',
+      COUNT: 100
+    });
+
+    cursor = result.cursor;
+
+    // Process batched session keys
+    if (result.keys.length > 0) {
+      const sessionData = await redisClient.mGet(result.keys);
+
+      sessionData.forEach((data, i) => {
+        if (data) {
+          sessions.push({ sessionId: result.keys[i].split(':')[1], session: JSON.parse(data) });
+        }
+      });
+    }
+  } while (cursor !== 0);
+
+  return sessions;
+};
+
+/**
+ * When a session ends through inactivity and when it reaches its maximum length
+ * @param {Object} session - Session data
+ * @returns {{idleExpiresAt: number, absoluteExpiresAt: number}} Timestamps in milliseconds
+ */
+const getSessionDeadlines = (session) => {
+  const { idleTimeoutMs, absoluteTimeoutMs } = getSessionPolicy();
+
+  return {
+    idleExpiresAt: session.lastActivity + idleTimeoutMs,
+    // Sessions created before the maximum was recorded are measured from their creation
+    absoluteExpiresAt: session.absoluteExpiresAt ||
+      (session.createdAt || session.lastActivity) + absoluteTimeoutMs
+  };
+};
+
+/**
+ * Why a session can no longer be used, if it has timed out
+ * @param {Object} session - Session data
+ * @returns {string|null} 'SESSION_ABSOLUTE_TIMEOUT', 'SESSION_IDLE_TIMEOUT' or null
+ */
+const getTimeoutReason = (session) => {
+  const now = Date.now();
+  const { idleExpiresAt, absoluteExpiresAt } = getSessionDeadlines(session);
+
+  if (now >= absoluteExpiresAt) {
+    return 'SESSION_ABSOLUTE_TIMEOUT';
+  }
+  if (now >= idleExpiresAt) {
+    return 'SESSION_IDLE_TIMEOUT';
+  }
+  return null;
+};
+
+/**
+ * End a timed-out session so neither of its tokens can be used again
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - Session data
+ */
+const endSession = async (sessionId, session) => {
+  await blacklistToken(session.accessToken);
+  await blacklistToken(session.refreshToken);
+  await removeSession(sessionId);
+};
+
 /**
  * Create a new user session
  * HIPAA requires session management with automatic timeout
@@ -83,27 +256,22 @@ const createSession = async (userData, options = {}) => {
       tokenType: 'refresh'
     }, { expiresIn: refreshTimeout });
     
-    // Store session data in Redis if available
-    if (redisConnected && redisClient.isReady) {
-      // Store session data with expiration
-      const sessionData = {
-        userId: userData.id,
-        username: userData.username,
-        roleId: userData.roleId,
-        accessToken: tokenInfo.jti,
-        refreshToken: refreshTokenInfo.jti,
-        userAgent: options.userAgent || 'unknown',
-        ipAddress: options.ipAddress || 'unknown',
-        lastActivity: Date.now(),
-        expiresAt: Date.now() + sessionTimeoutMs
-      };
-      
-      await redisClient.set(
-        `session:${sessionId}`, 
-        JSON.stringify(sessionData), 
-        { EX: Math.floor(refreshTimeoutMs / 1000) }
-      );
-    }
+    // Store session data so its timeouts can be enforced
+    const now = Date.now();
+    await writeSession(sessionId, {
+      userId: userData.id,
+      username: userData.username,
+      roleId: userData.roleId,
+      accessToken: tokenInfo.jti,
+      refreshToken: refreshTokenInfo.jti,
+      userAgent: options.userAgent || 'unknown',
+      ipAddress: options.ipAddress || 'unknown',
+      createdAt: now,
+      lastActivity: now,
+      expiresAt: now + sessionTimeoutMs,
+      refreshExpiresAt: now + refreshTimeoutMs,
+      absoluteExpiresAt: now + getSessionPolicy().absoluteTimeoutMs
+    });
     
     return {
       sessionId,
@@ -118,6 +286,31 @@ const createSession = async (userData, options = {}) => {
   }
 };
 
+/**
+ * Set the access and refresh token cookies for a new session
+ * 
+ * @param {Object} res - Express response object
+ * @param {Object} session - Session returned by createSession
+ */
+const setSessionCookies = (res, session) => {
+  // Access token in HTTP-only cookie
+  res.cookie('token', session.accessToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: session.expiresIn
+  });
+
+  // Refresh token in HTTP-only cookie
+  res.cookie('refreshToken', session.refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: session.refreshExpiresIn,
+    path: '/api/auth/refresh' // Restrict to refresh endpoint
+  });
+};
+
 /**
  * Validate and refresh session
  * 
@@ -135,74 +328,48 @@ const refreshSession = async (refreshToken, options = {}) => {
       throw new Error('Invalid token type');
     }
     
-    // Get session from Redis
-    if (redisConnected && redisClient.isReady) {
-      const sessionData = await redisClient.get(`session:${decoded.sessionId}`);
-      
-      if (!sessionData) {
-        throw new Error('Session not found or expired');
-      }
-      
-      // Parse session data
-      const session = JSON.parse(sessionData);
-      
-      // Verify session belongs to correct user
-      if (session.userId !== decoded.userId) {
-        throw new Error('Invalid session');
-      }
-      
-      // Blacklist old access token
-      await blacklistToken(session.accessToken);
-      
-      // Get user data for new token
-      const userData = {
-        id: session.userId,
-        username: session.username,
-        roleId: session.roleId
-      };
-      
-      // Generate new access token
-      const tokenInfo = generateToken({
-        ...userData,
-        sessionId: decoded.sessionId
-      }, { expiresIn: options.timeout || process.env.SESSION_TIMEOUT || '30m' });
-      
-      // Update session in Redis
-      session.accessToken = tokenInfo.jti;
-      session.lastActivity = Date.now();
-      
-      // Calculate remaining time on refresh token
-      const refreshExpiry = decoded.exp - Math.floor(Date.now() / 1000);
-      
-      await redisClient.set(
-        `session:${decoded.sessionId}`, 
-        JSON.stringify(session), 
-        { EX: refreshExpiry }
-      );
-      
-      return {
-        accessToken: tokenInfo.token,
-        expiresIn: tokenInfo.expiresIn
-      };
-    } else {
-      // Fallback if Redis is not available
-      // Less secure but allows basic functionality
-      const userData = {
-        id: decoded.userId,
-        sessionId: decoded.sessionId
-      };
-      
-      // Generate new access token
-      const tokenInfo = generateToken({
-        ...userData,
-        sessionId: decoded.sessionId
-      }, { expiresIn: options.timeout || process.env.SESSION_TIMEOUT || '30m' });
-      
-      return {
-        accessToken: tokenInfo.token,
-        expiresIn: tokenInfo.expiresIn
-      };
+    const session = await readSession(decoded.sessionId);
+
+    if (!session) {
+      throw new Error('Session not found or expired');
     }
+
+    // Verify session belongs to correct user
+    if (session.userId !== decoded.userId) {
+      throw new Error('Invalid session');
+    }
+
+    // A refresh token cannot extend a session past its idle timeout or maximum length
+    const timeoutReason = getTimeoutReason(session);
+    if (timeoutReason) {
+      await endSession(decoded.sessionId, session);
+      throw new Error(`Session ended (${timeoutReason})`);
+    }
+
+    // Blacklist old access token
+    await blacklistToken(session.accessToken);
+
+    // Get user data for new token
+    const userData = {
+      id: session.userId,
+      username: session.username,
+      roleId: session.roleId
+    };
+
+    // Generate new access token
+    const tokenInfo = generateToken({
+      ...userData,
+      sessionId: decoded.sessionId
+    }, { expiresIn: options.timeout || process.env.SESSION_TIMEOUT || '30m' });
+
+    // Renewing the token is not user activity, so lastActivity is left as it is
+    session.accessToken = tokenInfo.jti;
+    await writeSession(decoded.sessionId, session);
+
+    return {
+      accessToken: tokenInfo.token,
+      expiresIn: tokenInfo.expiresIn
+    };
   } catch (error) {
     logger.error('Error refreshing session:', error);
     throw error;
@@ -235,9 +402,9 @@ const invalidateSession = async (sessionId, accessToken, refreshToken) => {
       }
     }
     
-    // Remove session from Redis if connected
-    if (redisConnected && redisClient.isReady && sessionId) {
-      await redisClient.del(`session:${sessionId}`);
+    // Remove session from the store
+    if (sessionId) {
+      await removeSession(sessionId);
     }
     
     return true;
@@ -255,44 +422,24 @@ const invalidateSession = async (sessionId, accessToken, refreshToken) => {
  * @returns {Array} List of active sessions
  */
 const getUserSessions = async (userId) => {
-  const sessions = [];
-  
   try {
-    if (redisConnected && redisClient.isReady) {
-      // Scan Redis for user sessions
-      let cursor = 0;
-      do {
-        const result = await redisClient.scan(cursor, {
-          MATCH: 'session:*',
-          COUNT: 100
-        });
-        
-        cursor = result.cursor;
-        
-        // Process batched session keys
-        if (result.keys.length > 0) {
-          const sessionData = await redisClient.mGet(result.keys);
-          
-          for (let i = 0; i < sessionData.length; i++) {
-            if (sessionData[i]) {
-              const session = JSON.parse(sessionData[i]);
-              
-              if (session.userId === userId) {
-                sessions.push({
-                  sessionId: result.keys[i].split(':')[1],
-                  userAgent: session.userAgent,
-                  ipAddress: session.ipAddress,
-                  lastActivity: new Date(session.lastActivity),
-                  expiresAt: new Date(session.expiresAt)
-                });
-              }
-            }
-          }
-        }
-      } while (cursor !== 0);
-    }
-    
-    return sessions;
+    const sessions = await listSessions();
+
+    return sessions
+      .filter(({ session }) => session.userId === userId && !getTimeoutReason(session))
+      .map(({ sessionId, session }) => {
+        const { idleExpiresAt, absoluteExpiresAt } = getSessionDeadlines(session);
+
+        return {
+          sessionId,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          lastActivity: new Date(session.lastActivity),
+          expiresAt: new Date(session.expiresAt),
+          idleExpiresAt: new Date(idleExpiresAt),
+          absoluteExpiresAt: new Date(absoluteExpiresAt)
+        };
+      });
   } catch (error) {
     logger.error('Error getting user sessions:', error);
     return [];
@@ -309,38 +456,14 @@ const invalidateUserSessions = async (userId) => {
   let count = 0;
   
   try {
-    if (redisConnected && redisClient.isReady) {
-      // Scan Redis for user sessions
-      let cursor = 0;
-      do {
-        const result = await redisClient.scan(cursor, {
-          MATCH: 'session:*',
-          COUNT: 100
-        });
-        
-        cursor = result.cursor;
-        
-        // Process batched session keys
-        if (result.keys.length > 0) {
-          const sessionData = await redisClient.mGet(result.keys);
-          
-          for (let i = 0; i < sessionData.length; i++) {
-            if (sessionData[i]) {
-              const session = JSON.parse(sessionData[i]);
-              
-              if (session.userId === userId) {
-                // Blacklist tokens
-                await blacklistToken(session.accessToken);
-                await blacklistToken(session.refreshToken);
-                
-                // Delete session
-                await redisClient.del(result.keys[i]);
-                count++;
-              }
-            }
-          }
-        }
-      } while (cursor !== 0);
+    const sessions = await listSessions();
+
+    for (const { sessionId, session } of sessions) {
+      if (session.userId === userId) {
+        // Blacklist tokens and delete session
+        await endSession(sessionId, session);
+        count++;
+      }
     }
     
     return count;
@@ -358,43 +481,64 @@ const invalidateUserSessions = async (userId) => {
  */
 const updateSessionActivity = async (sessionId) => {
   try {
-    if (redisConnected && redisClient.isReady && sessionId) {
-      // Get current session data
-      const sessionData = await redisClient.get(`session:${sessionId}`);
-      
-      if (sessionData) {
-        const session = JSON.parse(sessionData);
-        
-        // Update last activity
-        session.lastActivity = Date.now();
-        
-        // Calculate remaining time
-        const ttl = await redisClient.ttl(`session:${sessionId}`);
-        
-        // Only update if session still exists
-        if (ttl > 0) {
-          await redisClient.set(
-            `session:${sessionId}`, 
-            JSON.stringify(session), 
-            { EX: ttl }
-          );
-          return true;
-        }
-      }
+    const session = sessionId ? await readSession(sessionId) : null;
+
+    if (!session) {
+      return false;
     }
-    
-    return false;
+
+    session.lastActivity = Date.now();
+    await writeSession(sessionId, session);
+    return true;
   } catch (error) {
     logger.error('Error updating session activity:', error);
     return false;
   }
 };
 
+/**
+ * Check a session against the idle timeout and the absolute session maximum, ending it if
+ * either has passed, and record the request as activity
+ * 
+ * @param {string} sessionId - Session ID from the access token
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.recordActivity=true] - Whether the request resets the idle timeout
+ * @returns {Promise<Object>} `{ valid: false, reason }`, or `{ valid: true }` with the session's
+ *   lastActivity, idleExpiresAt and absoluteExpiresAt in milliseconds
+ */
+const validateSession = async (sessionId, { recordActivity = true } = {}) => {
+  const session = await readSession(sessionId);
+
+  if (!session) {
+    return { valid: false, reason: 'SESSION_NOT_FOUND' };
+  }
+
+  const reason = getTimeoutReason(session);
+  if (reason) {
+    await endSession(sessionId, session);
+    return { valid: false, reason, userId: session.userId };
+  }
+
+  if (recordActivity) {
+    session.lastActivity = Date.now();
+    await writeSession(sessionId, session);
+  }
+
+  return {
+    valid: true,
+    lastActivity: session.lastActivity,
+    ...getSessionDeadlines(session)
+  };
+};
+
 module.exports = {
   createSession,
+  setSessionCookies,
   refreshSession,
   invalidateSession,
   getUserSessions,
   invalidateUserSessions,
-  updateSessionActivity
+  updateSessionActivity,
+  validateSession,
+  getSessionPolicy
 };
\ No newline at end of file